@@ -0,0 +1,229 @@
+/**
+ * Brevo Campaign Generator — accessibility check.
+ *
+ * Audits the rendered email (see BCG_Accessibility) for missing alt text,
+ * low contrast, small text and vague link text, lists what was found with
+ * a suggested fix for each, and outlines the section a finding came from
+ * in the preview.
+ *
+ * An element with the bcg-accessibility class becomes a check button when
+ * passed to mount(). Give it the bcg-deliverability class as well: it shares
+ * the deliverability check's panel, and the two sit side by side.
+ *
+ * Depends on: jQuery, bcg-deliverability.js (BCGDeliverability.highlight).
+ * Localised data available via: bcg_accessibility (ajax_url, nonce, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_accessibility, BCGDeliverability */
+( function ( $, window, document ) {
+	'use strict';
+
+	var config = window.bcg_accessibility || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * Escape a string for use in HTML.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function escHtml( str ) {
+		return String( str )
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	/**
+	 * Outline a section in the preview, or clear the outline.
+	 *
+	 * @param {HTMLIFrameElement[]} frames
+	 * @param {string|null}         marker
+	 */
+	function highlight( frames, marker ) {
+		if ( window.BCGDeliverability ) {
+			BCGDeliverability.highlight( frames, marker );
+		}
+	}
+
+	/**
+	 * Build the list item for a finding.
+	 *
+	 * @param  {Object} finding
+	 * @param  {number} index   Position in the findings array.
+	 * @return {string} HTML.
+	 */
+	function findingHtml( finding, index ) {
+		var severity = ( i18n.severity || {} )[ finding.severity ] || finding.severity;
+
+		return '<li class="bcg-deliverability-finding bcg-accessibility-finding is-' + escHtml( finding.severity ) + '" data-index="' + index + '">' +
+			'<div class="bcg-deliverability-finding-head">' +
+				'<strong>' + escHtml( finding.label ) + '</strong>' +
+				'<span class="bcg-accessibility-severity">' + escHtml( severity ) + '</span>' +
+			'</div>' +
+			'<p class="bcg-deliverability-message">' + escHtml( finding.message ) + '</p>' +
+			( finding.text ? '<blockquote class="bcg-deliverability-text">' + escHtml( finding.text ) + '</blockquote>' : '' ) +
+			'<p class="bcg-deliverability-suggestion">' + escHtml( finding.suggestion ) + '</p>' +
+			( finding.section
+				? '<div class="bcg-deliverability-finding-actions">' +
+					'<button type="button" class="button-link bcg-deliverability-show" data-index="' + index + '">' +
+						escHtml( i18n.show || 'Show in preview' ) + '</button>' +
+				'</div>'
+				: '' ) +
+		'</li>';
+	}
+
+	/**
+	 * Turn an element into an accessibility check.
+	 *
+	 * @param {Element|jQuery|string} container Element to build the check in.
+	 * @param {Object}                options {
+	 *     @type {Function} request  Returns the POST data that identifies the
+	 *                               email ({ campaign_id } or { sections,
+	 *                               global_defaults }), or a promise of it.
+	 *     @type {Function} frames   Optional. Returns the preview iframes to
+	 *                               outline sections in.
+	 *     @type {Function} onSelect Optional. Called with the section marker
+	 *                               of a finding the user asks to see.
+	 * }
+	 */
+	function mount( container, options ) {
+		var $root = $( container ).first();
+		if ( ! $root.length || $root.data( 'bcgAccessibility' ) ) {
+			return;
+		}
+
+		options = options || {};
+
+		var findings = [];
+		var seq      = 0;
+
+		$root.data( 'bcgAccessibility', true ).html(
+			'<button type="button" class="bcg-deliverability-btn" aria-haspopup="dialog" aria-expanded="false">' +
+				'<span class="material-icons-outlined" aria-hidden="true">accessibility_new</span>' +
+				'<span class="bcg-deliverability-label">' + escHtml( i18n.button || 'Accessibility' ) + '</span>' +
+			'</button>' +
+			'<div class="bcg-deliverability-panel" role="dialog" aria-label="' + escHtml( i18n.title || 'Accessibility check' ) + '">' +
+				'<div class="bcg-deliverability-summary"></div>' +
+				'<p class="bcg-deliverability-status" role="status"></p>' +
+				'<ul class="bcg-deliverability-findings"></ul>' +
+				'<div class="bcg-deliverability-actions">' +
+					'<button type="button" class="button bcg-deliverability-run">' + escHtml( i18n.check_again || 'Check again' ) + '</button>' +
+				'</div>' +
+			'</div>'
+		);
+
+		var $btn      = $root.find( '.bcg-deliverability-btn' );
+		var $summary  = $root.find( '.bcg-deliverability-summary' );
+		var $status   = $root.find( '.bcg-deliverability-status' );
+		var $findings = $root.find( '.bcg-deliverability-findings' );
+
+		function frames() {
+			return typeof options.frames === 'function' ? options.frames() : [];
+		}
+
+		function close() {
+			$root.removeClass( 'is-open' );
+			$btn.attr( 'aria-expanded', 'false' );
+			$( document ).off( 'mousedown.bcgAccessibility' );
+			highlight( frames(), null );
+		}
+
+		function render( result ) {
+			findings = result.findings || [];
+
+			$root.removeClass( 'is-good is-fair is-poor' ).addClass( 'is-' + result.rating );
+			$summary.html(
+				'<span class="bcg-deliverability-rating">' + escHtml( ( i18n.rating || {} )[ result.rating ] || result.rating ) + '</span>' +
+				'<span class="bcg-deliverability-threshold">' +
+					escHtml( ( i18n.summary || '%1$s errors, %2$s warnings' ).replace( '%1$s', result.errors ).replace( '%2$s', result.warnings ) ) +
+				'</span>'
+			);
+
+			$findings.html( $.map( findings, findingHtml ).join( '' ) );
+			$status.text( findings.length ? '' : ( i18n.no_findings || 'No accessibility problems found.' ) ).toggle( ! findings.length );
+		}
+
+		function run() {
+			var current = ++seq;
+
+			highlight( frames(), null );
+			$summary.empty();
+			$findings.empty();
+			$status.text( i18n.auditing || 'Checking the email…' ).show();
+			$root.addClass( 'is-loading' );
+
+			$.when( options.request ? options.request() : {} ).then( function ( data ) {
+				return $.post( config.ajax_url, $.extend( {
+					action: 'bcg_audit_accessibility',
+					nonce:  config.nonce,
+				}, data ) );
+			} ).done( function ( response ) {
+				if ( current !== seq ) {
+					return;
+				}
+				if ( ! response || ! response.success ) {
+					$status.text( ( response && response.data && response.data.message ) || i18n.error || 'The email could not be checked.' );
+					return;
+				}
+				render( response.data );
+			} ).fail( function () {
+				if ( current === seq ) {
+					$status.text( i18n.error || 'The email could not be checked.' );
+				}
+			} ).always( function () {
+				if ( current === seq ) {
+					$root.removeClass( 'is-loading' );
+				}
+			} );
+		}
+
+		$btn.on( 'click', function () {
+			if ( $root.hasClass( 'is-open' ) ) {
+				close();
+				return;
+			}
+
+			$root.addClass( 'is-open' );
+			$btn.attr( 'aria-expanded', 'true' );
+			$( document ).on( 'mousedown.bcgAccessibility', function ( e ) {
+				if ( ! $.contains( $root[0], e.target ) ) {
+					close();
+				}
+			} );
+			run();
+		} );
+
+		$root.on( 'click', '.bcg-deliverability-run', run );
+
+		$root.on( 'click', '.bcg-deliverability-show', function () {
+			var finding = findings[ $( this ).data( 'index' ) ];
+			if ( ! finding ) {
+				return;
+			}
+			highlight( frames(), finding.section );
+			if ( typeof options.onSelect === 'function' ) {
+				options.onSelect( finding.section );
+			}
+		} );
+
+		$root.on( 'keydown', function ( e ) {
+			if ( e.key === 'Escape' && $root.hasClass( 'is-open' ) ) {
+				e.preventDefault();
+				e.stopPropagation();
+				close();
+				$btn.trigger( 'focus' );
+			}
+		} );
+	}
+
+	window.BCGAccessibility = {
+		mount: mount,
+	};
+
+} )( jQuery, window, document );
@@ -0,0 +1,155 @@
+/**
+ * Brevo Campaign Generator — AI image alt text.
+ *
+ * Writes the alt text of an email image with AI. The image is described
+ * when the model can read it; the product or section copy it belongs to
+ * is sent as context, and is all the AI has to go on otherwise.
+ *
+ * Any button with the bcg-alt-text-btn class writes alt text. Its
+ * attributes say where everything is:
+ *
+ * - data-target:      selector for the alt text input. Required.
+ * - data-image:       selector for the image URL input, or the img element.
+ * - data-product-id:  WooCommerce product whose title and description are context.
+ * - data-context:     selector for fields whose copy is context.
+ * - data-description: context as plain text.
+ * - data-language:    selector for the language select, or a custom dropdown
+ *                     holding the language in data-value.
+ *
+ * After the alt text is written the input gets input and change events,
+ * then a bcg:alt-text event with the server's response.
+ *
+ * Depends on: jQuery.
+ * Localised data available via: bcg_alt_text (ajax_url, nonce, credit_cost,
+ * test_mode, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_alt_text */
+( function ( $, window, document ) {
+	'use strict';
+
+	var config = window.bcg_alt_text || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * Read the value behind a data attribute selector: a field's value, an
+	 * image's source, a custom dropdown's data-value or an element's text.
+	 *
+	 * @param  {string} selector
+	 * @return {string[]} One value per matched element.
+	 */
+	function readValues( selector ) {
+		if ( ! selector ) {
+			return [];
+		}
+
+		return $( selector ).map( function () {
+			var $el = $( this );
+
+			if ( $el.is( 'input, select, textarea' ) ) {
+				return String( $el.val() || '' );
+			}
+			if ( $el.is( 'img' ) ) {
+				return String( $el.attr( 'src' ) || '' );
+			}
+			if ( $el.is( '[data-value]' ) ) {
+				return String( $el.attr( 'data-value' ) );
+			}
+
+			return $el.text();
+		} ).get();
+	}
+
+	/**
+	 * Show an error below the alt text input, or clear it.
+	 *
+	 * @param {jQuery} $target Alt text input.
+	 * @param {string} message Error, or '' to clear.
+	 */
+	function setError( $target, message ) {
+		var $row   = $target.parent();
+		var $error = $row.next( '.bcg-alt-text-error' );
+
+		if ( ! message ) {
+			$error.remove();
+			return;
+		}
+
+		if ( ! $error.length ) {
+			$error = $( '<p class="bcg-alt-text-error" role="alert"></p>' ).insertAfter( $row );
+		}
+		$error.text( message );
+	}
+
+	/**
+	 * Write the alt text for a button's image.
+	 *
+	 * @param {jQuery} $btn
+	 */
+	function generate( $btn ) {
+		var $target = $( $btn.data( 'target' ) );
+
+		if ( ! $target.length || $btn.hasClass( 'is-loading' ) ) {
+			return;
+		}
+
+		var context = readValues( $btn.data( 'context' ) ).map( function ( text ) {
+			return $.trim( $( '<div>' ).html( text ).text() );
+		} );
+
+		if ( $btn.data( 'description' ) ) {
+			context.unshift( String( $btn.data( 'description' ) ) );
+		}
+
+		var label = $btn.attr( 'title' );
+
+		setError( $target, '' );
+		$btn.addClass( 'is-loading' ).prop( 'disabled', true ).attr( 'title', i18n.writing || 'Writing alt text…' );
+
+		$.post( config.ajax_url, {
+			action:     'bcg_generate_alt_text',
+			nonce:      config.nonce,
+			image_url:  readValues( $btn.data( 'image' ) )[0] || '',
+			product_id: $btn.data( 'product-id' ) || 0,
+			context:    context.filter( Boolean ).join( '\n' ),
+			language:   readValues( $btn.data( 'language' ) )[0] || '',
+		} ).done( function ( response ) {
+			if ( response && response.success && response.data ) {
+				$target.val( response.data.alt ).trigger( 'input' ).trigger( 'change' );
+				$target.trigger( 'bcg:alt-text', [ response.data ] );
+				return;
+			}
+
+			setError( $target, ( response && response.data && response.data.message ) || i18n.error || 'The alt text could not be written.' );
+		} ).fail( function () {
+			setError( $target, i18n.error || 'The alt text could not be written.' );
+		} ).always( function () {
+			$btn.removeClass( 'is-loading' ).prop( 'disabled', false ).attr( 'title', label );
+		} );
+	}
+
+	// Show the cost on hover, before anything is charged.
+	$( document ).on( 'mouseenter focusin', '.bcg-alt-text-btn:not(.is-loading)', function () {
+		var title = config.test_mode
+			? ( i18n.free || 'Write alt text with AI (free in test mode)' )
+			: String( i18n.cost || 'Write alt text with AI (%s credits)' ).replace( '%s', config.credit_cost || 0 );
+
+		$( this ).attr( 'title', title );
+	} );
+
+	$( document ).on( 'click', '.bcg-alt-text-btn', function ( e ) {
+		e.preventDefault();
+		e.stopPropagation();
+		generate( $( this ) );
+	} );
+
+	window.BCGAltText = {
+		generate: function ( btn ) {
+			generate( $( btn ) );
+		},
+	};
+
+} )( jQuery, window, document );
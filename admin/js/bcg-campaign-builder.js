@@ -4,7 +4,8 @@
  * Manages the New Campaign wizard interactions: product preview, AI field
  * generation (subject, preview text, coupon suggestion), mailing list
  * loading, manual product picker, category tree, image style toggle,
- * form validation, and the full generation pipeline with progress steps.
+ * form validation, draft autosave, named presets and recurring campaigns,
+ * and the full generation pipeline with real server-side progress (job status polling).
  *
  * Depends on jQuery and the bcg_campaign_builder localised object.
  *
@@ -38,6 +39,13 @@
 		 */
 		searchTimer: null,
 
+		/**
+		 * Debounce timer for refreshing the preview after a rule change.
+		 *
+		 * @type {number|null}
+		 */
+		rulesTimer: null,
+
 		/**
 		 * Whether a generation is currently in progress.
 		 *
@@ -60,6 +68,99 @@
 		 */
 		previewProductIds: [],
 
+		/**
+		 * Job ID currently being polled for progress, or null.
+		 *
+		 * @type {string|null}
+		 */
+		pollJobId: null,
+
+		/**
+		 * Job ID of the generation currently running, or null.
+		 *
+		 * @type {string|null}
+		 */
+		currentJobId: null,
+
+		/**
+		 * Timer handle for the next progress poll.
+		 *
+		 * @type {number|null}
+		 */
+		pollTimer: null,
+
+		/**
+		 * Delay between progress polls, in milliseconds.
+		 *
+		 * @type {number}
+		 */
+		pollInterval: 1500,
+
+		/**
+		 * Wizard step currently shown.
+		 *
+		 * @type {number}
+		 */
+		currentStep: 1,
+
+		/**
+		 * Timer handle for the next draft autosave.
+		 *
+		 * @type {number|null}
+		 */
+		draftTimer: null,
+
+		/**
+		 * Delay between the last edit and the draft autosave, in milliseconds.
+		 *
+		 * @type {number}
+		 */
+		draftDelay: 1500,
+
+		/**
+		 * Serialised state of the last saved draft, to skip no-op saves.
+		 *
+		 * @type {string}
+		 */
+		lastDraftJson: '',
+
+		/**
+		 * Whether autosave is paused. True while the resume prompt is
+		 * waiting for an answer, so the old draft is not overwritten, and
+		 * while a draft or preset is being applied.
+		 *
+		 * @type {boolean}
+		 */
+		draftSuspended: false,
+
+		/**
+		 * Saved draft offered in the resume prompt.
+		 *
+		 * @type {Object|null}
+		 */
+		pendingDraft: null,
+
+		/**
+		 * Saved wizard presets { id, name, state }.
+		 *
+		 * @type {Array}
+		 */
+		presets: [],
+
+		/**
+		 * Section template ID to select once the My Templates grid loads.
+		 *
+		 * @type {number}
+		 */
+		pendingSectionTemplateId: 0,
+
+		/**
+		 * ID of the recurring campaign being edited, or 0.
+		 *
+		 * @type {number}
+		 */
+		recurringId: 0,
+
 		/**
 		 * Initialise the builder. Binds all event listeners.
 		 *
@@ -69,16 +170,20 @@
 			this.bindProductSource();
 			this.bindManualPicker();
 			this.bindCategoryTree();
+			this.bindProductRules();
 			this.bindPreviewProducts();
 			this.bindCouponToggle();
 			this.bindDiscountTypeToggle();
 			this.bindImageToggle();
+			this.bindTranslationLanguages();
 			this.bindMailingListRefresh();
 			this.bindAIGenerateButtons();
 			this.bindCouponSuggestion();
 			this.bindTemplatePicker();
 			this.bindSectionTemplatePicker();
 			this.bindFormSubmit();
+			this.bindCampaignCount();
+			this.bindRecurring();
 			this.bindOverlayClose();
 
 			// Set initial coupon visibility.
@@ -92,6 +197,9 @@
 
 			// Initialise multi-step wizard navigation.
 			this.initWizard();
+
+			// Offer the autosaved draft, start autosaving, load presets.
+			this.initDrafts();
 		},
 
 		// ─── Product Source Radio Toggle ────────────────────────────
@@ -110,8 +218,10 @@
 
 				if ( 'manual' === value ) {
 					$( '#bcg-manual-picker' ).slideDown( 200 );
+					$( '#bcg-product-rules-row' ).slideUp( 200 );
 				} else {
 					$( '#bcg-manual-picker' ).slideUp( 200 );
+					$( '#bcg-product-rules-row' ).slideDown( 200 );
 				}
 
 				// Hide the product preview when changing source.
@@ -402,7 +512,8 @@
 				product_count:  $( '#bcg-product-count' ).val(),
 				product_source: $( 'input[name="product_source"]:checked' ).val(),
 				category_ids:   self.getSelectedCategories(),
-				manual_ids:     self.manualProductIds
+				manual_ids:     self.manualProductIds,
+				product_rules:  self.getProductRules()
 			};
 
 			$btn.prop( 'disabled', true );
@@ -535,7 +646,8 @@
 				product_source: $( 'input[name="product_source"]:checked' ).val(),
 				category_ids:   self.getSelectedCategories(),
 				manual_ids:     [],
-				exclude_ids:    self.previewProductIds
+				exclude_ids:    self.previewProductIds,
+				product_rules:  self.getProductRules()
 			};
 
 			$.ajax( {
@@ -586,6 +698,118 @@
 			return ids;
 		},
 
+		// ─── Product Selection Rules ───────────────────────────────
+
+		/**
+		 * Bind the collapsible selection rules panel.
+		 *
+		 * Rule changes refresh an open product preview after a short
+		 * pause, so the preview always reflects what will be generated.
+		 *
+		 * @return {void}
+		 */
+		bindProductRules: function() {
+			var self = this;
+
+			$( '#bcg-product-rules-toggle' ).on( 'click', function() {
+				var expanded = 'true' === $( this ).attr( 'aria-expanded' );
+
+				$( this ).attr( 'aria-expanded', expanded ? 'false' : 'true' );
+				$( '#bcg-product-rules' ).slideToggle( 200 );
+			} );
+
+			$( '#bcg-product-rules' ).on( 'input change', 'input', function() {
+				self.updateProductRulesCount();
+
+				if ( self.rulesTimer ) {
+					clearTimeout( self.rulesTimer );
+				}
+
+				self.rulesTimer = setTimeout( function() {
+					if ( $( '#bcg-product-preview-area' ).is( ':visible' ) ) {
+						self.loadProductPreview();
+					}
+				}, 600 );
+			} );
+		},
+
+		/**
+		 * Read the selection rules from the rules panel.
+		 *
+		 * Blank fields are sent as 0, which the server treats as "no rule".
+		 *
+		 * @return {Object} Rules in the shape BCG_Product_Selector::sanitise_rules() expects.
+		 */
+		getProductRules: function() {
+			function ids( selector ) {
+				return $( selector + ':checked' ).map( function() {
+					return parseInt( $( this ).val(), 10 );
+				} ).get();
+			}
+
+			return {
+				price_min:          parseFloat( $( '#bcg-rule-price-min' ).val() ) || 0,
+				price_max:          parseFloat( $( '#bcg-rule-price-max' ).val() ) || 0,
+				on_sale:            $( '#bcg-rule-on-sale' ).prop( 'checked' ) ? 1 : 0,
+				min_stock:          parseInt( $( '#bcg-rule-min-stock' ).val(), 10 ) || 0,
+				tag_ids:            ids( '#bcg-product-rules .bcg-rule-tag' ),
+				attribute_term_ids: ids( '#bcg-product-rules .bcg-rule-attribute' ),
+				exclude_recent:     parseInt( $( '#bcg-rule-exclude-recent' ).val(), 10 ) || 0
+			};
+		},
+
+		/**
+		 * Fill the rules panel from saved rules.
+		 *
+		 * @param {Object} rules Rules from getProductRules().
+		 * @return {void}
+		 */
+		setProductRules: function( rules ) {
+			function number( value ) {
+				return parseFloat( value ) > 0 ? String( value ) : '';
+			}
+
+			function check( selector, values ) {
+				values = $.map( values || [], function( id ) {
+					return parseInt( id, 10 );
+				} );
+
+				$( selector ).each( function() {
+					$( this ).prop( 'checked', values.indexOf( parseInt( $( this ).val(), 10 ) ) !== -1 );
+				} );
+			}
+
+			$( '#bcg-rule-price-min' ).val( number( rules.price_min ) );
+			$( '#bcg-rule-price-max' ).val( number( rules.price_max ) );
+			$( '#bcg-rule-on-sale' ).prop( 'checked', !! parseInt( rules.on_sale, 10 ) || true === rules.on_sale );
+			$( '#bcg-rule-min-stock' ).val( number( rules.min_stock ) );
+			$( '#bcg-rule-exclude-recent' ).val( number( rules.exclude_recent ) );
+			check( '#bcg-product-rules .bcg-rule-tag', rules.tag_ids );
+			check( '#bcg-product-rules .bcg-rule-attribute', rules.attribute_term_ids );
+
+			this.updateProductRulesCount();
+		},
+
+		/**
+		 * Show how many rules are active on the collapsed panel header.
+		 *
+		 * @return {void}
+		 */
+		updateProductRulesCount: function() {
+			var rules  = this.getProductRules();
+			var active = 0;
+
+			$.each( rules, function( key, value ) {
+				if ( Array.isArray( value ) ? value.length : value ) {
+					active++;
+				}
+			} );
+
+			$( '#bcg-product-rules-count' )
+				.text( bcg_campaign_builder.i18n.rules_active.replace( '%d', active ) )
+				.toggle( active > 0 );
+		},
+
 		// ─── Coupon Toggle ─────────────────────────────────────────
 
 		/**
@@ -656,6 +880,62 @@
 			} );
 		},
 
+		// ─── Translations ──────────────────────────────────────────
+
+		/**
+		 * Keep the "Also translate into" choices in line with the main
+		 * language and the translation limit.
+		 *
+		 * @return {void}
+		 */
+		bindTranslationLanguages: function() {
+			var self = this;
+
+			$( '#bcg-language' ).on( 'change', function() {
+				self.updateTranslationLanguages();
+			} );
+
+			$( '#bcg-translation-languages' ).on( 'change', '.bcg-translation-language', function() {
+				self.updateTranslationLanguages();
+			} );
+
+			self.updateTranslationLanguages();
+		},
+
+		/**
+		 * Untick and disable the main language, and disable the remaining
+		 * languages once the limit is reached.
+		 *
+		 * @return {void}
+		 */
+		updateTranslationLanguages: function() {
+			var main = $( '#bcg-language' ).val();
+			var $all = $( '#bcg-translation-languages .bcg-translation-language' );
+			var max  = parseInt( $( '#bcg-translation-languages' ).data( 'max' ), 10 ) || 5;
+
+			$all.filter( function() {
+				return $( this ).val() === main;
+			} ).prop( 'checked', false );
+
+			var full = $all.filter( ':checked' ).length >= max;
+
+			$all.each( function() {
+				var $box = $( this );
+				$box.prop( 'disabled', $box.val() === main || ( full && ! $box.prop( 'checked' ) ) );
+			} );
+		},
+
+		/**
+		 * Get the languages ticked under "Also translate into".
+		 *
+		 * @return {Array} Language codes.
+		 */
+		getTranslationLanguages: function() {
+			return $( '#bcg-translation-languages .bcg-translation-language:checked' ).map( function() {
+				return $( this ).val();
+			} ).get();
+		},
+
 		// ─── Mailing List ──────────────────────────────────────────
 
 		/**
@@ -909,6 +1189,7 @@
 		 * @return {void}
 		 */
 		loadSectionTemplates: function() {
+			var self     = this;
 			var $grid    = $( '#bcg-my-templates-grid' );
 			var $loading = $( '#bcg-my-templates-loading' );
 
@@ -942,6 +1223,11 @@
 							);
 						$grid.append( $card );
 					} );
+
+					// A restored draft or preset may point at one of these.
+					if ( self.pendingSectionTemplateId ) {
+						self.selectSectionTemplate( self.pendingSectionTemplateId );
+					}
 				},
 				error: function () {
 					$loading.remove();
@@ -994,6 +1280,8 @@
 
 			// Show only step 1, hide all others.
 			function showStep( n ) {
+				self.currentStep = n;
+
 				$( '.bcg-wizard-section' ).hide();
 				$( '.bcg-wizard-section[data-step="' + n + '"]' ).show();
 
@@ -1025,6 +1313,9 @@
 				return;
 			}
 
+			// Exposed so a restored draft can reopen the step it was on.
+			self.showStep = showStep;
+
 			// Start on step 1.
 			showStep( 1 );
 
@@ -1053,259 +1344,1323 @@
 			} );
 		},
 
-		// ─── Form Validation & Submit ──────────────────────────────
+		// ─── Drafts & Presets ─────────────────────────────────────
 
 		/**
-		 * Bind the form submission handler.
+		 * Set up draft autosave, the resume prompt and the presets bar.
+		 *
+		 * The newer of the server draft and the localStorage copy is
+		 * offered for resuming. Autosave stays paused until the user
+		 * answers, so an unanswered prompt never overwrites the draft.
 		 *
 		 * @return {void}
 		 */
-		bindFormSubmit: function() {
-			var self = this;
+		initDrafts: function() {
+			var self   = this;
+			var server = bcg_campaign_builder.draft || null;
+			var local  = self.readLocalDraft();
+			var draft  = server;
+
+			if ( local && ( ! server || local.saved_at > server.saved_at ) ) {
+				draft = local;
+			}
 
-			$( '#bcg-campaign-wizard' ).on( 'submit', function( e ) {
-				e.preventDefault();
+			self.lastDraftJson = JSON.stringify( self.collectState() );
 
-				if ( self.isGenerating ) {
-					return;
-				}
+			// Editing a recurring campaign leaves the user's draft alone.
+			if ( bcg_campaign_builder.recurring ) {
+				self.draftSuspended = true;
+				self.editRecurring( bcg_campaign_builder.recurring );
+			} else if ( draft && draft.state ) {
+				self.showDraftPrompt( draft );
+			}
 
-				if ( ! self.validateForm() ) {
-					return;
+			// Field edits. Preset and search controls live outside the
+			// form or are not part of the state, so they never trigger it.
+			$( '#bcg-campaign-wizard' ).on( 'input change', ':input', function() {
+				if ( 'bcg-product-search' !== this.id ) {
+					self.scheduleDraftSave();
 				}
-
-				self.startGeneration();
 			} );
-		},
-
-		/**
-		 * Validate the campaign wizard form before submission.
-		 *
-		 * @return {boolean} True if valid, false otherwise.
-		 */
-		validateForm: function() {
-			var errors = [];
-
-			// Clear previous errors.
-			$( '.bcg-field-error' ).removeClass( 'bcg-field-error' );
-			this.clearNotices();
-
-			// Manual source requires at least one product.
-			var source = $( 'input[name="product_source"]:checked' ).val();
-			if ( 'manual' === source && this.manualProductIds.length < 1 ) {
-				errors.push( bcg_campaign_builder.i18n.manual_products_required );
-			}
 
-			// Coupon validation if enabled.
-			if ( $( '#bcg-generate-coupon' ).prop( 'checked' ) ) {
-				var discount = parseFloat( $( '#bcg-discount-value' ).val() );
-				if ( isNaN( discount ) || discount <= 0 ) {
-					errors.push( bcg_campaign_builder.i18n.discount_required );
-					$( '#bcg-discount-value' ).addClass( 'bcg-field-error' );
+			// State changes that are clicks rather than field edits.
+			$( '#bcg-campaign-wizard' ).on(
+				'click',
+				'.bcg-template-card, .bcg-section-template-card, .bcg-search-result-item, .bcg-manual-product-remove, #bcg-category-select-all, #bcg-category-deselect-all, .bcg-wizard-next, .bcg-wizard-prev',
+				function() {
+					self.scheduleDraftSave();
 				}
-			}
+			);
 
-			if ( errors.length ) {
-				this.showNotice( errors.join( '<br>' ), 'error' );
-				return false;
-			}
+			$( '#bcg-wizard-draft-resume' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.resumeDraft();
+			} );
 
-			return true;
-		},
+			$( '#bcg-wizard-draft-discard' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.discardDraft();
+			} );
 
-		// ─── Generation Pipeline ───────────────────────────────────
+			self.bindPresets();
+			self.renderPresets( bcg_campaign_builder.presets || [] );
+		},
 
 		/**
-		 * Build the form data payload for one campaign generation request.
+		 * Collect everything needed to restore the wizard.
 		 *
-		 * Centralises all form-field reads so startGeneration can call
-		 * it once per iteration without duplicating code.
+		 * The buildPayload() fields plus the manual product labels,
+		 * campaign count, variation rows and current step.
 		 *
-		 * @return {Object} Data object suitable for passing to $.ajax data.
+		 * @return {Object}
 		 */
-		buildPayload: function() {
-			var self = this;
+		collectState: function() {
+			var state = this.buildPayload();
 
-			return {
-				action:              'bcg_generate_campaign',
-				nonce:               bcg_campaign_builder.nonce,
-				campaign_title:      $( '#bcg-campaign-title' ).val(),
-				subject_line:        $( '#bcg-subject-line' ).val(),
-				preview_text:        $( '#bcg-preview-text' ).val(),
-				mailing_list_id:     $( '#bcg-mailing-list' ).val(),
-				product_count:       $( '#bcg-product-count' ).val(),
-				product_source:      $( 'input[name="product_source"]:checked' ).val(),
-				category_ids:        self.getSelectedCategories(),
-				manual_product_ids:  self.manualProductIds,
-				generate_coupon:     $( '#bcg-generate-coupon' ).prop( 'checked' ) ? '1' : '0',
-				coupon_type:         $( 'input[name="coupon_type"]:checked' ).val(),
-				coupon_discount:     $( '#bcg-discount-value' ).val(),
-				coupon_expiry_days:  $( '#bcg-coupon-expiry' ).val(),
-				coupon_prefix:       $( '#bcg-coupon-prefix' ).val(),
-				tone:                $( '#bcg-tone' ).val(),
-				theme:               $( '#bcg-theme' ).val(),
-				language:            $( '#bcg-language' ).val(),
-				generate_images:     $( '#bcg-generate-images' ).prop( 'checked' ) ? '1' : '0',
-				image_style:         $( '#bcg-image-style' ).val(),
-				template_slug:       $( '#bcg-template-slug' ).val() || 'classic',
-				section_template_id: parseInt( $( '#bcg-section-template-id' ).val() || 0, 10 )
-			};
+			delete state.action;
+			delete state.nonce;
+
+			state.manual_products = $( '#bcg-manual-selected-products .bcg-manual-product-tag' ).map( function() {
+				return {
+					id:    parseInt( $( this ).data( 'product-id' ), 10 ),
+					name:  $( this ).find( '.bcg-manual-product-name' ).text(),
+					image: $( this ).find( '.bcg-manual-product-thumb' ).attr( 'src' ) || ''
+				};
+			} ).get();
+
+			state.campaign_count = this.getCampaignCount();
+			state.variations     = this.collectVariations();
+			state.step           = this.currentStep;
+
+			return state;
 		},
 
 		/**
-		 * Start the full campaign generation pipeline.
+		 * Restore the wizard fields from a saved state.
 		 *
-		 * Shows the progress overlay and fires the AJAX request one or
-		 * more times sequentially, based on the value of
-		 * #bcg-campaign-count (1-5, defaults to 1).  After all
-		 * generations complete the user is redirected to the dashboard.
+		 * Fields missing from the state keep their current value, so
+		 * older drafts and presets still apply cleanly.
 		 *
+		 * @param {Object} state State from collectState().
 		 * @return {void}
 		 */
-		startGeneration: function() {
-			var self = this;
-
-			self.isGenerating       = true;
-			self.generatedCampaigns = [];
-
-			var count = parseInt( $( '#bcg-campaign-count' ).val() || '1', 10 );
-			count = Math.min( Math.max( count, 1 ), 5 );
-
-			var $overlay = $( '#bcg-generation-overlay' );
-			var $btn     = $( '#bcg-generate-campaign-btn' );
-
-			// Reset all steps to pending state.
-			$( '.bcg-generation-step' ).each( function() {
-				$( this )
-					.removeClass( 'bcg-step-active bcg-step-complete bcg-step-error' )
-					.find( '.bcg-step-spinner' ).hide();
-				$( this ).find( '.bcg-step-check' ).hide();
-				$( this ).find( '.bcg-step-number' ).show();
-			} );
+		applyState: function( state ) {
+			var self      = this;
+			var suspended = self.draftSuspended;
 
-			$( '#bcg-generation-error' ).hide();
-			$( '#bcg-generation-actions' ).hide();
+			self.draftSuspended = true;
 
-			$btn.prop( 'disabled', true );
-			$overlay.fadeIn( 200 );
+			function setField( selector, value ) {
+				var $field = $( selector );
 
-			/**
-			 * Run a single generation iteration.
-			 *
-			 * @param {number} index 1-based iteration counter.
-			 */
-			function runNext( index ) {
-				if ( ! self.isGenerating ) {
-					// User cancelled via the overlay close button.
+				if ( undefined === value || null === value || ! $field.length ) {
 					return;
 				}
 
-				if ( index > count ) {
-					// All campaigns generated.
-					if ( 1 === count && self.generatedCampaigns.length > 0 && self.generatedCampaigns[0].redirect_url ) {
-						// Single campaign — go straight to the editor.
-						window.location.href = self.generatedCampaigns[0].redirect_url;
-					} else {
-						// Multiple campaigns — go to the dashboard.
-						window.location.href = bcg_campaign_builder.dashboard_url ||
-							( bcg_campaign_builder.admin_url + 'admin.php?page=bcg-dashboard' );
-					}
-					return;
+				$field.val( String( value ) );
+
+				if ( $field.is( 'select.bcg-select-styled' ) && typeof window.bcgRebuildCustomSelect === 'function' ) {
+					window.bcgRebuildCustomSelect( $field );
 				}
+			}
 
-				// Update progress label for bulk runs.
-				if ( count > 1 ) {
-					var $label = $( '#bcg-generation-overlay .bcg-progress-label' );
-					if ( $label.length ) {
-						$label.text( 'Generating campaign ' + index + ' of ' + count + '...' );
-					}
+			function setRadio( name, value ) {
+				if ( value ) {
+					$( 'input[name="' + name + '"][value="' + String( value ).replace( /"/g, '' ) + '"]' )
+						.prop( 'checked', true )
+						.trigger( 'change' );
 				}
+			}
 
-				// Reset step indicators for each iteration.
-				$( '.bcg-generation-step' ).each( function() {
-					$( this )
-						.removeClass( 'bcg-step-active bcg-step-complete bcg-step-error' )
-						.find( '.bcg-step-spinner' ).hide();
-					$( this ).find( '.bcg-step-check' ).hide();
-					$( this ).find( '.bcg-step-number' ).show();
-				} );
+			// Template.
+			if ( parseInt( state.section_template_id, 10 ) > 0 ) {
+				self.selectSectionTemplate( parseInt( state.section_template_id, 10 ) );
+			} else if ( state.template_slug && 'sections' !== state.template_slug ) {
+				$( '.bcg-section-template-card' ).removeClass( 'bcg-section-template-card-active' );
+				$( '#bcg-section-template-id' ).val( 0 );
+				$( '#bcg-template-picker .bcg-template-card' ).removeClass( 'bcg-template-card-active' )
+					.filter( function() {
+						return $( this ).data( 'slug' ) === state.template_slug;
+					} )
+					.addClass( 'bcg-template-card-active' );
+				$( '#bcg-template-slug' ).val( state.template_slug );
+			}
 
-				self.activateStep( 'products' );
+			// Basics.
+			setField( '#bcg-campaign-title', state.campaign_title );
+			setField( '#bcg-subject-line', state.subject_line );
+			setField( '#bcg-preview-text', state.preview_text );
 
-				var data = self.buildPayload();
-				data.campaign_index = index;
+			if ( state.mailing_list_id ) {
+				// Also re-selected by loadMailingLists() if the lists are still loading.
+				$( '#bcg-mailing-list' ).data( 'current', state.mailing_list_id );
+				setField( '#bcg-mailing-list', state.mailing_list_id );
+			}
+
+			// Products.
+			setField( '#bcg-product-count', state.product_count );
+			setRadio( 'product_source', state.product_source );
+
+			if ( Array.isArray( state.category_ids ) ) {
+				$( '#bcg-category-tree .bcg-category-checkbox' ).each( function() {
+					$( this ).prop( 'checked', state.category_ids.indexOf( parseInt( $( this ).val(), 10 ) ) !== -1 );
+				} );
+			}
+
+			if ( state.product_rules && 'object' === typeof state.product_rules ) {
+				self.setProductRules( state.product_rules );
+			}
+
+			if ( Array.isArray( state.manual_products ) || Array.isArray( state.manual_product_ids ) ) {
+				var products = state.manual_products || $.map( state.manual_product_ids, function( id ) {
+					return { id: id, name: '#' + id, image: '' };
+				} );
+
+				self.manualProductIds = [];
+				$( '#bcg-manual-selected-products' ).empty();
+
+				$.each( products, function( i, product ) {
+					var id = parseInt( product.id, 10 );
+					if ( id && self.manualProductIds.indexOf( id ) === -1 ) {
+						self.addManualProduct( id, product.name || '#' + id, product.image || '' );
+					}
+				} );
+
+				self.updateManualProductIds();
+			}
+
+			// Coupon.
+			if ( undefined !== state.generate_coupon ) {
+				$( '#bcg-generate-coupon' ).prop( 'checked', '1' === String( state.generate_coupon ) );
+				self.toggleCouponDetails();
+			}
+
+			setRadio( 'coupon_type', state.coupon_type );
+			setField( '#bcg-discount-value', state.coupon_discount );
+			setField( '#bcg-coupon-expiry', state.coupon_expiry_days );
+			setField( '#bcg-coupon-prefix', state.coupon_prefix );
+
+			// AI & generate.
+			setField( '#bcg-tone', state.tone );
+			setField( '#bcg-theme', state.theme );
+			setField( '#bcg-language', state.language );
+
+			if ( Array.isArray( state.languages ) ) {
+				$( '#bcg-translation-languages .bcg-translation-language' ).each( function() {
+					$( this ).prop( 'checked', state.languages.indexOf( $( this ).val() ) !== -1 );
+				} );
+				self.updateTranslationLanguages();
+			}
+			setField( '#bcg-image-style', state.image_style );
+
+			if ( undefined !== state.generate_images ) {
+				$( '#bcg-generate-images' )
+					.prop( 'checked', '1' === String( state.generate_images ) )
+					.trigger( 'change' );
+			}
+
+			if ( state.campaign_count ) {
+				setField( '#bcg-campaign-count', state.campaign_count );
+				self.renderVariations( self.getCampaignCount() );
+
+				$( '#bcg-variations-list .bcg-variation-row' ).each( function( i ) {
+					var variation = ( state.variations || [] )[ i ];
+					if ( variation ) {
+						$( this ).find( '.bcg-variation-theme' ).val( variation.theme || '' );
+						setField( $( this ).find( '.bcg-variation-source' ), variation.product_source || '' );
+					}
+				} );
+			}
+
+			self.draftSuspended = suspended;
+		},
+
+		/**
+		 * Select a My Templates card, or remember it until the grid loads.
+		 *
+		 * @param {number} id Section template ID.
+		 * @return {void}
+		 */
+		selectSectionTemplate: function( id ) {
+			var $card = $( '.bcg-section-template-card' ).filter( function() {
+				return parseInt( $( this ).data( 'id' ), 10 ) === id;
+			} );
+
+			$( '.bcg-template-card' ).removeClass( 'bcg-template-card-active' );
+			$( '.bcg-section-template-card' ).removeClass( 'bcg-section-template-card-active' );
+			$( '#bcg-template-slug' ).val( 'sections' );
+			$( '#bcg-section-template-id' ).val( id );
+
+			if ( $card.length ) {
+				$card.addClass( 'bcg-section-template-card-active' );
+				this.pendingSectionTemplateId = 0;
+			} else {
+				this.pendingSectionTemplateId = id;
+			}
+		},
+
+		/**
+		 * Show the "Resume your unfinished campaign?" prompt.
+		 *
+		 * @param {Object} draft Draft { state, saved_at }.
+		 * @return {void}
+		 */
+		showDraftPrompt: function( draft ) {
+			var i18n  = bcg_campaign_builder.i18n;
+			var title = draft.state.campaign_title || draft.state.subject_line || i18n.draft_untitled;
+			var when  = draft.saved_at ? new Date( draft.saved_at * 1000 ).toLocaleString() : '';
+
+			this.pendingDraft   = draft;
+			this.draftSuspended = true;
+
+			$( '#bcg-wizard-draft-summary' ).text(
+				'“' + title + '”' + ( when ? ' ' + i18n.draft_saved_at.replace( '%s', when ) : '' )
+			);
+			$( '#bcg-wizard-draft-prompt' ).show();
+		},
+
+		/**
+		 * Restore the offered draft and resume autosaving.
+		 *
+		 * @return {void}
+		 */
+		resumeDraft: function() {
+			var draft = this.pendingDraft;
+
+			$( '#bcg-wizard-draft-prompt' ).hide();
+			this.pendingDraft = null;
+
+			if ( draft ) {
+				this.applyState( draft.state );
+
+				if ( draft.state.step && this.showStep ) {
+					this.showStep( parseInt( draft.state.step, 10 ) || 1 );
+				}
+			}
+
+			this.draftSuspended = false;
+
+			// Re-save so the server catches up with a newer local copy.
+			this.lastDraftJson = '';
+			this.scheduleDraftSave();
+		},
+
+		/**
+		 * Throw the offered draft away, locally and on the server.
+		 *
+		 * @return {void}
+		 */
+		discardDraft: function() {
+			$( '#bcg-wizard-draft-prompt' ).hide();
+
+			this.pendingDraft   = null;
+			this.draftSuspended = false;
+			this.removeLocalDraft();
+
+			$.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action: 'bcg_clear_wizard_draft',
+					nonce:  bcg_campaign_builder.nonce
+				}
+			} );
+		},
+
+		/**
+		 * Queue a draft autosave after the user stops editing.
+		 *
+		 * @return {void}
+		 */
+		scheduleDraftSave: function() {
+			var self = this;
+
+			if ( self.draftSuspended || self.isGenerating ) {
+				return;
+			}
+
+			if ( self.draftTimer ) {
+				clearTimeout( self.draftTimer );
+			}
+
+			self.draftTimer = setTimeout( function() {
+				self.draftTimer = null;
+				self.saveDraft();
+			}, self.draftDelay );
+		},
+
+		/**
+		 * Save the wizard state to localStorage and the server.
+		 *
+		 * The local copy is written first so the draft survives even when
+		 * the request fails (expired session, network loss).
+		 *
+		 * @return {void}
+		 */
+		saveDraft: function() {
+			var self  = this;
+			var i18n  = bcg_campaign_builder.i18n;
+			var state = self.collectState();
+			var json  = JSON.stringify( state );
+
+			if ( self.draftSuspended || self.isGenerating || json === self.lastDraftJson ) {
+				return;
+			}
+
+			self.lastDraftJson = json;
+			self.writeLocalDraft( { state: state, saved_at: Math.floor( Date.now() / 1000 ) } );
+
+			if ( self.activeRequests.draft ) {
+				self.activeRequests.draft.abort();
+			}
+
+			self.activeRequests.draft = $.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action: 'bcg_save_wizard_draft',
+					nonce:  bcg_campaign_builder.nonce,
+					state:  json
+				},
+				success: function( response ) {
+					$( '#bcg-wizard-draft-status' ).text( response.success ? i18n.draft_saved : i18n.draft_saved_locally );
+				},
+				error: function( jqXHR, textStatus ) {
+					if ( 'abort' !== textStatus ) {
+						$( '#bcg-wizard-draft-status' ).text( i18n.draft_saved_locally );
+					}
+				},
+				complete: function() {
+					delete self.activeRequests.draft;
+				}
+			} );
+		},
+
+		/**
+		 * localStorage key for the current user's draft.
+		 *
+		 * @return {string}
+		 */
+		localDraftKey: function() {
+			return 'bcg_wizard_draft_' + ( bcg_campaign_builder.user_id || 0 );
+		},
+
+		/**
+		 * Read the draft kept in localStorage.
+		 *
+		 * @return {Object|null} Draft { state, saved_at }, or null.
+		 */
+		readLocalDraft: function() {
+			try {
+				var draft = JSON.parse( localStorage.getItem( this.localDraftKey() ) || 'null' );
+				return draft && draft.state ? draft : null;
+			} catch ( e ) {
+				return null;
+			}
+		},
+
+		/**
+		 * Write the draft to localStorage.
+		 *
+		 * @param {Object} draft Draft { state, saved_at }.
+		 * @return {void}
+		 */
+		writeLocalDraft: function( draft ) {
+			try {
+				localStorage.setItem( this.localDraftKey(), JSON.stringify( draft ) );
+			} catch ( e ) {
+				// Storage full or disabled — the server copy still applies.
+			}
+		},
+
+		/**
+		 * Remove the draft from localStorage.
+		 *
+		 * @return {void}
+		 */
+		removeLocalDraft: function() {
+			try {
+				localStorage.removeItem( this.localDraftKey() );
+			} catch ( e ) {
+				// Storage disabled — nothing to remove.
+			}
+		},
+
+		/**
+		 * Bind the presets bar: choose, apply, save and delete.
+		 *
+		 * @return {void}
+		 */
+		bindPresets: function() {
+			var self = this;
+
+			$( '#bcg-wizard-preset-select' ).on( 'change', function() {
+				var chosen = '' !== $( this ).val();
+				$( '#bcg-wizard-preset-apply, #bcg-wizard-preset-delete' ).prop( 'disabled', ! chosen );
+			} );
+
+			$( '#bcg-wizard-preset-apply' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.applyPreset( $( '#bcg-wizard-preset-select' ).val() );
+			} );
+
+			$( '#bcg-wizard-preset-save' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.savePreset();
+			} );
+
+			$( '#bcg-wizard-preset-delete' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.deletePreset( $( '#bcg-wizard-preset-select' ).val() );
+			} );
+		},
+
+		/**
+		 * Fill the presets dropdown.
+		 *
+		 * @param {Array} presets Presets { id, name, state }.
+		 * @return {void}
+		 */
+		renderPresets: function( presets ) {
+			var $select = $( '#bcg-wizard-preset-select' );
+			var current = $select.val();
+
+			this.presets = presets;
+
+			$select.find( 'option' ).not( ':first' ).remove();
+
+			$.each( presets, function( i, preset ) {
+				$( '<option>' ).val( preset.id ).text( preset.name ).appendTo( $select );
+			} );
+
+			$select.val( $select.find( 'option[value="' + current + '"]' ).length ? current : '' );
+			$( '#bcg-wizard-preset-apply, #bcg-wizard-preset-delete' ).prop( 'disabled', '' === $select.val() );
+
+			if ( typeof window.bcgRebuildCustomSelect === 'function' ) {
+				window.bcgRebuildCustomSelect( $select );
+			}
+		},
+
+		/**
+		 * Apply a preset to the wizard.
+		 *
+		 * @param {string} presetId Preset ID.
+		 * @return {void}
+		 */
+		applyPreset: function( presetId ) {
+			var preset = $.grep( this.presets || [], function( p ) {
+				return p.id === presetId;
+			} )[ 0 ];
+
+			if ( ! preset ) {
+				return;
+			}
+
+			this.applyState( preset.state );
+			this.showNotice( this.escapeHtml( bcg_campaign_builder.i18n.preset_applied ), 'success' );
+			this.scheduleDraftSave();
+		},
+
+		/**
+		 * Save the current wizard settings as a named preset.
+		 *
+		 * @return {void}
+		 */
+		savePreset: function() {
+			var self     = this;
+			var i18n     = bcg_campaign_builder.i18n;
+			var selected = $( '#bcg-wizard-preset-select option:selected' );
+			var name     = window.prompt( i18n.preset_name_prompt, selected.val() ? selected.text() : '' );
+
+			if ( null === name || '' === $.trim( name ) ) {
+				return;
+			}
+
+			$.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action: 'bcg_save_wizard_preset',
+					nonce:  bcg_campaign_builder.nonce,
+					name:   $.trim( name ),
+					state:  JSON.stringify( self.collectState() )
+				},
+				success: function( response ) {
+					if ( response.success ) {
+						$( '#bcg-wizard-preset-select' ).val( response.data.preset.id );
+						self.renderPresets( response.data.presets );
+						self.showNotice( self.escapeHtml( i18n.preset_saved ), 'success' );
+					} else {
+						self.showNotice( self.escapeHtml( response.data && response.data.message ? response.data.message : i18n.preset_error ), 'error' );
+					}
+				},
+				error: function() {
+					self.showNotice( self.escapeHtml( i18n.preset_error ), 'error' );
+				}
+			} );
+		},
+
+		/**
+		 * Delete a preset after confirmation.
+		 *
+		 * @param {string} presetId Preset ID.
+		 * @return {void}
+		 */
+		deletePreset: function( presetId ) {
+			var self = this;
+			var name = $( '#bcg-wizard-preset-select option:selected' ).text();
+
+			if ( ! presetId || ! window.confirm( bcg_campaign_builder.i18n.preset_confirm_delete.replace( '%s', name ) ) ) {
+				return;
+			}
+
+			$.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action:    'bcg_delete_wizard_preset',
+					nonce:     bcg_campaign_builder.nonce,
+					preset_id: presetId
+				},
+				success: function( response ) {
+					if ( response.success ) {
+						self.renderPresets( response.data.presets );
+					} else if ( response.data && response.data.message ) {
+						self.showNotice( self.escapeHtml( response.data.message ), 'error' );
+					}
+				}
+			} );
+		},
+
+		// ─── Recurring Campaigns ───────────────────────────────────
+
+		/**
+		 * Bind the "Repeat automatically" panel.
+		 *
+		 * @return {void}
+		 */
+		bindRecurring: function() {
+			var self = this;
+
+			$( '#bcg-recurring-enabled' ).on( 'change', function() {
+				$( '#bcg-recurring-settings' ).toggle( this.checked );
+
+				if ( this.checked && ! $.trim( $( '#bcg-recurring-name' ).val() ) ) {
+					$( '#bcg-recurring-name' ).val( $( '#bcg-campaign-title' ).val() );
+				}
+			} );
+
+			$( '#bcg-recurring-frequency, #bcg-recurring-brevo-action' ).on( 'change', function() {
+				self.toggleRecurringFields();
+			} );
+
+			$( '#bcg-recurring-save' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.saveRecurring();
+			} );
+		},
+
+		/**
+		 * Show the schedule fields that apply to the chosen frequency and
+		 * Brevo action.
+		 *
+		 * @return {void}
+		 */
+		toggleRecurringFields: function() {
+			var frequency = $( '#bcg-recurring-frequency' ).val();
+
+			$( '#bcg-recurring-weekday-field' ).toggle( 'weekly' === frequency );
+			$( '#bcg-recurring-month-day-field' ).toggle( 'monthly' === frequency );
+			$( '#bcg-recurring-send-delay-field' ).toggle( 'schedule' === $( '#bcg-recurring-brevo-action' ).val() );
+		},
+
+		/**
+		 * Read the schedule fields.
+		 *
+		 * @return {Object} Fields accepted by BCG_Recurring_Campaigns::sanitise_schedule().
+		 */
+		getRecurringSchedule: function() {
+			return {
+				frequency:    $( '#bcg-recurring-frequency' ).val(),
+				weekday:      $( '#bcg-recurring-weekday' ).val(),
+				month_day:    $( '#bcg-recurring-month-day' ).val(),
+				run_time:     $( '#bcg-recurring-time' ).val(),
+				brevo_action: $( '#bcg-recurring-brevo-action' ).val(),
+				send_delay:   $( '#bcg-recurring-send-delay' ).val()
+			};
+		},
+
+		/**
+		 * Load a recurring campaign into the wizard for editing.
+		 *
+		 * @param {Object} recurring Recurring campaign { id, name, state, schedule }.
+		 * @return {void}
+		 */
+		editRecurring: function( recurring ) {
+			var schedule = recurring.schedule || {};
+
+			this.recurringId = parseInt( recurring.id, 10 ) || 0;
+			this.applyState( recurring.state || {} );
+
+			$( '#bcg-recurring-name' ).val( recurring.name );
+			$( '#bcg-recurring-frequency' ).val( schedule.frequency );
+			$( '#bcg-recurring-weekday' ).val( String( schedule.weekday ) );
+			$( '#bcg-recurring-month-day' ).val( schedule.month_day );
+			$( '#bcg-recurring-time' ).val( schedule.run_time );
+			$( '#bcg-recurring-brevo-action' ).val( schedule.brevo_action );
+			$( '#bcg-recurring-send-delay' ).val( schedule.send_delay );
+
+			if ( typeof window.bcgRebuildCustomSelect === 'function' ) {
+				$( '#bcg-recurring-settings select.bcg-select-styled' ).each( function() {
+					window.bcgRebuildCustomSelect( $( this ) );
+				} );
+			}
+
+			$( '#bcg-recurring-enabled' ).prop( 'checked', true );
+			$( '#bcg-recurring-settings' ).show();
+			$( '#bcg-recurring-save .bcg-recurring-save-label' ).text( bcg_campaign_builder.i18n.recurring_update );
+			this.toggleRecurringFields();
+
+			this.showNotice( this.escapeHtml( bcg_campaign_builder.i18n.recurring_editing.replace( '%s', recurring.name ) ), 'info' );
+		},
+
+		/**
+		 * Save the wizard settings and schedule as a recurring campaign,
+		 * then return to the dashboard.
+		 *
+		 * @return {void}
+		 */
+		saveRecurring: function() {
+			var self = this;
+			var i18n = bcg_campaign_builder.i18n;
+			var $btn = $( '#bcg-recurring-save' );
+
+			if ( ! self.validateForm() ) {
+				return;
+			}
+
+			$btn.prop( 'disabled', true );
+
+			$.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: $.extend( {
+					action:       'bcg_save_recurring',
+					nonce:        bcg_campaign_builder.nonce,
+					recurring_id: self.recurringId,
+					name:         $.trim( $( '#bcg-recurring-name' ).val() ),
+					state:        JSON.stringify( self.collectState() )
+				}, self.getRecurringSchedule() ),
+				success: function( response ) {
+					if ( response.success ) {
+						if ( ! self.recurringId ) {
+							self.removeLocalDraft();
+						}
+						window.location.href = response.data.redirect_url || bcg_campaign_builder.dashboard_url;
+						return;
+					}
+
+					self.showNotice( self.escapeHtml( response.data && response.data.message ? response.data.message : i18n.recurring_error ), 'error' );
+					$btn.prop( 'disabled', false );
+				},
+				error: function() {
+					self.showNotice( self.escapeHtml( i18n.recurring_error ), 'error' );
+					$btn.prop( 'disabled', false );
+				}
+			} );
+		},
+
+		// ─── Form Validation & Submit ──────────────────────────────
+
+		/**
+		 * Bind the form submission handler.
+		 *
+		 * @return {void}
+		 */
+		bindFormSubmit: function() {
+			var self = this;
+
+			$( '#bcg-campaign-wizard' ).on( 'submit', function( e ) {
+				e.preventDefault();
+
+				if ( self.isGenerating ) {
+					return;
+				}
+
+				if ( ! self.validateForm() ) {
+					return;
+				}
+
+				if ( self.getCampaignCount() > 1 ) {
+					self.enqueueGeneration();
+				} else {
+					self.startGeneration();
+				}
+			} );
+		},
+
+		/**
+		 * Bind the "Number of campaigns" field.
+		 *
+		 * Shows one variation row per campaign when more than one is
+		 * requested, keeping whatever was already typed into existing rows.
+		 *
+		 * @return {void}
+		 */
+		bindCampaignCount: function() {
+			var self = this;
+
+			$( '#bcg-campaign-count' ).on( 'input change', function() {
+				self.renderVariations( self.getCampaignCount() );
+			} );
+		},
+
+		/**
+		 * Read the requested number of campaigns, clamped to the queue limit.
+		 *
+		 * @return {number}
+		 */
+		getCampaignCount: function() {
+			var $input = $( '#bcg-campaign-count' );
+			var max    = parseInt( $input.attr( 'max' ) || '50', 10 );
+			var count  = parseInt( $input.val() || '1', 10 );
+
+			return isNaN( count ) ? 1 : Math.min( Math.max( count, 1 ), max );
+		},
+
+		/**
+		 * Render one theme / product source row per campaign.
+		 *
+		 * @param {number} count Number of campaigns.
+		 * @return {void}
+		 */
+		renderVariations: function( count ) {
+			var i18n  = bcg_campaign_builder.i18n;
+			var $list = $( '#bcg-variations-list' );
+			var $rows = $list.children( '.bcg-variation-row' );
+			var i;
+
+			$( '#bcg-variations' ).toggle( count > 1 );
+
+			if ( count < 2 ) {
+				return;
+			}
+
+			$rows.slice( count ).remove();
+
+			for ( i = $rows.length + 1; i <= count; i++ ) {
+				var $source = $( '<select class="bcg-select-styled bcg-variation-source">' )
+					.append( $( '<option value="">' ).text( i18n.variation_same_source ) )
+					.append( $( '<option value="bestsellers">' ).text( i18n.source_bestsellers ) )
+					.append( $( '<option value="leastsold">' ).text( i18n.source_leastsold ) )
+					.append( $( '<option value="latest">' ).text( i18n.source_latest ) )
+					.append( $( '<option value="margin">' ).text( i18n.source_margin ) );
+
+				$( '<div class="bcg-variation-row">' )
+					.append( $( '<span class="bcg-variation-number">' ).text( i ) )
+					.append(
+						$( '<input type="text" class="regular-text bcg-variation-theme">' )
+							.attr( 'placeholder', i18n.variation_theme_placeholder )
+					)
+					.append( $source )
+					.appendTo( $list );
+			}
+		},
+
+		/**
+		 * Collect the per-campaign overrides from the variation rows.
+		 *
+		 * @return {Array} One { theme, product_source } object per campaign.
+		 */
+		collectVariations: function() {
+			var variations = [];
+
+			$( '#bcg-variations-list .bcg-variation-row' ).each( function() {
+				variations.push( {
+					theme:          $.trim( $( this ).find( '.bcg-variation-theme' ).val() ),
+					product_source: $( this ).find( '.bcg-variation-source' ).val()
+				} );
+			} );
+
+			return variations;
+		},
+
+		/**
+		 * Queue several campaigns for background generation.
+		 *
+		 * The server stores the batch and returns immediately; the user is
+		 * sent to the dashboard, where the queue panel shows progress.
+		 *
+		 * @return {void}
+		 */
+		enqueueGeneration: function() {
+			var self = this;
+			var $btn = $( '#bcg-generate-campaign-btn' );
+			var data = self.buildPayload();
+
+			data.action         = 'bcg_enqueue_generation';
+			data.campaign_count = self.getCampaignCount();
+			data.variations     = self.collectVariations();
+
+			self.isGenerating = true;
+			$btn.prop( 'disabled', true );
+
+			$.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: data,
+				success: function( response ) {
+					if ( response.success ) {
+						self.removeLocalDraft();
+						window.location.href = response.data.redirect_url || bcg_campaign_builder.dashboard_url;
+						return;
+					}
+
+					self.showNotice( self.escapeHtml( response.data && response.data.message ? response.data.message : bcg_campaign_builder.i18n.queue_failed ), 'error' );
+					self.isGenerating = false;
+					$btn.prop( 'disabled', false );
+				},
+				error: function() {
+					self.showNotice( bcg_campaign_builder.i18n.queue_failed, 'error' );
+					self.isGenerating = false;
+					$btn.prop( 'disabled', false );
+				}
+			} );
+		},
+
+		/**
+		 * Validate the campaign wizard form before submission.
+		 *
+		 * @return {boolean} True if valid, false otherwise.
+		 */
+		validateForm: function() {
+			var errors = [];
+
+			// Clear previous errors.
+			$( '.bcg-field-error' ).removeClass( 'bcg-field-error' );
+			this.clearNotices();
+
+			// Manual source requires at least one product.
+			var source = $( 'input[name="product_source"]:checked' ).val();
+			if ( 'manual' === source && this.manualProductIds.length < 1 ) {
+				errors.push( bcg_campaign_builder.i18n.manual_products_required );
+			}
+
+			// Coupon validation if enabled.
+			if ( $( '#bcg-generate-coupon' ).prop( 'checked' ) ) {
+				var discount = parseFloat( $( '#bcg-discount-value' ).val() );
+				if ( isNaN( discount ) || discount <= 0 ) {
+					errors.push( bcg_campaign_builder.i18n.discount_required );
+					$( '#bcg-discount-value' ).addClass( 'bcg-field-error' );
+				}
+			}
+
+			if ( errors.length ) {
+				this.showNotice( errors.join( '<br>' ), 'error' );
+				return false;
+			}
+
+			return true;
+		},
+
+		// ─── Generation Pipeline ───────────────────────────────────
+
+		/**
+		 * Build the form data payload for one campaign generation request.
+		 *
+		 * Centralises all form-field reads so startGeneration and
+		 * enqueueGeneration send exactly the same settings.
+		 *
+		 * @return {Object} Data object suitable for passing to $.ajax data.
+		 */
+		buildPayload: function() {
+			var self = this;
+
+			return {
+				action:              'bcg_generate_campaign',
+				nonce:               bcg_campaign_builder.nonce,
+				campaign_title:      $( '#bcg-campaign-title' ).val(),
+				subject_line:        $( '#bcg-subject-line' ).val(),
+				preview_text:        $( '#bcg-preview-text' ).val(),
+				mailing_list_id:     $( '#bcg-mailing-list' ).val(),
+				product_count:       $( '#bcg-product-count' ).val(),
+				product_source:      $( 'input[name="product_source"]:checked' ).val(),
+				category_ids:        self.getSelectedCategories(),
+				manual_product_ids:  self.manualProductIds,
+				product_rules:       self.getProductRules(),
+				generate_coupon:     $( '#bcg-generate-coupon' ).prop( 'checked' ) ? '1' : '0',
+				coupon_type:         $( 'input[name="coupon_type"]:checked' ).val(),
+				coupon_discount:     $( '#bcg-discount-value' ).val(),
+				coupon_expiry_days:  $( '#bcg-coupon-expiry' ).val(),
+				coupon_prefix:       $( '#bcg-coupon-prefix' ).val(),
+				tone:                $( '#bcg-tone' ).val(),
+				theme:               $( '#bcg-theme' ).val(),
+				language:            $( '#bcg-language' ).val(),
+				languages:           self.getTranslationLanguages(),
+				generate_images:     $( '#bcg-generate-images' ).prop( 'checked' ) ? '1' : '0',
+				image_style:         $( '#bcg-image-style' ).val(),
+				template_slug:       $( '#bcg-template-slug' ).val() || 'classic',
+				section_template_id: parseInt( $( '#bcg-section-template-id' ).val() || 0, 10 )
+			};
+		},
+
+		/**
+		 * Start the full campaign generation pipeline for one campaign.
+		 *
+		 * Shows the progress overlay and fires the generation request,
+		 * which runs as a server-side job whose real progress is polled
+		 * while the request is in flight.  On success the user is
+		 * redirected to the editor; if any part failed the problems are
+		 * listed first and the user continues manually.  Several
+		 * campaigns are queued with enqueueGeneration() instead.
+		 *
+		 * @return {void}
+		 */
+		startGeneration: function() {
+			var self = this;
+
+			self.isGenerating = true;
+
+			var $overlay = $( '#bcg-generation-overlay' );
+			var $btn     = $( '#bcg-generate-campaign-btn' );
+
+			self.resetSteps();
+			self.activateStep( 'products' );
+
+			$( '#bcg-generation-error' ).hide();
+			$( '#bcg-generation-warnings' ).hide();
+			$( '#bcg-generation-actions' ).hide();
+			$( '#bcg-generation-cancel' ).show();
+			$( '#bcg-generation-continue' ).hide();
+
+			$btn.prop( 'disabled', true );
+			$overlay.fadeIn( 200 );
+
+			var data = self.buildPayload();
+			data.job_id = self.generateJobId();
+
+			self.currentJobId = data.job_id;
+			$( '#bcg-generation-abort' )
+				.prop( 'disabled', false )
+				.text( bcg_campaign_builder.i18n.cancel_generation )
+				.show();
+
+			self.startProgressPolling( data.job_id );
+
+			self.activeRequests.generate = $.ajax( {
+				url:     bcg_campaign_builder.ajax_url,
+				type:    'POST',
+				data:    data,
+				timeout: 120000,
+				success: function( response ) {
+					self.stopProgressPolling();
+
+					if ( ! self.isGenerating ) {
+						// User closed the overlay while the request ran.
+						return;
+					}
 
-				// Calculate expected duration for step animations.
-				var hasImages  = data.generate_images === '1';
-				var stepDelay1 = 2000;
-				var stepDelay2 = 8000;
-				var stepDelay3 = hasImages ? 15000 : 1000;
+					$( '#bcg-generation-abort' ).hide();
 
-				var t1 = setTimeout( function() {
-					if ( self.isGenerating ) {
-						self.completeStep( 'products' );
-						self.activateStep( 'copy' );
+					// The final job state is authoritative — render it
+					// so the last step reflects what actually happened.
+					if ( response.data && response.data.job ) {
+						self.renderJobProgress( response.data.job );
 					}
-				}, stepDelay1 );
 
-				var t2 = setTimeout( function() {
-					if ( self.isGenerating ) {
-						self.completeStep( 'copy' );
-						self.activateStep( 'images' );
+					if ( response.success && response.data.campaign_id ) {
+						self.finishGeneration(
+							response.data.redirect_url || bcg_campaign_builder.dashboard_url,
+							( response.data.job && response.data.job.warnings ) || []
+						);
+					} else {
+						self.handleGenerationError( response );
+					}
+				},
+				error: function( jqXHR, textStatus ) {
+					if ( 'abort' === textStatus ) {
+						// Aborted by cancelGeneration(), which takes over.
+						return;
 					}
-				}, stepDelay1 + stepDelay2 );
 
-				var t3 = setTimeout( function() {
-					if ( self.isGenerating ) {
-						self.completeStep( 'images' );
-						self.activateStep( 'finalise' );
+					if ( 'timeout' === textStatus ) {
+						// The server ignores client aborts and keeps generating,
+						// so follow the job to its end instead of inviting a
+						// retry that would create and charge a second campaign.
+						self.waitForJob( data.job_id );
+						return;
 					}
-				}, stepDelay1 + stepDelay2 + stepDelay3 );
 
-				$.ajax( {
-					url:     bcg_campaign_builder.ajax_url,
-					type:    'POST',
-					data:    data,
-					timeout: 120000,
+					self.stopProgressPolling();
+					self.handleGenerationError( { data: { message: bcg_campaign_builder.i18n.generation_failed } } );
+				},
+				complete: function() {
+					delete self.activeRequests.generate;
+				}
+			} );
+		},
+
+		/**
+		 * Redirect to a generated campaign, or first list what could not
+		 * be generated and wait for the user to continue.
+		 *
+		 * @param {string} redirectUrl Campaign editor URL.
+		 * @param {Array}  warnings    Warning messages from the job.
+		 * @return {void}
+		 */
+		finishGeneration: function( redirectUrl, warnings ) {
+			// The server has already discarded its copy of the draft.
+			this.removeLocalDraft();
+
+			if ( warnings.length ) {
+				this.showGenerationWarnings( warnings, redirectUrl );
+				return;
+			}
+
+			// Brief pause so the user sees the completed steps.
+			setTimeout( function() {
+				window.location.href = redirectUrl;
+			}, 800 );
+		},
+
+		/**
+		 * Follow a job whose generation request timed out until it
+		 * completes, fails or is cancelled.
+		 *
+		 * Replaces the progress polling started by startProgressPolling(),
+		 * so cancelGeneration() stops it the same way.
+		 *
+		 * @param {string} jobId Job ID sent with the generation request.
+		 * @return {void}
+		 */
+		waitForJob: function( jobId ) {
+			var self = this;
+			var i18n = bcg_campaign_builder.i18n;
+
+			self.stopProgressPolling();
+			self.pollJobId = jobId;
+
+			$( '#bcg-generation-progress-label' ).text( i18n.generation_timeout );
+
+			function poll() {
+				self.activeRequests.progress = $.ajax( {
+					url:  bcg_campaign_builder.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'bcg_generation_status',
+						nonce:  bcg_campaign_builder.nonce,
+						job_id: jobId
+					},
 					success: function( response ) {
-						clearTimeout( t1 );
-						clearTimeout( t2 );
-						clearTimeout( t3 );
-
-						if ( response.success && response.data.campaign_id ) {
-							self.completeStep( 'products' );
-							self.completeStep( 'copy' );
-							self.completeStep( 'images' );
-							self.completeStep( 'finalise' );
-
-							self.generatedCampaigns.push( response.data );
-
-							// Brief pause so the user sees the completed steps
-							// before moving to the next iteration (or redirecting).
-							setTimeout( function() {
-								runNext( index + 1 );
-							}, count > 1 ? 400 : 800 );
+						if ( self.pollJobId !== jobId || ! self.isGenerating ) {
+							return;
+						}
+
+						// The job record expires an hour after it was last updated.
+						if ( ! response.success || ! response.data.job ) {
+							self.stopProgressPolling();
+							self.handleGenerationError( { data: { message: i18n.generation_lost } } );
+							return;
+						}
+
+						var job = response.data.job;
+
+						self.renderJobProgress( job );
+
+						if ( 'running' === job.status ) {
+							if ( ! job.message ) {
+								$( '#bcg-generation-progress-label' ).text( i18n.generation_timeout );
+							}
+							return;
+						}
+
+						self.stopProgressPolling();
+						$( '#bcg-generation-abort' ).hide();
+
+						if ( 'complete' === job.status && job.campaign_id ) {
+							self.finishGeneration( bcg_campaign_builder.edit_url + '&campaign_id=' + job.campaign_id, job.warnings || [] );
+						} else if ( 'cancelled' === job.status ) {
+							self.finishCancellation( job );
 						} else {
-							self.handleGenerationError( response );
+							self.handleGenerationError( { data: { message: job.error || i18n.generation_failed } } );
 						}
 					},
-					error: function( jqXHR, textStatus ) {
-						clearTimeout( t1 );
-						clearTimeout( t2 );
-						clearTimeout( t3 );
+					complete: function() {
+						delete self.activeRequests.progress;
+						if ( self.pollJobId === jobId && self.isGenerating ) {
+							self.pollTimer = setTimeout( poll, self.pollInterval );
+						}
+					}
+				} );
+			}
 
-						var msg = bcg_campaign_builder.i18n.generation_failed;
+			self.pollTimer = setTimeout( poll, self.pollInterval );
+		},
 
-						if ( 'timeout' === textStatus ) {
-							msg = bcg_campaign_builder.i18n.generation_timeout;
-						}
+		/**
+		 * Generate a client-side ID for a generation job.
+		 *
+		 * The ID is sent with bcg_generate_campaign so progress can be
+		 * polled before the generation request returns.
+		 *
+		 * @return {string} UUID v4 string.
+		 */
+		generateJobId: function() {
+			return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace( /[xy]/g, function( c ) {
+				var r = Math.random() * 16 | 0;
+				var v = 'x' === c ? r : ( r & 0x3 | 0x8 );
+				return v.toString( 16 );
+			} );
+		},
 
-						self.handleGenerationError( { data: { message: msg } } );
+		/**
+		 * Poll the server for a job's progress until stopped.
+		 *
+		 * Polls are chained (not interval-based) so a slow response never
+		 * overlaps the next request.
+		 *
+		 * @param {string} jobId Job ID sent with the generation request.
+		 * @return {void}
+		 */
+		startProgressPolling: function( jobId ) {
+			var self = this;
+
+			self.stopProgressPolling();
+			self.pollJobId = jobId;
+
+			function poll() {
+				self.activeRequests.progress = $.ajax( {
+					url:  bcg_campaign_builder.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'bcg_generation_status',
+						nonce:  bcg_campaign_builder.nonce,
+						job_id: jobId
+					},
+					success: function( response ) {
+						// Ignore late responses for a finished job, and
+						// "not found" responses from before the job exists.
+						if ( self.pollJobId === jobId && response.success && response.data.job ) {
+							self.renderJobProgress( response.data.job );
+						}
+					},
+					complete: function() {
+						delete self.activeRequests.progress;
+						if ( self.pollJobId === jobId && self.isGenerating ) {
+							self.pollTimer = setTimeout( poll, self.pollInterval );
+						}
 					}
 				} );
 			}
 
-			runNext( 1 );
+			self.pollTimer = setTimeout( poll, self.pollInterval );
+		},
+
+		/**
+		 * Stop polling for job progress.
+		 *
+		 * @return {void}
+		 */
+		stopProgressPolling: function() {
+			clearTimeout( this.pollTimer );
+			this.pollTimer = null;
+			this.pollJobId = null;
+
+			if ( this.activeRequests.progress ) {
+				this.activeRequests.progress.abort();
+				delete this.activeRequests.progress;
+			}
+		},
+
+		/**
+		 * Reflect a server job state in the overlay.
+		 *
+		 * @param {Object} job Job state from the server.
+		 * @return {void}
+		 */
+		renderJobProgress: function( job ) {
+			var self = this;
+			var i18n = bcg_campaign_builder.i18n;
+
+			$.each( job.steps || {}, function( stepId, step ) {
+				self.setStepState( stepId, step.status );
+
+				var detail = '';
+				if ( 'skipped' === step.status ) {
+					detail = i18n.step_skipped;
+				} else if ( step.total > 0 ) {
+					detail = i18n.step_progress.replace( '%1$d', step.done ).replace( '%2$d', step.total );
+					if ( step.failed > 0 ) {
+						detail += ' · ' + i18n.step_failed.replace( '%d', step.failed );
+					}
+				}
+
+				$( '#bcg-step-' + stepId + ' .bcg-step-detail' ).text( detail );
+			} );
+
+			$( '#bcg-generation-progress-label' ).text( job.message || '' );
+
+			if ( job.warnings && job.warnings.length ) {
+				self.renderWarningList( job.warnings );
+			}
+		},
+
+		/**
+		 * Set a step's visual state from a server status string.
+		 *
+		 * @param {string} stepId The step identifier.
+		 * @param {string} status One of pending, active, complete, error, skipped.
+		 * @return {void}
+		 */
+		setStepState: function( stepId, status ) {
+			switch ( status ) {
+				case 'active':
+					this.activateStep( stepId );
+					break;
+				case 'complete':
+					this.completeStep( stepId );
+					break;
+				case 'error':
+					this.errorStep( stepId );
+					break;
+				case 'skipped':
+					this.resetStep( stepId );
+					$( '#bcg-step-' + stepId ).addClass( 'bcg-step-skipped' );
+					break;
+				default:
+					this.resetStep( stepId );
+			}
+		},
+
+		/**
+		 * Reset all generation steps to their pending state.
+		 *
+		 * @return {void}
+		 */
+		resetSteps: function() {
+			var self = this;
+
+			$( '.bcg-generation-step' ).each( function() {
+				self.resetStep( $( this ).data( 'step' ) );
+			} );
+
+			$( '#bcg-generation-progress-label' ).text( '' );
+		},
+
+		/**
+		 * Reset a single generation step to pending.
+		 *
+		 * @param {string} stepId The step identifier.
+		 * @return {void}
+		 */
+		resetStep: function( stepId ) {
+			var $step = $( '#bcg-step-' + stepId );
+
+			$step.removeClass( 'bcg-step-active bcg-step-complete bcg-step-error bcg-step-skipped' );
+			$step.find( '.bcg-step-spinner' ).hide();
+			$step.find( '.bcg-step-check' ).hide();
+			$step.find( '.bcg-step-number' ).show();
+			$step.find( '.bcg-step-detail' ).text( '' );
 		},
 
 		/**
@@ -1338,6 +2693,58 @@
 			$step.find( '.bcg-step-check' ).show();
 		},
 
+		/**
+		 * Mark a generation step as errored.
+		 *
+		 * @param {string} stepId The step identifier.
+		 * @return {void}
+		 */
+		errorStep: function( stepId ) {
+			var $step = $( '#bcg-step-' + stepId );
+
+			$step.removeClass( 'bcg-step-active bcg-step-complete' ).addClass( 'bcg-step-error' );
+			$step.find( '.bcg-step-spinner' ).hide();
+			$step.find( '.bcg-step-check' ).hide();
+			$step.find( '.bcg-step-number' ).show();
+		},
+
+		/**
+		 * Render a list of partial-failure warnings in the overlay.
+		 *
+		 * @param {Array} warnings Warning messages.
+		 * @return {void}
+		 */
+		renderWarningList: function( warnings ) {
+			var self = this;
+			var html = '';
+
+			$.each( warnings, function( i, warning ) {
+				html += '<li>' + self.escapeHtml( warning ) + '</li>';
+			} );
+
+			$( '#bcg-generation-warnings-list' ).html( html );
+			$( '#bcg-generation-warnings' ).show();
+		},
+
+		/**
+		 * Show the partial failures of a completed run and wait for the
+		 * user to continue instead of redirecting straight away.
+		 *
+		 * @param {Array}  warnings    Warning messages from all campaigns.
+		 * @param {string} redirectUrl Where Continue should go.
+		 * @return {void}
+		 */
+		showGenerationWarnings: function( warnings, redirectUrl ) {
+			this.renderWarningList( warnings );
+
+			$( '#bcg-generation-progress-label' ).text( bcg_campaign_builder.i18n.generation_partial );
+			$( '#bcg-generation-cancel' ).hide();
+			$( '#bcg-generation-continue' ).show().off( 'click' ).on( 'click', function() {
+				window.location.href = redirectUrl;
+			} );
+			$( '#bcg-generation-actions' ).show();
+		},
+
 		/**
 		 * Handle a generation error: mark the current active step as
 		 * errored, show the error message, and display the Close
@@ -1356,13 +2763,12 @@
 
 			// Mark active step as error.
 			$( '.bcg-generation-step.bcg-step-active' ).each( function() {
-				$( this ).removeClass( 'bcg-step-active' ).addClass( 'bcg-step-error' );
-				$( this ).find( '.bcg-step-spinner' ).hide();
-				$( this ).find( '.bcg-step-number' ).show();
+				self.errorStep( $( this ).data( 'step' ) );
 			} );
 
 			$( '#bcg-generation-error-message' ).html( self.escapeHtml( msg ) );
 			$( '#bcg-generation-error' ).show();
+			$( '#bcg-generation-abort' ).hide();
 			$( '#bcg-generation-actions' ).show();
 
 			self.isGenerating = false;
@@ -1379,15 +2785,162 @@
 		bindOverlayClose: function() {
 			var self = this;
 
+			$( '#bcg-generation-abort' ).on( 'click', function( e ) {
+				e.preventDefault();
+				self.cancelGeneration();
+			} );
+
 			$( '#bcg-generation-cancel' ).on( 'click', function( e ) {
 				e.preventDefault();
 
 				$( '#bcg-generation-overlay' ).fadeOut( 200 );
+				self.stopProgressPolling();
 				self.isGenerating = false;
 				$( '#bcg-generate-campaign-btn' ).prop( 'disabled', false );
 			} );
 		},
 
+		/**
+		 * Cancel the running generation.
+		 *
+		 * Aborts the in-flight generation request and asks the server to
+		 * stop the job. The server finishes the step it is in, refunds the
+		 * credits of unfinished steps and deletes the half-created
+		 * campaign and coupon; the job is polled until it reports back.
+		 *
+		 * @return {void}
+		 */
+		cancelGeneration: function() {
+			var self  = this;
+			var jobId = self.currentJobId;
+
+			if ( ! self.isGenerating || ! jobId ) {
+				return;
+			}
+
+			$( '#bcg-generation-abort' ).prop( 'disabled', true ).text( bcg_campaign_builder.i18n.cancelling );
+			$( '#bcg-generation-progress-label' ).text( bcg_campaign_builder.i18n.cancelling );
+
+			if ( self.activeRequests.generate ) {
+				self.activeRequests.generate.abort();
+				delete self.activeRequests.generate;
+			}
+
+			self.stopProgressPolling();
+
+			self.activeRequests.cancel = $.ajax( {
+				url:  bcg_campaign_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action: 'bcg_cancel_generation',
+					nonce:  bcg_campaign_builder.nonce,
+					job_id: jobId
+				},
+				success: function( response ) {
+					if ( response.success ) {
+						self.waitForCancellation( jobId, 0 );
+					} else {
+						self.finishCancellation( null );
+					}
+				},
+				error: function() {
+					self.finishCancellation( null );
+				},
+				complete: function() {
+					delete self.activeRequests.cancel;
+				}
+			} );
+		},
+
+		/**
+		 * Poll a cancelled job until the server has stopped it.
+		 *
+		 * Gives up after about two minutes — long enough for the slowest
+		 * single AI call — and reports the cancellation as pending.
+		 *
+		 * @param {string} jobId    Job being cancelled.
+		 * @param {number} attempts Polls made so far.
+		 * @return {void}
+		 */
+		waitForCancellation: function( jobId, attempts ) {
+			var self = this;
+
+			if ( attempts >= Math.ceil( 120000 / self.pollInterval ) ) {
+				self.finishCancellation( null );
+				return;
+			}
+
+			self.pollTimer = setTimeout( function() {
+				self.activeRequests.progress = $.ajax( {
+					url:  bcg_campaign_builder.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'bcg_generation_status',
+						nonce:  bcg_campaign_builder.nonce,
+						job_id: jobId
+					},
+					success: function( response ) {
+						var job = response.success ? response.data.job : null;
+
+						if ( job && 'running' !== job.status ) {
+							self.finishCancellation( job );
+						} else {
+							self.waitForCancellation( jobId, attempts + 1 );
+						}
+					},
+					error: function() {
+						self.waitForCancellation( jobId, attempts + 1 );
+					},
+					complete: function() {
+						delete self.activeRequests.progress;
+					}
+				} );
+			}, self.pollInterval );
+		},
+
+		/**
+		 * Close the overlay once a cancellation has been resolved.
+		 *
+		 * @param {Object|null} job Final job state, or null if the server
+		 *                          did not confirm the stop in time.
+		 * @return {void}
+		 */
+		finishCancellation: function( job ) {
+			var i18n = bcg_campaign_builder.i18n;
+
+			// Finished before the stop request arrived — nothing to undo.
+			if ( job && 'complete' === job.status && job.campaign_id ) {
+				this.removeLocalDraft();
+				window.location.href = bcg_campaign_builder.edit_url + '&campaign_id=' + job.campaign_id;
+				return;
+			}
+
+			this.isGenerating = false;
+			this.currentJobId = null;
+
+			$( '#bcg-generation-abort' ).hide();
+			$( '#bcg-generation-overlay' ).fadeOut( 200 );
+			$( '#bcg-generate-campaign-btn' ).prop( 'disabled', false );
+
+			if ( ! job ) {
+				this.showNotice( this.escapeHtml( i18n.cancel_pending ), 'warning' );
+				return;
+			}
+
+			if ( 'cancelled' !== job.status ) {
+				// The job failed on its own before the stop took effect.
+				this.showNotice( this.escapeHtml( job.error || i18n.generation_failed ), 'error' );
+				return;
+			}
+
+			var message = i18n.generation_cancelled;
+			if ( job.refunded > 0 ) {
+				message += ' ' + i18n.credits_refunded.replace( '%s', job.refunded );
+			}
+
+			this.showNotice( this.escapeHtml( message ), 'info' );
+		},
+
 		// ─── Notices ───────────────────────────────────────────────
 
 		/**
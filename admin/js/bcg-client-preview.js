@@ -0,0 +1,691 @@
+/**
+ * Brevo Campaign Generator — inbox client preview modes.
+ *
+ * Emulates what common mail clients do to an email, so rendering problems
+ * show up in the preview before a test is sent:
+ *
+ * - Gmail: <style> blocks are removed, as Gmail does for non-Gmail accounts
+ *   and for any block containing an error, and the email is cut off where
+ *   Gmail clips it (102 KB).
+ * - Outlook desktop: background images, rounded corners, shadows,
+ *   max-widths and media queries are removed, Outlook-only content in
+ *   <!--[if mso]> comments is shown instead of its fallback, and VML
+ *   buttons and backgrounds are drawn as boxes.
+ * - Apple Mail dark mode: prefers-color-scheme: dark rules are applied and
+ *   anything without its own colour turns dark.
+ * - Forced dark mode: the colours are inverted, images excepted, as the
+ *   Outlook and Gmail apps do.
+ *
+ * The preview width can be set independently of the client. Iframes passed
+ * to mount() are written through write(), which applies the chosen mode and
+ * redraws them when it changes; other iframes are written unchanged.
+ *
+ * Depends on: jQuery, bcg-preview-contact.js.
+ * Localised data available via: bcg_client_preview (clip_bytes, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_client_preview, BCGPreviewContact */
+( function ( $, window ) {
+	'use strict';
+
+	var config = window.bcg_client_preview || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * Gmail clips messages whose HTML is larger than this, in bytes.
+	 *
+	 * @type {number}
+	 */
+	var CLIP_BYTES = parseInt( config.clip_bytes, 10 ) || 102 * 1024;
+
+	/**
+	 * Preview widths offered besides the device width, in pixels.
+	 *
+	 * @type {number[]}
+	 */
+	var WIDTHS = [ 320, 375, 414, 480, 600, 768, 1024 ];
+
+	/**
+	 * CSS filter that inverts colours but keeps hues.
+	 *
+	 * @type {string}
+	 */
+	var INVERT = 'invert(1) hue-rotate(180deg)';
+
+	/**
+	 * The chosen client: '', 'gmail', 'outlook', 'apple_dark' or 'dark_invert'.
+	 *
+	 * @type {string}
+	 */
+	var mode = '';
+
+	/**
+	 * The chosen width in pixels, or '' for the device width.
+	 *
+	 * @type {string}
+	 */
+	var width = '';
+
+	/**
+	 * Mounted controls: { $root, frame }.
+	 *
+	 * @type {Object[]}
+	 */
+	var mounts = [];
+
+	/**
+	 * Escape a string for use in HTML.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function escHtml( str ) {
+		return String( str )
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	/**
+	 * Replace the %s / %1$s placeholders in a translated string.
+	 *
+	 * @param  {string} str
+	 * @param  {Array}  args
+	 * @return {string}
+	 */
+	function sprintf( str, args ) {
+		var next = 0;
+
+		return String( str ).replace( /%(?:(\d+)\$)?s/g, function ( match, index ) {
+			var value = index ? args[ index - 1 ] : args[ next++ ];
+			return value === undefined ? '' : value;
+		} );
+	}
+
+	/**
+	 * Format a size in bytes as kilobytes.
+	 *
+	 * @param  {number} bytes
+	 * @return {string}
+	 */
+	function formatSize( bytes ) {
+		return sprintf( i18n.kb || '%s KB', [ parseFloat( ( bytes / 1024 ).toFixed( 1 ) ) ] );
+	}
+
+	/**
+	 * Measure HTML in UTF-8 bytes, and find where a byte limit falls.
+	 *
+	 * @param  {string} html
+	 * @param  {number} limit
+	 * @return {{bytes: number, cut: number}} cut is the character index at
+	 *         which the limit is reached, or -1 when the HTML fits.
+	 */
+	function measure( html, limit ) {
+		var bytes = 0;
+		var cut   = -1;
+
+		for ( var i = 0; i < html.length; i++ ) {
+			var start = i;
+			var code  = html.charCodeAt( i );
+
+			if ( code < 0x80 ) {
+				bytes += 1;
+			} else if ( code < 0x800 ) {
+				bytes += 2;
+			} else if ( code >= 0xD800 && code <= 0xDBFF ) {
+				// A surrogate pair is one four-byte character.
+				bytes += 4;
+				i++;
+			} else {
+				bytes += 3;
+			}
+
+			if ( cut === -1 && bytes > limit ) {
+				cut = start;
+			}
+		}
+
+		return { bytes: bytes, cut: cut };
+	}
+
+	/**
+	 * Rewrite the @media blocks of a stylesheet.
+	 *
+	 * @param  {string}   css
+	 * @param  {Function} callback Called with the media query and the rules
+	 *                             inside the block; returns the replacement
+	 *                             for the whole block, or null to keep it.
+	 * @return {string}
+	 */
+	function mapMediaRules( css, callback ) {
+		var re  = /@media\b([^{]*)\{/gi;
+		var out = '';
+		var pos = 0;
+		var match;
+
+		while ( ( match = re.exec( css ) ) ) {
+			var start = re.lastIndex;
+			var depth = 1;
+			var i     = start;
+
+			while ( i < css.length && depth ) {
+				if ( css.charAt( i ) === '{' ) {
+					depth++;
+				} else if ( css.charAt( i ) === '}' ) {
+					depth--;
+				}
+				i++;
+			}
+
+			re.lastIndex = i;
+
+			var replacement = callback( $.trim( match[1] ), css.slice( start, i - 1 ) );
+			if ( replacement === null ) {
+				continue;
+			}
+
+			out += css.slice( pos, match.index ) + replacement;
+			pos  = i;
+		}
+
+		return out + css.slice( pos );
+	}
+
+	/**
+	 * Remove CSS declarations from a style attribute or stylesheet.
+	 *
+	 * @param  {string}   css
+	 * @param  {string[]} properties
+	 * @return {string}
+	 */
+	function removeDeclarations( css, properties ) {
+		var re = new RegExp( '(^|[;{\\s])(?:' + properties.join( '|' ) + ')\\s*:[^;}]*;?', 'gi' );
+		var prev;
+
+		// Repeat, as each match takes the separator the next one needs.
+		do {
+			prev = css;
+			css  = css.replace( re, '$1' );
+		} while ( css !== prev );
+
+		return css;
+	}
+
+	/**
+	 * Remove background images from CSS, keeping background colours.
+	 *
+	 * @param  {string} css
+	 * @return {string}
+	 */
+	function removeBackgroundImages( css ) {
+		return removeDeclarations( css, [ 'background-image' ] )
+			.replace( /(background\s*:[^;}]*?)url\([^)]*\)/gi, '$1' );
+	}
+
+	/**
+	 * Apply a callback to every style attribute and <style> block.
+	 *
+	 * @param {Document} doc
+	 * @param {Function} callback Takes and returns CSS text.
+	 */
+	function eachStyle( doc, callback ) {
+		$( doc ).find( '[style]' ).each( function () {
+			this.setAttribute( 'style', callback( this.getAttribute( 'style' ) ) );
+		} );
+		$( doc ).find( 'style' ).each( function () {
+			this.textContent = callback( this.textContent );
+		} );
+	}
+
+	/**
+	 * Add a <style> block at the end of the head.
+	 *
+	 * @param {Document} doc
+	 * @param {string}   css
+	 */
+	function addStyle( doc, css ) {
+		var style = doc.createElement( 'style' );
+		style.textContent = css;
+		( doc.head || doc.documentElement ).appendChild( style );
+	}
+
+	/**
+	 * Replace an element with its children.
+	 *
+	 * @param {Element} node
+	 */
+	function unwrap( node ) {
+		while ( node.firstChild ) {
+			node.parentNode.insertBefore( node.firstChild, node );
+		}
+		node.parentNode.removeChild( node );
+	}
+
+	/**
+	 * Convert a VML length such as "40px", "30pt" or "2" to pixels.
+	 *
+	 * @param  {string} value
+	 * @return {number} 0 when the value is not a length.
+	 */
+	function toPixels( value ) {
+		var match = /^\s*([\d.]+)\s*(px|pt)?\s*$/i.exec( value || '' );
+		if ( ! match ) {
+			return 0;
+		}
+
+		// Points are 4/3 of a pixel.
+		return Math.round( parseFloat( match[1] ) * ( 'pt' === ( match[2] || '' ).toLowerCase() ? 4 / 3 : 1 ) );
+	}
+
+	/**
+	 * Read a length in pixels from a VML style attribute.
+	 *
+	 * @param  {string} style
+	 * @param  {string} property
+	 * @return {number}
+	 */
+	function vmlLength( style, property ) {
+		var match = new RegExp( '(?:^|;)\\s*' + property + '\\s*:([^;]*)', 'i' ).exec( style || '' );
+
+		return match ? toPixels( match[1] ) : 0;
+	}
+
+	/**
+	 * Draw VML rectangles — the bulletproof buttons and backgrounds Outlook
+	 * shows — as boxes a browser can display.
+	 *
+	 * @param  {Document} doc
+	 * @return {number} Number of shapes drawn.
+	 */
+	function drawVml( doc ) {
+		var count = 0;
+
+		[ 'v:roundrect', 'v:rect' ].forEach( function ( tag ) {
+			var nodes = Array.prototype.slice.call( doc.getElementsByTagName( tag ) );
+
+			nodes.forEach( function ( node ) {
+				var style  = node.getAttribute( 'style' ) || '';
+				var w      = vmlLength( style, 'width' );
+				var h      = vmlLength( style, 'height' );
+				var href   = node.getAttribute( 'href' );
+				var box    = doc.createElement( href ? 'a' : 'div' );
+				var css    = 'display:inline-flex;align-items:center;justify-content:center;box-sizing:border-box;text-decoration:none;vertical-align:middle;';
+				var fill   = node.getElementsByTagName( 'v:fill' )[0];
+				var arc    = parseFloat( node.getAttribute( 'arcsize' ) || '0' );
+
+				if ( w ) {
+					css += 'width:' + w + 'px;';
+				}
+				if ( h ) {
+					css += 'height:' + h + 'px;';
+				}
+				if ( node.getAttribute( 'fillcolor' ) && 'f' !== node.getAttribute( 'filled' ) ) {
+					css += 'background-color:' + node.getAttribute( 'fillcolor' ) + ';';
+				}
+				if ( 'f' !== node.getAttribute( 'stroke' ) && node.getAttribute( 'strokecolor' ) ) {
+					css += 'border:' + ( toPixels( node.getAttribute( 'strokeweight' ) ) || 1 ) + 'px solid ' + node.getAttribute( 'strokecolor' ) + ';';
+				}
+				if ( 'v:roundrect' === tag && arc ) {
+					// arcsize is a share of half the shorter side.
+					css += 'border-radius:' + Math.round( ( arc > 1 ? arc / 100 : arc ) * Math.min( w || h, h || w ) / 2 ) + 'px;';
+				}
+				if ( fill && fill.getAttribute( 'src' ) ) {
+					css += 'background-image:url("' + fill.getAttribute( 'src' ).replace( /"/g, '%22' ) + '");background-size:' + ( 'frame' === fill.getAttribute( 'type' ) ? 'cover' : 'auto' ) + ';';
+				}
+
+				box.setAttribute( 'style', css );
+				if ( href ) {
+					box.setAttribute( 'href', href );
+				}
+
+				// Self-closing VML tags are parsed as containers.
+				$( node ).find( '*' ).filter( function () {
+					return /^(v|w|o):/i.test( this.nodeName );
+				} ).get().reverse().forEach( unwrap );
+
+				while ( node.firstChild ) {
+					box.appendChild( node.firstChild );
+				}
+				node.parentNode.replaceChild( box, node );
+				count++;
+			} );
+		} );
+
+		return count;
+	}
+
+	/**
+	 * Serialise a parsed document.
+	 *
+	 * @param  {Document} doc
+	 * @return {string}
+	 */
+	function serialise( doc ) {
+		return '<!DOCTYPE html>' + doc.documentElement.outerHTML;
+	}
+
+	/**
+	 * Gmail: cut the email off where Gmail clips it and remove <style> blocks.
+	 *
+	 * @param  {string} html
+	 * @return {{html: string, notes: string[]}}
+	 */
+	function gmail( html ) {
+		var notes = [];
+		var size  = measure( html, CLIP_BYTES );
+
+		if ( size.cut > -1 ) {
+			html = html.slice( 0, size.cut );
+			notes.push( sprintf( i18n.gmail_clipped || 'Gmail clips this email: it is %1$s, over the %2$s limit. Readers only see what is above "[Message clipped]".', [ formatSize( size.bytes ), formatSize( CLIP_BYTES ) ] ) );
+		} else {
+			notes.push( sprintf( i18n.gmail_size || 'This email is %1$s, under Gmail\'s %2$s clipping limit.', [ formatSize( size.bytes ), formatSize( CLIP_BYTES ) ] ) );
+		}
+
+		var doc    = new window.DOMParser().parseFromString( html, 'text/html' );
+		var styles = $( doc ).find( 'style, link[rel="stylesheet"]' ).remove().length;
+
+		if ( styles ) {
+			notes.push( sprintf( i18n.gmail_styles || 'Style blocks removed: %s. Only inline styles are kept.', [ styles ] ) );
+		}
+
+		if ( size.cut > -1 ) {
+			$( doc.body ).append(
+				'<div style="margin:16px 0;padding:0 16px;font:13px Arial,sans-serif;color:#222222;">' +
+					escHtml( i18n.gmail_clip_line || '[Message clipped]' ) + '&nbsp;&nbsp;' +
+					'<a href="#" style="color:#1a0dab;">' + escHtml( i18n.gmail_view_entire || 'View entire message' ) + '</a>' +
+				'</div>'
+			);
+		}
+
+		return { html: serialise( doc ), notes: notes };
+	}
+
+	/**
+	 * Outlook desktop: show Outlook-only content and drop the CSS Word
+	 * cannot render.
+	 *
+	 * @param  {string} html
+	 * @return {{html: string, notes: string[]}}
+	 */
+	function outlook( html ) {
+		// Content for every client but Outlook.
+		html = html.replace( /<!--\[if\s+!\s*mso[^\]]*\]>(?:<!-*>)?([\s\S]*?)(?:<!--)?<!\[endif\]-->/gi, '' );
+
+		// Content for Outlook only.
+		html = html.replace( /<!--\[if\s+([^\]]*)\]>([\s\S]*?)<!\[endif\]-->/gi, function ( match, condition, content ) {
+			return /\bmso\b/i.test( condition ) ? content : match;
+		} );
+
+		var doc = new window.DOMParser().parseFromString( html, 'text/html' );
+
+		$( doc ).find( '[style]' ).filter( function () {
+			return /mso-hide\s*:\s*all/i.test( this.getAttribute( 'style' ) );
+		} ).remove();
+
+		$( doc ).find( '[background]' ).removeAttr( 'background' );
+
+		eachStyle( doc, function ( css ) {
+			css = mapMediaRules( css, function () {
+				return '';
+			} );
+
+			return removeDeclarations(
+				removeBackgroundImages( css ),
+				[ 'border-radius', 'box-shadow', 'text-shadow', 'max-width', 'min-width' ]
+			);
+		} );
+
+		var shapes = drawVml( doc );
+		var notes  = [ i18n.outlook || 'Background images, rounded corners, shadows, max-widths and media queries are removed, and Outlook-only content is shown.' ];
+
+		if ( shapes ) {
+			notes.push( sprintf( i18n.outlook_vml || 'VML buttons and backgrounds drawn: %s.', [ shapes ] ) );
+		}
+
+		return { html: serialise( doc ), notes: notes };
+	}
+
+	/**
+	 * Apple Mail dark mode: apply the dark colour scheme rules.
+	 *
+	 * @param  {string} html
+	 * @return {{html: string, notes: string[]}}
+	 */
+	function appleDark( html ) {
+		var doc   = new window.DOMParser().parseFromString( html, 'text/html' );
+		var rules = 0;
+
+		$( doc ).find( 'style' ).each( function () {
+			this.textContent = mapMediaRules( this.textContent, function ( query, css ) {
+				if ( /prefers-color-scheme\s*:\s*dark/i.test( query ) ) {
+					rules++;
+					return css;
+				}
+
+				return /prefers-color-scheme\s*:\s*light/i.test( query ) ? '' : null;
+			} );
+		} );
+
+		addStyle( doc, ':root { color-scheme: dark; }' );
+
+		return {
+			html:  serialise( doc ),
+			notes: [
+				rules
+					? sprintf( i18n.apple_dark || 'Dark mode styles applied: %s.', [ rules ] )
+					: ( i18n.apple_no_dark || 'This email has no dark mode styles. Apple Mail keeps the colours it sets; backgrounds and text without a colour turn dark and light.' ),
+			],
+		};
+	}
+
+	/**
+	 * Forced dark mode: invert the colours of everything but images.
+	 *
+	 * @param  {string} html
+	 * @return {{html: string, notes: string[]}}
+	 */
+	function darkInvert( html ) {
+		var doc = new window.DOMParser().parseFromString( html, 'text/html' );
+
+		addStyle( doc,
+			'html { filter: ' + INVERT + '; background: #ffffff; }' +
+			'img, video, picture, [background], [style*="background-image"], [style*="url("] { filter: ' + INVERT + '; }'
+		);
+
+		return {
+			html:  serialise( doc ),
+			notes: [ i18n.dark_invert || 'Colours are inverted as the Outlook and Gmail apps do in dark mode. Images keep their colours.' ],
+		};
+	}
+
+	/**
+	 * Apply the chosen client mode to email HTML.
+	 *
+	 * @param  {string} html
+	 * @param  {string} client Optional. Defaults to the chosen mode.
+	 * @return {{html: string, notes: string[]}}
+	 */
+	function transform( html, client ) {
+		html = String( html );
+
+		switch ( client === undefined ? mode : client ) {
+			case 'gmail':
+				return gmail( html );
+			case 'outlook':
+				return outlook( html );
+			case 'apple_dark':
+				return appleDark( html );
+			case 'dark_invert':
+				return darkInvert( html );
+			default:
+				return { html: html, notes: [] };
+		}
+	}
+
+	/**
+	 * Find the mounted controls an iframe belongs to.
+	 *
+	 * @param  {HTMLIFrameElement} iframe
+	 * @return {Object|null}
+	 */
+	function findMount( iframe ) {
+		for ( var i = 0; i < mounts.length; i++ ) {
+			if ( $( mounts[ i ].frame ).get( 0 ) === iframe ) {
+				return mounts[ i ];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Show preview HTML in an iframe as the chosen client would, and redraw
+	 * it when the client changes. Iframes without mounted controls are
+	 * written unchanged.
+	 *
+	 * @param  {HTMLIFrameElement|jQuery} iframe
+	 * @param  {string}                   html    Email HTML.
+	 * @param  {Object}                   options Optional. Passed to BCGPreviewContact.write().
+	 * @return {Document|null} The iframe document.
+	 */
+	function write( iframe, html, options ) {
+		if ( iframe && iframe.jquery ) {
+			iframe = iframe[ 0 ];
+		}
+		if ( ! iframe ) {
+			return null;
+		}
+
+		var mount = findMount( iframe );
+		if ( ! mount ) {
+			return BCGPreviewContact.write( iframe, html, options );
+		}
+
+		iframe.bcgClientRaw = { html: html, options: options };
+
+		var result = transform( html );
+		mount.$root.find( '.bcg-client-preview-note' ).text( result.notes.join( ' ' ) );
+
+		return BCGPreviewContact.write( iframe, result.html, options );
+	}
+
+	/**
+	 * Redraw the mounted iframes after the client changes.
+	 */
+	function redraw() {
+		$.each( mounts, function ( i, mount ) {
+			var iframe = $( mount.frame ).get( 0 );
+			if ( iframe && iframe.bcgClientRaw ) {
+				write( iframe, iframe.bcgClientRaw.html, iframe.bcgClientRaw.options );
+			}
+		} );
+	}
+
+	/**
+	 * Size the mounted iframes to the chosen width.
+	 */
+	function applyWidth() {
+		$.each( mounts, function ( i, mount ) {
+			var iframe = $( mount.frame ).get( 0 );
+			if ( ! iframe ) {
+				return;
+			}
+
+			// Important, so a chosen width wins over the device classes.
+			if ( width ) {
+				iframe.style.setProperty( 'max-width', width + 'px', 'important' );
+				iframe.style.setProperty( 'margin-left', 'auto', 'important' );
+				iframe.style.setProperty( 'margin-right', 'auto', 'important' );
+			} else {
+				iframe.style.removeProperty( 'max-width' );
+				iframe.style.removeProperty( 'margin-left' );
+				iframe.style.removeProperty( 'margin-right' );
+			}
+
+			mount.$root.find( '.bcg-client-preview-width' ).val( width );
+		} );
+	}
+
+	/**
+	 * Set the preview width.
+	 *
+	 * @param {number|string} next Width in pixels, or '' for the device width.
+	 */
+	function setWidth( next ) {
+		width = next ? String( parseInt( next, 10 ) ) : '';
+		applyWidth();
+	}
+
+	/**
+	 * Add the client and width selectors to a preview.
+	 *
+	 * @param {Element|jQuery|string} container Element to build the controls in.
+	 * @param {Object}                options   {
+	 *     @type {Element|jQuery|string} frame The preview iframe.
+	 * }
+	 */
+	function mount( container, options ) {
+		var $root = $( container ).first();
+		if ( ! $root.length || $root.data( 'bcgClientPreview' ) ) {
+			return;
+		}
+
+		var modes = [
+			[ '', i18n.as_designed || 'As designed' ],
+			[ 'gmail', i18n.gmail_label || 'Gmail' ],
+			[ 'outlook', i18n.outlook_label || 'Outlook desktop' ],
+			[ 'apple_dark', i18n.apple_dark_label || 'Apple Mail dark mode' ],
+			[ 'dark_invert', i18n.dark_invert_label || 'Forced dark mode' ],
+		];
+
+		var modeOptions = $.map( modes, function ( item ) {
+			return '<option value="' + escHtml( item[0] ) + '">' + escHtml( item[1] ) + '</option>';
+		} ).join( '' );
+
+		var widthOptions = '<option value="">' + escHtml( i18n.device_width || 'Device width' ) + '</option>' +
+			$.map( WIDTHS, function ( px ) {
+				return '<option value="' + px + '">' + escHtml( sprintf( i18n.px || '%s px', [ px ] ) ) + '</option>';
+			} ).join( '' );
+
+		$root.data( 'bcgClientPreview', true ).html(
+			'<label class="bcg-client-preview-field">' +
+				'<span>' + escHtml( i18n.client || 'Client' ) + '</span>' +
+				'<select class="bcg-client-preview-mode">' + modeOptions + '</select>' +
+			'</label>' +
+			'<label class="bcg-client-preview-field">' +
+				'<span>' + escHtml( i18n.width || 'Width' ) + '</span>' +
+				'<select class="bcg-client-preview-width">' + widthOptions + '</select>' +
+			'</label>' +
+			'<span class="bcg-client-preview-note" aria-live="polite"></span>'
+		);
+
+		mounts.push( { $root: $root, frame: ( options || {} ).frame } );
+
+		$root.find( '.bcg-client-preview-mode' ).val( mode );
+		applyWidth();
+
+		$root.on( 'change', '.bcg-client-preview-mode', function () {
+			mode = $( this ).val();
+			$.each( mounts, function ( i, other ) {
+				other.$root.find( '.bcg-client-preview-mode' ).val( mode );
+			} );
+			redraw();
+		} );
+
+		$root.on( 'change', '.bcg-client-preview-width', function () {
+			setWidth( $( this ).val() );
+		} );
+	}
+
+	window.BCGClientPreview = {
+		mount:     mount,
+		write:     write,
+		transform: transform,
+		setWidth:  setWidth,
+	};
+
+} )( jQuery, window );
@@ -1,14 +1,15 @@
 /**
  * Brevo Campaign Generator - Dashboard JS
  *
- * Handles campaign deletion, duplication, and filter interactions
- * on the dashboard page.
+ * Handles campaign deletion, duplication, filter interactions, the
+ * background generation queue panel and the recurring campaigns panel on
+ * the dashboard page.
  *
  * @package Brevo_Campaign_Generator
  * @since   1.0.0
  */
 
-/* global jQuery, bcgData */
+/* global jQuery, bcgData, bcg_dashboard */
 
 (function ( $ ) {
 	'use strict';
@@ -29,6 +30,320 @@
 			$( document ).on( 'click', '.bcg-delete-campaign', this.onDeleteCampaign );
 			$( document ).on( 'click', '.bcg-duplicate-campaign', this.onDuplicateCampaign );
 			this.bindScheduleModal();
+			this.bindQueue();
+			this.bindRecurring();
+		},
+
+		// ─── Generation Queue ──────────────────────────────────────────
+
+		/**
+		 * Timer handle for the next queue poll.
+		 *
+		 * @type {number|null}
+		 */
+		queueTimer: null,
+
+		/**
+		 * Bind the generation queue panel and start polling while items
+		 * are queued or running.
+		 *
+		 * @return {void}
+		 */
+		bindQueue: function () {
+			var self = this;
+
+			if ( ! $( '#bcg-queue-panel' ).length || 'undefined' === typeof bcg_dashboard ) {
+				return;
+			}
+
+			$( document ).on( 'click', '.bcg-queue-retry', function () {
+				self.queueAction( 'bcg_retry_queue_item', $( this ) );
+			} );
+
+			$( document ).on( 'click', '.bcg-queue-cancel', function () {
+				self.queueAction( 'bcg_cancel_queue_item', $( this ) );
+			} );
+
+			$( '#bcg-queue-clear' ).on( 'click', function () {
+				self.queueAction( 'bcg_clear_queue', $( this ) );
+			} );
+
+			self.updateQueueSummary();
+			self.scheduleQueuePoll();
+		},
+
+		/**
+		 * Run a queue action (retry, cancel, clear) and re-render the panel.
+		 *
+		 * @param {string} action AJAX action name.
+		 * @param {jQuery} $btn   Button that triggered the action.
+		 * @return {void}
+		 */
+		queueAction: function ( action, $btn ) {
+			var self = this;
+
+			$btn.prop( 'disabled', true ).addClass( 'is-loading' );
+
+			$.post( bcgData.ajax_url, {
+				action:  action,
+				nonce:   bcgData.nonce,
+				item_id: $btn.closest( '.bcg-queue-item' ).data( 'item-id' ) || 0
+			} )
+			.done( function ( response ) {
+				if ( response.success ) {
+					self.renderQueue( response.data.items );
+					self.scheduleQueuePoll();
+				} else {
+					window.alert( response.data && response.data.message ? response.data.message : bcg_dashboard.i18n.queue_error );
+					$btn.prop( 'disabled', false ).removeClass( 'is-loading' );
+				}
+			} )
+			.fail( function () {
+				window.alert( bcg_dashboard.i18n.queue_error );
+				$btn.prop( 'disabled', false ).removeClass( 'is-loading' );
+			} );
+		},
+
+		/**
+		 * Poll the queue again after the configured interval if any item
+		 * is still queued or running.
+		 *
+		 * @return {void}
+		 */
+		scheduleQueuePoll: function () {
+			var self = this;
+
+			clearTimeout( self.queueTimer );
+
+			if ( ! $( '.bcg-queue-item[data-status="queued"], .bcg-queue-item[data-status="running"]' ).length ) {
+				return;
+			}
+
+			self.queueTimer = setTimeout( function () {
+				$.post( bcgData.ajax_url, {
+					action: 'bcg_get_queue',
+					nonce:  bcgData.nonce
+				} )
+				.done( function ( response ) {
+					if ( response.success ) {
+						self.renderQueue( response.data.items );
+					}
+				} )
+				.always( function () {
+					self.scheduleQueuePoll();
+				} );
+			}, bcg_dashboard.queue_poll_interval );
+		},
+
+		/**
+		 * Re-render the queue list from server items.
+		 *
+		 * @param {Array} items Queue items, newest first.
+		 * @return {void}
+		 */
+		renderQueue: function ( items ) {
+			var i18n   = bcg_dashboard.i18n;
+			var badges = {
+				queued:    'bcg-badge-draft',
+				running:   'bcg-badge-ready',
+				complete:  'bcg-badge-sent',
+				failed:    'bcg-badge-error',
+				cancelled: 'bcg-badge-draft'
+			};
+			var $list  = $( '#bcg-queue-list' ).empty();
+
+			$.each( items || [], function ( i, item ) {
+				var $main    = $( '<span class="bcg-queue-item-main">' );
+				var $actions = $( '<span class="bcg-queue-item-actions">' );
+
+				$main.append( $( '<span class="bcg-queue-item-label">' ).text( item.label || i18n.untitled ) );
+
+				if ( item.message ) {
+					$main.append( $( '<span class="bcg-queue-item-detail">' ).text( item.message ) );
+				} else if ( item.error ) {
+					$main.append( $( '<span class="bcg-queue-item-detail bcg-queue-item-error">' ).text( item.error ) );
+				} else if ( item.warnings && item.warnings.length ) {
+					$main.append(
+						$( '<span class="bcg-queue-item-detail">' )
+							.text( i18n.warnings.replace( '%d', item.warnings.length ) )
+							.attr( 'title', item.warnings.join( '\n' ) )
+					);
+				}
+
+				if ( item.edit_url ) {
+					$actions.append( $( '<a class="bcg-btn-secondary bcg-btn-sm">' ).attr( 'href', item.edit_url ).text( i18n.edit ) );
+				}
+
+				if ( 'failed' === item.status || 'cancelled' === item.status ) {
+					$actions.append( $( '<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-queue-retry">' ).text( i18n.retry ) );
+				} else if ( 'queued' === item.status || 'running' === item.status ) {
+					$actions.append( $( '<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-queue-cancel">' ).text( i18n.cancel ) );
+				}
+
+				$( '<li class="bcg-queue-item">' )
+					.addClass( 'bcg-queue-item-' + item.status )
+					.attr( { 'data-item-id': item.id, 'data-status': item.status } )
+					.append( $( '<span class="bcg-badge">' ).addClass( badges[ item.status ] || 'bcg-badge-draft' ).text( i18n[ item.status ] || item.status ) )
+					.append( $main )
+					.append( $actions )
+					.appendTo( $list );
+			} );
+
+			$( '#bcg-queue-panel' ).toggle( !! ( items && items.length ) );
+			this.updateQueueSummary();
+		},
+
+		/**
+		 * Update the queued / generating / failed counts in the panel header.
+		 *
+		 * @return {void}
+		 */
+		updateQueueSummary: function () {
+			var count = function ( status ) {
+				return $( '.bcg-queue-item[data-status="' + status + '"]' ).length;
+			};
+
+			$( '#bcg-queue-summary' ).text(
+				bcg_dashboard.i18n.queue_summary
+					.replace( '%1$d', count( 'queued' ) )
+					.replace( '%2$d', count( 'running' ) )
+					.replace( '%3$d', count( 'failed' ) )
+			);
+		},
+
+		// ─── Recurring Campaigns ───────────────────────────────────────
+
+		/**
+		 * Bind the recurring campaigns panel buttons.
+		 *
+		 * @return {void}
+		 */
+		bindRecurring: function () {
+			var self = this;
+
+			if ( ! $( '#bcg-recurring-panel' ).length || 'undefined' === typeof bcg_dashboard ) {
+				return;
+			}
+
+			$( document ).on( 'click', '.bcg-recurring-pause', function () {
+				self.recurringAction( 'bcg_set_recurring_status', $( this ), { status: 'paused' } );
+			} );
+
+			$( document ).on( 'click', '.bcg-recurring-resume', function () {
+				self.recurringAction( 'bcg_set_recurring_status', $( this ), { status: 'active' } );
+			} );
+
+			$( document ).on( 'click', '.bcg-recurring-run', function () {
+				self.recurringAction( 'bcg_run_recurring_now', $( this ), {} );
+			} );
+
+			$( document ).on( 'click', '.bcg-recurring-delete', function () {
+				var name = $( this ).closest( '.bcg-recurring-item' ).data( 'name' ) || '';
+
+				if ( window.confirm( bcg_dashboard.i18n.recurring_confirm_delete.replace( '%s', name ) ) ) {
+					self.recurringAction( 'bcg_delete_recurring', $( this ), {} );
+				}
+			} );
+		},
+
+		/**
+		 * Run a recurring campaign action and re-render the panel.
+		 *
+		 * "Run now" also returns the generation queue, which is re-rendered
+		 * so the new item appears and is polled.
+		 *
+		 * @param {string} action AJAX action name.
+		 * @param {jQuery} $btn   Button that triggered the action.
+		 * @param {Object} extra  Additional POST fields.
+		 * @return {void}
+		 */
+		recurringAction: function ( action, $btn, extra ) {
+			var self = this;
+
+			$btn.prop( 'disabled', true ).addClass( 'is-loading' );
+
+			$.post( bcgData.ajax_url, $.extend( {
+				action:       action,
+				nonce:        bcgData.nonce,
+				recurring_id: $btn.closest( '.bcg-recurring-item' ).data( 'recurring-id' ) || 0
+			}, extra ) )
+			.done( function ( response ) {
+				if ( response.success ) {
+					self.renderRecurring( response.data.items );
+
+					if ( response.data.queue_items && $( '#bcg-queue-panel' ).length ) {
+						self.renderQueue( response.data.queue_items );
+						self.scheduleQueuePoll();
+					}
+				} else {
+					window.alert( response.data && response.data.message ? response.data.message : bcg_dashboard.i18n.recurring_error );
+					$btn.prop( 'disabled', false ).removeClass( 'is-loading' );
+				}
+			} )
+			.fail( function () {
+				window.alert( bcg_dashboard.i18n.recurring_error );
+				$btn.prop( 'disabled', false ).removeClass( 'is-loading' );
+			} );
+		},
+
+		/**
+		 * Re-render the recurring campaigns list from server items.
+		 *
+		 * @param {Array} items Recurring campaigns, ordered by name.
+		 * @return {void}
+		 */
+		renderRecurring: function ( items ) {
+			var i18n  = bcg_dashboard.i18n;
+			var $list = $( '#bcg-recurring-list' ).empty();
+
+			$.each( items || [], function ( i, item ) {
+				var active   = 'active' === item.status;
+				var $main    = $( '<span class="bcg-queue-item-main">' );
+				var $actions = $( '<span class="bcg-queue-item-actions">' );
+				var $last;
+
+				$main.append( $( '<span class="bcg-queue-item-label">' ).text( item.name ) );
+				$main.append( $( '<span class="bcg-queue-item-detail">' ).text( item.schedule + ' · ' + item.brevo_action ) );
+
+				if ( item.next_run ) {
+					$main.append( $( '<span class="bcg-queue-item-detail">' ).text( i18n.next_run.replace( '%s', item.next_run ) ) );
+				}
+
+				if ( item.last_run ) {
+					$last = $( '<span class="bcg-queue-item-detail">' )
+						.toggleClass( 'bcg-queue-item-error', !! item.last_error )
+						.text(
+							i18n.last_run
+								.replace( '%1$s', item.last_run )
+								.replace( '%2$s', item.last_error || i18n[ item.last_status ] || item.last_status )
+						);
+
+					if ( item.last_url ) {
+						$last.append( ' ' ).append( $( '<a>' ).attr( 'href', item.last_url ).text( i18n.view_campaign ) );
+					}
+
+					$main.append( $last );
+				}
+
+				$actions
+					.append( $( '<a class="bcg-btn-secondary bcg-btn-sm">' ).attr( 'href', item.edit_url ).text( i18n.edit ) )
+					.append( $( '<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-run">' ).text( i18n.run_now ) )
+					.append(
+						active
+							? $( '<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-pause">' ).text( i18n.pause )
+							: $( '<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-resume">' ).text( i18n.resume )
+					)
+					.append( $( '<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-delete">' ).text( i18n['delete'] ) );
+
+				$( '<li class="bcg-queue-item bcg-recurring-item">' )
+					.attr( { 'data-recurring-id': item.id, 'data-status': item.status, 'data-name': item.name } )
+					.append( $( '<span class="bcg-badge">' ).addClass( active ? 'bcg-badge-sent' : 'bcg-badge-draft' ).text( active ? i18n.active : i18n.paused ) )
+					.append( $main )
+					.append( $actions )
+					.appendTo( $list );
+			} );
+
+			$( '#bcg-recurring-panel' ).toggle( !! ( items && items.length ) );
 		},
 
 		/**
@@ -0,0 +1,366 @@
+/**
+ * Brevo Campaign Generator — deliverability check.
+ *
+ * Scores the rendered email against local spam filter rules (see
+ * BCG_Deliverability), lists what was found with a suggested fix for
+ * each, outlines the section a finding came from in the preview, and can
+ * ask the AI to rewrite flagged copy.
+ *
+ * An element with the bcg-deliverability class becomes a check button
+ * when passed to mount(). The page supplies the request data and decides
+ * where a rewrite goes; when it cannot place one, the rewritten copy is
+ * shown so it can be copied by hand.
+ *
+ * Depends on: jQuery.
+ * Localised data available via: bcg_deliverability (ajax_url, nonce, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_deliverability */
+( function ( $, window, document ) {
+	'use strict';
+
+	var config = window.bcg_deliverability || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * Class added to the sections a finding is shown in.
+	 *
+	 * @type {string}
+	 */
+	var FLAG_CLASS = 'bcg-deliverability-flagged';
+
+	/**
+	 * Escape a string for use in HTML.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function escHtml( str ) {
+		return String( str )
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	/**
+	 * Outline a section in preview iframes and scroll it into view. Any
+	 * section outlined before is cleared.
+	 *
+	 * @param {HTMLIFrameElement[]} frames
+	 * @param {string|null}         marker data-bcg-section value, or null to clear.
+	 */
+	function highlight( frames, marker ) {
+		$.each( frames || [], function ( i, frame ) {
+			var doc = frame && frame.contentDocument;
+			if ( ! doc || ! doc.body ) {
+				return;
+			}
+
+			if ( ! doc.getElementById( 'bcg-deliverability-style' ) ) {
+				var style = doc.createElement( 'style' );
+				style.id          = 'bcg-deliverability-style';
+				style.textContent = '.' + FLAG_CLASS + '{outline:2px dashed #f0a500 !important;outline-offset:-2px;}';
+				( doc.head || doc.body ).appendChild( style );
+			}
+
+			var nodes = doc.querySelectorAll( '[data-bcg-section]' );
+			for ( var n = 0; n < nodes.length; n++ ) {
+				if ( marker && nodes[ n ].getAttribute( 'data-bcg-section' ) === marker ) {
+					nodes[ n ].classList.add( FLAG_CLASS );
+					if ( typeof nodes[ n ].scrollIntoView === 'function' ) {
+						nodes[ n ].scrollIntoView( { block: 'center', behavior: 'smooth' } );
+					}
+				} else {
+					nodes[ n ].classList.remove( FLAG_CLASS );
+				}
+			}
+		} );
+	}
+
+	/**
+	 * Describe a score for the check button and the panel summary.
+	 *
+	 * @param  {Object} result Analysis from bcg_analyse_deliverability.
+	 * @return {string}
+	 */
+	function ratingLabel( result ) {
+		var labels = i18n.rating || {};
+		return labels[ result.rating ] || result.rating;
+	}
+
+	/**
+	 * Build the list item for a finding.
+	 *
+	 * @param  {Object} finding
+	 * @param  {number} index   Position in the findings array.
+	 * @return {string} HTML.
+	 */
+	function findingHtml( finding, index ) {
+		var actions = '';
+
+		if ( finding.section ) {
+			actions += '<button type="button" class="button-link bcg-deliverability-show" data-index="' + index + '">' +
+				escHtml( i18n.show || 'Show in preview' ) + '</button>';
+		}
+		if ( finding.rewrite ) {
+			actions += '<button type="button" class="button button-small bcg-deliverability-rewrite" data-index="' + index + '">' +
+				'<span class="material-icons-outlined" aria-hidden="true">auto_awesome</span>' +
+				escHtml( i18n.rewrite || 'Rewrite with AI' ) + '</button>';
+		}
+
+		return '<li class="bcg-deliverability-finding" data-index="' + index + '">' +
+			'<div class="bcg-deliverability-finding-head">' +
+				'<strong>' + escHtml( finding.label ) + '</strong>' +
+				'<span class="bcg-deliverability-points">+' + escHtml( Number( finding.points ).toFixed( 1 ) ) + '</span>' +
+			'</div>' +
+			'<p class="bcg-deliverability-message">' + escHtml( finding.message ) + '</p>' +
+			( finding.text ? '<blockquote class="bcg-deliverability-text">' + escHtml( finding.text ) + '</blockquote>' : '' ) +
+			'<p class="bcg-deliverability-suggestion">' + escHtml( finding.suggestion ) + '</p>' +
+			( actions ? '<div class="bcg-deliverability-finding-actions">' + actions + '</div>' : '' ) +
+			'<div class="bcg-deliverability-result"></div>' +
+		'</li>';
+	}
+
+	/**
+	 * Turn an element into a deliverability check.
+	 *
+	 * @param {Element|jQuery|string} container Element to build the check in.
+	 * @param {Object}                options {
+	 *     @type {Function} request   Returns the POST data that identifies the
+	 *                                email ({ campaign_id } or { sections,
+	 *                                global_defaults }), or a promise of it.
+	 *     @type {Function} frames    Optional. Returns the preview iframes to
+	 *                                outline sections in.
+	 *     @type {Function} onSelect  Optional. Called with the section marker
+	 *                                of a finding the user asks to see.
+	 *     @type {Function} onRewrite Optional. Called with the finding and the
+	 *                                rewritten copy; returns true when the copy
+	 *                                was put in place of the flagged text.
+	 * }
+	 */
+	function mount( container, options ) {
+		var $root = $( container ).first();
+		if ( ! $root.length || $root.data( 'bcgDeliverability' ) ) {
+			return;
+		}
+
+		options = options || {};
+
+		var findings = [];
+		var seq      = 0;
+
+		$root.data( 'bcgDeliverability', true ).html(
+			'<button type="button" class="bcg-deliverability-btn" aria-haspopup="dialog" aria-expanded="false">' +
+				'<span class="material-icons-outlined" aria-hidden="true">mark_email_read</span>' +
+				'<span class="bcg-deliverability-label">' + escHtml( i18n.button || 'Spam check' ) + '</span>' +
+			'</button>' +
+			'<div class="bcg-deliverability-panel" role="dialog" aria-label="' + escHtml( i18n.title || 'Deliverability check' ) + '">' +
+				'<div class="bcg-deliverability-summary"></div>' +
+				'<p class="bcg-deliverability-status" role="status"></p>' +
+				'<ul class="bcg-deliverability-findings"></ul>' +
+				'<div class="bcg-deliverability-actions">' +
+					'<button type="button" class="button bcg-deliverability-run">' + escHtml( i18n.check_again || 'Check again' ) + '</button>' +
+				'</div>' +
+			'</div>'
+		);
+
+		var $btn      = $root.find( '.bcg-deliverability-btn' );
+		var $summary  = $root.find( '.bcg-deliverability-summary' );
+		var $status   = $root.find( '.bcg-deliverability-status' );
+		var $findings = $root.find( '.bcg-deliverability-findings' );
+
+		function frames() {
+			return typeof options.frames === 'function' ? options.frames() : [];
+		}
+
+		function close() {
+			$root.removeClass( 'is-open' );
+			$btn.attr( 'aria-expanded', 'false' );
+			$( document ).off( 'mousedown.bcgDeliverability' );
+			highlight( frames(), null );
+		}
+
+		function render( result ) {
+			findings = result.findings || [];
+
+			$root.removeClass( 'is-good is-fair is-poor' ).addClass( 'is-' + result.rating );
+			$summary.html(
+				'<span class="bcg-deliverability-score">' + escHtml( Number( result.score ).toFixed( 1 ) ) + '</span>' +
+				'<span class="bcg-deliverability-rating">' + escHtml( ratingLabel( result ) ) + '</span>' +
+				'<span class="bcg-deliverability-threshold">' +
+					escHtml( ( i18n.threshold || 'Emails scoring %s or more are likely to be filtered as spam.' ).replace( '%s', Number( result.threshold ).toFixed( 1 ) ) ) +
+				'</span>'
+			);
+
+			$findings.html( $.map( findings, findingHtml ).join( '' ) );
+			$status.text( findings.length ? '' : ( i18n.no_findings || 'No problems found.' ) ).toggle( ! findings.length );
+		}
+
+		function run() {
+			var current = ++seq;
+
+			highlight( frames(), null );
+			$summary.empty();
+			$findings.empty();
+			$status.text( i18n.analysing || 'Checking the email…' ).show();
+			$root.addClass( 'is-loading' );
+
+			$.when( options.request ? options.request() : {} ).then( function ( data ) {
+				return $.post( config.ajax_url, $.extend( {
+					action: 'bcg_analyse_deliverability',
+					nonce:  config.nonce,
+				}, data ) );
+			} ).done( function ( response ) {
+				if ( current !== seq ) {
+					return;
+				}
+				if ( ! response || ! response.success ) {
+					$status.text( ( response && response.data && response.data.message ) || i18n.error || 'The email could not be checked.' );
+					return;
+				}
+				render( response.data );
+			} ).fail( function () {
+				if ( current === seq ) {
+					$status.text( i18n.error || 'The email could not be checked.' );
+				}
+			} ).always( function () {
+				if ( current === seq ) {
+					$root.removeClass( 'is-loading' );
+				}
+			} );
+		}
+
+		function rewrite( $item, finding ) {
+			var $button = $item.find( '.bcg-deliverability-rewrite' );
+			var $result = $item.find( '.bcg-deliverability-result' );
+
+			// Fix every problem found in the same copy in one rewrite.
+			var rules = [];
+			$.each( findings, function ( i, other ) {
+				if ( other.rewrite && other.text === finding.text && other.field === finding.field && rules.indexOf( other.rule ) === -1 ) {
+					rules.push( other.rule );
+				}
+			} );
+
+			$button.prop( 'disabled', true );
+			$result.removeClass( 'is-error' ).text( i18n.rewriting || 'Rewriting…' );
+
+			$.post( config.ajax_url, {
+				action: 'bcg_rewrite_flagged_copy',
+				nonce:  config.nonce,
+				text:   finding.text,
+				rules:  rules,
+			} ).done( function ( response ) {
+				if ( ! response || ! response.success ) {
+					$result.addClass( 'is-error' ).text( ( response && response.data && response.data.message ) || i18n.rewrite_error || 'The copy could not be rewritten.' );
+					$button.prop( 'disabled', false );
+					return;
+				}
+
+				var content = response.data.content;
+				var applied = typeof options.onRewrite === 'function' && options.onRewrite( finding, content );
+				var credits = ( i18n.credits_used || '%s credits used.' ).replace( '%s', response.data.credits_used );
+
+				if ( applied ) {
+					$item.addClass( 'is-fixed' );
+					$result.text( ( i18n.rewritten || 'Rewritten. Check again to update the score.' ) + ' ' + credits );
+					return;
+				}
+
+				$result.html(
+					'<p>' + escHtml( ( i18n.not_applied || 'This copy could not be found in the editor. Copy the rewrite and paste it in by hand.' ) + ' ' + credits ) + '</p>' +
+					'<textarea class="bcg-deliverability-rewrite-text" rows="3" readonly></textarea>' +
+					'<button type="button" class="button button-small bcg-deliverability-copy">' + escHtml( i18n.copy || 'Copy' ) + '</button>'
+				);
+				$result.find( 'textarea' ).val( content );
+				$button.prop( 'disabled', false );
+			} ).fail( function () {
+				$result.addClass( 'is-error' ).text( i18n.rewrite_error || 'The copy could not be rewritten.' );
+				$button.prop( 'disabled', false );
+			} );
+		}
+
+		$btn.on( 'click', function () {
+			if ( $root.hasClass( 'is-open' ) ) {
+				close();
+				return;
+			}
+
+			$root.addClass( 'is-open' );
+			$btn.attr( 'aria-expanded', 'true' );
+			$( document ).on( 'mousedown.bcgDeliverability', function ( e ) {
+				if ( ! $.contains( $root[0], e.target ) ) {
+					close();
+				}
+			} );
+			run();
+		} );
+
+		$root.on( 'click', '.bcg-deliverability-run', run );
+
+		$root.on( 'click', '.bcg-deliverability-show', function () {
+			var finding = findings[ $( this ).data( 'index' ) ];
+			if ( ! finding ) {
+				return;
+			}
+			highlight( frames(), finding.section );
+			if ( typeof options.onSelect === 'function' ) {
+				options.onSelect( finding.section );
+			}
+		} );
+
+		$root.on( 'click', '.bcg-deliverability-rewrite', function () {
+			var $item   = $( this ).closest( '.bcg-deliverability-finding' );
+			var finding = findings[ $item.data( 'index' ) ];
+			if ( finding ) {
+				rewrite( $item, finding );
+			}
+		} );
+
+		$root.on( 'click', '.bcg-deliverability-copy', function () {
+			var $text = $( this ).siblings( 'textarea' );
+			$text.trigger( 'select' );
+			if ( navigator.clipboard && navigator.clipboard.writeText ) {
+				navigator.clipboard.writeText( $text.val() );
+			} else {
+				document.execCommand( 'copy' );
+			}
+		} );
+
+		$root.on( 'keydown', function ( e ) {
+			if ( e.key === 'Escape' && $root.hasClass( 'is-open' ) ) {
+				e.preventDefault();
+				e.stopPropagation();
+				close();
+				$btn.trigger( 'focus' );
+			}
+		} );
+	}
+
+	/**
+	 * Replace the first occurrence of flagged copy in a string.
+	 *
+	 * @param  {string} value   Text to search.
+	 * @param  {string} text    The flagged copy.
+	 * @param  {string} content The rewritten copy.
+	 * @return {string|null} The new value, or null when the copy is not in it.
+	 */
+	function replaceText( value, text, content ) {
+		value = String( value || '' );
+		var at = text ? value.indexOf( text ) : -1;
+
+		return at === -1 ? null : value.slice( 0, at ) + content + value.slice( at + text.length );
+	}
+
+	window.BCGDeliverability = {
+		mount:       mount,
+		highlight:   highlight,
+		replaceText: replaceText,
+	};
+
+} )( jQuery, window, document );
@@ -0,0 +1,534 @@
+/**
+ * Brevo Campaign Generator — merge tag picker.
+ *
+ * Lets the user insert Brevo personalisation tags such as
+ * {{ contact.FIRSTNAME | default : "there" }} into any text field, rich text
+ * editor or CodeMirror instance, using the contact attributes defined in the
+ * connected Brevo account. Also checks text for malformed tags and unknown
+ * attributes before a campaign is pushed to Brevo, and fills tags in with a
+ * contact's data for previews.
+ *
+ * Any button with the bcg-merge-tag-btn class opens the picker. Its
+ * data-target attribute is a selector for the field to insert into; without
+ * one, the button's first input or textarea sibling is used. A textarea that
+ * CodeMirror has replaced is written through the CodeMirror instance.
+ *
+ * Depends on: jQuery.
+ * Localised data available via: bcg_merge_tags (ajax_url, nonce, tokens, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_merge_tags */
+( function ( $, window, document ) {
+	'use strict';
+
+	var config = window.bcg_merge_tags || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * Brevo's own campaign tags, which are not contact attributes.
+	 *
+	 * @type {string[]}
+	 */
+	var BREVO_TAGS = [ 'unsubscribe', 'mirror', 'update_profile' ];
+
+	/**
+	 * Attributes offered when the Brevo account cannot be reached.
+	 *
+	 * @type {Object[]}
+	 */
+	var FALLBACK_ATTRIBUTES = [
+		{ name: 'EMAIL',     type: 'text' },
+		{ name: 'FIRSTNAME', type: 'text' },
+		{ name: 'LASTNAME',  type: 'text' },
+	];
+
+	/**
+	 * A {{ contact.NAME }} tag with optional filters such as
+	 * | default : "fallback".
+	 *
+	 * @type {RegExp}
+	 */
+	var CONTACT_TAG = /^contact\.([A-Za-z0-9_]+)\s*((?:\|\s*[a-z_]+\s*(?::\s*(?:"[^"]*"|'[^']*'|[^|"'\s]+)\s*)?)*)$/;
+
+	/**
+	 * Pending or finished attribute request.
+	 *
+	 * @type {jQuery.Promise|null}
+	 */
+	var request = null;
+
+	/**
+	 * Whether the last attribute request failed.
+	 *
+	 * @type {boolean}
+	 */
+	var loadFailed = false;
+
+	/**
+	 * The open picker: { $el, target, saved, anchor }.
+	 *
+	 * @type {Object|null}
+	 */
+	var picker = null;
+
+	/**
+	 * Escape a string for use in HTML.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function escHtml( str ) {
+		return String( str )
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	/**
+	 * Replace %s in a translated string.
+	 *
+	 * @param  {string} str
+	 * @param  {string} value
+	 * @return {string}
+	 */
+	function sprintf( str, value ) {
+		return String( str ).replace( '%s', value );
+	}
+
+	/**
+	 * Load the account's contact attributes. The request is made once per
+	 * page unless refresh is set; when it fails the fallback attributes are
+	 * used.
+	 *
+	 * @param  {boolean} refresh Bypass the server-side cache.
+	 * @return {jQuery.Promise} Resolves with an array of { name, type }.
+	 */
+	function load( refresh ) {
+		if ( request && ! refresh ) {
+			return request;
+		}
+
+		var deferred = $.Deferred();
+		request      = deferred.promise();
+
+		$.post( config.ajax_url, {
+			action:  'bcg_get_merge_tags',
+			nonce:   config.nonce,
+			refresh: refresh ? 1 : 0,
+		} ).done( function ( response ) {
+			if ( response && response.success && response.data && response.data.attributes ) {
+				loadFailed = false;
+				deferred.resolve( response.data.attributes );
+			} else {
+				loadFailed = true;
+				deferred.resolve( FALLBACK_ATTRIBUTES );
+			}
+		} ).fail( function () {
+			loadFailed = true;
+			deferred.resolve( FALLBACK_ATTRIBUTES );
+		} );
+
+		return request;
+	}
+
+	/**
+	 * Build a contact merge tag.
+	 *
+	 * @param  {string} name     Attribute name.
+	 * @param  {string} fallback Text shown when the contact has no value.
+	 * @return {string}
+	 */
+	function build( name, fallback ) {
+		fallback = $.trim( String( fallback || '' ) ).replace( /"/g, '\'' );
+
+		return '{{ contact.' + name + ( fallback ? ' | default : "' + fallback + '"' : '' ) + ' }}';
+	}
+
+	/**
+	 * Find the problems with the merge tags in a piece of text.
+	 *
+	 * @param  {string}        text
+	 * @param  {string[]|null} names Known attribute names, or null to check
+	 *                               the syntax only.
+	 * @return {string[]} Translated problem descriptions.
+	 */
+	function findProblems( text, names ) {
+		var problems = [];
+		var tokens   = config.tokens || [];
+		var pos      = 0;
+
+		text = String( text || '' );
+
+		while ( ( pos = text.indexOf( '{{', pos ) ) !== -1 ) {
+			var end  = text.indexOf( '}}', pos + 2 );
+			var next = text.indexOf( '{{', pos + 2 );
+
+			if ( end === -1 || ( next !== -1 && next < end ) ) {
+				problems.push( sprintf( i18n.unclosed || 'Unclosed merge tag: %s', text.substring( pos, pos + 30 ) ) );
+				pos += 2;
+				continue;
+			}
+
+			var tag   = text.substring( pos, end + 2 );
+			var inner = $.trim( text.substring( pos + 2, end ) );
+			var match = CONTACT_TAG.exec( inner );
+			pos       = end + 2;
+
+			if ( match ) {
+				if ( names && names.indexOf( match[1] ) === -1 ) {
+					problems.push( sprintf( i18n.unknown_attribute || 'Unknown contact attribute: %s', tag ) );
+				}
+				continue;
+			}
+
+			if ( BREVO_TAGS.indexOf( inner ) !== -1 || tokens.indexOf( inner ) !== -1 || inner.indexOf( 'setting_' ) === 0 ) {
+				continue;
+			}
+
+			problems.push( sprintf( inner.indexOf( 'contact.' ) === 0 ? ( i18n.malformed || 'Malformed merge tag: %s' ) : ( i18n.unknown_tag || 'Unknown merge tag: %s' ), tag ) );
+		}
+
+		return problems;
+	}
+
+	/**
+	 * Check several fields for merge tag problems.
+	 *
+	 * @param  {Object[]} fields { label, value } pairs.
+	 * @return {jQuery.Promise} Resolves with an array of "Label: problem" strings.
+	 */
+	function validate( fields ) {
+		return load().then( function ( attributes ) {
+			var names    = loadFailed ? null : $.map( attributes, function ( attr ) { return attr.name; } );
+			var problems = [];
+
+			$.each( fields, function ( i, field ) {
+				$.each( findProblems( field.value, names ), function ( j, problem ) {
+					problems.push( field.label ? field.label + ': ' + problem : problem );
+				} );
+			} );
+
+			return problems;
+		} );
+	}
+
+	/**
+	 * Undo the HTML escaping a renderer applied to a tag's quotes.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function decodeQuotes( str ) {
+		return String( str )
+			.replace( /&(?:quot|#0?34);/g, '"' )
+			.replace( /&#0?39;/g, '\'' )
+			.replace( /&amp;/g, '&' );
+	}
+
+	/**
+	 * Apply one of the Brevo filters a preview supports.
+	 *
+	 * @param  {string} value
+	 * @param  {string} filter   Filter name.
+	 * @param  {string} argument Filter argument, if any.
+	 * @return {string}
+	 */
+	function applyFilter( value, filter, argument ) {
+		switch ( filter ) {
+			case 'default':
+				return value === '' ? argument : value;
+			case 'upper':
+				return value.toUpperCase();
+			case 'lower':
+				return value.toLowerCase();
+			case 'capfirst':
+				return value.charAt( 0 ).toUpperCase() + value.substring( 1 );
+			case 'title':
+				return value.toLowerCase().replace( /(^|\s)(\S)/g, function ( m, space, letter ) {
+					return space + letter.toUpperCase();
+				} );
+		}
+		return value;
+	}
+
+	/**
+	 * Fill the contact tags in rendered email HTML with a contact's data, as
+	 * Brevo does when it sends the campaign. A tag for an attribute the
+	 * contact has no value for shows its default filter's text, or nothing.
+	 * Other tags are left as they are.
+	 *
+	 * @param  {string} html       Rendered email HTML.
+	 * @param  {Object} attributes Attribute values keyed by uppercase name.
+	 * @return {string}
+	 */
+	function resolve( html, attributes ) {
+		attributes = attributes || {};
+
+		return String( html ).replace( /\{\{([^{}]*)\}\}/g, function ( tag, inner ) {
+			var match = CONTACT_TAG.exec( $.trim( decodeQuotes( inner ) ) );
+			if ( ! match ) {
+				return tag;
+			}
+
+			var value   = attributes.hasOwnProperty( match[1].toUpperCase() ) ? attributes[ match[1].toUpperCase() ] : '';
+			var filters = /\|\s*([a-z_]+)\s*(?::\s*(?:"([^"]*)"|'([^']*)'|([^|"'\s]+)))?/g;
+			var filter;
+
+			value = value === null || value === undefined ? '' : String( value );
+
+			while ( ( filter = filters.exec( match[2] ) ) !== null ) {
+				value = applyFilter( value, filter[1], filter[2] !== undefined ? filter[2] : ( filter[3] !== undefined ? filter[3] : ( filter[4] || '' ) ) );
+			}
+
+			return escHtml( value );
+		} );
+	}
+
+	/**
+	 * Resolve the element or CodeMirror instance a picker inserts into.
+	 *
+	 * @param  {Element|Object} target
+	 * @return {Element|Object|null}
+	 */
+	function resolveTarget( target ) {
+		if ( target && target.jquery ) {
+			target = target[0];
+		}
+		if ( ! target ) {
+			return null;
+		}
+		if ( target.nodeName === 'TEXTAREA' && target.nextSibling && target.nextSibling.CodeMirror ) {
+			return target.nextSibling.CodeMirror;
+		}
+		return target;
+	}
+
+	/**
+	 * Remember the target's selection, which the picker's search box is about
+	 * to take away.
+	 *
+	 * @param  {Element|Object} target
+	 * @return {*}
+	 */
+	function saveSelection( target ) {
+		if ( typeof target.replaceSelection === 'function' ) {
+			return null;
+		}
+		if ( target.isContentEditable ) {
+			var sel = window.getSelection();
+			return sel.rangeCount && target.contains( sel.getRangeAt( 0 ).commonAncestorContainer ) ? sel.getRangeAt( 0 ).cloneRange() : null;
+		}
+		if ( typeof target.selectionStart === 'number' ) {
+			return { start: target.selectionStart, end: target.selectionEnd };
+		}
+		return null;
+	}
+
+	/**
+	 * Insert text into an input, textarea, editable element or CodeMirror
+	 * instance at the saved selection, then notify the field's listeners.
+	 *
+	 * @param {Element|Object} target
+	 * @param {string}         text
+	 * @param {*}              saved From saveSelection().
+	 */
+	function insert( target, text, saved ) {
+		if ( typeof target.replaceSelection === 'function' ) {
+			target.replaceSelection( text );
+			target.focus();
+			return;
+		}
+
+		if ( target.isContentEditable ) {
+			target.focus();
+			if ( saved ) {
+				var sel = window.getSelection();
+				sel.removeAllRanges();
+				sel.addRange( saved );
+			}
+			document.execCommand( 'insertText', false, text );
+			return;
+		}
+
+		var value = String( target.value || '' );
+		var start = saved ? saved.start : value.length;
+		var end   = saved ? saved.end : value.length;
+
+		target.value = value.substring( 0, start ) + text + value.substring( end );
+		target.focus();
+		if ( typeof target.setSelectionRange === 'function' ) {
+			target.setSelectionRange( start + text.length, start + text.length );
+		}
+		$( target ).trigger( 'input' ).trigger( 'change' );
+	}
+
+	/**
+	 * Close the open picker.
+	 */
+	function close() {
+		if ( ! picker ) {
+			return;
+		}
+		$( picker.anchor ).attr( 'aria-expanded', 'false' );
+		picker.$el.remove();
+		picker = null;
+		$( document ).off( '.bcgMergeTags' );
+	}
+
+	/**
+	 * Fill the picker's attribute list, filtered by its search box.
+	 */
+	function renderOptions() {
+		if ( ! picker ) {
+			return;
+		}
+
+		var search = $.trim( picker.$el.find( '.bcg-merge-picker-search' ).val() ).toUpperCase();
+		var html   = '';
+
+		$.each( picker.attributes || [], function ( i, attr ) {
+			if ( search && attr.name.indexOf( search ) === -1 ) {
+				return;
+			}
+			html += '<button type="button" class="bcg-merge-picker-option" role="option" data-name="' + escHtml( attr.name ) + '">' +
+				'<span class="bcg-merge-picker-name">' + escHtml( attr.name ) + '</span>' +
+				'<span class="bcg-merge-picker-type">' + escHtml( attr.type || '' ) + '</span>' +
+				'</button>';
+		} );
+
+		picker.$el.find( '.bcg-merge-picker-list' ).html( html || '<p class="bcg-merge-picker-empty">' + escHtml( i18n.no_results || 'No matching attributes.' ) + '</p>' );
+	}
+
+	/**
+	 * Load attributes into the open picker.
+	 *
+	 * @param {boolean} refresh Bypass the server-side cache.
+	 */
+	function fillPicker( refresh ) {
+		var $status = picker.$el.find( '.bcg-merge-picker-status' );
+
+		$status.text( i18n.loading || 'Loading attributes…' ).show();
+
+		load( refresh ).done( function ( attributes ) {
+			if ( ! picker ) {
+				return;
+			}
+			picker.attributes = attributes;
+			$status.text( loadFailed ? ( i18n.load_error || 'Could not load your Brevo contact attributes. Showing the standard ones.' ) : '' ).toggle( loadFailed );
+			renderOptions();
+		} );
+	}
+
+	/**
+	 * Open the picker under a button.
+	 *
+	 * @param {Element}        anchor Button the picker belongs to.
+	 * @param {Element|Object} target Field, editable element, CodeMirror
+	 *                                instance or textarea to insert into.
+	 */
+	function open( anchor, target ) {
+		var wasOpen = picker && picker.anchor === anchor;
+
+		close();
+		target = resolveTarget( target );
+		if ( wasOpen || ! target ) {
+			return;
+		}
+
+		var $el = $(
+			'<div class="bcg-merge-picker" role="dialog" aria-label="' + escHtml( i18n.title || 'Insert merge tag' ) + '">' +
+				'<input type="search" class="bcg-merge-picker-search" placeholder="' + escHtml( i18n.search || 'Search attributes…' ) + '" />' +
+				'<p class="bcg-merge-picker-status"></p>' +
+				'<div class="bcg-merge-picker-list" role="listbox"></div>' +
+				'<label class="bcg-merge-picker-fallback">' +
+					'<span>' + escHtml( i18n.fallback || 'Fallback if empty' ) + '</span>' +
+					'<input type="text" class="bcg-merge-picker-fallback-input" placeholder="' + escHtml( i18n.fallback_placeholder || 'e.g. there' ) + '" />' +
+				'</label>' +
+				'<button type="button" class="bcg-merge-picker-refresh">' +
+					'<span class="material-icons-outlined" aria-hidden="true">refresh</span>' + escHtml( i18n.refresh || 'Refresh from Brevo' ) +
+				'</button>' +
+			'</div>'
+		);
+
+		picker = {
+			$el:        $el,
+			anchor:     anchor,
+			target:     target,
+			saved:      saveSelection( target ),
+			attributes: [],
+		};
+
+		var rect = anchor.getBoundingClientRect();
+		$el.css( {
+			top:  ( rect.bottom + 4 ) + 'px',
+			left: Math.max( 8, Math.min( rect.left, window.innerWidth - 288 ) ) + 'px',
+		} ).appendTo( document.body );
+		$( anchor ).attr( 'aria-expanded', 'true' );
+
+		$el.on( 'input', '.bcg-merge-picker-search', renderOptions );
+
+		$el.on( 'click', '.bcg-merge-picker-option', function () {
+			var current = picker;
+			var tag     = build( $( this ).data( 'name' ), $el.find( '.bcg-merge-picker-fallback-input' ).val() );
+			close();
+			insert( current.target, tag, current.saved );
+		} );
+
+		$el.on( 'click', '.bcg-merge-picker-refresh', function () {
+			fillPicker( true );
+		} );
+
+		$el.on( 'keydown', function ( e ) {
+			if ( e.key === 'Escape' ) {
+				e.preventDefault();
+				var current = picker;
+				close();
+				$( current.anchor ).trigger( 'focus' );
+			} else if ( e.key === 'Enter' && $( e.target ).is( 'input' ) ) {
+				e.preventDefault();
+				$el.find( '.bcg-merge-picker-option' ).first().trigger( 'click' );
+			}
+		} );
+
+		$( document ).on( 'mousedown.bcgMergeTags', function ( e ) {
+			if ( picker && ! $.contains( picker.$el[0], e.target ) && ! $.contains( anchor, e.target ) && e.target !== anchor ) {
+				close();
+			}
+		} );
+
+		fillPicker( false );
+		$el.find( '.bcg-merge-picker-search' ).trigger( 'focus' );
+	}
+
+	// Buttons anywhere in the admin open the picker for their field.
+	$( document ).on( 'click', '.bcg-merge-tag-btn', function ( e ) {
+		e.preventDefault();
+		e.stopPropagation();
+
+		var $btn   = $( this );
+		var target = $btn.data( 'target' ) ? $( $btn.data( 'target' ) ) : $btn.siblings( 'input, textarea' ).first();
+
+		open( this, target );
+	} );
+
+	// Keep the selection of a rich text editor when its picker button is pressed.
+	$( document ).on( 'mousedown', '.bcg-merge-tag-btn', function ( e ) {
+		e.preventDefault();
+	} );
+
+	window.BCGMergeTags = {
+		load:         load,
+		build:        build,
+		findProblems: findProblems,
+		validate:     validate,
+		resolve:      resolve,
+		open:         open,
+		close:        close,
+	};
+
+} )( jQuery, window, document );
@@ -0,0 +1,369 @@
+/**
+ * Brevo Campaign Generator — "Preview as" contact selector.
+ *
+ * Lets the user pick a Brevo contact, or enter sample attributes as JSON,
+ * and shows email previews with the {{ contact.NAME }} merge tags filled in
+ * with that data, fallback values included. The choice is shared by every
+ * selector on the page.
+ *
+ * An element with the bcg-preview-as class becomes a selector when passed
+ * to mount(). Previews written through write() are redrawn whenever the
+ * choice changes; callers that render their own previews can pass a
+ * callback to mount() instead and run their HTML through apply().
+ *
+ * Depends on: jQuery, bcg-merge-tags.js, bcg-preview-frame.js.
+ * Localised data available via: bcg_preview_contact (ajax_url, nonce, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_preview_contact, BCGMergeTags, BCGPreviewFrame */
+( function ( $, window, document ) {
+	'use strict';
+
+	var config = window.bcg_preview_contact || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * The chosen contact: { label, attributes }, or null to show the raw tags.
+	 *
+	 * @type {Object|null}
+	 */
+	var contact = null;
+
+	/**
+	 * Text of the sample attributes box, kept between openings.
+	 *
+	 * @type {string}
+	 */
+	var sampleJson = '';
+
+	/**
+	 * Mounted selectors: { $root, onChange }.
+	 *
+	 * @type {Object[]}
+	 */
+	var selectors = [];
+
+	/**
+	 * Iframes written through write().
+	 *
+	 * @type {HTMLIFrameElement[]}
+	 */
+	var frames = [];
+
+	/**
+	 * Number of the latest contact search, so older responses are ignored.
+	 *
+	 * @type {number}
+	 */
+	var searchSeq = 0;
+
+	/**
+	 * Pending search timer.
+	 *
+	 * @type {number|null}
+	 */
+	var searchTimer = null;
+
+	/**
+	 * Escape a string for use in HTML.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function escHtml( str ) {
+		return String( str )
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	/**
+	 * Fill the merge tags in email HTML with the chosen contact's data.
+	 *
+	 * @param  {string} html
+	 * @return {string} The HTML unchanged when no contact is chosen.
+	 */
+	function apply( html ) {
+		return contact ? BCGMergeTags.resolve( html, contact.attributes ) : html;
+	}
+
+	/**
+	 * Show preview HTML in an iframe with the chosen contact's data, and
+	 * redraw it whenever the choice changes.
+	 *
+	 * @param  {HTMLIFrameElement|jQuery} iframe
+	 * @param  {string}                   html    Email HTML with merge tags.
+	 * @param  {Object}                   options Optional. Passed to BCGPreviewFrame.write().
+	 * @return {Document|null} The iframe document.
+	 */
+	function write( iframe, html, options ) {
+		if ( iframe && iframe.jquery ) {
+			iframe = iframe[ 0 ];
+		}
+		if ( ! iframe ) {
+			return null;
+		}
+
+		iframe.bcgPreviewRaw = { html: html, options: options };
+		if ( frames.indexOf( iframe ) === -1 ) {
+			frames.push( iframe );
+		}
+
+		return BCGPreviewFrame.write( iframe, apply( html ), options );
+	}
+
+	/**
+	 * Describe the current choice for the selector buttons.
+	 *
+	 * @return {string}
+	 */
+	function currentLabel() {
+		return ( i18n.preview_as || 'Preview as:' ) + ' ' + ( contact ? contact.label : ( i18n.merge_tags || 'Merge tags' ) );
+	}
+
+	/**
+	 * Change the contact previews are shown as.
+	 *
+	 * @param {Object|null} next { label, attributes }, or null for the raw tags.
+	 */
+	function set( next ) {
+		contact = next;
+
+		$.each( selectors, function ( i, selector ) {
+			selector.$root.toggleClass( 'is-active', !! contact );
+			selector.$root.find( '.bcg-preview-as-label' ).text( currentLabel() );
+		} );
+
+		$.each( frames, function ( i, iframe ) {
+			if ( iframe.bcgPreviewRaw ) {
+				BCGPreviewFrame.write( iframe, apply( iframe.bcgPreviewRaw.html ), iframe.bcgPreviewRaw.options );
+			}
+		} );
+
+		$.each( selectors, function ( i, selector ) {
+			if ( typeof selector.onChange === 'function' ) {
+				selector.onChange( contact );
+			}
+		} );
+	}
+
+	/**
+	 * Parse the sample attributes box.
+	 *
+	 * @param  {string} text JSON object of attribute values.
+	 * @return {Object|string} Attribute values keyed by uppercase name, or an
+	 *                         error message.
+	 */
+	function parseSample( text ) {
+		var data;
+
+		try {
+			data = JSON.parse( text );
+		} catch ( e ) {
+			return i18n.invalid_json || 'Enter a JSON object, e.g. {"FIRSTNAME": "Jane"}.';
+		}
+
+		if ( ! data || typeof data !== 'object' || $.isArray( data ) ) {
+			return i18n.invalid_json || 'Enter a JSON object, e.g. {"FIRSTNAME": "Jane"}.';
+		}
+
+		var attributes = {};
+		$.each( data, function ( name, value ) {
+			if ( value === null || value === undefined ) {
+				return;
+			}
+			attributes[ String( name ).toUpperCase() ] = $.isArray( value ) ? value.join( ', ' ) : String( value );
+		} );
+
+		return attributes;
+	}
+
+	/**
+	 * Close every open selector panel.
+	 */
+	function closePanels() {
+		$.each( selectors, function ( i, selector ) {
+			selector.$root.removeClass( 'is-open' );
+			selector.$root.find( '.bcg-preview-as-btn' ).attr( 'aria-expanded', 'false' );
+		} );
+		$( document ).off( '.bcgPreviewAs' );
+	}
+
+	/**
+	 * Search Brevo contacts and list them in a selector's panel.
+	 *
+	 * @param {jQuery} $root
+	 */
+	function search( $root ) {
+		var query    = $.trim( $root.find( '.bcg-preview-as-search' ).val() );
+		var $status  = $root.find( '.bcg-preview-as-status' );
+		var $results = $root.find( '.bcg-preview-as-results' );
+		var seq      = ++searchSeq;
+
+		$results.empty();
+
+		if ( query.length < 2 ) {
+			$status.text( '' ).hide();
+			return;
+		}
+
+		$status.text( i18n.searching || 'Searching contacts…' ).show();
+
+		$.post( config.ajax_url, {
+			action: 'bcg_search_contacts',
+			nonce:  config.nonce,
+			query:  query,
+		} ).done( function ( response ) {
+			if ( seq !== searchSeq ) {
+				return;
+			}
+			if ( ! response || ! response.success ) {
+				$status.text( ( response && response.data && response.data.message ) || i18n.search_error || 'Could not search your Brevo contacts.' );
+				return;
+			}
+
+			var contacts = response.data.contacts || [];
+			if ( ! contacts.length ) {
+				$status.text( i18n.no_contacts || 'No matching contacts. Names are only searched among your most recently added contacts; enter the full email address to find anyone else.' );
+				return;
+			}
+
+			$status.text( '' ).hide();
+			$.each( contacts, function ( i, item ) {
+				$( '<button type="button" class="bcg-preview-as-option" role="option">' +
+					'<span class="bcg-preview-as-option-name">' + escHtml( item.name || item.email ) + '</span>' +
+					( item.name ? '<span class="bcg-preview-as-option-email">' + escHtml( item.email ) + '</span>' : '' ) +
+					'</button>' )
+					.data( 'contact', item )
+					.appendTo( $results );
+			} );
+		} ).fail( function () {
+			if ( seq === searchSeq ) {
+				$status.text( i18n.search_error || 'Could not search your Brevo contacts.' );
+			}
+		} );
+	}
+
+	/**
+	 * Open a selector's panel.
+	 *
+	 * @param {jQuery} $root
+	 */
+	function openPanel( $root ) {
+		closePanels();
+
+		$root.addClass( 'is-open' );
+		$root.find( '.bcg-preview-as-btn' ).attr( 'aria-expanded', 'true' );
+		$root.find( '.bcg-preview-as-json' ).val( sampleJson );
+		$root.find( '.bcg-preview-as-error' ).text( '' ).hide();
+		$root.find( '.bcg-preview-as-search' ).trigger( 'focus' );
+
+		$( document ).on( 'mousedown.bcgPreviewAs', function ( e ) {
+			if ( ! $.contains( $root[0], e.target ) ) {
+				closePanels();
+			}
+		} );
+	}
+
+	/**
+	 * Turn an element into a "Preview as" selector.
+	 *
+	 * @param {Element|jQuery|string} container Element to build the selector in.
+	 * @param {Function}              onChange  Optional. Called with the new
+	 *                                          contact, or null, after a change.
+	 */
+	function mount( container, onChange ) {
+		var $root = $( container ).first();
+		if ( ! $root.length || $root.data( 'bcgPreviewAs' ) ) {
+			return;
+		}
+
+		$root.data( 'bcgPreviewAs', true ).html(
+			'<button type="button" class="bcg-preview-as-btn" aria-haspopup="dialog" aria-expanded="false">' +
+				'<span class="material-icons-outlined" aria-hidden="true">person</span>' +
+				'<span class="bcg-preview-as-label"></span>' +
+			'</button>' +
+			'<div class="bcg-preview-as-panel" role="dialog" aria-label="' + escHtml( i18n.title || 'Preview as a contact' ) + '">' +
+				'<input type="search" class="bcg-preview-as-search" placeholder="' + escHtml( i18n.search || 'Full email address, or a recent contact\'s name…' ) + '" />' +
+				'<p class="bcg-preview-as-status"></p>' +
+				'<div class="bcg-preview-as-results" role="listbox"></div>' +
+				'<label class="bcg-preview-as-sample">' +
+					'<span>' + escHtml( i18n.sample || 'Or enter sample attributes as JSON' ) + '</span>' +
+					'<textarea class="bcg-preview-as-json" rows="4" placeholder="' + escHtml( '{"FIRSTNAME": "Jane", "LASTNAME": "Doe"}' ) + '"></textarea>' +
+				'</label>' +
+				'<p class="bcg-preview-as-error" role="alert"></p>' +
+				'<div class="bcg-preview-as-actions">' +
+					'<button type="button" class="button bcg-preview-as-apply">' + escHtml( i18n.apply || 'Use sample data' ) + '</button>' +
+					'<button type="button" class="button-link bcg-preview-as-clear">' + escHtml( i18n.clear || 'Show merge tags' ) + '</button>' +
+				'</div>' +
+			'</div>'
+		);
+
+		$root.toggleClass( 'is-active', !! contact ).find( '.bcg-preview-as-label' ).text( currentLabel() );
+		selectors.push( { $root: $root, onChange: onChange } );
+
+		$root.on( 'click', '.bcg-preview-as-btn', function () {
+			if ( $root.hasClass( 'is-open' ) ) {
+				closePanels();
+			} else {
+				openPanel( $root );
+			}
+		} );
+
+		$root.on( 'input', '.bcg-preview-as-search', function () {
+			clearTimeout( searchTimer );
+			searchTimer = setTimeout( function () {
+				search( $root );
+			}, 300 );
+		} );
+
+		$root.on( 'click', '.bcg-preview-as-option', function () {
+			var item = $( this ).data( 'contact' );
+			closePanels();
+			set( { label: item.name || item.email, attributes: item.attributes || {} } );
+		} );
+
+		$root.on( 'input', '.bcg-preview-as-json', function () {
+			sampleJson = $( this ).val();
+		} );
+
+		$root.on( 'click', '.bcg-preview-as-apply', function () {
+			var attributes = parseSample( $root.find( '.bcg-preview-as-json' ).val() );
+			if ( typeof attributes === 'string' ) {
+				$root.find( '.bcg-preview-as-error' ).text( attributes ).show();
+				return;
+			}
+			closePanels();
+			set( { label: i18n.sample_label || 'Sample data', attributes: attributes } );
+		} );
+
+		$root.on( 'click', '.bcg-preview-as-clear', function () {
+			closePanels();
+			set( null );
+		} );
+
+		$root.on( 'keydown', function ( e ) {
+			if ( e.key === 'Escape' && $root.hasClass( 'is-open' ) ) {
+				e.preventDefault();
+				e.stopPropagation();
+				closePanels();
+				$root.find( '.bcg-preview-as-btn' ).trigger( 'focus' );
+			}
+		} );
+	}
+
+	window.BCGPreviewContact = {
+		mount: mount,
+		apply: apply,
+		write: write,
+		get:   function () {
+			return contact;
+		},
+	};
+
+} )( jQuery, window, document );
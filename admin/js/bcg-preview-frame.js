@@ -0,0 +1,298 @@
+/**
+ * Brevo Campaign Generator — preview iframe updates.
+ *
+ * Writes email preview HTML into an iframe without rewriting the whole
+ * document on every change. Sections carry a data-bcg-section attribute
+ * (added by BCG_Section_Renderer::add_section_attributes() and
+ * BCG_Template::inject_section_attributes()); when only some of them change,
+ * just those elements are replaced, so the scroll position, the text
+ * selection and everything else in the iframe stay put.
+ *
+ * The document is rewritten in full, keeping its scroll position, on the
+ * first write, when anything outside the sections changes, when sections are
+ * added, removed or reordered, and when the caller's global settings change.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+( function ( window ) {
+	'use strict';
+
+	var ATTR = 'data-bcg-section';
+
+	/**
+	 * Get the document of an iframe.
+	 *
+	 * @param  {HTMLIFrameElement} iframe
+	 * @return {Document|null}
+	 */
+	function getDocument( iframe ) {
+		try {
+			return iframe.contentDocument || ( iframe.contentWindow && iframe.contentWindow.document ) || null;
+		} catch ( e ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Get the top-level section elements of a document, keyed by section ID.
+	 *
+	 * @param  {Document} doc
+	 * @return {{order: ?string[], nodes: Object}} order is null when an ID
+	 *         appears twice, as the sections cannot then be told apart.
+	 */
+	function collectSections( doc ) {
+		var order = [];
+		var nodes = {};
+		var found = doc.querySelectorAll( '[' + ATTR + ']' );
+
+		for ( var i = 0; i < found.length; i++ ) {
+			var node = found[ i ];
+			var id   = node.getAttribute( ATTR );
+
+			// Nested markers belong to their outer section.
+			if ( node.parentNode && node.parentNode.closest && node.parentNode.closest( '[' + ATTR + ']' ) ) {
+				continue;
+			}
+			if ( nodes.hasOwnProperty( id ) ) {
+				return { order: null, nodes: nodes };
+			}
+			order.push( id );
+			nodes[ id ] = node;
+		}
+
+		return { order: order, nodes: nodes };
+	}
+
+	/**
+	 * Parse preview HTML and split it into sections and the surrounding shell.
+	 *
+	 * @param  {string} html
+	 * @return {Object|null} { shell, order, html, nodes }, or null when the
+	 *         sections cannot be told apart.
+	 */
+	function parse( html ) {
+		if ( ! window.DOMParser ) {
+			return null;
+		}
+
+		var doc      = new window.DOMParser().parseFromString( html, 'text/html' );
+		var sections = collectSections( doc );
+		if ( ! sections.order ) {
+			return null;
+		}
+
+		var markup = {};
+		sections.order.forEach( function ( id ) {
+			var node     = sections.nodes[ id ];
+			markup[ id ] = node.outerHTML;
+			node.parentNode.replaceChild( doc.createElement( 'bcg-section-slot' ), node );
+		} );
+
+		return {
+			shell: ( doc.doctype ? doc.doctype.name : '' ) + doc.documentElement.outerHTML,
+			order: sections.order,
+			html:  markup,
+			nodes: sections.nodes,
+		};
+	}
+
+	/**
+	 * Character offset of a DOM position within the text of root.
+	 *
+	 * @param  {Node}   root
+	 * @param  {Node}   node
+	 * @param  {number} offset
+	 * @return {number}
+	 */
+	function textOffset( root, node, offset ) {
+		var range = root.ownerDocument.createRange();
+		range.setStart( root, 0 );
+		range.setEnd( node, offset );
+		return range.toString().length;
+	}
+
+	/**
+	 * Find the text node and offset at a character offset within root.
+	 *
+	 * @param  {Node}   root
+	 * @param  {number} offset
+	 * @return {Object|null} { node, offset }
+	 */
+	function locateOffset( root, offset ) {
+		var walker = root.ownerDocument.createTreeWalker( root, 4 /* NodeFilter.SHOW_TEXT */, null, false );
+		var node;
+
+		while ( ( node = walker.nextNode() ) ) {
+			if ( offset <= node.length ) {
+				return { node: node, offset: offset };
+			}
+			offset -= node.length;
+		}
+		return null;
+	}
+
+	/**
+	 * Remember the selection if it lies inside an element about to be replaced.
+	 *
+	 * @param  {Document} doc
+	 * @param  {Element}  root
+	 * @return {Object|null} { start, end } character offsets.
+	 */
+	function saveSelection( doc, root ) {
+		var sel = doc.getSelection ? doc.getSelection() : null;
+		if ( ! sel || ! sel.rangeCount ) {
+			return null;
+		}
+
+		var range = sel.getRangeAt( 0 );
+		if ( ! root.contains( range.startContainer ) || ! root.contains( range.endContainer ) ) {
+			return null;
+		}
+
+		return {
+			start: textOffset( root, range.startContainer, range.startOffset ),
+			end:   textOffset( root, range.endContainer, range.endOffset ),
+		};
+	}
+
+	/**
+	 * Put a saved selection back at the same text offsets in a new element.
+	 *
+	 * @param {Document} doc
+	 * @param {Element}  root
+	 * @param {Object}   saved From saveSelection().
+	 */
+	function restoreSelection( doc, root, saved ) {
+		var start = locateOffset( root, saved.start );
+		var end   = locateOffset( root, saved.end );
+		if ( ! start || ! end ) {
+			return;
+		}
+
+		var range = doc.createRange();
+		range.setStart( start.node, start.offset );
+		range.setEnd( end.node, end.offset );
+
+		var sel = doc.getSelection();
+		sel.removeAllRanges();
+		sel.addRange( range );
+	}
+
+	/**
+	 * Rewrite the whole iframe document, keeping its scroll position.
+	 *
+	 * @param  {HTMLIFrameElement} iframe
+	 * @param  {string}            html
+	 * @return {Document|null}
+	 */
+	function rewrite( iframe, html ) {
+		var doc = getDocument( iframe );
+		if ( ! doc ) {
+			return null;
+		}
+
+		var win = iframe.contentWindow;
+		var x   = win ? win.pageXOffset : 0;
+		var y   = win ? win.pageYOffset : 0;
+
+		doc.open();
+		doc.write( html );
+		doc.close();
+
+		if ( win && ( x || y ) ) {
+			win.scrollTo( x, y );
+		}
+
+		return getDocument( iframe );
+	}
+
+	/**
+	 * Replace the sections that changed since the last write.
+	 *
+	 * @param  {Document} doc
+	 * @param  {Object}   prev Parsed previous HTML.
+	 * @param  {Object}   next Parsed new HTML.
+	 * @return {boolean} False when the live document no longer matches the
+	 *         previous write and has to be rewritten.
+	 */
+	function patch( doc, prev, next ) {
+		var live    = collectSections( doc );
+		var changed = next.order.filter( function ( id ) {
+			return prev.html[ id ] !== next.html[ id ];
+		} );
+
+		if ( ! live.order || live.order.join( '\n' ) !== next.order.join( '\n' ) ) {
+			return false;
+		}
+
+		changed.forEach( function ( id ) {
+			var old       = live.nodes[ id ];
+			var selection = saveSelection( doc, old );
+			var node      = doc.importNode( next.nodes[ id ], true );
+
+			old.parentNode.replaceChild( node, old );
+
+			if ( selection ) {
+				restoreSelection( doc, node, selection );
+			}
+		} );
+
+		return true;
+	}
+
+	window.BCGPreviewFrame = {
+
+		/**
+		 * Show preview HTML in an iframe, patching changed sections in place
+		 * where possible.
+		 *
+		 * @param  {HTMLIFrameElement|jQuery} iframe
+		 * @param  {string}                   html    Complete email HTML.
+		 * @param  {Object}                   options Optional. {
+		 *     @type {boolean} full    Always rewrite the whole document.
+		 *     @type {string}  globals Serialised settings that affect the whole
+		 *                             email (fonts, widths); when they differ
+		 *                             from the previous write the document is
+		 *                             rewritten.
+		 * }
+		 * @return {Document|null} The iframe document.
+		 */
+		write: function ( iframe, html, options ) {
+			if ( iframe && iframe.jquery ) {
+				iframe = iframe[ 0 ];
+			}
+			if ( ! iframe ) {
+				return null;
+			}
+
+			options = options || {};
+
+			var prev = iframe.bcgPreview;
+			var next = parse( String( html ) );
+			var doc  = getDocument( iframe );
+
+			if ( next ) {
+				next.globals = options.globals || '';
+			}
+
+			var canPatch = ! options.full &&
+				prev && next && doc && doc.body &&
+				next.order.length &&
+				prev.globals === next.globals &&
+				prev.shell === next.shell &&
+				prev.order.join( '\n' ) === next.order.join( '\n' );
+
+			if ( ! canPatch || ! patch( doc, prev, next ) ) {
+				doc = rewrite( iframe, html );
+			}
+
+			// Keep the markup only: the parsed nodes are single-use.
+			iframe.bcgPreview = next ? { shell: next.shell, order: next.order, html: next.html, globals: next.globals } : null;
+
+			return doc;
+		},
+	};
+
+} )( window );
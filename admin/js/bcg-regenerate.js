@@ -3,14 +3,23 @@
  *
  * Manages the campaign editor interface including:
  * - Regeneration of individual campaign and product fields via AJAX
+ * - AI copy alternatives picked side by side, with a per-field history
+ * - AI rewrite menu (BCGRewriteMenu) on copy fields
  * - Product card sorting (jQuery UI Sortable)
  * - Live preview iframe updates (debounced)
  * - Add Product modal with search
  * - Save Draft
  * - Create in Brevo / Schedule / Send Now
+ * - A/B subject line test variants
+ * - Translations into other languages, each with its own audience
  * - Send Test Email
+ * - Merge tag check before pushing to Brevo
+ * - Pre-send checks before sending or scheduling
  * - Media uploader for custom images
- * - Device toggle for preview (desktop / mobile)
+ * - Device toggle for preview (desktop / mobile / plain text)
+ * - Plain-text preview generated from the email
+ * - "Preview as" a Brevo contact or sample data
+ * - Inbox client preview modes and widths
  *
  * Depends on: jQuery, jQuery UI Sortable, jQuery UI Datepicker, wp-util.
  * Localised data available via: bcg_editor (ajax_url, nonce, campaign_id, i18n).
@@ -19,7 +28,7 @@
  * @since   1.0.0
  */
 
-/* global jQuery, bcg_editor, wp */
+/* global jQuery, bcg_editor, wp, BCGPreviewContact, BCGClientPreview, BCGMergeTags, BCGDeliverability */
 ;(function( $, editor ) {
 	'use strict';
 
@@ -59,6 +68,52 @@
 	 */
 	var SEARCH_DEBOUNCE = 400;
 
+	/**
+	 * Send or schedule waiting on the pre-send warnings:
+	 * { modal, $btn, proceed }, or null.
+	 *
+	 * @type {Object|null}
+	 */
+	var preflightPending = null;
+
+	/**
+	 * Copy fields regenerated as several alternatives, mapped to their
+	 * inputs. Product field inputs are looked up inside the product card.
+	 *
+	 * @type {Object<string, string>}
+	 */
+	var COPY_FIELDS = {
+		subject_line:       '#bcg-subject',
+		preview_text:       '#bcg-preview-text',
+		main_headline:      '#bcg-main-headline',
+		main_description:   '#bcg-main-description',
+		product_headline:   '.bcg-product-headline',
+		product_short_desc: '.bcg-product-shortdesc'
+	};
+
+	/**
+	 * Earlier AI alternatives per field, newest first: lists of
+	 * { text, time } keyed by field, or "field:productRowId".
+	 *
+	 * @type {Object<string, Array>}
+	 */
+	var copyHistory = editor.copy_history || {};
+
+	/**
+	 * Language being translated into, or ''. Saves leave the translations
+	 * alone meanwhile, so they cannot drop the language being added.
+	 *
+	 * @type {string}
+	 */
+	var translating = '';
+
+	/**
+	 * Brevo contact lists for translation audiences, loaded on first use.
+	 *
+	 * @type {jQuery.Promise|null}
+	 */
+	var brevoLists = null;
+
 	/* =====================================================================
 	   INITIALISATION
 	   ===================================================================== */
@@ -71,10 +126,15 @@
 		bindActionButtons();
 		bindProductModal();
 		bindDeviceToggle();
+		bindPreviewAs();
+		bindClientPreview();
+		bindDeliverability();
 		bindMediaUploader();
 		bindImageSourceRadios();
 		bindRemoveProduct();
 		bindModalClose();
+		initAbTest();
+		initLanguages();
 
 		// Initial preview load.
 		refreshPreview();
@@ -172,6 +232,11 @@
 				return;
 			}
 
+			if ( COPY_FIELDS[ field ] ) {
+				toggleVariantPicker( $btn, field, 0 );
+				return;
+			}
+
 			regenerateCampaignField( $btn, field );
 		});
 
@@ -186,6 +251,11 @@
 				return;
 			}
 
+			if ( COPY_FIELDS[ field ] ) {
+				toggleVariantPicker( $btn, field, productRowId );
+				return;
+			}
+
 			regenerateProductField( $btn, productRowId, field );
 		});
 
@@ -213,6 +283,8 @@
 
 			regenerateCouponCode( $btn );
 		});
+
+		bindVariantPicker();
 	}
 
 	/**
@@ -362,6 +434,317 @@
 		});
 	}
 
+	/* =====================================================================
+	   COPY ALTERNATIVES — Variant Picker
+	   ===================================================================== */
+
+	/**
+	 * Bind the controls of the alternatives pickers.
+	 *
+	 * @return {void}
+	 */
+	function bindVariantPicker() {
+		$( document ).on( 'change', '.bcg-variant-count', function() {
+			updateVariantCost( $( this ).closest( '.bcg-variant-picker' ) );
+		});
+
+		$( document ).on( 'click', '.bcg-variant-generate', function( e ) {
+			e.preventDefault();
+			var $btn = $( this );
+
+			if ( ! $btn.hasClass( 'is-loading' ) ) {
+				generateVariants( $btn.closest( '.bcg-variant-picker' ), $btn );
+			}
+		});
+
+		$( document ).on( 'click', '.bcg-variant-use', function( e ) {
+			e.preventDefault();
+			var $picker = $( this ).closest( '.bcg-variant-picker' );
+			var texts = $picker.data( 'texts' ) || [];
+
+			useVariant( $picker, texts[ $( this ).data( 'index' ) ] );
+		});
+
+		$( document ).on( 'click', '.bcg-variant-close', function( e ) {
+			e.preventDefault();
+			closeVariantPicker( $( this ).closest( '.bcg-variant-picker' ) );
+		});
+
+		$( document ).on( 'keydown', '.bcg-variant-picker', function( e ) {
+			if ( 'Escape' === e.key ) {
+				e.preventDefault();
+				closeVariantPicker( $( this ) );
+			}
+		});
+
+		// AI rewrites of a copy field are added to its history as well.
+		$( document ).on( 'bcg:rewritten', function( e, data ) {
+			if ( ! data || ! data.history_key ) {
+				return;
+			}
+
+			copyHistory[ data.history_key ] = data.history || [];
+
+			$( '.bcg-variant-picker' ).each( function() {
+				if ( getVariantKey( $( this ) ) === data.history_key ) {
+					renderVariants( $( this ) );
+				}
+			});
+		});
+	}
+
+	/**
+	 * Open the alternatives picker below a copy field, or close it when it
+	 * is already open. Nothing is generated until the user asks, so the
+	 * cost can be checked first.
+	 *
+	 * @param {jQuery} $btn         The field's Regenerate button.
+	 * @param {string} field        One of COPY_FIELDS.
+	 * @param {number} productRowId Campaign product row ID, or 0 for campaign fields.
+	 * @return {void}
+	 */
+	function toggleVariantPicker( $btn, field, productRowId ) {
+		var $wrap = $btn.closest( '.bcg-field-with-regen' );
+		var $open = $wrap.next( '.bcg-variant-picker' );
+
+		if ( $open.length ) {
+			closeVariantPicker( $open );
+			return;
+		}
+
+		var max = parseInt( editor.max_copy_variants, 10 ) || 5;
+		var count = parseInt( editor.copy_variants, 10 ) || 3;
+		var options = '';
+		var i;
+
+		for ( i = 1; i <= max; i++ ) {
+			options += '<option value="' + i + '"' + ( i === count ? ' selected' : '' ) + '>' + i + '</option>';
+		}
+
+		var $picker = $(
+			'<div class="bcg-variant-picker" role="region" tabindex="-1" aria-label="' + escHtml( editor.i18n.variants_title || 'AI alternatives' ) + '">' +
+				'<div class="bcg-variant-picker-header">' +
+					'<strong class="bcg-variant-picker-title">' + escHtml( editor.i18n.variants_title || 'AI alternatives' ) + '</strong>' +
+					'<label class="bcg-variant-count-label">' +
+						escHtml( editor.i18n.variants_count || 'Alternatives' ) +
+						' <select class="bcg-variant-count">' + options + '</select>' +
+					'</label>' +
+					'<span class="bcg-variant-cost"></span>' +
+					'<button type="button" class="button button-primary bcg-variant-generate">' + escHtml( editor.i18n.variants_generate || 'Generate' ) + '</button>' +
+					'<button type="button" class="button-link bcg-variant-close" aria-label="' + escHtml( editor.i18n.variants_close || 'Close' ) + '">' +
+						'<span class="material-icons-outlined" aria-hidden="true">close</span>' +
+					'</button>' +
+				'</div>' +
+				'<div class="bcg-variant-status" role="status"></div>' +
+				'<div class="bcg-variant-grid"></div>' +
+			'</div>'
+		);
+
+		$picker.data( {
+			field:        field,
+			productRowId: productRowId,
+			trigger:      $btn,
+			variants:     []
+		} );
+
+		$wrap.after( $picker );
+		updateVariantCost( $picker );
+		renderVariants( $picker );
+		$picker.trigger( 'focus' );
+	}
+
+	/**
+	 * Close an alternatives picker and return focus to its Regenerate button.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @return {void}
+	 */
+	function closeVariantPicker( $picker ) {
+		var $trigger = $picker.data( 'trigger' );
+
+		$picker.remove();
+
+		if ( $trigger ) {
+			$trigger.trigger( 'focus' );
+		}
+	}
+
+	/**
+	 * Get the input a picker's field is edited in.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @return {jQuery}
+	 */
+	function getVariantInput( $picker ) {
+		var selector = COPY_FIELDS[ $picker.data( 'field' ) ];
+		var productRowId = $picker.data( 'productRowId' );
+
+		if ( productRowId ) {
+			return $( '.bcg-product-card[data-product-row-id="' + productRowId + '"]' ).find( selector );
+		}
+
+		return $( selector );
+	}
+
+	/**
+	 * Get the copy history key of a picker's field.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @return {string}
+	 */
+	function getVariantKey( $picker ) {
+		var field = $picker.data( 'field' );
+		var productRowId = $picker.data( 'productRowId' );
+
+		return productRowId ? field + ':' + productRowId : field;
+	}
+
+	/**
+	 * Show what generating the chosen number of alternatives will cost.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @return {void}
+	 */
+	function updateVariantCost( $picker ) {
+		var count = parseInt( $picker.find( '.bcg-variant-count' ).val(), 10 ) || 1;
+		var text;
+
+		if ( editor.test_mode ) {
+			text = editor.i18n.variants_free || 'Free in test mode';
+		} else {
+			text = ( editor.i18n.variants_cost || 'Costs %s credits' ).replace( '%s', count * ( parseInt( editor.text_credit_cost, 10 ) || 0 ) );
+		}
+
+		$picker.find( '.bcg-variant-cost' ).text( text );
+	}
+
+	/**
+	 * Draw the picker's cards: the current text pinned first, then the
+	 * alternatives just generated, then earlier ones from the history.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @return {void}
+	 */
+	function renderVariants( $picker ) {
+		var current = $.trim( getVariantInput( $picker ).val() || '' );
+		var variants = $picker.data( 'variants' ) || [];
+		var earlier = copyHistory[ getVariantKey( $picker ) ] || [];
+		var texts = [];
+		var html = '';
+
+		function card( text, label, index ) {
+			var action = index < 0
+				? '<span class="bcg-variant-in-use">' + escHtml( editor.i18n.variants_in_use || 'In use' ) + '</span>'
+				: '<button type="button" class="button bcg-variant-use" data-index="' + index + '">' + escHtml( editor.i18n.variants_use || 'Use this' ) + '</button>';
+
+			return '<div class="bcg-variant-card' + ( index < 0 ? ' is-current' : '' ) + '">' +
+				'<span class="bcg-variant-label">' + escHtml( label ) + '</span>' +
+				'<div class="bcg-variant-text">' + escHtml( text ) + '</div>' +
+				action +
+			'</div>';
+		}
+
+		function add( text, label ) {
+			if ( ! text || text === current || texts.indexOf( text ) !== -1 ) {
+				return;
+			}
+
+			texts.push( text );
+			html += card( text, label, texts.length - 1 );
+		}
+
+		html += card( current, editor.i18n.variants_current || 'Current', -1 );
+
+		$.each( variants, function( i, text ) {
+			add( text, editor.i18n.variants_new || 'New' );
+		});
+
+		$.each( earlier, function( i, entry ) {
+			add( entry.text, editor.i18n.variants_earlier || 'Earlier' );
+		});
+
+		if ( ! texts.length ) {
+			html += '<p class="bcg-variant-empty">' + escHtml( editor.i18n.variants_empty || 'Generate alternatives to compare them with the current text.' ) + '</p>';
+		}
+
+		$picker.data( 'texts', texts );
+		$picker.find( '.bcg-variant-grid' ).html( html );
+	}
+
+	/**
+	 * Ask the AI for alternatives to a picker's field.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @param {jQuery} $btn    The Generate button.
+	 * @return {void}
+	 */
+	function generateVariants( $picker, $btn ) {
+		var $status = $picker.find( '.bcg-variant-status' );
+
+		setButtonLoading( $btn, true );
+		$status.removeClass( 'is-error' ).text( editor.i18n.variants_generating || 'Generating alternatives...' );
+
+		$.post( editor.ajax_url, {
+			action:         'bcg_regenerate_field',
+			_ajax_nonce:    editor.nonce,
+			campaign_id:    editor.campaign_id,
+			field:          $picker.data( 'field' ),
+			product_row_id: $picker.data( 'productRowId' ) || 0,
+			count:          $picker.find( '.bcg-variant-count' ).val(),
+			current:        getVariantInput( $picker ).val() || ''
+		}).done( function( response ) {
+			if ( response.success && response.data ) {
+				var data = response.data;
+				var message = ( editor.i18n.variants_used || '%s credits used.' ).replace( '%s', data.credits_used || 0 );
+
+				if ( data.errors && data.errors.length ) {
+					message += ' ' + ( editor.i18n.variants_partial || 'Some alternatives could not be generated:' ) + ' ' + data.errors.join( ' ' );
+				}
+
+				copyHistory[ getVariantKey( $picker ) ] = data.history || [];
+				$picker.data( 'variants', data.variants || [] );
+				$status.text( message );
+				renderVariants( $picker );
+			} else {
+				$status.addClass( 'is-error' ).text( ( response.data && response.data.message ) || editor.i18n.regen_error );
+			}
+		}).fail( function() {
+			$status.addClass( 'is-error' ).text( editor.i18n.regen_error );
+		}).always( function() {
+			setButtonLoading( $btn, false );
+		});
+	}
+
+	/**
+	 * Put an alternative into the field. The text it replaces stays in the
+	 * picker, so the change can be undone from there.
+	 *
+	 * @param {jQuery} $picker The picker.
+	 * @param {string} text    The chosen text.
+	 * @return {void}
+	 */
+	function useVariant( $picker, text ) {
+		var key = getVariantKey( $picker );
+		var $input = getVariantInput( $picker );
+		var previous = $.trim( $input.val() || '' );
+
+		if ( typeof text !== 'string' ) {
+			return;
+		}
+
+		if ( previous ) {
+			copyHistory[ key ] = [ { text: previous, time: Math.floor( Date.now() / 1000 ) } ].concat(
+				$.grep( copyHistory[ key ] || [], function( entry ) {
+					return entry.text !== previous;
+				})
+			);
+		}
+
+		$input.val( text ).trigger( 'change' );
+		renderVariants( $picker );
+		refreshPreview();
+	}
+
 	/* =====================================================================
 	   FIELD CHANGES — Live Preview Trigger
 	   ===================================================================== */
@@ -373,7 +756,7 @@
 	 * @return {void}
 	 */
 	function bindFieldChanges() {
-		$( document ).on( 'input change', '.bcg-campaign-field, .bcg-coupon-field, .bcg-coupon-text-field, .bcg-product-headline, .bcg-product-shortdesc, .bcg-product-show-buy-btn', function() {
+		$( document ).on( 'input change', '.bcg-campaign-field, .bcg-coupon-field, .bcg-coupon-text-field, .bcg-product-headline, .bcg-product-shortdesc, .bcg-product-image-alt, .bcg-product-show-buy-btn', function() {
 			debouncedPreview();
 		});
 	}
@@ -476,100 +859,766 @@
 	}
 
 	/* =====================================================================
-	   ACTION BUTTONS — Save, Preview, Send Test, Brevo, Schedule, Send
+	   A/B SUBJECT LINE TEST
 	   ===================================================================== */
 
 	/**
-	 * Bind all action bar button handlers.
+	 * Render the saved subject line variants and bind the A/B test panel.
 	 *
 	 * @return {void}
 	 */
-	function bindActionButtons() {
-		// Save Draft.
-		$( '#bcg-save-draft' ).on( 'click', handleSaveDraft );
+	function initAbTest() {
+		var $panel = $( '#bcg-ab-test' );
+		if ( ! $panel.length ) {
+			return;
+		}
 
-		// Preview Email (fullscreen modal).
-		$( '#bcg-preview-email' ).on( 'click', handlePreviewEmail );
+		var config = $panel.data( 'config' ) || {};
 
-		// Send Test Email (opens modal).
-		$( '#bcg-send-test' ).on( 'click', function() {
-			openModal( '#bcg-test-email-modal' );
+		$.each( config.variants || [], function( i, variant ) {
+			addAbVariant( variant );
 		});
 
-		// Confirm Send Test Email.
-		$( '#bcg-confirm-send-test' ).on( 'click', handleSendTest );
+		toggleAbSettings();
 
-		// Create in Brevo.
-		$( '#bcg-create-brevo' ).on( 'click', handleCreateBrevo );
+		$( '#bcg-ab-enabled' ).on( 'change', toggleAbSettings );
 
-		// Schedule Campaign (opens modal).
-		$( '#bcg-schedule-campaign' ).on( 'click', function() {
-			openModal( '#bcg-schedule-modal' );
+		$( '#bcg-ab-add-variant' ).on( 'click', function() {
+			addAbVariant( { subject: '', preview_text: '', test: false } );
 		});
 
-		// Confirm Schedule.
-		$( '#bcg-confirm-schedule' ).on( 'click', handleSchedule );
+		$panel.on( 'click', '.bcg-ab-remove', function() {
+			$( this ).closest( '.bcg-ab-variant' ).remove();
+			updateAbVariants();
+		});
 
-		// Send Now (opens confirmation modal).
-		$( '#bcg-send-now' ).on( 'click', function() {
-			openModal( '#bcg-send-modal' );
+		$panel.on( 'change', '.bcg-ab-test-check', updateAbVariants );
+
+		$panel.on( 'click', '.bcg-ab-generate', function() {
+			var $btn = $( this );
+			if ( ! $btn.hasClass( 'is-loading' ) ) {
+				generateAbVariant( $btn, $btn.closest( '.bcg-ab-variant' ) );
+			}
 		});
+	}
 
-		// Confirm Send.
-		$( '#bcg-confirm-send' ).on( 'click', handleSendNow );
+	/**
+	 * Show or hide the A/B settings. Turning the test on for the first
+	 * time starts from the current subject plus an empty second variant.
+	 *
+	 * @return {void}
+	 */
+	function toggleAbSettings() {
+		var enabled = $( '#bcg-ab-enabled' ).is( ':checked' );
+
+		if ( enabled && ! $( '#bcg-ab-variants .bcg-ab-variant' ).length ) {
+			addAbVariant({
+				subject:      $( '#bcg-subject' ).val() || '',
+				preview_text: $( '#bcg-preview-text' ).val() || '',
+				test:         true
+			});
+			addAbVariant( { subject: '', preview_text: '', test: true } );
+		}
+
+		$( '#bcg-ab-settings' ).toggle( enabled );
 	}
 
 	/**
-	 * Gather all campaign field values from the editor into a data object.
+	 * Append a subject line variant row.
 	 *
-	 * @return {Object} Campaign data suitable for AJAX submission.
+	 * @param {Object} variant { subject, preview_text, test }.
+	 * @return {void}
 	 */
-	function gatherCampaignData() {
-		var data = {
-			action:           'bcg_save_campaign',
-			_ajax_nonce:      editor.nonce,
-			campaign_id:      editor.campaign_id,
-			subject:          $( '#bcg-subject' ).val() || '',
-			preview_text:     $( '#bcg-preview-text' ).val() || '',
-			main_headline:    $( '#bcg-main-headline' ).val() || '',
-			main_description: $( '#bcg-main-description' ).val() || '',
-			main_image_url:   $( '#bcg-main-image-url' ).val() || '',
-			coupon_code:      $( '#bcg-coupon-code' ).val() || '',
-			coupon_discount:  $( '#bcg-coupon-discount' ).val() || '0',
-			coupon_type:      $( '#bcg-coupon-type' ).val() || 'percent',
-			products:         []
-		};
+	function addAbVariant( variant ) {
+		var i18n = editor.i18n;
+		var $row = $(
+			'<div class="bcg-ab-variant">' +
+				'<div class="bcg-ab-variant-header bcg-flex bcg-items-center bcg-justify-between">' +
+					'<label class="bcg-ab-variant-title">' +
+						'<input type="checkbox" class="bcg-ab-test-check" /> ' +
+						'<span class="bcg-ab-variant-label"></span>' +
+						'<span class="bcg-ab-version-badge"></span>' +
+					'</label>' +
+					'<span class="bcg-ab-variant-actions">' +
+						'<button type="button" class="button button-small bcg-ab-generate">' + escHtml( i18n.ab_generate ) + '</button> ' +
+						'<button type="button" class="button-link bcg-ab-remove">' + escHtml( i18n.ab_remove ) + '</button>' +
+					'</span>' +
+				'</div>' +
+				'<input type="text" class="large-text bcg-ab-subject" maxlength="255" />' +
+				'<input type="text" class="large-text bcg-ab-preview" maxlength="255" />' +
+			'</div>'
+		);
+
+		$row.find( '.bcg-ab-test-check' ).prop( 'checked', !! variant.test );
+		$row.find( '.bcg-ab-subject' ).val( variant.subject || '' ).attr( 'placeholder', i18n.ab_subject_placeholder );
+		$row.find( '.bcg-ab-preview' ).val( variant.preview_text || '' ).attr( 'placeholder', i18n.ab_preview_placeholder );
+
+		$( '#bcg-ab-variants' ).append( $row );
+		updateAbVariants();
+	}
 
-		// Gather per-product data.
-		$( '#bcg-products-sortable .bcg-product-card' ).each( function( index ) {
-			var $card = $( this );
-			var productRowId = $card.data( 'product-row-id' );
-			var imageSource = $card.find( '.bcg-image-source-radio:checked' ).val() || 'product';
+	/**
+	 * Renumber the variants, label the tested ones A and B, and enforce
+	 * the variant limits.
+	 *
+	 * @return {void}
+	 */
+	function updateAbVariants() {
+		var $rows    = $( '#bcg-ab-variants .bcg-ab-variant' );
+		var max      = parseInt( $( '#bcg-ab-test' ).data( 'max-variants' ), 10 ) || 4;
+		var versions = [ 'A', 'B' ];
+		var tested   = 0;
+
+		$rows.each( function( i ) {
+			var $row    = $( this );
+			var isTest  = $row.find( '.bcg-ab-test-check' ).is( ':checked' );
+			var version = isTest ? versions[ tested ] : '';
+
+			if ( isTest ) {
+				tested++;
+			}
 
-			data.products.push({
-				row_id:           productRowId,
-				sort_order:       index,
-				custom_headline:  $card.find( '.bcg-product-headline' ).val() || '',
-				custom_short_desc: $card.find( '.bcg-product-shortdesc' ).val() || '',
-				use_product_image: imageSource === 'product' ? 1 : 0,
-				show_buy_button:  $card.find( '.bcg-product-show-buy-btn' ).is( ':checked' ) ? 1 : 0
-			});
+			$row.find( '.bcg-ab-variant-label' ).text( editor.i18n.ab_variant.replace( '%d', i + 1 ) );
+			$row.find( '.bcg-ab-version-badge' )
+				.text( version ? editor.i18n.ab_version.replace( '%s', version ) : '' )
+				.toggle( !! version );
+			$row.toggleClass( 'is-tested', isTest );
 		});
 
-		return data;
+		$rows.find( '.bcg-ab-remove' ).prop( 'disabled', $rows.length <= 2 );
+		$( '#bcg-ab-add-variant' ).prop( 'disabled', $rows.length >= max );
+
+		var $hint = $( '#bcg-ab-hint' );
+		if ( 2 !== tested ) {
+			if ( ! $hint.length ) {
+				$hint = $( '<p id="bcg-ab-hint" class="bcg-ab-hint"></p>' ).text( editor.i18n.ab_pick_two );
+				$( '#bcg-ab-variants' ).after( $hint );
+			}
+		} else {
+			$hint.remove();
+		}
 	}
 
 	/**
-	 * Handle Save Draft.
+	 * Generate a subject line for a variant, then a preview text to match.
 	 *
-	 * @param {Event} e Click event.
+	 * Uses the regular field regeneration (and its credit cost) but does
+	 * not overwrite the campaign's own subject and preview text.
+	 *
+	 * @param {jQuery} $btn The Generate button.
+	 * @param {jQuery} $row The variant row.
 	 * @return {void}
 	 */
-	function handleSaveDraft( e ) {
-		e.preventDefault();
+	function generateAbVariant( $btn, $row ) {
+		setButtonLoading( $btn, true );
 
-		var $btn = $( '#bcg-save-draft' );
-		if ( $btn.hasClass( 'is-loading' ) ) {
+		var request = function( field, subject ) {
+			return $.post( editor.ajax_url, {
+				action:      'bcg_regenerate_field',
+				_ajax_nonce: editor.nonce,
+				campaign_id: editor.campaign_id,
+				field:       field,
+				subject:     subject || '',
+				ab_variant:  1
+			});
+		};
+
+		var fail = function( response ) {
+			showNotice( 'error', ( response && response.data && response.data.message ) || editor.i18n.regen_error );
+			setButtonLoading( $btn, false );
+		};
+
+		request( 'subject_line' ).done( function( response ) {
+			if ( ! response.success || ! response.data ) {
+				fail( response );
+				return;
+			}
+
+			var subject = response.data.content || '';
+			$row.find( '.bcg-ab-subject' ).val( subject );
+
+			request( 'preview_text', subject ).done( function( previewResponse ) {
+				if ( previewResponse.success && previewResponse.data ) {
+					$row.find( '.bcg-ab-preview' ).val( previewResponse.data.content || '' );
+					setButtonLoading( $btn, false );
+				} else {
+					fail( previewResponse );
+				}
+			}).fail( function() {
+				fail();
+			});
+		}).fail( function() {
+			fail();
+		});
+	}
+
+	/**
+	 * Read the A/B test settings from the panel.
+	 *
+	 * @return {Object} { enabled, variants, split, winner, duration }.
+	 */
+	function getAbTestConfig() {
+		var variants = [];
+
+		$( '#bcg-ab-variants .bcg-ab-variant' ).each( function() {
+			var $row = $( this );
+			variants.push({
+				subject:      $row.find( '.bcg-ab-subject' ).val() || '',
+				preview_text: $row.find( '.bcg-ab-preview' ).val() || '',
+				test:         $row.find( '.bcg-ab-test-check' ).is( ':checked' )
+			});
+		});
+
+		return {
+			enabled:  $( '#bcg-ab-enabled' ).is( ':checked' ),
+			variants: variants,
+			split:    parseInt( $( '#bcg-ab-split' ).val(), 10 ) || 0,
+			winner:   $( '#bcg-ab-winner' ).val() || 'open',
+			duration: parseInt( $( '#bcg-ab-duration' ).val(), 10 ) || 0
+		};
+	}
+
+	/* =====================================================================
+	   LANGUAGES — Translations
+	   ===================================================================== */
+
+	/**
+	 * Render the saved translations and bind the Languages panel.
+	 *
+	 * @return {void}
+	 */
+	function initLanguages() {
+		var $panel = $( '#bcg-section-languages' );
+		if ( ! $panel.length ) {
+			return;
+		}
+
+		$.each( editor.translations || [], function( i, translation ) {
+			setTranslation( translation );
+		});
+
+		$( '#bcg-translation-cost' ).text(
+			editor.test_mode
+				? editor.i18n.translate_free
+				: editor.i18n.translate_cost.replace( '%s', editor.text_credit_cost )
+		);
+
+		$( '#bcg-campaign-language' )
+			.data( 'previous', $( '#bcg-campaign-language' ).val() )
+			.on( 'change', changeMainLanguage );
+
+		$( '#bcg-translate-btn' ).on( 'click', function() {
+			var code = $( '#bcg-translation-language' ).val();
+
+			if ( ! code ) {
+				showNotice( 'error', editor.i18n.translate_pick );
+				return;
+			}
+
+			translateCampaign( code, $( this ) );
+		});
+
+		$panel.on( 'click', '.bcg-translation-retranslate', function() {
+			var $btn = $( this );
+			translateCampaign( $btn.closest( '.bcg-translation' ).data( 'code' ), $btn );
+		});
+
+		$panel.on( 'click', '.bcg-translation-remove', function() {
+			var $row = $( this ).closest( '.bcg-translation' );
+
+			if ( ! window.confirm( editor.i18n.translation_confirm_remove.replace( '%s', getLanguageLabel( $row.data( 'code' ) ) ) ) ) {
+				return;
+			}
+
+			$row.remove();
+			updateLanguageOptions();
+			refreshPreview();
+		});
+
+		$panel.on( 'click', '.bcg-translation-show', function() {
+			$( '#bcg-preview-language' )
+				.val( $( this ).closest( '.bcg-translation' ).data( 'code' ) )
+				.trigger( 'change' );
+		});
+
+		$panel.on( 'change', '.bcg-translation-audience-type', function() {
+			toggleAudienceFields( $( this ).closest( '.bcg-translation' ) );
+		});
+
+		$( '#bcg-preview-language' ).on( 'change', refreshPreview );
+
+		// Test emails go out in the language being previewed unless changed.
+		$( '#bcg-send-test' ).on( 'click', function() {
+			$( '#bcg-test-language' ).val( $( '#bcg-preview-language' ).val() || '' );
+		});
+
+		updateLanguageOptions();
+	}
+
+	/**
+	 * Get a language's name.
+	 *
+	 * @param {string} code Language code.
+	 * @return {string}
+	 */
+	function getLanguageLabel( code ) {
+		return ( editor.languages && editor.languages[ code ] ) || code;
+	}
+
+	/**
+	 * Add a translation row, or update the row for its language.
+	 *
+	 * @param {Object} translation { code, subject, preview_text, audience,
+	 *                             brevo_campaign_id, stale }.
+	 * @return {void}
+	 */
+	function setTranslation( translation ) {
+		var i18n = editor.i18n;
+		var $row = $( '#bcg-translations .bcg-translation' ).filter( function() {
+			return $( this ).data( 'code' ) === translation.code;
+		});
+
+		if ( ! $row.length ) {
+			$row = $(
+				'<div class="bcg-translation">' +
+					'<div class="bcg-translation-header bcg-flex bcg-items-center bcg-justify-between">' +
+						'<span class="bcg-translation-title">' +
+							'<strong class="bcg-translation-label"></strong>' +
+							'<span class="bcg-translation-badge bcg-translation-stale"></span>' +
+							'<span class="bcg-translation-badge bcg-translation-brevo"></span>' +
+						'</span>' +
+						'<span class="bcg-translation-actions">' +
+							'<button type="button" class="button button-small bcg-translation-show">' + escHtml( i18n.translation_preview ) + '</button> ' +
+							'<button type="button" class="button button-small bcg-translation-retranslate">' + escHtml( i18n.translate_again ) + '</button> ' +
+							'<button type="button" class="button-link bcg-translation-remove">' + escHtml( i18n.translation_remove ) + '</button>' +
+						'</span>' +
+					'</div>' +
+					'<input type="text" class="large-text bcg-translation-subject" maxlength="255" />' +
+					'<input type="text" class="large-text bcg-translation-preview" maxlength="255" />' +
+					'<div class="bcg-translation-audience bcg-flex bcg-items-center bcg-gap-8">' +
+						'<span class="bcg-translation-send-to">' + escHtml( i18n.translation_send_to ) + '</span>' +
+						'<select class="bcg-translation-audience-type">' +
+							'<option value="attribute">' + escHtml( i18n.translation_by_attribute ) + '</option>' +
+							'<option value="list">' + escHtml( i18n.translation_by_list ) + '</option>' +
+						'</select>' +
+						'<span class="bcg-translation-by-attribute">' +
+							'<input type="text" class="bcg-translation-attribute" maxlength="50" /> = ' +
+							'<input type="text" class="bcg-translation-value" maxlength="100" />' +
+						'</span>' +
+						'<select class="bcg-translation-list"></select>' +
+					'</div>' +
+				'</div>'
+			);
+
+			$row.data( 'code', translation.code );
+			$row.find( '.bcg-translation-label' ).text( getLanguageLabel( translation.code ) );
+			$row.find( '.bcg-translation-subject' ).attr( { placeholder: i18n.translation_subject, 'aria-label': i18n.translation_subject } );
+			$row.find( '.bcg-translation-preview' ).attr( { placeholder: i18n.translation_preview_text, 'aria-label': i18n.translation_preview_text } );
+			$row.find( '.bcg-translation-attribute' ).attr( { placeholder: i18n.translation_attribute, 'aria-label': i18n.translation_attribute } );
+			$row.find( '.bcg-translation-value' ).attr( { placeholder: i18n.translation_value, 'aria-label': i18n.translation_value } );
+			$row.find( '.bcg-translation-list' ).attr( 'aria-label', i18n.translation_list );
+
+			$( '#bcg-translations' ).append( $row );
+		}
+
+		var audience = translation.audience || {};
+
+		$row.find( '.bcg-translation-subject' ).val( translation.subject || '' );
+		$row.find( '.bcg-translation-preview' ).val( translation.preview_text || '' );
+		$row.find( '.bcg-translation-audience-type' ).val( 'list' === audience.type ? 'list' : 'attribute' );
+		$row.find( '.bcg-translation-attribute' ).val( audience.attribute || '' );
+		$row.find( '.bcg-translation-value' ).val( audience.value || '' );
+		$row.find( '.bcg-translation-list' ).data( 'current', audience.list_id || '' );
+
+		toggleAudienceFields( $row );
+		setTranslationStatus( $row, translation );
+	}
+
+	/**
+	 * Show whether a translation is out of date and whether it has a
+	 * Brevo campaign.
+	 *
+	 * @param {jQuery} $row        Translation row.
+	 * @param {Object} translation Summary from the server.
+	 * @return {void}
+	 */
+	function setTranslationStatus( $row, translation ) {
+		$row.find( '.bcg-translation-stale' )
+			.text( editor.i18n.translation_stale )
+			.attr( 'title', editor.i18n.translation_stale_tip )
+			.toggle( !! translation.stale );
+		$row.find( '.bcg-translation-brevo' )
+			.text( editor.i18n.translation_in_brevo )
+			.toggle( !! translation.brevo_campaign_id );
+	}
+
+	/**
+	 * Update the translation rows' status from a save response.
+	 *
+	 * @param {Object} response bcg_save_campaign response.
+	 * @return {void}
+	 */
+	function updateTranslationStatus( response ) {
+		if ( ! response || ! response.success || ! response.data || ! response.data.translations ) {
+			return;
+		}
+
+		$.each( response.data.translations, function( i, translation ) {
+			$( '#bcg-translations .bcg-translation' ).each( function() {
+				if ( $( this ).data( 'code' ) === translation.code ) {
+					setTranslationStatus( $( this ), translation );
+				}
+			});
+		});
+	}
+
+	/**
+	 * Show the audience fields for the row's audience type. Brevo lists
+	 * are loaded the first time they are needed.
+	 *
+	 * @param {jQuery} $row Translation row.
+	 * @return {void}
+	 */
+	function toggleAudienceFields( $row ) {
+		var byList = 'list' === $row.find( '.bcg-translation-audience-type' ).val();
+		var $list  = $row.find( '.bcg-translation-list' );
+
+		$row.find( '.bcg-translation-by-attribute' ).toggle( ! byList );
+		$list.toggle( byList );
+
+		if ( ! byList || $list.data( 'loaded' ) ) {
+			return;
+		}
+
+		$list.data( 'loaded', true );
+		loadBrevoLists().done( function( lists ) {
+			var current = String( $list.data( 'current' ) || '' );
+			var html    = '<option value="">' + escHtml( editor.i18n.translation_list ) + '</option>';
+
+			$.each( lists, function( i, list ) {
+				html += '<option value="' + parseInt( list.id, 10 ) + '"' +
+					( String( list.id ) === current ? ' selected' : '' ) + '>' +
+					escHtml( list.name ) + '</option>';
+			});
+
+			$list.html( html );
+		}).fail( function() {
+			$list.data( 'loaded', false );
+			showNotice( 'error', editor.i18n.translation_lists_error );
+		});
+	}
+
+	/**
+	 * Load the Brevo contact lists once for all translation rows.
+	 *
+	 * @return {jQuery.Promise} Resolves with the lists.
+	 */
+	function loadBrevoLists() {
+		if ( brevoLists && 'rejected' !== brevoLists.state() ) {
+			return brevoLists;
+		}
+
+		var deferred = $.Deferred();
+		brevoLists   = deferred.promise();
+
+		$.post( editor.ajax_url, {
+			action: 'bcg_get_brevo_lists',
+			nonce:  editor.nonce
+		}).done( function( response ) {
+			if ( response.success && response.data && response.data.lists ) {
+				deferred.resolve( response.data.lists );
+			} else {
+				deferred.reject();
+			}
+		}).fail( function() {
+			deferred.reject();
+		});
+
+		return brevoLists;
+	}
+
+	/**
+	 * Fill the language menus: languages that can still be added, and the
+	 * languages the preview and test email can be shown in.
+	 *
+	 * @return {void}
+	 */
+	function updateLanguageOptions() {
+		var main    = $( '#bcg-campaign-language' ).val() || '';
+		var codes   = getTranslationCodes();
+		var max     = parseInt( $( '#bcg-section-languages' ).data( 'max-languages' ), 10 ) || 5;
+		var full    = codes.length >= max;
+		var addHtml = '<option value="">' + escHtml( full ? editor.i18n.translate_max.replace( '%d', max ) : editor.i18n.translate_add ) + '</option>';
+		var viewHtml = '<option value="">' + escHtml( getLanguageLabel( main ) ) + '</option>';
+
+		$.each( editor.languages || {}, function( code, label ) {
+			if ( code !== main && -1 === $.inArray( code, codes ) ) {
+				addHtml += '<option value="' + escHtml( code ) + '">' + escHtml( label ) + '</option>';
+			}
+		});
+
+		$.each( codes, function( i, code ) {
+			viewHtml += '<option value="' + escHtml( code ) + '">' + escHtml( getLanguageLabel( code ) ) + '</option>';
+		});
+
+		$( '#bcg-translation-language' ).html( addHtml ).prop( 'disabled', full );
+		$( '#bcg-translate-btn' ).prop( 'disabled', full );
+
+		$( '#bcg-preview-language, #bcg-test-language' ).each( function() {
+			var $select = $( this );
+			var current = $select.val() || '';
+
+			$select.html( viewHtml ).val( -1 !== $.inArray( current, codes ) ? current : '' );
+		});
+
+		$( '#bcg-preview-language' ).toggle( codes.length > 0 );
+		$( '#bcg-test-language-group' ).toggle( codes.length > 0 );
+	}
+
+	/**
+	 * Get the codes of the translated languages, in panel order.
+	 *
+	 * @return {string[]}
+	 */
+	function getTranslationCodes() {
+		return $( '#bcg-translations .bcg-translation' ).map( function() {
+			return $( this ).data( 'code' );
+		}).get();
+	}
+
+	/**
+	 * Change the main language. A translation into the new main language
+	 * is removed, after confirmation.
+	 *
+	 * @return {void}
+	 */
+	function changeMainLanguage() {
+		var $select = $( '#bcg-campaign-language' );
+		var code    = $select.val();
+		var $row    = $( '#bcg-translations .bcg-translation' ).filter( function() {
+			return $( this ).data( 'code' ) === code;
+		});
+
+		if ( $row.length ) {
+			if ( ! window.confirm( editor.i18n.translation_confirm_main.replace( '%s', getLanguageLabel( code ) ) ) ) {
+				$select.val( $select.data( 'previous' ) );
+				return;
+			}
+			$row.remove();
+		}
+
+		$select.data( 'previous', code );
+		updateLanguageOptions();
+		refreshPreview();
+	}
+
+	/**
+	 * Read the translations' subject lines, preview text and audiences
+	 * from the panel.
+	 *
+	 * @return {Object} Edits keyed by language code.
+	 */
+	function getTranslationsData() {
+		var data = {};
+
+		$( '#bcg-translations .bcg-translation' ).each( function() {
+			var $row = $( this );
+
+			data[ $row.data( 'code' ) ] = {
+				subject:      $row.find( '.bcg-translation-subject' ).val() || '',
+				preview_text: $row.find( '.bcg-translation-preview' ).val() || '',
+				audience:     {
+					type:      $row.find( '.bcg-translation-audience-type' ).val(),
+					attribute: $row.find( '.bcg-translation-attribute' ).val() || '',
+					value:     $row.find( '.bcg-translation-value' ).val() || '',
+					list_id:   parseInt( $row.find( '.bcg-translation-list' ).val() || $row.find( '.bcg-translation-list' ).data( 'current' ), 10 ) || 0
+				}
+			};
+		});
+
+		return data;
+	}
+
+	/**
+	 * Translate the campaign into a language with AI, then preview it.
+	 * The campaign is saved first because the saved copy is translated.
+	 *
+	 * @param {string} code Language code.
+	 * @param {jQuery} $btn The button that was clicked.
+	 * @return {void}
+	 */
+	function translateCampaign( code, $btn ) {
+		if ( translating || $btn.hasClass( 'is-loading' ) ) {
+			return;
+		}
+
+		var fail = function( response ) {
+			showNotice( 'error', ( response && response.data && response.data.message ) || editor.i18n.translate_error );
+		};
+
+		setButtonLoading( $btn, true );
+
+		$.post( editor.ajax_url, gatherCampaignData() ).done( function() {
+			translating = code;
+
+			$.post( editor.ajax_url, {
+				action:      'bcg_translate_campaign',
+				nonce:       editor.nonce,
+				campaign_id: editor.campaign_id,
+				language:    code
+			}).done( function( response ) {
+				if ( ! response.success || ! response.data || ! response.data.translation ) {
+					fail( response );
+					return;
+				}
+
+				setTranslation( response.data.translation );
+
+				showNotice(
+					( response.data.warnings || [] ).length ? 'warning' : 'success',
+					[ response.data.message ].concat( response.data.warnings || [] ).join( ' ' )
+				);
+
+				updateLanguageOptions();
+				$( '#bcg-preview-language' ).val( code ).trigger( 'change' );
+			}).fail( function() {
+				fail();
+			}).always( function() {
+				translating = '';
+				setButtonLoading( $btn, false );
+				updateLanguageOptions();
+			});
+		}).fail( function() {
+			showNotice( 'error', editor.i18n.save_error );
+			setButtonLoading( $btn, false );
+		});
+	}
+
+	/* =====================================================================
+	   ACTION BUTTONS — Save, Preview, Send Test, Brevo, Schedule, Send
+	   ===================================================================== */
+
+	/**
+	 * Bind all action bar button handlers.
+	 *
+	 * @return {void}
+	 */
+	function bindActionButtons() {
+		// Save Draft.
+		$( '#bcg-save-draft' ).on( 'click', handleSaveDraft );
+
+		// Preview Email (fullscreen modal).
+		$( '#bcg-preview-email' ).on( 'click', handlePreviewEmail );
+
+		// Send Test Email (opens modal).
+		$( '#bcg-send-test' ).on( 'click', function() {
+			openModal( '#bcg-test-email-modal' );
+		});
+
+		// Confirm Send Test Email.
+		$( '#bcg-confirm-send-test' ).on( 'click', handleSendTest );
+
+		// Create in Brevo.
+		$( '#bcg-create-brevo' ).on( 'click', handleCreateBrevo );
+
+		// Schedule Campaign (opens modal).
+		$( '#bcg-schedule-campaign' ).on( 'click', function() {
+			openModal( '#bcg-schedule-modal' );
+		});
+
+		// Confirm Schedule.
+		$( '#bcg-confirm-schedule' ).on( 'click', handleSchedule );
+
+		// Send Now (opens confirmation modal).
+		$( '#bcg-send-now' ).on( 'click', function() {
+			openModal( '#bcg-send-modal' );
+		});
+
+		// Confirm Send.
+		$( '#bcg-confirm-send' ).on( 'click', handleSendNow );
+
+		// Pre-send Checks.
+		$( '#bcg-preflight-check' ).on( 'click', handlePreflightCheck );
+
+		// Send or schedule despite the pre-send warnings.
+		$( '#bcg-preflight-continue' ).on( 'click', function() {
+			var pending = preflightPending;
+			preflightPending = null;
+
+			if ( pending ) {
+				closeAllModals();
+				openModal( pending.modal );
+				setButtonLoading( pending.$btn, true );
+				pending.proceed();
+			}
+		});
+	}
+
+	/**
+	 * Gather all campaign field values from the editor into a data object.
+	 *
+	 * @return {Object} Campaign data suitable for AJAX submission.
+	 */
+	function gatherCampaignData() {
+		var data = {
+			action:           'bcg_save_campaign',
+			_ajax_nonce:      editor.nonce,
+			campaign_id:      editor.campaign_id,
+			subject:          $( '#bcg-subject' ).val() || '',
+			preview_text:     $( '#bcg-preview-text' ).val() || '',
+			main_headline:    $( '#bcg-main-headline' ).val() || '',
+			main_description: $( '#bcg-main-description' ).val() || '',
+			main_image_url:   $( '#bcg-main-image-url' ).val() || '',
+			main_image_alt:   $( '#bcg-main-image-alt' ).val() || '',
+			coupon_code:      $( '#bcg-coupon-code' ).val() || '',
+			coupon_discount:  $( '#bcg-coupon-discount' ).val() || '0',
+			coupon_type:      $( '#bcg-coupon-type' ).val() || 'percent',
+			products:         []
+		};
+
+		if ( $( '#bcg-ab-test' ).length ) {
+			data.ab_test = JSON.stringify( getAbTestConfig() );
+		}
+
+		if ( $( '#bcg-section-languages' ).length ) {
+			data.language = $( '#bcg-campaign-language' ).val() || '';
+
+			if ( ! translating ) {
+				data.translations = JSON.stringify( getTranslationsData() );
+			}
+		}
+
+		// Gather per-product data.
+		$( '#bcg-products-sortable .bcg-product-card' ).each( function( index ) {
+			var $card = $( this );
+			var productRowId = $card.data( 'product-row-id' );
+			var imageSource = $card.find( '.bcg-image-source-radio:checked' ).val() || 'product';
+
+			data.products.push({
+				product_row_id:   productRowId,
+				sort_order:       index,
+				custom_headline:  $card.find( '.bcg-product-headline' ).val() || '',
+				custom_short_desc: $card.find( '.bcg-product-shortdesc' ).val() || '',
+				image_alt:        $card.find( '.bcg-product-image-alt' ).val() || '',
+				use_product_image: imageSource === 'product' ? 1 : 0,
+				show_buy_button:  $card.find( '.bcg-product-show-buy-btn' ).is( ':checked' ) ? 1 : 0
+			});
+		});
+
+		return data;
+	}
+
+	/**
+	 * Handle Save Draft.
+	 *
+	 * @param {Event} e Click event.
+	 * @return {void}
+	 */
+	function handleSaveDraft( e ) {
+		e.preventDefault();
+
+		var $btn = $( '#bcg-save-draft' );
+		if ( $btn.hasClass( 'is-loading' ) ) {
 			return;
 		}
 
@@ -578,6 +1627,7 @@
 
 		$.post( editor.ajax_url, data ).done( function( response ) {
 			if ( response.success ) {
+				updateTranslationStatus( response );
 				showNotice( 'success', editor.i18n.saved );
 			} else {
 				showNotice( 'error', response.data || editor.i18n.save_error );
@@ -607,7 +1657,8 @@
 			$.post( editor.ajax_url, {
 				action:      'bcg_preview_template',
 				_ajax_nonce: editor.nonce,
-				campaign_id: editor.campaign_id
+				campaign_id: editor.campaign_id,
+				language:    $( '#bcg-preview-language' ).val() || ''
 			}).done( function( response ) {
 				if ( response.success && response.data && response.data.html ) {
 					writeToIframe( '#bcg-fullscreen-preview-iframe', response.data.html );
@@ -646,7 +1697,8 @@
 				action:      'bcg_send_test',
 				_ajax_nonce: editor.nonce,
 				campaign_id: editor.campaign_id,
-				email:       testEmail
+				email:       testEmail,
+				language:    $( '#bcg-test-language' ).val() || ''
 			}).done( function( response ) {
 				if ( response.success ) {
 					showNotice( 'success', ( response.data && response.data.message ) || editor.i18n.test_sent );
@@ -681,32 +1733,34 @@
 
 		setButtonLoading( $btn, true );
 
-		// Save first, then push to Brevo.
-		var saveData = gatherCampaignData();
-		$.post( editor.ajax_url, saveData ).done( function() {
-			$.post( editor.ajax_url, {
-				action:      'bcg_create_brevo_campaign',
-				_ajax_nonce: editor.nonce,
-				campaign_id: editor.campaign_id
-			}).done( function( response ) {
-				if ( response.success ) {
-					var msg = editor.i18n.brevo_created;
-					if ( response.data && response.data.brevo_url ) {
-						msg += ' <a href="' + response.data.brevo_url + '" target="_blank" rel="noopener noreferrer">' +
-							'View in Brevo &rarr;</a>';
+		checkMergeTags( $btn, function() {
+			// Save first, then push to Brevo.
+			var saveData = gatherCampaignData();
+			$.post( editor.ajax_url, saveData ).done( function() {
+				$.post( editor.ajax_url, {
+					action:      'bcg_create_brevo_campaign',
+					_ajax_nonce: editor.nonce,
+					campaign_id: editor.campaign_id
+				}).done( function( response ) {
+					if ( response.success ) {
+						var msg = editor.i18n.brevo_created;
+						if ( response.data && response.data.brevo_url ) {
+							msg += ' <a href="' + response.data.brevo_url + '" target="_blank" rel="noopener noreferrer">' +
+								'View in Brevo &rarr;</a>';
+						}
+						showNotice( 'success', msg, true );
+					} else {
+						showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.save_error );
 					}
-					showNotice( 'success', msg, true );
-				} else {
-					showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.save_error );
-				}
+				}).fail( function() {
+					showNotice( 'error', editor.i18n.save_error );
+				}).always( function() {
+					setButtonLoading( $btn, false );
+				});
 			}).fail( function() {
 				showNotice( 'error', editor.i18n.save_error );
-			}).always( function() {
 				setButtonLoading( $btn, false );
 			});
-		}).fail( function() {
-			showNotice( 'error', editor.i18n.save_error );
-			setButtonLoading( $btn, false );
 		});
 	}
 
@@ -733,30 +1787,34 @@
 
 		setButtonLoading( $btn, true );
 
-		// Save first, then schedule.
-		var saveData = gatherCampaignData();
-		$.post( editor.ajax_url, saveData ).done( function() {
-			$.post( editor.ajax_url, {
-				action:       'bcg_schedule_campaign',
-				_ajax_nonce:  editor.nonce,
-				campaign_id:  editor.campaign_id,
-				scheduled_at: datetime
-			}).done( function( response ) {
-				if ( response.success ) {
-					showNotice( 'success', editor.i18n.scheduled );
-					closeAllModals();
-					updateStatusBadge( 'scheduled' );
-				} else {
-					showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.save_error );
-				}
+		checkMergeTags( $btn, function() {
+			// Save first, check the campaign, then schedule.
+			var saveData = gatherCampaignData();
+			$.post( editor.ajax_url, saveData ).done( function() {
+				runPreflight( $btn, datetime, function() {
+					$.post( editor.ajax_url, {
+						action:       'bcg_schedule_campaign',
+						_ajax_nonce:  editor.nonce,
+						campaign_id:  editor.campaign_id,
+						scheduled_at: datetime
+					}).done( function( response ) {
+						if ( response.success ) {
+							showNotice( 'success', editor.i18n.scheduled );
+							closeAllModals();
+							updateStatusBadge( 'scheduled' );
+						} else {
+							showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.save_error );
+						}
+					}).fail( function() {
+						showNotice( 'error', editor.i18n.save_error );
+					}).always( function() {
+						setButtonLoading( $btn, false );
+					});
+				});
 			}).fail( function() {
 				showNotice( 'error', editor.i18n.save_error );
-			}).always( function() {
 				setButtonLoading( $btn, false );
 			});
-		}).fail( function() {
-			showNotice( 'error', editor.i18n.save_error );
-			setButtonLoading( $btn, false );
 		});
 	}
 
@@ -773,23 +1831,204 @@
 
 		setButtonLoading( $btn, true );
 
-		// Save first, then send.
-		var saveData = gatherCampaignData();
-		$.post( editor.ajax_url, saveData ).done( function() {
-			$.post( editor.ajax_url, {
-				action:      'bcg_send_campaign',
-				_ajax_nonce: editor.nonce,
-				campaign_id: editor.campaign_id
-			}).done( function( response ) {
+		checkMergeTags( $btn, function() {
+			// Save first, check the campaign, then send.
+			var saveData = gatherCampaignData();
+			$.post( editor.ajax_url, saveData ).done( function() {
+				runPreflight( $btn, '', function() {
+					$.post( editor.ajax_url, {
+						action:      'bcg_send_campaign',
+						_ajax_nonce: editor.nonce,
+						campaign_id: editor.campaign_id
+					}).done( function( response ) {
+						if ( response.success ) {
+							showNotice( 'success', editor.i18n.campaign_sent );
+							closeAllModals();
+							updateStatusBadge( 'sent' );
+						} else {
+							showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.save_error );
+						}
+					}).fail( function() {
+						showNotice( 'error', editor.i18n.save_error );
+					}).always( function() {
+						setButtonLoading( $btn, false );
+					});
+				});
+			}).fail( function() {
+				showNotice( 'error', editor.i18n.save_error );
+				setButtonLoading( $btn, false );
+			});
+		});
+	}
+
+	/* =====================================================================
+	   MERGE TAGS — Check before pushing to Brevo
+	   ===================================================================== */
+
+	/**
+	 * Collect the editor's text fields that may contain merge tags.
+	 *
+	 * @return {Object[]} { label, value } pairs.
+	 */
+	function collectMergeTagFields() {
+		var fields = [];
+
+		function add( $field, prefix ) {
+			var value = $field.val();
+			var label = $.trim( $field.closest( '.bcg-field-group' ).find( '.bcg-field-label' ).first().text() );
+
+			if ( value && value.indexOf( '{{' ) !== -1 ) {
+				fields.push({
+					label: prefix ? prefix + ' — ' + label : label,
+					value: value
+				});
+			}
+		}
+
+		$( '#bcg-subject, #bcg-preview-text, #bcg-main-headline, #bcg-main-description' ).each( function() {
+			add( $( this ) );
+		});
+
+		if ( $( '#bcg-ab-enabled' ).is( ':checked' ) ) {
+			$( '#bcg-ab-variants .bcg-ab-variant' ).each( function() {
+				var label = $.trim( $( this ).find( '.bcg-ab-variant-label' ).text() );
+				$( this ).find( '.bcg-ab-subject, .bcg-ab-preview' ).each( function() {
+					var value = $( this ).val();
+					if ( value && value.indexOf( '{{' ) !== -1 ) {
+						fields.push( { label: label, value: value } );
+					}
+				});
+			});
+		}
+
+		$( '#bcg-products-sortable .bcg-product-card' ).each( function() {
+			var name = $.trim( $( this ).find( '.bcg-product-card-title' ).contents().first().text() );
+			$( this ).find( '.bcg-product-headline, .bcg-product-shortdesc' ).each( function() {
+				add( $( this ), name );
+			});
+		});
+
+		$( '.bcg-section-edit-card' ).each( function() {
+			var name = $.trim( $( this ).find( '.bcg-section-edit-label' ).text() );
+			$( this ).find( '.bcg-section-field' ).each( function() {
+				add( $( this ), name );
+			});
+		});
+
+		return fields;
+	}
+
+	/**
+	 * Check the editor's merge tags, then continue if they are all valid.
+	 * Otherwise list the problems and leave the campaign unsent.
+	 *
+	 * @param {jQuery}   $btn    Button in its loading state.
+	 * @param {Function} proceed Called when there are no problems.
+	 * @return {void}
+	 */
+	function checkMergeTags( $btn, proceed ) {
+		if ( typeof BCGMergeTags === 'undefined' ) {
+			proceed();
+			return;
+		}
+
+		BCGMergeTags.validate( collectMergeTagFields() ).done( function( problems ) {
+			if ( ! problems.length ) {
+				proceed();
+				return;
+			}
+
+			var list = $.map( problems, function( problem ) {
+				return '<li>' + escHtml( problem ) + '</li>';
+			}).join( '' );
+
+			setButtonLoading( $btn, false );
+			closeAllModals();
+			showNotice( 'error', escHtml( editor.i18n.merge_tag_errors ) + '<ul>' + list + '</ul>', true );
+		});
+	}
+
+	/* =====================================================================
+	   PRE-SEND CHECKS — Links, images, subject, coupon and products
+	   ===================================================================== */
+
+	/**
+	 * Request the pre-send checks for the saved campaign.
+	 *
+	 * @param {string} sendAt Scheduled date and time, or '' to send now.
+	 * @return {jqXHR}
+	 */
+	function requestPreflight( sendAt ) {
+		return $.post( editor.ajax_url, {
+			action:      'bcg_preflight_campaign',
+			_ajax_nonce: editor.nonce,
+			campaign_id: editor.campaign_id,
+			send_at:     sendAt
+		});
+	}
+
+	/**
+	 * Check the saved campaign, then continue if every check passed.
+	 * Otherwise show the results: errors leave the campaign unsent, while
+	 * warnings offer to send it anyway.
+	 *
+	 * @param {jQuery}   $btn    Confirm button in its loading state.
+	 * @param {string}   sendAt  Scheduled date and time, or '' to send now.
+	 * @param {Function} proceed Called to send or schedule the campaign.
+	 * @return {void}
+	 */
+	function runPreflight( $btn, sendAt, proceed ) {
+		requestPreflight( sendAt ).done( function( response ) {
+			if ( ! response.success ) {
+				setButtonLoading( $btn, false );
+				showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.preflight_error );
+				return;
+			}
+
+			if ( response.data.status === 'pass' ) {
+				proceed();
+				return;
+			}
+
+			setButtonLoading( $btn, false );
+
+			preflightPending = response.data.status === 'warning' ? {
+				modal:   '#' + $btn.closest( '.bcg-modal' ).attr( 'id' ),
+				$btn:    $btn,
+				proceed: proceed
+			} : null;
+
+			closeAllModals();
+			showPreflightResults( response.data, sendAt ? editor.i18n.schedule_anyway : editor.i18n.send_anyway );
+		}).fail( function() {
+			setButtonLoading( $btn, false );
+			showNotice( 'error', editor.i18n.preflight_error );
+		});
+	}
+
+	/**
+	 * Handle the Pre-send Checks button: save, then show every check.
+	 *
+	 * @return {void}
+	 */
+	function handlePreflightCheck() {
+		var $btn = $( '#bcg-preflight-check' );
+		if ( $btn.hasClass( 'is-loading' ) ) {
+			return;
+		}
+
+		setButtonLoading( $btn, true );
+		preflightPending = null;
+
+		$.post( editor.ajax_url, gatherCampaignData() ).done( function() {
+			requestPreflight( '' ).done( function( response ) {
 				if ( response.success ) {
-					showNotice( 'success', editor.i18n.campaign_sent );
-					closeAllModals();
-					updateStatusBadge( 'sent' );
+					showPreflightResults( response.data, '' );
 				} else {
-					showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.save_error );
+					showNotice( 'error', ( response.data && response.data.message ) || editor.i18n.preflight_error );
 				}
 			}).fail( function() {
-				showNotice( 'error', editor.i18n.save_error );
+				showNotice( 'error', editor.i18n.preflight_error );
 			}).always( function() {
 				setButtonLoading( $btn, false );
 			});
@@ -799,6 +2038,45 @@
 		});
 	}
 
+	/**
+	 * Show pre-send check results in the checks modal.
+	 *
+	 * @param {Object} result        { status, checks } from bcg_preflight_campaign.
+	 * @param {string} continueLabel Label of the button that sends anyway,
+	 *                               shown while a send is waiting.
+	 * @return {void}
+	 */
+	function showPreflightResults( result, continueLabel ) {
+		var statusLabels = editor.i18n.preflight_status || {};
+		var summary      = {
+			pass:    editor.i18n.preflight_pass,
+			warning: editor.i18n.preflight_warned,
+			error:   editor.i18n.preflight_blocked
+		};
+
+		var list = $.map( result.checks || [], function( check ) {
+			var items = check.items && check.items.length ? $.map( check.items, function( item ) {
+				return '<li>' + escHtml( item ) + '</li>';
+			}).join( '' ) : '<li>' + escHtml( editor.i18n.preflight_ok ) + '</li>';
+
+			return '<li class="bcg-preflight-check is-' + escHtml( check.status ) + '">' +
+				'<div class="bcg-preflight-check-header">' +
+					'<span class="bcg-preflight-check-label">' + escHtml( check.label ) + '</span>' +
+					'<span class="bcg-preflight-badge">' + escHtml( statusLabels[ check.status ] || check.status ) + '</span>' +
+				'</div>' +
+				'<ul class="bcg-preflight-items">' + items + '</ul>' +
+			'</li>';
+		}).join( '' );
+
+		$( '#bcg-preflight-summary' )
+			.attr( 'class', 'bcg-preflight-summary is-' + result.status )
+			.text( summary[ result.status ] || '' );
+		$( '#bcg-preflight-list' ).html( list );
+		$( '#bcg-preflight-continue' ).text( continueLabel ).toggle( !! preflightPending );
+
+		openModal( '#bcg-preflight-modal' );
+	}
+
 	/* =====================================================================
 	   LIVE PREVIEW — Iframe Updates
 	   ===================================================================== */
@@ -826,12 +2104,16 @@
 		// Save the current state first so the preview reflects edits.
 		var saveData = gatherCampaignData();
 
-		$.post( editor.ajax_url, saveData ).done( function() {
-			// Now request the rendered preview using the saved campaign.
+		$.post( editor.ajax_url, saveData ).done( function( saveResponse ) {
+			updateTranslationStatus( saveResponse );
+
+			// Now request the rendered preview using the saved campaign,
+			// in the language chosen above the preview.
 			$.post( editor.ajax_url, {
 				action:      'bcg_preview_template',
 				_ajax_nonce: editor.nonce,
-				campaign_id: editor.campaign_id
+				campaign_id: editor.campaign_id,
+				language:    $( '#bcg-preview-language' ).val() || ''
 			}).done( function( response ) {
 				if ( response.success && response.data && response.data.html ) {
 					writeToIframe( '#bcg-preview-iframe', response.data.html );
@@ -839,6 +2121,10 @@
 			}).always( function() {
 				$loading.hide();
 			});
+
+			if ( $( '#bcg-plain-text-panel' ).is( ':visible' ) ) {
+				fetchPlainText();
+			}
 		}).fail( function() {
 			$loading.hide();
 		});
@@ -847,6 +2133,11 @@
 	/**
 	 * Write HTML content to an iframe by selector.
 	 *
+	 * Only the sections that changed since the last write are replaced, so
+	 * the preview keeps its scroll position. Merge tags are filled in when a
+	 * "Preview as" contact is chosen, and the live preview is shown as the
+	 * chosen inbox client would.
+	 *
 	 * @param {string} selector The iframe jQuery selector.
 	 * @param {string} html     The HTML content.
 	 * @return {void}
@@ -857,22 +2148,16 @@
 			return;
 		}
 
-		var iframeDoc = $iframe[0].contentWindow || $iframe[0].contentDocument;
-		if ( iframeDoc.document ) {
-			iframeDoc = iframeDoc.document;
-		}
-
-		iframeDoc.open();
-		iframeDoc.write( html );
-		iframeDoc.close();
+		BCGClientPreview.write( $iframe[0], html );
 	}
 
 	/* =====================================================================
-	   DEVICE TOGGLE — Desktop / Mobile Preview
+	   DEVICE TOGGLE — Desktop / Mobile / Plain-Text Preview
 	   ===================================================================== */
 
 	/**
-	 * Bind click handlers for preview device toggle buttons.
+	 * Bind click handlers for preview device toggle buttons. The plain-text
+	 * tab swaps the iframe for the text generated from the email.
 	 *
 	 * @return {void}
 	 */
@@ -885,6 +2170,21 @@
 			$( '.bcg-preview-device-btn' ).removeClass( 'active' );
 			$btn.addClass( 'active' );
 
+			$( '#bcg-client-preview' ).toggle( device !== 'text' );
+
+			if ( device === 'text' ) {
+				$iframe.hide();
+				$( '#bcg-plain-text-panel' ).show();
+				loadPlainText();
+				return;
+			}
+
+			$( '#bcg-plain-text-panel' ).hide();
+			$iframe.show();
+
+			// The device buttons replace a width chosen in the client bar.
+			BCGClientPreview.setWidth( '' );
+
 			if ( device === 'mobile' ) {
 				$iframe.addClass( 'bcg-preview-mobile' );
 			} else {
@@ -893,6 +2193,220 @@
 		} );
 	}
 
+	/**
+	 * Save the campaign, then load its plain-text version into the editor.
+	 *
+	 * @return {void}
+	 */
+	function loadPlainText() {
+		var data = gatherCampaignData();
+
+		if ( $( '.bcg-section-edit-card' ).length ) {
+			data.sections_json = gatherSectionEdits();
+		}
+
+		$( '#bcg-plain-text-status' ).text( editor.i18n.plain_text_loading );
+
+		$.post( editor.ajax_url, data ).always( fetchPlainText );
+	}
+
+	/**
+	 * Request the saved campaign's plain-text version.
+	 *
+	 * @return {void}
+	 */
+	function fetchPlainText() {
+		$.post( editor.ajax_url, {
+			action:      'bcg_get_plain_text',
+			_ajax_nonce: editor.nonce,
+			campaign_id: editor.campaign_id
+		}).done( function( response ) {
+			if ( ! response.success ) {
+				$( '#bcg-plain-text-status' ).text(
+					( response.data && response.data.message ) || editor.i18n.plain_text_error
+				);
+				return;
+			}
+
+			$( '#bcg-plain-text' ).val( response.data.text || '' );
+			$( '#bcg-plain-text-status' ).text( '' );
+		}).fail( function() {
+			$( '#bcg-plain-text-status' ).text( editor.i18n.plain_text_error );
+		});
+	}
+
+	/* =====================================================================
+	   PREVIEW AS — Contact Merge Data
+	   ===================================================================== */
+
+	/**
+	 * Add the "Preview as" selectors to the live and fullscreen previews.
+	 * Both previews are written through BCGPreviewContact, which redraws
+	 * them when another contact is chosen.
+	 *
+	 * @return {void}
+	 */
+	function bindPreviewAs() {
+		BCGPreviewContact.mount( '#bcg-preview-as' );
+		BCGPreviewContact.mount( '#bcg-fullscreen-preview-as' );
+	}
+
+	/* =====================================================================
+	   INBOX CLIENTS — Client Preview Modes
+	   ===================================================================== */
+
+	/**
+	 * Add the inbox client and width selectors to the live preview.
+	 *
+	 * @return {void}
+	 */
+	function bindClientPreview() {
+		BCGClientPreview.mount( '#bcg-client-preview', { frame: '#bcg-preview-iframe' } );
+	}
+
+	/* =====================================================================
+	   DELIVERABILITY — Spam Check
+	   ===================================================================== */
+
+	/**
+	 * Add the spam and accessibility checks to the live preview. The
+	 * campaign is saved first so the checks see what Brevo would receive.
+	 *
+	 * @return {void}
+	 */
+	function bindDeliverability() {
+		if ( typeof BCGDeliverability === 'undefined' ) {
+			return;
+		}
+
+		BCGDeliverability.mount( '#bcg-deliverability', {
+			request: function() {
+				var data = gatherCampaignData();
+
+				if ( $( '.bcg-section-edit-card' ).length ) {
+					data.sections_json = gatherSectionEdits();
+				}
+
+				return $.post( editor.ajax_url, data ).then( function() {
+					return { campaign_id: editor.campaign_id };
+				});
+			},
+			frames: function() {
+				return $( '#bcg-preview-iframe' ).get();
+			},
+			onSelect: function( marker ) {
+				var $card = findSectionCard( marker );
+				if ( $card.length ) {
+					$card[0].scrollIntoView( { block: 'center', behavior: 'smooth' } );
+				}
+			},
+			onRewrite: applyRewrite
+		});
+
+		if ( typeof BCGAccessibility !== 'undefined' ) {
+			BCGAccessibility.mount( '#bcg-accessibility', {
+				request: function() {
+					var data = gatherCampaignData();
+
+					if ( $( '.bcg-section-edit-card' ).length ) {
+						data.sections_json = gatherSectionEdits();
+					}
+
+					return $.post( editor.ajax_url, data ).then( function() {
+						return { campaign_id: editor.campaign_id };
+					});
+				},
+				frames: function() {
+					return $( '#bcg-preview-iframe' ).get();
+				},
+				onSelect: function( marker ) {
+					var $card = findSectionCard( marker );
+					if ( $card.length ) {
+						$card[0].scrollIntoView( { block: 'center', behavior: 'smooth' } );
+					}
+				}
+			});
+		}
+	}
+
+	/**
+	 * Collect the section edit cards as sections JSON, the way the Save
+	 * Section Content button does.
+	 *
+	 * @return {string}
+	 */
+	function gatherSectionEdits() {
+		var sections = $( '.bcg-section-edit-card' ).map( function() {
+			var $card    = $( this );
+			var settings = {};
+
+			try {
+				settings = JSON.parse( $card.find( '.bcg-section-full-settings' ).val() || '{}' );
+			} catch ( e ) {
+				settings = {};
+			}
+
+			$card.find( '.bcg-section-field' ).each( function() {
+				settings[ $( this ).data( 'field' ) ] = $( this ).val();
+			});
+
+			return {
+				id:       $card.data( 'section-id' ),
+				type:     $card.data( 'section-type' ),
+				settings: settings
+			};
+		}).get();
+
+		return JSON.stringify( sections );
+	}
+
+	/**
+	 * Find the section edit card behind a data-bcg-section value (the
+	 * section ID through sanitize_key).
+	 *
+	 * @param {string} marker
+	 * @return {jQuery}
+	 */
+	function findSectionCard( marker ) {
+		return $( '.bcg-section-edit-card' ).filter( function() {
+			return String( $( this ).data( 'section-id' ) ).toLowerCase().replace( /[^a-z0-9_\-]/g, '' ) === marker;
+		}).first();
+	}
+
+	/**
+	 * Put AI-rewritten copy in place of the flagged text.
+	 *
+	 * @param {Object} finding Finding from the spam check.
+	 * @param {string} content The rewritten copy.
+	 * @return {boolean} Whether a field held the flagged text.
+	 */
+	function applyRewrite( finding, content ) {
+		var $fields;
+
+		if ( finding.field === 'subject' ) {
+			$fields = $( '#bcg-subject' );
+		} else if ( finding.field === 'preview_text' ) {
+			$fields = $( '#bcg-preview-text' );
+		} else if ( finding.section && findSectionCard( finding.section ).length ) {
+			$fields = findSectionCard( finding.section ).find( '.bcg-section-field' );
+		} else {
+			$fields = $( '#bcg-main-headline, #bcg-main-description, .bcg-coupon-text-field, .bcg-product-headline, .bcg-product-shortdesc, .bcg-section-field' );
+		}
+
+		var applied = false;
+
+		$fields.each( function() {
+			var value = BCGDeliverability.replaceText( $( this ).val(), finding.text, content );
+			if ( value !== null ) {
+				$( this ).val( value ).trigger( 'input' );
+				applied = true;
+				return false;
+			}
+		});
+
+		return applied;
+	}
+
 	/* =====================================================================
 	   MEDIA UPLOADER — Custom Image
 	   ===================================================================== */
@@ -919,6 +2433,12 @@
 				if ( attachment && attachment.url ) {
 					$( '#bcg-main-image-img' ).attr( 'src', attachment.url );
 					$( '#bcg-main-image-url' ).val( attachment.url ).trigger( 'change' );
+
+					// An empty alt text field takes the alt text set in the media library.
+					if ( attachment.alt && ! $.trim( $( '#bcg-main-image-alt' ).val() ) ) {
+						$( '#bcg-main-image-alt' ).val( attachment.alt ).trigger( 'change' );
+					}
+
 					refreshPreview();
 				}
 			});
@@ -0,0 +1,276 @@
+/**
+ * Brevo Campaign Generator — AI rewrite menu.
+ *
+ * Rewrites the text of a field with AI, starting from what is already
+ * there: a preset (shorten, expand, more casual, more formal, add urgency,
+ * add emoji, fix grammar) and/or an instruction typed by the user. Rich
+ * text editors are rewritten as HTML so their formatting survives.
+ *
+ * Any button with the bcg-rewrite-btn class opens the menu. Its data-target
+ * attribute is a selector for the field to rewrite; without one, the
+ * button's first input or textarea sibling is used. data-format="html"
+ * marks a plain field that holds rich text HTML. Campaign copy fields
+ * also set data-campaign-id, data-field and data-product-row-id, so the
+ * original and the rewrite are added to the field's copy history. After a
+ * rewrite the field gets input and change events, then a bcg:rewritten
+ * event with the server's response.
+ *
+ * Depends on: jQuery.
+ * Localised data available via: bcg_rewrite_menu (ajax_url, nonce, presets,
+ * credit_cost, test_mode, max_length, i18n).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+/* global jQuery, bcg_rewrite_menu */
+( function ( $, window, document ) {
+	'use strict';
+
+	var config = window.bcg_rewrite_menu || {};
+	var i18n   = config.i18n || {};
+
+	/**
+	 * The open menu: { $el, anchor, target, request }.
+	 *
+	 * @type {Object|null}
+	 */
+	var menu = null;
+
+	/**
+	 * Escape a string for use in HTML.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function escHtml( str ) {
+		return String( str )
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	/**
+	 * Get a field's current text, or HTML for a rich text editor.
+	 *
+	 * @param  {Element} target
+	 * @return {string}
+	 */
+	function getText( target ) {
+		return target.isContentEditable ? target.innerHTML : String( target.value || '' );
+	}
+
+	/**
+	 * Put rewritten copy into a field and notify its listeners.
+	 *
+	 * @param {Element} target
+	 * @param {string}  content
+	 */
+	function setText( target, content ) {
+		if ( target.isContentEditable ) {
+			target.innerHTML = content;
+			$( target ).trigger( 'input' );
+			return;
+		}
+
+		target.value = content;
+		$( target ).trigger( 'input' ).trigger( 'change' );
+	}
+
+	/**
+	 * Close the open menu. A rewrite still in progress is abandoned.
+	 */
+	function close() {
+		if ( ! menu ) {
+			return;
+		}
+		if ( menu.request ) {
+			menu.request.abort();
+		}
+		$( menu.anchor ).attr( 'aria-expanded', 'false' );
+		menu.$el.remove();
+		menu = null;
+		$( document ).off( '.bcgRewriteMenu' );
+	}
+
+	/**
+	 * Show a message in the open menu.
+	 *
+	 * @param {string}  message
+	 * @param {boolean} isError
+	 */
+	function setStatus( message, isError ) {
+		menu.$el.find( '.bcg-rewrite-menu-status' )
+			.toggleClass( 'is-error', !! isError )
+			.text( message )
+			.toggle( !! message );
+	}
+
+	/**
+	 * Rewrite the open menu's field.
+	 *
+	 * @param {string} preset       Preset key, or '' for the typed instruction only.
+	 * @param {string} instructions Instruction typed by the user.
+	 */
+	function rewrite( preset, instructions ) {
+		var current = menu;
+		var $anchor = $( current.anchor );
+		var text    = getText( current.target );
+
+		if ( ! $.trim( text.replace( /<[^>]*>/g, '' ) ) ) {
+			setStatus( i18n.empty || 'There is no copy to rewrite.', true );
+			return;
+		}
+
+		current.$el.addClass( 'is-loading' ).find( 'button, input' ).prop( 'disabled', true );
+		setStatus( i18n.rewriting || 'Rewriting…', false );
+
+		current.request = $.post( config.ajax_url, {
+			action:         'bcg_rewrite_copy',
+			nonce:          config.nonce,
+			text:           text,
+			format:         current.target.isContentEditable || 'html' === $anchor.data( 'format' ) ? 'html' : 'text',
+			preset:         preset,
+			instructions:   instructions,
+			campaign_id:    $anchor.data( 'campaign-id' ) || 0,
+			field:          $anchor.data( 'field' ) || '',
+			product_row_id: $anchor.data( 'product-row-id' ) || 0,
+		} ).done( function ( response ) {
+			if ( menu !== current ) {
+				return;
+			}
+
+			if ( response && response.success && response.data ) {
+				var target = current.target;
+
+				current.request = null;
+				close();
+				setText( target, response.data.content );
+				$( target ).trigger( 'bcg:rewritten', [ response.data ] ).trigger( 'focus' );
+				return;
+			}
+
+			current.request = null;
+			current.$el.removeClass( 'is-loading' ).find( 'button, input' ).prop( 'disabled', false );
+			setStatus( ( response && response.data && response.data.message ) || i18n.error || 'The copy could not be rewritten.', true );
+		} ).fail( function ( xhr, status ) {
+			if ( menu !== current || 'abort' === status ) {
+				return;
+			}
+
+			current.request = null;
+			current.$el.removeClass( 'is-loading' ).find( 'button, input' ).prop( 'disabled', false );
+			setStatus( i18n.error || 'The copy could not be rewritten.', true );
+		} );
+	}
+
+	/**
+	 * Open the menu under a button, or close it when it is already open
+	 * for that button.
+	 *
+	 * @param {Element}        anchor Button the menu belongs to.
+	 * @param {Element|jQuery} target Input, textarea or editable element to rewrite.
+	 */
+	function open( anchor, target ) {
+		var wasOpen = menu && menu.anchor === anchor;
+
+		close();
+		if ( target && target.jquery ) {
+			target = target[0];
+		}
+		if ( wasOpen || ! target ) {
+			return;
+		}
+
+		var presets = '';
+		$.each( config.presets || {}, function ( key, label ) {
+			presets += '<button type="button" class="bcg-rewrite-menu-preset" role="menuitem" data-preset="' + escHtml( key ) + '">' + escHtml( label ) + '</button>';
+		} );
+
+		var cost = config.test_mode
+			? ( i18n.free || 'Rewrites are free in test mode.' )
+			: String( i18n.cost || 'Each rewrite costs %s credits.' ).replace( '%s', config.credit_cost || 0 );
+
+		var $el = $(
+			'<div class="bcg-rewrite-menu" role="dialog" aria-label="' + escHtml( i18n.title || 'Rewrite with AI' ) + '">' +
+				'<div class="bcg-rewrite-menu-presets" role="menu">' + presets + '</div>' +
+				'<label class="bcg-rewrite-menu-custom">' +
+					'<span>' + escHtml( i18n.custom || 'Or describe what to change' ) + '</span>' +
+					'<span class="bcg-rewrite-menu-custom-row">' +
+						'<input type="text" class="bcg-rewrite-menu-input" maxlength="' + ( parseInt( config.max_length, 10 ) || 300 ) + '" placeholder="' + escHtml( i18n.placeholder || 'e.g. mention free delivery' ) + '" />' +
+						'<button type="button" class="button button-small bcg-rewrite-menu-go">' + escHtml( i18n.rewrite || 'Rewrite' ) + '</button>' +
+					'</span>' +
+				'</label>' +
+				'<p class="bcg-rewrite-menu-status" role="status"></p>' +
+				'<p class="bcg-rewrite-menu-cost">' + escHtml( cost ) + '</p>' +
+			'</div>'
+		);
+
+		menu = {
+			$el:     $el,
+			anchor:  anchor,
+			target:  target,
+			request: null,
+		};
+
+		var rect = anchor.getBoundingClientRect();
+		$el.css( {
+			top:  ( rect.bottom + 4 ) + 'px',
+			left: Math.max( 8, Math.min( rect.left, window.innerWidth - 288 ) ) + 'px',
+		} ).appendTo( document.body );
+		$( anchor ).attr( 'aria-expanded', 'true' );
+
+		$el.on( 'click', '.bcg-rewrite-menu-preset', function () {
+			rewrite( String( $( this ).data( 'preset' ) ), $.trim( $el.find( '.bcg-rewrite-menu-input' ).val() ) );
+		} );
+
+		$el.on( 'click', '.bcg-rewrite-menu-go', function () {
+			var instructions = $.trim( $el.find( '.bcg-rewrite-menu-input' ).val() );
+
+			if ( instructions ) {
+				rewrite( '', instructions );
+			} else {
+				$el.find( '.bcg-rewrite-menu-input' ).trigger( 'focus' );
+			}
+		} );
+
+		$el.on( 'keydown', function ( e ) {
+			if ( e.key === 'Escape' ) {
+				e.preventDefault();
+				var current = menu;
+				close();
+				$( current.anchor ).trigger( 'focus' );
+			} else if ( e.key === 'Enter' && $( e.target ).is( 'input' ) ) {
+				e.preventDefault();
+				$el.find( '.bcg-rewrite-menu-go' ).trigger( 'click' );
+			}
+		} );
+
+		$( document ).on( 'mousedown.bcgRewriteMenu', function ( e ) {
+			if ( menu && ! $.contains( menu.$el[0], e.target ) && ! $.contains( anchor, e.target ) && e.target !== anchor ) {
+				close();
+			}
+		} );
+
+		$el.find( '.bcg-rewrite-menu-preset' ).first().trigger( 'focus' );
+	}
+
+	// Buttons anywhere in the admin open the menu for their field.
+	$( document ).on( 'click', '.bcg-rewrite-btn', function ( e ) {
+		e.preventDefault();
+		e.stopPropagation();
+
+		var $btn   = $( this );
+		var target = $btn.data( 'target' ) ? $( $btn.data( 'target' ) ) : $btn.siblings( 'input, textarea' ).first();
+
+		open( this, target );
+	} );
+
+	window.BCGRewriteMenu = {
+		open:  open,
+		close: close,
+	};
+
+} )( jQuery, window, document );
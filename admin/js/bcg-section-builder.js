@@ -5,14 +5,19 @@
  *  - Palette: click to add section types
  *  - Canvas: drag-to-reorder sections, per-section controls
  *  - Settings panel: dynamic fields from registry schema
- *  - Live preview via AJAX → iframe
+ *  - Live preview rendered in the browser (bcg-section-renderer.js) → iframe,
+ *    patching only the changed sections (bcg-preview-frame.js)
  *  - Save / load / delete named templates
+ *  - Import / export templates as portable JSON bundles
  *  - "Generate All with AI" and per-section AI regeneration
+ *  - Snapshot-based undo / redo history
+ *  - Duplicate, copy and paste sections (system clipboard + in-app fallback)
+ *  - Preview as a Brevo contact or sample data (bcg-preview-contact.js)
  *
  * @package Brevo_Campaign_Generator
  * @since   1.5.0
  */
-/* global bcg_section_builder, wp */
+/* global bcg_section_builder, wp, BCGPreviewFrame, BCGPreviewContact, BCGDeliverability */
 ( function ( $ ) {
 	'use strict';
 
@@ -24,10 +29,23 @@
 		selectedId:   null,   // UUID of section currently open in settings panel.
 		isDirty:      false,  // Unsaved changes flag.
 		previewTimer: null,   // Debounce handle for live preview.
+		previewDelay: 50,     // Debounce (ms) for live previews, which render in the browser.
+		productCards: {},     // Product card data for client-side previews, keyed by product ID.
+		inlineFields: [ 'headline', 'subtext', 'body', 'cta_text' ], // Text fields editable in the preview modal.
 		currentTemplateId: 0, // ID of the loaded/saved template (0 = new).
 		mediaFrame:   null,   // WP media frame instance.
 		aiPrompt:     '',     // Free-form AI prompt describing the email theme.
 		globalDefaults: {},     // Global defaults: font_family, etc.
+		undoStack:    [],     // History snapshots for undo — { label, state }, newest last.
+		redoStack:    [],     // History snapshots for redo — { label, state }, newest last.
+		historyLimit: 50,     // Maximum number of undo steps kept in memory.
+		historyCoalesceMs: 800, // Window in which edits to the same field merge into one step.
+		_historyKey:  null,   // Coalesce key of the most recent snapshot.
+		_historyTime: 0,      // Timestamp (ms) of the most recent snapshot.
+		copySelection: [],    // UUIDs ticked on the canvas for multi-section copy.
+		currentDescription: '', // Description of the loaded template, kept on re-save.
+		pendingImport: null,  // Validated import bundle awaiting confirmation.
+		bundleSchema:  1,     // Template export bundle schema version.
 
 		i18n:    bcg_section_builder.i18n          || {},
 		types:   bcg_section_builder.section_types || {},
@@ -55,18 +73,11 @@
 				this.globalDefaults.font_family = "Georgia, serif";
 			}
 			// Populate font dropdown initial value.
-			var savedFont = this.globalDefaults.font_family;
-			var $fontWrapper = $( '#bcg-sb-font-wrapper' );
-			if ( $fontWrapper.length && savedFont ) {
-				var fontLabel = '';
-				$.each( self.fonts, function ( i, f ) {
-					if ( f.value === savedFont ) { fontLabel = f.label; return false; }
-				} );
-				if ( fontLabel ) {
-					$fontWrapper.find( '.bcg-select-value' ).text( fontLabel );
-					$fontWrapper.find( '.bcg-select-option' ).removeClass( 'is-selected' );
-					$fontWrapper.find( '.bcg-select-option[data-value="' + savedFont.replace( /"/g, '\\"' ) + '"]' ).addClass( 'is-selected' );
-				}
+			this.syncFontSelect();
+			this.updateHistoryButtons();
+
+			if ( bcg_section_builder.debug && window.BCGSectionRenderer ) {
+				window.bcgSectionRendererParity = this.checkRendererParity.bind( this );
 			}
 
 			// Auto-save every 60 seconds when dirty.
@@ -255,6 +266,51 @@
 				}
 			} );
 
+			// Duplicate section.
+			$( document ).on( 'click', '.bcg-sb-section-duplicate', function () {
+				var id = $( this ).closest( '.bcg-sb-section' ).data( 'id' );
+				self.duplicateSection( id );
+			} );
+
+			// Tick / untick a section for multi-section copy.
+			$( document ).on( 'change', '.bcg-sb-section-select', function () {
+				var id  = $( this ).closest( '.bcg-sb-section' ).data( 'id' );
+				var idx = self.copySelection.indexOf( id );
+				if ( $( this ).is( ':checked' ) ) {
+					if ( idx === -1 ) { self.copySelection.push( id ); }
+				} else if ( idx !== -1 ) {
+					self.copySelection.splice( idx, 1 );
+				}
+				self.updateClipboardButtons();
+			} );
+
+			// Copy / paste buttons in the canvas header.
+			$( '#bcg-sb-copy-btn' ).on( 'click', function () {
+				self.copySections();
+			} );
+
+			$( '#bcg-sb-paste-btn' ).on( 'click', function () {
+				self.pasteFromClipboard();
+			} );
+
+			// Native copy / paste (Ctrl+C / Ctrl+V) while focus is outside text inputs.
+			$( document ).on( 'copy.bcgClipboard', function ( e ) {
+				if ( self.isTextTarget( e.target ) || String( window.getSelection ? window.getSelection() : '' ) ) { return; }
+				var json = self.copySections( true );
+				if ( json && e.originalEvent && e.originalEvent.clipboardData ) {
+					e.originalEvent.clipboardData.setData( 'text/plain', json );
+					e.preventDefault();
+				}
+			} );
+
+			$( document ).on( 'paste.bcgClipboard', function ( e ) {
+				// A field handled the paste (e.g. rich text inserting it itself).
+				if ( e.isDefaultPrevented() || self.isTextTarget( e.target ) ) { return; }
+				var text = ( e.originalEvent && e.originalEvent.clipboardData ) ? e.originalEvent.clipboardData.getData( 'text/plain' ) : '';
+				e.preventDefault();
+				self.pasteSections( self.parseClipboard( text ) || self.parseClipboard( self.readLocalClipboard() ) );
+			} );
+
 			// Per-section AI generate button.
 			$( document ).on( 'click', '.bcg-sb-section-ai', function () {
 				var id = $( this ).closest( '.bcg-sb-section' ).data( 'id' );
@@ -304,6 +360,12 @@
 			// Remove existing cards (keep empty placeholder).
 			$canvas.find( '.bcg-sb-section' ).remove();
 
+			// Drop ticked IDs that no longer exist (removed, undone, template switched).
+			self.copySelection = self.copySelection.filter( function ( id ) {
+				return !! self.getSectionById( id );
+			} );
+			self.updateClipboardButtons();
+
 			if ( self.sections.length === 0 ) {
 				$empty.show();
 				return;
@@ -344,8 +406,11 @@
 				.attr( 'data-id', section.id )
 				.attr( 'data-type', section.type );
 
+			var isTicked = self.copySelection.indexOf( section.id ) !== -1;
+
 			var headerHtml =
 				'<div class="bcg-sb-section-header">' +
+				'<input type="checkbox" class="bcg-sb-section-select" title="' + self.escAttr( self.i18n.select_for_copy || 'Select for copy' ) + '"' + ( isTicked ? ' checked' : '' ) + ' />' +
 				'<span class="bcg-sb-drag-handle material-icons-outlined">drag_indicator</span>' +
 				'<span class="bcg-sb-section-icon material-icons-outlined">' + self.escHtml( icon ) + '</span>' +
 				'<span class="bcg-sb-section-label">' + self.escHtml( label ) + '</span>' +
@@ -354,6 +419,7 @@
 					'<button type="button" class="bcg-sb-move-up bcg-btn-icon" title="' + self.escAttr( self.i18n.move_up || 'Move up' ) + '"><span class="material-icons-outlined">keyboard_arrow_up</span></button>' +
 					'<button type="button" class="bcg-sb-move-down bcg-btn-icon" title="' + self.escAttr( self.i18n.move_down || 'Move down' ) + '"><span class="material-icons-outlined">keyboard_arrow_down</span></button>' +
 					'<button type="button" class="bcg-sb-section-edit bcg-btn-icon" title="' + self.escAttr( self.i18n.edit_settings || 'Edit settings' ) + '"><span class="material-icons-outlined">settings</span></button>' +
+					'<button type="button" class="bcg-sb-section-duplicate bcg-btn-icon" title="' + self.escAttr( self.i18n.duplicate || 'Duplicate' ) + '"><span class="material-icons-outlined">content_copy</span></button>' +
 					'<button type="button" class="bcg-sb-card-preview-toggle bcg-btn-icon" title="Toggle preview"><span class="material-icons-outlined">visibility</span></button>' +
 					'<button type="button" class="bcg-sb-section-remove bcg-btn-icon bcg-btn-danger-icon" title="' + self.escAttr( self.i18n.remove || 'Remove' ) + '"><span class="material-icons-outlined">delete</span></button>' +
 				'</div>' +
@@ -394,6 +460,7 @@
 				preset_label: presetLabel || ''
 			};
 
+			this.pushHistory( this.i18n.history_add || 'Add section' );
 			this.sections.push( section );
 			this.renderCanvas();
 			this.selectSection( section.id );
@@ -417,6 +484,7 @@
 				return;
 			}
 
+			this.pushHistory( this.i18n.history_remove || 'Remove section' );
 			this.sections = this.sections.filter( function ( s ) { return s.id !== id; } );
 
 			if ( this.selectedId === id ) {
@@ -443,11 +511,15 @@
 
 			var section = this.getSectionById( id );
 			this.renderSettingsPanel( section );
+			this.highlightPreviewSection();
 		},
 
 		/**
 		 * Update a specific setting key on a section and trigger preview.
 		 *
+		 * Consecutive edits to the same field (typing, dragging a slider or
+		 * colour picker) are coalesced into a single undo step.
+		 *
 		 * @param {string} id  Section UUID.
 		 * @param {string} key Setting key.
 		 * @param {*}      val New value.
@@ -455,6 +527,9 @@
 		updateSetting: function ( id, key, val ) {
 			var section = this.getSectionById( id );
 			if ( ! section ) { return; }
+			if ( section.settings[ key ] !== val ) {
+				this.pushHistory( this.i18n.history_edit || 'Edit setting', id + ':' + key );
+			}
 			section.settings[ key ] = val;
 			this.markDirty();
 			this.debouncePreview();
@@ -481,13 +556,18 @@
 		syncOrderFromDOM: function () {
 			var self     = this;
 			var ordered  = [];
+			var changed  = false;
 			$( '#bcg-sb-canvas .bcg-sb-section' ).each( function () {
 				var id      = $( this ).data( 'id' );
 				var section = self.getSectionById( id );
 				if ( section ) {
+					if ( self.sections[ ordered.length ] !== section ) { changed = true; }
 					ordered.push( section );
 				}
 			} );
+			if ( changed ) {
+				self.pushHistory( self.i18n.history_reorder || 'Reorder sections' );
+			}
 			self.sections = ordered;
 		},
 
@@ -526,6 +606,7 @@
 					'<span class="material-icons-outlined">auto_awesome</span> ' +
 					( self.i18n.generating || 'Generate with AI' ) +
 					'</button>';
+				html += self.renderAiOptions( section );
 			}
 
 			$.each( fields, function ( i, field ) {
@@ -541,6 +622,100 @@
 
 		},
 
+		/**
+		 * Render a section's own AI tone and instructions. They are stored
+		 * as the _ai_tone and _ai_instructions settings; an empty tone uses
+		 * the toolbar tone.
+		 *
+		 * @param  {Object} section
+		 * @return {string} HTML string.
+		 */
+		renderAiOptions: function ( section ) {
+			var self  = this;
+			var tones = [ { value: '', label: self.i18n.ai_tone_default || 'Campaign tone' } ];
+
+			// Offer the same tones as the toolbar.
+			$( '#bcg-sb-context-tone .bcg-select-option' ).each( function () {
+				tones.push( { value: String( $( this ).data( 'value' ) ), label: $( this ).text() } );
+			} );
+
+			return '<div class="bcg-sb-ai-options">' +
+				self.renderField( section.id, { key: '_ai_tone', label: self.i18n.ai_tone || 'AI tone', type: 'select', options: tones }, section.settings._ai_tone || '', false, section.settings ) +
+				self.renderField( section.id, { key: '_ai_instructions', label: self.i18n.ai_instructions || 'AI instructions for this section', type: 'textarea' }, section.settings._ai_instructions || '', false, section.settings ) +
+				'</div>';
+		},
+
+		/**
+		 * Whether a field gets an AI toggle, stored as the _ai_{key} setting.
+		 *
+		 * @param  {string}  key   Field key.
+		 * @param  {boolean} hasAi Whether the section type supports AI.
+		 * @return {boolean}
+		 */
+		fieldCanUseAi: function ( key, hasAi ) {
+			// Keys that should never get the AI toggle. Alt text has its own AI button.
+			var noAiKeys = ['cta_text', 'button_text', 'button_url', 'cta_url', 'link_url', 'image_url', 'logo_url'];
+			var isUrl    = key.toLowerCase().indexOf( 'url' ) !== -1 || key.toLowerCase().indexOf( 'link' ) !== -1;
+			return !! hasAi && noAiKeys.indexOf( key ) === -1 && ! isUrl && ! this.isAltTextField( key );
+		},
+
+		/**
+		 * Whether a text field gets a merge tag button: email copy does, URLs,
+		 * coupon codes, alt text and AI instructions do not.
+		 *
+		 * @param  {string} key Field key.
+		 * @return {boolean}
+		 */
+		fieldAcceptsMergeTags: function ( key ) {
+			var lower = key.toLowerCase();
+			return lower.indexOf( 'url' ) === -1 && lower.indexOf( 'link' ) === -1 && lower !== 'coupon_code' && ! this.isAltTextField( key ) && lower !== '_ai_instructions';
+		},
+
+		/**
+		 * Whether a field holds the alt text of an image: alt_text belongs to
+		 * image_url, logo_alt_text to logo_url and image_alt_text to image_url.
+		 *
+		 * @param  {string} key Field key.
+		 * @return {boolean}
+		 */
+		isAltTextField: function ( key ) {
+			return /(^|_)alt_text$/.test( key );
+		},
+
+		/**
+		 * Build the button that writes an alt text field with AI. It describes
+		 * the section's image, with the section's copy as context.
+		 *
+		 * @param  {string} sectionId   Section UUID.
+		 * @param  {string} key         Alt text field key.
+		 * @param  {string} id          Alt text input ID.
+		 * @param  {Object} allSettings Section settings.
+		 * @return {string} HTML string.
+		 */
+		renderAltTextButton: function ( sectionId, key, id, allSettings ) {
+			var self      = this;
+			var prefix    = 'bcg-sb-field-' + sectionId.replace( /-/g, '' ) + '-';
+			var imageKey  = ( key.replace( /_?alt_text$/, '' ) || 'image' ) + '_url';
+			var context   = [];
+			var isLogo    = imageKey === 'logo_url';
+
+			$.each( [ 'headline', 'subtext', 'heading', 'caption' ], function ( i, textKey ) {
+				if ( ! isLogo && allSettings[ textKey ] !== undefined ) {
+					context.push( '#' + prefix + textKey.replace( /[^a-z0-9]/gi, '' ) );
+				}
+			} );
+
+			return '<button type="button" class="bcg-alt-text-btn bcg-sb-alt-text-btn"' +
+				' data-target="#' + id + '"' +
+				' data-image="#' + prefix + imageKey.replace( /[^a-z0-9]/gi, '' ) + '"' +
+				( context.length ? ' data-context="' + self.escAttr( context.join( ', ' ) ) + '"' : '' ) +
+				( isLogo ? ' data-description="' + self.escAttr( String( self.i18n.alt_logo_context || 'The logo of %s' ).replace( '%s', bcg_section_builder.site_name || '' ) ) + '"' : '' ) +
+				' data-language="#bcg-sb-context-language"' +
+				' title="' + self.escAttr( self.i18n.alt_text || 'Write alt text with AI' ) + '" aria-label="' + self.escAttr( self.i18n.alt_text || 'Write alt text with AI' ) + '">' +
+				'<span class="material-icons-outlined">auto_awesome</span>' +
+				'</button>';
+		},
+
 		/**
 		 * Render a single settings field.
 		 *
@@ -564,11 +739,8 @@
 
 			var input = '';
 
-			// Keys that should never get the AI toggle.
-			var noAiKeys = ['cta_text', 'button_text', 'button_url', 'cta_url', 'link_url', 'image_url', 'logo_url'];
-			var isUrl    = key.toLowerCase().indexOf( 'url' ) !== -1 || key.toLowerCase().indexOf( 'link' ) !== -1;
-			var canAi    = !! hasAi && noAiKeys.indexOf( key ) === -1 && ! isUrl;
-			var aiOn     = canAi && ( allSettings[ '_ai_' + key ] !== false ); // default true
+			var canAi = self.fieldCanUseAi( key, hasAi );
+			var aiOn  = canAi && ( allSettings[ '_ai_' + key ] !== false ); // default true
 
 			switch ( type ) {
 				case 'text':
@@ -601,6 +773,21 @@
 					}
 					break;
 
+				case 'richtext':
+					if ( canAi ) {
+						input = '<div class="bcg-sb-field-ai-wrap">' +
+							self.renderRichtextField( id, key, value, aiOn, true ) +
+							'<span class="bcg-sb-ai-hint"' + ( aiOn ? '' : ' style="display:none"' ) + '>AI will generate this field</span>' +
+							'<label class="bcg-sb-ai-toggle" title="Toggle AI generation">' +
+							'<input type="checkbox" class="bcg-sb-ai-checkbox" data-ai-key="' + self.escAttr( '_ai_' + key ) + '" data-text-key="' + self.escAttr( key ) + '"' + ( aiOn ? ' checked' : '' ) + ' />' +
+							'<span class="bcg-sb-ai-badge">AI</span>' +
+							'</label>' +
+							'</div>';
+					} else {
+						input = self.renderRichtextField( id, key, value, false );
+					}
+					break;
+
 				case 'range':
 					var rangeMin  = field.min  !== undefined ? field.min  : 0;
 					var rangeMax  = field.max  !== undefined ? field.max  : 100;
@@ -705,8 +892,35 @@
 					input = '<input type="text" id="' + id + '" class="bcg-sb-field-input bcg-input" data-key="' + self.escAttr( key ) + '" value="' + self.escAttr( String( value ) ) + '" />';
 			}
 
+			var labelHtml = '<label class="bcg-sb-field-label" for="' + id + '">' + self.escHtml( label ) + '</label>';
+
+			if ( type === 'text' || type === 'textarea' ) {
+				var labelButtons = '';
+
+				if ( self.fieldAcceptsMergeTags( key ) ) {
+					labelButtons += '<button type="button" class="bcg-merge-tag-btn bcg-sb-merge-tag-btn" data-target="#' + id + '" title="' + self.escAttr( self.i18n.rt_merge_tag || 'Insert merge tag' ) + '" aria-label="' + self.escAttr( self.i18n.rt_merge_tag || 'Insert merge tag' ) + '" aria-haspopup="dialog" aria-expanded="false"' + ( aiOn ? ' style="display:none"' : '' ) + '>' +
+						'<span class="material-icons-outlined">data_object</span>' +
+						'</button>';
+				}
+
+				if ( self.isAltTextField( key ) ) {
+					labelButtons += self.renderAltTextButton( sectionId, key, id, allSettings );
+				}
+
+				// Fields the AI can write can also be rewritten from their current text.
+				if ( canAi ) {
+					labelButtons += '<button type="button" class="bcg-rewrite-btn bcg-sb-rewrite-btn" data-target="#' + id + '" title="' + self.escAttr( self.i18n.rewrite || 'Rewrite with AI' ) + '" aria-label="' + self.escAttr( self.i18n.rewrite || 'Rewrite with AI' ) + '" aria-haspopup="dialog" aria-expanded="false"' + ( aiOn ? ' style="display:none"' : '' ) + '>' +
+						'<span class="material-icons-outlined">edit_note</span>' +
+						'</button>';
+				}
+
+				if ( labelButtons ) {
+					labelHtml = '<div class="bcg-sb-field-label-row">' + labelHtml + labelButtons + '</div>';
+				}
+			}
+
 			return '<div class="bcg-sb-field-row">' +
-				'<label class="bcg-sb-field-label" for="' + id + '">' + self.escHtml( label ) + '</label>' +
+				labelHtml +
 				'<div class="bcg-sb-field-control">' + input + '</div>' +
 				'</div>';
 		},
@@ -837,6 +1051,13 @@
 					var attachment = self.mediaFrame.state().get( 'selection' ).first().toJSON();
 					$input.val( attachment.url );
 					self.updateSetting( sectionId, key, attachment.url );
+
+					// An empty alt text field takes the alt text set in the media library.
+					var $alt = $( $body.find( '.bcg-alt-text-btn[data-image="#' + targetId + '"]' ).data( 'target' ) );
+					if ( attachment.alt && $alt.length && ! $.trim( $alt.val() ) ) {
+						$alt.val( attachment.alt ).trigger( 'input' );
+					}
+
 					self.debounceSectionPreview( sectionId );
 				} );
 
@@ -856,16 +1077,19 @@
 				var textKey = $cb.data( 'text-key' );
 				var isOn    = $cb.is( ':checked' );
 				var $wrap   = $cb.closest( '.bcg-sb-field-ai-wrap' );
-				var $input  = $wrap.find( '.bcg-sb-field-input[data-key="' + textKey + '"]' );
+				var $input  = $wrap.find( '.bcg-sb-field-input[data-key="' + textKey + '"], .bcg-sb-richtext[data-key="' + textKey + '"]' );
 				var $hint   = $wrap.find( '.bcg-sb-ai-hint' );
+				var $merge  = $body.find( '.bcg-sb-merge-tag-btn, .bcg-sb-rewrite-btn' ).filter( '[data-target="#' + $input.attr( 'id' ) + '"]' );
 
 				self.updateSetting( sectionId, aiKey, isOn );
 
 				if ( isOn ) {
 					$input.hide();
+					$merge.hide();
 					$hint.show();
 				} else {
 					$input.show();
+					$merge.show();
 					$hint.hide();
 				}
 
@@ -916,8 +1140,168 @@
 			$body.find( '.bcg-sb-product-select' ).each( function () {
 				self.bindProductSelectWidget( $( this ), sectionId );
 			} );
+
+			self.bindRichtextFields( $body, sectionId );
+		},
+
+		// ── Rich Text Fields ──────────────────────────────────────────────
+
+		/**
+		 * Render a rich text field: a formatting toolbar over an editable area.
+		 *
+		 * @param  {string}  id      Element ID for the editable area.
+		 * @param  {string}  key     Setting key.
+		 * @param  {string}  value   Stored HTML.
+		 * @param  {boolean} hidden  Whether the field starts hidden (AI generated).
+		 * @param  {boolean} rewrite Whether to add the AI rewrite button.
+		 * @return {string} HTML string.
+		 */
+		renderRichtextField: function ( id, key, value, hidden, rewrite ) {
+			var self  = this;
+			var i18n  = self.i18n;
+			var tools = [
+				{ command: 'bold',                icon: 'format_bold',          label: i18n.rt_bold    || 'Bold' },
+				{ command: 'italic',              icon: 'format_italic',        label: i18n.rt_italic  || 'Italic' },
+				{ command: 'link',                icon: 'link',                 label: i18n.rt_link    || 'Link' },
+				{ command: 'unlink',              icon: 'link_off',             label: i18n.rt_unlink  || 'Remove link' },
+				{ command: 'insertUnorderedList', icon: 'format_list_bulleted', label: i18n.rt_bullets || 'Bulleted list' },
+				{ command: 'insertOrderedList',   icon: 'format_list_numbered', label: i18n.rt_numbers || 'Numbered list' },
+			];
+
+			var html = '<div class="bcg-sb-richtext" data-key="' + self.escAttr( key ) + '"' + ( hidden ? ' style="display:none"' : '' ) + '>';
+			html += '<div class="bcg-sb-richtext-toolbar" role="toolbar">';
+			$.each( tools, function ( i, tool ) {
+				html += '<button type="button" class="bcg-sb-richtext-btn" data-command="' + tool.command + '" title="' + self.escAttr( tool.label ) + '" aria-label="' + self.escAttr( tool.label ) + '">' +
+					'<span class="material-icons-outlined">' + tool.icon + '</span>' +
+					'</button>';
+			} );
+
+			html += '<button type="button" class="bcg-sb-richtext-btn bcg-sb-richtext-merge bcg-merge-tag-btn" data-target="#' + id + '" title="' + self.escAttr( i18n.rt_merge_tag || 'Insert merge tag' ) + '" aria-label="' + self.escAttr( i18n.rt_merge_tag || 'Insert merge tag' ) + '" aria-haspopup="dialog" aria-expanded="false">' +
+				'<span class="material-icons-outlined">data_object</span>' +
+				'</button>';
+
+			if ( rewrite ) {
+				html += '<button type="button" class="bcg-sb-richtext-btn bcg-rewrite-btn" data-target="#' + id + '" title="' + self.escAttr( i18n.rewrite || 'Rewrite with AI' ) + '" aria-label="' + self.escAttr( i18n.rewrite || 'Rewrite with AI' ) + '" aria-haspopup="dialog" aria-expanded="false">' +
+					'<span class="material-icons-outlined">edit_note</span>' +
+					'</button>';
+			}
+
+			html += '</div>';
+			html += '<div id="' + id + '" class="bcg-sb-richtext-editor" contenteditable="true" role="textbox" aria-multiline="true">' +
+				self.sanitizeRichtext( value ) +
+				'</div>';
+			html += '</div>';
+
+			return html;
+		},
+
+		/**
+		 * Reduce rich text to the email-safe HTML the renderers output.
+		 *
+		 * @param  {string} html
+		 * @return {string}
+		 */
+		sanitizeRichtext: function ( html ) {
+			if ( window.BCGSectionRenderer ) {
+				return window.BCGSectionRenderer.sanitizeRichtext( html );
+			}
+			return this.escHtml( String( html ) ).replace( /\r?\n/g, '<br />' );
+		},
+
+		/**
+		 * Bind the toolbars and editable areas of the rich text fields in the
+		 * settings panel.
+		 *
+		 * @param {jQuery} $body     Settings panel body.
+		 * @param {string} sectionId Section UUID.
+		 */
+		bindRichtextFields: function ( $body, sectionId ) {
+			var self = this;
+
+			$body.on( 'input.bcgFields', '.bcg-sb-richtext-editor', function () {
+				var key = $( this ).closest( '.bcg-sb-richtext' ).data( 'key' );
+				self.updateSetting( sectionId, key, self.sanitizeRichtext( this.innerHTML ) );
+				self.debounceSectionPreview( sectionId );
+			} );
+
+			$body.on( 'paste.bcgFields', '.bcg-sb-richtext-editor', function ( e ) {
+				self.pasteRichtext( e.originalEvent );
+			} );
+
+			// Keep the editor's selection while the toolbar is used.
+			$body.on( 'mousedown.bcgFields', '.bcg-sb-richtext-toolbar', function ( e ) {
+				e.preventDefault();
+			} );
+
+			$body.on( 'click.bcgFields', '.bcg-sb-richtext-btn[data-command]', function () {
+				var editor = $( this ).closest( '.bcg-sb-richtext' ).find( '.bcg-sb-richtext-editor' )[ 0 ];
+				self.runRichtextCommand( editor, $( this ).data( 'command' ) );
+			} );
+
+			// The merge tag button is handled by BCGMergeTags, the rewrite
+			// button by BCGRewriteMenu.
+		},
+
+		/**
+		 * Apply a toolbar command to a rich text editor. The browser fires an
+		 * input event for the change, which saves the setting.
+		 *
+		 * @param {Element} editor  Editable area.
+		 * @param {string}  command execCommand name, or 'link'.
+		 */
+		runRichtextCommand: function ( editor, command ) {
+			if ( ! editor ) { return; }
+
+			var sel   = window.getSelection();
+			var range = sel.rangeCount && editor.contains( sel.getRangeAt( 0 ).commonAncestorContainer ) ? sel.getRangeAt( 0 ).cloneRange() : null;
+
+			if ( command !== 'link' ) {
+				editor.focus();
+				document.execCommand( command, false, null );
+				return;
+			}
+
+			var url = window.prompt( this.i18n.rt_link_prompt || 'Link URL', 'https://' );
+			url     = url === null ? '' : $.trim( url );
+
+			editor.focus();
+			if ( range ) {
+				sel.removeAllRanges();
+				sel.addRange( range );
+			}
+			if ( url === '' || url === 'https://' ) {
+				return;
+			}
+
+			if ( range && ! range.collapsed ) {
+				document.execCommand( 'createLink', false, url );
+			} else {
+				document.execCommand( 'insertHTML', false, '<a href="' + this.escAttr( url ) + '">' + this.escHtml( url ) + '</a>' );
+			}
 		},
 
+		/**
+		 * Paste into a rich text field, keeping only the formatting the email
+		 * can carry.
+		 *
+		 * @param {ClipboardEvent} e
+		 */
+		pasteRichtext: function ( e ) {
+			if ( ! e || ! e.clipboardData ) { return; }
+
+			var doc  = e.target.ownerDocument;
+			var html = e.clipboardData.getData( 'text/html' );
+
+			e.preventDefault();
+
+			if ( html ) {
+				// Google Docs wraps the whole copy in a non-bold <b>.
+				html = html.replace( /<b\b[^>]*id="docs-internal-guid[^>]*>/i, '' );
+				doc.execCommand( 'insertHTML', false, this.sanitizeRichtext( html ) );
+			} else {
+				doc.execCommand( 'insertText', false, e.clipboardData.getData( 'text/plain' ) );
+			}
+		},
 
 		// ── Product Select Widget ─────────────────────────────────────────
 
@@ -934,7 +1318,7 @@
 			self._sectionPreviewTimer = setTimeout( function () {
 				// updateSectionPreview checks internally if card preview is visible.
 				self.updateSectionPreview( sectionId );
-			}, 350 );
+			}, self.previewDelay );
 		},
 
 		/**
@@ -951,29 +1335,15 @@
 			var $iframe  = $card.find( '.bcg-sb-card-iframe' );
 			if ( ! section || ! $iframe.length || ! $preview.is( ':visible' ) ) { return; }
 
-			$.ajax( {
-				url:  bcg_section_builder.ajax_url,
-				type: 'POST',
-				data: {
-					action:   'bcg_sb_preview',
-					nonce:    bcg_section_builder.nonce,
-					sections: JSON.stringify( [ section ] ),
-				},
-				success: function ( response ) {
-					if ( response.success && response.data.html ) {
-						var doc = $iframe[0].contentDocument || $iframe[0].contentWindow.document;
-						doc.open();
-						doc.write( response.data.html );
-						doc.close();
-						// Auto-size to content after load.
-						setTimeout( function () {
-							try {
-								var h = doc.documentElement.scrollHeight || doc.body.scrollHeight;
-								if ( h > 20 ) { $iframe.css( 'height', h + 'px' ); }
-							} catch ( ex ) {}
-						}, 300 );
-					}
-				},
+			self.renderPreviewHtml( [ section ], function ( html ) {
+				var doc = self.writePreviewFrame( $iframe, html );
+				// Auto-size to content after load.
+				setTimeout( function () {
+					try {
+						var h = doc.documentElement.scrollHeight || doc.body.scrollHeight;
+						if ( h > 20 ) { $iframe.css( 'height', h + 'px' ); }
+					} catch ( ex ) {}
+				}, 300 );
 			} );
 		},
 		/**
@@ -1077,6 +1447,7 @@
 				// Store display meta so tags survive panel re-render.
 				var section = self.getSectionById( sectionId );
 				if ( section ) {
+					self.pushHistory( self.i18n.history_edit || 'Edit setting', sectionId + ':' + key );
 					if ( ! section.settings._product_meta ) { section.settings._product_meta = {}; }
 					section.settings._product_meta[ pid ] = { name: name, image_url: imgUrl };
 				}
@@ -1129,80 +1500,343 @@
 			} );
 		},
 
-		// ── Toolbar ────────────────────────────────────────────────────────
+		// ── Duplicate / Copy / Paste ───────────────────────────────────────
 
 		/**
-		 * Bind toolbar button events.
+		 * Insert a copy of a section directly below the original.
+		 *
+		 * @param {string} id Section UUID.
 		 */
-		bindToolbar: function () {
+		duplicateSection: function ( id ) {
+			var section = this.getSectionById( id );
+			if ( ! section ) { return; }
+
+			this.selectedId = id;
+			this.insertSections( [ section ], this.i18n.history_duplicate || 'Duplicate section' );
+		},
+
+		/**
+		 * Sections to copy: every ticked card in canvas order, or the section
+		 * open in the settings panel when nothing is ticked.
+		 *
+		 * @return {Array}
+		 */
+		getCopyTargets: function () {
 			var self = this;
+			var ids  = self.copySelection.length ? self.copySelection : ( self.selectedId ? [ self.selectedId ] : [] );
 
-			$( '#bcg-sb-save-btn' ).on( 'click', function () {
-				self.saveAsTemplate();
+			return self.sections.filter( function ( s ) {
+				return ids.indexOf( s.id ) !== -1;
 			} );
+		},
 
-			$( '#bcg-sb-load-btn' ).on( 'click', function () {
-				self.openLoadModal();
-			} );
+		/**
+		 * Copy the target sections to the system clipboard and the in-app
+		 * (localStorage) clipboard.
+		 *
+		 * @param  {boolean} skipSystem True when the caller writes the system
+		 *                              clipboard itself (native copy event).
+		 * @return {string} The serialised payload, or '' when nothing was copied.
+		 */
+		copySections: function ( skipSystem ) {
+			var self     = this;
+			var sections = self.getCopyTargets();
 
-			$( '#bcg-sb-prompt-btn' ).on( 'click', function () {
-				self.openPromptModal( false );
-			} );
+			if ( ! sections.length ) {
+				self.showStatus( self.i18n.nothing_to_copy || 'Select one or more sections to copy.', 'error' );
+				return '';
+			}
 
-			$( '#bcg-sb-generate-btn' ).on( 'click', function () {
-				self.openPromptModal( true );
-			} );
+			var json = self.serializeClipboard( sections );
 
-			// ── Toolbar custom dropdowns (tone + language) ─────────────
-			// Direct binding (not delegated) so stopPropagation() works correctly.
-			$( '.bcg-sb-toolbar-select .bcg-select-trigger' ).on( 'click', function ( e ) {
-				e.stopPropagation();
-				var $trigger = $( this );
-				var $wrapper = $trigger.closest( '.bcg-sb-toolbar-select' );
-				var $menu    = $wrapper.find( '.bcg-select-menu' );
-				var isOpen   = ! $menu.hasClass( 'bcg-dropdown-closed' );
-				// Close all toolbar menus.
-				$( '.bcg-sb-toolbar-select .bcg-select-menu' ).addClass( 'bcg-dropdown-closed' );
-				$( '.bcg-sb-toolbar-select .bcg-select-trigger' ).attr( 'aria-expanded', 'false' );
-				if ( ! isOpen ) {
-					var rect = $trigger[0].getBoundingClientRect();
-					$menu.css( { position: 'fixed', top: ( rect.bottom + 2 ) + 'px', left: rect.left + 'px', width: Math.max( rect.width, 140 ) + 'px', 'z-index': 999999 } );
-					$menu.removeClass( 'bcg-dropdown-closed' );
-					$trigger.attr( 'aria-expanded', 'true' );
-				}
-			} );
+			try {
+				localStorage.setItem( 'bcg_sb_clipboard', json );
+			} catch ( e ) { /* quota exceeded — system clipboard still works */ }
 
-			// Options are inside fixed-position menus — use document delegation.
-			$( document ).on( 'click', '.bcg-sb-toolbar-select .bcg-select-option', function ( e ) {
-				e.stopPropagation();
-				var $opt     = $( this );
-				var $wrapper = $opt.closest( '.bcg-sb-toolbar-select' );
-				var val      = String( $opt.data( 'value' ) );
-				$wrapper.attr( 'data-value', val );
-				$wrapper.find( '.bcg-select-value' ).text( $opt.text() );
-				$wrapper.find( '.bcg-select-option' ).removeClass( 'is-selected' ).attr( 'aria-selected', 'false' );
-				$opt.addClass( 'is-selected' ).attr( 'aria-selected', 'true' );
-				$wrapper.find( '.bcg-select-menu' ).addClass( 'bcg-dropdown-closed' );
-				$wrapper.find( '.bcg-select-trigger' ).attr( 'aria-expanded', 'false' );
-			} );
+			if ( ! skipSystem && navigator.clipboard && navigator.clipboard.writeText ) {
+				navigator.clipboard.writeText( json ).catch( function () { /* in-app fallback already stored */ } );
+			}
 
-			$( document ).on( 'click', function ( e ) {
-				if ( ! $( e.target ).closest( '.bcg-sb-toolbar-select' ).length ) {
-					$( '.bcg-sb-toolbar-select .bcg-select-menu' ).addClass( 'bcg-dropdown-closed' );
-					$( '.bcg-sb-toolbar-select .bcg-select-trigger' ).attr( 'aria-expanded', 'false' );
-				}
-			} );
+			self.updateClipboardButtons();
+			self.showStatus(
+				( self.i18n.copied || 'Sections copied:' ) + ' ' + sections.length,
+				'success'
+			);
 
-			$( '#bcg-sb-preview-btn' ).on( 'click', function () {
-				self.openPreviewModal();
-			} );
+			return json;
+		},
 
-			// Warn on navigation away with unsaved changes.
-			$( window ).on( 'beforeunload', function () {
-				if ( self.isDirty ) {
-					return self.i18n.unsaved_changes || 'You have unsaved changes.';
-				}
-			} );
+		/**
+		 * Paste sections, preferring the system clipboard and falling back to
+		 * the in-app clipboard when it is unreadable or holds something else.
+		 */
+		pasteFromClipboard: function () {
+			var self = this;
+
+			if ( ! navigator.clipboard || ! navigator.clipboard.readText ) {
+				self.pasteSections( self.parseClipboard( self.readLocalClipboard() ) );
+				return;
+			}
+
+			navigator.clipboard.readText().then( function ( text ) {
+				self.pasteSections( self.parseClipboard( text ) || self.parseClipboard( self.readLocalClipboard() ) );
+			} ).catch( function () {
+				self.pasteSections( self.parseClipboard( self.readLocalClipboard() ) );
+			} );
+		},
+
+		/**
+		 * Insert parsed clipboard sections, reporting empty clipboards and
+		 * section types this site does not have.
+		 *
+		 * @param {Array|null} sections Sections from parseClipboard().
+		 */
+		pasteSections: function ( sections ) {
+			var self = this;
+
+			if ( ! sections || ! sections.length ) {
+				self.showStatus( self.i18n.clipboard_empty || 'The clipboard does not contain any sections.', 'error' );
+				return;
+			}
+
+			var known   = sections.filter( function ( s ) { return !! self.types[ s.type ]; } );
+			var skipped = sections.length - known.length;
+
+			if ( ! known.length ) {
+				self.showStatus( self.i18n.paste_unknown || 'None of the copied section types exist on this site.', 'error' );
+				return;
+			}
+
+			self.insertSections( known, self.i18n.history_paste || 'Paste sections' );
+
+			var msg = ( self.i18n.pasted || 'Sections pasted:' ) + ' ' + known.length;
+			if ( skipped ) {
+				msg += ' — ' + ( self.i18n.paste_skipped || 'unknown types skipped:' ) + ' ' + skipped;
+			}
+			self.showStatus( msg, skipped ? 'error' : 'success' );
+		},
+
+		/**
+		 * Insert deep copies of sections after the selected section (or at the
+		 * end of the canvas) with fresh UUIDs, keeping preset labels and
+		 * product display meta.
+		 *
+		 * @param {Array}  sections     Section objects to copy.
+		 * @param {string} historyLabel Undo entry label.
+		 */
+		insertSections: function ( sections, historyLabel ) {
+			var self   = this;
+			var copies = $.map( sections, function ( s ) {
+				return {
+					id:           self.generateUUID(),
+					type:         s.type,
+					settings:     $.extend( true, {}, s.settings || {} ),
+					preset_label: s.preset_label || ''
+				};
+			} );
+
+			var index = self.sections.length;
+			for ( var i = 0; i < self.sections.length; i++ ) {
+				if ( self.sections[ i ].id === self.selectedId ) {
+					index = i + 1;
+					break;
+				}
+			}
+
+			self.pushHistory( historyLabel );
+			Array.prototype.splice.apply( self.sections, [ index, 0 ].concat( copies ) );
+
+			self.renderCanvas();
+			self.selectSection( copies[ copies.length - 1 ].id );
+			self.markDirty();
+			self.debouncePreview();
+		},
+
+		/**
+		 * Serialise sections into the clipboard payload.
+		 *
+		 * Section IDs are dropped — they are regenerated on paste.
+		 *
+		 * @param  {Array} sections
+		 * @return {string}
+		 */
+		serializeClipboard: function ( sections ) {
+			return JSON.stringify( {
+				format:   'bcg-sections',
+				version:  1,
+				sections: $.map( sections, function ( s ) {
+					return { type: s.type, settings: s.settings || {}, preset_label: s.preset_label || '' };
+				} )
+			} );
+		},
+
+		/**
+		 * Parse clipboard text into an array of sections.
+		 *
+		 * @param  {string} text Raw clipboard contents.
+		 * @return {Array|null} Sections, or null when the text is not a section payload.
+		 */
+		parseClipboard: function ( text ) {
+			var data;
+
+			if ( ! text ) { return null; }
+
+			try {
+				data = JSON.parse( text );
+			} catch ( e ) {
+				return null;
+			}
+
+			if ( ! data || data.format !== 'bcg-sections' || ! Array.isArray( data.sections ) ) {
+				return null;
+			}
+
+			return data.sections.filter( function ( s ) {
+				return s && typeof s.type === 'string' && s.settings && typeof s.settings === 'object';
+			} );
+		},
+
+		/**
+		 * Read the in-app clipboard.
+		 *
+		 * @return {string}
+		 */
+		readLocalClipboard: function () {
+			try {
+				return localStorage.getItem( 'bcg_sb_clipboard' ) || '';
+			} catch ( e ) {
+				return '';
+			}
+		},
+
+		/**
+		 * Refresh the copy button count and paste button state.
+		 */
+		updateClipboardButtons: function () {
+			var count = this.copySelection.length;
+			$( '#bcg-sb-copy-btn .bcg-sb-copy-count' ).text( count ? count : '' );
+			$( '#bcg-sb-paste-btn' ).toggleClass( 'bcg-sb-has-clipboard', !! this.readLocalClipboard() );
+		},
+
+		/**
+		 * Whether an event target is a text-entry control whose native
+		 * clipboard and undo behaviour must be left alone. Inside a rich
+		 * text editor the target is the element holding the caret (a <p>,
+		 * <strong>, <li>…), not the editor itself.
+		 *
+		 * @param  {Element} el
+		 * @return {boolean}
+		 */
+		isTextTarget: function ( el ) {
+			return !! ( el && el.isContentEditable ) ||
+				$( el ).closest( '[contenteditable="true"]' ).length > 0 ||
+				$( el ).is( 'textarea, input:not([type="range"]):not([type="checkbox"]):not([type="color"]):not([type="radio"])' );
+		},
+
+		// ── Toolbar ────────────────────────────────────────────────────────
+
+		/**
+		 * Bind toolbar button events.
+		 */
+		bindToolbar: function () {
+			var self = this;
+
+			$( '#bcg-sb-save-btn' ).on( 'click', function () {
+				self.saveAsTemplate();
+			} );
+
+			$( '#bcg-sb-load-btn' ).on( 'click', function () {
+				self.openLoadModal();
+			} );
+
+			$( '#bcg-sb-prompt-btn' ).on( 'click', function () {
+				self.openPromptModal( false );
+			} );
+
+			$( '#bcg-sb-generate-btn' ).on( 'click', function () {
+				self.openPromptModal( true );
+			} );
+
+			// ── Toolbar custom dropdowns (tone + language) ─────────────
+			// Direct binding (not delegated) so stopPropagation() works correctly.
+			$( '.bcg-sb-toolbar-select .bcg-select-trigger' ).on( 'click', function ( e ) {
+				e.stopPropagation();
+				var $trigger = $( this );
+				var $wrapper = $trigger.closest( '.bcg-sb-toolbar-select' );
+				var $menu    = $wrapper.find( '.bcg-select-menu' );
+				var isOpen   = ! $menu.hasClass( 'bcg-dropdown-closed' );
+				// Close all toolbar menus.
+				$( '.bcg-sb-toolbar-select .bcg-select-menu' ).addClass( 'bcg-dropdown-closed' );
+				$( '.bcg-sb-toolbar-select .bcg-select-trigger' ).attr( 'aria-expanded', 'false' );
+				if ( ! isOpen ) {
+					var rect = $trigger[0].getBoundingClientRect();
+					$menu.css( { position: 'fixed', top: ( rect.bottom + 2 ) + 'px', left: rect.left + 'px', width: Math.max( rect.width, 140 ) + 'px', 'z-index': 999999 } );
+					$menu.removeClass( 'bcg-dropdown-closed' );
+					$trigger.attr( 'aria-expanded', 'true' );
+				}
+			} );
+
+			// Options are inside fixed-position menus — use document delegation.
+			$( document ).on( 'click', '.bcg-sb-toolbar-select .bcg-select-option', function ( e ) {
+				e.stopPropagation();
+				var $opt     = $( this );
+				var $wrapper = $opt.closest( '.bcg-sb-toolbar-select' );
+				var val      = String( $opt.data( 'value' ) );
+				$wrapper.attr( 'data-value', val );
+				$wrapper.find( '.bcg-select-value' ).text( $opt.text() );
+				$wrapper.find( '.bcg-select-option' ).removeClass( 'is-selected' ).attr( 'aria-selected', 'false' );
+				$opt.addClass( 'is-selected' ).attr( 'aria-selected', 'true' );
+				$wrapper.find( '.bcg-select-menu' ).addClass( 'bcg-dropdown-closed' );
+				$wrapper.find( '.bcg-select-trigger' ).attr( 'aria-expanded', 'false' );
+			} );
+
+			$( document ).on( 'click', function ( e ) {
+				if ( ! $( e.target ).closest( '.bcg-sb-toolbar-select' ).length ) {
+					$( '.bcg-sb-toolbar-select .bcg-select-menu' ).addClass( 'bcg-dropdown-closed' );
+					$( '.bcg-sb-toolbar-select .bcg-select-trigger' ).attr( 'aria-expanded', 'false' );
+				}
+			} );
+
+			$( '#bcg-sb-preview-btn' ).on( 'click', function () {
+				self.openPreviewModal();
+			} );
+
+			// Undo / redo — toolbar buttons.
+			$( '#bcg-sb-undo-btn' ).on( 'click', function () {
+				self.undo();
+			} );
+
+			$( '#bcg-sb-redo-btn' ).on( 'click', function () {
+				self.redo();
+			} );
+
+			// Undo / redo — Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y (Cmd on macOS).
+			// Text inputs keep their native undo so typing can be stepped back
+			// character by character before the builder history takes over.
+			$( document ).on( 'keydown.bcgHistory', function ( e ) {
+				if ( ! ( e.ctrlKey || e.metaKey ) || e.altKey ) { return; }
+
+				var key = String( e.key || '' ).toLowerCase();
+				if ( key !== 'z' && key !== 'y' ) { return; }
+
+				if ( self.isTextTarget( e.target ) ) {
+					return;
+				}
+
+				e.preventDefault();
+				if ( key === 'y' || e.shiftKey ) {
+					self.redo();
+				} else {
+					self.undo();
+				}
+			} );
+
+			// Warn on navigation away with unsaved changes.
+			$( window ).on( 'beforeunload', function () {
+				if ( self.isDirty ) {
+					return self.i18n.unsaved_changes || 'You have unsaved changes.';
+				}
+			} );
 
 			// Primary colour picker — apply to all sections.
 			$( '#bcg-sb-apply-primary-color' ).on( 'click', function () {
@@ -1252,7 +1886,7 @@
 		// ── Preview ───────────────────────────────────────────────────────
 
 		/**
-		 * Schedule a debounced preview update (300ms delay).
+		 * Schedule a debounced preview update.
 		 */
 		debouncePreview: function () {
 			var self = this;
@@ -1262,157 +1896,1210 @@
 				if ( $( '#bcg-sb-preview-modal' ).is( ':visible' ) ) {
 					self.updatePreview();
 				}
-			}, 300 );
+			}, self.previewDelay );
+		},
+
+		/**
+		 * Open the preview modal and render the current sections.
+		 */
+		openPreviewModal: function () {
+			$( '#bcg-sb-preview-modal' ).show();
+			this.updatePreview();
+		},
+
+		/**
+		 * Render the current sections and write them to the preview iframe.
+		 *
+		 * When a "Preview as" contact is chosen the merge tags are filled in
+		 * with its data, and in-place editing is off so the contact's values
+		 * cannot be written back over the tags.
+		 */
+		updatePreview: function () {
+			var self    = this;
+			var preview = window.BCGPreviewContact;
+			var contact = preview ? preview.get() : null;
+
+			self.renderPreviewHtml( self.sections, function ( html ) {
+				self.bindPreviewEditing( self.writePreviewFrame( $( '#bcg-sb-preview-iframe' ), preview ? preview.apply( html ) : html ) );
+			}, contact ? {} : { editableFields: self.inlineFields } );
+		},
+
+		/**
+		 * Render sections to preview HTML in the browser.
+		 *
+		 * Uses the client-side port of BCG_Section_Renderer, so previews do
+		 * not wait on the server. Product cards are fetched once per product
+		 * and cached; if they cannot be fetched, or the renderer script is
+		 * missing, the server renders the preview instead.
+		 *
+		 * @param {Array}    sections Sections to render.
+		 * @param {Function} callback Receives the complete email HTML.
+		 * @param {Object}   options  Optional. Passed to BCGSectionRenderer.render().
+		 */
+		renderPreviewHtml: function ( sections, callback, options ) {
+			var self     = this;
+			var renderer = window.BCGSectionRenderer;
+
+			if ( ! renderer ) {
+				self.fetchServerPreview( sections, callback );
+				return;
+			}
+
+			var missing = renderer.getProductIds( sections ).filter( function ( id ) {
+				return ! self.productCards.hasOwnProperty( id );
+			} );
+
+			if ( ! missing.length ) {
+				callback( renderer.addSectionAttributes( renderer.render( sections, self.globalDefaults, self.productCards, options ) ) );
+				return;
+			}
+
+			$.ajax( {
+				url:  bcg_section_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action:      'bcg_sb_product_cards',
+					nonce:       bcg_section_builder.nonce,
+					product_ids: missing,
+				},
+				success: function ( res ) {
+					if ( ! res.success ) {
+						self.fetchServerPreview( sections, callback );
+						return;
+					}
+					// Cache misses too, so deleted products are not re-requested.
+					missing.forEach( function ( id ) {
+						self.productCards[ id ] = ( res.data.cards && res.data.cards[ id ] ) || null;
+					} );
+					callback( renderer.addSectionAttributes( renderer.render( sections, self.globalDefaults, self.productCards, options ) ) );
+				},
+				error: function () {
+					self.fetchServerPreview( sections, callback );
+				}
+			} );
+		},
+
+		/**
+		 * Render sections on the server via bcg_sb_preview.
+		 *
+		 * @param {Array}    sections Sections to render.
+		 * @param {Function} callback Receives the complete email HTML.
+		 */
+		fetchServerPreview: function ( sections, callback ) {
+			var self = this;
+
+			$.ajax( {
+				url:  bcg_section_builder.ajax_url,
+				type: 'POST',
+				data: {
+					action:          'bcg_sb_preview',
+					nonce:           bcg_section_builder.nonce,
+					sections:        JSON.stringify( sections ),
+					global_defaults: JSON.stringify( self.globalDefaults ),
+				},
+				success: function ( res ) {
+					if ( res.success && res.data.html ) {
+						callback( res.data.html );
+					}
+				},
+				error: function () {
+					self.showStatus( self.i18n.preview_error || 'Preview error.', 'error' );
+				}
+			} );
+		},
+
+		/**
+		 * Show preview HTML in an iframe, replacing only the sections that
+		 * changed. A change to the global defaults re-renders the whole email.
+		 *
+		 * @param  {jQuery} $iframe
+		 * @param  {string} html Complete email HTML.
+		 * @return {Document} The iframe document.
+		 */
+		writePreviewFrame: function ( $iframe, html ) {
+			return BCGPreviewFrame.write( $iframe, html, { globals: JSON.stringify( this.globalDefaults ) } );
+		},
+
+		/**
+		 * Compare client-side and server renders of every registered section
+		 * type (with default settings) and of every section on the canvas.
+		 *
+		 * Available from the browser console as bcgSectionRendererParity()
+		 * when SCRIPT_DEBUG is on. Run it after changing either renderer.
+		 */
+		checkRendererParity: function () {
+			var self     = this;
+			var renderer = window.BCGSectionRenderer;
+			var cases    = [];
+			var failed   = 0;
+
+			$.each( self.types, function ( slug ) {
+				cases.push( { label: slug + ' (defaults)', section: { id: 'parity-' + slug, type: slug, settings: {} } } );
+			} );
+			self.sections.forEach( function ( section, i ) {
+				cases.push( { label: section.type + ' #' + ( i + 1 ), section: section } );
+			} );
+
+			( function next( index ) {
+				if ( index >= cases.length ) {
+					console.info( 'Section renderer parity: ' + ( cases.length - failed ) + '/' + cases.length + ' match.' );
+					return;
+				}
+				var item = cases[ index ];
+				self.fetchServerPreview( [ item.section ], function ( serverHtml ) {
+					self.renderPreviewHtml( [ item.section ], function ( clientHtml ) {
+						var server = renderer.normalise( serverHtml );
+						var client = renderer.normalise( clientHtml );
+						if ( server !== client ) {
+							var at = 0;
+							while ( server.charAt( at ) === client.charAt( at ) ) { at++; }
+							failed++;
+							console.warn( 'Section renderer mismatch: ' + item.label, {
+								server: server.substr( Math.max( 0, at - 80 ), 200 ),
+								client: client.substr( Math.max( 0, at - 80 ), 200 ),
+							} );
+						}
+						next( index + 1 );
+					} );
+				} );
+			} )( 0 );
+		},
+
+		// ── Preview Modal ─────────────────────────────────────────────────
+
+		/**
+		 * Bind preview modal controls.
+		 */
+		bindPreviewModal: function () {
+			var self = this;
+
+			$( '#bcg-sb-preview-close, #bcg-sb-preview-overlay' ).on( 'click', function () {
+				$( '#bcg-sb-preview-modal' ).hide();
+			} );
+
+			// "Preview as" contact selector.
+			if ( window.BCGPreviewContact ) {
+				BCGPreviewContact.mount( '#bcg-sb-preview-as', function ( contact ) {
+					$( '.bcg-sb-preview-hint-edit' ).toggle( ! contact );
+					$( '.bcg-sb-preview-hint-contact' ).toggle( !! contact );
+					if ( $( '#bcg-sb-preview-modal' ).is( ':visible' ) ) {
+						self.updatePreview();
+					}
+				} );
+			}
+
+			// Spam check, scored on the server render of the current sections.
+			if ( window.BCGDeliverability ) {
+				BCGDeliverability.mount( '#bcg-sb-deliverability', {
+					request: function () {
+						return {
+							sections:        JSON.stringify( self.sections ),
+							global_defaults: JSON.stringify( self.globalDefaults ),
+						};
+					},
+					frames: function () {
+						return $( '#bcg-sb-preview-iframe' ).get();
+					},
+					onSelect: function ( marker ) {
+						var section = self.getSectionByMarker( marker );
+						if ( section ) {
+							self.selectSection( section.id );
+						}
+					},
+					onRewrite: function ( finding, content ) {
+						return self.applyRewrite( finding, content );
+					},
+				} );
+			}
+
+			// Accessibility check, on the same server render.
+			if ( window.BCGAccessibility ) {
+				BCGAccessibility.mount( '#bcg-sb-accessibility', {
+					request: function () {
+						return {
+							sections:        JSON.stringify( self.sections ),
+							global_defaults: JSON.stringify( self.globalDefaults ),
+						};
+					},
+					frames: function () {
+						return $( '#bcg-sb-preview-iframe' ).get();
+					},
+					onSelect: function ( marker ) {
+						var section = self.getSectionByMarker( marker );
+						if ( section ) {
+							self.selectSection( section.id );
+						}
+					},
+				} );
+			}
+
+			// Desktop / Mobile toggle.
+			$( document ).on( 'click', '.bcg-preview-toggle', function () {
+				$( '.bcg-preview-toggle' ).removeClass( 'active' );
+				$( this ).addClass( 'active' );
+
+				var mode   = $( this ).data( 'mode' );
+				var $wrap  = $( '#bcg-sb-preview-frame-wrap' );
+				var $frame = $( '#bcg-sb-preview-iframe' );
+
+				if ( mode === 'mobile' ) {
+					// Render the iframe at 375 px so the email's responsive
+					// CSS media queries fire and the layout actually reflows.
+					$frame.css( { width: '375px' } );
+					$wrap.addClass( 'bcg-preview-mobile' );
+				} else {
+					$frame.css( { width: '' } );
+					$wrap.removeClass( 'bcg-preview-mobile' );
+				}
+			} );
+		},
+
+		// ── Preview Inline Editing ────────────────────────────────────────
+
+		/**
+		 * Get the document of the preview modal iframe.
+		 *
+		 * @return {Document|null}
+		 */
+		getPreviewDocument: function () {
+			var frame = document.getElementById( 'bcg-sb-preview-iframe' );
+			return frame ? frame.contentDocument : null;
+		},
+
+		/**
+		 * The data-bcg-section value the renderer writes for a section ID
+		 * (the ID through sanitize_key).
+		 *
+		 * @param  {string} id Section UUID.
+		 * @return {string}
+		 */
+		sectionMarker: function ( id ) {
+			return String( id ).toLowerCase().replace( /[^a-z0-9_\-]/g, '' );
+		},
+
+		/**
+		 * Find the section behind a data-bcg-section value.
+		 *
+		 * @param  {string} marker
+		 * @return {Object|null}
+		 */
+		getSectionByMarker: function ( marker ) {
+			for ( var i = 0; i < this.sections.length; i++ ) {
+				if ( this.sectionMarker( this.sections[ i ].id ) === marker ) {
+					return this.sections[ i ];
+				}
+			}
+			return null;
+		},
+
+		/**
+		 * Make the preview document clickable and its text fields editable.
+		 *
+		 * Called after every preview write. A full rewrite of the document
+		 * drops its listeners together with the injected style, so the style
+		 * doubles as the "already bound" flag.
+		 *
+		 * @param {Document|null} doc Preview iframe document.
+		 */
+		bindPreviewEditing: function ( doc ) {
+			var self = this;
+			if ( ! doc || ! doc.body ) { return; }
+
+			if ( ! doc.getElementById( 'bcg-sb-inline-style' ) ) {
+				var style = doc.createElement( 'style' );
+				style.id          = 'bcg-sb-inline-style';
+				style.textContent =
+					'[data-bcg-section]{cursor:pointer;}' +
+					'[data-bcg-section].bcg-sb-preview-selected{outline:2px solid #e63529;outline-offset:-2px;}' +
+					'[data-bcg-field]{cursor:text;outline:none;}' +
+					'[data-bcg-field]:hover,[data-bcg-field]:focus{outline:1px dashed #e63529;outline-offset:2px;}';
+				( doc.head || doc.body ).appendChild( style );
+
+				doc.addEventListener( 'click', function ( e ) { self.onPreviewClick( e ); } );
+				doc.addEventListener( 'input', function ( e ) { self.onPreviewInput( e ); } );
+				doc.addEventListener( 'keydown', function ( e ) { self.onPreviewKeydown( e ); } );
+				doc.addEventListener( 'paste', function ( e ) { self.onPreviewPaste( e ); } );
+				doc.addEventListener( 'focusout', function ( e ) { self.onPreviewFocusOut( e ); } );
+			}
+
+			self.highlightPreviewSection();
+		},
+
+		/**
+		 * Outline the selected section in the preview modal.
+		 */
+		highlightPreviewSection: function () {
+			var doc = this.getPreviewDocument();
+			if ( ! doc || ! doc.body ) { return; }
+
+			var marker = this.selectedId ? this.sectionMarker( this.selectedId ) : null;
+			var nodes  = doc.querySelectorAll( '[data-bcg-section]' );
+			for ( var i = 0; i < nodes.length; i++ ) {
+				if ( nodes[ i ].getAttribute( 'data-bcg-section' ) === marker ) {
+					nodes[ i ].classList.add( 'bcg-sb-preview-selected' );
+				} else {
+					nodes[ i ].classList.remove( 'bcg-sb-preview-selected' );
+				}
+			}
+		},
+
+		/**
+		 * Get the editable field element an event happened in, if any.
+		 *
+		 * @param  {Event} e
+		 * @return {Element|null}
+		 */
+		getInlineField: function ( e ) {
+			var node = e.target && e.target.nodeType === 3 ? e.target.parentNode : e.target;
+			return node && node.closest ? node.closest( '[data-bcg-field]' ) : null;
+		},
+
+		/**
+		 * Get the registry field type of a section setting.
+		 *
+		 * @param  {Object} section
+		 * @param  {string} key
+		 * @return {string} Field type, or '' for unknown keys.
+		 */
+		getFieldType: function ( section, key ) {
+			var fields = ( this.types[ section.type ] || {} ).fields || [];
+			for ( var i = 0; i < fields.length; i++ ) {
+				if ( fields[ i ].key === key ) {
+					return fields[ i ].type || 'text';
+				}
+			}
+			return '';
+		},
+
+		/**
+		 * Whether an inline field keeps line breaks (a textarea or rich text setting).
+		 *
+		 * @param  {Object} section
+		 * @param  {string} key
+		 * @return {boolean}
+		 */
+		isMultilineField: function ( section, key ) {
+			var type = this.getFieldType( section, key );
+			return type === 'textarea' || type === 'richtext';
+		},
+
+		/**
+		 * Select the clicked section; keep links from navigating the preview.
+		 *
+		 * @param {MouseEvent} e
+		 */
+		onPreviewClick: function ( e ) {
+			var node = e.target && e.target.nodeType === 3 ? e.target.parentNode : e.target;
+			if ( ! node || ! node.closest ) { return; }
+
+			if ( node.closest( 'a' ) ) {
+				e.preventDefault();
+			}
+
+			var marker  = node.closest( '[data-bcg-section]' );
+			var section = marker ? this.getSectionByMarker( marker.getAttribute( 'data-bcg-section' ) ) : null;
+			if ( section && section.id !== this.selectedId ) {
+				this.selectSection( section.id );
+				var $card = $( '.bcg-sb-section[data-id="' + section.id + '"]' );
+				if ( $card.length ) {
+					$card[ 0 ].scrollIntoView( { block: 'nearest' } );
+				}
+			}
+		},
+
+		/**
+		 * Write text typed into the preview back to the section settings.
+		 * Rich text fields keep their formatting (Ctrl+B, Ctrl+I, new lines).
+		 *
+		 * Typing over a field that is set to be AI generated switches its AI
+		 * toggle off, as unticking the toggle in the settings panel would, so
+		 * the next "Generate with AI" keeps the text.
+		 *
+		 * @param {Event} e
+		 */
+		onPreviewInput: function ( e ) {
+			var field = this.getInlineField( e );
+			if ( ! field ) { return; }
+
+			var marker  = field.closest( '[data-bcg-section]' );
+			var section = marker ? this.getSectionByMarker( marker.getAttribute( 'data-bcg-section' ) ) : null;
+			if ( ! section ) { return; }
+
+			var key   = field.getAttribute( 'data-bcg-field' );
+			var value;
+
+			if ( this.getFieldType( section, key ) === 'richtext' ) {
+				value = this.sanitizeRichtext( field.innerHTML );
+			} else {
+				value = ( typeof field.innerText === 'string' ? field.innerText : field.textContent ).replace( /\u00a0/g, ' ' ).replace( /\r\n?/g, '\n' );
+				value = this.isMultilineField( section, key ) ? value.replace( /\n$/, '' ) : value.replace( /\s*\n\s*/g, ' ' );
+			}
+
+			var aiKey     = '_ai_' + key;
+			var typeDef   = this.types[ section.type ] || {};
+			var aiChanged = this.fieldCanUseAi( key, typeDef.has_ai ) && section.settings[ aiKey ] !== false;
+
+			this.updateSetting( section.id, key, value );
+			if ( aiChanged ) {
+				// Same undo step as the text: updateSetting took the snapshot.
+				section.settings[ aiKey ] = false;
+			}
+
+			// The preview already shows the text; it is re-rendered on blur.
+			clearTimeout( this.previewTimer );
+			this.debounceSectionPreview( section.id );
+			this.syncSettingsField( section.id, key, value, aiChanged );
+		},
+
+		/**
+		 * Keep single-line fields on one line; Escape leaves the field.
+		 *
+		 * @param {KeyboardEvent} e
+		 */
+		onPreviewKeydown: function ( e ) {
+			var field = this.getInlineField( e );
+			if ( ! field ) { return; }
+
+			if ( e.key === 'Escape' ) {
+				field.blur();
+				return;
+			}
+
+			if ( e.key === 'Enter' ) {
+				var marker  = field.closest( '[data-bcg-section]' );
+				var section = marker ? this.getSectionByMarker( marker.getAttribute( 'data-bcg-section' ) ) : null;
+				if ( ! section || ! this.isMultilineField( section, field.getAttribute( 'data-bcg-field' ) ) ) {
+					e.preventDefault();
+				}
+			}
+		},
+
+		/**
+		 * Paste as plain text — the settings hold text, not markup — except
+		 * into rich text fields.
+		 *
+		 * @param {ClipboardEvent} e
+		 */
+		onPreviewPaste: function ( e ) {
+			var field = this.getInlineField( e );
+			if ( ! field || ! e.clipboardData ) { return; }
+
+			var marker  = field.closest( '[data-bcg-section]' );
+			var section = marker ? this.getSectionByMarker( marker.getAttribute( 'data-bcg-section' ) ) : null;
+			if ( section && this.getFieldType( section, field.getAttribute( 'data-bcg-field' ) ) === 'richtext' ) {
+				this.pasteRichtext( e );
+				return;
+			}
+
+			e.preventDefault();
+			field.ownerDocument.execCommand( 'insertText', false, e.clipboardData.getData( 'text/plain' ) );
+		},
+
+		/**
+		 * Re-render the preview once focus leaves the inline fields, so the
+		 * edited section shows exactly what will be sent.
+		 *
+		 * @param {FocusEvent} e
+		 */
+		onPreviewFocusOut: function ( e ) {
+			var self = this;
+			if ( ! self.getInlineField( e ) ) { return; }
+
+			setTimeout( function () {
+				var doc    = self.getPreviewDocument();
+				var active = doc ? doc.activeElement : null;
+				if ( ! active || ! active.closest || ! active.closest( '[data-bcg-field]' ) ) {
+					self.debouncePreview();
+				}
+			}, 0 );
+		},
+
+		/**
+		 * Show an inline edit in the settings panel, if the section is open there.
+		 *
+		 * @param {string}  id        Section UUID.
+		 * @param {string}  key       Setting key.
+		 * @param {string}  value     New value.
+		 * @param {boolean} aiChanged Whether the field's AI toggle was switched off.
+		 */
+		syncSettingsField: function ( id, key, value, aiChanged ) {
+			if ( this.selectedId !== id ) { return; }
+
+			var $body     = $( '#bcg-sb-settings-body' );
+			var $richtext = $body.find( '.bcg-sb-richtext[data-key="' + key + '"]' );
+			var $input    = $richtext.length ? $richtext : $body.find( '.bcg-sb-field-input[data-key="' + key + '"]' );
+
+			if ( $richtext.length ) {
+				$richtext.find( '.bcg-sb-richtext-editor' ).html( value );
+			} else {
+				$input.val( value );
+			}
+
+			if ( aiChanged ) {
+				var $wrap = $input.closest( '.bcg-sb-field-ai-wrap' );
+				$wrap.find( '.bcg-sb-ai-checkbox' ).prop( 'checked', false );
+				$wrap.find( '.bcg-sb-ai-hint' ).hide();
+				$input.show();
+				$body.find( '.bcg-sb-merge-tag-btn, .bcg-sb-rewrite-btn' ).filter( '[data-target="#' + $input.attr( 'id' ) + '"]' ).show();
+			}
+		},
+
+		/**
+		 * Put copy rewritten by the spam check in place of the flagged text.
+		 *
+		 * Looks through the text settings of the section the copy was found
+		 * in, or of every section when it was found outside one.
+		 *
+		 * @param  {Object} finding Finding from the spam check.
+		 * @param  {string} content The rewritten copy.
+		 * @return {boolean} Whether a setting held the flagged text.
+		 */
+		applyRewrite: function ( finding, content ) {
+			var section  = finding.section ? this.getSectionByMarker( finding.section ) : null;
+			var sections = section ? [ section ] : this.sections;
+			var escText  = function ( str ) {
+				return String( str ).replace( /&/g, '&amp;' ).replace( /</g, '&lt;' ).replace( />/g, '&gt;' );
+			};
+
+			for ( var i = 0; i < sections.length; i++ ) {
+				var typeDef = this.types[ sections[ i ].type ] || {};
+				var fields  = typeDef.fields || [];
+
+				for ( var f = 0; f < fields.length; f++ ) {
+					var key   = fields[ f ].key;
+					var type  = fields[ f ].type || 'text';
+					var value = sections[ i ].settings[ key ];
+					var next  = null;
+
+					if ( type === 'richtext' ) {
+						next = BCGDeliverability.replaceText( value, finding.text, escText( content ) );
+						if ( next === null ) {
+							next = BCGDeliverability.replaceText( value, escText( finding.text ), escText( content ) );
+						}
+					} else if ( type === 'text' || type === 'textarea' ) {
+						next = BCGDeliverability.replaceText( value, finding.text, content );
+					}
+
+					if ( next === null ) {
+						continue;
+					}
+
+					var aiKey     = '_ai_' + key;
+					var aiChanged = this.fieldCanUseAi( key, typeDef.has_ai ) && sections[ i ].settings[ aiKey ] !== false;
+
+					this.updateSetting( sections[ i ].id, key, next );
+					if ( aiChanged ) {
+						// Same undo step as the text: updateSetting took the snapshot.
+						sections[ i ].settings[ aiKey ] = false;
+					}
+					this.syncSettingsField( sections[ i ].id, key, next, aiChanged );
+					return true;
+				}
+			}
+
+			return false;
+		},
+
+		// ── Load Modal ────────────────────────────────────────────────────
+
+		/**
+		 * Bind load modal controls.
+		 *
+		 * Row actions are delegated once here — the table body is re-rendered
+		 * on every open, so binding inside openLoadModal would stack handlers.
+		 */
+		bindLoadModal: function () {
+			var self  = this;
+			var $body = $( '#bcg-sb-load-body' );
+
+			$( '#bcg-sb-load-close, #bcg-sb-load-overlay' ).on( 'click', function () {
+				$( '#bcg-sb-load-modal' ).hide();
+			} );
+
+			// Load template.
+			$body.on( 'click', '.bcg-sb-load-tmpl', function () {
+				self.loadTemplate( parseInt( $( this ).data( 'id' ), 10 ) );
+			} );
+
+			// Export template.
+			$body.on( 'click', '.bcg-sb-export-tmpl', function () {
+				self.exportTemplate( parseInt( $( this ).data( 'id' ), 10 ), $( this ) );
+			} );
+
+			// Delete template.
+			$body.on( 'click', '.bcg-sb-delete-tmpl', function () {
+				self.deleteTemplate( parseInt( $( this ).data( 'id' ), 10 ) );
+			} );
+
+			// Import: pick a file, then review it before anything is saved.
+			$( '#bcg-sb-import-btn' ).on( 'click', function () {
+				$( '#bcg-sb-import-file' ).val( '' ).trigger( 'click' );
+			} );
+
+			$( '#bcg-sb-import-file' ).on( 'change', function () {
+				if ( this.files && this.files[0] ) {
+					self.readImportFile( this.files[0] );
+				}
+			} );
+
+			$body.on( 'click', '#bcg-sb-import-cancel', function () {
+				self.pendingImport = null;
+				self.openLoadModal();
+			} );
+
+			$body.on( 'click', '#bcg-sb-import-confirm', function () {
+				self.applyImport( $( this ) );
+			} );
+		},
+
+		/**
+		 * Open the load modal and fetch saved templates.
+		 */
+		openLoadModal: function () {
+			var self  = this;
+			var $body = $( '#bcg-sb-load-body' );
+
+			$( '#bcg-sb-load-modal' ).show();
+			$body.html(
+				'<p class="bcg-sb-loading-msg"><span class="material-icons-outlined bcg-spin">refresh</span> ' +
+				( self.i18n.loading || 'Loading…' ) + '</p>'
+			);
+
+			$.ajax( {
+				url:  bcg_section_builder.ajax_url,
+				type: 'POST',
+				data: { action: 'bcg_sb_get_templates', nonce: bcg_section_builder.nonce },
+				success: function ( res ) {
+					if ( ! res.success ) {
+						$body.html( '<p class="bcg-error">' + self.escHtml( res.data.message || 'Error' ) + '</p>' );
+						return;
+					}
+
+					var templates = res.data.templates || [];
+
+					if ( templates.length === 0 ) {
+						$body.html( '<p class="bcg-sb-no-templates">No saved templates yet.</p>' );
+						return;
+					}
+
+					var html = '<table class="bcg-sb-templates-table"><thead><tr>' +
+						'<th>Name</th><th>Updated</th><th>Actions</th></tr></thead><tbody>';
+
+					$.each( templates, function ( i, t ) {
+						html += '<tr data-id="' + parseInt( t.id, 10 ) + '">' +
+							'<td>' + self.escHtml( t.name ) + '</td>' +
+							'<td>' + self.escHtml( t.updated_at || '' ) + '</td>' +
+							'<td>' +
+							'<button type="button" class="bcg-btn-primary bcg-btn-xs bcg-sb-load-tmpl" data-id="' + parseInt( t.id, 10 ) + '">Load</button> ' +
+							'<button type="button" class="bcg-btn-secondary bcg-btn-xs bcg-sb-export-tmpl" data-id="' + parseInt( t.id, 10 ) + '">' + self.escHtml( self.i18n.export || 'Export' ) + '</button> ' +
+							'<button type="button" class="bcg-btn-danger bcg-btn-xs bcg-sb-delete-tmpl" data-id="' + parseInt( t.id, 10 ) + '">Delete</button>' +
+							'</td></tr>';
+					} );
+
+					html += '</tbody></table>';
+					$body.html( html );
+				},
+				error: function () {
+					$body.html( '<p class="bcg-error">Failed to load templates.</p>' );
+				}
+			} );
+		},
+
+		// ── Template Import / Export ──────────────────────────────────────
+
+		/**
+		 * Fetch a saved template and download it as a portable JSON bundle.
+		 *
+		 * @param {number} id   Template ID.
+		 * @param {jQuery} $btn Export button (disabled while the request runs).
+		 */
+		exportTemplate: function ( id, $btn ) {
+			var self = this;
+
+			$btn.prop( 'disabled', true );
+
+			$.ajax( {
+				url:  bcg_section_builder.ajax_url,
+				type: 'POST',
+				data: { action: 'bcg_sb_load_template', nonce: bcg_section_builder.nonce, id: id },
+				success: function ( res ) {
+					$btn.prop( 'disabled', false );
+					if ( ! res.success ) {
+						self.showStatus( res.data.message || self.i18n.export_error || 'Export failed.', 'error' );
+						return;
+					}
+
+					var bundle   = self.buildTemplateBundle( res.data.name, res.data.description, res.data.sections || [] );
+					var filename = self.slugify( res.data.name || 'template' ) + '.bcg-template.json';
+
+					self.downloadJson( filename, bundle );
+					self.showStatus( self.i18n.exported || 'Template exported.', 'success' );
+				},
+				error: function () {
+					$btn.prop( 'disabled', false );
+					self.showStatus( self.i18n.export_error || 'Export failed.', 'error' );
+				}
+			} );
+		},
+
+		/**
+		 * Build an export bundle for a template.
+		 *
+		 * Section IDs are omitted — they are regenerated on import so bundles
+		 * can be imported repeatedly without colliding.
+		 *
+		 * @param  {string} name        Template name.
+		 * @param  {string} description Template description.
+		 * @param  {Array}  sections    Section objects.
+		 * @return {Object}
+		 */
+		buildTemplateBundle: function ( name, description, sections ) {
+			return {
+				format:          'bcg-template',
+				schema:          this.bundleSchema,
+				plugin_version:  bcg_section_builder.plugin_version || '',
+				exported_at:     new Date().toISOString(),
+				source_url:      bcg_section_builder.site_url || '',
+				name:            name || '',
+				description:     description || '',
+				global_defaults: $.extend( {}, this.globalDefaults ),
+				sections:        $.map( sections, function ( s ) {
+					return { type: s.type, settings: s.settings || {} };
+				} )
+			};
+		},
+
+		/**
+		 * Trigger a browser download of a JSON document.
+		 *
+		 * @param {string} filename File name offered to the user.
+		 * @param {Object} data     Data to serialise.
+		 */
+		downloadJson: function ( filename, data ) {
+			var blob = new Blob( [ JSON.stringify( data, null, '\t' ) ], { type: 'application/json' } );
+			var url  = URL.createObjectURL( blob );
+			var link = document.createElement( 'a' );
+
+			link.href     = url;
+			link.download = filename;
+			document.body.appendChild( link );
+			link.click();
+			document.body.removeChild( link );
+			setTimeout( function () { URL.revokeObjectURL( url ); }, 0 );
+		},
+
+		/**
+		 * Read a user-selected bundle file and show the import review.
+		 *
+		 * @param {File} file Selected file.
+		 */
+		readImportFile: function ( file ) {
+			var self   = this;
+			var reader = new FileReader();
+
+			reader.onload = function () {
+				var bundle = null;
+				try {
+					bundle = JSON.parse( reader.result );
+				} catch ( e ) {
+					bundle = null;
+				}
+
+				var result = self.validateTemplateBundle( bundle );
+				if ( result.error ) {
+					self.showStatus( result.error, 'error' );
+					return;
+				}
+
+				self.pendingImport = result;
+				self.renderImportReview( result );
+			};
+
+			reader.onerror = function () {
+				self.showStatus( self.i18n.import_read_error || 'Could not read the selected file.', 'error' );
+			};
+
+			reader.readAsText( file );
+		},
+
+		/**
+		 * Validate a parsed bundle against this site's section registry.
+		 *
+		 * Unknown section types and setting keys are dropped rather than
+		 * rejected so that bundles from newer or older plugin versions still
+		 * import; everything removed is reported in the result. Product
+		 * selections only survive when the bundle came from this same store.
+		 *
+		 * @param  {*} bundle Parsed JSON.
+		 * @return {Object} { error } on failure, otherwise the cleaned template plus a report.
+		 */
+		validateTemplateBundle: function ( bundle ) {
+			var self = this;
+
+			if ( ! bundle || typeof bundle !== 'object' || bundle.format !== 'bcg-template' || ! $.isArray( bundle.sections ) ) {
+				return { error: self.i18n.import_invalid || 'This file is not a Section Builder template export.' };
+			}
+
+			if ( parseInt( bundle.schema, 10 ) > self.bundleSchema ) {
+				return { error: self.i18n.import_schema || 'This template was exported with a newer, incompatible bundle format.' };
+			}
+
+			var sameSite = self.normaliseUrl( bundle.source_url ) === self.normaliseUrl( bcg_section_builder.site_url );
+			var result   = {
+				name:            String( bundle.name || '' ),
+				description:     String( bundle.description || '' ),
+				global_defaults: $.isPlainObject( bundle.global_defaults ) ? bundle.global_defaults : {},
+				plugin_version:  String( bundle.plugin_version || '' ),
+				newer:           false,
+				sections:        [],
+				unknownTypes:    [],
+				droppedFields:   0,
+				clearedProducts: 0
+			};
+
+			result.newer = !! result.plugin_version &&
+				self.compareVersions( result.plugin_version, bcg_section_builder.plugin_version || '0' ) > 0;
+
+			$.each( bundle.sections, function ( i, s ) {
+				var typeDef = s && self.types[ s.type ];
+
+				if ( ! typeDef ) {
+					var label = s && s.type ? String( s.type ) : '?';
+					if ( result.unknownTypes.indexOf( label ) === -1 ) {
+						result.unknownTypes.push( label );
+					}
+					return;
+				}
+
+				var fieldMap = {};
+				$.each( typeDef.fields || [], function ( j, f ) { fieldMap[ f.key ] = f; } );
+
+				var settings = $.extend( true, {}, typeDef.defaults || {} );
+
+				$.each( $.isPlainObject( s.settings ) ? s.settings : {}, function ( key, val ) {
+					// Internal keys (_product_meta, AI flags) are not registry fields.
+					if ( key.charAt( 0 ) === '_' ) {
+						settings[ key ] = val;
+						return;
+					}
+
+					var field = fieldMap[ key ];
+					if ( ! field ) {
+						result.droppedFields++;
+						return;
+					}
+
+					settings[ key ] = self.coerceImportValue( field, val );
+				} );
+
+				// Product IDs refer to another store's catalogue — clear them.
+				if ( ! sameSite ) {
+					$.each( typeDef.fields || [], function ( j, f ) {
+						if ( f.type === 'product_select' && settings[ f.key ] ) {
+							settings[ f.key ] = '';
+							delete settings._product_meta;
+							result.clearedProducts++;
+						}
+					} );
+				}
+
+				result.sections.push( { id: self.generateUUID(), type: s.type, settings: settings } );
+			} );
+
+			if ( result.sections.length === 0 ) {
+				return { error: self.i18n.import_no_sections || 'The file does not contain any sections that exist on this site.' };
+			}
+
+			result.origins = self.collectMediaOrigins( result.sections );
+
+			return result;
 		},
 
 		/**
-		 * Open the preview modal and render the current sections.
+		 * Coerce an imported value to the type its registry field expects.
+		 *
+		 * @param  {Object} field Registry field definition.
+		 * @param  {*}      val   Imported value.
+		 * @return {*}
 		 */
-		openPreviewModal: function () {
-			$( '#bcg-sb-preview-modal' ).show();
-			this.updatePreview();
+		coerceImportValue: function ( field, val ) {
+			switch ( field.type ) {
+				case 'number':
+				case 'range':
+					var num = parseFloat( val );
+					return isNaN( num ) ? field.default : num;
+				case 'toggle':
+					return val === true || val === 1 || val === '1' || val === 'true';
+				default:
+					if ( val === null || typeof val === 'undefined' ) {
+						return field.default;
+					}
+					return typeof val === 'object' ? val : String( val );
+			}
 		},
 
 		/**
-		 * Fetch rendered HTML via AJAX and write to preview iframe.
+		 * List the distinct origins used by image URLs in a set of sections.
+		 *
+		 * Covers image fields and the image URLs cached in _product_meta.
+		 *
+		 * @param  {Array} sections Section objects.
+		 * @return {string[]}
 		 */
-		updatePreview: function () {
-			var self    = this;
-			var $iframe = $( '#bcg-sb-preview-iframe' );
+		collectMediaOrigins: function ( sections ) {
+			var origins = [];
 
-			$.ajax( {
-				url:  bcg_section_builder.ajax_url,
-				type: 'POST',
-				data: {
-					action:          'bcg_sb_preview',
-					nonce:           bcg_section_builder.nonce,
-					sections:        JSON.stringify( self.sections ),
-					global_defaults: JSON.stringify( self.globalDefaults ),
-				},
-				success: function ( res ) {
-					if ( res.success && res.data.html ) {
-						var doc = $iframe[ 0 ].contentDocument || $iframe[ 0 ].contentWindow.document;
-						doc.open();
-						doc.write( res.data.html );
-						doc.close();
-					}
-				},
-				error: function () {
-					self.showStatus( self.i18n.preview_error || 'Preview error.', 'error' );
+			this.eachMediaUrl( sections, function ( url ) {
+				var match = /^https?:\/\/[^\/]+/i.exec( url );
+				if ( match && origins.indexOf( match[0] ) === -1 ) {
+					origins.push( match[0] );
 				}
+				return url;
 			} );
-		},
 
-		// ── Preview Modal ─────────────────────────────────────────────────
+			return origins;
+		},
 
 		/**
-		 * Bind preview modal controls.
+		 * Visit every image URL in a set of sections, replacing it with the
+		 * callback's return value.
+		 *
+		 * @param {Array}    sections Section objects (mutated).
+		 * @param {Function} callback Receives the URL, returns the new URL.
 		 */
-		bindPreviewModal: function () {
+		eachMediaUrl: function ( sections, callback ) {
 			var self = this;
 
-			$( '#bcg-sb-preview-close, #bcg-sb-preview-overlay' ).on( 'click', function () {
-				$( '#bcg-sb-preview-modal' ).hide();
-			} );
-
-			// Desktop / Mobile toggle.
-			$( document ).on( 'click', '.bcg-preview-toggle', function () {
-				$( '.bcg-preview-toggle' ).removeClass( 'active' );
-				$( this ).addClass( 'active' );
+			$.each( sections, function ( i, section ) {
+				var typeDef  = self.types[ section.type ] || {};
+				var settings = section.settings || {};
 
-				var mode   = $( this ).data( 'mode' );
-				var $wrap  = $( '#bcg-sb-preview-frame-wrap' );
-				var $frame = $( '#bcg-sb-preview-iframe' );
+				$.each( typeDef.fields || [], function ( j, f ) {
+					if ( f.type === 'image' && typeof settings[ f.key ] === 'string' && settings[ f.key ] ) {
+						settings[ f.key ] = callback( settings[ f.key ] );
+					}
+				} );
 
-				if ( mode === 'mobile' ) {
-					// Render the iframe at 375 px so the email's responsive
-					// CSS media queries fire and the layout actually reflows.
-					$frame.css( { width: '375px' } );
-					$wrap.addClass( 'bcg-preview-mobile' );
-				} else {
-					$frame.css( { width: '' } );
-					$wrap.removeClass( 'bcg-preview-mobile' );
+				if ( $.isPlainObject( settings._product_meta ) ) {
+					$.each( settings._product_meta, function ( pid, meta ) {
+						if ( meta && typeof meta.image_url === 'string' && meta.image_url ) {
+							meta.image_url = callback( meta.image_url );
+						}
+					} );
 				}
 			} );
 		},
 
-		// ── Load Modal ────────────────────────────────────────────────────
-
 		/**
-		 * Bind load modal controls.
+		 * Render the import review panel inside the load modal.
+		 *
+		 * @param {Object} result Output of validateTemplateBundle().
 		 */
-		bindLoadModal: function () {
-			var self = this;
+		renderImportReview: function ( result ) {
+			var self   = this;
+			var i18n   = self.i18n;
+			var notes  = [];
+			var html   = '';
 
-			$( '#bcg-sb-load-close, #bcg-sb-load-overlay' ).on( 'click', function () {
-				$( '#bcg-sb-load-modal' ).hide();
-			} );
+			if ( result.newer ) {
+				notes.push( ( i18n.import_newer || 'Exported from a newer plugin version (%s). Some settings may not be recognised.' ).replace( '%s', result.plugin_version ) );
+			}
+			if ( result.unknownTypes.length ) {
+				notes.push( ( i18n.import_unknown || 'Unknown section types skipped:' ) + ' ' + result.unknownTypes.join( ', ' ) );
+			}
+			if ( result.droppedFields ) {
+				notes.push( ( i18n.import_fields || 'Unrecognised settings dropped:' ) + ' ' + result.droppedFields );
+			}
+			if ( result.clearedProducts ) {
+				notes.push( ( i18n.import_products || 'Product selections cleared because the template came from another store:' ) + ' ' + result.clearedProducts );
+			}
+
+			html += '<div class="bcg-sb-import-review">';
+			html += '<h4>' + self.escHtml( i18n.import_review || 'Review Import' ) + '</h4>';
+			html += '<div class="bcg-sb-import-field"><label for="bcg-sb-import-name">' + self.escHtml( i18n.import_name || 'Name' ) + '</label>' +
+				'<input type="text" id="bcg-sb-import-name" class="bcg-input" value="' + self.escAttr( result.name ) + '" /></div>';
+			html += '<p class="bcg-sb-import-summary">' +
+				self.escHtml( ( result.sections.length === 1
+					? ( i18n.import_count_one || '%d section:' )
+					: ( i18n.import_count_many || '%d sections:' )
+				).replace( '%d', result.sections.length ) ) + ' ' +
+				self.escHtml( $.map( result.sections, function ( s ) {
+					return ( self.types[ s.type ] || {} ).label || s.type;
+				} ).join( ', ' ) ) + '</p>';
+
+			if ( notes.length ) {
+				html += '<ul class="bcg-sb-import-notes">';
+				$.each( notes, function ( i, note ) {
+					html += '<li><span class="material-icons-outlined">warning_amber</span> ' + self.escHtml( note ) + '</li>';
+				} );
+				html += '</ul>';
+			}
+
+			if ( result.origins.length ) {
+				html += '<div class="bcg-sb-import-media">';
+				html += '<h5>' + self.escHtml( i18n.import_media || 'Media URLs' ) + '</h5>';
+				html += '<p class="bcg-sb-import-help">' + self.escHtml( i18n.import_media_help || 'Images point at the sites below. Replace a base URL to remap them, or leave it unchanged to keep the original links.' ) + '</p>';
+				$.each( result.origins, function ( i, origin ) {
+					html += '<div class="bcg-sb-import-remap">' +
+						'<code>' + self.escHtml( origin ) + '</code>' +
+						'<span class="material-icons-outlined">arrow_forward</span>' +
+						'<input type="url" class="bcg-input bcg-sb-import-remap-input" data-from="' + self.escAttr( origin ) + '" value="' + self.escAttr( origin ) + '" />' +
+						'</div>';
+				} );
+				html += '</div>';
+			}
+
+			var font = result.global_defaults.font_family;
+			if ( font && font !== self.globalDefaults.font_family ) {
+				var fontLabel = font;
+				$.each( self.fonts, function ( i, f ) {
+					if ( f.value === font ) { fontLabel = f.label; return false; }
+				} );
+				html += '<label class="bcg-sb-import-font"><input type="checkbox" id="bcg-sb-import-font" /> ' +
+					self.escHtml( i18n.import_font || 'Also apply the template default font:' ) + ' <strong>' + self.escHtml( fontLabel ) + '</strong></label>';
+			}
+
+			html += '<div class="bcg-sb-import-actions">' +
+				'<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-sb-import-cancel">' + self.escHtml( i18n.cancel || 'Cancel' ) + '</button>' +
+				'<button type="button" class="bcg-btn-primary bcg-btn-sm" id="bcg-sb-import-confirm">' +
+				'<span class="material-icons-outlined">download_done</span> ' + self.escHtml( i18n.import_confirm || 'Import Template' ) + '</button>' +
+				'</div></div>';
+
+			$( '#bcg-sb-load-modal' ).show();
+			$( '#bcg-sb-load-body' ).html( html );
 		},
 
 		/**
-		 * Open the load modal and fetch saved templates.
+		 * Save the reviewed import as a new template and open it on the canvas.
+		 *
+		 * @param {jQuery} $btn Confirm button.
 		 */
-		openLoadModal: function () {
-			var self  = this;
-			var $body = $( '#bcg-sb-load-body' );
+		applyImport: function ( $btn ) {
+			var self   = this;
+			var result = self.pendingImport;
+			if ( ! result ) { return; }
 
-			$( '#bcg-sb-load-modal' ).show();
-			$body.html(
-				'<p class="bcg-sb-loading-msg"><span class="material-icons-outlined bcg-spin">refresh</span> ' +
-				( self.i18n.loading || 'Loading…' ) + '</p>'
-			);
+			if ( self.isDirty && ! confirm( self.i18n.confirm_load || 'Load template? Unsaved changes will be lost.' ) ) {
+				return;
+			}
+
+			var name = $( '#bcg-sb-import-name' ).val().trim();
+			if ( ! name ) {
+				self.showStatus( self.i18n.name_required || 'Template name is required.', 'error' );
+				$( '#bcg-sb-import-name' ).focus();
+				return;
+			}
+
+			var remap = {};
+			$( '.bcg-sb-import-remap-input' ).each( function () {
+				var from = String( $( this ).data( 'from' ) );
+				var to   = $( this ).val().trim().replace( /\/+$/, '' );
+				if ( to && to !== from ) {
+					remap[ from ] = to;
+				}
+			} );
+
+			var sections = $.extend( true, [], result.sections );
+			if ( ! $.isEmptyObject( remap ) ) {
+				self.eachMediaUrl( sections, function ( url ) {
+					var match = /^https?:\/\/[^\/]+/i.exec( url );
+					return match && remap[ match[0] ] ? remap[ match[0] ] + url.substring( match[0].length ) : url;
+				} );
+			}
+
+			var applyFont = $( '#bcg-sb-import-font' ).is( ':checked' );
+
+			$btn.prop( 'disabled', true );
 
 			$.ajax( {
 				url:  bcg_section_builder.ajax_url,
 				type: 'POST',
-				data: { action: 'bcg_sb_get_templates', nonce: bcg_section_builder.nonce },
+				data: {
+					action:      'bcg_sb_save_template',
+					nonce:       bcg_section_builder.nonce,
+					name:        name,
+					description: result.description,
+					id:          0,
+					sections:    JSON.stringify( sections )
+				},
 				success: function ( res ) {
+					$btn.prop( 'disabled', false );
 					if ( ! res.success ) {
-						$body.html( '<p class="bcg-error">' + self.escHtml( res.data.message || 'Error' ) + '</p>' );
+						self.showStatus( res.data.message || self.i18n.import_error || 'Import failed.', 'error' );
 						return;
 					}
 
-					var templates = res.data.templates || [];
-
-					if ( templates.length === 0 ) {
-						$body.html( '<p class="bcg-sb-no-templates">No saved templates yet.</p>' );
-						return;
+					self.pendingImport      = null;
+					self.sections           = sections;
+					self.currentTemplateId  = res.data.id;
+					self.currentDescription = result.description;
+					self.isDirty            = false;
+					$( '#bcg-sb-dirty-dot' ).hide();
+					$( '#bcg-sb-template-name' ).val( name );
+
+					if ( applyFont ) {
+						self.globalDefaults.font_family = result.global_defaults.font_family;
+						self.syncFontSelect();
+						self.saveGlobalDefaults();
 					}
 
-					var html = '<table class="bcg-sb-templates-table"><thead><tr>' +
-						'<th>Name</th><th>Updated</th><th>Actions</th></tr></thead><tbody>';
-
-					$.each( templates, function ( i, t ) {
-						html += '<tr data-id="' + parseInt( t.id, 10 ) + '">' +
-							'<td>' + self.escHtml( t.name ) + '</td>' +
-							'<td>' + self.escHtml( t.updated_at || '' ) + '</td>' +
-							'<td>' +
-							'<button type="button" class="bcg-btn-primary bcg-btn-xs bcg-sb-load-tmpl" data-id="' + parseInt( t.id, 10 ) + '">Load</button> ' +
-							'<button type="button" class="bcg-btn-danger bcg-btn-xs bcg-sb-delete-tmpl" data-id="' + parseInt( t.id, 10 ) + '">Delete</button>' +
-							'</td></tr>';
-					} );
-
-					html += '</tbody></table>';
-					$body.html( html );
-
-					// Load template.
-					$body.on( 'click', '.bcg-sb-load-tmpl', function () {
-						var id = parseInt( $( this ).data( 'id' ), 10 );
-						self.loadTemplate( id );
-					} );
-
-					// Delete template.
-					$body.on( 'click', '.bcg-sb-delete-tmpl', function () {
-						var id = parseInt( $( this ).data( 'id' ), 10 );
-						self.deleteTemplate( id );
-					} );
+					self.selectedId = null;
+					self.resetHistory();
+					self.renderCanvas();
+					self.renderSettingsPanel( null );
+					self.debouncePreview();
+					$( '#bcg-sb-load-modal' ).hide();
+					self.showStatus( self.i18n.imported || 'Template imported.', 'success' );
 				},
 				error: function () {
-					$body.html( '<p class="bcg-error">Failed to load templates.</p>' );
+					$btn.prop( 'disabled', false );
+					self.showStatus( self.i18n.import_error || 'Import failed.', 'error' );
 				}
 			} );
 		},
 
+		/**
+		 * Compare two dotted version strings.
+		 *
+		 * @param  {string} a
+		 * @param  {string} b
+		 * @return {number} 1 if a > b, -1 if a < b, 0 if equal.
+		 */
+		compareVersions: function ( a, b ) {
+			var pa = String( a ).split( '.' );
+			var pb = String( b ).split( '.' );
+			var len = Math.max( pa.length, pb.length );
+
+			for ( var i = 0; i < len; i++ ) {
+				var na = parseInt( pa[ i ], 10 ) || 0;
+				var nb = parseInt( pb[ i ], 10 ) || 0;
+				if ( na !== nb ) {
+					return na > nb ? 1 : -1;
+				}
+			}
+			return 0;
+		},
+
+		/**
+		 * Normalise a site URL for comparison (scheme and trailing slash ignored).
+		 *
+		 * @param  {string} url
+		 * @return {string}
+		 */
+		normaliseUrl: function ( url ) {
+			return String( url || '' ).toLowerCase().replace( /^https?:\/\//, '' ).replace( /\/+$/, '' );
+		},
+
+		/**
+		 * Turn a template name into a file-name-safe slug.
+		 *
+		 * @param  {string} str
+		 * @return {string}
+		 */
+		slugify: function ( str ) {
+			return String( str ).toLowerCase().replace( /[^a-z0-9]+/g, '-' ).replace( /^-+|-+$/g, '' ) || 'template';
+		},
+
 		// ── Template Save / Load / Delete ─────────────────────────────────
 
 		/**
@@ -1449,7 +3136,7 @@
 					action:      'bcg_sb_save_template',
 					nonce:       bcg_section_builder.nonce,
 					name:        name,
-					description: '',
+					description: self.currentDescription,
 					id:          self.currentTemplateId,
 					sections:    JSON.stringify( self.sections )
 				},
@@ -1503,12 +3190,14 @@
 				data: { action: 'bcg_sb_load_template', nonce: bcg_section_builder.nonce, id: id },
 				success: function ( res ) {
 					if ( res.success ) {
-						self.sections          = res.data.sections || [];
-						self.currentTemplateId = res.data.id;
-						self.isDirty           = false;
+						self.sections           = res.data.sections || [];
+						self.currentTemplateId  = res.data.id;
+						self.currentDescription = res.data.description || '';
+						self.isDirty            = false;
 						$( '#bcg-sb-dirty-dot' ).hide();
 						$( '#bcg-sb-template-name' ).val( res.data.name || '' );
 						self.selectedId = null;
+						self.resetHistory();
 						self.renderCanvas();
 						self.renderSettingsPanel( null );
 						$( '#bcg-sb-load-modal' ).hide();
@@ -1542,7 +3231,8 @@
 				success: function ( res ) {
 					if ( res.success ) {
 						if ( self.currentTemplateId === id ) {
-							self.currentTemplateId = 0;
+							self.currentTemplateId  = 0;
+							self.currentDescription = '';
 						}
 						self.openLoadModal(); // Refresh list.
 					} else {
@@ -1604,22 +3294,28 @@
 					context: JSON.stringify( context )
 				},
 				success: function ( res ) {
+					var recorded = false;
 					if ( res.success && res.data.sections && res.data.sections.length ) {
 						// Replace canvas with the AI-designed layout.
-						self.sections = res.data.sections;
+						self.pushHistory( self.i18n.history_ai_all || 'AI generation' );
+						recorded        = true;
+						self.sections   = res.data.sections;
 						self.selectedId = null;
 						self.renderCanvas();
 						self.renderSettingsPanel( null );
 					}
 					// Step 2: Fill AI content into the new layout.
-					self.doGenerateContent( context, $btn );
+					self.doGenerateContent( context, $btn, recorded );
 				},
 				error: function () {
+					var recorded = false;
 					// Layout step failed — fall back to existing or default sections.
 					if ( self.sections.length === 0 ) {
+						self.pushHistory( self.i18n.history_ai_all || 'AI generation' );
+						recorded = true;
 						self.buildDefaultTemplate();
 					}
-					self.doGenerateContent( context, $btn );
+					self.doGenerateContent( context, $btn, recorded );
 				}
 			} );
 		},
@@ -1627,10 +3323,12 @@
 		/**
 		 * Step 2 of generation: fill AI copywriting into an already-laid-out canvas.
 		 *
-		 * @param {Object} context Campaign context (tone, language, prompt, products).
-		 * @param {jQuery} $btn    The generate button — re-enabled on completion.
+		 * @param {Object}  context  Campaign context (tone, language, prompt, products).
+		 * @param {jQuery}  $btn     The generate button — re-enabled on completion.
+		 * @param {boolean} recorded True when the layout step already pushed the
+		 *                           "AI generation" undo entry.
 		 */
-		doGenerateContent: function ( context, $btn ) {
+		doGenerateContent: function ( context, $btn, recorded ) {
 			var self = this;
 			self.showStatus( self.i18n.generating || 'Generating AI content…', 'loading' );
 
@@ -1647,6 +3345,9 @@
 				success: function ( res ) {
 					$btn.prop( 'disabled', false );
 					if ( res.success ) {
+						if ( ! recorded ) {
+							self.pushHistory( self.i18n.history_ai_all || 'AI generation' );
+						}
 						self.sections = res.data.sections || self.sections;
 						self.renderCanvas();
 						if ( self.selectedId ) {
@@ -1693,7 +3394,14 @@
 					context:      JSON.stringify( context )
 				},
 				success: function ( res ) {
+					// Re-resolve: an undo/redo while the request was in flight replaces the section objects.
+					var section = self.getSectionById( id );
+					if ( ! section ) {
+						self.showStatus( self.i18n.generate_error || 'Generation failed.', 'error' );
+						return;
+					}
 					if ( res.success ) {
+						self.pushHistory( self.i18n.history_ai_section || 'AI section generation' );
 						section.settings = res.data.settings || section.settings;
 
 						if ( self.selectedId === id ) {
@@ -1738,6 +3446,150 @@
 			$( '#bcg-sb-dirty-dot' ).show();
 		},
 
+		// ── History (Undo / Redo) ─────────────────────────────────────────
+
+		/**
+		 * Serialise the undoable builder state.
+		 *
+		 * @return {string} JSON snapshot of sections and global defaults.
+		 */
+		snapshotState: function () {
+			return JSON.stringify( {
+				sections:       this.sections,
+				globalDefaults: this.globalDefaults
+			} );
+		},
+
+		/**
+		 * Record the current state as an undo step.
+		 *
+		 * Must be called immediately BEFORE mutating this.sections or
+		 * this.globalDefaults. Calls sharing a coalesce key within
+		 * historyCoalesceMs of each other collapse into the first snapshot,
+		 * so dragging a slider produces one step rather than fifty.
+		 *
+		 * @param {string} label       Action name shown in the undo/redo tooltips.
+		 * @param {string} coalesceKey Optional key identifying the edited field.
+		 */
+		pushHistory: function ( label, coalesceKey ) {
+			var now = Date.now();
+
+			if ( coalesceKey && coalesceKey === this._historyKey && ( now - this._historyTime ) < this.historyCoalesceMs ) {
+				this._historyTime = now;
+				return;
+			}
+
+			this.undoStack.push( { label: label, state: this.snapshotState() } );
+			if ( this.undoStack.length > this.historyLimit ) {
+				this.undoStack.shift();
+			}
+
+			this.redoStack    = [];
+			this._historyKey  = coalesceKey || null;
+			this._historyTime = now;
+			this.updateHistoryButtons();
+		},
+
+		/**
+		 * Clear both history stacks (e.g. after loading a different template).
+		 */
+		resetHistory: function () {
+			this.undoStack   = [];
+			this.redoStack   = [];
+			this._historyKey = null;
+			this.updateHistoryButtons();
+		},
+
+		/**
+		 * Revert the most recent change.
+		 */
+		undo: function () {
+			this.stepHistory( this.undoStack, this.redoStack, this.i18n.undone || 'Undone:' );
+		},
+
+		/**
+		 * Re-apply the most recently undone change.
+		 */
+		redo: function () {
+			this.stepHistory( this.redoStack, this.undoStack, this.i18n.redone || 'Redone:' );
+		},
+
+		/**
+		 * Move one snapshot from one stack to the other and restore it.
+		 *
+		 * Entries identical to the current state (e.g. left behind by an AI
+		 * request that returned nothing new) are skipped silently.
+		 *
+		 * @param {Array}  from   Stack to pop the target state from.
+		 * @param {Array}  to     Stack that receives the current state.
+		 * @param {string} prefix Status message prefix ("Undone:" / "Redone:").
+		 */
+		stepHistory: function ( from, to, prefix ) {
+			var current = this.snapshotState();
+			var entry   = from.pop();
+
+			while ( entry && entry.state === current ) {
+				entry = from.pop();
+			}
+
+			if ( ! entry ) {
+				this.updateHistoryButtons();
+				return;
+			}
+
+			to.push( { label: entry.label, state: current } );
+			this._historyKey = null;
+			this.restoreState( entry.state );
+			this.showStatus( prefix + ' ' + entry.label, 'success' );
+		},
+
+		/**
+		 * Replace the builder state with a snapshot and re-render everything.
+		 *
+		 * @param {string} json Snapshot produced by snapshotState().
+		 */
+		restoreState: function ( json ) {
+			var state        = JSON.parse( json );
+			var fontChanged  = ( state.globalDefaults || {} ).font_family !== this.globalDefaults.font_family;
+
+			this.sections       = state.sections || [];
+			this.globalDefaults = state.globalDefaults || {};
+
+			if ( this.selectedId && ! this.getSectionById( this.selectedId ) ) {
+				this.selectedId = null;
+			}
+
+			this.renderCanvas();
+			this.renderSettingsPanel( this.selectedId ? this.getSectionById( this.selectedId ) : null );
+
+			if ( fontChanged ) {
+				this.syncFontSelect();
+				this.saveGlobalDefaults();
+			}
+
+			this.markDirty();
+			this.debouncePreview();
+			this.updateHistoryButtons();
+		},
+
+		/**
+		 * Enable/disable the toolbar undo/redo buttons and label them with
+		 * the action they will revert or re-apply.
+		 */
+		updateHistoryButtons: function () {
+			var lastUndo  = this.undoStack[ this.undoStack.length - 1 ];
+			var lastRedo  = this.redoStack[ this.redoStack.length - 1 ];
+			var undoLabel = this.i18n.undo || 'Undo';
+			var redoLabel = this.i18n.redo || 'Redo';
+
+			$( '#bcg-sb-undo-btn' )
+				.prop( 'disabled', ! lastUndo )
+				.attr( 'title', ( lastUndo ? undoLabel + ' ' + lastUndo.label : undoLabel ) + ' (Ctrl+Z)' );
+			$( '#bcg-sb-redo-btn' )
+				.prop( 'disabled', ! lastRedo )
+				.attr( 'title', ( lastRedo ? redoLabel + ' ' + lastRedo.label : redoLabel ) + ' (Ctrl+Shift+Z)' );
+		},
+
 		// ── Status Messages ───────────────────────────────────────────────
 
 		/**
@@ -2172,16 +4024,43 @@
 		 */
 		updateGlobalDefault: function ( key, val ) {
 			var self = this;
+			if ( self.globalDefaults[ key ] !== val ) {
+				self.pushHistory( self.i18n.history_defaults || 'Change default settings', 'global:' + key );
+			}
 			self.globalDefaults[ key ] = val;
 			self.markDirty();
 			self.debouncePreview();
+			self.saveGlobalDefaults();
+		},
 
-			// Persist via AJAX.
+		/**
+		 * Persist the current global defaults via AJAX.
+		 */
+		saveGlobalDefaults: function () {
 			$.post( bcg_section_builder.ajax_url, {
 				action:   'bcg_sb_save_global_defaults',
 				nonce:    bcg_section_builder.nonce,
-				defaults: JSON.stringify( self.globalDefaults ),
+				defaults: JSON.stringify( this.globalDefaults ),
+			} );
+		},
+
+		/**
+		 * Reflect globalDefaults.font_family in the Default Settings font dropdown.
+		 */
+		syncFontSelect: function () {
+			var savedFont    = this.globalDefaults.font_family;
+			var $fontWrapper = $( '#bcg-sb-font-wrapper' );
+			if ( ! $fontWrapper.length || ! savedFont ) { return; }
+
+			var fontLabel = '';
+			$.each( this.fonts, function ( i, f ) {
+				if ( f.value === savedFont ) { fontLabel = f.label; return false; }
 			} );
+			if ( fontLabel ) {
+				$fontWrapper.find( '.bcg-select-value' ).text( fontLabel );
+				$fontWrapper.find( '.bcg-select-option' ).removeClass( 'is-selected' );
+				$fontWrapper.find( '.bcg-select-option[data-value="' + savedFont.replace( /"/g, '\\"' ) + '"]' ).addClass( 'is-selected' );
+			}
 		},
 
 		/**
@@ -2195,6 +4074,8 @@
 			var newCol  = $( '#bcg-sb-primary-color' ).val();
 			if ( ! newCol ) { return; }
 
+			self.pushHistory( self.i18n.history_colour || 'Apply primary colour' );
+
 			// Setting keys that should be treated as accent/primary colour fields.
 			var accentKeys = [
 				'accent_color', 'cta_bg_color', 'cta_bg', 'button_bg', 'button_color',
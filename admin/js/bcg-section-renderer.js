@@ -0,0 +1,2283 @@
+/**
+ * Section Renderer — client-side port of BCG_Section_Renderer.
+ *
+ * Renders the Section Builder's sections array to the same email HTML as
+ * the PHP renderer so previews can update in the browser without a round
+ * trip. Every render function mirrors its PHP counterpart: the format
+ * strings are the PHP ones with the source indentation dropped, and the
+ * helpers below reproduce the PHP/WordPress behaviour they stand in for
+ * (esc_html, esc_url, (int) casts, empty(), date()).
+ *
+ * The server renderer remains the source of truth for anything that is
+ * saved or sent. When changing a render_* method in PHP, change the
+ * matching function here, regenerate the fixtures (npm run test:fixtures)
+ * and run npm test (see BCGSectionRenderer.normalise()).
+ *
+ * Products sections need WooCommerce data; callers pass a map of product
+ * cards as returned by bcg_sb_product_cards.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+/* global bcg_section_renderer */
+( function ( window ) {
+	'use strict';
+
+	var config = window.bcg_section_renderer || {};
+
+	var MAX_WIDTH   = 600;
+	var FONT_FAMILY = "Arial, 'Helvetica Neue', Helvetica, sans-serif";
+
+	// Comment written before each section (BCG_Section_Renderer::SECTION_MARKER).
+	var SECTION_MARKER = 'bcg-section:';
+
+	// Private-use characters that bracket editable field values while rendering,
+	// so they can be found in the output whatever template printed them.
+	var FIELD_OPEN  = '\uE000';
+	var FIELD_SEP   = '\uE001';
+	var FIELD_CLOSE = '\uE002';
+	var ALIGNMENTS  = [ 'left', 'center', 'right' ];
+
+	var ALLOWED_PROTOCOLS = [
+		'http', 'https', 'ftp', 'ftps', 'mailto', 'news', 'irc', 'irc6', 'ircs', 'gopher', 'nntp', 'feed',
+		'telnet', 'mms', 'rtsp', 'sms', 'svn', 'tel', 'fax', 'xmpp', 'webcal', 'urn',
+	];
+
+	var MONTHS = [ 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec' ];
+
+	var SOCIAL_ABBREVS = {
+		facebook:  'f',  fb:        'f',
+		instagram: 'in', ig:        'in',
+		twitter:   'x',  x:         'x',
+		tiktok:    'tt', youtube:   'yt',
+		pinterest: 'p',  linkedin:  'li',
+		snapchat:  'sc', threads:   'th',
+		whatsapp:  'wa',
+	};
+
+	// SVG path data per platform — keep in sync with get_social_svg().
+	var SOCIAL_PATHS = {
+		facebook:  'M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z',
+		instagram: 'M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z',
+		twitter:   'M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z',
+		x:         'M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z',
+		linkedin:  'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z',
+		youtube:   'M23.495 6.205a3.007 3.007 0 0 0-2.088-2.088c-1.87-.501-9.396-.501-9.396-.501s-7.507-.01-9.396.501A3.007 3.007 0 0 0 .527 6.205a31.247 31.247 0 0 0-.522 5.805 31.247 31.247 0 0 0 .522 5.783 3.007 3.007 0 0 0 2.088 2.088c1.868.502 9.396.502 9.396.502s7.506 0 9.396-.502a3.007 3.007 0 0 0 2.088-2.088 31.247 31.247 0 0 0 .5-5.783 31.247 31.247 0 0 0-.5-5.805zM9.609 15.601V8.408l6.264 3.602z',
+		tiktok:    'M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z',
+		pinterest: 'M12 0C5.373 0 0 5.373 0 12c0 5.084 3.163 9.426 7.627 11.174-.105-.949-.2-2.405.042-3.441.218-.937 1.407-5.965 1.407-5.965s-.359-.719-.359-1.782c0-1.668.967-2.914 2.171-2.914 1.023 0 1.518.769 1.518 1.69 0 1.029-.655 2.568-.994 3.995-.283 1.194.599 2.169 1.777 2.169 2.133 0 3.772-2.249 3.772-5.495 0-2.873-2.064-4.882-5.012-4.882-3.414 0-5.418 2.561-5.418 5.207 0 1.031.397 2.138.893 2.738.098.119.112.224.083.345l-.333 1.36c-.053.22-.174.267-.402.161-1.499-.698-2.436-2.889-2.436-4.649 0-3.785 2.75-7.262 7.929-7.262 4.163 0 7.398 2.967 7.398 6.931 0 4.136-2.607 7.464-6.227 7.464-1.216 0-2.359-.632-2.75-1.378l-.748 2.853c-.271 1.043-1.002 2.35-1.492 3.146C9.57 23.812 10.763 24 12 24c6.627 0 12-5.373 12-12S18.627 0 12 0z',
+		snapchat:  'M12 .5C5.65.5.5 5.65.5 12S5.65 23.5 12 23.5 23.5 18.35 23.5 12 18.35.5 12 .5zm5.28 15.72c-.26.06-.52.06-.78.06-1.08 0-2.16-.28-3.08-.83-.24.83-.92 1.47-1.78 1.67v.83c0 .5-.42.92-.92.92s-.92-.42-.92-.92v-.83c-.86-.2-1.54-.84-1.78-1.67-.92.55-2 .83-3.08.83-.26 0-.52 0-.78-.06-.34-.07-.56-.41-.49-.75.07-.34.41-.56.75-.49.18.04.36.05.52.05.75 0 1.5-.2 2.13-.58.1-.06.22-.09.34-.08.34.03.63.28.68.63.11.79.77 1.39 1.56 1.39h2.1c.79 0 1.45-.6 1.56-1.39.05-.35.34-.6.68-.63.12-.01.24.02.34.08.63.38 1.38.58 2.13.58.16 0 .34-.01.52-.05.34-.07.68.15.75.49.07.34-.15.68-.49.75zm-5.28-9.22c-2.1 0-3.82 1.72-3.82 3.82s1.72 3.82 3.82 3.82 3.82-1.72 3.82-3.82S14.1 7 12 7z',
+		whatsapp:  'M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 0 1-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 0 1-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 0 1 2.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0 0 12.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 0 0 5.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 0 0-3.48-8.413z',
+		threads:   'M12.186 24h-.007c-3.581-.024-6.334-1.205-8.184-3.509C2.35 18.44 1.5 15.586 1.5 12.068V12c0-3.463.856-6.306 2.554-8.436C5.868 1.212 8.647.022 12.261.022c3.489 0 6.199 1.176 8.051 3.498C21.988 5.493 22.74 8.28 22.74 12v.113c0 3.466-.797 6.271-2.37 8.34-1.648 2.17-4.175 3.44-7.522 3.54l-.662.007zm-.234-4.007c1.56-.094 2.823-.661 3.853-1.733 1.07-1.113 1.587-2.526 1.536-4.199-.046-1.517-.746-2.74-2.023-3.537-.747-.47-1.603-.714-2.524-.714-.158 0-.317.007-.476.022-.953.092-1.748.497-2.363 1.205-.703.812-.987 1.86-.843 3.115.226 1.949 1.586 3.052 3.84 3.052zm.39-4.961c.582 0 1.086.16 1.498.476.437.336.683.813.717 1.38.049.822-.286 1.484-.944 1.862-.383.221-.818.333-1.27.333-1.232 0-1.962-.671-2.032-1.839-.046-.763.249-1.38.832-1.733.325-.198.712-.479 1.199-.479z',
+	};
+
+	// ── PHP / WordPress equivalents ───────────────────────────────────────
+
+	/**
+	 * Mirror PHP empty(): '', '0', 0, false, null, undefined and empty arrays/objects.
+	 *
+	 * @param  {*} value
+	 * @return {boolean}
+	 */
+	function isEmpty( value ) {
+		if ( value === undefined || value === null || value === false || value === '' || value === '0' || value === 0 ) {
+			return true;
+		}
+		if ( Array.isArray( value ) ) {
+			return ! value.length;
+		}
+		if ( typeof value === 'object' ) {
+			return ! Object.keys( value ).length;
+		}
+		return false;
+	}
+
+	/**
+	 * Mirror PHP's ?? chain: the first argument that is neither null nor undefined.
+	 *
+	 * @return {*}
+	 */
+	function coalesce() {
+		for ( var i = 0; i < arguments.length; i++ ) {
+			if ( arguments[ i ] !== undefined && arguments[ i ] !== null ) {
+				return arguments[ i ];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Mirror a PHP (string) cast.
+	 *
+	 * @param  {*} value
+	 * @return {string}
+	 */
+	function toStr( value ) {
+		if ( value === undefined || value === null || value === false ) {
+			return '';
+		}
+		if ( value === true ) {
+			return '1';
+		}
+		return typeof value === 'object' ? '' : String( value );
+	}
+
+	/**
+	 * Mirror a PHP (int) cast.
+	 *
+	 * @param  {*} value
+	 * @return {number}
+	 */
+	function toInt( value ) {
+		if ( typeof value === 'boolean' ) {
+			return value ? 1 : 0;
+		}
+		if ( typeof value === 'number' ) {
+			return isFinite( value ) ? Math.trunc( value ) : 0;
+		}
+		var n = parseInt( toStr( value ), 10 );
+		return isNaN( n ) ? 0 : n;
+	}
+
+	/**
+	 * Mirror WordPress absint().
+	 *
+	 * @param  {*} value
+	 * @return {number}
+	 */
+	function absint( value ) {
+		return Math.abs( toInt( value ) );
+	}
+
+	/**
+	 * Mirror PHP round(): halves round away from zero.
+	 *
+	 * @param  {number} value
+	 * @return {number}
+	 */
+	function round( value ) {
+		return ( value < 0 ? -1 : 1 ) * Math.round( Math.abs( value ) );
+	}
+
+	/**
+	 * Mirror PHP in_array( $value, $list, true ).
+	 *
+	 * @param  {*}     value
+	 * @param  {Array} list
+	 * @return {boolean}
+	 */
+	function inArray( value, list ) {
+		return list.indexOf( value ) !== -1;
+	}
+
+	/**
+	 * Minimal PHP sprintf(): %s, %d, %% and positional %1$s / %1$d.
+	 *
+	 * @param  {string} format
+	 * @return {string}
+	 */
+	function sprintf( format ) {
+		var args = Array.prototype.slice.call( arguments, 1 );
+		var next = 0;
+		return format.replace( /%(?:(\d+)\$)?([sd%])/g, function ( match, position, type ) {
+			if ( type === '%' ) {
+				return '%';
+			}
+			var value = position ? args[ position - 1 ] : args[ next++ ];
+			return type === 'd' ? String( toInt( value ) ) : toStr( value );
+		} );
+	}
+
+	/**
+	 * Mirror WordPress esc_html() / esc_attr(): escape without double-encoding entities.
+	 *
+	 * @param  {*} value
+	 * @return {string}
+	 */
+	function escHtml( value ) {
+		return toStr( value )
+			.replace( /&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#x[0-9a-fA-F]+);)/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /"/g, '&quot;' )
+			.replace( /'/g, '&#039;' );
+	}
+
+	var escAttr = escHtml;
+
+	/**
+	 * Mirror WordPress esc_url() in display context.
+	 *
+	 * @param  {*} value
+	 * @return {string}
+	 */
+	function escUrl( value ) {
+		var url = toStr( value ).replace( /^[ \t\n\r\0\x0B]+/, '' );
+		if ( url === '' ) {
+			return '';
+		}
+
+		url = url.replace( / /g, '%20' );
+		url = url.replace( /[^a-z0-9\-~+_.?#=!&;,\/:%@$|*'()\[\]\u0080-\uFFFF]/gi, '' );
+		if ( url === '' ) {
+			return '';
+		}
+
+		if ( url.toLowerCase().indexOf( 'mailto:' ) !== 0 ) {
+			while ( /%0[dDaA]/.test( url ) ) {
+				url = url.replace( /%0[dDaA]/g, '' );
+			}
+		}
+
+		url = url.replace( /;\/\//g, '://' );
+
+		if ( url.indexOf( ':' ) === -1 && inArray( url.charAt( 0 ), [ '/', '#', '?' ] ) === false && ! /^[a-z0-9-]+?\.php/i.test( url ) ) {
+			url = 'http://' + url;
+		}
+
+		url = url
+			.replace( /&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#x[0-9a-fA-F]+);)/g, '&amp;' )
+			.replace( /&amp;/g, '&#038;' )
+			.replace( /'/g, '&#039;' );
+
+		if ( url.charAt( 0 ) !== '/' ) {
+			var scheme = /^([^\/?#]+?):/.exec( url );
+			if ( scheme && ! inArray( scheme[ 1 ].toLowerCase(), ALLOWED_PROTOCOLS ) ) {
+				return '';
+			}
+		}
+
+		return url;
+	}
+
+	/**
+	 * Mirror BCG_Section_Renderer::esc_link_url(): escape a link address,
+	 * keeping Brevo's unsubscribe, mirror and update profile tags.
+	 *
+	 * @param  {*} value
+	 * @return {string}
+	 */
+	function escLinkUrl( value ) {
+		var tag = /^\s*\{\{\s*(unsubscribe|unsubscribe_url|mirror|update_profile)\s*\}\}\s*$/.exec( toStr( value ) );
+		if ( tag ) {
+			return tag[ 1 ] === 'unsubscribe_url' ? '{{ unsubscribe }}' : '{{ ' + tag[ 1 ] + ' }}';
+		}
+
+		return escUrl( value );
+	}
+
+	/**
+	 * Mirror PHP trim() with its default character list.
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function trim( str ) {
+		return str.replace( /^[ \t\n\r\0\x0B]+|[ \t\n\r\0\x0B]+$/g, '' );
+	}
+
+	/**
+	 * Mirror PHP ucfirst().
+	 *
+	 * @param  {string} str
+	 * @return {string}
+	 */
+	function ucfirst( str ) {
+		return str.charAt( 0 ).toUpperCase() + str.slice( 1 );
+	}
+
+	/**
+	 * Mirror date( 'd M Y', strtotime( $date ) ) for coupon expiry dates.
+	 *
+	 * @param  {string} value Date as stored by the date picker (Y-m-d).
+	 * @return {string}
+	 */
+	function formatExpiry( value ) {
+		var match = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})/.exec( toStr( value ) );
+		var date  = match
+			? new Date( parseInt( match[1], 10 ), parseInt( match[2], 10 ) - 1, parseInt( match[3], 10 ) )
+			: new Date( toStr( value ) );
+
+		if ( isNaN( date.getTime() ) ) {
+			date = new Date( 1970, 0, 1 );
+		}
+
+		return ( date.getDate() < 10 ? '0' : '' ) + date.getDate() + ' ' + MONTHS[ date.getMonth() ] + ' ' + date.getFullYear();
+	}
+
+	/**
+	 * Mirror `is_string( $v ) ? json_decode( $v, true ) : $v` followed by an
+	 * is_array() check, returning the decoded values as a list.
+	 *
+	 * @param  {*} value
+	 * @return {Array|null}
+	 */
+	function decodeList( value ) {
+		if ( typeof value === 'string' ) {
+			try {
+				value = JSON.parse( value );
+			} catch ( e ) {
+				return null;
+			}
+		}
+		if ( Array.isArray( value ) ) {
+			return value;
+		}
+		if ( value && typeof value === 'object' ) {
+			return Object.keys( value ).map( function ( key ) { return value[ key ]; } );
+		}
+		return null;
+	}
+
+	/**
+	 * Read a key of a decoded JSON item, tolerating non-object items.
+	 *
+	 * @param  {*}      item
+	 * @param  {string} key
+	 * @return {*}
+	 */
+	function prop( item, key ) {
+		return ( item && typeof item === 'object' ) ? item[ key ] : undefined;
+	}
+
+	/**
+	 * Mirror sanitize_key().
+	 *
+	 * @param  {*} key
+	 * @return {string}
+	 */
+	function sanitizeKey( key ) {
+		return toStr( key ).toLowerCase().replace( /[^a-z0-9_\-]/g, '' );
+	}
+
+	/**
+	 * Shallow-merge section defaults with saved settings (array_merge).
+	 *
+	 * @param  {Object} defaults
+	 * @param  {Object} settings
+	 * @return {Object}
+	 */
+	function merge( defaults, settings ) {
+		var out = {};
+		var key;
+		for ( key in defaults ) {
+			if ( Object.prototype.hasOwnProperty.call( defaults, key ) ) { out[ key ] = defaults[ key ]; }
+		}
+		for ( key in settings ) {
+			if ( Object.prototype.hasOwnProperty.call( settings, key ) ) { out[ key ] = settings[ key ]; }
+		}
+		return out;
+	}
+
+	// ── Rich Text ─────────────────────────────────────────────────────────
+
+	// See BCG_Section_Renderer::RICHTEXT_TAGS, RICHTEXT_ALIASES and RICHTEXT_STYLES.
+	var RICHTEXT_TAGS    = [ 'strong', 'em', 'a', 'p', 'ul', 'ol', 'li', 'br' ];
+	var RICHTEXT_ALIASES = { b: 'strong', i: 'em', div: 'p' };
+	var RICHTEXT_STYLES  = {
+		a:  'color:inherit;text-decoration:underline;',
+		p:  'margin:0 0 12px;padding:0;',
+		ul: 'margin:0 0 12px;padding:0 0 0 24px;',
+		ol: 'margin:0 0 12px;padding:0 0 0 24px;',
+		li: 'margin:0 0 4px;padding:0;',
+	};
+
+	// Settings the render functions pass through sanitizeRichtext(), by section type.
+	var RICHTEXT_FIELDS = {
+		text:   [ 'body' ],
+		banner: [ 'subtext' ],
+		cta:    [ 'subtext' ],
+	};
+
+	/**
+	 * Mirror BCG_Section_Renderer::sanitize_richtext().
+	 *
+	 * @param  {*} html Stored setting value.
+	 * @return {string} Safe HTML, or '' when there is no text.
+	 */
+	function sanitizeRichtext( html ) {
+		var tokens = toStr( html ).split( /(<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>)/ );
+		var stack  = [];
+		var skip   = false;
+		var out    = '';
+
+		tokens.forEach( function ( token ) {
+			if ( token === '' ) {
+				return;
+			}
+
+			var tag = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>$/.exec( token );
+			if ( ! tag ) {
+				var inList = inArray( stack[ stack.length - 1 ], [ 'ul', 'ol' ] );
+				if ( skip || token.indexOf( '<!--' ) === 0 || ( inList && trim( token ) === '' ) ) {
+					return;
+				}
+				out += escHtml( token.replace( /\r\n|\r/g, '\n' ) ).replace( /\n/g, '<br />' );
+				return;
+			}
+
+			var name    = tag[2].toLowerCase();
+			var closing = tag[1] === '/';
+			var at;
+
+			name = RICHTEXT_ALIASES.hasOwnProperty( name ) ? RICHTEXT_ALIASES[ name ] : name;
+
+			if ( name === 'script' || name === 'style' ) {
+				skip = ! closing;
+				return;
+			}
+			if ( skip || ! inArray( name, RICHTEXT_TAGS ) ) {
+				return;
+			}
+
+			if ( closing ) {
+				at = findRichtextTag( stack, [ name ] );
+				if ( at >= 0 ) {
+					out += closeRichtextTags( stack, at );
+				}
+				return;
+			}
+
+			switch ( name ) {
+				case 'br':
+					out += '<br />';
+					break;
+
+				case 'li':
+					at = findRichtextTag( stack, [ 'ul', 'ol' ] );
+					if ( at >= 0 ) {
+						out += closeRichtextTags( stack, at + 1 ) + '<li style="' + RICHTEXT_STYLES.li + '">';
+						stack.push( 'li' );
+					}
+					break;
+
+				case 'p':
+				case 'ul':
+				case 'ol':
+					at   = findRichtextTag( stack, [ 'li' ] );
+					out += closeRichtextTags( stack, at + 1 ) + '<' + name + ' style="' + RICHTEXT_STYLES[ name ] + '">';
+					stack.push( name );
+					break;
+
+				case 'a':
+					var attr = /\shref\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+)/i.exec( tag[3] );
+					var href = attr ? escLinkUrl( attr[1].replace( /^["']+|["']+$/g, '' ) ) : '';
+					if ( href !== '' && stack.indexOf( 'a' ) === -1 ) {
+						out += '<a href="' + href + '" style="' + RICHTEXT_STYLES.a + '">';
+						stack.push( 'a' );
+					}
+					break;
+
+				default:
+					out += '<' + name + '>';
+					stack.push( name );
+			}
+		} );
+
+		out += closeRichtextTags( stack, 0 );
+
+		return trim( out.replace( /<[^>]*>/g, '' ) ) === '' ? '' : out;
+	}
+
+	/**
+	 * Position of the innermost open rich text tag with one of the given names.
+	 *
+	 * @param  {string[]} stack Open tags, outermost first.
+	 * @param  {string[]} names
+	 * @return {number} Index in stack, or -1.
+	 */
+	function findRichtextTag( stack, names ) {
+		for ( var i = stack.length - 1; i >= 0; i-- ) {
+			if ( names.indexOf( stack[ i ] ) !== -1 ) {
+				return i;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Close open rich text tags until length of them remain.
+	 *
+	 * @param  {string[]} stack  Open tags; shortened in place.
+	 * @param  {number}   length
+	 * @return {string}
+	 */
+	function closeRichtextTags( stack, length ) {
+		var out = '';
+		while ( stack.length > length ) {
+			out += '</' + stack.pop() + '>';
+		}
+		return out;
+	}
+
+	/**
+	 * Mirror BCG_Section_Renderer::richtext_block().
+	 *
+	 * @param  {string} html  Output of sanitizeRichtext().
+	 * @param  {string} style
+	 * @return {string}
+	 */
+	function richtextBlock( html, style ) {
+		var tag = /<(?:p|ul|ol)\b/.test( html ) ? 'div' : 'p';
+		return '<' + tag + ' style="' + style + '">' + html + '</' + tag + '>';
+	}
+
+	// ── Section Renderers ─────────────────────────────────────────────────
+
+	/**
+	 * Render header section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderHeader( s, mw, font ) {
+		var bg        = escAttr( s.bg_color );
+		var textColor = escAttr( coalesce( s.text_color, '#333333' ) );
+		var logoUrl   = escUrl( s.logo_url );
+		var logoW     = toInt( s.logo_width );
+		var siteName  = toStr( config.site_name );
+		var logoAlt   = toStr( s.logo_alt_text ).trim() ? toStr( s.logo_alt_text ) : siteName;
+
+		var logoHtml;
+		if ( logoUrl ) {
+			logoHtml = sprintf(
+				'<img src="%s" width="%d" alt="%s" style="display:block;border:0;outline:none;text-decoration:none;max-width:%dpx;height:auto;" />',
+				logoUrl, logoW, escAttr( logoAlt ), logoW
+			);
+		} else {
+			logoHtml = sprintf(
+				'<span style="font-family:%s;font-size:22px;font-weight:700;color:%s;">%s</span>',
+				escAttr( font ), textColor, escHtml( siteName )
+			);
+		}
+
+		var navHtml = '';
+		if ( ! isEmpty( s.show_nav ) ) {
+			var links   = [];
+			var navData = decodeList( s.nav_links );
+			if ( navData ) {
+				navData.forEach( function ( link ) {
+					if ( ! isEmpty( prop( link, 'label' ) ) ) {
+						var href = ! isEmpty( link.url ) ? escUrl( link.url ) : '#';
+						links.push( sprintf(
+							'<a href="%s" style="font-family:%s;font-size:14px;color:%s;text-decoration:none;margin-left:16px;">%s</a>',
+							href, escAttr( font ), textColor, escHtml( link.label )
+						) );
+					}
+				} );
+			}
+			if ( links.length ) {
+				navHtml = '<td style="text-align:right;vertical-align:middle;">' + links.join( '' ) + '</td>';
+			}
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:20px 30px;vertical-align:middle;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'<td style="vertical-align:middle;">%s</td>' +
+								'%s' +
+							'</tr>' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw,
+			bg,
+			logoHtml,
+			navHtml
+		);
+	}
+
+	/**
+	 * Render hero section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderHero( s, mw, font ) {
+		var bg       = escAttr( s.bg_color );
+		var pt       = toInt( s.padding_top );
+		var pb       = toInt( s.padding_bottom );
+		var hsize    = toInt( s.headline_size );
+		var hcolor   = escAttr( s.headline_color );
+		var scolor   = escAttr( s.subtext_color );
+		var ctaBg    = escAttr( s.cta_bg_color );
+		var ctaTc    = escAttr( s.cta_text_color );
+		var headline = escHtml( s.headline );
+		var subtext  = escHtml( s.subtext );
+		var ctaText  = escHtml( s.cta_text );
+		var ctaUrl   = escUrl( isEmpty( s.cta_url ) ? '#' : s.cta_url );
+
+		var bgStyle = 'background-color:' + bg + ';';
+		if ( ! isEmpty( s.image_url ) ) {
+			bgStyle += "background-image:url('" + escUrl( s.image_url ) + "');background-size:cover;background-position:center;";
+		}
+
+		var ctaFsize  = toInt( coalesce( s.cta_font_size, 16 ) );
+		var ctaPadH   = toInt( coalesce( s.cta_padding_h, 32 ) );
+		var ctaPadV   = toInt( coalesce( s.cta_padding_v, 14 ) );
+		var ctaRadius = toInt( coalesce( s.cta_border_radius, 4 ) );
+		var sFsize    = toInt( coalesce( s.subtext_font_size, 16 ) );
+
+		var ctaHtml = '';
+		if ( ! isEmpty( ctaText ) ) {
+			ctaHtml = sprintf(
+				'<tr><td style="padding-top:24px;text-align:center;">' +
+					'<a href="%s" style="display:inline-block;padding:%dpx %dpx;background-color:%s;color:%s;font-family:%s;font-size:%dpx;font-weight:700;text-decoration:none;border-radius:%dpx;">%s</a>' +
+				'</td></tr>',
+				ctaUrl, ctaPadV, ctaPadH, ctaBg, ctaTc, escAttr( font ), ctaFsize, ctaRadius, ctaText
+			);
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;%s">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;text-align:center;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'<td style="text-align:center;">' +
+									'<h1 style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;padding:0;line-height:1.2;">%s</h1>' +
+								'</td>' +
+							'</tr>' +
+							'<tr>' +
+								'<td style="padding-top:16px;text-align:center;">' +
+									'<p style="font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;">%s</p>' +
+								'</td>' +
+							'</tr>' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bgStyle,
+			pt, pb,
+			escAttr( font ), hsize, hcolor, headline,
+			escAttr( font ), sFsize, scolor, subtext,
+			ctaHtml
+		);
+	}
+
+	/**
+	 * Render hero split section — image on one side, text on the other.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderHeroSplit( s, mw, font ) {
+		var imgUrl   = escUrl( coalesce( s.image_url, '' ) );
+		var imgSide  = inArray( coalesce( s.image_side, 'right' ), [ 'left', 'right' ] ) ? s.image_side : 'right';
+		var textBg   = escAttr( coalesce( s.text_bg_color, '#1a1a2e' ) );
+		var headline = escHtml( coalesce( s.headline, '' ) );
+		var hsize    = toInt( coalesce( s.headline_size, 32 ) );
+		var hcolor   = escAttr( coalesce( s.headline_color, '#ffffff' ) );
+		var subtext  = escHtml( coalesce( s.subtext, '' ) );
+		var scolor   = escAttr( coalesce( s.subtext_color, '#cccccc' ) );
+		var sfsize   = toInt( coalesce( s.subtext_font_size, 15 ) );
+		var ctaText  = escHtml( coalesce( s.cta_text, '' ) );
+		var ctaUrl   = escUrl( isEmpty( s.cta_url ) ? '#' : s.cta_url );
+		var ctaBg    = escAttr( coalesce( s.cta_bg_color, '#e63529' ) );
+		var ctaTc    = escAttr( coalesce( s.cta_text_color, '#ffffff' ) );
+		var ctaR     = toInt( coalesce( s.cta_border_radius, 4 ) );
+		var tp       = toInt( coalesce( s.text_padding, s.padding_top, 48 ) );
+		var halfW    = round( mw / 2 );
+
+		var ctaHtml = '';
+		if ( ! isEmpty( ctaText ) ) {
+			ctaHtml = sprintf(
+				'<tr><td style="padding-top:22px;"><a href="%s" style="display:inline-block;padding:12px 28px;background-color:%s;color:%s;font-family:%s;font-size:14px;font-weight:700;text-decoration:none;border-radius:%dpx;">%s</a></td></tr>',
+				ctaUrl, ctaBg, ctaTc, escAttr( font ), ctaR, ctaText
+			);
+		}
+
+		var textTd = sprintf(
+			'<td width="%d" valign="middle" bgcolor="%s" style="background-color:%s;padding:%dpx 28px;width:%dpx;">' +
+				'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+					'<tr><td><h2 style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;padding:0;line-height:1.2;">%s</h2></td></tr>' +
+					'<tr><td style="padding-top:14px;"><p style="font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.65;">%s</p></td></tr>' +
+					'%s' +
+				'</table>' +
+			'</td>',
+			halfW, textBg, textBg, tp, halfW,
+			escAttr( font ), hsize, hcolor, headline,
+			escAttr( font ), sfsize, scolor, subtext,
+			ctaHtml
+		);
+
+		// Image column: use background-image so it scales to the row height.
+		// For Outlook compatibility, a VML fallback fills with the bg colour.
+		// A background image has no alt attribute, so its alt text becomes the cell's label.
+		var imgTd;
+		if ( imgUrl ) {
+			var imgAlt = toStr( s.image_alt_text ).trim();
+
+			imgTd = sprintf(
+				'<!--[if mso]><td width="%1$d" valign="middle" bgcolor="%2$s" style="background-color:%2$s;width:%1$dpx;">&nbsp;</td><![endif]-->' +
+				'<!--[if !mso]><!-->' +
+				'<td width="%1$d" valign="middle" bgcolor="%2$s"%4$s style="background-color:%2$s;background-image:url(\'%3$s\');background-size:cover;background-position:center center;width:%1$dpx;">' +
+				'<div style="font-size:0;line-height:0;">&nbsp;</div></td>' +
+				'<!--<![endif]-->',
+				halfW, textBg, imgUrl,
+				imgAlt ? ' role="img" aria-label="' + escAttr( imgAlt ) + '"' : ''
+			);
+		} else {
+			imgTd = sprintf(
+				'<td width="%d" valign="middle" bgcolor="%s" style="background-color:%s;width:%dpx;">&nbsp;</td>',
+				halfW, textBg, textBg, halfW
+			);
+		}
+
+		var cells = ( imgSide === 'left' ) ? imgTd + textTd : textTd + imgTd;
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;">' +
+				'<tr>%s</tr>' +
+			'</table>',
+			mw, mw, mw, cells
+		);
+	}
+
+	/**
+	 * Render text block section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderText( s, mw, font ) {
+		var bg    = escAttr( s.bg_color );
+		var tc    = escAttr( s.text_color );
+		var pt    = toInt( coalesce( s.padding_top, s.padding, 30 ) );
+		var pb    = toInt( coalesce( s.padding_bottom, s.padding, 30 ) );
+		var fsize = toInt( s.font_size );
+		var hsize = toInt( coalesce( s.heading_size, 22 ) );
+		var lh    = ( toInt( coalesce( s.line_height, 170 ) ) / 100 ).toFixed( 1 );
+		var align = inArray( s.alignment, ALIGNMENTS ) ? s.alignment : 'left';
+
+		var headingHtml = '';
+		if ( ! isEmpty( s.heading ) ) {
+			headingHtml = sprintf(
+				'<tr><td style="padding-bottom:12px;"><h2 style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;padding:0;text-align:%s;">%s</h2></td></tr>',
+				escAttr( font ), hsize, tc, align, escHtml( s.heading )
+			);
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'%s' +
+							'<tr>' +
+								'<td>' +
+									'%s' +
+								'</td>' +
+							'</tr>' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			headingHtml,
+			richtextBlock(
+				sanitizeRichtext( coalesce( s.body, '' ) ),
+				sprintf( 'font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:%s;text-align:%s;', escAttr( font ), fsize, tc, lh, align )
+			)
+		);
+	}
+
+	/**
+	 * Render image section.
+	 *
+	 * @param  {Object} s  Settings.
+	 * @param  {number} mw Max width.
+	 * @return {string}
+	 */
+	function renderImage( s, mw ) {
+		if ( isEmpty( s.image_url ) ) {
+			return '';
+		}
+
+		var imgUrl = escUrl( s.image_url );
+		var alt    = escAttr( s.alt_text );
+		var width  = Math.min( 100, toInt( s.width ) );
+		var align  = inArray( s.alignment, ALIGNMENTS ) ? s.alignment : 'center';
+
+		var imgHtml = sprintf(
+			'<img src="%s" alt="%s" width="%s" style="display:block;border:0;outline:none;max-width:100%%;width:%s%%;height:auto;" />',
+			imgUrl, alt, width + '%', width
+		);
+
+		if ( ! isEmpty( s.link_url ) ) {
+			imgHtml = sprintf( '<a href="%s" style="display:block;">%s</a>', escUrl( s.link_url ), imgHtml );
+		}
+
+		var captionHtml = '';
+		if ( ! isEmpty( s.caption ) ) {
+			captionHtml = sprintf( '<p style="font-family:Arial,sans-serif;font-size:12px;color:#999999;margin:6px 0 0;text-align:%s;">%s</p>', align, escHtml( s.caption ) );
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;">' +
+				'<tr>' +
+					'<td style="padding:0;text-align:%s;">%s%s</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, align, imgHtml, captionHtml
+		);
+	}
+
+	/**
+	 * Parse a products section's product_ids setting like render_products().
+	 *
+	 * @param  {*} raw Comma-separated string or array of IDs.
+	 * @return {number[]}
+	 */
+	function parseProductIds( raw ) {
+		var list;
+		if ( typeof raw === 'string' ) {
+			list = raw.split( ',' );
+		} else if ( Array.isArray( raw ) ) {
+			list = raw;
+		} else if ( raw && typeof raw === 'object' ) {
+			list = Object.keys( raw ).map( function ( key ) { return raw[ key ]; } );
+		} else {
+			list = ( raw === undefined || raw === null ) ? [] : [ raw ];
+		}
+		return list.map( absint ).filter( Boolean );
+	}
+
+	/**
+	 * Render products section.
+	 *
+	 * @param  {Object} s     Settings.
+	 * @param  {number} mw    Max width.
+	 * @param  {string} font  Font family.
+	 * @param  {Object} cards Product cards keyed by product ID.
+	 * @return {string}
+	 */
+	function renderProducts( s, mw, font, cards ) {
+		var sectionHeadline = coalesce( s.section_headline, '' );
+		var bg         = escAttr( s.bg_color );
+		var btnColor   = escAttr( s.button_color );
+		var btnText    = escHtml( s.button_text );
+		var columns    = Math.max( 1, Math.min( 3, toInt( s.columns ) ) );
+		var showPrice  = ! isEmpty( s.show_price );
+		var showBtn    = ! isEmpty( s.show_button );
+		var titleFsize = toInt( coalesce( s.title_font_size, 16 ) );
+		var btnFsize   = toInt( coalesce( s.button_font_size, 14 ) );
+		var btnPadH    = toInt( coalesce( s.button_padding_h, 20 ) );
+		var btnPadV    = toInt( coalesce( s.button_padding_v, 10 ) );
+		var btnTc      = escAttr( coalesce( s.button_text_color, '#ffffff' ) );
+		var btnRadius  = toInt( coalesce( s.button_border_radius, 4 ) );
+		var prodGap    = toInt( coalesce( s.product_gap, 15 ) );
+		var textAlign  = inArray( coalesce( s.text_align, 'left' ), ALIGNMENTS ) ? s.text_align : 'left';
+		var squareImgs = ! isEmpty( s.square_images );
+		var imgSize    = toInt( coalesce( s.image_size, 200 ) );
+		var cellWidth  = Math.floor( 100 / columns );
+
+		var productIds = parseProductIds( coalesce( s.product_ids, '' ) );
+
+		if ( ! productIds.length || isEmpty( config.woocommerce ) ) {
+			return sprintf(
+				'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+					'<tr><td style="padding:30px;text-align:center;font-family:%s;font-size:14px;color:#999999;">' +
+						'%s' +
+					'</td></tr>' +
+				'</table>',
+				mw, mw, mw, bg, escAttr( font ),
+				escHtml( ( config.i18n || {} ).products_placeholder || 'Products will appear here. Add product IDs to this section.' )
+			);
+		}
+
+		// Build product cells.
+		var cells = [];
+		productIds.forEach( function ( pid ) {
+			var card = cards ? cards[ pid ] : null;
+			if ( ! card ) {
+				return;
+			}
+
+			var name      = escHtml( card.name );
+			var priceFont = toInt( coalesce( s.price_font_size, 16 ) );
+			var priceHtml = showPrice ? sprintf( '<p style="font-family:%s;font-size:%dpx;font-weight:700;color:#333333;margin:8px 0;padding:0;">%s</p>', escAttr( font ), priceFont, card.price ) : '';
+			var btnHtml   = '';
+			if ( showBtn ) {
+				btnHtml = sprintf(
+					'<a href="%s" style="display:inline-block;margin-top:12px;padding:%dpx %dpx;background-color:%s;color:%s;font-family:%s;font-size:%dpx;font-weight:700;text-decoration:none;border-radius:%dpx;">%s</a>',
+					escUrl( card.permalink ),
+					btnPadV,
+					btnPadH,
+					btnColor,
+					btnTc,
+					escAttr( font ),
+					btnFsize,
+					btnRadius,
+					btnText
+				);
+			}
+
+			// Build image attributes — square crop or natural height.
+			var centre   = textAlign === 'center' ? 'margin:0 auto;' : '';
+			var imgStyle = squareImgs
+				? sprintf( 'display:block;%swidth:%dpx;height:%dpx;object-fit:cover;border:0;outline:none;', centre, imgSize, imgSize )
+				: sprintf( 'display:block;%smax-width:100%%;height:auto;border:0;outline:none;', centre );
+			var imgAttrs = squareImgs
+				? sprintf( 'width="%d" height="%d"', imgSize, imgSize )
+				: 'width="200"';
+
+			cells.push( sprintf(
+				'<td style="vertical-align:top;padding:%dpx;width:%d%%;">' +
+					'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+						'<tr><td style="text-align:%s;">' +
+							'<img src="%s" alt="%s" %s style="%s" />' +
+						'</td></tr>' +
+						'<tr><td style="padding-top:12px;text-align:%s;">' +
+							'<h3 style="font-family:%s;font-size:%dpx;font-weight:700;color:#333333;margin:0;padding:0;text-align:%s;">%s</h3>' +
+							'%s' +
+							'%s' +
+						'</td></tr>' +
+					'</table>' +
+				'</td>',
+				prodGap,
+				cellWidth,
+				textAlign,
+				escUrl( card.image_url ),
+				name,
+				imgAttrs,
+				imgStyle,
+				textAlign,
+				escAttr( font ),
+				titleFsize,
+				textAlign,
+				name,
+				priceHtml,
+				btnHtml
+			) );
+		} );
+
+		if ( ! cells.length ) {
+			return '';
+		}
+
+		// Chunk cells into rows based on columns setting.
+		var rowsHtml = '';
+		for ( var i = 0; i < cells.length; i += columns ) {
+			var chunk = cells.slice( i, i + columns );
+			// Pad the last row.
+			while ( chunk.length < columns ) {
+				chunk.push( '<td class="bcg-p" style="width:' + cellWidth + '%;font-size:0;">&nbsp;</td>' );
+			}
+			rowsHtml += '<tr>' + chunk.join( '' ) + '</tr>';
+		}
+
+		var sectionHeadlineHtml = '';
+		if ( ! isEmpty( sectionHeadline ) ) {
+			sectionHeadlineHtml = sprintf(
+				'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+					'<tr><td style="padding:16px 20px 0;">' +
+						'<h2 style="font-family:%s;font-size:22px;font-weight:700;color:#333333;margin:0;padding:0;">%s</h2>' +
+					'</td></tr>' +
+				'</table>',
+				mw, mw, mw, bg,
+				escAttr( font ),
+				escHtml( sectionHeadline )
+			);
+		}
+
+		return sectionHeadlineHtml + sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr><td style="padding:20px;">' +
+					'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+						'%s' +
+					'</table>' +
+				'</td></tr>' +
+			'</table>',
+			mw, mw, mw, bg, rowsHtml
+		);
+	}
+
+	/**
+	 * Render banner section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderBanner( s, mw, font ) {
+		var bg      = escAttr( s.bg_color );
+		var tc      = escAttr( s.text_color );
+		var pt      = toInt( coalesce( s.padding_top, s.padding, 30 ) );
+		var pb      = toInt( coalesce( s.padding_bottom, s.padding, 30 ) );
+		var heading = escHtml( s.heading );
+		var subtext = sanitizeRichtext( coalesce( s.subtext, '' ) );
+		var hFsize  = toInt( coalesce( s.heading_font_size, 26 ) );
+		var sFsize  = toInt( coalesce( s.subtext_font_size, 15 ) );
+		var align   = inArray( coalesce( s.text_align, 'center' ), ALIGNMENTS ) ? coalesce( s.text_align, 'center' ) : 'center';
+
+		var subtextHtml = '';
+		if ( ! isEmpty( subtext ) ) {
+			subtextHtml = sprintf(
+				'<tr><td style="padding-top:10px;text-align:%s;">%s</td></tr>',
+				align,
+				richtextBlock( subtext, sprintf( 'font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;', escAttr( font ), sFsize, tc ) )
+			);
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;text-align:%s;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'<td style="text-align:%s;">' +
+									'<h2 style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;padding:0;">%s</h2>' +
+								'</td>' +
+							'</tr>' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb, align,
+			align,
+			escAttr( font ), hFsize, tc, heading,
+			subtextHtml
+		);
+	}
+
+	/**
+	 * Render CTA section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCta( s, mw, font ) {
+		var bg        = escAttr( s.bg_color );
+		var tc        = escAttr( s.text_color );
+		var pt        = toInt( coalesce( s.padding_top, s.padding, 40 ) );
+		var pb        = toInt( coalesce( s.padding_bottom, s.padding, 40 ) );
+		var btnBg     = escAttr( s.button_bg );
+		var btnTc     = escAttr( s.button_text_color );
+		var heading   = escHtml( s.heading );
+		var subtext   = sanitizeRichtext( coalesce( s.subtext, '' ) );
+		var btnLbl    = escHtml( s.button_text );
+		var btnUrl    = escUrl( isEmpty( s.button_url ) ? '#' : s.button_url );
+		var hFsize    = toInt( coalesce( s.heading_font_size, 26 ) );
+		var sFsize    = toInt( coalesce( s.subtext_font_size, 15 ) );
+		var btnFsize  = toInt( coalesce( s.button_font_size, 17 ) );
+		var btnPadH   = toInt( coalesce( s.button_padding_h, 40 ) );
+		var btnPadV   = toInt( coalesce( s.button_padding_v, 16 ) );
+		var btnRadius = toInt( coalesce( s.button_border_radius, 4 ) );
+
+		var subtextHtml = '';
+		if ( ! isEmpty( subtext ) ) {
+			subtextHtml = sprintf(
+				'<tr><td style="padding-bottom:20px;text-align:center;">%s</td></tr>',
+				richtextBlock( subtext, sprintf( 'font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;', escAttr( font ), sFsize, tc ) )
+			);
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;text-align:center;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'<td style="padding-bottom:16px;text-align:center;">' +
+									'<h2 style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;padding:0;">%s</h2>' +
+								'</td>' +
+							'</tr>' +
+							'%s' +
+							'<tr>' +
+								'<td style="text-align:center;">' +
+									'<a href="%s" style="display:inline-block;padding:%dpx %dpx;background-color:%s;color:%s;font-family:%s;font-size:%dpx;font-weight:700;text-decoration:none;border-radius:%dpx;">%s</a>' +
+								'</td>' +
+							'</tr>' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			escAttr( font ), hFsize, tc, heading,
+			subtextHtml,
+			btnUrl, btnPadV, btnPadH, btnBg, btnTc, escAttr( font ), btnFsize, btnRadius, btnLbl
+		);
+	}
+
+	/**
+	 * Render coupon section (Classic variant).
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCoupon( s, mw, font ) {
+		var bg     = escAttr( coalesce( s.bg_color, '#fff8e6' ) );
+		var accent = escAttr( coalesce( s.accent_color, '#e63529' ) );
+		var textC  = escAttr( coalesce( s.text_color, '#333333' ) );
+		var code   = escHtml( coalesce( s.coupon_code, '' ) );
+		var disc   = escHtml( coalesce( s.coupon_text, s.discount_text, '' ) );
+		var head   = escHtml( coalesce( s.headline, '' ) );
+		var sub    = escHtml( coalesce( s.subtext, '' ) );
+		var pt     = absint( coalesce( s.padding_top, 30 ) );
+		var pb     = absint( coalesce( s.padding_bottom, 30 ) );
+
+		var expiryDate = coalesce( s.expiry_date, '' );
+		var expiryHtml = '';
+		if ( ! isEmpty( expiryDate ) ) {
+			expiryHtml = sprintf(
+				'<tr><td style="padding-top:8px;text-align:center;"><span style="font-family:%s;font-size:12px;color:#999999;">%s</span></td></tr>',
+				escAttr( font ),
+				escHtml( formatExpiry( expiryDate ) )
+			);
+		}
+
+		var headlineHtml = ! isEmpty( head ) ? sprintf(
+			'<tr><td style="text-align:center;padding-bottom:8px;"><p style="font-family:%s;font-size:13px;font-weight:600;color:%s;margin:0;text-transform:uppercase;letter-spacing:1px;">%s</p></td></tr>',
+			escAttr( font ), textC, head
+		) : '';
+
+		var subtextHtml = ! isEmpty( sub ) ? sprintf(
+			'<tr><td style="padding-top:6px;text-align:center;"><p style="font-family:%s;font-size:13px;color:%s;margin:0;">%s</p></td></tr>',
+			escAttr( font ), textC, sub
+		) : '';
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr><td style="padding:%dpx 30px %dpx;">' +
+					'<table width="100%%" cellpadding="0" cellspacing="0" border="0" style="border:2px dashed %s;border-radius:8px;">' +
+						'<tr><td style="padding:24px;text-align:center;">' +
+							'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+								'%s' +
+								'<tr><td style="text-align:center;%s"><p style="font-family:%s;font-size:15px;color:%s;margin:0;">%s</p></td></tr>' +
+								'<tr><td style="padding-top:12px;text-align:center;"><span style="font-family:%s;font-size:28px;font-weight:900;letter-spacing:6px;color:%s;background-color:rgba(230,53,41,0.08);padding:10px 20px;border-radius:4px;display:inline-block;">%s</span></td></tr>' +
+								'%s' +
+								'%s' +
+							'</table>' +
+						'</td></tr>' +
+					'</table>' +
+				'</td></tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			accent,
+			headlineHtml,
+			! isEmpty( head ) ? 'padding-top:8px;' : '',
+			escAttr( font ), textC, disc,
+			escAttr( font ), accent, code,
+			subtextHtml,
+			expiryHtml
+		);
+	}
+
+	/**
+	 * Render coupon banner section — dark full-width horizontal layout.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCouponBanner( s, mw, font ) {
+		var bg     = escAttr( coalesce( s.bg_color, '#1a1a2e' ) );
+		var accent = escAttr( coalesce( s.accent_color, '#e63529' ) );
+		var textC  = escAttr( coalesce( s.text_color, '#ffffff' ) );
+		var head   = escHtml( coalesce( s.headline, '' ) );
+		var disc   = escHtml( coalesce( s.coupon_text, s.discount_text, '' ) );
+		var code   = escHtml( coalesce( s.coupon_code, '' ) );
+		var sub    = escHtml( coalesce( s.subtext, '' ) );
+		var pt     = absint( coalesce( s.padding_top, 28 ) );
+		var pb     = absint( coalesce( s.padding_bottom, 28 ) );
+
+		var expiryDate = coalesce( s.expiry_date, '' );
+		var expiryRow  = '';
+		if ( ! isEmpty( expiryDate ) ) {
+			expiryRow = sprintf(
+				'<tr><td style="font-family:%s;font-size:11px;color:rgba(255,255,255,0.5);padding-top:8px;">%s</td></tr>',
+				escAttr( font ),
+				escHtml( formatExpiry( expiryDate ) )
+			);
+		}
+
+		var leftW  = round( mw * 0.55 );
+		var rightW = mw - leftW;
+
+		var headRow = ! isEmpty( head ) ? sprintf(
+			'<tr><td style="font-family:%s;font-size:11px;font-weight:700;color:%s;text-transform:uppercase;letter-spacing:1.5px;padding-bottom:6px;">%s</td></tr>',
+			escAttr( font ), textC, head
+		) : '';
+
+		var subRow = ! isEmpty( sub ) ? sprintf(
+			'<tr><td style="font-family:%s;font-size:12px;color:rgba(255,255,255,0.7);padding-top:4px;">%s</td></tr>',
+			escAttr( font ), sub
+		) : '';
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td width="%d" valign="middle" style="padding:%dpx 24px %dpx 30px;width:%dpx;">' +
+						'<table cellpadding="0" cellspacing="0" border="0">' +
+							'%s' +
+							'<tr><td style="font-family:%s;font-size:22px;font-weight:800;color:%s;line-height:1.1;">%s</td></tr>' +
+							'%s' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+					'<td width="%d" valign="middle" align="center" style="padding:%dpx 30px %dpx 24px;width:%dpx;border-left:1px solid rgba(255,255,255,0.1);">' +
+						'<p style="font-family:%s;font-size:11px;color:rgba(255,255,255,0.6);margin:0 0 6px;text-transform:uppercase;letter-spacing:1px;">Use code</p>' +
+						'<span style="font-family:%s;font-size:22px;font-weight:900;letter-spacing:4px;color:%s;background:%s;padding:8px 14px;border-radius:4px;display:inline-block;">%s</span>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			leftW, pt, pb, leftW,
+			headRow,
+			escAttr( font ), textC, disc,
+			subRow, expiryRow,
+			rightW, pt, pb, rightW,
+			escAttr( font ),
+			escAttr( font ), accent, 'rgba(230,53,41,0.25)', code
+		);
+	}
+
+	/**
+	 * Render coupon card section — white card with decorative left border.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCouponCard( s, mw, font ) {
+		var bg     = escAttr( coalesce( s.bg_color, '#ffffff' ) );
+		var cardBg = escAttr( coalesce( s.card_bg, '#f8f9ff' ) );
+		var accent = escAttr( coalesce( s.accent_color, '#e63529' ) );
+		var textC  = escAttr( coalesce( s.text_color, '#222222' ) );
+		var head   = escHtml( coalesce( s.headline, '' ) );
+		var disc   = escHtml( coalesce( s.coupon_text, s.discount_text, '' ) );
+		var code   = escHtml( coalesce( s.coupon_code, '' ) );
+		var sub    = escHtml( coalesce( s.subtext, '' ) );
+		var pt     = absint( coalesce( s.padding_top, 24 ) );
+		var pb     = absint( coalesce( s.padding_bottom, 24 ) );
+
+		var expiryDate = coalesce( s.expiry_date, '' );
+		var expiryRow  = '';
+		if ( ! isEmpty( expiryDate ) ) {
+			expiryRow = sprintf(
+				'<tr><td style="font-family:%s;font-size:12px;color:#aaaaaa;padding-top:8px;">%s</td></tr>',
+				escAttr( font ),
+				escHtml( formatExpiry( expiryDate ) )
+			);
+		}
+
+		var innerW = mw - 48;
+
+		var headRow = ! isEmpty( head ) ? sprintf(
+			'<tr><td style="font-family:%s;font-size:12px;font-weight:700;color:%s;text-transform:uppercase;letter-spacing:1px;padding-bottom:10px;">%s</td></tr>',
+			escAttr( font ), accent, head
+		) : '';
+
+		var subRow = ! isEmpty( sub ) ? sprintf(
+			'<tr><td style="font-family:%s;font-size:13px;color:#888888;padding-top:6px;">%s</td></tr>',
+			escAttr( font ), sub
+		) : '';
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr><td style="padding:%dpx 24px %dpx;">' +
+					'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;background-color:%s;border-left:4px solid %s;border-radius:0 6px 6px 0;box-shadow:0 2px 12px rgba(0,0,0,0.08);">' +
+						'<tr><td style="padding:24px 28px;">' +
+							'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+								'%s' +
+								'<tr><td style="font-family:%s;font-size:18px;font-weight:700;color:%s;padding-bottom:14px;">%s</td></tr>' +
+								'<tr>' +
+									'<td style="font-family:%s;font-size:11px;color:#999999;text-transform:uppercase;letter-spacing:1px;padding-bottom:4px;display:block;">Coupon code</td>' +
+								'</tr>' +
+								'<tr>' +
+									'<td><table cellpadding="0" cellspacing="0" border="0"><tr>' +
+										'<td style="font-family:%s;font-size:20px;font-weight:900;letter-spacing:5px;color:%s;background:rgba(230,53,41,0.07);border:1.5px dashed %s;padding:10px 18px;border-radius:4px;">%s</td>' +
+									'</tr></table></td>' +
+								'</tr>' +
+								'%s' +
+								'%s' +
+							'</table>' +
+						'</td></tr>' +
+					'</table>' +
+				'</td></tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			innerW, innerW, cardBg, accent,
+			headRow,
+			escAttr( font ), textC, disc,
+			escAttr( font ),
+			escAttr( font ), accent, accent, code,
+			subRow, expiryRow
+		);
+	}
+
+	/**
+	 * Render coupon split section — two-column layout with large discount on left.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCouponSplit( s, mw, font ) {
+		var leftBg  = escAttr( coalesce( s.left_bg, '#e63529' ) );
+		var rightBg = escAttr( coalesce( s.right_bg, '#ffffff' ) );
+		var lt      = escAttr( coalesce( s.left_text_color, '#ffffff' ) );
+		var rt      = escAttr( coalesce( s.right_text_color, '#222222' ) );
+		var accent  = escAttr( coalesce( s.accent_color, '#e63529' ) );
+		var head    = escHtml( coalesce( s.headline, '' ) );
+		var disc    = escHtml( coalesce( s.discount_text, '' ) );
+		var discLbl = escHtml( coalesce( s.discount_label, 'OFF' ) );
+		var code    = escHtml( coalesce( s.coupon_code, '' ) );
+		var sub     = escHtml( coalesce( s.subtext, '' ) );
+		var pt      = absint( coalesce( s.padding_top, 0 ) );
+		var pb      = absint( coalesce( s.padding_bottom, 0 ) );
+
+		var expiryDate = coalesce( s.expiry_date, '' );
+		var expiryRow  = '';
+		if ( ! isEmpty( expiryDate ) ) {
+			expiryRow = sprintf(
+				'<tr><td style="font-family:%s;font-size:12px;color:#aaaaaa;padding-top:8px;">%s</td></tr>',
+				escAttr( font ),
+				escHtml( formatExpiry( expiryDate ) )
+			);
+		}
+
+		var halfW = round( mw / 2 );
+
+		var headRow = ! isEmpty( head ) ? sprintf(
+			'<tr><td style="font-family:%s;font-size:12px;font-weight:700;color:%s;text-transform:uppercase;letter-spacing:1px;padding-bottom:8px;opacity:0.85;">%s</td></tr>',
+			escAttr( font ), rt, head
+		) : '';
+
+		var subRow = ! isEmpty( sub ) ? sprintf(
+			'<tr><td style="font-family:%s;font-size:13px;color:#666666;padding-top:6px;">%s</td></tr>',
+			escAttr( font ), sub
+		) : '';
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;">' +
+				'<tr>' +
+					'<td width="%d" valign="middle" align="center" bgcolor="%s" style="background-color:%s;padding:%dpx 20px %dpx;width:%dpx;">' +
+						'<p style="font-family:%s;font-size:56px;font-weight:900;color:%s;margin:0;line-height:1;">%s</p>' +
+						'<p style="font-family:%s;font-size:18px;font-weight:700;color:%s;margin:0;letter-spacing:3px;opacity:0.9;">%s</p>' +
+					'</td>' +
+					'<td width="%d" valign="middle" bgcolor="%s" style="background-color:%s;padding:%dpx 28px %dpx;width:%dpx;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'%s' +
+							'<tr><td style="font-family:%s;font-size:11px;color:#999999;text-transform:uppercase;letter-spacing:1px;padding-bottom:4px;">Your code</td></tr>' +
+							'<tr><td style="font-family:%s;font-size:20px;font-weight:900;letter-spacing:4px;color:%s;background:rgba(0,0,0,0.04);border:1.5px dashed %s;padding:8px 14px;border-radius:4px;display:inline-block;">%s</td></tr>' +
+							'%s' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw,
+			halfW, leftBg, leftBg, Math.max( 30, pt + 30 ), Math.max( 30, pb + 30 ), halfW,
+			escAttr( font ), lt, disc,
+			escAttr( font ), lt, discLbl,
+			halfW, rightBg, rightBg, Math.max( 24, pt + 24 ), Math.max( 24, pb + 24 ), halfW,
+			headRow,
+			escAttr( font ),
+			escAttr( font ), accent, accent, code,
+			subRow, expiryRow
+		);
+	}
+
+	/**
+	 * Render coupon minimal section — clean borderless minimal design.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCouponMinimal( s, mw, font ) {
+		var bg         = escAttr( coalesce( s.bg_color, '#f9f9f9' ) );
+		var textC      = escAttr( coalesce( s.text_color, '#222222' ) );
+		var accent     = escAttr( coalesce( s.accent_color, '#e63529' ) );
+		var code       = escHtml( coalesce( s.coupon_code, '' ) );
+		var head       = escHtml( coalesce( s.headline, '' ) );
+		var couponText = escHtml( coalesce( s.coupon_text, '' ) );
+		var sub        = escHtml( coalesce( s.subtext, '' ) );
+		var pt         = absint( coalesce( s.padding_top, 40 ) );
+		var pb         = absint( coalesce( s.padding_bottom, 40 ) );
+
+		var expiryDate = coalesce( s.expiry_date, '' );
+		var expiryHtml = '';
+		if ( ! isEmpty( expiryDate ) ) {
+			expiryHtml = sprintf(
+				'<tr><td style="text-align:center;padding-top:8px;"><span style="font-family:%s;font-size:11px;color:%s;opacity:0.5;">%s</span></td></tr>',
+				escAttr( font ),
+				textC,
+				escHtml( formatExpiry( expiryDate ) )
+			);
+		}
+
+		var headHtml = ! isEmpty( head ) ? sprintf(
+			'<tr><td style="text-align:center;padding-bottom:8px;"><p style="margin:0 0 8px;font-family:%s;font-size:13px;color:%s;opacity:0.7;">%s</p></td></tr>',
+			escAttr( font ), textC, head
+		) : '';
+
+		var couponTextHtml = ! isEmpty( couponText ) ? sprintf(
+			'<tr><td style="text-align:center;padding-bottom:12px;"><p style="margin:0 0 12px;font-family:%s;font-size:18px;font-weight:700;color:%s;">%s</p></td></tr>',
+			escAttr( font ), textC, couponText
+		) : '';
+
+		var subHtml = ! isEmpty( sub ) ? sprintf(
+			'<tr><td style="text-align:center;padding-top:12px;"><p style="margin:0;font-family:%s;font-size:12px;color:%s;opacity:0.6;">%s</p></td></tr>',
+			escAttr( font ), textC, sub
+		) : '';
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 40px %dpx;text-align:center;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'%s' +
+							'%s' +
+							'<tr><td style="text-align:center;padding-bottom:12px;">' +
+								'<div style="display:inline-block;border:2px dashed %s;border-radius:6px;padding:10px 28px;">' +
+									'<span style="font-family:%s;font-size:24px;font-weight:900;letter-spacing:4px;color:%s;">%s</span>' +
+								'</div>' +
+							'</td></tr>' +
+							'%s' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			headHtml,
+			couponTextHtml,
+			accent,
+			escAttr( font ), accent, code,
+			subHtml,
+			expiryHtml
+		);
+	}
+
+	/**
+	 * Render coupon ribbon section — dark background with ribbon badge style.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderCouponRibbon( s, mw, font ) {
+		var bg         = escAttr( coalesce( s.bg_color, '#1a1a2e' ) );
+		var textC      = escAttr( coalesce( s.text_color, '#ffffff' ) );
+		var accent     = escAttr( coalesce( s.accent_color, '#e63529' ) );
+		var ribbon     = escAttr( coalesce( s.ribbon_color, '#f5c518' ) );
+		var code       = escHtml( coalesce( s.coupon_code, '' ) );
+		var head       = escHtml( coalesce( s.headline, '' ) );
+		var couponText = escHtml( coalesce( s.coupon_text, '' ) );
+		var sub        = escHtml( coalesce( s.subtext, '' ) );
+		var pt         = absint( coalesce( s.padding_top, 48 ) );
+		var pb         = absint( coalesce( s.padding_bottom, 48 ) );
+
+		var expiryDate = coalesce( s.expiry_date, '' );
+		var expiryHtml = '';
+		if ( ! isEmpty( expiryDate ) ) {
+			expiryHtml = sprintf(
+				'<tr><td style="text-align:center;padding-top:16px;"><span style="font-family:%s;font-size:12px;color:%s;opacity:0.5;">%s</span></td></tr>',
+				escAttr( font ),
+				textC,
+				escHtml( formatExpiry( expiryDate ) )
+			);
+		}
+
+		var headHtml = ! isEmpty( head ) ? sprintf(
+			'<tr><td style="text-align:center;padding-bottom:8px;"><h2 style="margin:0 0 8px;font-family:%s;font-size:28px;font-weight:900;color:%s;">%s</h2></td></tr>',
+			escAttr( font ), textC, head
+		) : '';
+
+		var couponTextHtml = ! isEmpty( couponText ) ? sprintf(
+			'<tr><td style="text-align:center;padding-bottom:16px;"><p style="margin:0 0 16px;font-family:%s;font-size:16px;color:%s;opacity:0.85;">%s</p></td></tr>',
+			escAttr( font ), textC, couponText
+		) : '';
+
+		var subHtml = ! isEmpty( sub ) ? sprintf(
+			'<tr><td style="text-align:center;padding-top:16px;"><p style="margin:0;font-family:%s;font-size:13px;color:%s;opacity:0.7;">%s</p></td></tr>',
+			escAttr( font ), textC, sub
+		) : '';
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 40px %dpx;text-align:center;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr><td style="text-align:center;padding-bottom:16px;">' +
+								'<div style="display:inline-block;background:%s;color:#000;font-family:%s;font-size:11px;font-weight:800;letter-spacing:2px;padding:4px 20px;text-transform:uppercase;">EXCLUSIVE OFFER</div>' +
+							'</td></tr>' +
+							'%s' +
+							'%s' +
+							'<tr><td style="text-align:center;padding-bottom:16px;">' +
+								'<div style="display:inline-block;background:%s;border-radius:4px;padding:12px 32px;">' +
+									'<span style="font-family:%s;font-size:28px;font-weight:900;letter-spacing:5px;color:#fff;">%s</span>' +
+								'</div>' +
+							'</td></tr>' +
+							'%s' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			ribbon, escAttr( font ),
+			headHtml,
+			couponTextHtml,
+			accent,
+			escAttr( font ), code,
+			subHtml,
+			expiryHtml
+		);
+	}
+
+	/**
+	 * Render divider section.
+	 *
+	 * @param  {Object} s  Settings.
+	 * @param  {number} mw Max width.
+	 * @return {string}
+	 */
+	function renderDivider( s, mw ) {
+		var color     = escAttr( s.color );
+		var thick     = toInt( s.thickness );
+		var mt        = toInt( s.margin_top );
+		var mb        = toInt( s.margin_bottom );
+		var lineStyle = inArray( coalesce( s.line_style, 'solid' ), [ 'solid', 'dashed', 'dotted', 'double' ] )
+			? coalesce( s.line_style, 'solid' )
+			: 'solid';
+
+		var lineHtml;
+		if ( lineStyle === 'solid' ) {
+			lineHtml = sprintf(
+				'<td style="height:%dpx;background-color:%s;font-size:0;line-height:0;">&nbsp;</td>',
+				thick, color
+			);
+		} else {
+			// Dashed / dotted / double use border-top; Outlook gets a solid fallback.
+			lineHtml = sprintf(
+				'<!--[if !mso]><!----><td style="height:0;border-top:%s;font-size:0;line-height:0;">&nbsp;</td><!--<![endif]-->' +
+				'<!--[if mso]><td style="height:%dpx;background-color:%s;font-size:0;line-height:0;">&nbsp;</td><![endif]-->',
+				sprintf( '%dpx %s %s', thick, lineStyle, color ),
+				Math.max( 1, thick ),
+				color
+			);
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 0 %dpx;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>%s</tr>' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw,
+			mt, mb,
+			lineHtml
+		);
+	}
+
+	/**
+	 * Render spacer section.
+	 *
+	 * @param  {Object} s Settings.
+	 * @return {string}
+	 */
+	function renderSpacer( s ) {
+		return sprintf(
+			'<table width="100%%" cellpadding="0" cellspacing="0" border="0"><tr><td style="height:%dpx;font-size:0;line-height:0;">&nbsp;</td></tr></table>',
+			toInt( s.height )
+		);
+	}
+
+	/**
+	 * Render a single social icon as a link with inline SVG.
+	 *
+	 * @param  {string} href     Link URL.
+	 * @param  {string} platform Platform key (lowercase).
+	 * @param  {string} iconBg   Icon background colour.
+	 * @param  {string} iconTc   Icon foreground / SVG fill colour.
+	 * @param  {number} size     Icon circle diameter in px.
+	 * @param  {string} abbr     Text fallback (1-2 chars).
+	 * @return {string}
+	 */
+	function renderSocialIcon( href, platform, iconBg, iconTc, size, abbr ) {
+		var path      = Object.prototype.hasOwnProperty.call( SOCIAL_PATHS, platform ) ? SOCIAL_PATHS[ platform ] : '';
+		var innerSize = Math.max( 12, round( size * 0.7 ) );
+		var svgMt     = round( ( size - innerSize ) / 2 );
+		var fallback  = '<span style="display:block;text-align:center;font-family:Arial,sans-serif;font-size:' + round( size * 0.35 ) + 'px;font-weight:700;color:' + escAttr( iconTc ) + ';line-height:' + size + 'px;text-transform:uppercase;">' + escHtml( abbr ) + '</span>';
+		var iconContent;
+
+		if ( path ) {
+			iconContent = '<!--[if !mso]><!-->' +
+				'<svg xmlns="http://www.w3.org/2000/svg" width="' + innerSize + '" height="' + innerSize + '" viewBox="0 0 24 24" role="img" aria-label="' + escAttr( ucfirst( platform ) ) + '" style="display:block;width:' + innerSize + 'px;height:' + innerSize + 'px;margin:' + svgMt + 'px auto 0;">' +
+				'<path fill="' + escAttr( iconTc ) + '" d="' + path + '"/>' +
+				'</svg>' +
+				'<!--<![endif]-->' +
+				'<!--[if mso]>' + fallback + '<![endif]-->';
+		} else {
+			iconContent = fallback;
+		}
+
+		return sprintf(
+			'<a href="%s" target="_blank" style="display:inline-block;width:%dpx;height:%dpx;min-width:%dpx;border-radius:50%%;background-color:%s;overflow:hidden;text-decoration:none;margin:0 5px;vertical-align:middle;font-size:0;line-height:0;" title="%s">%s</a>',
+			escUrl( href ),
+			size, size, size,
+			escAttr( iconBg ),
+			escAttr( ucfirst( platform ) ),
+			iconContent
+		);
+	}
+
+	/**
+	 * Build the social icon links for a social_links setting.
+	 *
+	 * @param  {*}      links  JSON string or array of { label, url }.
+	 * @param  {string} iconBg Icon background colour.
+	 * @param  {string} iconTc Icon colour.
+	 * @param  {number} size   Icon size in px.
+	 * @return {string[]}
+	 */
+	function renderSocialIcons( links, iconBg, iconTc, size ) {
+		var parts = [];
+		var data  = decodeList( links );
+		if ( ! data ) {
+			return parts;
+		}
+		data.forEach( function ( item ) {
+			if ( isEmpty( prop( item, 'label' ) ) ) { return; }
+			var key  = trim( toStr( item.label ) ).toLowerCase();
+			var abbr = Object.prototype.hasOwnProperty.call( SOCIAL_ABBREVS, key ) ? SOCIAL_ABBREVS[ key ] : key.substr( 0, 2 ).toUpperCase();
+			var href = ! isEmpty( item.url ) ? item.url : '#';
+			parts.push( renderSocialIcon( href, key, iconBg, iconTc, size, abbr ) );
+		} );
+		return parts;
+	}
+
+	/**
+	 * Render social media section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderSocial( s, mw, font ) {
+		var bg       = escAttr( coalesce( s.bg_color, '#ffffff' ) );
+		var tc       = escAttr( coalesce( s.text_color, '#333333' ) );
+		var iconBg   = coalesce( s.icon_bg, '#e63529' );
+		var iconTc   = coalesce( s.icon_color, '#ffffff' );
+		var heading  = escHtml( coalesce( s.heading, '' ) );
+		var pt       = toInt( coalesce( s.padding_top, 24 ) );
+		var pb       = toInt( coalesce( s.padding_bottom, 24 ) );
+		var fontSize = toInt( coalesce( s.font_size, 13 ) );
+		var iconSize = toInt( coalesce( s.icon_size, 40 ) );
+		var iconSide = coalesce( s.icon_side, 'centre' );
+		var logoSide = coalesce( s.logo_side, 'none' );
+		var logoUrl  = escUrl( coalesce( s.logo_url, '' ) );
+		var logoLink = escUrl( coalesce( s.logo_link, '' ) );
+
+		// Map icon_side to CSS text-align.
+		var alignMap   = { left: 'left', centre: 'center', right: 'right' };
+		var iconsAlign = Object.prototype.hasOwnProperty.call( alignMap, iconSide ) ? alignMap[ iconSide ] : 'center';
+
+		var headingHtml = '';
+		if ( ! isEmpty( heading ) ) {
+			headingHtml = sprintf(
+				'<tr><td style="text-align:%s;padding-bottom:12px;"><p style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;text-transform:uppercase;letter-spacing:2px;">%s</p></td></tr>',
+				iconsAlign,
+				escAttr( font ),
+				fontSize,
+				tc,
+				heading
+			);
+		}
+
+		var iconParts = renderSocialIcons( s.social_links, iconBg, iconTc, iconSize );
+		var iconsHtml = '';
+		if ( iconParts.length ) {
+			iconsHtml = '<tr><td style="text-align:' + iconsAlign + ';padding:4px 0;">' + iconParts.join( '' ) + '</td></tr>';
+		}
+
+		// Logo beside the icons, when a side and a URL are set.
+		var logoHtml = '';
+		if ( logoSide !== 'none' && logoUrl ) {
+			var imgTag = sprintf(
+				'<img src="%s" alt="%s" style="display:block;max-height:50px;width:auto;border:0;" />',
+				logoUrl,
+				escAttr( toStr( s.logo_alt_text ).trim() ? toStr( s.logo_alt_text ) : toStr( config.site_name ) )
+			);
+			var logoInner = logoLink
+				? '<a href="' + logoLink + '" style="display:block;text-decoration:none;">' + imgTag + '</a>'
+				: imgTag;
+
+			if ( inArray( logoSide, [ 'left', 'right' ] ) ) {
+				var logoTd  = '<td style="vertical-align:middle;width:auto;padding-right:16px;">' + logoInner + '</td>';
+				var iconsTd = '<td style="vertical-align:middle;text-align:' + iconsAlign + ';">' + iconParts.join( '' ) + '</td>';
+				logoHtml  = '<tr>' + ( logoSide === 'left' ? logoTd + iconsTd : iconsTd + logoTd ) + '</tr>';
+				iconsHtml = '';
+			}
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			headingHtml + logoHtml + iconsHtml
+		);
+	}
+
+	/**
+	 * Render footer section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderFooter( s, mw, font ) {
+		var bg   = escAttr( s.bg_color );
+		var tc   = escAttr( s.text_color );
+		var text = escHtml( s.footer_text );
+
+		var linksHtml = '';
+		if ( ! isEmpty( s.show_unsubscribe ) ) {
+			var linksData = decodeList( s.footer_links );
+			if ( linksData ) {
+				var linkItems = [];
+				linksData.forEach( function ( link ) {
+					if ( ! isEmpty( prop( link, 'label' ) ) ) {
+						var href = ! isEmpty( link.url ) ? escLinkUrl( link.url ) : '#';
+						linkItems.push( sprintf(
+							'<a href="%s" style="font-family:%s;font-size:12px;color:%s;text-decoration:underline;">%s</a>',
+							href, escAttr( font ), tc, escHtml( link.label )
+						) );
+					}
+				} );
+				if ( linkItems.length ) {
+					linksHtml = '<tr><td style="padding-top:10px;text-align:center;">' + linkItems.join( ' &nbsp;|&nbsp; ' ) + '</td></tr>';
+				}
+			}
+		}
+
+		var socialHtml = '';
+		if ( ! isEmpty( s.show_social ) ) {
+			var iconParts = renderSocialIcons( s.social_links, coalesce( s.icon_bg, '#444444' ), coalesce( s.icon_color, '#ffffff' ), 36 );
+			socialHtml = iconParts.length
+				? '<tr><td style="text-align:center;padding-top:16px;">' + iconParts.join( '' ) + '</td></tr>'
+				: '';
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:24px 30px;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'<td style="text-align:center;">' +
+									'<p style="font-family:%s;font-size:12px;color:%s;margin:0;padding:0;line-height:1.6;">%s</p>' +
+								'</td>' +
+							'</tr>' +
+							'%s' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			escAttr( font ), tc, text,
+			linksHtml,
+			socialHtml
+		);
+	}
+
+	/**
+	 * Render heading section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderHeading( s, mw, font ) {
+		var bg      = escAttr( s.bg_color );
+		var tc      = escAttr( s.text_color );
+		var accent  = escAttr( s.accent_color );
+		var align   = inArray( s.alignment, ALIGNMENTS ) ? s.alignment : 'center';
+		var fsize   = toInt( s.font_size );
+		var pt      = toInt( coalesce( s.padding_top, s.padding, 30 ) );
+		var pb      = toInt( coalesce( s.padding_bottom, s.padding, 30 ) );
+		var text    = escHtml( s.text );
+		var subtext = escHtml( coalesce( s.subtext, '' ) );
+
+		var subtextHtml = '';
+		if ( ! isEmpty( subtext ) ) {
+			subtextHtml = sprintf(
+				'<tr><td style="padding-top:8px;text-align:%s;"><p style="font-family:%s;font-size:15px;color:%s;margin:0;padding:0;">%s</p></td></tr>',
+				align, escAttr( font ), tc, subtext
+			);
+		}
+
+		var accentHtml = '';
+		if ( ! isEmpty( s.show_accent ) ) {
+			var marginCss = align === 'center' ? 'margin:10px auto 0;' : ( align === 'right' ? 'margin:10px 0 0 auto;' : 'margin:10px 0 0;' );
+			accentHtml = sprintf(
+				'<tr><td style="text-align:%s;"><div style="width:48px;height:3px;background-color:%s;border-radius:2px;%s"></div></td></tr>',
+				align, accent, marginCss
+			);
+		}
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'<td style="text-align:%s;">' +
+									'<h2 style="font-family:%s;font-size:%dpx;font-weight:700;color:%s;margin:0;padding:0;line-height:1.2;">%s</h2>' +
+								'</td>' +
+							'</tr>' +
+							'%s' +
+							'%s' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			align,
+			escAttr( font ), fsize, tc, text,
+			accentHtml,
+			subtextHtml
+		);
+	}
+
+	/**
+	 * Parse a list section's items like render_list(): one item per line,
+	 * or the legacy JSON array format.
+	 *
+	 * @param  {*} raw
+	 * @return {Array} Pairs of [ key, item ] — keys follow PHP's array keys.
+	 */
+	function parseListItems( raw ) {
+		var pairs = [];
+		var lines;
+
+		if ( Array.isArray( raw ) ) {
+			raw.forEach( function ( item, i ) { pairs.push( [ i, item ] ); } );
+			return pairs;
+		}
+		if ( raw && typeof raw === 'object' ) {
+			Object.keys( raw ).forEach( function ( key, i ) { pairs.push( [ isNaN( parseInt( key, 10 ) ) ? i : parseInt( key, 10 ), raw[ key ] ] ); } );
+			return pairs;
+		}
+
+		raw = toStr( raw );
+		if ( raw.replace( /^[ \t\n\r\0\x0B]+/, '' ).charAt( 0 ) === '[' ) {
+			// Legacy JSON format: [{"text":"..."}] or ["..."].
+			var decoded = decodeList( raw );
+			if ( decoded ) {
+				decoded.forEach( function ( item, i ) { pairs.push( [ i, item ] ); } );
+				return pairs;
+			}
+			// array_filter() keeps the original keys.
+			raw.split( '\n' ).forEach( function ( line, i ) {
+				line = trim( line );
+				if ( ! isEmpty( line ) ) { pairs.push( [ i, line ] ); }
+			} );
+			return pairs;
+		}
+
+		lines = raw.split( '\n' ).map( trim ).filter( function ( line ) { return ! isEmpty( line ); } );
+		lines.forEach( function ( line, i ) { pairs.push( [ i, line ] ); } );
+		return pairs;
+	}
+
+	/**
+	 * Render list section.
+	 *
+	 * @param  {Object} s    Settings.
+	 * @param  {number} mw   Max width.
+	 * @param  {string} font Font family.
+	 * @return {string}
+	 */
+	function renderList( s, mw, font ) {
+		var bg        = escAttr( s.bg_color );
+		var tc        = escAttr( s.text_color );
+		var accent    = escAttr( s.accent_color );
+		var fsize     = toInt( s.font_size );
+		var pt        = toInt( coalesce( s.padding_top, s.padding, 30 ) );
+		var pb        = toInt( coalesce( s.padding_bottom, s.padding, 30 ) );
+		var textAlign = inArray( coalesce( s.text_align, 'left' ), ALIGNMENTS ) ? coalesce( s.text_align, 'left' ) : 'left';
+		var style     = coalesce( s.list_style, 'bullets' );
+		var itemGap   = toInt( coalesce( s.item_gap, 8 ) );
+
+		var headingHtml = '';
+		if ( ! isEmpty( s.heading ) ) {
+			headingHtml = sprintf(
+				'<tr><td style="padding-bottom:14px;text-align:%s;"><h3 style="font-family:%s;font-size:18px;font-weight:700;color:%s;margin:0;padding:0;text-align:%s;">%s</h3></td></tr>',
+				textAlign, escAttr( font ), tc, textAlign, escHtml( s.heading )
+			);
+		}
+
+		var symbols = { checks: '&#10003;', bullets: '&#8226;', arrows: '&#8594;', stars: '&#9733;', dashes: '&#8211;', heart: '&#9829;', diamond: '&#9670;' };
+
+		var rows = '';
+		parseListItems( coalesce( s.items, '' ) ).forEach( function ( pair ) {
+			var i        = pair[0];
+			var item     = pair[1];
+			var itemText = escHtml( ( item && typeof item === 'object' ) ? coalesce( item.text, '' ) : item );
+			var marker   = '';
+
+			if ( style === 'checks' ) {
+				marker = '<span style="color:' + accent + ';font-size:16px;line-height:1;">' + symbols.checks + '</span>';
+			} else if ( style === 'numbers' ) {
+				marker = '<span style="font-family:' + escAttr( font ) + ';font-size:' + fsize + 'px;font-weight:700;color:' + accent + ';">' + ( i + 1 ) + '.</span>';
+			} else if ( style === 'bullets' ) {
+				marker = '<span style="color:' + accent + ';font-size:20px;line-height:1;">' + symbols.bullets + '</span>';
+			} else if ( inArray( style, [ 'arrows', 'stars', 'dashes', 'heart', 'diamond' ] ) ) {
+				marker = '<span style="color:' + accent + ';font-size:' + fsize + 'px;line-height:1;">' + symbols[ style ] + '</span>';
+			}
+
+			rows += sprintf(
+				'<tr>' +
+					'<td style="padding:%dpx 0 0;vertical-align:top;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'<tr>' +
+								'%s' +
+								'<td style="padding-left:%s;font-family:%s;font-size:%dpx;color:%s;line-height:1.6;">%s</td>' +
+							'</tr>' +
+						'</table>' +
+					'</td>' +
+				'</tr>',
+				i > 0 ? itemGap : 0,
+				marker ? '<td style="width:24px;vertical-align:top;padding-top:2px;">' + marker + '</td>' : '',
+				marker ? '0' : '0px',
+				escAttr( font ),
+				fsize,
+				tc,
+				itemText
+			);
+		} );
+
+		return sprintf(
+			'<table width="%d" cellpadding="0" cellspacing="0" border="0" style="width:%dpx;max-width:%dpx;background-color:%s;">' +
+				'<tr>' +
+					'<td style="padding:%dpx 30px %dpx;">' +
+						'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+							'%s' +
+							'<tr>' +
+								'<td>' +
+									'<table width="100%%" cellpadding="0" cellspacing="0" border="0">' +
+										'%s' +
+									'</table>' +
+								'</td>' +
+							'</tr>' +
+						'</table>' +
+					'</td>' +
+				'</tr>' +
+			'</table>',
+			mw, mw, mw, bg,
+			pt, pb,
+			headingHtml,
+			rows
+		);
+	}
+
+	var RENDERERS = {
+		header:         renderHeader,
+		hero:           renderHero,
+		hero_split:     renderHeroSplit,
+		text:           renderText,
+		image:          renderImage,
+		products:       renderProducts,
+		banner:         renderBanner,
+		cta:            renderCta,
+		coupon:         renderCoupon,
+		coupon_banner:  renderCouponBanner,
+		coupon_card:    renderCouponCard,
+		coupon_split:   renderCouponSplit,
+		coupon_minimal: renderCouponMinimal,
+		coupon_ribbon:  renderCouponRibbon,
+		divider:        renderDivider,
+		spacer:         renderSpacer,
+		heading:        renderHeading,
+		list:           renderList,
+		social:         renderSocial,
+		footer:         renderFooter,
+	};
+
+	// ── Inline Editing Markers ────────────────────────────────────────────
+
+	/**
+	 * Bracket the editable text fields of merged settings with field markers.
+	 *
+	 * Empty and whitespace-only values are left alone: the templates hide the
+	 * elements for them, and a marked value would no longer look empty. Rich
+	 * text is sanitised first so that its tags close before the end marker;
+	 * sanitising it again in the template changes nothing.
+	 *
+	 * @param  {Object}   s    Merged settings.
+	 * @param  {string[]} keys Editable field keys.
+	 * @param  {string[]} rich Keys of rich text settings.
+	 * @return {Object} A copy of the settings.
+	 */
+	function markFields( s, keys, rich ) {
+		var out = merge( s, {} );
+		keys.forEach( function ( key ) {
+			var value = out[ key ];
+			if ( typeof value === 'string' && rich.indexOf( key ) !== -1 ) {
+				value = sanitizeRichtext( value );
+			}
+			if ( typeof value === 'string' && ! isEmpty( value ) && trim( value ) !== '' ) {
+				out[ key ] = FIELD_OPEN + key + FIELD_SEP + value + FIELD_CLOSE;
+			}
+		} );
+		return out;
+	}
+
+	/**
+	 * Turn field markers into contenteditable spans.
+	 *
+	 * A marked value that ended up inside a tag (an attribute) is unmarked
+	 * instead, as it cannot be edited in place.
+	 *
+	 * @param  {string} html
+	 * @return {string}
+	 */
+	function placeFieldMarkers( html ) {
+		return html.replace( /\uE000([a-z0-9_]+)\uE001([\s\S]*?)\uE002/g, function ( match, key, value, offset ) {
+			var before = html.slice( 0, offset );
+			if ( before.lastIndexOf( '<' ) > before.lastIndexOf( '>' ) ) {
+				return value;
+			}
+			return '<span data-bcg-field="' + key + '" contenteditable="true">' + value + '</span>';
+		} );
+	}
+
+	// ── Email Shell ───────────────────────────────────────────────────────
+
+	/**
+	 * Wrap rendered sections in the complete HTML email document.
+	 *
+	 * @param  {string} sectionsHtml Rendered inner HTML.
+	 * @param  {number} maxWidth     Max width in pixels.
+	 * @param  {string} font         Font family string.
+	 * @return {string}
+	 */
+	function wrapInEmailShell( sectionsHtml, maxWidth, font ) {
+		return sprintf(
+			'<!DOCTYPE html>\n' +
+			'<html xmlns="http://www.w3.org/1999/xhtml" lang="en">\n' +
+			'<head>\n' +
+			'<meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />\n' +
+			'<meta name="viewport" content="width=device-width, initial-scale=1.0" />\n' +
+			'<title>%s</title>\n' +
+			'<style type="text/css">\n' +
+			'body { margin: 0; padding: 0; }\n' +
+			'img  { border: 0; height: auto; line-height: 100%%; outline: none; text-decoration: none; }\n' +
+			'table td { border-collapse: collapse; }\n' +
+			'@media only screen and (max-width: 620px) {\n' +
+			'  /* Section-level tables go full width */\n' +
+			'  table.bcg-s { width: 100%% !important; max-width: 100%% !important; }\n' +
+			'  /* Content wrapper goes full width */\n' +
+			'  table.bcg-w { width: 100%% !important; }\n' +
+			'  /* Product cells stack vertically */\n' +
+			'  td.bcg-p { display: block !important; width: 100%% !important; box-sizing: border-box !important; }\n' +
+			'  /* Hide header nav on mobile */\n' +
+			'  td.bcg-nav { display: none !important; }\n' +
+			'  /* All images in sections become fluid */\n' +
+			'  table.bcg-s img { max-width: 100%% !important; height: auto !important; }\n' +
+			'}\n' +
+			'</style>\n' +
+			'<!--[if mso]>\n' +
+			'<style>\n' +
+			'* { font-family: %s !important; }\n' +
+			'</style>\n' +
+			'<![endif]-->\n' +
+			'</head>\n' +
+			'<body style="margin:0;padding:0;background-color:#f5f5f5;font-family:%s;">\n' +
+			'<center>\n' +
+			'<table width="100%%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f5f5f5;">\n' +
+			'<tr>\n' +
+			'<td align="center" style="padding:20px 0;">\n' +
+			'<table class="bcg-w" width="%d" cellpadding="0" cellspacing="0" border="0" style="width:100%%;max-width:%dpx;">\n' +
+			'<tr><td>\n' +
+			'%s\n' +
+			'</td></tr>\n' +
+			'</table>\n' +
+			'</td>\n' +
+			'</tr>\n' +
+			'</table>\n' +
+			'</center>\n' +
+			'</body>\n' +
+			'</html>',
+			escHtml( config.site_name ),
+			escHtml( font ),
+			escHtml( font ),
+			maxWidth, maxWidth,
+			sectionsHtml
+		);
+	}
+
+	// ── Public API ────────────────────────────────────────────────────────
+
+	window.BCGSectionRenderer = {
+
+		/**
+		 * Render one section's inner HTML, without the email shell.
+		 *
+		 * @param  {string} type     Section type slug.
+		 * @param  {Object} settings Section settings; registry defaults fill the gaps.
+		 * @param  {number} maxWidth Max width in pixels.
+		 * @param  {string} font     Font family.
+		 * @param  {Object} cards    Product cards keyed by product ID (products sections only).
+		 * @param  {Array}  fields   Optional. Text field keys to make editable in place.
+		 * @return {string}
+		 */
+		renderSection: function ( type, settings, maxWidth, font, cards, fields ) {
+			var renderer = RENDERERS[ type ];
+			if ( ! renderer ) {
+				return '';
+			}
+			var defaults = ( config.defaults || {} )[ type ] || {};
+			var s        = merge( Array.isArray( defaults ) ? {} : defaults, settings );
+			if ( fields && fields.length ) {
+				return placeFieldMarkers( renderer( markFields( s, fields, RICHTEXT_FIELDS[ type ] || [] ), maxWidth, font, cards || {} ) );
+			}
+			return renderer( s, maxWidth, font, cards || {} );
+		},
+
+		/**
+		 * Render an array of sections to a complete email document —
+		 * the equivalent of BCG_Section_Renderer::render_sections().
+		 *
+		 * @param  {Array}  sections       Section objects ({ id, type, settings }).
+		 * @param  {Object} globalSettings Global settings (max_width, font_family).
+		 * @param  {Object} cards          Product cards keyed by product ID.
+		 * @param  {Object} options        Optional. {
+		 *     @type {string[]} editableFields Text field keys to wrap in
+		 *                                     <span data-bcg-field contenteditable>
+		 *                                     for inline editing. Preview only.
+		 * }
+		 * @return {string}
+		 */
+		render: function ( sections, globalSettings, cards, options ) {
+			var self       = this;
+			var globals    = globalSettings || {};
+			var maxWidth   = toInt( coalesce( globals.max_width, MAX_WIDTH ) );
+			var fontFamily = toStr( coalesce( globals.font_family, FONT_FAMILY ) );
+			var fields     = ( options && options.editableFields ) || null;
+			var html       = '';
+
+			( sections || [] ).forEach( function ( section ) {
+				if ( ! section || section.type === undefined || section.type === null ) {
+					return;
+				}
+				var settings = ( section.settings && typeof section.settings === 'object' && ! Array.isArray( section.settings ) ) ? section.settings : {};
+				var id       = sanitizeKey( section.id );
+				if ( id !== '' ) {
+					html += '<!-- ' + SECTION_MARKER + id + ' -->\n';
+				}
+				html += self.renderSection( sanitizeKey( section.type ), settings, maxWidth, fontFamily, cards, fields );
+			} );
+
+			return wrapInEmailShell( html, maxWidth, fontFamily );
+		},
+
+		/**
+		 * Add data-bcg-section attributes to the root table of each section,
+		 * for previews — see BCG_Section_Renderer::add_section_attributes().
+		 *
+		 * @param  {string} html Output of render().
+		 * @return {string}
+		 */
+		addSectionAttributes: function ( html ) {
+			return String( html ).replace(
+				/(<!-- bcg-section:([a-z0-9_\-]+) -->\s*)<table\b/g,
+				'$1<table data-bcg-section="$2"'
+			);
+		},
+
+		/**
+		 * Reduce a rich text setting to email-safe HTML — see
+		 * BCG_Section_Renderer::sanitize_richtext().
+		 *
+		 * @param  {string} html
+		 * @return {string}
+		 */
+		sanitizeRichtext: function ( html ) {
+			return sanitizeRichtext( html );
+		},
+
+		/**
+		 * Collect the product IDs referenced by products sections.
+		 *
+		 * @param  {Array} sections
+		 * @return {number[]} Unique IDs.
+		 */
+		getProductIds: function ( sections ) {
+			var ids = [];
+			( sections || [] ).forEach( function ( section ) {
+				if ( ! section || sanitizeKey( section.type ) !== 'products' || ! section.settings ) {
+					return;
+				}
+				parseProductIds( coalesce( section.settings.product_ids, '' ) ).forEach( function ( id ) {
+					if ( ids.indexOf( id ) === -1 ) { ids.push( id ); }
+				} );
+			} );
+			return ids;
+		},
+
+		/**
+		 * Collapse source-formatting whitespace so client and server output can
+		 * be compared: the PHP templates are indented, these ones are not.
+		 *
+		 * @param  {string} html
+		 * @return {string}
+		 */
+		normalise: function ( html ) {
+			return String( html ).replace( /\s+/g, ' ' ).replace( /\s*(<[^>]*>)\s*/g, '$1' ).trim();
+		},
+	};
+
+} )( window );
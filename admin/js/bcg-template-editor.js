@@ -10,7 +10,7 @@
  * @since   1.0.0
  */
 
-/* global jQuery, wp, bcg_template_editor */
+/* global jQuery, wp, bcg_template_editor, BCGPreviewFrame */
 (function ($) {
 	'use strict';
 
@@ -704,6 +704,8 @@
 		/**
 		 * Write HTML content into the preview iframe.
 		 *
+		 * Only the sections that changed are replaced; see bcg-preview-frame.js.
+		 *
 		 * @param {string} html The full HTML document.
 		 */
 		updateIframeContent: function (html) {
@@ -713,16 +715,20 @@
 				return;
 			}
 
-			// Use srcdoc for modern browsers.
-			iframe.srcdoc = html;
+			var iframeDoc = BCGPreviewFrame.write(iframe, html);
 
-			// Rebuild overlays after iframe loads and auto-size iframe to content.
-			iframe.onload = function () {
-				setTimeout(function () {
-					self.autoSizeIframe();
-					self.buildSectionOverlays();
-				}, 100);
+			// Auto-size the iframe to its content and rebuild overlays, again
+			// once images have loaded.
+			var refresh = function () {
+				self.autoSizeIframe();
+				self.buildSectionOverlays();
 			};
+
+			setTimeout(refresh, 100);
+
+			if (iframeDoc && iframeDoc.readyState !== 'complete') {
+				iframe.contentWindow.addEventListener('load', refresh);
+			}
 		},
 
 		/**
@@ -747,6 +753,11 @@
 				return;
 			}
 
+			// Collapsing the iframe shortens the scrolling wrapper for a moment;
+			// keep its position so the preview does not jump back to the top.
+			var wrapper   = document.getElementById('bcg-preview-wrapper');
+			var scrollTop = wrapper ? wrapper.scrollTop : 0;
+
 			// Temporarily collapse to 1px so that body { height: 100% } in email
 			// templates does not inflate scrollHeight beyond actual content height.
 			iframe.style.height = '1px';
@@ -759,6 +770,10 @@
 			if (contentHeight > 0) {
 				iframe.style.height = contentHeight + 'px';
 			}
+
+			if (wrapper) {
+				wrapper.scrollTop = scrollTop;
+			}
 		},
 
 		/**
@@ -3,8 +3,9 @@
  * Dashboard view -- campaign list and quick stats.
  *
  * Displays summary stat cards (total campaigns, drafts, sent, credit
- * balance), a filterable/searchable campaigns table with pagination
- * (20 per page), and a quick-action button for creating new campaigns.
+ * balance), the generation queue and recurring campaigns panels, a
+ * filterable/searchable campaigns table with pagination (20 per page),
+ * and a quick-action button for creating new campaigns.
  *
  * @package Brevo_Campaign_Generator
  * @since   1.0.0
@@ -95,6 +96,43 @@ $status_badge_classes = array(
 	'sent'      => 'bcg-status-sent',
 	'scheduled' => 'bcg-status-scheduled',
 );
+
+// Background generation queue.
+$generation_queue = BCG_Plugin::get_instance()->get_generation_queue();
+$queue_items      = array();
+if ( $generation_queue && $user_id ) {
+	$generation_queue->ensure_scheduled();
+	$queue_items = $generation_queue->get_items( $user_id );
+}
+
+$queue_status_labels = array(
+	'queued'    => __( 'Queued', 'brevo-campaign-generator' ),
+	'running'   => __( 'Generating', 'brevo-campaign-generator' ),
+	'complete'  => __( 'Complete', 'brevo-campaign-generator' ),
+	'failed'    => __( 'Failed', 'brevo-campaign-generator' ),
+	'cancelled' => __( 'Cancelled', 'brevo-campaign-generator' ),
+);
+
+$queue_badge_classes = array(
+	'queued'    => 'bcg-badge-draft',
+	'running'   => 'bcg-badge-ready',
+	'complete'  => 'bcg-badge-sent',
+	'failed'    => 'bcg-badge-error',
+	'cancelled' => 'bcg-badge-draft',
+);
+
+// Recurring campaigns.
+$recurring_campaigns = BCG_Plugin::get_instance()->get_recurring_campaigns();
+$recurring_items     = array();
+if ( $recurring_campaigns && $user_id ) {
+	$recurring_items = $recurring_campaigns->get_items( $user_id );
+	if ( $recurring_items ) {
+		$recurring_campaigns->ensure_scheduled();
+	}
+}
+
+// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only notice after the wizard redirect.
+$queued_notice = isset( $_GET['bcg_queued'] ) ? absint( $_GET['bcg_queued'] ) : 0;
 ?>
 
 <?php require BCG_PLUGIN_DIR . 'admin/views/partials/plugin-header.php'; ?>
@@ -164,6 +202,131 @@ $status_badge_classes = array(
 
 	</div>
 
+	<!-- ─── Generation Queue ───────────────────────────────────────── -->
+
+	<?php if ( $queued_notice ) : ?>
+		<div class="bcg-notice bcg-notice-success bcg-mb-16">
+			<?php
+			printf(
+				/* translators: %d: number of campaigns queued */
+				esc_html( _n( '%d campaign was queued and is being generated in the background. You can leave this page — progress is shown below.', '%d campaigns were queued and are being generated in the background. You can leave this page — progress is shown below.', $queued_notice, 'brevo-campaign-generator' ) ),
+				absint( $queued_notice )
+			);
+			?>
+		</div>
+	<?php endif; ?>
+
+	<div class="bcg-card bcg-queue-panel bcg-mb-20" id="bcg-queue-panel"<?php echo empty( $queue_items ) ? ' style="display:none;"' : ''; ?>>
+		<div class="bcg-queue-header">
+			<h2>
+				<span class="material-icons-outlined" aria-hidden="true">pending_actions</span>
+				<?php esc_html_e( 'Generation Queue', 'brevo-campaign-generator' ); ?>
+			</h2>
+			<span class="bcg-text-muted bcg-text-small" id="bcg-queue-summary"></span>
+			<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-queue-clear">
+				<?php esc_html_e( 'Clear finished', 'brevo-campaign-generator' ); ?>
+			</button>
+		</div>
+		<ul class="bcg-queue-list" id="bcg-queue-list">
+			<?php foreach ( $queue_items as $queue_item ) : ?>
+				<li class="bcg-queue-item bcg-queue-item-<?php echo esc_attr( $queue_item['status'] ); ?>" data-item-id="<?php echo absint( $queue_item['id'] ); ?>" data-status="<?php echo esc_attr( $queue_item['status'] ); ?>">
+					<span class="bcg-badge <?php echo esc_attr( $queue_badge_classes[ $queue_item['status'] ] ?? 'bcg-badge-draft' ); ?>">
+						<?php echo esc_html( $queue_status_labels[ $queue_item['status'] ] ?? $queue_item['status'] ); ?>
+					</span>
+					<span class="bcg-queue-item-main">
+						<span class="bcg-queue-item-label">
+							<?php echo esc_html( '' !== $queue_item['label'] ? $queue_item['label'] : __( 'Untitled campaign', 'brevo-campaign-generator' ) ); ?>
+						</span>
+						<?php if ( $queue_item['message'] ) : ?>
+							<span class="bcg-queue-item-detail"><?php echo esc_html( $queue_item['message'] ); ?></span>
+						<?php elseif ( $queue_item['error'] ) : ?>
+							<span class="bcg-queue-item-detail bcg-queue-item-error"><?php echo esc_html( $queue_item['error'] ); ?></span>
+						<?php elseif ( $queue_item['warnings'] ) : ?>
+							<span class="bcg-queue-item-detail" title="<?php echo esc_attr( implode( "\n", $queue_item['warnings'] ) ); ?>">
+								<?php
+								printf(
+									/* translators: %d: number of warnings */
+									esc_html__( '%d warning(s)', 'brevo-campaign-generator' ),
+									count( $queue_item['warnings'] )
+								);
+								?>
+							</span>
+						<?php endif; ?>
+					</span>
+					<span class="bcg-queue-item-actions">
+						<?php if ( $queue_item['edit_url'] ) : ?>
+							<a href="<?php echo esc_url( $queue_item['edit_url'] ); ?>" class="bcg-btn-secondary bcg-btn-sm"><?php esc_html_e( 'Edit', 'brevo-campaign-generator' ); ?></a>
+						<?php endif; ?>
+						<?php if ( in_array( $queue_item['status'], array( 'failed', 'cancelled' ), true ) ) : ?>
+							<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-queue-retry"><?php esc_html_e( 'Retry', 'brevo-campaign-generator' ); ?></button>
+						<?php elseif ( in_array( $queue_item['status'], array( 'queued', 'running' ), true ) ) : ?>
+							<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-queue-cancel"><?php esc_html_e( 'Cancel', 'brevo-campaign-generator' ); ?></button>
+						<?php endif; ?>
+					</span>
+				</li>
+			<?php endforeach; ?>
+		</ul>
+	</div>
+
+	<!-- ─── Recurring Campaigns ────────────────────────────────────── -->
+
+	<div class="bcg-card bcg-queue-panel bcg-recurring-panel bcg-mb-20" id="bcg-recurring-panel"<?php echo empty( $recurring_items ) ? ' style="display:none;"' : ''; ?>>
+		<div class="bcg-queue-header">
+			<h2>
+				<span class="material-icons-outlined" aria-hidden="true">event_repeat</span>
+				<?php esc_html_e( 'Recurring Campaigns', 'brevo-campaign-generator' ); ?>
+			</h2>
+		</div>
+		<ul class="bcg-queue-list" id="bcg-recurring-list">
+			<?php foreach ( $recurring_items as $recurring_item ) : ?>
+				<li class="bcg-queue-item bcg-recurring-item" data-recurring-id="<?php echo absint( $recurring_item['id'] ); ?>" data-status="<?php echo esc_attr( $recurring_item['status'] ); ?>" data-name="<?php echo esc_attr( $recurring_item['name'] ); ?>">
+					<span class="bcg-badge <?php echo 'active' === $recurring_item['status'] ? 'bcg-badge-sent' : 'bcg-badge-draft'; ?>">
+						<?php echo 'active' === $recurring_item['status'] ? esc_html__( 'Active', 'brevo-campaign-generator' ) : esc_html__( 'Paused', 'brevo-campaign-generator' ); ?>
+					</span>
+					<span class="bcg-queue-item-main">
+						<span class="bcg-queue-item-label"><?php echo esc_html( $recurring_item['name'] ); ?></span>
+						<span class="bcg-queue-item-detail">
+							<?php echo esc_html( $recurring_item['schedule'] . ' · ' . $recurring_item['brevo_action'] ); ?>
+						</span>
+						<?php if ( $recurring_item['next_run'] ) : ?>
+							<span class="bcg-queue-item-detail">
+								<?php
+								/* translators: %s: date and time of the next run */
+								printf( esc_html__( 'Next run: %s', 'brevo-campaign-generator' ), esc_html( $recurring_item['next_run'] ) );
+								?>
+							</span>
+						<?php endif; ?>
+						<?php if ( $recurring_item['last_run'] ) : ?>
+							<span class="bcg-queue-item-detail<?php echo $recurring_item['last_error'] ? ' bcg-queue-item-error' : ''; ?>">
+								<?php
+								printf(
+									/* translators: 1: date and time of the last run, 2: its status */
+									esc_html__( 'Last run: %1$s — %2$s', 'brevo-campaign-generator' ),
+									esc_html( $recurring_item['last_run'] ),
+									esc_html( $recurring_item['last_error'] ? $recurring_item['last_error'] : ( $queue_status_labels[ $recurring_item['last_status'] ] ?? $recurring_item['last_status'] ) )
+								);
+								?>
+								<?php if ( $recurring_item['last_url'] ) : ?>
+									<a href="<?php echo esc_url( $recurring_item['last_url'] ); ?>"><?php esc_html_e( 'View campaign', 'brevo-campaign-generator' ); ?></a>
+								<?php endif; ?>
+							</span>
+						<?php endif; ?>
+					</span>
+					<span class="bcg-queue-item-actions">
+						<a href="<?php echo esc_url( $recurring_item['edit_url'] ); ?>" class="bcg-btn-secondary bcg-btn-sm"><?php esc_html_e( 'Edit', 'brevo-campaign-generator' ); ?></a>
+						<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-run"><?php esc_html_e( 'Run now', 'brevo-campaign-generator' ); ?></button>
+						<?php if ( 'active' === $recurring_item['status'] ) : ?>
+							<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-pause"><?php esc_html_e( 'Pause', 'brevo-campaign-generator' ); ?></button>
+						<?php else : ?>
+							<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-resume"><?php esc_html_e( 'Resume', 'brevo-campaign-generator' ); ?></button>
+						<?php endif; ?>
+						<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-recurring-delete"><?php esc_html_e( 'Delete', 'brevo-campaign-generator' ); ?></button>
+					</span>
+				</li>
+			<?php endforeach; ?>
+		</ul>
+	</div>
+
 	<!-- ─── Status Filter Tabs ─────────────────────────────────────── -->
 
 	<div class="bcg-dashboard-filters bcg-mb-16">
@@ -87,6 +87,12 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 		$sections_data = $decoded;
 	}
 }
+
+// Main language; older campaigns fall back to the default language.
+$campaign_language = BCG_Campaign_Translations::normalise_code( (string) ( $campaign->language ?? '' ) );
+if ( '' === $campaign_language ) {
+	$campaign_language = BCG_Campaign_Translations::normalise_code( (string) get_option( 'bcg_default_language', 'English' ) ) ?: 'en';
+}
 ?>
 <?php require BCG_PLUGIN_DIR . 'admin/views/partials/plugin-header.php'; ?>
 <div class="wrap bcg-wrap bcg-editor-wrap" data-builder-type="<?php echo esc_attr( $builder_type ); ?>" data-campaign-id="<?php echo absint( $campaign_id ); ?>">
@@ -143,6 +149,24 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 								value="<?php echo esc_attr( $campaign->subject ?? '' ); ?>"
 								placeholder="<?php esc_attr_e( 'Enter email subject line...', 'brevo-campaign-generator' ); ?>"
 							/>
+							<button type="button"
+								class="button bcg-merge-tag-btn"
+								data-target="#bcg-subject"
+								title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+							</button>
+							<button type="button"
+								class="button bcg-rewrite-btn"
+								data-target="#bcg-subject"
+								data-campaign-id="<?php echo absint( $campaign_id ); ?>"
+								data-field="subject_line"
+								title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+							</button>
 							<button type="button"
 								class="button bcg-regen-field bcg-regen-btn"
 								data-field="subject_line"
@@ -165,6 +189,24 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 								value="<?php echo esc_attr( $campaign->preview_text ?? '' ); ?>"
 								placeholder="<?php esc_attr_e( 'Email preview text shown in inbox...', 'brevo-campaign-generator' ); ?>"
 							/>
+							<button type="button"
+								class="button bcg-merge-tag-btn"
+								data-target="#bcg-preview-text"
+								title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+							</button>
+							<button type="button"
+								class="button bcg-rewrite-btn"
+								data-target="#bcg-preview-text"
+								data-campaign-id="<?php echo absint( $campaign_id ); ?>"
+								data-field="preview_text"
+								title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+							</button>
 							<button type="button"
 								class="button bcg-regen-field bcg-regen-btn"
 								data-field="preview_text"
@@ -174,6 +216,60 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 						</div>
 					</div>
 
+					<!-- A/B Subject Line Test -->
+					<?php $ab_test = BCG_AB_Test::sanitise( $campaign->ab_test ?? null ); ?>
+					<div class="bcg-field-group bcg-mb-16 bcg-ab-test" id="bcg-ab-test"
+						data-config="<?php echo esc_attr( wp_json_encode( $ab_test ) ); ?>"
+						data-max-variants="<?php echo absint( BCG_AB_Test::MAX_VARIANTS ); ?>">
+						<label class="bcg-toggle" for="bcg-ab-enabled">
+							<span class="bcg-toggle-switch">
+								<input type="checkbox" id="bcg-ab-enabled" value="1" <?php checked( $ab_test['enabled'] ); ?> />
+								<span class="bcg-toggle-thumb"></span>
+							</span>
+							<span class="bcg-toggle-content">
+								<span class="bcg-toggle-title"><?php esc_html_e( 'A/B test subject lines', 'brevo-campaign-generator' ); ?></span>
+								<span class="bcg-toggle-description"><?php esc_html_e( 'Brevo sends two subject lines to a test group each, then sends the winner to the rest of the list.', 'brevo-campaign-generator' ); ?></span>
+							</span>
+						</label>
+
+						<div class="bcg-ab-settings" id="bcg-ab-settings" style="display: none;">
+							<p class="description">
+								<?php esc_html_e( 'Write or generate up to four variants and tick the two to test. Brevo tests subject lines only, so the first ticked variant\'s preview text is used for both versions.', 'brevo-campaign-generator' ); ?>
+							</p>
+
+							<div class="bcg-ab-variants" id="bcg-ab-variants"></div>
+
+							<button type="button" class="button" id="bcg-ab-add-variant">
+								<span class="material-icons-outlined" aria-hidden="true">add</span>
+								<?php esc_html_e( 'Add Variant', 'brevo-campaign-generator' ); ?>
+							</button>
+
+							<div class="bcg-product-rules-grid bcg-mt-16">
+								<div class="bcg-product-rule">
+									<label for="bcg-ab-split" class="bcg-field-label">
+										<?php esc_html_e( 'Test group size (% per version)', 'brevo-campaign-generator' ); ?>
+									</label>
+									<input type="number" id="bcg-ab-split" class="small-text" min="1" max="<?php echo absint( BCG_AB_Test::MAX_SPLIT ); ?>" value="<?php echo absint( $ab_test['split'] ); ?>" />
+								</div>
+								<div class="bcg-product-rule">
+									<label for="bcg-ab-winner" class="bcg-field-label">
+										<?php esc_html_e( 'Pick the winner by', 'brevo-campaign-generator' ); ?>
+									</label>
+									<select id="bcg-ab-winner" class="bcg-select-styled">
+										<option value="open" <?php selected( $ab_test['winner'], 'open' ); ?>><?php esc_html_e( 'Open rate', 'brevo-campaign-generator' ); ?></option>
+										<option value="click" <?php selected( $ab_test['winner'], 'click' ); ?>><?php esc_html_e( 'Click rate', 'brevo-campaign-generator' ); ?></option>
+									</select>
+								</div>
+								<div class="bcg-product-rule">
+									<label for="bcg-ab-duration" class="bcg-field-label">
+										<?php esc_html_e( 'Test duration (hours)', 'brevo-campaign-generator' ); ?>
+									</label>
+									<input type="number" id="bcg-ab-duration" class="small-text" min="1" max="<?php echo absint( BCG_AB_Test::MAX_DURATION ); ?>" value="<?php echo absint( $ab_test['duration'] ); ?>" />
+								</div>
+							</div>
+						</div>
+					</div>
+
 				<?php if ( 'flat' === $builder_type ) : ?>
 					<!-- Main Headline -->
 					<div class="bcg-field-group bcg-mb-16">
@@ -188,6 +284,24 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 								rows="2"
 								placeholder="<?php esc_attr_e( 'Campaign main headline...', 'brevo-campaign-generator' ); ?>"
 							><?php echo esc_textarea( $campaign->main_headline ?? '' ); ?></textarea>
+							<button type="button"
+								class="button bcg-merge-tag-btn"
+								data-target="#bcg-main-headline"
+								title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+							</button>
+							<button type="button"
+								class="button bcg-rewrite-btn"
+								data-target="#bcg-main-headline"
+								data-campaign-id="<?php echo absint( $campaign_id ); ?>"
+								data-field="main_headline"
+								title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+							</button>
 							<button type="button"
 								class="button bcg-regen-field bcg-regen-btn"
 								data-field="main_headline"
@@ -237,6 +351,31 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 								value="<?php echo esc_url( $campaign->main_image_url ?? '' ); ?>"
 							/>
 						</div>
+						<label class="bcg-field-label bcg-mt-8" for="bcg-main-image-alt">
+							<?php esc_html_e( 'Image Alt Text', 'brevo-campaign-generator' ); ?>
+						</label>
+						<div class="bcg-field-with-regen">
+							<input type="text"
+								id="bcg-main-image-alt"
+								class="bcg-campaign-field large-text"
+								data-field="main_image_alt"
+								value="<?php echo esc_attr( $campaign->main_image_alt ?? '' ); ?>"
+								placeholder="<?php echo esc_attr( wp_strip_all_tags( (string) $campaign->main_headline ) ); ?>"
+							/>
+							<button type="button"
+								class="button bcg-alt-text-btn"
+								data-target="#bcg-main-image-alt"
+								data-image="#bcg-main-image-url"
+								data-context="#bcg-main-headline, #bcg-main-description"
+								data-language="#bcg-campaign-language"
+								title="<?php esc_attr_e( 'Write alt text with AI', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Write alt text with AI', 'brevo-campaign-generator' ); ?>">
+								<span class="material-icons-outlined" aria-hidden="true">auto_awesome</span>
+							</button>
+						</div>
+						<p class="description">
+							<?php esc_html_e( 'Describes the image for screen readers and when images are blocked. Leave empty to use the headline.', 'brevo-campaign-generator' ); ?>
+						</p>
 					</div>
 
 					<!-- Main Description -->
@@ -252,6 +391,24 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 								rows="4"
 								placeholder="<?php esc_attr_e( 'Campaign description text...', 'brevo-campaign-generator' ); ?>"
 							><?php echo esc_textarea( $campaign->main_description ?? '' ); ?></textarea>
+							<button type="button"
+								class="button bcg-merge-tag-btn"
+								data-target="#bcg-main-description"
+								title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+							</button>
+							<button type="button"
+								class="button bcg-rewrite-btn"
+								data-target="#bcg-main-description"
+								data-campaign-id="<?php echo absint( $campaign_id ); ?>"
+								data-field="main_description"
+								title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+							</button>
 							<button type="button"
 								class="button bcg-regen-field bcg-regen-btn"
 								data-field="main_description"
@@ -308,6 +465,14 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 								value="<?php echo esc_attr( $coupon_text ); ?>"
 								placeholder="<?php esc_attr_e( 'e.g. Get 20% off your order!', 'brevo-campaign-generator' ); ?>"
 							/>
+							<button type="button"
+								class="button bcg-rewrite-btn"
+								data-target="#bcg-coupon-text"
+								title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+							</button>
 							<button type="button"
 								class="button bcg-regen-field bcg-regen-btn"
 								data-field="coupon_suggestion"
@@ -486,6 +651,8 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 					$sec_info     = $section_labels[ $sec_type ] ?? array( 'label' => ucfirst( $sec_type ), 'icon' => 'widgets' );
 					$sec_ai_fields = $ai_fields[ $sec_type ] ?? array();
 					$has_ai       = ! empty( $sec_ai_fields );
+					// Rich text settings hold HTML, which the rewrite menu must keep.
+					$sec_richtext = wp_list_pluck( wp_list_filter( BCG_Section_Registry::get( $sec_type )['fields'] ?? array(), array( 'type' => 'richtext' ) ), 'key' );
 					?>
 					<div class="bcg-section-edit-card" data-section-id="<?php echo $sec_id; ?>" data-section-type="<?php echo esc_attr( $sec_type ); ?>" data-section-index="<?php echo absint( $sec_index ); ?>">
 						<input type="hidden" class="bcg-section-full-settings" value="<?php echo esc_attr( wp_json_encode( $sec_settings ) ); ?>" />
@@ -510,19 +677,38 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 									<label class="bcg-field-label">
 										<?php echo esc_html( $field['label'] ); ?>
 									</label>
-									<?php if ( 'textarea' === $field['type'] ) : ?>
-									<textarea
-										class="large-text bcg-section-field"
-										data-field="<?php echo esc_attr( $field['key'] ); ?>"
-										rows="<?php echo absint( $field['rows'] ?? 2 ); ?>"
-									><?php echo esc_textarea( $field_val ); ?></textarea>
-									<?php else : ?>
-									<input type="text"
-										class="large-text bcg-section-field"
-										data-field="<?php echo esc_attr( $field['key'] ); ?>"
-										value="<?php echo esc_attr( $field_val ); ?>"
-									/>
-									<?php endif; ?>
+									<div class="bcg-field-with-regen">
+										<?php if ( 'textarea' === $field['type'] ) : ?>
+										<textarea
+											class="large-text bcg-section-field"
+											data-field="<?php echo esc_attr( $field['key'] ); ?>"
+											rows="<?php echo absint( $field['rows'] ?? 2 ); ?>"
+										><?php echo esc_textarea( $field_val ); ?></textarea>
+										<?php else : ?>
+										<input type="text"
+											class="large-text bcg-section-field"
+											data-field="<?php echo esc_attr( $field['key'] ); ?>"
+											value="<?php echo esc_attr( $field_val ); ?>"
+										/>
+										<?php endif; ?>
+										<button type="button"
+											class="button bcg-merge-tag-btn"
+											title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+											aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+											aria-haspopup="dialog" aria-expanded="false">
+											<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+										</button>
+										<?php if ( 'coupon_code' !== $field['key'] ) : ?>
+										<button type="button"
+											class="button bcg-rewrite-btn"
+											<?php echo in_array( $field['key'], $sec_richtext, true ) ? 'data-format="html"' : ''; ?>
+											title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+											aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+											aria-haspopup="dialog" aria-expanded="false">
+											<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+										</button>
+										<?php endif; ?>
+									</div>
 								</div>
 								<?php endforeach; ?>
 							<?php elseif ( 'products' === $sec_type ) : ?>
@@ -605,6 +791,44 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 			</div><!-- #bcg-section-products -->
 			<?php endif; // flat builder_type ?>
 
+			<!-- ── LANGUAGES SECTION ─────────────────────────────── -->
+			<div class="bcg-card bcg-editor-section" id="bcg-section-languages"
+				data-max-languages="<?php echo absint( BCG_Campaign_Translations::MAX_LANGUAGES ); ?>">
+				<div class="bcg-card-header">
+					<h3><?php esc_html_e( 'Languages', 'brevo-campaign-generator' ); ?></h3>
+				</div>
+				<div class="bcg-card-body">
+					<p class="description bcg-mt-0">
+						<?php esc_html_e( 'Translate the campaign with AI. Each language is sent as its own Brevo campaign to the contacts in its audience, and everyone else on the list gets the main language.', 'brevo-campaign-generator' ); ?>
+					</p>
+
+					<div class="bcg-field-group bcg-mb-16">
+						<label for="bcg-campaign-language" class="bcg-field-label">
+							<?php esc_html_e( 'Main language', 'brevo-campaign-generator' ); ?>
+						</label>
+						<select id="bcg-campaign-language" class="bcg-select-styled">
+							<?php foreach ( BCG_Campaign_Translations::get_languages() as $code => $label ) : ?>
+								<option value="<?php echo esc_attr( $code ); ?>" <?php selected( $campaign_language, $code ); ?>><?php echo esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</div>
+
+					<div class="bcg-translations" id="bcg-translations"></div>
+
+					<div class="bcg-translation-add bcg-flex bcg-items-center bcg-gap-8">
+						<label for="bcg-translation-language" class="screen-reader-text">
+							<?php esc_html_e( 'Language to translate into', 'brevo-campaign-generator' ); ?>
+						</label>
+						<select id="bcg-translation-language" class="bcg-select-styled"></select>
+						<button type="button" class="button" id="bcg-translate-btn">
+							<span class="material-icons-outlined" aria-hidden="true">translate</span>
+							<?php esc_html_e( 'Translate', 'brevo-campaign-generator' ); ?>
+						</button>
+					</div>
+					<p class="description bcg-translation-cost" id="bcg-translation-cost"></p>
+				</div><!-- .bcg-card-body -->
+			</div><!-- #bcg-section-languages -->
+
 		</div><!-- .bcg-editor-main -->
 
 
@@ -617,6 +841,13 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 			<div class="bcg-preview-panel">
 				<div class="bcg-preview-header bcg-flex bcg-items-center bcg-justify-between">
 					<h3 class="bcg-mt-0 bcg-mb-0"><?php esc_html_e( 'Live Preview', 'brevo-campaign-generator' ); ?></h3>
+					<div class="bcg-deliverability" id="bcg-deliverability"></div>
+					<div class="bcg-deliverability bcg-accessibility" id="bcg-accessibility"></div>
+					<div class="bcg-preview-as" id="bcg-preview-as"></div>
+					<label for="bcg-preview-language" class="screen-reader-text">
+						<?php esc_html_e( 'Preview language', 'brevo-campaign-generator' ); ?>
+					</label>
+					<select id="bcg-preview-language" class="bcg-preview-language" style="display:none;"></select>
 					<div class="bcg-preview-device-toggle bcg-flex bcg-gap-8">
 						<button type="button"
 							class="button bcg-preview-device-btn bcg-preview-desktop active"
@@ -630,8 +861,15 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 							title="<?php esc_attr_e( 'Mobile preview', 'brevo-campaign-generator' ); ?>">
 							<span class="dashicons dashicons-smartphone"></span>
 						</button>
+						<button type="button"
+							class="button bcg-preview-device-btn bcg-preview-text"
+							data-device="text"
+							title="<?php esc_attr_e( 'Plain-text version', 'brevo-campaign-generator' ); ?>">
+							<span class="dashicons dashicons-editor-alignleft"></span>
+						</button>
 					</div>
 				</div>
+				<div class="bcg-client-preview" id="bcg-client-preview"></div>
 				<div class="bcg-preview-iframe-wrapper" id="bcg-preview-wrapper">
 					<div class="bcg-preview-loading" id="bcg-preview-loading" style="display:none;">
 						<span class="bcg-spinner"></span>
@@ -643,6 +881,21 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 						title="<?php esc_attr_e( 'Email preview', 'brevo-campaign-generator' ); ?>"
 						sandbox="allow-same-origin"
 					></iframe>
+					<div class="bcg-plain-text-panel" id="bcg-plain-text-panel" style="display:none;">
+						<div class="bcg-plain-text-header bcg-flex bcg-items-center bcg-justify-between">
+							<span class="bcg-plain-text-status" id="bcg-plain-text-status" role="status"></span>
+						</div>
+						<textarea
+							id="bcg-plain-text"
+							class="bcg-plain-text"
+							rows="20"
+							readonly
+							aria-label="<?php esc_attr_e( 'Plain-text version', 'brevo-campaign-generator' ); ?>"
+						></textarea>
+						<p class="description">
+							<?php esc_html_e( 'How the email reads in inboxes that do not show HTML. Brevo sends campaigns as HTML only, so this text is a preview and is not sent.', 'brevo-campaign-generator' ); ?>
+						</p>
+					</div>
 				</div>
 			</div>
 		</div><!-- .bcg-editor-preview -->
@@ -670,6 +923,10 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 					<?php esc_html_e( 'Preview Email', 'brevo-campaign-generator' ); ?>
 				</button>
 
+				<button type="button" class="button" id="bcg-preflight-check" title="<?php esc_attr_e( 'Check links, images, the subject line, the coupon and products before sending', 'brevo-campaign-generator' ); ?>">
+					<?php esc_html_e( 'Pre-send Checks', 'brevo-campaign-generator' ); ?>
+				</button>
+
 				<button type="button" class="button" id="bcg-send-test" title="<?php esc_attr_e( 'Send a test email to the admin email address', 'brevo-campaign-generator' ); ?>">
 					<?php esc_html_e( 'Send Test Email', 'brevo-campaign-generator' ); ?>
 				</button>
@@ -803,6 +1060,30 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 	</div>
 
 
+	<!-- ── PRE-SEND CHECKS MODAL ───────────────────────────────── -->
+	<div id="bcg-preflight-modal" class="bcg-modal" style="display:none;" role="dialog" aria-modal="true" aria-labelledby="bcg-modal-title-preflight">
+		<div class="bcg-modal-overlay"></div>
+		<div class="bcg-modal-content">
+			<div class="bcg-modal-header bcg-flex bcg-items-center bcg-justify-between">
+				<h3 id="bcg-modal-title-preflight" class="bcg-mt-0 bcg-mb-0"><?php esc_html_e( 'Pre-send Checks', 'brevo-campaign-generator' ); ?></h3>
+				<button type="button" class="bcg-modal-close" aria-label="<?php esc_attr_e( 'Close', 'brevo-campaign-generator' ); ?>">
+					<span class="dashicons dashicons-no-alt"></span>
+				</button>
+			</div>
+			<div class="bcg-modal-body">
+				<p class="bcg-preflight-summary" id="bcg-preflight-summary" role="status"></p>
+				<ul class="bcg-preflight-list" id="bcg-preflight-list"></ul>
+			</div>
+			<div class="bcg-modal-footer bcg-flex bcg-justify-between">
+				<button type="button" class="button bcg-modal-close">
+					<?php esc_html_e( 'Close', 'brevo-campaign-generator' ); ?>
+				</button>
+				<button type="button" class="button bcg-btn-primary" id="bcg-preflight-continue" style="display:none;"></button>
+			</div>
+		</div>
+	</div>
+
+
 	<!-- ── SEND TEST EMAIL MODAL ────────────────────────────────── -->
 	<div id="bcg-test-email-modal" class="bcg-modal" style="display:none;" role="dialog" aria-modal="true" aria-labelledby="bcg-modal-title-test-email">
 		<div class="bcg-modal-overlay"></div>
@@ -828,6 +1109,12 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 						<?php esc_html_e( 'The test email will be sent to this address.', 'brevo-campaign-generator' ); ?>
 					</p>
 				</div>
+				<div class="bcg-field-group bcg-mb-16" id="bcg-test-language-group" style="display:none;">
+					<label class="bcg-field-label" for="bcg-test-language">
+						<?php esc_html_e( 'Language', 'brevo-campaign-generator' ); ?>
+					</label>
+					<select id="bcg-test-language" class="bcg-select-styled"></select>
+				</div>
 			</div>
 			<div class="bcg-modal-footer bcg-flex bcg-justify-between">
 				<button type="button" class="button bcg-modal-close">
@@ -847,6 +1134,7 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 		<div class="bcg-modal-content bcg-modal-full">
 			<div class="bcg-modal-header bcg-flex bcg-items-center bcg-justify-between">
 				<h3 id="bcg-modal-title-preview" class="bcg-mt-0 bcg-mb-0"><?php esc_html_e( 'Email Preview', 'brevo-campaign-generator' ); ?></h3>
+				<div class="bcg-preview-as" id="bcg-fullscreen-preview-as"></div>
 				<button type="button" class="bcg-modal-close" aria-label="<?php esc_attr_e( 'Close', 'brevo-campaign-generator' ); ?>">
 					<span class="dashicons dashicons-no-alt"></span>
 				</button>
@@ -930,10 +1218,11 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 					$.post( bcg_editor.ajax_url, {
 						action:      'bcg_preview_template',
 						_ajax_nonce: bcg_editor.nonce,
-						campaign_id: campaignId
+						campaign_id: campaignId,
+						language:    $( '#bcg-preview-language' ).val() || ''
 					} ).done( function( pr ) {
 						if ( pr.success && pr.data.html ) {
-							$iframe[0].srcdoc = pr.data.html;
+							BCGPreviewContact.write( $iframe[0], pr.data.html );
 						}
 					} );
 				}
@@ -995,10 +1284,11 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 					$.post( bcg_editor.ajax_url, {
 						action:      'bcg_preview_template',
 						_ajax_nonce: bcg_editor.nonce,
-						campaign_id: campaignId
+						campaign_id: campaignId,
+						language:    $( '#bcg-preview-language' ).val() || ''
 					} ).done( function( pr ) {
 						if ( pr.success && pr.data.html ) {
-							$iframe[0].srcdoc = pr.data.html;
+							BCGPreviewContact.write( $iframe[0], pr.data.html );
 						}
 					} );
 				}
@@ -1023,7 +1313,7 @@ if ( 'sections' === $builder_type && ! empty( $campaign->sections_json ) ) {
 				campaign_id: campaignId
 			} ).done( function( pr ) {
 				if ( pr.success && pr.data.html ) {
-					$iframe[0].srcdoc = pr.data.html;
+					BCGPreviewContact.write( $iframe[0], pr.data.html );
 				}
 			} );
 		}
@@ -380,6 +380,13 @@ if ( ! defined( 'ABSPATH' ) ) {
 								<span><?php esc_html_e( 'Most recently added products. Perfect for "New Arrivals" campaigns.', 'brevo-campaign-generator' ); ?></span>
 							</div>
 						</div>
+						<div class="bcg-help-option">
+							<span class="material-icons-outlined">savings</span>
+							<div>
+								<strong><?php esc_html_e( 'Highest Margin', 'brevo-campaign-generator' ); ?></strong>
+								<span><?php esc_html_e( 'Products that earn the most per sale (price minus cost). Needs a cost price from WooCommerce Cost of Goods or a cost-of-goods plugin.', 'brevo-campaign-generator' ); ?></span>
+							</div>
+						</div>
 						<div class="bcg-help-option">
 							<span class="material-icons-outlined">touch_app</span>
 							<div>
@@ -389,6 +396,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 						</div>
 					</div>
 					<p class="bcg-text-secondary bcg-mt-12"><?php esc_html_e( 'You can also filter by product category to focus on a specific part of your range. Use "Preview Products" to see which products will be included before generating.', 'brevo-campaign-generator' ); ?></p>
+					<p class="bcg-text-secondary"><?php esc_html_e( 'Open "Selection Rules" to narrow the choice further: a price range, sale items only, a minimum stock level, product tags and attributes, or skip products featured in your last few campaigns. Rules are saved with the campaign and do not apply to manual selection.', 'brevo-campaign-generator' ); ?></p>
 
 					<h4 class="bcg-mt-24"><?php esc_html_e( 'Coupon', 'brevo-campaign-generator' ); ?></h4>
 					<p><?php esc_html_e( 'Enable the coupon toggle to automatically create a WooCommerce discount code for this campaign. You can configure:', 'brevo-campaign-generator' ); ?></p>
@@ -417,6 +425,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Number of Campaigns', 'brevo-campaign-generator' ); ?></span>
 							<span class="bcg-help-def-desc"><?php esc_html_e( 'Generate 1–5 campaigns in one go. Each gets unique AI-written copy with different angles on the same products.', 'brevo-campaign-generator' ); ?></span>
 						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'Drafts', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'The wizard saves your settings as you go. If you reload the page or your session expires, reopening New Campaign offers to resume where you left off. Choose Start fresh to discard the draft; it is removed automatically once the campaign is generated.', 'brevo-campaign-generator' ); ?></span>
+						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'Presets', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'Save the current settings as a named preset (e.g. "Weekly deals") from the bar above the wizard, then pick and apply it whenever you run that promotion again. Saving under an existing name updates that preset.', 'brevo-campaign-generator' ); ?></span>
+						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'Repeat Automatically', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'Turn this on in the last step to save the settings as a recurring campaign, e.g. every Monday at 09:00. Each cycle generates a fresh campaign in the background (charged to your credits) and either keeps it as a draft, creates it in Brevo for you to approve, or schedules it in Brevo. Manage recurring campaigns from the dashboard: edit, run now, pause, resume or delete.', 'brevo-campaign-generator' ); ?></span>
+						</div>
 					</div>
 				</div>
 
@@ -446,6 +466,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Subject Line', 'brevo-campaign-generator' ); ?></span>
 							<span class="bcg-help-def-desc"><?php esc_html_e( 'Editable here as well — regenerate if needed.', 'brevo-campaign-generator' ); ?></span>
 						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'A/B Test Subject Lines', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'Write or generate two to four subject line and preview text variants and tick the two to test. Choose how much of the list gets each version, whether the winner is picked by opens or clicks, and how many hours the test runs. Brevo sends the winner to everyone else. Brevo tests subject lines only, so the first tested variant\'s preview text is used for both. Results per version appear on the Brevo Stats page.', 'brevo-campaign-generator' ); ?></span>
+						</div>
 					</div>
 
 					<h4 class="bcg-mt-24"><?php esc_html_e( 'AI Prompt', 'brevo-campaign-generator' ); ?></h4>
@@ -856,10 +880,22 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Template Name', 'brevo-campaign-generator' ); ?></span>
 							<span class="bcg-help-def-desc"><?php esc_html_e( 'Give your template a name before saving. Choose something descriptive like "Standard Newsletter" or "Sale Template".', 'brevo-campaign-generator' ); ?></span>
 						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'Undo / Redo', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'Step backwards and forwards through every canvas and settings change, including a full "Generate with AI" run. Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo. History is cleared when you load a different template.', 'brevo-campaign-generator' ); ?></span>
+						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'Duplicate, Copy & Paste', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'Use the copy icon on a section card to duplicate it in place. To reuse sections in another template, tick them on the canvas and click Copy (or press Ctrl+C), load the other template, then click Paste (or press Ctrl+V). Pasted sections keep their variant name, settings and selected products.', 'brevo-campaign-generator' ); ?></span>
+						</div>
 						<div class="bcg-help-def-item">
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Load Template', 'brevo-campaign-generator' ); ?></span>
 							<span class="bcg-help-def-desc"><?php esc_html_e( 'Open a previously saved template and load it into the canvas. Any current unsaved changes will be lost.', 'brevo-campaign-generator' ); ?></span>
 						</div>
+						<div class="bcg-help-def-item">
+							<span class="bcg-help-def-term"><?php esc_html_e( 'Import / Export', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'In the Load Template window, Export downloads a template as a .json file and Import brings one in from another site. Before importing you can review unknown sections, remap image URLs to your own site and choose whether to apply the template font. Product selections from another store are cleared.', 'brevo-campaign-generator' ); ?></span>
+						</div>
 						<div class="bcg-help-def-item">
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Generate All with AI', 'brevo-campaign-generator' ); ?></span>
 							<span class="bcg-help-def-desc"><?php esc_html_e( 'AI fills in the text fields for every section that supports it in one go. Uses credits. Set your campaign theme and tone first for best results.', 'brevo-campaign-generator' ); ?></span>
@@ -1064,7 +1100,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 						</div>
 						<div class="bcg-help-def-item">
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Bulk Generation', 'brevo-campaign-generator' ); ?></span>
-							<span class="bcg-help-def-desc"><?php esc_html_e( 'Generating multiple campaigns at once (2–5) uses credits proportionally for each campaign created.', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-help-def-desc"><?php esc_html_e( 'Generating multiple campaigns at once (2–50) uses credits proportionally for each campaign created. They are generated in the background — follow them in the Generation Queue panel on the dashboard, where failed campaigns can be retried.', 'brevo-campaign-generator' ); ?></span>
 						</div>
 						<div class="bcg-help-def-item">
 							<span class="bcg-help-def-term"><?php esc_html_e( 'Regenerating Fields', 'brevo-campaign-generator' ); ?></span>
@@ -1081,7 +1117,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 					</div>
 					<div class="bcg-help-tip bcg-mt-16">
 						<span class="material-icons-outlined">info</span>
-						<div><?php esc_html_e( 'If an AI call fails due to an API error, your credits are automatically refunded for that generation.', 'brevo-campaign-generator' ); ?></div>
+						<div><?php esc_html_e( 'If an AI call fails due to an API error, your credits are automatically refunded for that generation. Cancelling a generation stops it after the current step, refunds the credits for the steps that did not run and deletes the unfinished draft and its coupon.', 'brevo-campaign-generator' ); ?></div>
 					</div>
 				</div>
 
@@ -1167,7 +1203,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<span class="bcg-help-def-desc"><?php esc_html_e( 'Number of recipients who unsubscribed via this campaign.', 'brevo-campaign-generator' ); ?></span>
 						</div>
 					</div>
-					<p class="bcg-text-secondary bcg-mt-12"><?php esc_html_e( 'Click any campaign row to expand full stats. Stats are cached for 15 minutes — refresh the page to load the latest data from Brevo.', 'brevo-campaign-generator' ); ?></p>
+					<p class="bcg-text-secondary bcg-mt-12"><?php esc_html_e( 'Click any campaign row to expand full stats. A/B tested campaigns also show opens, clicks, unsubscribes, bounces and complaints for each subject line, and which version won. Stats are cached for 15 minutes — refresh the page to load the latest data from Brevo.', 'brevo-campaign-generator' ); ?></p>
 				</div>
 
 				<div class="bcg-help-card">
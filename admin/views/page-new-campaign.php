@@ -25,9 +25,11 @@ $default_expiry         = (int) get_option( 'bcg_default_coupon_expiry_days', 7
 $default_auto_coupon    = get_option( 'bcg_default_auto_generate_coupon', 'yes' );
 $default_mailing_list   = get_option( 'bcg_brevo_default_list_id', '' );
 
-// Product categories for the filter tree.
-$product_selector = new BCG_Product_Selector();
-$categories       = $product_selector->get_categories();
+// Product categories for the filter tree, tags and attributes for the rules.
+$product_selector  = new BCG_Product_Selector();
+$categories        = $product_selector->get_categories();
+$product_tags      = $product_selector->get_tags();
+$attribute_filters = $product_selector->get_attribute_filters();
 
 // Build a lookup table for category hierarchy.
 $category_lookup = array();
@@ -114,6 +116,40 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 	<!-- Notices container for JS-driven messages -->
 	<div id="bcg-wizard-notices"></div>
 
+	<!-- Unfinished draft prompt (shown by JS when an autosaved draft exists) -->
+	<div class="bcg-notice bcg-notice-info bcg-wizard-draft-prompt" id="bcg-wizard-draft-prompt" style="display: none;">
+		<p>
+			<strong><?php esc_html_e( 'Resume your unfinished campaign?', 'brevo-campaign-generator' ); ?></strong>
+			<span id="bcg-wizard-draft-summary"></span>
+		</p>
+		<p class="bcg-wizard-draft-actions">
+			<button type="button" class="bcg-btn-primary bcg-btn-sm" id="bcg-wizard-draft-resume">
+				<?php esc_html_e( 'Resume', 'brevo-campaign-generator' ); ?>
+			</button>
+			<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-wizard-draft-discard">
+				<?php esc_html_e( 'Start fresh', 'brevo-campaign-generator' ); ?>
+			</button>
+		</p>
+	</div>
+
+	<!-- Wizard presets -->
+	<div class="bcg-wizard-presets" id="bcg-wizard-presets">
+		<label for="bcg-wizard-preset-select"><?php esc_html_e( 'Preset', 'brevo-campaign-generator' ); ?></label>
+		<select id="bcg-wizard-preset-select" class="bcg-select-medium bcg-select-styled">
+			<option value=""><?php esc_html_e( '-- Choose a preset --', 'brevo-campaign-generator' ); ?></option>
+		</select>
+		<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-wizard-preset-apply" disabled>
+			<?php esc_html_e( 'Apply', 'brevo-campaign-generator' ); ?>
+		</button>
+		<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-wizard-preset-delete" disabled>
+			<?php esc_html_e( 'Delete', 'brevo-campaign-generator' ); ?>
+		</button>
+		<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-wizard-preset-save">
+			<?php esc_html_e( 'Save as preset', 'brevo-campaign-generator' ); ?>
+		</button>
+		<span class="bcg-wizard-draft-status bcg-text-muted" id="bcg-wizard-draft-status" aria-live="polite"></span>
+	</div>
+
 	<form id="bcg-campaign-wizard" class="bcg-campaign-wizard" method="post" novalidate>
 		<?php wp_nonce_field( 'bcg_nonce', 'bcg_nonce' ); ?>
 
@@ -429,6 +465,18 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 								<span class="bcg-radio-card-desc"><?php esc_html_e( 'Sorted by date (newest first)', 'brevo-campaign-generator' ); ?></span>
 							</span>
 						</label>
+						<label class="bcg-radio-card">
+							<input
+								type="radio"
+								name="product_source"
+								value="margin"
+							/>
+							<span class="bcg-radio-card-dot"></span>
+							<span class="bcg-radio-card-body">
+								<span class="bcg-radio-card-title"><?php esc_html_e( 'Highest Margin', 'brevo-campaign-generator' ); ?></span>
+								<span class="bcg-radio-card-desc"><?php esc_html_e( 'Price minus cost (needs a cost price on products)', 'brevo-campaign-generator' ); ?></span>
+							</span>
+						</label>
 						<label class="bcg-radio-card">
 							<input
 								type="radio"
@@ -486,6 +534,98 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 					</div>
 				<?php endif; ?>
 
+				<!-- Selection Rules (not used for manual selection) -->
+				<div class="bcg-field-row bcg-product-rules-row" id="bcg-product-rules-row">
+					<button type="button" class="bcg-product-rules-toggle" id="bcg-product-rules-toggle" aria-expanded="false" aria-controls="bcg-product-rules">
+						<span class="material-icons-outlined">filter_alt</span>
+						<?php esc_html_e( 'Selection Rules', 'brevo-campaign-generator' ); ?>
+						<span class="bcg-text-muted bcg-text-small"><?php esc_html_e( '(optional)', 'brevo-campaign-generator' ); ?></span>
+						<span class="bcg-product-rules-count" id="bcg-product-rules-count" style="display: none;"></span>
+						<span class="material-icons-outlined bcg-product-rules-chevron">expand_more</span>
+					</button>
+
+					<div class="bcg-product-rules" id="bcg-product-rules" style="display: none;">
+						<div class="bcg-product-rules-grid">
+							<div class="bcg-product-rule">
+								<label for="bcg-rule-price-min" class="bcg-field-label">
+									<?php esc_html_e( 'Price Range', 'brevo-campaign-generator' ); ?>
+								</label>
+								<div class="bcg-product-rule-range">
+									<input type="number" id="bcg-rule-price-min" class="small-text" min="0" step="0.01" placeholder="<?php esc_attr_e( 'Min', 'brevo-campaign-generator' ); ?>" />
+									<span class="bcg-text-muted">&ndash;</span>
+									<input type="number" id="bcg-rule-price-max" class="small-text" min="0" step="0.01" placeholder="<?php esc_attr_e( 'Max', 'brevo-campaign-generator' ); ?>" aria-label="<?php esc_attr_e( 'Maximum price', 'brevo-campaign-generator' ); ?>" />
+									<span class="bcg-field-suffix"><?php echo esc_html( html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' ) ); ?></span>
+								</div>
+							</div>
+
+							<div class="bcg-product-rule">
+								<label for="bcg-rule-min-stock" class="bcg-field-label">
+									<?php esc_html_e( 'Minimum Stock', 'brevo-campaign-generator' ); ?>
+								</label>
+								<input type="number" id="bcg-rule-min-stock" class="small-text" min="0" step="1" placeholder="0" />
+								<span class="bcg-field-suffix"><?php esc_html_e( 'units in stock', 'brevo-campaign-generator' ); ?></span>
+							</div>
+
+							<div class="bcg-product-rule">
+								<label for="bcg-rule-exclude-recent" class="bcg-field-label">
+									<?php esc_html_e( 'Skip Recently Featured', 'brevo-campaign-generator' ); ?>
+								</label>
+								<input type="number" id="bcg-rule-exclude-recent" class="small-text" min="0" max="<?php echo esc_attr( BCG_Product_Selector::MAX_EXCLUDE_RECENT ); ?>" step="1" placeholder="0" />
+								<span class="bcg-field-suffix"><?php esc_html_e( 'last campaigns', 'brevo-campaign-generator' ); ?></span>
+							</div>
+
+							<div class="bcg-product-rule">
+								<span class="bcg-field-label"><?php esc_html_e( 'Sale Items', 'brevo-campaign-generator' ); ?></span>
+								<label class="bcg-category-toggle">
+									<span class="bcg-toggle-switch">
+										<input type="checkbox" id="bcg-rule-on-sale" />
+										<span class="bcg-toggle-thumb"></span>
+									</span>
+									<span class="bcg-category-toggle-text"><?php esc_html_e( 'Only products on sale', 'brevo-campaign-generator' ); ?></span>
+								</label>
+							</div>
+						</div>
+
+						<?php if ( ! empty( $product_tags ) ) : ?>
+							<div class="bcg-product-rule">
+								<span class="bcg-field-label"><?php esc_html_e( 'Tags', 'brevo-campaign-generator' ); ?> <span class="bcg-text-muted bcg-text-small"><?php esc_html_e( '(any of)', 'brevo-campaign-generator' ); ?></span></span>
+								<div class="bcg-product-rule-terms">
+									<?php foreach ( $product_tags as $product_tag ) : ?>
+										<label class="bcg-category-toggle">
+											<span class="bcg-toggle-switch">
+												<input type="checkbox" class="bcg-rule-tag" value="<?php echo esc_attr( $product_tag['term_id'] ); ?>" />
+												<span class="bcg-toggle-thumb"></span>
+											</span>
+											<span class="bcg-category-toggle-text"><?php echo esc_html( $product_tag['name'] ); ?> <span class="bcg-category-count">(<?php echo esc_html( $product_tag['count'] ); ?>)</span></span>
+										</label>
+									<?php endforeach; ?>
+								</div>
+							</div>
+						<?php endif; ?>
+
+						<?php foreach ( $attribute_filters as $attribute_filter ) : ?>
+							<div class="bcg-product-rule">
+								<span class="bcg-field-label"><?php echo esc_html( $attribute_filter['label'] ); ?> <span class="bcg-text-muted bcg-text-small"><?php esc_html_e( '(any of)', 'brevo-campaign-generator' ); ?></span></span>
+								<div class="bcg-product-rule-terms">
+									<?php foreach ( $attribute_filter['terms'] as $attribute_term ) : ?>
+										<label class="bcg-category-toggle">
+											<span class="bcg-toggle-switch">
+												<input type="checkbox" class="bcg-rule-attribute" value="<?php echo esc_attr( $attribute_term['term_id'] ); ?>" />
+												<span class="bcg-toggle-thumb"></span>
+											</span>
+											<span class="bcg-category-toggle-text"><?php echo esc_html( $attribute_term['name'] ); ?> <span class="bcg-category-count">(<?php echo esc_html( $attribute_term['count'] ); ?>)</span></span>
+										</label>
+									<?php endforeach; ?>
+								</div>
+							</div>
+						<?php endforeach; ?>
+
+						<p class="bcg-text-muted bcg-text-small bcg-product-rules-note">
+							<?php esc_html_e( 'Rules narrow the products the chosen source picks from. They are saved with the campaign and do not apply to manual selection.', 'brevo-campaign-generator' ); ?>
+						</p>
+					</div>
+				</div>
+
 				<!-- Preview Products Button -->
 				<div class="bcg-field-row bcg-preview-products-row">
 					<button
@@ -717,6 +857,35 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 					</select>
 				</div>
 
+				<!-- Translations -->
+				<div class="bcg-field-row">
+					<span class="bcg-field-label">
+						<?php esc_html_e( 'Also translate into', 'brevo-campaign-generator' ); ?>
+						<span class="bcg-text-muted bcg-text-small"><?php esc_html_e( '(optional)', 'brevo-campaign-generator' ); ?></span>
+					</span>
+					<div class="bcg-product-rule-terms bcg-translation-languages" id="bcg-translation-languages"
+						data-max="<?php echo absint( BCG_Campaign_Translations::MAX_LANGUAGES ); ?>">
+						<?php foreach ( BCG_Campaign_Translations::get_languages() as $lang_code => $lang_label ) : ?>
+							<label class="bcg-category-toggle">
+								<span class="bcg-toggle-switch">
+									<input type="checkbox" class="bcg-translation-language" name="languages[]" value="<?php echo esc_attr( $lang_code ); ?>" <?php disabled( $default_lang, $lang_code ); ?> />
+									<span class="bcg-toggle-thumb"></span>
+								</span>
+								<span class="bcg-category-toggle-text"><?php echo esc_html( $lang_label ); ?></span>
+							</label>
+						<?php endforeach; ?>
+					</div>
+					<p class="bcg-text-muted bcg-text-small">
+						<?php
+						printf(
+							/* translators: %d: maximum number of translations */
+							esc_html__( 'Each language becomes its own Brevo campaign, sent to the contacts whose LANGUAGE attribute matches (change the audience in the editor). Up to %d languages; translating costs text credits like the rest of the copy.', 'brevo-campaign-generator' ),
+							absint( BCG_Campaign_Translations::MAX_LANGUAGES )
+						);
+						?>
+					</p>
+				</div>
+
 				<!-- Generate AI Images toggle -->
 				<div class="bcg-field-row">
 					<label class="bcg-toggle" for="bcg-generate-images">
@@ -756,13 +925,16 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 						<label for="bcg-campaign-count" style="font-size:13px;color:var(--bcg-text-muted,#8892b0);white-space:nowrap;">
 							<?php esc_html_e( 'Number of campaigns:', 'brevo-campaign-generator' ); ?>
 						</label>
-						<select id="bcg-campaign-count" name="campaign_count" class="bcg-select-styled" style="min-width:130px;">
-							<option value="1">1 campaign</option>
-							<option value="2">2 campaigns</option>
-							<option value="3">3 campaigns</option>
-							<option value="4">4 campaigns</option>
-							<option value="5">5 campaigns</option>
-						</select>
+						<input
+							type="number"
+							id="bcg-campaign-count"
+							name="campaign_count"
+							class="small-text"
+							value="1"
+							min="1"
+							max="<?php echo absint( BCG_Generation_Queue::MAX_BATCH ); ?>"
+							step="1"
+						/>
 					</div>
 					<button
 						type="submit"
@@ -774,6 +946,103 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 					</button>
 				</div>
 
+				<!-- Per-campaign variations (shown when generating more than one) -->
+				<div class="bcg-field-row bcg-variations" id="bcg-variations" style="display: none;">
+					<p class="bcg-field-label">
+						<?php esc_html_e( 'Campaign variations', 'brevo-campaign-generator' ); ?>
+					</p>
+					<p class="bcg-text-muted bcg-text-small">
+						<?php esc_html_e( 'Multiple campaigns are generated in the background — you can leave the page and follow progress on the dashboard. Give each campaign its own theme or product source, or leave a row blank to use the settings above.', 'brevo-campaign-generator' ); ?>
+					</p>
+					<div class="bcg-variations-list" id="bcg-variations-list"></div>
+				</div>
+
+				<!-- Recurring campaign: save these settings with a schedule -->
+				<div class="bcg-field-row bcg-recurring-row" id="bcg-recurring-row">
+					<label class="bcg-toggle" for="bcg-recurring-enabled">
+						<span class="bcg-toggle-switch">
+							<input type="checkbox" id="bcg-recurring-enabled" value="1" />
+							<span class="bcg-toggle-thumb"></span>
+						</span>
+						<span class="bcg-toggle-content">
+							<span class="bcg-toggle-title"><?php esc_html_e( 'Repeat automatically', 'brevo-campaign-generator' ); ?></span>
+							<span class="bcg-toggle-description"><?php esc_html_e( 'Save these settings as a recurring campaign. A fresh campaign — new products, copy and coupon — is generated on every cycle, and can be sent to Brevo for approval or scheduled outright.', 'brevo-campaign-generator' ); ?></span>
+						</span>
+					</label>
+
+					<div class="bcg-recurring-settings" id="bcg-recurring-settings" style="display: none;">
+						<div class="bcg-product-rules-grid">
+							<div class="bcg-product-rule">
+								<label for="bcg-recurring-name" class="bcg-field-label">
+									<?php esc_html_e( 'Name', 'brevo-campaign-generator' ); ?>
+								</label>
+								<input type="text" id="bcg-recurring-name" class="regular-text" maxlength="200" placeholder="<?php esc_attr_e( 'e.g. Monday Best Sellers', 'brevo-campaign-generator' ); ?>" />
+							</div>
+							<div class="bcg-product-rule">
+								<label for="bcg-recurring-frequency" class="bcg-field-label">
+									<?php esc_html_e( 'Repeat', 'brevo-campaign-generator' ); ?>
+								</label>
+								<select id="bcg-recurring-frequency" class="bcg-select-styled">
+									<option value="daily"><?php esc_html_e( 'Every day', 'brevo-campaign-generator' ); ?></option>
+									<option value="weekly" selected><?php esc_html_e( 'Every week', 'brevo-campaign-generator' ); ?></option>
+									<option value="monthly"><?php esc_html_e( 'Every month', 'brevo-campaign-generator' ); ?></option>
+								</select>
+							</div>
+							<div class="bcg-product-rule" id="bcg-recurring-weekday-field">
+								<label for="bcg-recurring-weekday" class="bcg-field-label">
+									<?php esc_html_e( 'On', 'brevo-campaign-generator' ); ?>
+								</label>
+								<select id="bcg-recurring-weekday" class="bcg-select-styled">
+									<?php for ( $bcg_day = 0; $bcg_day < 7; $bcg_day++ ) : ?>
+										<option value="<?php echo absint( $bcg_day ); ?>"<?php selected( 1, $bcg_day ); ?>><?php echo esc_html( $GLOBALS['wp_locale']->get_weekday( $bcg_day ) ); ?></option>
+									<?php endfor; ?>
+								</select>
+							</div>
+							<div class="bcg-product-rule" id="bcg-recurring-month-day-field" style="display: none;">
+								<label for="bcg-recurring-month-day" class="bcg-field-label">
+									<?php esc_html_e( 'Day of the month', 'brevo-campaign-generator' ); ?>
+								</label>
+								<input type="number" id="bcg-recurring-month-day" class="small-text" min="1" max="28" step="1" value="1" />
+							</div>
+							<div class="bcg-product-rule">
+								<label for="bcg-recurring-time" class="bcg-field-label">
+									<?php esc_html_e( 'At', 'brevo-campaign-generator' ); ?>
+								</label>
+								<input type="time" id="bcg-recurring-time" value="09:00" />
+								<span class="bcg-text-muted bcg-text-small"><?php echo esc_html( wp_timezone_string() ); ?></span>
+							</div>
+						</div>
+
+						<div class="bcg-product-rules-grid bcg-recurring-brevo">
+							<div class="bcg-product-rule">
+								<label for="bcg-recurring-brevo-action" class="bcg-field-label">
+									<?php esc_html_e( 'When each campaign is ready', 'brevo-campaign-generator' ); ?>
+								</label>
+								<select id="bcg-recurring-brevo-action" class="bcg-select-styled">
+									<option value="none"><?php esc_html_e( 'Keep it as a draft here', 'brevo-campaign-generator' ); ?></option>
+									<option value="draft" selected><?php esc_html_e( 'Create it in Brevo for approval', 'brevo-campaign-generator' ); ?></option>
+									<option value="schedule"><?php esc_html_e( 'Schedule it in Brevo', 'brevo-campaign-generator' ); ?></option>
+								</select>
+							</div>
+							<div class="bcg-product-rule" id="bcg-recurring-send-delay-field" style="display: none;">
+								<label for="bcg-recurring-send-delay" class="bcg-field-label">
+									<?php esc_html_e( 'Send after (hours)', 'brevo-campaign-generator' ); ?>
+								</label>
+								<input type="number" id="bcg-recurring-send-delay" class="small-text" min="1" max="<?php echo absint( BCG_Recurring_Campaigns::MAX_SEND_DELAY ); ?>" step="1" value="1" />
+							</div>
+						</div>
+
+						<p class="bcg-text-muted bcg-text-small bcg-product-rules-note">
+							<?php esc_html_e( 'Each cycle is generated in the background and charged to your credits. The campaign title gets the cycle date. A mailing list is needed to create campaigns in Brevo.', 'brevo-campaign-generator' ); ?>
+						</p>
+
+						<button type="button" class="bcg-btn-primary" id="bcg-recurring-save">
+							<span class="material-icons-outlined" style="font-size:18px;vertical-align:middle;margin-right:4px;">event_repeat</span>
+							<span class="bcg-recurring-save-label"><?php esc_html_e( 'Save Recurring Campaign', 'brevo-campaign-generator' ); ?></span>
+						</button>
+					</div>
+				</div>
+
 			</div>
 			<div class="bcg-wizard-nav">
 				<button type="button" class="bcg-btn-secondary bcg-wizard-prev" data-prev="4">
@@ -801,6 +1070,7 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 							<span class="dashicons dashicons-yes-alt bcg-step-check" style="display: none;"></span>
 						</span>
 						<span class="bcg-step-label"><?php esc_html_e( 'Fetching products', 'brevo-campaign-generator' ); ?></span>
+						<span class="bcg-step-detail"></span>
 					</div>
 					<div class="bcg-generation-step" id="bcg-step-copy" data-step="copy">
 						<span class="bcg-step-indicator">
@@ -809,6 +1079,7 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 							<span class="dashicons dashicons-yes-alt bcg-step-check" style="display: none;"></span>
 						</span>
 						<span class="bcg-step-label"><?php esc_html_e( 'Generating copy', 'brevo-campaign-generator' ); ?></span>
+						<span class="bcg-step-detail"></span>
 					</div>
 					<div class="bcg-generation-step" id="bcg-step-images" data-step="images">
 						<span class="bcg-step-indicator">
@@ -817,6 +1088,7 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 							<span class="dashicons dashicons-yes-alt bcg-step-check" style="display: none;"></span>
 						</span>
 						<span class="bcg-step-label"><?php esc_html_e( 'Generating images', 'brevo-campaign-generator' ); ?></span>
+						<span class="bcg-step-detail"></span>
 					</div>
 					<div class="bcg-generation-step" id="bcg-step-finalise" data-step="finalise">
 						<span class="bcg-step-indicator">
@@ -825,7 +1097,27 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 							<span class="dashicons dashicons-yes-alt bcg-step-check" style="display: none;"></span>
 						</span>
 						<span class="bcg-step-label"><?php esc_html_e( 'Finalising', 'brevo-campaign-generator' ); ?></span>
+						<span class="bcg-step-detail"></span>
 					</div>
+					<div class="bcg-generation-step" id="bcg-step-translate" data-step="translate">
+						<span class="bcg-step-indicator">
+							<span class="bcg-step-number">5</span>
+							<span class="bcg-spinner bcg-spinner-small bcg-step-spinner" style="display: none;"></span>
+							<span class="dashicons dashicons-yes-alt bcg-step-check" style="display: none;"></span>
+						</span>
+						<span class="bcg-step-label"><?php esc_html_e( 'Translating', 'brevo-campaign-generator' ); ?></span>
+						<span class="bcg-step-detail"></span>
+					</div>
+				</div>
+				<p class="bcg-progress-label" id="bcg-generation-progress-label"></p>
+				<div class="bcg-generation-abort">
+					<button type="button" class="bcg-btn-secondary bcg-btn-sm" id="bcg-generation-abort" style="display: none;">
+						<?php esc_html_e( 'Cancel generation', 'brevo-campaign-generator' ); ?>
+					</button>
+				</div>
+				<div id="bcg-generation-warnings" class="bcg-notice bcg-notice-warning bcg-generation-warnings" style="display: none;">
+					<p><?php esc_html_e( 'Some parts could not be generated:', 'brevo-campaign-generator' ); ?></p>
+					<ul id="bcg-generation-warnings-list"></ul>
 				</div>
 				<div id="bcg-generation-error" class="bcg-notice bcg-notice-error" style="display: none;">
 					<p id="bcg-generation-error-message"></p>
@@ -834,6 +1126,9 @@ foreach ( $locale_map as $prefix => $lang_code ) {
 					<button type="button" class="bcg-btn-secondary" id="bcg-generation-cancel">
 						<?php esc_html_e( 'Close', 'brevo-campaign-generator' ); ?>
 					</button>
+					<button type="button" class="bcg-btn-primary" id="bcg-generation-continue" style="display: none;">
+						<?php esc_html_e( 'Continue', 'brevo-campaign-generator' ); ?>
+					</button>
 				</div>
 			</div>
 		</div>
@@ -3,7 +3,7 @@
  * Template Builder admin page.
  *
  * Three-panel layout: Palette | Canvas | Settings Panel
- * Toolbar: Template name, Load, Save, Generate All, Preview
+ * Toolbar: Template name, Undo/Redo, Load, Save, Generate All, Preview
  *
  * @package Brevo_Campaign_Generator
  * @since   1.5.0
@@ -80,6 +80,15 @@ if ( ! defined( 'ABSPATH' ) ) {
 		</div>
 
 		<div class="bcg-sb-toolbar-right">
+			<div class="bcg-sb-history-btns">
+				<button type="button" id="bcg-sb-undo-btn" class="bcg-btn-secondary bcg-btn-sm" disabled aria-label="<?php esc_attr_e( 'Undo', 'brevo-campaign-generator' ); ?>">
+					<span class="material-icons-outlined">undo</span>
+				</button>
+				<button type="button" id="bcg-sb-redo-btn" class="bcg-btn-secondary bcg-btn-sm" disabled aria-label="<?php esc_attr_e( 'Redo', 'brevo-campaign-generator' ); ?>">
+					<span class="material-icons-outlined">redo</span>
+				</button>
+			</div>
+
 			<div class="bcg-sb-load-wrap">
 				<button type="button" id="bcg-sb-load-btn" class="bcg-btn-secondary bcg-btn-sm">
 					<span class="material-icons-outlined">folder_open</span>
@@ -132,6 +141,15 @@ if ( ! defined( 'ABSPATH' ) ) {
 			<div class="bcg-sb-panel-header">
 				<span class="material-icons-outlined">dashboard</span>
 				<?php esc_html_e( 'Canvas', 'brevo-campaign-generator' ); ?>
+				<span class="bcg-sb-canvas-actions">
+					<button type="button" id="bcg-sb-copy-btn" class="bcg-btn-icon" title="<?php esc_attr_e( 'Copy ticked sections (Ctrl+C)', 'brevo-campaign-generator' ); ?>">
+						<span class="material-icons-outlined">content_copy</span>
+						<span class="bcg-sb-copy-count"></span>
+					</button>
+					<button type="button" id="bcg-sb-paste-btn" class="bcg-btn-icon" title="<?php esc_attr_e( 'Paste sections (Ctrl+V)', 'brevo-campaign-generator' ); ?>">
+						<span class="material-icons-outlined">content_paste</span>
+					</button>
+				</span>
 				<span class="bcg-sb-dirty-dot" id="bcg-sb-dirty-dot" title="<?php esc_attr_e( 'Unsaved changes', 'brevo-campaign-generator' ); ?>"></span>
 			</div>
 
@@ -181,10 +199,21 @@ if ( ! defined( 'ABSPATH' ) ) {
 						<span class="material-icons-outlined">smartphone</span>
 					</button>
 				</div>
+				<div class="bcg-deliverability" id="bcg-sb-deliverability"></div>
+				<div class="bcg-deliverability bcg-accessibility" id="bcg-sb-accessibility"></div>
+				<div class="bcg-preview-as" id="bcg-sb-preview-as"></div>
 				<button type="button" class="bcg-modal-close" id="bcg-sb-preview-close">
 					<span class="material-icons-outlined">close</span>
 				</button>
 			</div>
+			<p class="bcg-sb-preview-hint bcg-sb-preview-hint-edit">
+				<span class="material-icons-outlined">edit</span>
+				<?php esc_html_e( 'Click a section to select it, or click a headline, subtext, body text or button label to edit it in place.', 'brevo-campaign-generator' ); ?>
+			</p>
+			<p class="bcg-sb-preview-hint bcg-sb-preview-hint-contact" style="display:none;">
+				<span class="material-icons-outlined">person</span>
+				<?php esc_html_e( 'Merge tags are filled in with the chosen contact\'s data. Switch back to "Merge tags" to edit text in place.', 'brevo-campaign-generator' ); ?>
+			</p>
 			<div class="bcg-sb-preview-frame-wrap" id="bcg-sb-preview-frame-wrap">
 				<iframe id="bcg-sb-preview-iframe" class="bcg-sb-preview-iframe"></iframe>
 			</div>
@@ -197,6 +226,11 @@ if ( ! defined( 'ABSPATH' ) ) {
 		<div class="bcg-modal-content bcg-sb-load-content">
 			<div class="bcg-modal-header">
 				<h3><?php esc_html_e( 'Load Saved Template', 'brevo-campaign-generator' ); ?></h3>
+				<button type="button" class="bcg-btn-secondary bcg-btn-sm bcg-sb-import-btn" id="bcg-sb-import-btn" title="<?php esc_attr_e( 'Import a template from a .json export', 'brevo-campaign-generator' ); ?>">
+					<span class="material-icons-outlined">upload_file</span>
+					<?php esc_html_e( 'Import', 'brevo-campaign-generator' ); ?>
+				</button>
+				<input type="file" id="bcg-sb-import-file" accept=".json,application/json" style="display:none;" />
 				<button type="button" class="bcg-modal-close" id="bcg-sb-load-close">
 					<span class="material-icons-outlined">close</span>
 				</button>
@@ -531,6 +531,10 @@ $nonce         = wp_create_nonce( 'bcg_nonce' );
 
 			html += '</div>'; // .bcg-stats-detail-grid
 
+			if (data.abTest) {
+				html += this.buildAbTestContent(data.abTest);
+			}
+
 			html += '<div class="bcg-stats-detail-actions">';
 			html += '<a href="https://app.brevo.com/campaigns/edit/' + parseInt(campaignId, 10) + '" target="_blank" class="button button-small">';
 			html += '<span class="dashicons dashicons-external"></span> <?php echo esc_js( __( 'View in Brevo', 'brevo-campaign-generator' ) ); ?>';
@@ -542,6 +546,63 @@ $nonce         = wp_create_nonce( 'bcg_nonce' );
 			return html;
 		},
 
+		buildAbTestContent: function (ab) {
+			var criterion = 'click' === ab.criterion
+				? '<?php echo esc_js( __( 'click rate', 'brevo-campaign-generator' ) ); ?>'
+				: '<?php echo esc_js( __( 'open rate', 'brevo-campaign-generator' ) ); ?>';
+			var outcomes = {
+				'pending':      '<?php echo esc_js( __( 'Test in progress — the winner has not been picked yet.', 'brevo-campaign-generator' ) ); ?>',
+				'tie':          '<?php echo esc_js( __( 'The test was a tie.', 'brevo-campaign-generator' ) ); ?>',
+				'notAvailable': '<?php echo esc_js( __( 'Results are not available yet.', 'brevo-campaign-generator' ) ); ?>'
+			};
+			var outcome = outcomes[ab.winner] ||
+				'<?php /* translators: 1: A/B test version letter, 2: "open rate" or "click rate" */ echo esc_js( __( 'Winner: Version %1$s by %2$s.', 'brevo-campaign-generator' ) ); ?>'
+					.replace('%1$s', ab.winner)
+					.replace('%2$s', criterion);
+
+			var html = '<div class="bcg-stats-ab-test">';
+			html += '<h4><?php echo esc_js( __( 'A/B Subject Line Test', 'brevo-campaign-generator' ) ); ?></h4>';
+			html += '<p class="bcg-stats-ab-summary">' + this.escHtml(outcome);
+			if (ab.split && ab.duration) {
+				html += ' ' + this.escHtml(
+					'<?php /* translators: 1: test group size such as "20%", 2: number of hours */ echo esc_js( __( 'Each version went to %1$s of the list; the winner was picked after %2$s hours.', 'brevo-campaign-generator' ) ); ?>'
+						.replace('%1$s', ab.split + '%')
+						.replace('%2$s', ab.duration)
+				);
+			}
+			html += '</p>';
+
+			html += '<table class="widefat striped bcg-stats-ab-table"><thead><tr>' +
+				'<th><?php echo esc_js( __( 'Version', 'brevo-campaign-generator' ) ); ?></th>' +
+				'<th><?php echo esc_js( __( 'Subject Line', 'brevo-campaign-generator' ) ); ?></th>' +
+				'<th><?php echo esc_js( __( 'Opens', 'brevo-campaign-generator' ) ); ?></th>' +
+				'<th><?php echo esc_js( __( 'Clicks', 'brevo-campaign-generator' ) ); ?></th>' +
+				'<th><?php echo esc_js( __( 'Unsubscribes', 'brevo-campaign-generator' ) ); ?></th>' +
+				'<th><?php echo esc_js( __( 'Bounces', 'brevo-campaign-generator' ) ); ?></th>' +
+				'<th><?php echo esc_js( __( 'Complaints', 'brevo-campaign-generator' ) ); ?></th>' +
+			'</tr></thead><tbody>';
+
+			for (var i = 0; i < (ab.versions || []).length; i++) {
+				var v = ab.versions[i];
+				html += '<tr' + (v.winner ? ' class="bcg-stats-ab-winner"' : '') + '>' +
+					'<td>' + this.escHtml(v.version) +
+						(v.winner ? ' <span class="bcg-status-badge bcg-status-sent"><?php echo esc_js( __( 'Winner', 'brevo-campaign-generator' ) ); ?></span>' : '') +
+					'</td>' +
+					'<td>' + this.escHtml(v.subject || '') + '</td>' +
+					'<td>' + this.formatNumber(v.opens || 0) + '</td>' +
+					'<td>' + this.formatNumber(v.clicks || 0) + '</td>' +
+					'<td>' + this.formatNumber(v.unsubscribed || 0) + '</td>' +
+					'<td>' + this.formatNumber(v.bounces || 0) + '</td>' +
+					'<td>' + this.formatNumber(v.complaints || 0) + '</td>' +
+				'</tr>';
+			}
+
+			html += '</tbody></table>';
+			html += '</div>'; // .bcg-stats-ab-test
+
+			return html;
+		},
+
 		getStatusBadge: function (status) {
 			var label = status || 'unknown';
 			var cssClass = 'bcg-status-' + label.toLowerCase();
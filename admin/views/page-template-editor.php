@@ -623,9 +623,18 @@ $nonce = wp_create_nonce( 'bcg_nonce' );
 				<div class="bcg-template-settings-panel bcg-template-code-panel" data-panel="code">
 					<div class="bcg-code-panel-header">
 						<h3><?php esc_html_e( 'HTML Code', 'brevo-campaign-generator' ); ?></h3>
-						<button type="button" class="button bcg-token-reference-toggle" id="bcg-toggle-tokens">
-							<?php esc_html_e( 'Token Reference', 'brevo-campaign-generator' ); ?>
-						</button>
+						<div class="bcg-flex bcg-gap-8">
+							<button type="button"
+								class="button bcg-merge-tag-btn"
+								data-target="#bcg-template-html"
+								aria-haspopup="dialog" aria-expanded="false">
+								<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+								<?php esc_html_e( 'Merge Tag', 'brevo-campaign-generator' ); ?>
+							</button>
+							<button type="button" class="button bcg-token-reference-toggle" id="bcg-toggle-tokens">
+								<?php esc_html_e( 'Token Reference', 'brevo-campaign-generator' ); ?>
+							</button>
+						</div>
 					</div>
 
 					<!-- Token Reference Cheat Sheet -->
@@ -637,6 +646,7 @@ $nonce = wp_create_nonce( 'bcg_nonce' );
 								<code>{{campaign_headline}}</code>
 								<code>{{campaign_description}}</code>
 								<code>{{campaign_image}}</code>
+								<code>{{campaign_image_alt}}</code>
 								<code>{{subject}}</code>
 								<code>{{preview_text}}</code>
 								<code>{{coupon_code}}</code>
@@ -677,6 +687,13 @@ $nonce = wp_create_nonce( 'bcg_nonce' );
 								<code>{{navigation_links}}</code>
 								<code>{{footer_links}}</code>
 							</div>
+							<div class="bcg-token-group">
+								<h5><?php esc_html_e( 'Brevo Personalisation', 'brevo-campaign-generator' ); ?></h5>
+								<code>{{ contact.FIRSTNAME }}</code>
+								<code>{{ contact.FIRSTNAME | default : "there" }}</code>
+								<code>{{ unsubscribe }}</code>
+								<code>{{ mirror }}</code>
+							</div>
 						</div>
 					</div>
 
@@ -12,7 +12,7 @@
  *                            Properties: id, campaign_id, product_id, sort_order,
  *                            ai_headline, ai_short_desc, custom_headline,
  *                            custom_short_desc, generated_image_url,
- *                            use_product_image, show_buy_button,
+ *                            image_alt, use_product_image, show_buy_button,
  *                            wc_product_name, wc_price_html, wc_permalink,
  *                            wc_image_url, wc_stock_status.
  * @var int    $campaign_id   The parent campaign ID.
@@ -36,6 +36,7 @@ $product_price_html = ! empty( $product->wc_price_html ) ? $product->wc_price_ht
 $product_permalink  = ! empty( $product->wc_permalink ) ? $product->wc_permalink : '#';
 $wc_image_url       = ! empty( $product->wc_image_url ) ? $product->wc_image_url : '';
 $ai_image_url       = ! empty( $product->generated_image_url ) ? $product->generated_image_url : '';
+$image_alt          = (string) ( $product->image_alt ?? '' );
 $use_product_image  = (int) ( $product->use_product_image ?? 1 );
 $show_buy_button    = (int) ( $product->show_buy_button ?? 1 );
 
@@ -90,6 +91,7 @@ if ( empty( $display_image ) ) {
 		<div class="bcg-product-card-image-col">
 			<div class="bcg-product-card-image-wrapper">
 				<img
+					id="bcg_product_img_<?php echo esc_attr( $product_row_id ); ?>"
 					src="<?php echo esc_url( $display_image ); ?>"
 					alt="<?php echo esc_attr( $product_name ); ?>"
 					class="bcg-product-card-img"
@@ -156,6 +158,25 @@ if ( empty( $display_image ) ) {
 						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
 						data-field="custom_headline"
 					><?php echo esc_textarea( $headline ); ?></textarea>
+					<button type="button"
+						class="button bcg-merge-tag-btn"
+						data-target="#bcg_headline_<?php echo esc_attr( $product_row_id ); ?>"
+						title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+						aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+						aria-haspopup="dialog" aria-expanded="false">
+						<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+					</button>
+					<button type="button"
+						class="button bcg-rewrite-btn"
+						data-target="#bcg_headline_<?php echo esc_attr( $product_row_id ); ?>"
+						data-campaign-id="<?php echo absint( $campaign_id ); ?>"
+						data-field="product_headline"
+						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
+						title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+						aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+						aria-haspopup="dialog" aria-expanded="false">
+						<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+					</button>
 					<button type="button"
 						class="button bcg-regen-product-field bcg-regen-btn"
 						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
@@ -179,6 +200,25 @@ if ( empty( $display_image ) ) {
 						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
 						data-field="custom_short_desc"
 					><?php echo esc_textarea( $short_desc ); ?></textarea>
+					<button type="button"
+						class="button bcg-merge-tag-btn"
+						data-target="#bcg_shortdesc_<?php echo esc_attr( $product_row_id ); ?>"
+						title="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+						aria-label="<?php esc_attr_e( 'Insert merge tag', 'brevo-campaign-generator' ); ?>"
+						aria-haspopup="dialog" aria-expanded="false">
+						<span class="material-icons-outlined" aria-hidden="true">data_object</span>
+					</button>
+					<button type="button"
+						class="button bcg-rewrite-btn"
+						data-target="#bcg_shortdesc_<?php echo esc_attr( $product_row_id ); ?>"
+						data-campaign-id="<?php echo absint( $campaign_id ); ?>"
+						data-field="product_short_desc"
+						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
+						title="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+						aria-label="<?php esc_attr_e( 'Rewrite with AI', 'brevo-campaign-generator' ); ?>"
+						aria-haspopup="dialog" aria-expanded="false">
+						<span class="material-icons-outlined" aria-hidden="true">edit_note</span>
+					</button>
 					<button type="button"
 						class="button bcg-regen-product-field bcg-regen-btn"
 						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
@@ -189,6 +229,33 @@ if ( empty( $display_image ) ) {
 				</div>
 			</div>
 
+			<!-- Image Alt Text -->
+			<div class="bcg-field-group bcg-mb-8">
+				<label class="bcg-field-label" for="bcg_image_alt_<?php echo esc_attr( $product_row_id ); ?>">
+					<?php esc_html_e( 'Image Alt Text', 'brevo-campaign-generator' ); ?>
+				</label>
+				<div class="bcg-field-with-regen">
+					<input type="text"
+						id="bcg_image_alt_<?php echo esc_attr( $product_row_id ); ?>"
+						class="bcg-product-image-alt large-text"
+						value="<?php echo esc_attr( $image_alt ); ?>"
+						placeholder="<?php echo esc_attr( $product_name ); ?>"
+						data-product-row-id="<?php echo esc_attr( $product_row_id ); ?>"
+						data-field="image_alt" />
+					<button type="button"
+						class="button bcg-alt-text-btn"
+						data-target="#bcg_image_alt_<?php echo esc_attr( $product_row_id ); ?>"
+						data-image="#bcg_product_img_<?php echo esc_attr( $product_row_id ); ?>"
+						data-product-id="<?php echo esc_attr( $product_id ); ?>"
+						data-language="#bcg-campaign-language"
+						title="<?php esc_attr_e( 'Write alt text with AI', 'brevo-campaign-generator' ); ?>"
+						aria-label="<?php esc_attr_e( 'Write alt text with AI', 'brevo-campaign-generator' ); ?>">
+						<span class="material-icons-outlined" aria-hidden="true">auto_awesome</span>
+					</button>
+				</div>
+				<p class="description"><?php esc_html_e( 'Describes the image for screen readers and when images are blocked. Leave empty to use the product name.', 'brevo-campaign-generator' ); ?></p>
+			</div>
+
 			<!-- Show Buy Button -->
 			<div class="bcg-field-group">
 				<label class="bcg-inline-toggle">
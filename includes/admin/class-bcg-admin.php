@@ -79,6 +79,25 @@ class BCG_Admin {
 	private function register_ajax_handlers(): void {
 		// Campaign generation.
 		add_action( 'wp_ajax_bcg_generate_campaign', array( $this, 'handle_generate_campaign' ) );
+		add_action( 'wp_ajax_bcg_generation_status', array( $this, 'handle_generation_status' ) );
+		add_action( 'wp_ajax_bcg_cancel_generation', array( $this, 'handle_cancel_generation' ) );
+		add_action( 'wp_ajax_bcg_enqueue_generation', array( $this, 'handle_enqueue_generation' ) );
+		add_action( 'wp_ajax_bcg_get_queue', array( $this, 'handle_get_queue' ) );
+		add_action( 'wp_ajax_bcg_retry_queue_item', array( $this, 'handle_retry_queue_item' ) );
+		add_action( 'wp_ajax_bcg_cancel_queue_item', array( $this, 'handle_cancel_queue_item' ) );
+		add_action( 'wp_ajax_bcg_clear_queue', array( $this, 'handle_clear_queue' ) );
+
+		// Wizard drafts and presets.
+		add_action( 'wp_ajax_bcg_save_wizard_draft', array( $this, 'handle_save_wizard_draft' ) );
+		add_action( 'wp_ajax_bcg_clear_wizard_draft', array( $this, 'handle_clear_wizard_draft' ) );
+		add_action( 'wp_ajax_bcg_save_wizard_preset', array( $this, 'handle_save_wizard_preset' ) );
+		add_action( 'wp_ajax_bcg_delete_wizard_preset', array( $this, 'handle_delete_wizard_preset' ) );
+
+		// Recurring campaigns.
+		add_action( 'wp_ajax_bcg_save_recurring', array( $this, 'handle_save_recurring' ) );
+		add_action( 'wp_ajax_bcg_set_recurring_status', array( $this, 'handle_set_recurring_status' ) );
+		add_action( 'wp_ajax_bcg_run_recurring_now', array( $this, 'handle_run_recurring_now' ) );
+		add_action( 'wp_ajax_bcg_delete_recurring', array( $this, 'handle_delete_recurring' ) );
 		add_action( 'wp_ajax_bcg_regenerate_field', array( $this, 'handle_regenerate_field' ) );
 		add_action( 'wp_ajax_bcg_regenerate_product', array( $this, 'handle_regenerate_product' ) );
 
@@ -97,6 +116,20 @@ class BCG_Admin {
 		add_action( 'wp_ajax_bcg_create_brevo_campaign', array( $this, 'handle_create_brevo_campaign' ) );
 		add_action( 'wp_ajax_bcg_send_campaign', array( $this, 'handle_send_campaign' ) );
 		add_action( 'wp_ajax_bcg_schedule_campaign', array( $this, 'handle_schedule_campaign' ) );
+		add_action( 'wp_ajax_bcg_preflight_campaign', array( $this, 'handle_preflight_campaign' ) );
+
+		// Plain-text part.
+		add_action( 'wp_ajax_bcg_get_plain_text', array( $this, 'handle_get_plain_text' ) );
+
+		// Deliverability.
+		add_action( 'wp_ajax_bcg_analyse_deliverability', array( $this, 'handle_analyse_deliverability' ) );
+		add_action( 'wp_ajax_bcg_rewrite_flagged_copy', array( $this, 'handle_rewrite_flagged_copy' ) );
+		add_action( 'wp_ajax_bcg_rewrite_copy', array( $this, 'handle_rewrite_copy' ) );
+		add_action( 'wp_ajax_bcg_translate_campaign', array( $this, 'handle_translate_campaign' ) );
+
+		// Accessibility.
+		add_action( 'wp_ajax_bcg_generate_alt_text', array( $this, 'handle_generate_alt_text' ) );
+		add_action( 'wp_ajax_bcg_audit_accessibility', array( $this, 'handle_audit_accessibility' ) );
 
 		// Template.
 		add_action( 'wp_ajax_bcg_update_template', array( $this, 'handle_update_template' ) );
@@ -110,8 +143,15 @@ class BCG_Admin {
 		// Brevo senders.
 		add_action( 'wp_ajax_bcg_get_brevo_senders', array( $this, 'handle_get_brevo_senders' ) );
 
+		// Brevo contact attributes for the merge tag picker.
+		add_action( 'wp_ajax_bcg_get_merge_tags', array( $this, 'handle_get_merge_tags' ) );
+
+		// Brevo contacts for "Preview as".
+		add_action( 'wp_ajax_bcg_search_contacts', array( $this, 'handle_search_contacts' ) );
+
 		// Template Builder.
 		add_action( 'wp_ajax_bcg_sb_preview',          array( $this, 'handle_sb_preview' ) );
+		add_action( 'wp_ajax_bcg_sb_product_cards',    array( $this, 'handle_sb_product_cards' ) );
 		add_action( 'wp_ajax_bcg_sb_save_template',    array( $this, 'handle_sb_save_template' ) );
 		add_action( 'wp_ajax_bcg_sb_get_templates',    array( $this, 'handle_sb_get_templates' ) );
 		add_action( 'wp_ajax_bcg_get_section_templates', array( $this, 'handle_get_section_templates' ) );
@@ -298,11 +338,29 @@ class BCG_Admin {
 		// IMPORTANT: Update this array every time BCG_VERSION is bumped.
 		// IMPORTANT: Update this array every time BCG_VERSION is bumped.
 		$whats_new_items = array(
-			array( 'icon' => 'format_list_bulleted', 'text' => __( 'List sections: item gap slider, 5 new styles (arrows, stars, dashes, hearts, diamonds), AI-generated headings & items', 'brevo-campaign-generator' ) ),
-			array( 'icon' => 'view_column',          'text' => __( 'Hero Split: image now fills full height as a background, single padding slider', 'brevo-campaign-generator' ) ),
-			array( 'icon' => 'share',                'text' => __( 'New Social Media section type + social icon links option in Footer sections', 'brevo-campaign-generator' ) ),
-			array( 'icon' => 'palette',              'text' => __( 'Primary colour picker in the toolbar — apply your brand colour to all sections at once', 'brevo-campaign-generator' ) ),
-			array( 'icon' => 'widgets',              'text' => __( 'Palette accordion: section groups now slide open/close — plus 9 new variants (3 headers, 3 footers, 3 CTAs)', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'pending_actions', 'text' => __( 'Background generation queue: queue up to 50 campaigns with different themes or product sources and follow them from the dashboard', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'timeline',        'text' => __( 'Real generation progress: the overlay now follows the server step by step and lists anything that failed', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'restore',         'text' => __( 'New Campaign wizard drafts are saved as you type and can be resumed; save settings as named presets', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'event_repeat',    'text' => __( 'Recurring campaigns: generate a fresh campaign on a schedule such as every Monday at 09:00 and send it to Brevo for approval or schedule it', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'science',         'text' => __( 'A/B test subject lines: write or generate up to four variants, push two to Brevo as an A/B campaign and compare them on the Stats page', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'filter_alt',      'text' => __( 'Product selection rules: price range, on sale, stock, tags, attributes, skip recently featured products, and a new Highest Margin source', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'data_object',     'text' => __( 'Merge tag picker: insert your Brevo contact attributes with a fallback in the campaign editor, Section Builder and template code editor; tags are checked before a campaign goes to Brevo', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'person_search',   'text' => __( 'Preview as: see how personalised copy reads for a Brevo contact or sample data in the Section Builder and campaign editor previews', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'translate',       'text' => __( 'Multi-language campaigns: translate a campaign with AI into up to five languages and send each one as its own Brevo campaign to the contacts who speak it', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'tune',            'text' => __( 'Per-section AI tone and instructions: give a Section Builder section its own tone of voice and guidance for the AI', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'accessibility',   'text' => __( 'Image alt text and accessibility check: write alt text for campaign, product and section images with AI, and check the email for missing alt text, low contrast, small text and vague links', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'edit_note',       'text' => __( 'Rewrite with AI: make copy shorter, longer, more casual or formal, add urgency or emoji, fix its grammar or follow your own instruction, from a menu beside each copy field in the campaign editor and Section Builder', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'compare',         'text' => __( 'AI copy alternatives: Regenerate now offers several alternatives side by side with the current text, shows the credit cost first, and keeps earlier versions so you can go back to them', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'devices',         'text' => __( 'Inbox previews: see the campaign editor preview as Gmail, Outlook desktop, Apple Mail dark mode or a forced dark mode client would show it, at the width you choose, with a Gmail clipping warning', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'notes',           'text' => __( 'Plain-text preview: the Text tab of the editor preview shows how the email reads as plain text — headings, products, prices, the coupon code and links as footnotes', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'mark_email_read', 'text' => __( 'Spam check: score your email against spam filter rules in the campaign editor and Section Builder previews, see which sections are flagged and rewrite flagged copy with AI', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'fact_check',      'text' => __( 'Pre-send checks: links, image alt text, subject and preview text length, the unsubscribe link, spam words, Gmail clipping, the coupon and products are checked before a campaign is sent or scheduled', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'format_bold',     'text' => __( 'Format Section Builder body text with bold, italic, links and lists', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'edit_note',       'text' => __( 'Click a section in the Section Builder preview to select it, and edit headlines and text right in the preview', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'undo',            'text' => __( 'Section Builder undo / redo with Ctrl+Z and Ctrl+Shift+Z', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'content_copy',    'text' => __( 'Duplicate, copy and paste sections between templates', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'import_export',   'text' => __( 'Export Section Builder templates as JSON and import them on another site', 'brevo-campaign-generator' ) ),
+			array( 'icon' => 'bolt',            'text' => __( 'Section Builder previews now render instantly in the browser as you type, and previews no longer jump back to the top on every change', 'brevo-campaign-generator' ) ),
 		);
 
 		$bcg_data = array(
@@ -338,6 +396,289 @@ class BCG_Admin {
 			true
 		);
 
+		// Preview iframe updates — shared by the editor, template editor and Section Builder.
+		wp_register_script(
+			'bcg-preview-frame',
+			BCG_PLUGIN_URL . 'admin/js/bcg-preview-frame.js',
+			array(),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-preview-frame.js' ),
+			true
+		);
+
+		// Merge tag picker — shared by the editor, template editor and Section Builder.
+		wp_register_script(
+			'bcg-merge-tags',
+			BCG_PLUGIN_URL . 'admin/js/bcg-merge-tags.js',
+			array( 'jquery' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-merge-tags.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-merge-tags',
+			'bcg_merge_tags',
+			array(
+				'ajax_url' => admin_url( 'admin-ajax.php' ),
+				'nonce'    => wp_create_nonce( 'bcg_nonce' ),
+				// Plugin template tokens, which are replaced before the email reaches Brevo.
+				'tokens'   => array(
+					'campaign_headline',
+					'campaign_description',
+					'campaign_image',
+					'campaign_image_alt',
+					'coupon_code',
+					'coupon_text',
+					'products_block',
+					'store_name',
+					'store_url',
+					'logo_url',
+					'unsubscribe_url',
+					'current_year',
+					'subject',
+					'preview_text',
+					'navigation_links',
+					'footer_links',
+				),
+				'i18n'     => array(
+					'title'                => __( 'Insert merge tag', 'brevo-campaign-generator' ),
+					'search'               => __( 'Search attributes…', 'brevo-campaign-generator' ),
+					'loading'              => __( 'Loading attributes…', 'brevo-campaign-generator' ),
+					'load_error'           => __( 'Could not load your Brevo contact attributes. Showing the standard ones.', 'brevo-campaign-generator' ),
+					'no_results'           => __( 'No matching attributes.', 'brevo-campaign-generator' ),
+					'fallback'             => __( 'Fallback if empty', 'brevo-campaign-generator' ),
+					'fallback_placeholder' => __( 'e.g. there', 'brevo-campaign-generator' ),
+					'refresh'              => __( 'Refresh from Brevo', 'brevo-campaign-generator' ),
+					/* translators: %s: the start of the unclosed merge tag */
+					'unclosed'             => __( 'Unclosed merge tag: %s', 'brevo-campaign-generator' ),
+					/* translators: %s: merge tag */
+					'malformed'            => __( 'Malformed merge tag: %s', 'brevo-campaign-generator' ),
+					/* translators: %s: merge tag */
+					'unknown_attribute'    => __( 'Unknown contact attribute: %s', 'brevo-campaign-generator' ),
+					/* translators: %s: merge tag */
+					'unknown_tag'          => __( 'Unknown merge tag: %s', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
+		// "Preview as" contact selector — shared by the editor and Section Builder.
+		wp_register_script(
+			'bcg-preview-contact',
+			BCG_PLUGIN_URL . 'admin/js/bcg-preview-contact.js',
+			array( 'jquery', 'bcg-merge-tags', 'bcg-preview-frame' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-preview-contact.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-preview-contact',
+			'bcg_preview_contact',
+			array(
+				'ajax_url' => admin_url( 'admin-ajax.php' ),
+				'nonce'    => wp_create_nonce( 'bcg_nonce' ),
+				'i18n'     => array(
+					'title'        => __( 'Preview as a contact', 'brevo-campaign-generator' ),
+					'preview_as'   => __( 'Preview as:', 'brevo-campaign-generator' ),
+					'merge_tags'   => __( 'Merge tags', 'brevo-campaign-generator' ),
+					'search'       => __( 'Full email address, or a recent contact\'s name…', 'brevo-campaign-generator' ),
+					'searching'    => __( 'Searching contacts…', 'brevo-campaign-generator' ),
+					'search_error' => __( 'Could not search your Brevo contacts.', 'brevo-campaign-generator' ),
+					'no_contacts'  => __( 'No matching contacts. Names are only searched among your most recently added contacts; enter the full email address to find anyone else.', 'brevo-campaign-generator' ),
+					'sample'       => __( 'Or enter sample attributes as JSON', 'brevo-campaign-generator' ),
+					'sample_label' => __( 'Sample data', 'brevo-campaign-generator' ),
+					'invalid_json' => __( 'Enter a JSON object, e.g. {"FIRSTNAME": "Jane"}.', 'brevo-campaign-generator' ),
+					'apply'        => __( 'Use sample data', 'brevo-campaign-generator' ),
+					'clear'        => __( 'Show merge tags', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
+		// Inbox client preview modes — used by the campaign editor's live preview.
+		wp_register_script(
+			'bcg-client-preview',
+			BCG_PLUGIN_URL . 'admin/js/bcg-client-preview.js',
+			array( 'jquery', 'bcg-preview-contact' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-client-preview.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-client-preview',
+			'bcg_client_preview',
+			array(
+				'clip_bytes' => BCG_Campaign_Preflight::GMAIL_CLIP_BYTES,
+				'i18n'       => array(
+					'client'            => __( 'Client', 'brevo-campaign-generator' ),
+					'width'             => __( 'Width', 'brevo-campaign-generator' ),
+					'as_designed'       => __( 'As designed', 'brevo-campaign-generator' ),
+					'gmail_label'       => __( 'Gmail', 'brevo-campaign-generator' ),
+					'outlook_label'     => __( 'Outlook desktop', 'brevo-campaign-generator' ),
+					'apple_dark_label'  => __( 'Apple Mail dark mode', 'brevo-campaign-generator' ),
+					'dark_invert_label' => __( 'Forced dark mode', 'brevo-campaign-generator' ),
+					'device_width'      => __( 'Device width', 'brevo-campaign-generator' ),
+					/* translators: %s: width in pixels */
+					'px'                => __( '%s px', 'brevo-campaign-generator' ),
+					/* translators: %s: size in kilobytes */
+					'kb'                => __( '%s KB', 'brevo-campaign-generator' ),
+					/* translators: 1: email size, 2: Gmail clipping limit */
+					'gmail_clipped'     => __( 'Gmail clips this email: it is %1$s, over the %2$s limit. Readers only see what is above "[Message clipped]".', 'brevo-campaign-generator' ),
+					/* translators: 1: email size, 2: Gmail clipping limit */
+					'gmail_size'        => __( 'This email is %1$s, under Gmail\'s %2$s clipping limit.', 'brevo-campaign-generator' ),
+					/* translators: %s: number of style blocks */
+					'gmail_styles'      => __( 'Style blocks removed: %s. Only inline styles are kept.', 'brevo-campaign-generator' ),
+					'gmail_clip_line'   => __( '[Message clipped]', 'brevo-campaign-generator' ),
+					'gmail_view_entire' => __( 'View entire message', 'brevo-campaign-generator' ),
+					'outlook'           => __( 'Background images, rounded corners, shadows, max-widths and media queries are removed, and Outlook-only content is shown.', 'brevo-campaign-generator' ),
+					/* translators: %s: number of VML shapes */
+					'outlook_vml'       => __( 'VML buttons and backgrounds drawn: %s.', 'brevo-campaign-generator' ),
+					/* translators: %s: number of dark mode rule blocks */
+					'apple_dark'        => __( 'Dark mode styles applied: %s.', 'brevo-campaign-generator' ),
+					'apple_no_dark'     => __( 'This email has no dark mode styles. Apple Mail keeps the colours it sets; backgrounds and text without a colour turn dark and light.', 'brevo-campaign-generator' ),
+					'dark_invert'       => __( 'Colours are inverted as the Outlook and Gmail apps do in dark mode. Images keep their colours.', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
+		// AI rewrite menu — shared by the editor and Section Builder.
+		wp_register_script(
+			'bcg-rewrite-menu',
+			BCG_PLUGIN_URL . 'admin/js/bcg-rewrite-menu.js',
+			array( 'jquery' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-rewrite-menu.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-rewrite-menu',
+			'bcg_rewrite_menu',
+			array(
+				'ajax_url'    => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'bcg_nonce' ),
+				'presets'     => BCG_Copy_Rewrite::get_labels(),
+				'credit_cost' => ( new BCG_OpenAI() )->get_credit_cost(),
+				'test_mode'   => 'yes' === get_option( 'bcg_test_mode', 'no' ),
+				'max_length'  => BCG_Copy_Rewrite::MAX_INSTRUCTIONS_LENGTH,
+				'i18n'        => array(
+					'title'       => __( 'Rewrite with AI', 'brevo-campaign-generator' ),
+					'custom'      => __( 'Or describe what to change', 'brevo-campaign-generator' ),
+					'placeholder' => __( 'e.g. mention free delivery', 'brevo-campaign-generator' ),
+					'rewrite'     => __( 'Rewrite', 'brevo-campaign-generator' ),
+					'rewriting'   => __( 'Rewriting…', 'brevo-campaign-generator' ),
+					'error'       => __( 'The copy could not be rewritten.', 'brevo-campaign-generator' ),
+					'empty'       => __( 'There is no copy to rewrite.', 'brevo-campaign-generator' ),
+					/* translators: %s: number of AI credits */
+					'cost'        => __( 'Each rewrite costs %s credits.', 'brevo-campaign-generator' ),
+					'free'        => __( 'Rewrites are free in test mode.', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
+		// Deliverability check — shared by the editor and Section Builder.
+		wp_register_script(
+			'bcg-deliverability',
+			BCG_PLUGIN_URL . 'admin/js/bcg-deliverability.js',
+			array( 'jquery' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-deliverability.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-deliverability',
+			'bcg_deliverability',
+			array(
+				'ajax_url' => admin_url( 'admin-ajax.php' ),
+				'nonce'    => wp_create_nonce( 'bcg_nonce' ),
+				'i18n'     => array(
+					'button'        => __( 'Spam check', 'brevo-campaign-generator' ),
+					'title'         => __( 'Deliverability check', 'brevo-campaign-generator' ),
+					'analysing'     => __( 'Checking the email…', 'brevo-campaign-generator' ),
+					'error'         => __( 'The email could not be checked.', 'brevo-campaign-generator' ),
+					'no_findings'   => __( 'No problems found.', 'brevo-campaign-generator' ),
+					/* translators: %s: spam score threshold */
+					'threshold'     => __( 'Emails scoring %s or more are likely to be filtered as spam.', 'brevo-campaign-generator' ),
+					'rating'        => array(
+						'good' => __( 'Good', 'brevo-campaign-generator' ),
+						'fair' => __( 'Could be better', 'brevo-campaign-generator' ),
+						'poor' => __( 'Likely spam', 'brevo-campaign-generator' ),
+					),
+					'show'          => __( 'Show in preview', 'brevo-campaign-generator' ),
+					'rewrite'       => __( 'Rewrite with AI', 'brevo-campaign-generator' ),
+					'rewriting'     => __( 'Rewriting…', 'brevo-campaign-generator' ),
+					'rewrite_error' => __( 'The copy could not be rewritten.', 'brevo-campaign-generator' ),
+					'rewritten'     => __( 'Rewritten. Check again to update the score.', 'brevo-campaign-generator' ),
+					'not_applied'   => __( 'This copy could not be found in the editor. Copy the rewrite and paste it in by hand.', 'brevo-campaign-generator' ),
+					/* translators: %s: number of AI credits */
+					'credits_used'  => __( '%s credits used.', 'brevo-campaign-generator' ),
+					'copy'          => __( 'Copy', 'brevo-campaign-generator' ),
+					'check_again'   => __( 'Check again', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
+		// AI image alt text — shared by the editor and Section Builder.
+		wp_register_script(
+			'bcg-alt-text',
+			BCG_PLUGIN_URL . 'admin/js/bcg-alt-text.js',
+			array( 'jquery' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-alt-text.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-alt-text',
+			'bcg_alt_text',
+			array(
+				'ajax_url'    => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'bcg_nonce' ),
+				'credit_cost' => ( new BCG_OpenAI() )->get_credit_cost(),
+				'test_mode'   => 'yes' === get_option( 'bcg_test_mode', 'no' ),
+				'i18n'        => array(
+					'writing' => __( 'Writing alt text…', 'brevo-campaign-generator' ),
+					'error'   => __( 'The alt text could not be written.', 'brevo-campaign-generator' ),
+					/* translators: %s: number of AI credits */
+					'cost'    => __( 'Write alt text with AI (%s credits)', 'brevo-campaign-generator' ),
+					'free'    => __( 'Write alt text with AI (free in test mode)', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
+		// Accessibility audit — shared by the editor and Section Builder.
+		wp_register_script(
+			'bcg-accessibility',
+			BCG_PLUGIN_URL . 'admin/js/bcg-accessibility.js',
+			array( 'jquery', 'bcg-deliverability' ),
+			filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-accessibility.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'bcg-accessibility',
+			'bcg_accessibility',
+			array(
+				'ajax_url' => admin_url( 'admin-ajax.php' ),
+				'nonce'    => wp_create_nonce( 'bcg_nonce' ),
+				'i18n'     => array(
+					'button'      => __( 'Accessibility', 'brevo-campaign-generator' ),
+					'title'       => __( 'Accessibility check', 'brevo-campaign-generator' ),
+					'auditing'    => __( 'Checking the email…', 'brevo-campaign-generator' ),
+					'error'       => __( 'The email could not be checked.', 'brevo-campaign-generator' ),
+					'no_findings' => __( 'No problems found.', 'brevo-campaign-generator' ),
+					/* translators: 1: number of errors, 2: number of warnings */
+					'summary'     => __( '%1$s errors, %2$s warnings', 'brevo-campaign-generator' ),
+					'rating'      => array(
+						'good' => __( 'Accessible', 'brevo-campaign-generator' ),
+						'fair' => __( 'Could be better', 'brevo-campaign-generator' ),
+						'poor' => __( 'Needs fixes', 'brevo-campaign-generator' ),
+					),
+					'severity'    => array(
+						'error'   => __( 'Error', 'brevo-campaign-generator' ),
+						'warning' => __( 'Warning', 'brevo-campaign-generator' ),
+					),
+					'show'        => __( 'Show in preview', 'brevo-campaign-generator' ),
+					'check_again' => __( 'Check again', 'brevo-campaign-generator' ),
+				),
+			)
+		);
+
 		// ── Per-page scripts ───────────────────────────────────────────
 
 		// Dashboard page JS.
@@ -349,6 +690,44 @@ class BCG_Admin {
 				BCG_VERSION,
 				true
 			);
+
+			wp_localize_script(
+				'bcg-dashboard',
+				'bcg_dashboard',
+				array(
+					'queue_poll_interval' => 5000,
+					'i18n'                => array(
+						'queued'        => __( 'Queued', 'brevo-campaign-generator' ),
+						'running'       => __( 'Generating', 'brevo-campaign-generator' ),
+						'complete'      => __( 'Complete', 'brevo-campaign-generator' ),
+						'failed'        => __( 'Failed', 'brevo-campaign-generator' ),
+						'cancelled'     => __( 'Cancelled', 'brevo-campaign-generator' ),
+						'retry'         => __( 'Retry', 'brevo-campaign-generator' ),
+						'cancel'        => __( 'Cancel', 'brevo-campaign-generator' ),
+						'edit'          => __( 'Edit', 'brevo-campaign-generator' ),
+						'untitled'      => __( 'Untitled campaign', 'brevo-campaign-generator' ),
+						/* translators: %d: number of warnings */
+						'warnings'      => __( '%d warning(s)', 'brevo-campaign-generator' ),
+						'queue_error'   => __( 'Could not update the generation queue. Please try again.', 'brevo-campaign-generator' ),
+						/* translators: 1: queued items, 2: running items, 3: failed items */
+						'queue_summary' => __( '%1$d queued · %2$d generating · %3$d failed', 'brevo-campaign-generator' ),
+						'active'        => __( 'Active', 'brevo-campaign-generator' ),
+						'paused'        => __( 'Paused', 'brevo-campaign-generator' ),
+						'pause'         => __( 'Pause', 'brevo-campaign-generator' ),
+						'resume'        => __( 'Resume', 'brevo-campaign-generator' ),
+						'run_now'       => __( 'Run now', 'brevo-campaign-generator' ),
+						'delete'        => __( 'Delete', 'brevo-campaign-generator' ),
+						'view_campaign' => __( 'View campaign', 'brevo-campaign-generator' ),
+						/* translators: %s: date and time of the next run */
+						'next_run'      => __( 'Next run: %s', 'brevo-campaign-generator' ),
+						/* translators: 1: date and time of the last run, 2: its status */
+						'last_run'      => __( 'Last run: %1$s — %2$s', 'brevo-campaign-generator' ),
+						/* translators: %s: recurring campaign name */
+						'recurring_confirm_delete' => __( 'Delete the recurring campaign "%s"? Campaigns it already generated are kept.', 'brevo-campaign-generator' ),
+						'recurring_error' => __( 'Could not update the recurring campaign. Please try again.', 'brevo-campaign-generator' ),
+					),
+				)
+			);
 		}
 
 		// New Campaign page — campaign wizard JS.
@@ -364,6 +743,14 @@ class BCG_Admin {
 			$currency_code   = get_option( 'bcg_stripe_currency', 'GBP' );
 			$currency_symbol = $settings_obj->get_currency_symbol( $currency_code );
 
+			// Editing a recurring campaign: ?recurring_id=ID.
+			$recurring    = null;
+			$recurring_id = isset( $_GET['recurring_id'] ) ? absint( $_GET['recurring_id'] ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only; ownership checked below.
+			if ( $recurring_id ) {
+				$recurring = BCG_Plugin::get_instance()->get_recurring_campaigns()->get_for_editing( $recurring_id, get_current_user_id() );
+				$recurring = is_wp_error( $recurring ) ? null : $recurring;
+			}
+
 			wp_localize_script(
 				'bcg-campaign-builder',
 				'bcg_campaign_builder',
@@ -372,14 +759,41 @@ class BCG_Admin {
 					'nonce'                => wp_create_nonce( 'bcg_nonce' ),
 					'edit_url'             => admin_url( 'admin.php?page=bcg-edit-campaign' ),
 					'template_builder_url' => admin_url( 'admin.php?page=bcg-template-builder' ),
+					'dashboard_url'        => admin_url( 'admin.php?page=bcg-dashboard' ),
 					'currency_symbol'      => $currency_symbol,
+					'user_id'              => get_current_user_id(),
+					'draft'                => BCG_Wizard_Drafts::get_draft( get_current_user_id() ),
+					'presets'              => BCG_Wizard_Drafts::get_presets(),
+					'recurring'            => $recurring,
 					'i18n'            => array(
 						'title_required'          => __( 'Campaign title is required.', 'brevo-campaign-generator' ),
 						'manual_products_required' => __( 'Please select at least one product for manual selection.', 'brevo-campaign-generator' ),
 						'discount_required'       => __( 'Please enter a valid discount value.', 'brevo-campaign-generator' ),
 						'generation_error'        => __( 'AI generation failed. Please try again.', 'brevo-campaign-generator' ),
 						'generation_failed'       => __( 'Campaign generation failed. Please try again.', 'brevo-campaign-generator' ),
-						'generation_timeout'      => __( 'Campaign generation timed out. Please try again.', 'brevo-campaign-generator' ),
+						'generation_timeout'      => __( 'This is taking longer than usual, but the campaign is still being generated. Keep this window open — you will be taken to it when it is ready.', 'brevo-campaign-generator' ),
+						'generation_lost'         => __( 'Lost track of the generation. It may still have finished: check your campaigns on the dashboard before generating again.', 'brevo-campaign-generator' ),
+						'generation_partial'      => __( 'Generation finished, but some parts failed. Review them below, then continue to edit your campaign.', 'brevo-campaign-generator' ),
+						'queue_failed'            => __( 'Could not queue the campaigns. Please try again.', 'brevo-campaign-generator' ),
+						'cancel_generation'       => __( 'Cancel generation', 'brevo-campaign-generator' ),
+						'cancelling'              => __( 'Cancelling — finishing the current step…', 'brevo-campaign-generator' ),
+						'generation_cancelled'    => __( 'Generation cancelled. No campaign was created.', 'brevo-campaign-generator' ),
+						/* translators: %s: number of credits refunded */
+						'credits_refunded'        => __( '%s credits were refunded.', 'brevo-campaign-generator' ),
+						'cancel_pending'          => __( 'Cancellation was requested but the server has not confirmed it yet. Check the dashboard in a minute — an unfinished draft is removed automatically.', 'brevo-campaign-generator' ),
+						'variation_same_source'   => __( 'Same product source', 'brevo-campaign-generator' ),
+						'variation_theme_placeholder' => __( 'Theme (blank = same as above)', 'brevo-campaign-generator' ),
+						'source_bestsellers'      => __( 'Best Sellers', 'brevo-campaign-generator' ),
+						'source_leastsold'        => __( 'Least Sold', 'brevo-campaign-generator' ),
+						'source_latest'           => __( 'Latest Products', 'brevo-campaign-generator' ),
+						'source_margin'           => __( 'Highest Margin', 'brevo-campaign-generator' ),
+						/* translators: %d: number of active selection rules */
+						'rules_active'            => __( '%d active', 'brevo-campaign-generator' ),
+						/* translators: 1: items done, 2: total items */
+						'step_progress'           => __( '%1$d of %2$d', 'brevo-campaign-generator' ),
+						/* translators: %d: number of failed items */
+						'step_failed'             => __( '%d failed', 'brevo-campaign-generator' ),
+						'step_skipped'            => __( 'Skipped', 'brevo-campaign-generator' ),
 						'preview_error'           => __( 'Failed to load product preview. Please try again.', 'brevo-campaign-generator' ),
 						'no_products_found'       => __( 'No products found.', 'brevo-campaign-generator' ),
 						'select_list'             => __( '-- Select a mailing list --', 'brevo-campaign-generator' ),
@@ -388,6 +802,21 @@ class BCG_Admin {
 						'sales'                   => __( 'sales', 'brevo-campaign-generator' ),
 						'remove'                  => __( 'Remove', 'brevo-campaign-generator' ),
 						'already_added'           => __( 'Already added', 'brevo-campaign-generator' ),
+						/* translators: %s: date and time the draft was saved */
+						'draft_saved_at'          => __( 'Last edited %s.', 'brevo-campaign-generator' ),
+						'draft_untitled'          => __( 'Untitled campaign', 'brevo-campaign-generator' ),
+						'draft_saved'             => __( 'Draft saved', 'brevo-campaign-generator' ),
+						'draft_saved_locally'     => __( 'Draft saved in this browser only', 'brevo-campaign-generator' ),
+						'preset_name_prompt'      => __( 'Name this preset (an existing preset with the same name is replaced):', 'brevo-campaign-generator' ),
+						'preset_saved'            => __( 'Preset saved.', 'brevo-campaign-generator' ),
+						'preset_applied'          => __( 'Preset applied. Review the settings before generating.', 'brevo-campaign-generator' ),
+						'preset_error'            => __( 'Could not save the preset. Please try again.', 'brevo-campaign-generator' ),
+						/* translators: %s: preset name */
+						'preset_confirm_delete'   => __( 'Delete the preset "%s"?', 'brevo-campaign-generator' ),
+						'recurring_error'         => __( 'Could not save the recurring campaign. Please try again.', 'brevo-campaign-generator' ),
+						'recurring_update'        => __( 'Update Recurring Campaign', 'brevo-campaign-generator' ),
+						/* translators: %s: recurring campaign name */
+						'recurring_editing'       => __( 'Editing the recurring campaign "%s". Changes apply from the next cycle.', 'brevo-campaign-generator' ),
 					),
 				)
 			);
@@ -421,21 +850,34 @@ class BCG_Admin {
 			wp_enqueue_script(
 				'bcg-regenerate',
 				BCG_PLUGIN_URL . 'admin/js/bcg-regenerate.js',
-				array( 'jquery', 'jquery-ui-sortable', 'jquery-ui-datepicker', 'wp-util' ),
+				array( 'jquery', 'jquery-ui-sortable', 'jquery-ui-datepicker', 'wp-util', 'bcg-preview-frame', 'bcg-merge-tags', 'bcg-preview-contact', 'bcg-client-preview', 'bcg-deliverability', 'bcg-accessibility', 'bcg-rewrite-menu', 'bcg-alt-text' ),
 				BCG_VERSION,
 				true
 			);
 
 			$campaign_id = isset( $_GET['campaign_id'] ) ? absint( $_GET['campaign_id'] ) : 0;
+			$campaign    = $campaign_id ? ( new BCG_Campaign() )->get( $campaign_id ) : null;
 
 			wp_localize_script(
 				'bcg-regenerate',
 				'bcg_editor',
 				array(
-					'ajax_url'    => admin_url( 'admin-ajax.php' ),
-					'nonce'       => wp_create_nonce( 'bcg_nonce' ),
-					'campaign_id' => $campaign_id,
-					'i18n'        => array(
+					'ajax_url'          => admin_url( 'admin-ajax.php' ),
+					'nonce'             => wp_create_nonce( 'bcg_nonce' ),
+					'campaign_id'       => $campaign_id,
+					'test_mode'         => 'yes' === get_option( 'bcg_test_mode', 'no' ),
+					'text_credit_cost'  => ( new BCG_OpenAI() )->get_credit_cost(),
+					'copy_variants'     => BCG_Copy_History::default_count(),
+					'max_copy_variants' => BCG_Copy_History::MAX_VARIANTS,
+					'copy_history'      => $campaign && ! is_wp_error( $campaign )
+						? (object) BCG_Copy_History::sanitise( $campaign->copy_history ?? null )
+						: new \stdClass(),
+					'languages'         => BCG_Campaign_Translations::get_languages(),
+					'max_languages'     => BCG_Campaign_Translations::MAX_LANGUAGES,
+					'translations'      => $campaign && ! is_wp_error( $campaign )
+						? BCG_Campaign_Translations::summarise( $campaign )
+						: array(),
+					'i18n'              => array(
 						'regenerating'      => __( 'Regenerating...', 'brevo-campaign-generator' ),
 						'saving'            => __( 'Saving...', 'brevo-campaign-generator' ),
 						'saved'             => __( 'Campaign saved.', 'brevo-campaign-generator' ),
@@ -459,6 +901,76 @@ class BCG_Admin {
 						'campaign_sent'     => __( 'Campaign sent successfully!', 'brevo-campaign-generator' ),
 						'select_datetime'   => __( 'Please select a date and time.', 'brevo-campaign-generator' ),
 						'insufficient_credits' => __( 'Insufficient credits. Please top up before regenerating.', 'brevo-campaign-generator' ),
+						/* translators: %d: variant number */
+						'ab_variant'        => __( 'Variant %d', 'brevo-campaign-generator' ),
+						/* translators: %s: A/B test version letter */
+						'ab_version'        => __( 'Version %s', 'brevo-campaign-generator' ),
+						'ab_generate'       => __( 'Generate', 'brevo-campaign-generator' ),
+						'ab_remove'         => __( 'Remove', 'brevo-campaign-generator' ),
+						'ab_subject_placeholder' => __( 'Subject line', 'brevo-campaign-generator' ),
+						'ab_preview_placeholder' => __( 'Preview text', 'brevo-campaign-generator' ),
+						'ab_pick_two'       => __( 'Tick exactly two variants to include in the test.', 'brevo-campaign-generator' ),
+						'merge_tag_errors'  => __( 'Fix these merge tags before sending the campaign to Brevo:', 'brevo-campaign-generator' ),
+						'preflight_running' => __( 'Running pre-send checks...', 'brevo-campaign-generator' ),
+						'preflight_error'   => __( 'The pre-send checks could not be run.', 'brevo-campaign-generator' ),
+						'preflight_pass'    => __( 'All checks passed. The campaign is ready to send.', 'brevo-campaign-generator' ),
+						'preflight_blocked' => __( 'Fix the errors below before sending this campaign.', 'brevo-campaign-generator' ),
+						'preflight_warned'  => __( 'Review the warnings below. You can still send the campaign.', 'brevo-campaign-generator' ),
+						'preflight_ok'      => __( 'No problems found.', 'brevo-campaign-generator' ),
+						'send_anyway'       => __( 'Send Anyway', 'brevo-campaign-generator' ),
+						'schedule_anyway'   => __( 'Schedule Anyway', 'brevo-campaign-generator' ),
+						'plain_text_loading'   => __( 'Generating the plain-text version...', 'brevo-campaign-generator' ),
+						'plain_text_error'     => __( 'The plain-text version could not be loaded.', 'brevo-campaign-generator' ),
+						'variants_title'       => __( 'AI alternatives', 'brevo-campaign-generator' ),
+						'variants_count'       => __( 'Alternatives', 'brevo-campaign-generator' ),
+						/* translators: %s: number of credits */
+						'variants_cost'        => __( 'Costs %s credits', 'brevo-campaign-generator' ),
+						'variants_free'        => __( 'Free in test mode', 'brevo-campaign-generator' ),
+						'variants_generate'    => __( 'Generate', 'brevo-campaign-generator' ),
+						'variants_generating'  => __( 'Generating alternatives...', 'brevo-campaign-generator' ),
+						'variants_current'     => __( 'Current', 'brevo-campaign-generator' ),
+						'variants_new'         => __( 'New', 'brevo-campaign-generator' ),
+						'variants_earlier'     => __( 'Earlier', 'brevo-campaign-generator' ),
+						'variants_use'         => __( 'Use this', 'brevo-campaign-generator' ),
+						'variants_in_use'      => __( 'In use', 'brevo-campaign-generator' ),
+						'variants_close'       => __( 'Close', 'brevo-campaign-generator' ),
+						'variants_empty'       => __( 'Generate alternatives to compare them with the current text.', 'brevo-campaign-generator' ),
+						/* translators: %s: number of credits */
+						'variants_used'        => __( '%s credits used.', 'brevo-campaign-generator' ),
+						'variants_partial'     => __( 'Some alternatives could not be generated:', 'brevo-campaign-generator' ),
+						'translate_pick'       => __( 'Choose a language to translate into.', 'brevo-campaign-generator' ),
+						'translate_add'        => __( 'Add a language…', 'brevo-campaign-generator' ),
+						'translating'          => __( 'Translating...', 'brevo-campaign-generator' ),
+						'translate_error'      => __( 'The campaign could not be translated.', 'brevo-campaign-generator' ),
+						'translate_again'      => __( 'Translate again', 'brevo-campaign-generator' ),
+						/* translators: %s: number of credits */
+						'translate_cost'       => __( 'Translating costs %s credits for every 2,500 characters of copy.', 'brevo-campaign-generator' ),
+						'translate_free'       => __( 'Translating is free in test mode.', 'brevo-campaign-generator' ),
+						/* translators: %d: maximum number of translations */
+						'translate_max'        => __( 'A campaign can have at most %d translations.', 'brevo-campaign-generator' ),
+						'translation_preview'  => __( 'Preview', 'brevo-campaign-generator' ),
+						'translation_remove'   => __( 'Remove', 'brevo-campaign-generator' ),
+						/* translators: %s: language name */
+						'translation_confirm_remove' => __( 'Remove the %s translation?', 'brevo-campaign-generator' ),
+						/* translators: %s: language name */
+						'translation_confirm_main'   => __( 'The campaign has a %s translation. Making it the main language removes that translation. Continue?', 'brevo-campaign-generator' ),
+						'translation_stale'    => __( 'Out of date', 'brevo-campaign-generator' ),
+						'translation_stale_tip' => __( 'The copy has changed since this translation was made. Translate again to update it.', 'brevo-campaign-generator' ),
+						'translation_in_brevo' => __( 'In Brevo', 'brevo-campaign-generator' ),
+						'translation_subject'  => __( 'Subject line', 'brevo-campaign-generator' ),
+						'translation_preview_text' => __( 'Preview text', 'brevo-campaign-generator' ),
+						'translation_send_to'  => __( 'Send to', 'brevo-campaign-generator' ),
+						'translation_by_attribute' => __( 'Contacts with attribute', 'brevo-campaign-generator' ),
+						'translation_by_list'  => __( 'Contacts in a Brevo list', 'brevo-campaign-generator' ),
+						'translation_attribute' => __( 'Attribute', 'brevo-campaign-generator' ),
+						'translation_value'    => __( 'Value', 'brevo-campaign-generator' ),
+						'translation_list'     => __( 'Choose a list', 'brevo-campaign-generator' ),
+						'translation_lists_error' => __( 'The Brevo lists could not be loaded.', 'brevo-campaign-generator' ),
+						'preflight_status'  => array(
+							'pass'    => __( 'Passed', 'brevo-campaign-generator' ),
+							'warning' => __( 'Warning', 'brevo-campaign-generator' ),
+							'error'   => __( 'Error', 'brevo-campaign-generator' ),
+						),
 					),
 				)
 			);
@@ -480,7 +992,7 @@ class BCG_Admin {
 			wp_enqueue_script(
 				'bcg-template-editor',
 				BCG_PLUGIN_URL . 'admin/js/bcg-template-editor.js',
-				array( 'jquery', 'wp-util' ),
+				array( 'jquery', 'wp-util', 'bcg-preview-frame', 'bcg-merge-tags' ),
 				filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-template-editor.js' ),
 				true
 			);
@@ -529,10 +1041,37 @@ class BCG_Admin {
 			wp_enqueue_media();
 			wp_enqueue_script( 'jquery-ui-sortable' );
 
+			wp_enqueue_script(
+				'bcg-section-renderer',
+				BCG_PLUGIN_URL . 'admin/js/bcg-section-renderer.js',
+				array(),
+				filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-section-renderer.js' ),
+				true
+			);
+
+			$section_defaults = array();
+			foreach ( array_keys( BCG_Section_Registry::get_all() ) as $slug ) {
+				$section_defaults[ $slug ] = BCG_Section_Registry::get_defaults( $slug );
+			}
+
+			wp_localize_script(
+				'bcg-section-renderer',
+				'bcg_section_renderer',
+				array(
+					'site_name'   => get_bloginfo( 'name' ),
+					'store_url'   => get_bloginfo( 'url' ),
+					'woocommerce' => function_exists( 'wc_get_product' ),
+					'defaults'    => $section_defaults,
+					'i18n'        => array(
+						'products_placeholder' => __( 'Products will appear here. Add product IDs to this section.', 'brevo-campaign-generator' ),
+					),
+				)
+			);
+
 			wp_enqueue_script(
 				'bcg-section-builder',
 				BCG_PLUGIN_URL . 'admin/js/bcg-section-builder.js',
-				array( 'jquery', 'jquery-ui-sortable', 'wp-util' ),
+				array( 'jquery', 'jquery-ui-sortable', 'wp-util', 'bcg-section-renderer', 'bcg-preview-frame', 'bcg-merge-tags', 'bcg-preview-contact', 'bcg-deliverability', 'bcg-accessibility', 'bcg-rewrite-menu', 'bcg-alt-text' ),
 				filemtime( BCG_PLUGIN_DIR . 'admin/js/bcg-section-builder.js' ),
 				true
 			);
@@ -574,6 +1113,9 @@ class BCG_Admin {
 						'email' => wp_get_current_user()->user_email,
 					),
 					'site_url'        => get_bloginfo( 'url' ),
+					'site_name'       => get_bloginfo( 'name' ),
+					'plugin_version'  => BCG_VERSION,
+					'debug'           => defined( 'SCRIPT_DEBUG' ) && SCRIPT_DEBUG,
 					'i18n'          => array(
 						'confirm_delete'   => __( 'Delete this section?', 'brevo-campaign-generator' ),
 						'unsaved_changes'  => __( 'You have unsaved changes. Leave anyway?', 'brevo-campaign-generator' ),
@@ -595,6 +1137,68 @@ class BCG_Admin {
 						'edit_settings'    => __( 'Edit settings', 'brevo-campaign-generator' ),
 						'remove'           => __( 'Remove', 'brevo-campaign-generator' ),
 						'generate_section' => __( 'Generate with AI', 'brevo-campaign-generator' ),
+						'undo'             => __( 'Undo', 'brevo-campaign-generator' ),
+						'redo'             => __( 'Redo', 'brevo-campaign-generator' ),
+						'undone'           => __( 'Undone:', 'brevo-campaign-generator' ),
+						'redone'           => __( 'Redone:', 'brevo-campaign-generator' ),
+						'history_add'        => __( 'Add section', 'brevo-campaign-generator' ),
+						'history_remove'     => __( 'Remove section', 'brevo-campaign-generator' ),
+						'history_edit'       => __( 'Edit setting', 'brevo-campaign-generator' ),
+						'history_reorder'    => __( 'Reorder sections', 'brevo-campaign-generator' ),
+						'history_colour'     => __( 'Apply primary colour', 'brevo-campaign-generator' ),
+						'history_defaults'   => __( 'Change default settings', 'brevo-campaign-generator' ),
+						'history_ai_all'     => __( 'AI generation', 'brevo-campaign-generator' ),
+						'history_ai_section' => __( 'AI section generation', 'brevo-campaign-generator' ),
+						'history_duplicate'  => __( 'Duplicate section', 'brevo-campaign-generator' ),
+						'history_paste'      => __( 'Paste sections', 'brevo-campaign-generator' ),
+						'duplicate'          => __( 'Duplicate', 'brevo-campaign-generator' ),
+						'select_for_copy'    => __( 'Select for copy', 'brevo-campaign-generator' ),
+						'nothing_to_copy'    => __( 'Select one or more sections to copy.', 'brevo-campaign-generator' ),
+						'copied'             => __( 'Sections copied:', 'brevo-campaign-generator' ),
+						'pasted'             => __( 'Sections pasted:', 'brevo-campaign-generator' ),
+						'clipboard_empty'    => __( 'The clipboard does not contain any sections.', 'brevo-campaign-generator' ),
+						'paste_unknown'      => __( 'None of the copied section types exist on this site.', 'brevo-campaign-generator' ),
+						'paste_skipped'      => __( 'unknown types skipped:', 'brevo-campaign-generator' ),
+						'export'             => __( 'Export', 'brevo-campaign-generator' ),
+						'exported'           => __( 'Template exported.', 'brevo-campaign-generator' ),
+						'export_error'       => __( 'Export failed.', 'brevo-campaign-generator' ),
+						'import_read_error'  => __( 'Could not read the selected file.', 'brevo-campaign-generator' ),
+						'import_invalid'     => __( 'This file is not a Section Builder template export.', 'brevo-campaign-generator' ),
+						'import_schema'      => __( 'This template was exported with a newer, incompatible bundle format. Update the plugin and try again.', 'brevo-campaign-generator' ),
+						'import_no_sections' => __( 'The file does not contain any sections that exist on this site.', 'brevo-campaign-generator' ),
+						/* translators: %s: plugin version the template was exported from */
+						'import_newer'       => __( 'Exported from a newer plugin version (%s). Some settings may not be recognised.', 'brevo-campaign-generator' ),
+						'import_unknown'     => __( 'Unknown section types skipped:', 'brevo-campaign-generator' ),
+						'import_fields'      => __( 'Unrecognised settings dropped:', 'brevo-campaign-generator' ),
+						'import_products'    => __( 'Product selections cleared because the template came from another store:', 'brevo-campaign-generator' ),
+						'import_review'      => __( 'Review Import', 'brevo-campaign-generator' ),
+						'import_name'        => __( 'Name', 'brevo-campaign-generator' ),
+						/* translators: %d: number of sections in the imported template, followed by their names */
+						'import_count_one'   => _n( '%d section:', '%d sections:', 1, 'brevo-campaign-generator' ),
+						/* translators: %d: number of sections in the imported template, followed by their names */
+						'import_count_many'  => _n( '%d section:', '%d sections:', 2, 'brevo-campaign-generator' ),
+						'import_media'       => __( 'Media URLs', 'brevo-campaign-generator' ),
+						'import_media_help'  => __( 'Images point at the sites below. Replace a base URL to remap them, or leave it unchanged to keep the original links.', 'brevo-campaign-generator' ),
+						'import_font'        => __( 'Also apply the template default font:', 'brevo-campaign-generator' ),
+						'import_confirm'     => __( 'Import Template', 'brevo-campaign-generator' ),
+						'imported'           => __( 'Template imported.', 'brevo-campaign-generator' ),
+						'import_error'       => __( 'Import failed.', 'brevo-campaign-generator' ),
+						'cancel'             => __( 'Cancel', 'brevo-campaign-generator' ),
+						'rt_bold'            => __( 'Bold', 'brevo-campaign-generator' ),
+						'rt_italic'          => __( 'Italic', 'brevo-campaign-generator' ),
+						'rt_link'            => __( 'Link', 'brevo-campaign-generator' ),
+						'rt_unlink'          => __( 'Remove link', 'brevo-campaign-generator' ),
+						'rt_bullets'         => __( 'Bulleted list', 'brevo-campaign-generator' ),
+						'rt_numbers'         => __( 'Numbered list', 'brevo-campaign-generator' ),
+						'rt_merge_tag'       => __( 'Insert merge tag', 'brevo-campaign-generator' ),
+						'rewrite'            => __( 'Rewrite with AI', 'brevo-campaign-generator' ),
+						'rt_link_prompt'     => __( 'Link URL', 'brevo-campaign-generator' ),
+						'ai_tone'            => __( 'AI tone', 'brevo-campaign-generator' ),
+						'ai_tone_default'    => __( 'Campaign tone', 'brevo-campaign-generator' ),
+						'ai_instructions'    => __( 'AI instructions for this section', 'brevo-campaign-generator' ),
+						'alt_text'           => __( 'Write alt text with AI', 'brevo-campaign-generator' ),
+						/* translators: %s: store name */
+						'alt_logo_context'   => __( 'The logo of %s', 'brevo-campaign-generator' ),
 					),
 				)
 			);
@@ -693,15 +1297,9 @@ class BCG_Admin {
 	/**
 	 * Handle full campaign generation via AJAX.
 	 *
-	 * Orchestrates the entire campaign creation flow:
-	 * 1. Validate inputs (title, products config, campaign config)
-	 * 2. Create a draft campaign via BCG_Campaign
-	 * 3. Select products via BCG_Product_Selector
-	 * 4. Generate a WooCommerce coupon if requested
-	 * 5. Generate campaign copy via BCG_AI_Manager
-	 * 6. Generate campaign images via BCG_AI_Manager (if enabled)
-	 * 7. Update the campaign record with all generated content
-	 * 8. Return campaign ID + redirect URL
+	 * Runs BCG_Campaign_Generator for the submitted wizard settings. Real
+	 * progress is written to a BCG_Generation_Job keyed by the client's
+	 * job_id so the wizard can poll bcg_generation_status meanwhile.
 	 *
 	 * @since  1.0.0
 	 * @return void
@@ -713,376 +1311,526 @@ class BCG_Admin {
 			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// ── 1. Validate and sanitise inputs ─────────────────────────────
+		// The wizard aborts this request when the user cancels. Keep running
+		// so the generator reaches its next cancellation check and cleans up
+		// (refund, draft and coupon removal) instead of dying mid-step.
+		ignore_user_abort( true );
 
-		// Accept both 'title' and 'campaign_title' (Step 1 sends campaign_title).
-		$title = isset( $_POST['campaign_title'] ) ? sanitize_text_field( wp_unslash( $_POST['campaign_title'] ) ) : '';
-		if ( empty( $title ) && isset( $_POST['title'] ) ) {
-			$title = sanitize_text_field( wp_unslash( $_POST['title'] ) );
-		}
+		// Progress record polled by the wizard via bcg_generation_status.
+		$job = new BCG_Generation_Job(
+			isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '',
+			get_current_user_id()
+		);
 
-		if ( empty( $title ) ) {
-			// Auto-generate a title based on current date.
-			$title = sprintf(
-				/* translators: %s: formatted date */
-				__( 'Campaign — %s', 'brevo-campaign-generator' ),
-				date_i18n( 'j M Y' )
-			);
-		}
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitised field by field in normalise_config().
+		$config    = BCG_Campaign_Generator::normalise_config( wp_unslash( $_POST ) );
+		$generator = new BCG_Campaign_Generator();
+		$result    = $generator->generate( $config, $job );
 
-		// Accept both 'subject' and 'subject_line'.
-		$subject = isset( $_POST['subject_line'] ) ? sanitize_text_field( wp_unslash( $_POST['subject_line'] ) ) : '';
-		if ( empty( $subject ) && isset( $_POST['subject'] ) ) {
-			$subject = sanitize_text_field( wp_unslash( $_POST['subject'] ) );
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array(
+				'message'   => $result->get_error_message(),
+				'cancelled' => 'bcg_generation_cancelled' === $result->get_error_code(),
+				'job'       => $job->to_array(),
+			) );
 		}
 
-		$preview_text    = isset( $_POST['preview_text'] ) ? sanitize_text_field( wp_unslash( $_POST['preview_text'] ) ) : '';
-		$mailing_list_id = isset( $_POST['mailing_list_id'] ) ? sanitize_text_field( wp_unslash( $_POST['mailing_list_id'] ) ) : '';
+		// The draft has become a campaign.
+		BCG_Wizard_Drafts::clear_draft( get_current_user_id() );
 
-		// Product selection config.
-		$product_source  = isset( $_POST['product_source'] ) ? sanitize_text_field( wp_unslash( $_POST['product_source'] ) ) : 'bestsellers';
-		$product_count   = isset( $_POST['product_count'] ) ? absint( $_POST['product_count'] ) : (int) get_option( 'bcg_default_products_per_campaign', 3 );
-		$category_ids    = isset( $_POST['category_ids'] ) && is_array( $_POST['category_ids'] ) ? array_map( 'absint', $_POST['category_ids'] ) : array();
-
-		// Accept both 'manual_ids' and 'manual_product_ids'.
-		$manual_ids = array();
-		if ( isset( $_POST['manual_product_ids'] ) && is_array( $_POST['manual_product_ids'] ) ) {
-			$manual_ids = array_map( 'absint', $_POST['manual_product_ids'] );
-		} elseif ( isset( $_POST['manual_ids'] ) && is_array( $_POST['manual_ids'] ) ) {
-			$manual_ids = array_map( 'absint', $_POST['manual_ids'] );
-		}
+		$ai_manager = new BCG_AI_Manager();
+		$edit_url   = admin_url( 'admin.php?page=bcg-edit-campaign&campaign_id=' . $result['campaign_id'] );
 
-		// Coupon config — accept both 'generate_coupon' and 'coupon_*' / 'discount_*' names.
-		$generate_coupon  = ! empty( $_POST['generate_coupon'] );
-		$discount_type    = isset( $_POST['coupon_type'] ) ? sanitize_text_field( wp_unslash( $_POST['coupon_type'] ) ) : '';
-		if ( empty( $discount_type ) && isset( $_POST['discount_type'] ) ) {
-			$discount_type = sanitize_text_field( wp_unslash( $_POST['discount_type'] ) );
-		}
-		if ( empty( $discount_type ) ) {
-			$discount_type = 'percent';
-		}
+		wp_send_json_success( array(
+			'message'      => __( 'Campaign generated successfully!', 'brevo-campaign-generator' ),
+			'campaign_id'  => $result['campaign_id'],
+			'redirect_url' => $edit_url,
+			'credits_used' => $result['credits_used'],
+			'new_balance'  => $ai_manager->get_credit_balance(),
+			'job'          => $job->to_array(),
+		) );
+	}
 
-		$discount_value = 0;
-		if ( isset( $_POST['coupon_discount'] ) ) {
-			$discount_value = (float) $_POST['coupon_discount'];
-		} elseif ( isset( $_POST['discount_value'] ) ) {
-			$discount_value = (float) $_POST['discount_value'];
-		}
-		if ( $discount_value <= 0 ) {
-			$discount_value = (float) get_option( 'bcg_default_coupon_discount', 10 );
-		}
+	/**
+	 * Handle a generation progress poll via AJAX.
+	 *
+	 * Returns the current state of a job started by handle_generate_campaign
+	 * so the wizard overlay can show real per-step progress while the
+	 * generation request is still running.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_generation_status(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-		$expiry_days = 0;
-		if ( isset( $_POST['coupon_expiry_days'] ) ) {
-			$expiry_days = absint( $_POST['coupon_expiry_days'] );
-		} elseif ( isset( $_POST['expiry_days'] ) ) {
-			$expiry_days = absint( $_POST['expiry_days'] );
-		}
-		if ( $expiry_days <= 0 ) {
-			$expiry_days = (int) get_option( 'bcg_default_coupon_expiry_days', 7 );
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$coupon_prefix = isset( $_POST['coupon_prefix'] ) ? sanitize_text_field( wp_unslash( $_POST['coupon_prefix'] ) ) : '';
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+		$job    = BCG_Generation_Job::get( $job_id, get_current_user_id() );
 
-		// AI config.
-		$tone             = isset( $_POST['tone'] ) ? sanitize_text_field( wp_unslash( $_POST['tone'] ) ) : 'Professional';
-		$theme            = isset( $_POST['theme'] ) ? sanitize_text_field( wp_unslash( $_POST['theme'] ) ) : '';
-		$language         = isset( $_POST['language'] ) ? sanitize_text_field( wp_unslash( $_POST['language'] ) ) : 'English';
-		$generate_images  = ! empty( $_POST['generate_images'] );
-		$image_style      = isset( $_POST['image_style'] ) ? sanitize_text_field( wp_unslash( $_POST['image_style'] ) ) : 'Photorealistic';
-
-		// Validate manual selection has products.
-		if ( 'manual' === $product_source && empty( $manual_ids ) ) {
-			wp_send_json_error( array( 'message' => __( 'Please select at least one product for manual selection.', 'brevo-campaign-generator' ) ) );
+		if ( null === $job ) {
+			wp_send_json_error( array( 'message' => __( 'Generation job not found.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Template selection.
-		$template_slug = isset( $_POST['template_slug'] ) ? sanitize_text_field( wp_unslash( $_POST['template_slug'] ) ) : 'classic';
-		$section_template_id = isset( $_POST['section_template_id'] ) ? absint( $_POST['section_template_id'] ) : 0;
+		wp_send_json_success( array( 'job' => $job ) );
+	}
 
-		// ── 2. Create draft campaign ────────────────────────────────────
+	/**
+	 * Cancel a running generation job via AJAX.
+	 *
+	 * Flags the job; the request running handle_generate_campaign() sees
+	 * the flag at its next check, refunds the unfinished step and deletes
+	 * the half-created campaign. The wizard keeps polling
+	 * bcg_generation_status until the job reports 'cancelled'.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_cancel_generation(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-		$campaign_handler  = new BCG_Campaign();
-		$template_engine   = new BCG_Template();
-		$template_registry = BCG_Template_Registry::get_instance();
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
 
-		// For section templates, use a placeholder until sections are rendered.
-		if ( $section_template_id > 0 ) {
-			$template_slug = 'sections';
-			$tpl_html      = '';
-			$tpl_settings  = $template_engine->get_default_settings();
-		} else {
-			// Use the selected flat template's HTML and settings, falling back to default.
-			$tpl_html     = $template_registry->get_template_html( $template_slug );
-			$tpl_settings = $template_registry->get_template_settings( $template_slug );
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
 
-			if ( empty( $tpl_html ) ) {
-				$tpl_html = $template_engine->get_default_template();
-			}
-			if ( empty( $tpl_settings ) ) {
-				$tpl_settings = $template_engine->get_default_settings();
-			}
+		if ( ! BCG_Generation_Job::request_cancel( $job_id, get_current_user_id() ) ) {
+			wp_send_json_error( array( 'message' => __( 'Generation job not found.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$draft_data = array(
-			'title'               => $title,
-			'subject'             => $subject,
-			'preview_text'        => $preview_text,
-			'mailing_list_id'     => $mailing_list_id,
-			'template_slug'       => $template_slug,
-			'template_html'       => $tpl_html,
-			'template_settings'   => wp_json_encode( $tpl_settings ),
-			'builder_type'        => $section_template_id > 0 ? 'sections' : 'flat',
-			'section_template_id' => $section_template_id > 0 ? $section_template_id : null,
-		);
+		wp_send_json_success( array( 'job' => BCG_Generation_Job::get( $job_id, get_current_user_id() ) ) );
+	}
 
-		$campaign_id = $campaign_handler->create_draft( $draft_data );
+	/**
+	 * Queue a batch of campaigns for background generation via AJAX.
+	 *
+	 * Accepts the same fields as handle_generate_campaign() plus
+	 * campaign_count and an optional variations array of
+	 * { theme, product_source } overrides, one per campaign. Returns as
+	 * soon as the batch is stored; progress is shown on the dashboard.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_enqueue_generation(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-		if ( is_wp_error( $campaign_id ) ) {
-			wp_send_json_error( array( 'message' => $campaign_id->get_error_message() ) );
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// ── 3. Select products ──────────────────────────────────────────
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitised field by field in normalise_config().
+		$base  = BCG_Campaign_Generator::normalise_config( wp_unslash( $_POST ) );
+		$count = isset( $_POST['campaign_count'] ) ? absint( $_POST['campaign_count'] ) : 1;
+		$count = min( max( $count, 1 ), BCG_Generation_Queue::MAX_BATCH );
 
-		$product_selector = new BCG_Product_Selector();
-		$products         = $product_selector->get_products( array(
-			'count'        => $product_count,
-			'source'       => $product_source,
-			'category_ids' => $category_ids,
-			'manual_ids'   => $manual_ids,
-		) );
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitised per field below.
+		$variations = isset( $_POST['variations'] ) && is_array( $_POST['variations'] ) ? wp_unslash( $_POST['variations'] ) : array();
+		$sources    = BCG_Product_Selector::VALID_SOURCES;
+		$configs    = array();
 
-		if ( empty( $products ) ) {
-			wp_send_json_error( array( 'message' => __( 'No products found matching your selection criteria.', 'brevo-campaign-generator' ) ) );
-		}
+		for ( $i = 0; $i < $count; $i++ ) {
+			$config    = $base;
+			$variation = isset( $variations[ $i ] ) && is_array( $variations[ $i ] ) ? $variations[ $i ] : array();
 
-		// Build lightweight product data for AI prompts.
-		$product_data_for_ai = array();
-		foreach ( $products as $wc_product ) {
-			if ( ! $wc_product instanceof \WC_Product ) {
-				continue;
+			$theme = sanitize_text_field( $variation['theme'] ?? '' );
+			if ( '' !== $theme ) {
+				$config['theme'] = $theme;
 			}
-			$product_data_for_ai[] = $product_selector->format_product_preview( $wc_product );
-		}
 
-		// ── 4. Generate coupon if requested ──────────────────────────────
+			$source = sanitize_key( $variation['product_source'] ?? '' );
+			if ( in_array( $source, $sources, true ) ) {
+				$config['product_source'] = $source;
+			}
 
-		$coupon_code = '';
-		if ( $generate_coupon && $discount_value > 0 ) {
-			$coupon_handler = new BCG_Coupon();
-			$coupon_result  = $coupon_handler->create_coupon(
-				$campaign_id,
-				$discount_value,
-				$discount_type,
-				$expiry_days,
-				$coupon_prefix
-			);
+			if ( 'manual' === $config['product_source'] && empty( $config['manual_ids'] ) ) {
+				wp_send_json_error( array( 'message' => __( 'Please select at least one product for manual selection.', 'brevo-campaign-generator' ) ) );
+			}
 
-			if ( is_wp_error( $coupon_result ) ) {
-				// Non-fatal: continue without coupon.
-				$coupon_code = '';
-			} else {
-				$coupon_code = $coupon_result;
+			if ( '' !== $base['title'] && $count > 1 ) {
+				/* translators: 1: campaign title, 2: campaign number, 3: total campaigns */
+				$config['title'] = sprintf( __( '%1$s (%2$d/%3$d)', 'brevo-campaign-generator' ), $base['title'], $i + 1, $count );
 			}
+
+			$configs[] = $config;
 		}
 
-		// ── 4b. Section template: inject coupon + products + run AI ──────────
+		$queue  = BCG_Plugin::get_instance()->get_generation_queue();
+		$result = $queue->enqueue( $configs, get_current_user_id() );
 
-		$sections_json_encoded = '';
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
 
-		if ( $section_template_id > 0 ) {
-			$section_tpl = BCG_Section_Templates_Table::get( $section_template_id );
+		BCG_Wizard_Drafts::clear_draft( get_current_user_id() );
 
-			if ( ! is_wp_error( $section_tpl ) ) {
-				$sections = json_decode( $section_tpl->sections, true );
+		wp_send_json_success( array(
+			'message'      => sprintf(
+				/* translators: %d: number of campaigns queued */
+				_n( '%d campaign queued for generation.', '%d campaigns queued for generation.', $count, 'brevo-campaign-generator' ),
+				$count
+			),
+			'batch_id'     => $result['batch_id'],
+			'redirect_url' => admin_url( 'admin.php?page=bcg-dashboard&bcg_queued=' . $count ),
+		) );
+	}
 
-				if ( is_array( $sections ) ) {
-					// Inject coupon data into any Coupon-type sections.
-					if ( ! empty( $coupon_code ) ) {
-						$currency_sym  = function_exists( 'get_woocommerce_currency_symbol' ) ? get_woocommerce_currency_symbol() : '£';
-						$discount_text = 'percent' === $discount_type
-							? sprintf( '%.0f%% off your order', $discount_value )
-							: sprintf( '%s%.2f off your order', $currency_sym, $discount_value );
-						$expiry_text   = sprintf( 'Valid for %d days', $expiry_days );
+	/**
+	 * Return the current user's generation queue via AJAX.
+	 *
+	 * Polled by the dashboard queue panel while items are active.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_get_queue(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-						foreach ( $sections as &$section ) {
-							if ( isset( $section['type'] ) && 'coupon' === $section['type'] ) {
-								$section['settings']['coupon_code']   = $coupon_code;
-								$section['settings']['discount_text'] = $discount_text;
-								$section['settings']['expiry_text']   = $expiry_text;
-							}
-						}
-						unset( $section );
-					}
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
 
-					// Inject campaign products into any Products sections that have no IDs set.
-					if ( ! empty( $product_data_for_ai ) ) {
-						$product_ids_str = implode( ',', array_map( fn( $p ) => (int) $p['id'], $product_data_for_ai ) );
-						foreach ( $sections as &$section ) {
-							if ( isset( $section['type'] ) && 'products' === $section['type'] ) {
-								if ( empty( trim( $section['settings']['product_ids'] ?? '' ) ) ) {
-									$section['settings']['product_ids'] = $product_ids_str;
-								}
-							}
-						}
-						unset( $section );
-					}
+		$queue = BCG_Plugin::get_instance()->get_generation_queue();
 
-					// Run AI generation for all AI-capable sections.
-					$currency_symbol = function_exists( 'get_woocommerce_currency_symbol' ) ? get_woocommerce_currency_symbol() : '£';
-					$ai_context      = array(
-						'products'        => $product_data_for_ai,
-						'theme'           => $theme,
-						'tone'            => $tone,
-						'language'        => $language,
-						'currency_symbol' => $currency_symbol,
-					);
-
-					$sections = BCG_Section_AI::generate_all( $sections, $ai_context );
-
-					// Render sections to email-safe HTML using global template settings.
-					$global_settings = json_decode( get_option( 'bcg_default_template_settings', '{}' ), true );
-					if ( ! is_array( $global_settings ) ) {
-						$global_settings = array();
-					}
+		wp_send_json_success( array( 'items' => $queue->get_items( get_current_user_id() ) ) );
+	}
 
-					$rendered_html         = BCG_Section_Renderer::render_sections( $sections, $global_settings );
-					$sections_json_encoded = wp_json_encode( $sections );
+	/**
+	 * Put a failed or cancelled queue item back in the queue via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_retry_queue_item(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-					// Persist rendered HTML and sections JSON to the campaign.
-					$campaign_handler->update( $campaign_id, array(
-						'template_html'       => $rendered_html,
-						'sections_json'       => $sections_json_encoded,
-						'section_template_id' => $section_template_id,
-					) );
-				}
-			}
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// ── 5 & 6. AI generation — section vs flat templates ─────────────
+		$item_id = isset( $_POST['item_id'] ) ? absint( $_POST['item_id'] ) : 0;
+		$queue   = BCG_Plugin::get_instance()->get_generation_queue();
+		$result  = $queue->retry( $item_id, get_current_user_id() );
 
-		$ai_manager = new BCG_AI_Manager();
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
 
-		if ( $section_template_id > 0 ) {
-			// Section template: sections already AI-populated in step 4b.
-			// Only finalise subject/preview_text from user input.
-			$campaign_handler->update( $campaign_id, array(
-				'subject'      => ! empty( $subject ) ? $subject : $title,
-				'preview_text' => $preview_text,
-				'status'       => 'draft',
-			) );
-		} else {
-			// Flat template: full AI copy + image generation.
-			$copy_result = $ai_manager->generate_campaign_copy(
-				$campaign_id,
-				$product_data_for_ai,
-				array(
-					'theme'           => $theme,
-					'tone'            => $tone,
-					'language'        => $language,
-					'generate_coupon' => false,
-				)
-			);
+		wp_send_json_success( array( 'items' => $queue->get_items( get_current_user_id() ) ) );
+	}
 
-			if ( is_wp_error( $copy_result ) ) {
-				wp_send_json_error( array( 'message' => $copy_result->get_error_message() ) );
-			}
+	/**
+	 * Cancel a queued or running queue item via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_cancel_queue_item(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-			// ── 6. Images ────────────────────────────────────────────────────
-			$main_image_url = '';
-			$product_images = array();
-			$image_result   = array( 'total_credits_used' => 0 );
-
-			if ( $generate_images ) {
-				$gen_images = $ai_manager->generate_campaign_images(
-					$campaign_id,
-					$product_data_for_ai,
-					array(
-						'theme'                   => $theme,
-						'style'                   => $image_style,
-						'generate_product_images' => true,
-					)
-				);
-
-				if ( ! is_wp_error( $gen_images ) ) {
-					$main_image_url = $gen_images['main_image_url'] ?? '';
-					$product_images = $gen_images['product_images'] ?? array();
-					$image_result   = $gen_images;
-				}
-			}
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
 
-			// ── 7. Update campaign ─────────────────────────────────────────
-			$campaign_handler->update( $campaign_id, array(
-				'subject'          => ! empty( $copy_result['subject_line'] ) ? $copy_result['subject_line'] : $subject,
-				'preview_text'     => ! empty( $copy_result['preview_text'] ) ? $copy_result['preview_text'] : $preview_text,
-				'main_headline'    => $copy_result['main_headline'] ?? '',
-				'main_description' => $copy_result['main_description'] ?? '',
-				'main_image_url'   => $main_image_url,
-				'status'           => 'draft',
-			) );
+		$item_id = isset( $_POST['item_id'] ) ? absint( $_POST['item_id'] ) : 0;
+		$queue   = BCG_Plugin::get_instance()->get_generation_queue();
+		$result  = $queue->cancel( $item_id, get_current_user_id() );
 
-			// Add products to bcg_campaign_products.
-			foreach ( $copy_result['products'] ?? array() as $index => $product_entry ) {
-				$product_id = absint( $product_entry['id'] ?? 0 );
-				if ( $product_id <= 0 ) {
-					continue;
-				}
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
 
-				$ai_data = array(
-					'sort_order'        => $index,
-					'ai_headline'       => $product_entry['ai_headline'] ?? '',
-					'ai_short_desc'     => $product_entry['ai_short_desc'] ?? '',
-					'use_product_image' => $generate_images ? 0 : 1,
-					'show_buy_button'   => 1,
-				);
+		wp_send_json_success( array( 'items' => $queue->get_items( get_current_user_id() ) ) );
+	}
 
-				if ( ! empty( $product_images[ $index ] ) ) {
-					$ai_data['generated_image_url'] = $product_images[ $index ];
-				}
+	/**
+	 * Remove the current user's finished queue items via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_clear_queue(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-				$campaign_handler->add_product( $campaign_id, $product_id, $ai_data );
-			}
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// ── 8. Return success with redirect URL ──────────────────────────
+		BCG_Generation_Queue_Table::delete_finished( get_current_user_id() );
 
-		$edit_url = admin_url( 'admin.php?page=bcg-edit-campaign&campaign_id=' . $campaign_id );
+		$queue = BCG_Plugin::get_instance()->get_generation_queue();
 
-		wp_send_json_success( array(
-			'message'      => __( 'Campaign generated successfully!', 'brevo-campaign-generator' ),
-			'campaign_id'  => $campaign_id,
-			'redirect_url' => $edit_url,
-			'credits_used' => isset( $copy_result ) ? ( ( $copy_result['total_credits_used'] ?? 0 ) + ( $image_result['total_credits_used'] ?? 0 ) ) : 0,
-			'new_balance'  => $ai_manager->get_credit_balance(),
-		) );
+		wp_send_json_success( array( 'items' => $queue->get_items( get_current_user_id() ) ) );
 	}
 
 	/**
-	 * Handle single field regeneration via AJAX.
+	 * Autosave the current user's New Campaign wizard state via AJAX.
 	 *
-	 * Regenerates a single campaign field (subject line, headline, description,
-	 * preview text, product headline, product description, coupon suggestion,
-	 * main image, or product image) using the AI manager.
+	 * Expects 'state' as a JSON-encoded object (see
+	 * BCG_Wizard_Drafts::sanitise_state() for the accepted fields).
 	 *
-	 * @since  1.0.0
+	 * @since  1.6.0
 	 * @return void
 	 */
-	public function handle_regenerate_field(): void {
+	public function handle_save_wizard_draft(): void {
 		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
 		if ( ! current_user_can( self::CAPABILITY ) ) {
 			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
-		$field       = isset( $_POST['field'] ) ? sanitize_text_field( wp_unslash( $_POST['field'] ) ) : '';
+		$state = $this->get_posted_wizard_state();
+		$draft = BCG_Wizard_Drafts::save_draft( get_current_user_id(), $state );
 
-		if ( empty( $field ) ) {
-			wp_send_json_error( array( 'message' => __( 'No field specified for regeneration.', 'brevo-campaign-generator' ) ) );
+		wp_send_json_success( array( 'saved_at' => $draft['saved_at'] ) );
+	}
+
+	/**
+	 * Discard the current user's New Campaign wizard draft via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_clear_wizard_draft(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Retrieve tone/theme/language from POST or fall back to defaults.
-		$tone     = isset( $_POST['tone'] ) ? sanitize_text_field( wp_unslash( $_POST['tone'] ) ) : 'Professional';
+		BCG_Wizard_Drafts::clear_draft( get_current_user_id() );
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Save the wizard state as a named preset via AJAX.
+	 *
+	 * Expects 'name' and 'state' (JSON-encoded object). An existing preset
+	 * with the same name is overwritten.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_save_wizard_preset(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$name   = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+		$result = BCG_Wizard_Drafts::save_preset( $name, $this->get_posted_wizard_state() );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'preset'  => $result,
+			'presets' => BCG_Wizard_Drafts::get_presets(),
+		) );
+	}
+
+	/**
+	 * Delete a wizard preset via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_delete_wizard_preset(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$preset_id = isset( $_POST['preset_id'] ) ? sanitize_key( wp_unslash( $_POST['preset_id'] ) ) : '';
+		$result    = BCG_Wizard_Drafts::delete_preset( $preset_id );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array( 'presets' => BCG_Wizard_Drafts::get_presets() ) );
+	}
+
+	/**
+	 * Create or update a recurring campaign from the wizard via AJAX.
+	 *
+	 * Expects 'name', 'state' (JSON-encoded wizard state) and the schedule
+	 * fields accepted by BCG_Recurring_Campaigns::sanitise_schedule().
+	 * 'recurring_id' updates an existing recurring campaign.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_save_recurring(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$schedule = array();
+		foreach ( array( 'frequency', 'weekday', 'month_day', 'run_time', 'brevo_action', 'send_delay' ) as $field ) {
+			$schedule[ $field ] = isset( $_POST[ $field ] ) ? sanitize_text_field( wp_unslash( $_POST[ $field ] ) ) : '';
+		}
+
+		$name      = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+		$id        = isset( $_POST['recurring_id'] ) ? absint( $_POST['recurring_id'] ) : 0;
+		$recurring = BCG_Plugin::get_instance()->get_recurring_campaigns();
+		$result    = $recurring->save( get_current_user_id(), $name, $this->get_posted_wizard_state(), $schedule, $id );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		// The draft was this recurring campaign; editing one never touches the draft.
+		if ( ! $id ) {
+			BCG_Wizard_Drafts::clear_draft( get_current_user_id() );
+		}
+
+		wp_send_json_success( array(
+			'message'      => $id
+				? __( 'Recurring campaign updated.', 'brevo-campaign-generator' )
+				: __( 'Recurring campaign saved.', 'brevo-campaign-generator' ),
+			'recurring_id' => $result,
+			'redirect_url' => admin_url( 'admin.php?page=bcg-dashboard#bcg-recurring-panel' ),
+		) );
+	}
+
+	/**
+	 * Pause or resume a recurring campaign via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_set_recurring_status(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$id        = isset( $_POST['recurring_id'] ) ? absint( $_POST['recurring_id'] ) : 0;
+		$status    = isset( $_POST['status'] ) && 'active' === $_POST['status'] ? 'active' : 'paused';
+		$recurring = BCG_Plugin::get_instance()->get_recurring_campaigns();
+		$result    = $recurring->set_status( $id, get_current_user_id(), $status );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array( 'items' => $recurring->get_items( get_current_user_id() ) ) );
+	}
+
+	/**
+	 * Queue a recurring campaign's next cycle immediately via AJAX.
+	 *
+	 * The regular schedule is unchanged.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_run_recurring_now(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$id        = isset( $_POST['recurring_id'] ) ? absint( $_POST['recurring_id'] ) : 0;
+		$recurring = BCG_Plugin::get_instance()->get_recurring_campaigns();
+		$result    = $recurring->run_now( $id, get_current_user_id() );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		$queue = BCG_Plugin::get_instance()->get_generation_queue();
+
+		wp_send_json_success( array(
+			'items'       => $recurring->get_items( get_current_user_id() ),
+			'queue_items' => $queue->get_items( get_current_user_id() ),
+		) );
+	}
+
+	/**
+	 * Delete a recurring campaign via AJAX.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_delete_recurring(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$id        = isset( $_POST['recurring_id'] ) ? absint( $_POST['recurring_id'] ) : 0;
+		$recurring = BCG_Plugin::get_instance()->get_recurring_campaigns();
+		$result    = $recurring->delete( $id, get_current_user_id() );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array( 'items' => $recurring->get_items( get_current_user_id() ) ) );
+	}
+
+	/**
+	 * Decode the JSON 'state' field posted by the wizard.
+	 *
+	 * @since  1.6.0
+	 * @return array Raw state; sanitised by BCG_Wizard_Drafts.
+	 */
+	private function get_posted_wizard_state(): array {
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPress.Security.NonceVerification.Missing -- Sanitised in BCG_Wizard_Drafts::sanitise_state(); nonce checked by the caller.
+		$raw   = isset( $_POST['state'] ) ? wp_unslash( $_POST['state'] ) : '{}';
+		$state = is_string( $raw ) ? json_decode( $raw, true ) : null;
+
+		if ( ! is_array( $state ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid wizard data.', 'brevo-campaign-generator' ) ) );
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Handle single field regeneration via AJAX.
+	 *
+	 * Regenerates a single campaign field (subject line, headline, description,
+	 * preview text, product headline, product description, coupon suggestion,
+	 * main image, or product image) using the AI manager.
+	 *
+	 * When a count is posted for a copy field, returns that many alternatives
+	 * for the editor's picker instead, recording them in the copy history.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function handle_regenerate_field(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$field       = isset( $_POST['field'] ) ? sanitize_text_field( wp_unslash( $_POST['field'] ) ) : '';
+
+		if ( empty( $field ) ) {
+			wp_send_json_error( array( 'message' => __( 'No field specified for regeneration.', 'brevo-campaign-generator' ) ) );
+		}
+
+		// Retrieve tone/theme/language from POST or fall back to defaults.
+		$tone     = isset( $_POST['tone'] ) ? sanitize_text_field( wp_unslash( $_POST['tone'] ) ) : 'Professional';
 		$theme    = isset( $_POST['theme'] ) ? sanitize_text_field( wp_unslash( $_POST['theme'] ) ) : '';
 		$language = isset( $_POST['language'] ) ? sanitize_text_field( wp_unslash( $_POST['language'] ) ) : 'English';
 		$style    = isset( $_POST['image_style'] ) ? sanitize_text_field( wp_unslash( $_POST['image_style'] ) ) : 'Photorealistic';
@@ -1145,7 +1893,41 @@ class BCG_Admin {
 		);
 
 		$ai_manager = new BCG_AI_Manager();
-		$result     = $ai_manager->regenerate_field( $campaign_id, $field, $context );
+
+		// Several alternatives for the editor's picker. Nothing is saved to the
+		// field itself; the alternatives and the text they would replace go
+		// into the field's copy history instead.
+		if ( isset( $_POST['count'] ) && in_array( $field, BCG_Copy_History::FIELDS, true ) ) {
+			if ( ! $campaign_id ) {
+				wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+			}
+
+			$current = isset( $_POST['current'] ) ? sanitize_textarea_field( wp_unslash( $_POST['current'] ) ) : '';
+			$result  = $ai_manager->regenerate_field_variants( $campaign_id, $field, $context, absint( $_POST['count'] ) );
+
+			if ( is_wp_error( $result ) ) {
+				wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+			}
+
+			$key     = BCG_Copy_History::key( $field, $product_row_id );
+			$history = BCG_Copy_History::add(
+				BCG_Copy_History::sanitise( $campaign->copy_history ?? null ),
+				$key,
+				array_merge( $result['variants'], array( $current ) )
+			);
+
+			$campaign_handler->update( $campaign_id, array( 'copy_history' => $history ) );
+
+			wp_send_json_success( array(
+				'variants'     => $result['variants'],
+				'history'      => BCG_Copy_History::get( $history, $key ),
+				'errors'       => $result['errors'],
+				'credits_used' => $result['credits_used'],
+				'new_balance'  => $ai_manager->get_credit_balance(),
+			) );
+		}
+
+		$result = $ai_manager->regenerate_field( $campaign_id, $field, $context );
 
 		if ( is_wp_error( $result ) ) {
 			$err_msg = $result->get_error_message();
@@ -1157,7 +1939,8 @@ class BCG_Admin {
 		}
 
 		// Auto-save the regenerated content to the DB (only if campaign exists).
-		if ( $campaign_id ) {
+		// A/B variants are saved with the rest of the test settings instead.
+		if ( $campaign_id && empty( $_POST['ab_variant'] ) ) {
 			$campaign_field_map = array(
 				'subject_line'     => 'subject',
 				'preview_text'     => 'preview_text',
@@ -1419,7 +2202,7 @@ class BCG_Admin {
 	 * Handle product selection preview via AJAX.
 	 *
 	 * Returns a lightweight preview of products matching the given selection
-	 * criteria (source, count, categories) or a search query. Used by the
+	 * criteria (source, count, categories, rules) or a search query. Used by the
 	 * campaign wizard to show which products will be included.
 	 *
 	 * @since  1.0.0
@@ -1452,6 +2235,8 @@ class BCG_Admin {
 		$category_ids = isset( $_POST['category_ids'] ) && is_array( $_POST['category_ids'] ) ? array_map( 'absint', $_POST['category_ids'] ) : array();
 		$manual_ids   = isset( $_POST['manual_ids'] ) && is_array( $_POST['manual_ids'] ) ? array_map( 'absint', $_POST['manual_ids'] ) : array();
 		$exclude_ids  = isset( $_POST['exclude_ids'] ) && is_array( $_POST['exclude_ids'] ) ? array_map( 'absint', $_POST['exclude_ids'] ) : array();
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitised in BCG_Product_Selector::sanitise_rules().
+		$rules        = isset( $_POST['product_rules'] ) && is_array( $_POST['product_rules'] ) ? wp_unslash( $_POST['product_rules'] ) : array();
 
 		$config = array(
 			'count'        => $count,
@@ -1459,6 +2244,7 @@ class BCG_Admin {
 			'category_ids' => $category_ids,
 			'manual_ids'   => $manual_ids,
 			'exclude_ids'  => $exclude_ids,
+			'rules'        => $rules,
 		);
 
 		$products = $product_selector->preview_products( $config );
@@ -1533,7 +2319,7 @@ class BCG_Admin {
 		$update_data = array();
 
 		// Text fields.
-		$text_fields = array( 'title', 'subject', 'preview_text', 'main_headline', 'coupon_code', 'mailing_list_id' );
+		$text_fields = array( 'title', 'subject', 'preview_text', 'main_headline', 'main_image_alt', 'coupon_code', 'mailing_list_id' );
 		foreach ( $text_fields as $field ) {
 			if ( isset( $_POST[ $field ] ) ) {
 				$update_data[ $field ] = sanitize_text_field( wp_unslash( $_POST[ $field ] ) );
@@ -1606,6 +2392,29 @@ class BCG_Admin {
 			}
 		}
 
+		// A/B subject line test (JSON string) — sanitised by BCG_AB_Test.
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON decoded and sanitised per-field in BCG_AB_Test::sanitise().
+		if ( isset( $_POST['ab_test'] ) ) {
+			$update_data['ab_test'] = BCG_AB_Test::sanitise( wp_unslash( $_POST['ab_test'] ) );
+		}
+
+		// Main language and the translations' subject lines, preview text and audiences (JSON string).
+		if ( isset( $_POST['language'] ) ) {
+			$update_data['language'] = BCG_Campaign_Translations::normalise_code( sanitize_key( wp_unslash( $_POST['language'] ) ) );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON decoded and sanitised per-field in BCG_Campaign_Translations::merge_edits().
+		if ( isset( $_POST['translations'] ) ) {
+			$translations = BCG_Campaign_Translations::merge_edits(
+				BCG_Campaign_Translations::sanitise( $campaign->translations ?? null ),
+				json_decode( wp_unslash( $_POST['translations'] ), true )
+			);
+
+			unset( $translations[ $update_data['language'] ?? ( $campaign->language ?? '' ) ] );
+
+			$update_data['translations'] = $translations;
+		}
+
 		// Template HTML — allow full HTML including <style> tags for email templates.
 		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Full email HTML stored for campaign. Capability-gated to manage_woocommerce admins only.
 		if ( isset( $_POST['template_html'] ) && ! isset( $update_data['template_html'] ) ) {
@@ -1654,6 +2463,10 @@ class BCG_Admin {
 					$product_update['custom_short_desc'] = wp_kses_post( $product_entry['custom_short_desc'] );
 				}
 
+				if ( isset( $product_entry['image_alt'] ) ) {
+					$product_update['image_alt'] = sanitize_text_field( $product_entry['image_alt'] );
+				}
+
 				if ( isset( $product_entry['use_product_image'] ) ) {
 					$product_update['use_product_image'] = absint( $product_entry['use_product_image'] ) ? 1 : 0;
 				}
@@ -1679,8 +2492,12 @@ class BCG_Admin {
 			}
 		}
 
+		// Translations are out of date once the copy they came from changes.
+		$campaign = $campaign_handler->get( $campaign_id );
+
 		wp_send_json_success( array(
-			'message' => __( 'Campaign saved successfully.', 'brevo-campaign-generator' ),
+			'message'      => __( 'Campaign saved successfully.', 'brevo-campaign-generator' ),
+			'translations' => is_wp_error( $campaign ) ? array() : BCG_Campaign_Translations::summarise( $campaign ),
 		) );
 	}
 
@@ -1753,6 +2570,7 @@ class BCG_Admin {
 			'subject'           => $source->subject,
 			'preview_text'      => $source->preview_text,
 			'main_image_url'    => $source->main_image_url,
+			'main_image_alt'    => $source->main_image_alt ?? null,
 			'main_headline'     => $source->main_headline,
 			'main_description'  => $source->main_description,
 			'coupon_code'       => '',
@@ -1761,6 +2579,9 @@ class BCG_Admin {
 			'template_html'     => $source->template_html,
 			'template_settings' => $source->template_settings,
 			'mailing_list_id'   => $source->mailing_list_id,
+			'product_rules'     => $source->product_rules ?? null,
+			'ab_test'           => $source->ab_test ?? null,
+			'language'          => $source->language ?? '',
 		) );
 
 		if ( is_wp_error( $new_id ) ) {
@@ -1768,21 +2589,30 @@ class BCG_Admin {
 		}
 
 		// Duplicate associated products.
+		$row_map = array();
 		if ( ! empty( $source->products ) ) {
 			foreach ( $source->products as $product ) {
-				$campaign_handler->add_product( $new_id, (int) $product->product_id, array(
+				$row_map[ (int) $product->id ] = $campaign_handler->add_product( $new_id, (int) $product->product_id, array(
 					'sort_order'          => (int) $product->sort_order,
 					'ai_headline'         => $product->ai_headline,
 					'ai_short_desc'       => $product->ai_short_desc,
 					'custom_headline'     => $product->custom_headline,
 					'custom_short_desc'   => $product->custom_short_desc,
 					'generated_image_url' => $product->generated_image_url,
+					'image_alt'           => $product->image_alt ?? null,
 					'use_product_image'   => (int) $product->use_product_image,
 					'show_buy_button'     => (int) $product->show_buy_button,
 				) );
 			}
 		}
 
+		// Translations follow the copy; their Brevo campaigns stay with the original.
+		if ( ! empty( $source->translations ) ) {
+			$campaign_handler->update( $new_id, array(
+				'translations' => BCG_Campaign_Translations::copy( $source->translations, array_filter( $row_map, 'is_int' ) ),
+			) );
+		}
+
 		wp_send_json_success( array(
 			'message'     => __( 'Campaign duplicated successfully.', 'brevo-campaign-generator' ),
 			'campaign_id' => $new_id,
@@ -1795,135 +2625,450 @@ class BCG_Admin {
 	 *
 	 * Renders the campaign template, ensures a corresponding Brevo campaign
 	 * exists (creates or updates one), then sends a test email to the
-	 * specified address through the Brevo API.
+	 * specified address through the Brevo API. An optional language sends
+	 * the campaign's translation into it instead.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function handle_send_test(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$test_email  = isset( $_POST['email'] ) ? sanitize_email( wp_unslash( $_POST['email'] ) ) : '';
+		$language    = isset( $_POST['language'] ) ? BCG_Campaign_Translations::normalise_code( sanitize_key( wp_unslash( $_POST['language'] ) ) ) : '';
+
+		if ( ! $campaign_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		}
+
+		if ( empty( $test_email ) || ! is_email( $test_email ) ) {
+			// Default to current user's email.
+			$current_user = wp_get_current_user();
+			$test_email   = $current_user->user_email;
+
+			if ( empty( $test_email ) || ! is_email( $test_email ) ) {
+				wp_send_json_error( array( 'message' => __( 'A valid email address is required.', 'brevo-campaign-generator' ) ) );
+			}
+		}
+
+		// Load the campaign.
+		$campaign_handler = new BCG_Campaign();
+		$campaign         = $campaign_handler->get( $campaign_id );
+
+		if ( is_wp_error( $campaign ) ) {
+			wp_send_json_error( array( 'message' => $campaign->get_error_message() ) );
+		}
+
+		// Ensure a Brevo campaign exists so we can send a test — of a translation when a language is given.
+		$brevo          = new BCG_Brevo();
+		$brevo_campaign = ( new BCG_Campaign_Publisher( $brevo ) )->ensure_brevo_campaign( $campaign, $language );
+
+		if ( is_wp_error( $brevo_campaign ) ) {
+			wp_send_json_error( array( 'message' => $brevo_campaign->get_error_message() ) );
+		}
+
+		$brevo_campaign_id = (int) $brevo_campaign['id'];
+
+		// Send the test email.
+		$result = $brevo->send_test_email( $brevo_campaign_id, $test_email );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => sprintf(
+				/* translators: %s: the test email address */
+				__( 'Test email sent to %s.', 'brevo-campaign-generator' ),
+				esc_html( $test_email )
+			),
+		) );
+	}
+
+	/**
+	 * Handle creating a campaign in Brevo via AJAX.
+	 *
+	 * Renders the campaign template into final HTML, builds a Brevo API
+	 * payload with the campaign name, subject, sender details, and mailing
+	 * list, creates the campaign in Brevo, and stores the Brevo campaign
+	 * ID back in the local campaign record. Sets the local status to 'ready'.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function handle_create_brevo_campaign(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+
+		if ( ! $campaign_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		}
+
+		// Create or update the Brevo campaign and set the local status to ready.
+		$brevo_campaign_id = ( new BCG_Campaign_Publisher() )->create_in_brevo( $campaign_id );
+
+		if ( is_wp_error( $brevo_campaign_id ) ) {
+			wp_send_json_error( array( 'message' => $brevo_campaign_id->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message'           => __( 'Campaign created in Brevo successfully.', 'brevo-campaign-generator' ),
+			'brevo_campaign_id' => $brevo_campaign_id,
+			'brevo_url'         => 'https://app.brevo.com/campaign/classic/' . $brevo_campaign_id,
+		) );
+	}
+
+	/**
+	 * Handle sending a campaign immediately via AJAX.
+	 *
+	 * Ensures the campaign exists in Brevo (creates or updates it), then
+	 * triggers an immediate send through the Brevo API. Updates the local
+	 * campaign status to 'sent' on success.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function handle_send_campaign(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+
+		if ( ! $campaign_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		}
+
+		// Create or update the Brevo campaigns (one per language), send them and mark the campaign sent.
+		$brevo_campaign_id = ( new BCG_Campaign_Publisher() )->send_now( $campaign_id );
+
+		if ( is_wp_error( $brevo_campaign_id ) ) {
+			wp_send_json_error( array( 'message' => $brevo_campaign_id->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => __( 'Campaign sent successfully!', 'brevo-campaign-generator' ),
+		) );
+	}
+
+	/**
+	 * Handle scheduling a campaign via AJAX.
+	 *
+	 * Ensures the campaign exists in Brevo, then schedules it for the
+	 * specified date/time through the Brevo API. Updates the local
+	 * campaign status to 'scheduled' and stores the scheduled datetime.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function handle_schedule_campaign(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id    = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$scheduled_at   = isset( $_POST['scheduled_at'] ) ? sanitize_text_field( wp_unslash( $_POST['scheduled_at'] ) ) : '';
+
+		if ( ! $campaign_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		}
+
+		if ( empty( $scheduled_at ) ) {
+			wp_send_json_error( array( 'message' => __( 'A scheduled date and time is required.', 'brevo-campaign-generator' ) ) );
+		}
+
+		// Validate the datetime is in the future.
+		$timestamp = strtotime( $scheduled_at );
+		if ( false === $timestamp || $timestamp <= time() ) {
+			wp_send_json_error( array( 'message' => __( 'The scheduled date must be in the future.', 'brevo-campaign-generator' ) ) );
+		}
+
+		// Create or update the Brevo campaign and schedule it.
+		$brevo_campaign_id = ( new BCG_Campaign_Publisher() )->schedule( $campaign_id, $timestamp );
+
+		if ( is_wp_error( $brevo_campaign_id ) ) {
+			wp_send_json_error( array( 'message' => $brevo_campaign_id->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message'      => sprintf(
+				/* translators: %s: the formatted scheduled date/time */
+				__( 'Campaign scheduled for %s.', 'brevo-campaign-generator' ),
+				wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $timestamp )
+			),
+			'scheduled_at' => gmdate( 'Y-m-d\TH:i:s\Z', $timestamp ),
+		) );
+	}
+
+	/**
+	 * Run the pre-send checks on a campaign via AJAX.
+	 *
+	 * Expects campaign_id and, when scheduling, send_at (the scheduled date
+	 * and time) so the coupon is checked against the send date.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_preflight_campaign(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$send_at     = isset( $_POST['send_at'] ) ? sanitize_text_field( wp_unslash( $_POST['send_at'] ) ) : '';
+
+		if ( ! $campaign_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$timestamp = '' !== $send_at ? strtotime( $send_at ) : 0;
+		$result    = ( new BCG_Campaign_Preflight() )->run( $campaign_id, false === $timestamp ? 0 : $timestamp );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Get a campaign's plain-text version via AJAX.
+	 *
+	 * Returns the text generated from the saved campaign's HTML, for the
+	 * Text tab of the editor preview.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_get_plain_text(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$html        = ( new BCG_Template() )->render( $campaign_id );
+
+		if ( is_wp_error( $html ) ) {
+			wp_send_json_error( array( 'message' => $html->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'text' => BCG_Plain_Text::from_html( BCG_Campaign_Publisher::unescape_merge_tags( $html ) ),
+		) );
+	}
+
+	/**
+	 * Score a campaign or a Section Builder preview for deliverability via AJAX.
+	 *
+	 * Expects either campaign_id, to analyse the HTML Brevo will receive
+	 * together with the subject and preview text, or sections (JSON) and
+	 * optional global_defaults, like bcg_sb_preview.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_analyse_deliverability(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
+		}
+
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+
+		if ( $campaign_id ) {
+			$campaign = ( new BCG_Campaign() )->get( $campaign_id );
+			if ( is_wp_error( $campaign ) ) {
+				wp_send_json_error( array( 'message' => $campaign->get_error_message() ) );
+			}
+
+			$html = ( new BCG_Template() )->render( $campaign_id );
+			if ( is_wp_error( $html ) ) {
+				wp_send_json_error( array( 'message' => $html->get_error_message() ) );
+			}
+
+			// Brevo's campaign API takes HTML only, so there is no plain-text part.
+			$html = BCG_Campaign_Publisher::unescape_merge_tags( $html );
+			$args = array(
+				'subject'      => (string) $campaign->subject,
+				'preview_text' => (string) $campaign->preview_text,
+				'plain_text'   => '',
+			);
+		} else {
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON decoded below; values are escaped by the renderer.
+			$sections_raw = isset( $_POST['sections'] ) ? wp_unslash( $_POST['sections'] ) : '[]';
+			$sections     = json_decode( $sections_raw, true );
+
+			if ( ! is_array( $sections ) ) {
+				wp_send_json_error( array( 'message' => __( 'Invalid sections data.', 'brevo-campaign-generator' ) ) );
+			}
+
+			$html = BCG_Section_Renderer::render_sections( $sections, $this->get_preview_global_settings() );
+			$args = array();
+		}
+
+		wp_send_json_success( ( new BCG_Deliverability() )->analyse( $html, $args ) );
+	}
+
+	/**
+	 * Rewrite copy flagged by the deliverability analyser via AJAX.
 	 *
-	 * @since  1.0.0
+	 * Expects text (the flagged copy) and rules (the analyser rules that
+	 * flagged it). Costs AI credits like any other regeneration.
+	 *
+	 * @since  1.6.0
 	 * @return void
 	 */
-	public function handle_send_test(): void {
+	public function handle_rewrite_flagged_copy(): void {
 		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
 		if ( ! current_user_can( self::CAPABILITY ) ) {
 			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
-		$test_email  = isset( $_POST['email'] ) ? sanitize_email( wp_unslash( $_POST['email'] ) ) : '';
-
-		if ( ! $campaign_id ) {
-			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
-		}
-
-		if ( empty( $test_email ) || ! is_email( $test_email ) ) {
-			// Default to current user's email.
-			$current_user = wp_get_current_user();
-			$test_email   = $current_user->user_email;
+		$text  = isset( $_POST['text'] ) ? trim( sanitize_textarea_field( wp_unslash( $_POST['text'] ) ) ) : '';
+		$rules = isset( $_POST['rules'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['rules'] ) ) : array();
 
-			if ( empty( $test_email ) || ! is_email( $test_email ) ) {
-				wp_send_json_error( array( 'message' => __( 'A valid email address is required.', 'brevo-campaign-generator' ) ) );
-			}
+		if ( '' === $text ) {
+			wp_send_json_error( array( 'message' => __( 'There is no copy to rewrite.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Load the campaign.
-		$campaign_handler = new BCG_Campaign();
-		$campaign         = $campaign_handler->get( $campaign_id );
-
-		if ( is_wp_error( $campaign ) ) {
-			wp_send_json_error( array( 'message' => $campaign->get_error_message() ) );
+		if ( mb_strlen( $text ) > BCG_Deliverability::MAX_REWRITE_LENGTH ) {
+			wp_send_json_error( array( 'message' => __( 'This copy is too long to rewrite. Edit it by hand instead.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Ensure a Brevo campaign exists so we can send a test.
-		$brevo          = new BCG_Brevo();
-		$brevo_campaign = $this->ensure_brevo_campaign( $campaign, $brevo );
+		$instructions = BCG_Deliverability::get_rewrite_instructions( $rules, $text );
 
-		if ( is_wp_error( $brevo_campaign ) ) {
-			wp_send_json_error( array( 'message' => $brevo_campaign->get_error_message() ) );
+		if ( '' === $instructions ) {
+			wp_send_json_error( array( 'message' => __( 'This problem cannot be fixed by rewriting the copy.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$brevo_campaign_id = (int) $brevo_campaign['id'];
-
-		// Send the test email.
-		$result = $brevo->send_test_email( $brevo_campaign_id, $test_email );
+		$ai_manager = new BCG_AI_Manager();
+		$result     = $ai_manager->rewrite_copy( $text, $instructions, 'rewrite_flagged_copy' );
 
 		if ( is_wp_error( $result ) ) {
 			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
 		}
 
 		wp_send_json_success( array(
-			'message' => sprintf(
-				/* translators: %s: the test email address */
-				__( 'Test email sent to %s.', 'brevo-campaign-generator' ),
-				esc_html( $test_email )
-			),
+			'content'      => $result['content'],
+			'credits_used' => $result['credits_used'],
+			'new_balance'  => $ai_manager->get_credit_balance(),
 		) );
 	}
 
 	/**
-	 * Handle creating a campaign in Brevo via AJAX.
+	 * Handle a directed rewrite of a copy field via AJAX.
 	 *
-	 * Renders the campaign template into final HTML, builds a Brevo API
-	 * payload with the campaign name, subject, sender details, and mailing
-	 * list, creates the campaign in Brevo, and stores the Brevo campaign
-	 * ID back in the local campaign record. Sets the local status to 'ready'.
+	 * Rewrites the field's current text following a preset from
+	 * BCG_Copy_Rewrite and/or an instruction typed by the user. Rich text
+	 * is sent and returned as HTML. When the field is a campaign copy
+	 * field, the original and the rewrite are added to its copy history.
 	 *
-	 * @since  1.0.0
+	 * @since  1.6.0
 	 * @return void
 	 */
-	public function handle_create_brevo_campaign(): void {
+	public function handle_rewrite_copy(): void {
 		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
 		if ( ! current_user_can( self::CAPABILITY ) ) {
 			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$html   = isset( $_POST['format'] ) && 'html' === sanitize_key( wp_unslash( $_POST['format'] ) );
+		$preset = isset( $_POST['preset'] ) ? sanitize_key( wp_unslash( $_POST['preset'] ) ) : '';
+		$custom = isset( $_POST['instructions'] ) ? sanitize_text_field( wp_unslash( $_POST['instructions'] ) ) : '';
 
-		if ( ! $campaign_id ) {
-			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		if ( $html ) {
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Rich text HTML, reduced to the email-safe tags by sanitize_richtext().
+			$text = isset( $_POST['text'] ) ? trim( BCG_Section_Renderer::sanitize_richtext( wp_unslash( $_POST['text'] ) ) ) : '';
+		} else {
+			$text = isset( $_POST['text'] ) ? trim( sanitize_textarea_field( wp_unslash( $_POST['text'] ) ) ) : '';
 		}
 
-		// Load the campaign.
-		$campaign_handler = new BCG_Campaign();
-		$campaign         = $campaign_handler->get( $campaign_id );
+		if ( '' === trim( wp_strip_all_tags( $text ) ) ) {
+			wp_send_json_error( array( 'message' => __( 'There is no copy to rewrite.', 'brevo-campaign-generator' ) ) );
+		}
 
-		if ( is_wp_error( $campaign ) ) {
-			wp_send_json_error( array( 'message' => $campaign->get_error_message() ) );
+		if ( mb_strlen( $text ) > BCG_Copy_Rewrite::MAX_LENGTH ) {
+			wp_send_json_error( array( 'message' => __( 'This copy is too long to rewrite. Edit it by hand instead.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Create or update the Brevo campaign.
-		$brevo          = new BCG_Brevo();
-		$brevo_campaign = $this->ensure_brevo_campaign( $campaign, $brevo );
+		$instructions = BCG_Copy_Rewrite::get_instructions( $preset, $custom, $html );
 
-		if ( is_wp_error( $brevo_campaign ) ) {
-			wp_send_json_error( array( 'message' => $brevo_campaign->get_error_message() ) );
+		if ( '' === $instructions ) {
+			wp_send_json_error( array( 'message' => __( 'Choose a rewrite or describe what to change.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$brevo_campaign_id = (int) $brevo_campaign['id'];
+		$ai_manager = new BCG_AI_Manager();
+		$result     = $ai_manager->rewrite_copy( $text, $instructions );
 
-		// Update local campaign with Brevo campaign ID and set status to ready.
-		$campaign_handler->update( $campaign_id, array(
-			'brevo_campaign_id' => $brevo_campaign_id,
-			'status'            => 'ready',
-		) );
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
 
-		wp_send_json_success( array(
-			'message'           => __( 'Campaign created in Brevo successfully.', 'brevo-campaign-generator' ),
-			'brevo_campaign_id' => $brevo_campaign_id,
-			'brevo_url'         => 'https://app.brevo.com/campaign/classic/' . $brevo_campaign_id,
-		) );
+		$content = $html
+			? BCG_Section_Renderer::sanitize_richtext( (string) $result['content'] )
+			: sanitize_textarea_field( (string) $result['content'] );
+
+		$response = array(
+			'content'      => $content,
+			'credits_used' => $result['credits_used'],
+			'new_balance'  => $ai_manager->get_credit_balance(),
+		);
+
+		// Campaign copy fields keep the original and the rewrite in their history.
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$field       = isset( $_POST['field'] ) ? sanitize_key( wp_unslash( $_POST['field'] ) ) : '';
+
+		if ( $campaign_id && ! $html && in_array( $field, BCG_Copy_History::FIELDS, true ) ) {
+			$campaign_handler = new BCG_Campaign();
+			$campaign         = $campaign_handler->get( $campaign_id );
+
+			if ( ! is_wp_error( $campaign ) ) {
+				$key     = BCG_Copy_History::key( $field, isset( $_POST['product_row_id'] ) ? absint( $_POST['product_row_id'] ) : 0 );
+				$history = BCG_Copy_History::add( BCG_Copy_History::sanitise( $campaign->copy_history ?? null ), $key, array( $content, $text ) );
+
+				$campaign_handler->update( $campaign_id, array( 'copy_history' => $history ) );
+
+				$response['history_key'] = $key;
+				$response['history']     = BCG_Copy_History::get( $history, $key );
+			}
+		}
+
+		wp_send_json_success( $response );
 	}
 
 	/**
-	 * Handle sending a campaign immediately via AJAX.
+	 * Handle translating a campaign into another language via AJAX.
 	 *
-	 * Ensures the campaign exists in Brevo (creates or updates it), then
-	 * triggers an immediate send through the Brevo API. Updates the local
-	 * campaign status to 'sent' on success.
+	 * Expects campaign_id and language (a code from
+	 * BCG_Campaign_Translations::LANGUAGES). Translates the saved copy, so
+	 * the editor saves first. A language that is already translated is
+	 * translated again from the current copy, keeping its audience.
 	 *
-	 * @since  1.0.0
+	 * @since  1.6.0
 	 * @return void
 	 */
-	public function handle_send_campaign(): void {
+	public function handle_translate_campaign(): void {
 		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
 		if ( ! current_user_can( self::CAPABILITY ) ) {
@@ -1931,125 +3076,130 @@ class BCG_Admin {
 		}
 
 		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$language    = isset( $_POST['language'] ) ? BCG_Campaign_Translations::normalise_code( sanitize_key( wp_unslash( $_POST['language'] ) ) ) : '';
 
 		if ( ! $campaign_id ) {
 			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Load the campaign.
-		$campaign_handler = new BCG_Campaign();
-		$campaign         = $campaign_handler->get( $campaign_id );
-
-		if ( is_wp_error( $campaign ) ) {
-			wp_send_json_error( array( 'message' => $campaign->get_error_message() ) );
-		}
-
-		// Ensure a Brevo campaign exists (create or update).
-		$brevo          = new BCG_Brevo();
-		$brevo_campaign = $this->ensure_brevo_campaign( $campaign, $brevo );
-
-		if ( is_wp_error( $brevo_campaign ) ) {
-			wp_send_json_error( array( 'message' => $brevo_campaign->get_error_message() ) );
-		}
-
-		$brevo_campaign_id = (int) $brevo_campaign['id'];
-
-		// Send the campaign immediately.
-		$send_result = $brevo->send_campaign_now( $brevo_campaign_id );
+		$ai_manager = new BCG_AI_Manager();
+		$result     = BCG_Campaign_Translations::translate( $campaign_id, $language, $ai_manager );
 
-		if ( is_wp_error( $send_result ) ) {
-			wp_send_json_error( array( 'message' => $send_result->get_error_message() ) );
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
 		}
 
-		// Update local campaign status to sent.
-		$campaign_handler->update( $campaign_id, array(
-			'brevo_campaign_id' => $brevo_campaign_id,
-			'status'            => 'sent',
-			'sent_at'           => current_time( 'mysql' ),
-		) );
+		$campaign = ( new BCG_Campaign() )->get( $campaign_id );
+		$summary  = is_wp_error( $campaign ) ? array() : wp_list_filter( BCG_Campaign_Translations::summarise( $campaign ), array( 'code' => $language ) );
 
 		wp_send_json_success( array(
-			'message' => __( 'Campaign sent successfully!', 'brevo-campaign-generator' ),
+			'message'      => sprintf(
+				/* translators: %s: language name */
+				__( 'Campaign translated into %s.', 'brevo-campaign-generator' ),
+				BCG_Campaign_Translations::get_label( $language )
+			),
+			'translation'  => reset( $summary ),
+			'warnings'     => $result['warnings'],
+			'credits_used' => $result['credits_used'],
+			'new_balance'  => $ai_manager->get_credit_balance(),
 		) );
 	}
 
 	/**
-	 * Handle scheduling a campaign via AJAX.
+	 * Write alt text for an email image with AI via AJAX.
 	 *
-	 * Ensures the campaign exists in Brevo, then schedules it for the
-	 * specified date/time through the Brevo API. Updates the local
-	 * campaign status to 'scheduled' and stores the scheduled datetime.
+	 * Expects image_url and, as context, product_id (its title and short
+	 * description are used) and/or context (copy the image accompanies).
+	 * Optional language is a code or an English language name. Costs AI
+	 * credits like any other regeneration.
 	 *
-	 * @since  1.0.0
+	 * @since  1.6.0
 	 * @return void
 	 */
-	public function handle_schedule_campaign(): void {
+	public function handle_generate_alt_text(): void {
 		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
 		if ( ! current_user_can( self::CAPABILITY ) ) {
 			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$campaign_id    = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
-		$scheduled_at   = isset( $_POST['scheduled_at'] ) ? sanitize_text_field( wp_unslash( $_POST['scheduled_at'] ) ) : '';
+		$image_url  = isset( $_POST['image_url'] ) ? esc_url_raw( wp_unslash( $_POST['image_url'] ) ) : '';
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$context    = isset( $_POST['context'] ) ? sanitize_textarea_field( wp_unslash( $_POST['context'] ) ) : '';
+		$language   = isset( $_POST['language'] ) ? BCG_Campaign_Translations::normalise_code( sanitize_text_field( wp_unslash( $_POST['language'] ) ) ) : '';
 
-		if ( ! $campaign_id ) {
-			wp_send_json_error( array( 'message' => __( 'Invalid campaign ID.', 'brevo-campaign-generator' ) ) );
+		// The plugin's placeholder image says nothing about the email.
+		if ( str_starts_with( $image_url, BCG_PLUGIN_URL ) ) {
+			$image_url = '';
 		}
 
-		if ( empty( $scheduled_at ) ) {
-			wp_send_json_error( array( 'message' => __( 'A scheduled date and time is required.', 'brevo-campaign-generator' ) ) );
+		$description = array();
+		$product     = $product_id && function_exists( 'wc_get_product' ) ? wc_get_product( $product_id ) : null;
+
+		if ( $product ) {
+			$description[] = $product->get_name();
+			$description[] = wp_strip_all_tags( $product->get_short_description() ?: $product->get_description() );
 		}
 
-		// Validate the datetime is in the future.
-		$timestamp = strtotime( $scheduled_at );
-		if ( false === $timestamp || $timestamp <= time() ) {
-			wp_send_json_error( array( 'message' => __( 'The scheduled date must be in the future.', 'brevo-campaign-generator' ) ) );
+		$description[] = $context;
+		$description   = trim( implode( "\n", array_filter( array_map( 'trim', $description ), 'strlen' ) ) );
+
+		if ( '' === $image_url && '' === $description ) {
+			wp_send_json_error( array( 'message' => __( 'Add an image or some copy to describe first.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Load the campaign.
-		$campaign_handler = new BCG_Campaign();
-		$campaign         = $campaign_handler->get( $campaign_id );
+		$ai_manager = new BCG_AI_Manager();
+		$result     = $ai_manager->generate_alt_text( $image_url, $description, BCG_Campaign_Translations::LANGUAGES[ $language ] ?? '' );
 
-		if ( is_wp_error( $campaign ) ) {
-			wp_send_json_error( array( 'message' => $campaign->get_error_message() ) );
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
 		}
 
-		// Ensure a Brevo campaign exists (create or update).
-		$brevo          = new BCG_Brevo();
-		$brevo_campaign = $this->ensure_brevo_campaign( $campaign, $brevo );
+		wp_send_json_success( array(
+			'alt'          => sanitize_text_field( (string) $result['content'] ),
+			'credits_used' => $result['credits_used'],
+			'new_balance'  => $ai_manager->get_credit_balance(),
+		) );
+	}
 
-		if ( is_wp_error( $brevo_campaign ) ) {
-			wp_send_json_error( array( 'message' => $brevo_campaign->get_error_message() ) );
+	/**
+	 * Audit a campaign or a Section Builder preview for accessibility via AJAX.
+	 *
+	 * Expects either campaign_id, to audit the HTML Brevo will receive, or
+	 * sections (JSON) and optional global_defaults, like bcg_sb_preview.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_audit_accessibility(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		$brevo_campaign_id = (int) $brevo_campaign['id'];
+		$campaign_id = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+
+		if ( $campaign_id ) {
+			$html = ( new BCG_Template() )->render( $campaign_id );
+			if ( is_wp_error( $html ) ) {
+				wp_send_json_error( array( 'message' => $html->get_error_message() ) );
+			}
 
-		// Format as ISO 8601 for Brevo.
-		$iso_datetime = gmdate( 'Y-m-d\TH:i:s\Z', $timestamp );
+			$html = BCG_Campaign_Publisher::unescape_merge_tags( $html );
+		} else {
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON decoded below; values are escaped by the renderer.
+			$sections_raw = isset( $_POST['sections'] ) ? wp_unslash( $_POST['sections'] ) : '[]';
+			$sections     = json_decode( $sections_raw, true );
 
-		// Schedule the campaign in Brevo.
-		$schedule_result = $brevo->schedule_campaign( $brevo_campaign_id, $iso_datetime );
+			if ( ! is_array( $sections ) ) {
+				wp_send_json_error( array( 'message' => __( 'Invalid sections data.', 'brevo-campaign-generator' ) ) );
+			}
 
-		if ( is_wp_error( $schedule_result ) ) {
-			wp_send_json_error( array( 'message' => $schedule_result->get_error_message() ) );
+			$html = BCG_Section_Renderer::render_sections( $sections, $this->get_preview_global_settings() );
 		}
 
-		// Update local campaign status.
-		$campaign_handler->update( $campaign_id, array(
-			'brevo_campaign_id' => $brevo_campaign_id,
-			'status'            => 'scheduled',
-			'scheduled_at'      => gmdate( 'Y-m-d H:i:s', $timestamp ),
-		) );
-
-		wp_send_json_success( array(
-			'message'      => sprintf(
-				/* translators: %s: the formatted scheduled date/time */
-				__( 'Campaign scheduled for %s.', 'brevo-campaign-generator' ),
-				wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $timestamp )
-			),
-			'scheduled_at' => $iso_datetime,
-		) );
+		wp_send_json_success( ( new BCG_Accessibility() )->audit( $html ) );
 	}
 
 	/**
@@ -2142,17 +3292,20 @@ class BCG_Admin {
 		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON settings string; sanitize_text_field() must NOT be used here as it strips tags/collapses whitespace and corrupts JSON. Individual values are escaped downstream (esc_attr, esc_url, etc.) in apply_settings().
 		$settings_raw  = isset( $_POST['template_settings'] ) ? wp_unslash( $_POST['template_settings'] ) : '{}';
 		$campaign_id   = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$language      = isset( $_POST['language'] ) ? BCG_Campaign_Translations::normalise_code( sanitize_key( wp_unslash( $_POST['language'] ) ) ) : '';
 
-		// If campaign_id is provided and no raw template_html, render the saved campaign.
+		// If campaign_id is provided and no raw template_html, render the saved campaign
+		// (or its translation into the requested language).
 		if ( empty( $template_html ) && $campaign_id > 0 ) {
 			$template_engine = new BCG_Template();
-			$rendered_html   = $template_engine->render( $campaign_id );
+			$rendered_html   = $template_engine->render( $campaign_id, $language );
 
 			if ( is_wp_error( $rendered_html ) ) {
 				wp_send_json_error( array( 'message' => $rendered_html->get_error_message() ) );
 			}
 
-			wp_send_json_success( array( 'html' => $rendered_html ) );
+			// Mark sections so the editor preview can update them in place.
+			wp_send_json_success( array( 'html' => $template_engine->inject_section_attributes( $rendered_html ) ) );
 		}
 
 		if ( empty( $template_html ) ) {
@@ -2359,179 +3512,59 @@ class BCG_Admin {
 		wp_send_json_success( array( 'senders' => $formatted ) );
 	}
 
-	// ─── Private Brevo Helpers ─────────────────────────────────────────
-
 	/**
-	 * Ensure a Brevo campaign exists for the given local campaign.
-	 *
-	 * If the campaign already has a brevo_campaign_id, updates the existing
-	 * Brevo campaign with the latest rendered HTML, subject, and settings.
-	 * Otherwise, creates a new Brevo campaign and returns its data.
+	 * Handle fetching Brevo contact attributes for the merge tag picker.
 	 *
-	 * @since  1.0.0
+	 * Pass refresh=1 to bypass the cached list, e.g. after adding an
+	 * attribute in Brevo.
 	 *
-	 * @param  \stdClass $campaign The local campaign object (from BCG_Campaign::get()).
-	 * @param  BCG_Brevo $brevo    The Brevo API client instance.
-	 * @return array|\WP_Error The Brevo campaign data array (with 'id' key) on success,
-	 *                         WP_Error on failure.
+	 * @since  1.6.0
+	 * @return void
 	 */
-	private function ensure_brevo_campaign( \stdClass $campaign, BCG_Brevo $brevo ): array|\WP_Error {
-		$campaign_id = (int) $campaign->id;
-
-		// Render the template to full HTML.
-		$template_engine = new BCG_Template();
-		$rendered_html   = $template_engine->render( $campaign_id );
-
-		if ( is_wp_error( $rendered_html ) ) {
-			return $rendered_html;
-		}
-
-		// Validate required fields.
-		if ( empty( $campaign->subject ) ) {
-			return new \WP_Error(
-				'bcg_missing_subject',
-				__( 'Campaign subject line is required before sending to Brevo.', 'brevo-campaign-generator' )
-			);
-		}
-
-		if ( empty( $campaign->mailing_list_id ) ) {
-			return new \WP_Error(
-				'bcg_missing_list',
-				__( 'A mailing list must be selected before sending to Brevo.', 'brevo-campaign-generator' )
-			);
-		}
-
-		// Build the list IDs array (supports comma-separated values).
-		$list_ids = array_map( 'absint', explode( ',', $campaign->mailing_list_id ) );
-		$list_ids = array_filter( $list_ids );
-
-		if ( empty( $list_ids ) ) {
-			return new \WP_Error(
-				'bcg_invalid_list',
-				__( 'Invalid mailing list ID.', 'brevo-campaign-generator' )
-			);
-		}
-
-		// Resolve sender against Brevo's verified senders list.
-		// Always fetch to ensure we have the correct sender ID; this guarantees
-		// Brevo accepts the sender even if local config is stale or missing.
-		$sender_json  = get_option( 'bcg_brevo_sender', '' );
-		$sender_data  = is_string( $sender_json ) ? json_decode( $sender_json, true ) : null;
-		$sender_email = ( is_array( $sender_data ) && ! empty( $sender_data['email'] ) )
-			? (string) $sender_data['email']
-			: (string) get_option( 'bcg_brevo_sender_email', '' );
-		$sender_name  = ( is_array( $sender_data ) && ! empty( $sender_data['name'] ) )
-			? (string) $sender_data['name']
-			: (string) get_option( 'bcg_brevo_sender_name', '' );
-		$sender_id    = ( is_array( $sender_data ) && ! empty( $sender_data['id'] ) )
-			? (int) $sender_data['id']
-			: 0;
-
-		// Fetch verified senders from Brevo and resolve the best match.
-		$verified_senders = $brevo->get_senders();
-		if ( ! is_wp_error( $verified_senders ) && ! empty( $verified_senders ) ) {
-			$matched = null;
-
-			// 1. Match by email (case-insensitive).
-			if ( ! empty( $sender_email ) ) {
-				foreach ( $verified_senders as $vs ) {
-					if ( isset( $vs['email'] ) && strtolower( $vs['email'] ) === strtolower( $sender_email ) ) {
-						$matched = $vs;
-						break;
-					}
-				}
-			}
-
-			// 2. Match by stored ID if email lookup failed.
-			if ( null === $matched && $sender_id > 0 ) {
-				foreach ( $verified_senders as $vs ) {
-					if ( isset( $vs['id'] ) && (int) $vs['id'] === $sender_id ) {
-						$matched = $vs;
-						break;
-					}
-				}
-			}
-
-			// 3. Fall back to first verified sender.
-			if ( null === $matched ) {
-				$matched = $verified_senders[0];
-			}
-
-			// Use the resolved sender and persist with correct ID.
-			$sender_email = (string) ( $matched['email'] ?? $sender_email );
-			$sender_name  = (string) ( $matched['name'] ?? $sender_name );
-			$sender_id    = (int) ( $matched['id'] ?? 0 );
-
-			if ( $sender_id > 0 ) {
-				update_option( 'bcg_brevo_sender', wp_json_encode( array(
-					'id'    => $sender_id,
-					'name'  => $sender_name,
-					'email' => $sender_email,
-				) ) );
-			}
-		}
+	public function handle_get_merge_tags(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-		if ( empty( $sender_email ) || ! is_email( $sender_email ) ) {
-			return new \WP_Error(
-				'bcg_missing_sender',
-				__( 'No verified sender found in your Brevo account. Please check your Brevo API key in Settings > API Keys.', 'brevo-campaign-generator' )
-			);
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		if ( empty( $sender_name ) ) {
-			return new \WP_Error(
-				'bcg_missing_sender_name',
-				__( 'Sender name is not configured. Go to Brevo Campaigns > Settings > Brevo tab and select a verified sender.', 'brevo-campaign-generator' )
-			);
-		}
+		$refresh    = ! empty( $_POST['refresh'] );
+		$brevo      = new BCG_Brevo();
+		$attributes = $brevo->get_contact_attributes( $refresh );
 
-		// Build extra payload fields.
-		$extra = array();
-		if ( ! empty( $campaign->preview_text ) ) {
-			$extra['previewText'] = sanitize_text_field( $campaign->preview_text );
+		if ( is_wp_error( $attributes ) ) {
+			wp_send_json_error( array( 'message' => $attributes->get_error_message() ) );
 		}
 
-		// Build the full campaign payload.
-		$payload = $brevo->build_campaign_payload(
-			$campaign->title,
-			$campaign->subject,
-			$rendered_html,
-			$list_ids,
-			$extra
-		);
-
-		// Check if a Brevo campaign already exists.
-		$brevo_campaign_id = ! empty( $campaign->brevo_campaign_id ) ? (int) $campaign->brevo_campaign_id : 0;
-
-		if ( $brevo_campaign_id > 0 ) {
-			// Update the existing Brevo campaign.
-			$update_result = $brevo->update_campaign( $brevo_campaign_id, $payload );
-
-			if ( is_wp_error( $update_result ) ) {
-				// If the update fails (e.g. campaign was sent/deleted), try creating a new one.
-				$create_result = $brevo->create_campaign( $payload );
-
-				if ( is_wp_error( $create_result ) ) {
-					return $create_result;
-				}
+		wp_send_json_success( array( 'attributes' => $attributes ) );
+	}
 
-				return $create_result;
-			}
+	/**
+	 * Handle searching Brevo contacts for the "Preview as" selector.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_search_contacts(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
 
-			// Return the existing ID in the expected format.
-			return array( 'id' => $brevo_campaign_id );
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Create a new Brevo campaign.
-		$create_result = $brevo->create_campaign( $payload );
+		$query    = isset( $_POST['query'] ) ? sanitize_text_field( wp_unslash( $_POST['query'] ) ) : '';
+		$brevo    = new BCG_Brevo();
+		$contacts = $brevo->search_contacts( $query );
 
-		if ( is_wp_error( $create_result ) ) {
-			return $create_result;
+		if ( is_wp_error( $contacts ) ) {
+			wp_send_json_error( array( 'message' => $contacts->get_error_message() ) );
 		}
 
-		return $create_result;
+		wp_send_json_success( array( 'contacts' => $contacts ) );
 	}
 
+	// ─── Private Brevo Helpers ─────────────────────────────────────────
+
 	// ─── Credit Widget ─────────────────────────────────────────────────
 
 	/**
@@ -2807,23 +3840,64 @@ class BCG_Admin {
 			wp_send_json_error( array( 'message' => __( 'Invalid sections data.', 'brevo-campaign-generator' ) ) );
 		}
 
-		// Load saved global defaults and merge with any preview overrides from the client.
+		$html = BCG_Section_Renderer::add_section_attributes( BCG_Section_Renderer::render_sections( $sections, $this->get_preview_global_settings() ) );
+
+		wp_send_json_success( array( 'html' => $html ) );
+	}
+
+	/**
+	 * Global settings for a Section Builder preview request.
+	 *
+	 * Loads the saved global defaults and merges any preview overrides sent
+	 * by the client as global_defaults (preview values take precedence).
+	 *
+	 * @since  1.6.0
+	 * @return array
+	 */
+	private function get_preview_global_settings(): array {
 		$global_settings = json_decode( get_option( 'bcg_sb_global_defaults', '{}' ), true );
 		if ( ! is_array( $global_settings ) ) {
 			$global_settings = array();
 		}
 
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce checked by the caller; JSON decoded below.
 		$raw_defaults    = isset( $_POST['global_defaults'] ) ? wp_unslash( $_POST['global_defaults'] ) : '{}';
 		$preview_globals = json_decode( $raw_defaults, true );
 		if ( ! is_array( $preview_globals ) ) {
 			$preview_globals = array();
 		}
-		// Merge with saved defaults (preview values take precedence).
-		$global_settings = array_merge( $global_settings, $preview_globals );
 
-		$html = BCG_Section_Renderer::render_sections( $sections, $global_settings );
+		return array_merge( $global_settings, $preview_globals );
+	}
 
-		wp_send_json_success( array( 'html' => $html ) );
+	/**
+	 * Handle bcg_sb_product_cards — product data for client-side previews.
+	 *
+	 * The Section Builder renders previews in the browser and asks for the
+	 * cards of any products section IDs it has not seen yet. IDs that do not
+	 * resolve to a product are left out, matching the server renderer.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function handle_sb_product_cards(): void {
+		check_ajax_referer( 'bcg_nonce', 'nonce' );
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'brevo-campaign-generator' ) ), 403 );
+		}
+
+		$ids = isset( $_POST['product_ids'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['product_ids'] ) ) : array();
+		$ids = array_slice( array_unique( array_filter( $ids ) ), 0, 100 );
+
+		$cards = array();
+		foreach ( $ids as $id ) {
+			$card = BCG_Section_Renderer::get_product_card( $id );
+			if ( $card ) {
+				$cards[ $id ] = $card;
+			}
+		}
+
+		wp_send_json_success( array( 'cards' => (object) $cards ) );
 	}
 
 	/**
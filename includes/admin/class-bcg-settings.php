@@ -641,6 +641,32 @@ class BCG_Settings {
 			)
 		);
 
+		// AI copy alternatives per Regenerate.
+		register_setting( $page, 'bcg_default_copy_variants', array(
+			'type'              => 'integer',
+			'sanitize_callback' => array( $this, 'sanitize_copy_variants' ),
+			'default'           => BCG_Copy_History::DEFAULT_VARIANTS,
+		) );
+
+		add_settings_field(
+			'bcg_default_copy_variants',
+			__( 'AI Copy Alternatives', 'brevo-campaign-generator' ),
+			array( $this, 'render_number_field' ),
+			$page,
+			$section,
+			array(
+				'label_for'   => 'bcg_default_copy_variants',
+				'option_name' => 'bcg_default_copy_variants',
+				'min'         => 1,
+				'max'         => BCG_Copy_History::MAX_VARIANTS,
+				'description' => sprintf(
+					/* translators: %d: maximum number of alternatives */
+					__( 'How many alternatives a Regenerate button in the campaign editor asks for (1-%d). Each one is charged as a text generation.', 'brevo-campaign-generator' ),
+					BCG_Copy_History::MAX_VARIANTS
+				),
+			)
+		);
+
 		// Test Mode.
 		register_setting( $page, 'bcg_test_mode', array(
 			'type'              => 'string',
@@ -1487,6 +1513,17 @@ class BCG_Settings {
 		return max( 1, min( 10, $value ) );
 	}
 
+	/**
+	 * Sanitise the number of AI copy alternatives per Regenerate.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed $value The raw input value.
+	 * @return int Clamped between 1 and BCG_Copy_History::MAX_VARIANTS.
+	 */
+	public function sanitize_copy_variants( mixed $value ): int {
+		return max( 1, min( BCG_Copy_History::MAX_VARIANTS, absint( $value ) ) );
+	}
+
 	/**
 	 * Sanitise coupon discount value.
 	 *
@@ -422,6 +422,14 @@ class BCG_Stats {
 			);
 		}
 
+		// Per-version results of an A/B subject line test. Brevo only has
+		// them once the test has started, so a failure just means "pending".
+		if ( ! empty( $stats['abTesting'] ) ) {
+			$result = $brevo->get_ab_test_results( $campaign_id );
+
+			$stats['abTest'] = BCG_AB_Test::format_results( is_wp_error( $result ) ? array() : $result, $stats );
+		}
+
 		wp_send_json_success( $stats );
 	}
 }
@@ -103,6 +103,10 @@ class BCG_AI_Manager {
 	 *     @type string $tone           Tone of voice.
 	 *     @type string $language       Target language.
 	 *     @type bool   $generate_coupon Whether to generate a coupon suggestion.
+	 *     @type callable $on_progress  Optional. Called after each AI task with
+	 *                                  ( int $done, int $total, string $label, string $error ).
+	 *     @type callable $should_stop  Optional. Checked before each AI task; returning true
+	 *                                  stops the batch and refunds the credits it used.
 	 * }
 	 * @return array|\WP_Error Associative array of generated content on success:
 	 *     {
@@ -115,7 +119,8 @@ class BCG_AI_Manager {
 	 *         @type array  $coupon_suggestion Coupon suggestion array (if requested).
 	 *         @type int    $total_credits_used Total credits consumed.
 	 *     }
-	 *     WP_Error if insufficient credits for the entire batch.
+	 *     WP_Error if insufficient credits for the entire batch, or
+	 *     'bcg_generation_cancelled' (data: credits_refunded) if stopped.
 	 */
 	public function generate_campaign_copy( int $campaign_id, array $products, array $config ): array|\WP_Error {
 		$theme           = sanitize_text_field( $config['theme'] ?? '' );
@@ -154,6 +159,13 @@ class BCG_AI_Manager {
 		$result              = array();
 		$total_credits_used  = 0;
 		$errors              = array();
+		$done                = 0;
+
+		$this->report_progress( $config, 0, $generation_count );
+
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'copy' );
+		}
 
 		// --- Generate subject line ---
 		$gen = $this->execute_openai_task(
@@ -171,6 +183,12 @@ class BCG_AI_Manager {
 			$total_credits_used     += $gen['credits_used'];
 		}
 
+		$this->report_progress( $config, ++$done, $generation_count, __( 'Subject line', 'brevo-campaign-generator' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'copy' );
+		}
+
 		// --- Generate preview text ---
 		$subject_for_preview = ! empty( $result['subject_line'] ) ? $result['subject_line'] : '';
 		$gen = $this->execute_openai_task(
@@ -188,6 +206,12 @@ class BCG_AI_Manager {
 			$total_credits_used     += $gen['credits_used'];
 		}
 
+		$this->report_progress( $config, ++$done, $generation_count, __( 'Preview text', 'brevo-campaign-generator' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'copy' );
+		}
+
 		// --- Generate main headline ---
 		$gen = $this->execute_openai_task(
 			'generate_main_headline',
@@ -204,6 +228,12 @@ class BCG_AI_Manager {
 			$total_credits_used      += $gen['credits_used'];
 		}
 
+		$this->report_progress( $config, ++$done, $generation_count, __( 'Main headline', 'brevo-campaign-generator' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'copy' );
+		}
+
 		// --- Generate main description ---
 		$gen = $this->execute_openai_task(
 			'generate_main_description',
@@ -220,11 +250,18 @@ class BCG_AI_Manager {
 			$total_credits_used         += $gen['credits_used'];
 		}
 
+		$this->report_progress( $config, ++$done, $generation_count, __( 'Main description', 'brevo-campaign-generator' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
 		// --- Generate per-product copy ---
 		$enriched_products = array();
 
 		foreach ( $products as $index => $product ) {
 			$product_copy = $product;
+			$product_name = (string) ( $product['name'] ?? '' );
+
+			if ( $this->should_stop( $config ) ) {
+				return $this->stop_batch( $total_credits_used, 'copy' );
+			}
 
 			// Product headline.
 			$gen = $this->execute_openai_task(
@@ -242,6 +279,12 @@ class BCG_AI_Manager {
 				$total_credits_used          += $gen['credits_used'];
 			}
 
+			$this->report_progress( $config, ++$done, $generation_count, $product_name, is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
+			if ( $this->should_stop( $config ) ) {
+				return $this->stop_batch( $total_credits_used, 'copy' );
+			}
+
 			// Product short description.
 			$gen = $this->execute_openai_task(
 				'generate_product_short_desc',
@@ -258,6 +301,8 @@ class BCG_AI_Manager {
 				$total_credits_used            += $gen['credits_used'];
 			}
 
+			$this->report_progress( $config, ++$done, $generation_count, $product_name, is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
 			$enriched_products[] = $product_copy;
 		}
 
@@ -265,6 +310,10 @@ class BCG_AI_Manager {
 
 		// --- Generate coupon suggestion (optional) ---
 		if ( $generate_coupon ) {
+			if ( $this->should_stop( $config ) ) {
+				return $this->stop_batch( $total_credits_used, 'copy' );
+			}
+
 			$gen = $this->execute_openai_task(
 				'generate_coupon_suggestion',
 				function () use ( $products, $theme ) {
@@ -280,10 +329,17 @@ class BCG_AI_Manager {
 				$result['coupon_suggestion']  = $gen['content'];
 				$total_credits_used          += $gen['credits_used'];
 			}
+
+			$this->report_progress( $config, ++$done, $generation_count, __( 'Coupon suggestion', 'brevo-campaign-generator' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
 		} else {
 			$result['coupon_suggestion'] = null;
 		}
 
+		// A stop requested during the last task still discards the batch.
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'copy' );
+		}
+
 		$result['total_credits_used'] = $total_credits_used;
 
 		// Attach any partial errors for transparency.
@@ -324,6 +380,10 @@ class BCG_AI_Manager {
 	 *     @type string $theme           Campaign theme / occasion.
 	 *     @type string $style           Image style (Photorealistic, Studio Product, etc.).
 	 *     @type bool   $generate_product_images Whether to generate per-product images.
+	 *     @type callable $on_progress Optional. Called after each image with
+	 *                                 ( int $done, int $total, string $label, string $error ).
+	 *     @type callable $should_stop Optional. Checked before each image; returning true
+	 *                                 stops the batch and refunds the credits it used.
 	 * }
 	 * @return array|\WP_Error Associative array on success:
 	 *     {
@@ -331,7 +391,8 @@ class BCG_AI_Manager {
 	 *         @type array  $product_images   Associative array mapping product index to image URL.
 	 *         @type int    $total_credits_used Total credits consumed.
 	 *     }
-	 *     WP_Error if insufficient credits.
+	 *     WP_Error if insufficient credits, or 'bcg_generation_cancelled'
+	 *     (data: credits_refunded) if stopped.
 	 */
 	public function generate_campaign_images( int $campaign_id, array $products, array $config ): array|\WP_Error {
 		$theme                    = sanitize_text_field( $config['theme'] ?? '' );
@@ -368,6 +429,13 @@ class BCG_AI_Manager {
 		$result             = array();
 		$total_credits_used = 0;
 		$errors             = array();
+		$done               = 0;
+
+		$this->report_progress( $config, 0, $image_count );
+
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'images' );
+		}
 
 		// --- Generate main banner image ---
 		$gen = $this->execute_gemini_task(
@@ -385,11 +453,17 @@ class BCG_AI_Manager {
 			$total_credits_used       += $gen['credits_used'];
 		}
 
+		$this->report_progress( $config, ++$done, $image_count, __( 'Main banner image', 'brevo-campaign-generator' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
+
 		// --- Generate per-product images ---
 		$product_images = array();
 
 		if ( $generate_product_images ) {
 			foreach ( $products as $index => $product ) {
+				if ( $this->should_stop( $config ) ) {
+					return $this->stop_batch( $total_credits_used, 'images' );
+				}
+
 				$gen = $this->execute_gemini_task(
 					'generate_product_image',
 					function () use ( $product, $style, $campaign_id ) {
@@ -404,9 +478,16 @@ class BCG_AI_Manager {
 					$product_images[ $index ]  = $gen['content'];
 					$total_credits_used       += $gen['credits_used'];
 				}
+
+				$this->report_progress( $config, ++$done, $image_count, (string) ( $product['name'] ?? '' ), is_wp_error( $gen ) ? $gen->get_error_message() : '' );
 			}
 		}
 
+		// A stop requested during the last image still discards the batch.
+		if ( $this->should_stop( $config ) ) {
+			return $this->stop_batch( $total_credits_used, 'images' );
+		}
+
 		$result['product_images']     = $product_images;
 		$result['total_credits_used'] = $total_credits_used;
 
@@ -501,6 +582,86 @@ class BCG_AI_Manager {
 		return $this->regenerate_text_field( $campaign_id, $field, $context );
 	}
 
+	/**
+	 * Generate several alternatives for a copy field, for the editor's
+	 * side-by-side picker. Each alternative is charged as one text task;
+	 * duplicates are dropped and generation stops at the first failure,
+	 * keeping the alternatives already made.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param int    $campaign_id The campaign ID.
+	 * @param string $field       One of BCG_Copy_History::FIELDS.
+	 * @param array  $context     Contextual data, as for regenerate_field().
+	 * @param int    $count       Number of alternatives, 1 to BCG_Copy_History::MAX_VARIANTS.
+	 * @return array|\WP_Error Associative array on success:
+	 *     {
+	 *         @type string[] $variants     The alternatives.
+	 *         @type int      $credits_used Credits consumed.
+	 *         @type string[] $errors       Messages for alternatives that failed.
+	 *     }
+	 *     WP_Error when the field is invalid, credits are short or nothing was generated.
+	 */
+	public function regenerate_field_variants( int $campaign_id, string $field, array $context, int $count ): array|\WP_Error {
+		if ( ! in_array( $field, BCG_Copy_History::FIELDS, true ) ) {
+			return new \WP_Error(
+				'bcg_invalid_field',
+				sprintf(
+					/* translators: %s: field name */
+					__( 'Invalid field name for regeneration: %s', 'brevo-campaign-generator' ),
+					esc_html( $field )
+				)
+			);
+		}
+
+		$count    = max( 1, min( BCG_Copy_History::MAX_VARIANTS, $count ) );
+		$required = $this->get_credit_cost( 'openai', 'text' ) * $count;
+
+		if ( ! $this->check_credits( $required ) ) {
+			return new \WP_Error(
+				'bcg_insufficient_credits',
+				sprintf(
+					/* translators: %s: credits required */
+					__( 'Insufficient credits. This operation requires %s credits.', 'brevo-campaign-generator' ),
+					number_format( $required, 0 )
+				)
+			);
+		}
+
+		$variants     = array();
+		$errors       = array();
+		$credits_used = 0;
+
+		for ( $i = 0; $i < $count; $i++ ) {
+			$result = $this->regenerate_text_field( $campaign_id, $field, $context );
+
+			if ( is_wp_error( $result ) ) {
+				$errors[] = $result->get_error_message();
+				break;
+			}
+
+			$credits_used += (int) $result['credits_used'];
+			$text          = trim( (string) $result['content'] );
+
+			if ( '' !== $text && ! in_array( $text, $variants, true ) ) {
+				$variants[] = $text;
+			}
+		}
+
+		if ( empty( $variants ) ) {
+			return new \WP_Error(
+				'bcg_no_variants',
+				$errors[0] ?? __( 'The AI did not return any alternatives. Please try again.', 'brevo-campaign-generator' )
+			);
+		}
+
+		return array(
+			'variants'     => $variants,
+			'credits_used' => $credits_used,
+			'errors'       => $errors,
+		);
+	}
+
 	/**
 	 * Regenerate a text-based field via OpenAI.
 	 *
@@ -592,6 +753,57 @@ class BCG_AI_Manager {
 		return $this->execute_gemini_task( $task, $callable );
 	}
 
+	/**
+	 * Rewrite a piece of email copy via OpenAI, charging one text task.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param string $text         The copy to rewrite.
+	 * @param string $instructions What to change.
+	 * @param string $task         Optional. Task identifier for the credit log. Default 'rewrite_copy'.
+	 * @return array|\WP_Error Result array with 'content' and 'credits_used', or WP_Error.
+	 */
+	public function rewrite_copy( string $text, string $instructions, string $task = 'rewrite_copy' ): array|\WP_Error {
+		return $this->execute_openai_task(
+			sanitize_key( $task ),
+			fn() => $this->openai->rewrite_copy( $text, $instructions )
+		);
+	}
+
+	/**
+	 * Translate a batch of email copy via OpenAI, charging one text task.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array<string, string> $texts    Texts to translate, keyed by field.
+	 * @param string                $language Target language name, in English.
+	 * @return array|\WP_Error Result array with 'content' (translated texts
+	 *                         keyed by field) and 'credits_used', or WP_Error.
+	 */
+	public function translate_copy( array $texts, string $language ): array|\WP_Error {
+		return $this->execute_openai_task(
+			'translate_campaign',
+			fn() => $this->openai->translate_copy( $texts, $language )
+		);
+	}
+
+	/**
+	 * Write alt text for an email image via OpenAI, charging one text task.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param string $image_url   Image URL, or '' when there is none.
+	 * @param string $description What the image shows or accompanies.
+	 * @param string $language    Optional. Language to write in. Default the store language.
+	 * @return array|\WP_Error Result array with 'content' and 'credits_used', or WP_Error.
+	 */
+	public function generate_alt_text( string $image_url, string $description, string $language = '' ): array|\WP_Error {
+		return $this->execute_openai_task(
+			'generate_alt_text',
+			fn() => $this->openai->generate_alt_text( $image_url, $description, $language )
+		);
+	}
+
 	// ─── Task Execution with Credit Management ────────────────────────
 
 	/**
@@ -895,6 +1107,69 @@ class BCG_AI_Manager {
 		);
 	}
 
+	// ─── Progress Reporting ───────────────────────────────────────────
+
+	/**
+	 * Invoke the caller's progress callback, if one was supplied.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array  $config Generation config (may contain 'on_progress').
+	 * @param int    $done   Tasks completed so far.
+	 * @param int    $total  Total tasks in the batch.
+	 * @param string $label  Human-readable name of the task just completed.
+	 * @param string $error  Error message if that task failed.
+	 * @return void
+	 */
+	private function report_progress( array $config, int $done, int $total, string $label = '', string $error = '' ): void {
+		if ( isset( $config['on_progress'] ) && is_callable( $config['on_progress'] ) ) {
+			call_user_func( $config['on_progress'], $done, $total, $label, $error );
+		}
+	}
+
+	/**
+	 * Whether the caller has asked the current batch to stop.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array $config Generation config (may contain 'should_stop').
+	 * @return bool
+	 */
+	private function should_stop( array $config ): bool {
+		return isset( $config['should_stop'] )
+			&& is_callable( $config['should_stop'] )
+			&& (bool) call_user_func( $config['should_stop'] );
+	}
+
+	/**
+	 * Abandon a batch that was asked to stop.
+	 *
+	 * Refunds every credit the batch consumed so far — its results are
+	 * discarded — through the same refund path used for failed tasks.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param float  $credits_used Credits consumed by the batch so far.
+	 * @param string $batch        Batch name for the refund log ('copy' or 'images').
+	 * @return \WP_Error 'bcg_generation_cancelled' with the refunded amount as data.
+	 */
+	private function stop_batch( float $credits_used, string $batch ): \WP_Error {
+		if ( $credits_used > 0 ) {
+			$this->refund_credits(
+				$credits_used,
+				'images' === $batch
+					? __( 'Refund for cancelled image generation', 'brevo-campaign-generator' )
+					: __( 'Refund for cancelled copy generation', 'brevo-campaign-generator' )
+			);
+		}
+
+		return new \WP_Error(
+			'bcg_generation_cancelled',
+			__( 'Generation was cancelled.', 'brevo-campaign-generator' ),
+			array( 'credits_refunded' => $credits_used )
+		);
+	}
+
 	// ─── Error Logging ────────────────────────────────────────────────
 
 	/**
@@ -92,6 +92,14 @@ class BCG_OpenAI {
 	 */
 	private string $campaign_prompt = '';
 
+	/**
+	 * Optional instructions for the one Section Builder section being written.
+	 * Injected into the system prompt after the campaign prompt.
+	 *
+	 * @var string
+	 */
+	private string $section_instructions = '';
+
 	/**
 	 * Constructor.
 	 *
@@ -119,6 +127,18 @@ class BCG_OpenAI {
 		$this->campaign_prompt = sanitize_textarea_field( $prompt );
 	}
 
+	/**
+	 * Set instructions that apply only to the section being generated.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param string $instructions The section's own AI instructions from the Section Builder.
+	 * @return void
+	 */
+	public function set_section_instructions( string $instructions ): void {
+		$this->section_instructions = sanitize_textarea_field( $instructions );
+	}
+
 	// ─── Public Generation Methods ─────────────────────────────────────
 
 	/**
@@ -423,17 +443,20 @@ class BCG_OpenAI {
 	 *
 	 * @since 1.0.0
 	 *
-	 * @param string $system_prompt The system-level instruction.
-	 * @param string $user_prompt   The user-level prompt.
-	 * @param float  $temperature   Sampling temperature (0.0 to 2.0).
-	 * @param int    $max_tokens    Maximum tokens in the response.
+	 * @param string   $system_prompt The system-level instruction.
+	 * @param string   $user_prompt   The user-level prompt.
+	 * @param float    $temperature   Sampling temperature (0.0 to 2.0).
+	 * @param int      $max_tokens    Maximum tokens in the response.
+	 * @param string[] $image_urls    Optional. Images sent with the user prompt
+	 *                                (since 1.6.0). Needs a model that reads images.
 	 * @return string|\WP_Error The generated text content on success, WP_Error on failure.
 	 */
 	private function make_completion_request(
 		string $system_prompt,
 		string $user_prompt,
 		float $temperature = self::TEMPERATURE_CREATIVE,
-		int $max_tokens = 500
+		int $max_tokens = 500,
+		array $image_urls = array()
 	): string|\WP_Error {
 		// Reset token counter for this call.
 		$this->last_tokens_used = 0;
@@ -462,6 +485,27 @@ class BCG_OpenAI {
 			'max_tokens'  => $max_tokens,
 		);
 
+		if ( ! empty( $image_urls ) ) {
+			$parts = array(
+				array(
+					'type' => 'text',
+					'text' => $user_prompt,
+				),
+			);
+
+			foreach ( $image_urls as $image_url ) {
+				$parts[] = array(
+					'type'      => 'image_url',
+					'image_url' => array(
+						'url'    => $image_url,
+						'detail' => 'low',
+					),
+				);
+			}
+
+			$body['messages'][1]['content'] = $parts;
+		}
+
 		/**
 		 * Filter the OpenAI request body before sending.
 		 *
@@ -630,6 +674,9 @@ class BCG_OpenAI {
 		if ( ! empty( $this->campaign_prompt ) ) {
 			$prompt .= "\n\nCampaign brief from the user: " . $this->campaign_prompt;
 		}
+		if ( ! empty( $this->section_instructions ) ) {
+			$prompt .= "\n\nInstructions from the user for this part of the email: " . $this->section_instructions;
+		}
 
 		return $prompt;
 	}
@@ -1355,6 +1402,192 @@ class BCG_OpenAI {
 		return $types;
 	}
 
+	// ─── Copy Rewriting ──────────────────────────────────────────────
+
+	/**
+	 * Rewrite a piece of email copy following the given instructions.
+	 *
+	 * The copy keeps its meaning, language and any Brevo merge tags, and its
+	 * rough length unless the instructions ask for a different one.
+	 *
+	 * @since  1.6.0
+	 * @param  string $text         The copy to rewrite.
+	 * @param  string $instructions What to change, in English.
+	 * @param  string $tone         Optional. Tone of voice. Default 'Professional'.
+	 * @return string|\WP_Error The rewritten copy, or WP_Error on failure.
+	 */
+	public function rewrite_copy( string $text, string $instructions, string $tone = 'Professional' ): string|\WP_Error {
+		$user_prompt = sprintf(
+			"Rewrite this email copy. %s\n\n" .
+			"Keep the meaning and, unless told otherwise, roughly the same length. Keep any merge tags in double curly braces, " .
+			"such as {{ contact.FIRSTNAME }}, exactly as they are. Return only the rewritten copy, " .
+			"without quotes or explanation.\n\n" .
+			"Copy:\n%s",
+			$instructions,
+			$text
+		);
+
+		$result = $this->make_completion_request(
+			$this->build_system_prompt( $tone, 'the same language as the copy you are given' ),
+			$user_prompt,
+			self::TEMPERATURE_STRUCTURED,
+			800
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$result = $this->clean_generated_text( $result );
+
+		return '' !== $result ? $result : new \WP_Error( 'bcg_rewrite_empty', __( 'AI returned an empty rewrite.', 'brevo-campaign-generator' ) );
+	}
+
+	// ─── Translation ─────────────────────────────────────────────────
+
+	/**
+	 * Translate a batch of email copy into another language.
+	 *
+	 * The texts are sent as one JSON object and must come back under the
+	 * same keys. Merge tags, prices and coupon codes are expected to have
+	 * been replaced with [[n]] markers, which the model is told to keep.
+	 *
+	 * @since  1.6.0
+	 * @param  array<string, string> $texts    Texts to translate, keyed by field.
+	 * @param  string                $language Target language name, in English.
+	 * @return array<string, string>|\WP_Error Translated texts under the keys that
+	 *                                         came back, or WP_Error on failure.
+	 */
+	public function translate_copy( array $texts, string $language ): array|\WP_Error {
+		$user_prompt = sprintf(
+			"Translate the values of this JSON object into %s for a marketing email. " .
+			"Translate naturally for a native reader rather than word for word. " .
+			"Keep every key unchanged. Keep markers such as [[1]] exactly as they are, placed where they belong in the translated sentence. " .
+			"Keep HTML tags with their attributes, line breaks, URLs, and product and brand names. " .
+			"Return ONLY a JSON object with the same keys, no markdown code fences, no explanation.\n\n" .
+			"JSON:\n%s",
+			$language,
+			wp_json_encode( $texts, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES )
+		);
+
+		$result = $this->make_completion_request(
+			$this->build_system_prompt( 'Professional', $language ),
+			$user_prompt,
+			self::TEMPERATURE_STRUCTURED,
+			2500
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		// Strip markdown code fences if the model wrapped its response.
+		$cleaned = preg_replace( '/^```(?:json)?\s*/', '', trim( $result ) );
+		$cleaned = preg_replace( '/\s*```$/', '', $cleaned );
+		$data    = json_decode( trim( $cleaned ), true );
+
+		if ( ! is_array( $data ) ) {
+			$this->log_error(
+				'translation_parse_error',
+				__( 'Failed to parse the translation as JSON.', 'brevo-campaign-generator' ),
+				array( 'raw_response' => $this->truncate_string( $result, 500 ) )
+			);
+
+			return new \WP_Error(
+				'bcg_openai_parse_error',
+				__( 'AI returned a translation that could not be read. Please try again.', 'brevo-campaign-generator' )
+			);
+		}
+
+		$translated = array();
+		foreach ( $texts as $key => $text ) {
+			if ( isset( $data[ $key ] ) && is_string( $data[ $key ] ) && '' !== trim( $data[ $key ] ) ) {
+				$translated[ $key ] = trim( $data[ $key ] );
+			}
+		}
+
+		return $translated;
+	}
+
+	// ─── Image Alt Text ──────────────────────────────────────────────
+
+	/**
+	 * Write alt text for an email image.
+	 *
+	 * When the model can read images and the image is publicly reachable,
+	 * the image itself is described, with the product or section copy as
+	 * context. Otherwise the alt text is written from that copy alone. If
+	 * the image cannot be read, the request is retried without it.
+	 *
+	 * @since  1.6.0
+	 * @param  string $image_url   Image URL, or '' when there is none.
+	 * @param  string $description What the image shows or accompanies, e.g. the
+	 *                             product title and short description.
+	 * @param  string $language    Optional. Language to write the alt text in.
+	 *                             Default the site language.
+	 * @return string|\WP_Error The alt text, or WP_Error on failure.
+	 */
+	public function generate_alt_text( string $image_url, string $description, string $language = '' ): string|\WP_Error {
+		$description = trim( $description );
+		$image_urls  = array();
+
+		if ( '' !== $image_url && $this->supports_images() && wp_http_validate_url( $image_url ) ) {
+			$image_urls[] = $image_url;
+		}
+
+		if ( empty( $image_urls ) && '' === $description ) {
+			return new \WP_Error( 'bcg_alt_text_no_context', __( 'Add an image or some copy to describe first.', 'brevo-campaign-generator' ) );
+		}
+
+		$user_prompt = sprintf(
+			"Write the alt text for %s in a marketing email. Describe what it shows in one short sentence of at most 125 characters, " .
+			"for someone who cannot see it. Do not start with \"Image of\" or \"Picture of\", do not use quotes, " .
+			"and do not add claims that are not shown or given. Return only the alt text.%s",
+			empty( $image_urls ) ? 'an image' : 'the attached image',
+			'' !== $description ? "\n\nWhat the image accompanies:\n" . $this->truncate_string( $description, 1000 ) : ''
+		);
+
+		$system_prompt = $this->build_system_prompt( 'Professional', '' !== $language ? $language : $this->get_site_language() );
+		$result        = $this->make_completion_request( $system_prompt, $user_prompt, self::TEMPERATURE_STRUCTURED, 100, $image_urls );
+
+		if ( is_wp_error( $result ) && ! empty( $image_urls ) && '' !== $description ) {
+			$result = $this->make_completion_request(
+				$system_prompt,
+				str_replace( 'the attached image', 'an image', $user_prompt ),
+				self::TEMPERATURE_STRUCTURED,
+				100
+			);
+		}
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$result = sanitize_text_field( $this->clean_generated_text( $result ) );
+
+		return '' !== $result ? $result : new \WP_Error( 'bcg_alt_text_empty', __( 'AI returned empty alt text.', 'brevo-campaign-generator' ) );
+	}
+
+	/**
+	 * Check whether the model in use can read images.
+	 *
+	 * @since  1.6.0
+	 * @return bool
+	 */
+	private function supports_images(): bool {
+		$supports = (bool) preg_match( '/^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5)/', $this->model );
+
+		/**
+		 * Filter whether the OpenAI model can be sent images to describe.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param bool   $supports Whether the model reads images.
+		 * @param string $model    The model ID.
+		 */
+		return (bool) apply_filters( 'bcg_openai_supports_images', $supports, $this->model );
+	}
+
 	// ─── Test Connection ─────────────────────────────────────────────
 
 	public function test_connection(): bool|\WP_Error {
@@ -0,0 +1,289 @@
+<?php
+/**
+ * A/B subject line tests.
+ *
+ * A campaign can hold 2–4 subject / preview text variants. Two of them are
+ * marked for testing and pushed to Brevo as an A/B campaign: Brevo sends
+ * each subject to part of the list, waits for the test duration, then sends
+ * the winning subject (by opens or clicks) to everyone else.
+ *
+ * Brevo tests subjects only and supports exactly two of them, with one
+ * preview text for the whole campaign, so variant A's preview text is used
+ * for both versions. The extra variants are kept as alternatives to swap in.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_AB_Test
+ *
+ * Sanitises stored A/B test settings and maps them to and from Brevo.
+ *
+ * @since 1.6.0
+ */
+class BCG_AB_Test {
+
+	/**
+	 * Minimum number of subject line variants.
+	 *
+	 * @var int
+	 */
+	const MIN_VARIANTS = 2;
+
+	/**
+	 * Maximum number of subject line variants.
+	 *
+	 * @var int
+	 */
+	const MAX_VARIANTS = 4;
+
+	/**
+	 * Winner criteria accepted by Brevo.
+	 *
+	 * @var string[]
+	 */
+	const WINNER_CRITERIA = array( 'open', 'click' );
+
+	/**
+	 * Default size of each test group, as a percentage of the list.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_SPLIT = 20;
+
+	/**
+	 * Largest test group Brevo allows, as a percentage of the list.
+	 *
+	 * @var int
+	 */
+	const MAX_SPLIT = 50;
+
+	/**
+	 * Default test duration in hours before the winner is sent.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_DURATION = 24;
+
+	/**
+	 * Longest test duration Brevo allows, in hours (7 days).
+	 *
+	 * @var int
+	 */
+	const MAX_DURATION = 168;
+
+	/**
+	 * Version labels Brevo uses in A/B results.
+	 *
+	 * @var string[]
+	 */
+	const VERSIONS = array( 'A', 'B' );
+
+	/**
+	 * Get the settings of a campaign without an A/B test.
+	 *
+	 * @since  1.6.0
+	 * @return array
+	 */
+	public static function defaults(): array {
+		return array(
+			'enabled'  => false,
+			'variants' => array(),
+			'split'    => self::DEFAULT_SPLIT,
+			'winner'   => 'open',
+			'duration' => self::DEFAULT_DURATION,
+		);
+	}
+
+	/**
+	 * Reduce raw A/B test settings to the known, sanitised fields.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed $config Raw settings: an array, or the JSON stored in the ab_test column.
+	 * @return array {
+	 *     @type bool    $enabled  Whether the campaign is pushed as an A/B campaign.
+	 *     @type array[] $variants Up to MAX_VARIANTS of { subject, preview_text, test }.
+	 *     @type int     $split    Size of each test group, 1–50 % of the list.
+	 *     @type string  $winner   Winner criterion: 'open' or 'click'.
+	 *     @type int     $duration Hours to wait before sending the winner, 1–168.
+	 * }
+	 */
+	public static function sanitise( mixed $config ): array {
+		if ( is_string( $config ) ) {
+			$config = json_decode( $config, true );
+		}
+
+		$clean = self::defaults();
+
+		if ( ! is_array( $config ) ) {
+			return $clean;
+		}
+
+		$clean['enabled'] = ! empty( $config['enabled'] ) && 'false' !== $config['enabled'];
+
+		if ( isset( $config['variants'] ) && is_array( $config['variants'] ) ) {
+			foreach ( array_slice( array_values( $config['variants'] ), 0, self::MAX_VARIANTS ) as $variant ) {
+				if ( ! is_array( $variant ) ) {
+					continue;
+				}
+				$clean['variants'][] = array(
+					'subject'      => sanitize_text_field( (string) ( $variant['subject'] ?? '' ) ),
+					'preview_text' => sanitize_text_field( (string) ( $variant['preview_text'] ?? '' ) ),
+					'test'         => ! empty( $variant['test'] ) && 'false' !== $variant['test'],
+				);
+			}
+		}
+
+		if ( ! empty( $config['split'] ) ) {
+			$clean['split'] = min( self::MAX_SPLIT, max( 1, absint( $config['split'] ) ) );
+		}
+
+		if ( isset( $config['winner'] ) && in_array( $config['winner'], self::WINNER_CRITERIA, true ) ) {
+			$clean['winner'] = $config['winner'];
+		}
+
+		if ( ! empty( $config['duration'] ) ) {
+			$clean['duration'] = min( self::MAX_DURATION, max( 1, absint( $config['duration'] ) ) );
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Get the two variants marked for testing, in A/B order.
+	 *
+	 * @since  1.6.0
+	 * @param  array $config Sanitised settings.
+	 * @return array[] The tested variants; fewer or more than two means the test is not ready.
+	 */
+	public static function get_tested_variants( array $config ): array {
+		return array_values( array_filter( $config['variants'], function ( $variant ) {
+			return $variant['test'];
+		} ) );
+	}
+
+	/**
+	 * Check that an enabled test can be pushed to Brevo.
+	 *
+	 * @since  1.6.0
+	 * @param  array $config Sanitised settings.
+	 * @return bool|\WP_Error True when the test is ready.
+	 */
+	public static function validate( array $config ): bool|\WP_Error {
+		if ( count( $config['variants'] ) < self::MIN_VARIANTS ) {
+			return new \WP_Error(
+				'bcg_ab_variants',
+				sprintf(
+					/* translators: %d: minimum number of variants */
+					__( 'An A/B test needs at least %d subject line variants.', 'brevo-campaign-generator' ),
+					self::MIN_VARIANTS
+				)
+			);
+		}
+
+		$tested = self::get_tested_variants( $config );
+
+		if ( 2 !== count( $tested ) ) {
+			return new \WP_Error(
+				'bcg_ab_tested',
+				__( 'Brevo tests two subject lines at a time. Tick exactly two variants to include in the test.', 'brevo-campaign-generator' )
+			);
+		}
+
+		foreach ( $tested as $variant ) {
+			if ( '' === $variant['subject'] ) {
+				return new \WP_Error( 'bcg_ab_subject', __( 'Every tested variant needs a subject line.', 'brevo-campaign-generator' ) );
+			}
+		}
+
+		if ( $tested[0]['subject'] === $tested[1]['subject'] ) {
+			return new \WP_Error( 'bcg_ab_duplicate', __( 'The two tested subject lines are identical.', 'brevo-campaign-generator' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Build the Brevo campaign fields for an enabled test.
+	 *
+	 * @since  1.6.0
+	 * @param  array $config Sanitised settings.
+	 * @return array|\WP_Error Fields to merge into the campaign payload.
+	 */
+	public static function build_payload( array $config ): array|\WP_Error {
+		$valid = self::validate( $config );
+		if ( is_wp_error( $valid ) ) {
+			return $valid;
+		}
+
+		$tested = self::get_tested_variants( $config );
+
+		$fields = array(
+			'abTesting'      => true,
+			'subjectA'       => $tested[0]['subject'],
+			'subjectB'       => $tested[1]['subject'],
+			'splitRule'      => $config['split'],
+			'winnerCriteria' => $config['winner'],
+			'winnerDelay'    => $config['duration'],
+		);
+
+		if ( '' !== $tested[0]['preview_text'] ) {
+			$fields['previewText'] = $tested[0]['preview_text'];
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Turn Brevo's A/B result into per-version rows for the stats page.
+	 *
+	 * @since  1.6.0
+	 * @param  array $result   Response of GET emailCampaigns/{id}/abTestCampaignResult,
+	 *                         or an empty array while the test has not started.
+	 * @param  array $campaign Campaign stats from BCG_Brevo::get_campaign_stats().
+	 * @return array {
+	 *     @type string  $winner    Winning version ('A', 'B'), or 'pending', 'tie' or 'notAvailable'.
+	 *     @type string  $criterion 'open' or 'click'.
+	 *     @type int     $split     Size of each test group, % of the list.
+	 *     @type int     $duration  Test duration in hours.
+	 *     @type array[] $versions  { version, subject, opens, clicks, unsubscribed, bounces, complaints, winner }.
+	 * }
+	 */
+	public static function format_results( array $result, array $campaign ): array {
+		$stats     = is_array( $result['statistics'] ?? null ) ? $result['statistics'] : array();
+		$winner    = (string) ( $result['winningVersion'] ?? 'pending' );
+		$criterion = strtolower( (string) ( $result['winningCriteria'] ?? $campaign['winnerCriteria'] ?? '' ) );
+
+		$count = function ( string $metric, string $version ) use ( $stats ): int {
+			return (int) ( $stats[ $metric ][ 'Version ' . $version ] ?? 0 );
+		};
+
+		$versions = array();
+		foreach ( self::VERSIONS as $version ) {
+			$versions[] = array(
+				'version'      => $version,
+				'subject'      => (string) ( $campaign[ 'subject' . $version ] ?? '' ),
+				'opens'        => $count( 'openers', $version ),
+				'clicks'       => $count( 'clicks', $version ),
+				'unsubscribed' => $count( 'unsubscribed', $version ),
+				'bounces'      => $count( 'hardBounces', $version ) + $count( 'softBounces', $version ),
+				'complaints'   => $count( 'complaints', $version ),
+				'winner'       => $version === $winner,
+			);
+		}
+
+		return array(
+			'winner'    => $winner,
+			'criterion' => 'click' === $criterion ? 'click' : 'open',
+			'split'     => (int) ( $campaign['splitRule'] ?? 0 ),
+			'duration'  => (int) ( $campaign['winnerDelay'] ?? 0 ),
+			'versions'  => $versions,
+		);
+	}
+}
@@ -0,0 +1,760 @@
+<?php
+/**
+ * Accessibility audit.
+ *
+ * Checks rendered email HTML for the problems that most often shut out
+ * readers using screen readers, zoom or poor screens: images without
+ * useful alt text, text colours too close to their background, tiny
+ * fonts and links whose text says nothing about where they go. The HTML
+ * is read tag by tag, so colours and font sizes are inherited the way an
+ * email client applies them. Each finding names the section it was found
+ * in, so the editors can point at it.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Accessibility
+ *
+ * Accessibility audit for rendered campaigns and Section Builder templates.
+ *
+ * @since 1.6.0
+ */
+class BCG_Accessibility {
+
+	/**
+	 * Lowest contrast ratio for normal text (WCAG 2.1 AA).
+	 *
+	 * @var float
+	 */
+	const MIN_CONTRAST = 4.5;
+
+	/**
+	 * Lowest contrast ratio for large text (WCAG 2.1 AA).
+	 *
+	 * @var float
+	 */
+	const MIN_CONTRAST_LARGE = 3.0;
+
+	/**
+	 * Smallest font size that is comfortable to read, in pixels.
+	 *
+	 * @var int
+	 */
+	const MIN_FONT_SIZE = 12;
+
+	/**
+	 * Longest alt text before screen readers become tiresome, in characters.
+	 *
+	 * @var int
+	 */
+	const MAX_ALT_LENGTH = 150;
+
+	/**
+	 * Link text that does not say where the link goes.
+	 *
+	 * @var string[]
+	 */
+	const VAGUE_LINK_TEXT = array(
+		'click',
+		'click here',
+		'continue',
+		'details',
+		'go',
+		'here',
+		'learn more',
+		'link',
+		'more',
+		'more info',
+		'read more',
+		'see more',
+		'tap here',
+		'this',
+		'this link',
+	);
+
+	/**
+	 * Alt text that does not describe the image.
+	 *
+	 * @var string[]
+	 */
+	const VAGUE_ALT_TEXT = array( 'banner', 'graphic', 'image', 'img', 'logo', 'photo', 'picture', 'untitled' );
+
+	/**
+	 * Elements with no closing tag.
+	 *
+	 * @var string[]
+	 */
+	const VOID_TAGS = array( 'area', 'base', 'bcg-section', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr' );
+
+	/**
+	 * Colour names used in email HTML, as hex.
+	 *
+	 * @var array<string, string>
+	 */
+	const COLOUR_NAMES = array(
+		'black'  => '#000000',
+		'white'  => '#ffffff',
+		'red'    => '#ff0000',
+		'green'  => '#008000',
+		'blue'   => '#0000ff',
+		'gray'   => '#808080',
+		'grey'   => '#808080',
+		'silver' => '#c0c0c0',
+		'yellow' => '#ffff00',
+		'orange' => '#ffa500',
+	);
+
+	/**
+	 * Findings so far, keyed so that repeats are reported once.
+	 *
+	 * @var array<string, array>
+	 */
+	private array $findings = array();
+
+	/**
+	 * Audit rendered email HTML.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML, with the section markers
+	 *                      written by BCG_Section_Renderer::render_sections().
+	 * @return array {
+	 *     @type string  $rating   'good', 'fair' or 'poor'.
+	 *     @type int     $errors   Number of errors.
+	 *     @type int     $warnings Number of warnings.
+	 *     @type array[] $findings Each { rule, label, severity, message,
+	 *                             suggestion, section, text }.
+	 *     @type array   $stats    { images, links }.
+	 * }
+	 */
+	public function audit( string $html ): array {
+		$this->findings = array();
+
+		$stats = $this->walk( $html );
+
+		/**
+		 * Filter the findings of the accessibility audit.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param array[] $findings Each { rule, label, severity, message, suggestion,
+		 *                          section, text }.
+		 * @param string  $html     The audited email HTML.
+		 */
+		$findings = apply_filters( 'bcg_accessibility_findings', array_values( $this->findings ), $html );
+
+		$severities = wp_list_pluck( $findings, 'severity' );
+		$errors     = count( array_keys( $severities, 'error', true ) );
+		$warnings   = count( array_keys( $severities, 'warning', true ) );
+
+		if ( $errors > 0 ) {
+			$rating = 'poor';
+		} elseif ( $warnings > 0 ) {
+			$rating = 'fair';
+		} else {
+			$rating = 'good';
+		}
+
+		return array(
+			'rating'   => $rating,
+			'errors'   => $errors,
+			'warnings' => $warnings,
+			'findings' => array_values( $findings ),
+			'stats'    => $stats,
+		);
+	}
+
+	// ─── Walker ───────────────────────────────────────────────────────
+
+	/**
+	 * Read the email tag by tag, tracking the colours, font size and
+	 * visibility each piece of text inherits, and check what is found.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Email HTML.
+	 * @return array { images, links }.
+	 */
+	private function walk( string $html ): array {
+		$html = preg_replace( '#<(head|style|script|title)\b[^>]*>.*?</\1>#is', ' ', $html );
+		// Outlook-only markup repeats what other clients show.
+		$html = preg_replace( '/<!--\[if (?!\s*!)[^\]]*mso[^\]]*\]>.*?<!\[endif\]-->/is', ' ', $html );
+		$html = preg_replace( '/<!-- ' . preg_quote( BCG_Section_Renderer::SECTION_MARKER, '/' ) . '([a-z0-9_\-]+) -->/', '<bcg-section id="$1">', $html );
+		$html = preg_replace( '/<!--.*?-->/s', ' ', $html );
+
+		$tokens  = preg_split( '/(<[^>]*>)/', $html, -1, PREG_SPLIT_DELIM_CAPTURE | PREG_SPLIT_NO_EMPTY );
+		$stack   = array(
+			array(
+				'tag'      => '',
+				'color'    => '#000000',
+				'bg'       => '#ffffff',
+				'bg_image' => false,
+				'size'     => null,
+				'bold'     => false,
+				'hidden'   => false,
+			),
+		);
+		$section = null;
+		$link    = null;
+		$stats   = array(
+			'images' => 0,
+			'links'  => 0,
+		);
+
+		foreach ( $tokens as $token ) {
+			$state = end( $stack );
+
+			if ( '<' !== $token[0] ) {
+				$text = $this->to_text( $token );
+
+				// Spacers and icon links set font-size:0 to hide their whitespace.
+				if ( '' === $text || $state['hidden'] || ( null !== $state['size'] && $state['size'] <= 1 ) ) {
+					continue;
+				}
+
+				if ( null !== $link ) {
+					$link['text'] .= ' ' . $text;
+				}
+
+				$this->check_text( $text, $state, $section );
+				continue;
+			}
+
+			if ( ! preg_match( '#^<(/?)([a-z][a-z0-9-]*)\b(.*?)/?>$#is', $token, $m ) ) {
+				continue;
+			}
+
+			$tag = strtolower( $m[2] );
+
+			if ( '/' === $m[1] ) {
+				if ( 'a' === $tag && null !== $link ) {
+					$this->check_link( $link );
+					$link = null;
+				}
+
+				// Close up to the matching tag; unmatched closing tags are ignored.
+				for ( $i = count( $stack ) - 1; $i > 0; $i-- ) {
+					if ( $stack[ $i ]['tag'] === $tag ) {
+						array_splice( $stack, $i );
+						break;
+					}
+				}
+				continue;
+			}
+
+			$attrs = $this->parse_attributes( $m[3] );
+
+			if ( 'bcg-section' === $tag ) {
+				$section = $attrs['id'] ?? null;
+				continue;
+			}
+
+			$child = $this->inherit( $state, $tag, $attrs );
+
+			// Labelled icons, such as the social section's SVGs, name their link.
+			if ( null !== $link && isset( $attrs['aria-label'] ) && ! $child['hidden'] ) {
+				$link['text'] .= ' ' . $attrs['aria-label'];
+			}
+
+			if ( 'img' === $tag ) {
+				if ( ! $child['hidden'] && ! $this->is_tracking_pixel( $attrs ) ) {
+					++$stats['images'];
+					$this->check_image( $attrs, $section, null !== $link );
+
+					if ( null !== $link ) {
+						$link['text'] .= ' ' . trim( (string) ( $attrs['alt'] ?? '' ) );
+					}
+				}
+				continue;
+			}
+
+			if ( 'a' === $tag && isset( $attrs['href'] ) && ! $child['hidden'] ) {
+				++$stats['links'];
+				$link = array(
+					'text'    => (string) ( $attrs['aria-label'] ?? '' ),
+					'href'    => (string) $attrs['href'],
+					'section' => $section,
+				);
+			}
+
+			if ( ! in_array( $tag, self::VOID_TAGS, true ) && ! str_ends_with( $token, '/>' ) ) {
+				$stack[] = $child;
+			}
+		}
+
+		return $stats;
+	}
+
+	/**
+	 * Work out what an element inherits and what it sets itself.
+	 *
+	 * @since  1.6.0
+	 * @param  array  $parent Parent state.
+	 * @param  string $tag    Element name.
+	 * @param  array  $attrs  Element attributes.
+	 * @return array Element state.
+	 */
+	private function inherit( array $parent, string $tag, array $attrs ): array {
+		$style = strtolower( (string) ( $attrs['style'] ?? '' ) );
+		$state = $parent;
+
+		$state['tag'] = $tag;
+
+		$color = $this->get_style( $style, 'color' );
+		if ( null !== $color ) {
+			$state['color'] = $this->parse_colour( $color );
+		} elseif ( 'font' === $tag && isset( $attrs['color'] ) ) {
+			$state['color'] = $this->parse_colour( $attrs['color'] );
+		}
+
+		$bg = $this->get_style( $style, 'background-color' ) ?? $this->get_style( $style, 'background' ) ?? ( $attrs['bgcolor'] ?? null );
+		if ( null !== $bg ) {
+			$bg_colour = $this->parse_colour( preg_replace( '/url\([^)]*\)/', '', $bg ) );
+
+			// A transparent background shows the parent's.
+			if ( null !== $bg_colour || ! preg_match( '/transparent|none|inherit|initial/i', $bg ) ) {
+				$state['bg']       = $bg_colour;
+				$state['bg_image'] = false;
+			}
+		}
+
+		if ( str_contains( $style, 'background-image' ) || str_contains( $style, 'url(' ) || str_contains( $style, 'gradient(' ) || isset( $attrs['background'] ) ) {
+			$state['bg_image'] = true;
+		}
+
+		$headings = array(
+			'h1' => 32,
+			'h2' => 24,
+			'h3' => 18.72,
+			'h4' => 16,
+			'h5' => 13.28,
+			'h6' => 10.72,
+		);
+
+		if ( isset( $headings[ $tag ] ) ) {
+			$state['size'] = $headings[ $tag ];
+			$state['bold'] = true;
+		} elseif ( in_array( $tag, array( 'b', 'strong', 'th' ), true ) ) {
+			$state['bold'] = true;
+		}
+
+		$size = $this->get_style( $style, 'font-size' );
+		if ( null !== $size ) {
+			$state['size'] = $this->parse_font_size( $size, $parent['size'] );
+		}
+
+		$weight = $this->get_style( $style, 'font-weight' );
+		if ( null !== $weight ) {
+			$state['bold'] = 'bold' === $weight || 'bolder' === $weight || (int) $weight >= 600;
+		}
+
+		if (
+			isset( $attrs['hidden'] ) ||
+			'true' === ( $attrs['aria-hidden'] ?? '' ) ||
+			preg_match( '/(^|;)\s*(display\s*:\s*none|visibility\s*:\s*hidden|opacity\s*:\s*0(\.0*)?\s*(;|$)|max-height\s*:\s*0(px)?\s*(;|$)|mso-hide\s*:\s*all)/', $style )
+		) {
+			$state['hidden'] = true;
+		}
+
+		return $state;
+	}
+
+	// ─── Rules ────────────────────────────────────────────────────────
+
+	/**
+	 * Images need alt text that describes them.
+	 *
+	 * @since  1.6.0
+	 * @param  array       $attrs   Image attributes.
+	 * @param  string|null $section Section marker, or null.
+	 * @param  bool        $linked  Whether the image is inside a link.
+	 * @return void
+	 */
+	private function check_image( array $attrs, ?string $section, bool $linked ): void {
+		if ( 'presentation' === ( $attrs['role'] ?? '' ) || 'none' === ( $attrs['role'] ?? '' ) ) {
+			return;
+		}
+
+		$src  = (string) ( $attrs['src'] ?? '' );
+		$name = '' !== $src ? wp_basename( (string) wp_parse_url( $src, PHP_URL_PATH ) ) : '';
+
+		if ( ! isset( $attrs['alt'] ) ) {
+			$this->add(
+				'image_alt_missing',
+				'error',
+				__( 'This image has no alt text. Screen readers read out its file name or address instead, and readers who block images see nothing.', 'brevo-campaign-generator' ),
+				__( 'Add alt text that says what the image shows, or write it with AI.', 'brevo-campaign-generator' ),
+				$section,
+				$name
+			);
+			return;
+		}
+
+		$alt = $this->to_text( (string) $attrs['alt'] );
+
+		if ( '' === $alt ) {
+			// An image that is a link's only content is handled with the link.
+			if ( ! $linked ) {
+				$this->add(
+					'image_alt_empty',
+					'warning',
+					__( 'This image has empty alt text, so screen readers skip it. That is right for decoration, but not for an image that carries information.', 'brevo-campaign-generator' ),
+					__( 'If the image shows a product, offer or message, describe it in the alt text.', 'brevo-campaign-generator' ),
+					$section,
+					$name
+				);
+			}
+			return;
+		}
+
+		$lower = strtolower( trim( $alt, " \t\n\r\0\x0B.:-" ) );
+
+		if (
+			in_array( $lower, self::VAGUE_ALT_TEXT, true ) ||
+			preg_match( '/\.(jpe?g|png|gif|webp|svg|bmp)$/i', $alt ) ||
+			preg_match( '#^(https?:)?//#i', $alt ) ||
+			( '' !== $name && strtolower( $alt ) === strtolower( $name ) )
+		) {
+			$this->add(
+				'image_alt_weak',
+				'warning',
+				__( 'This alt text does not describe the image.', 'brevo-campaign-generator' ),
+				__( 'Say what the image shows, e.g. "Red leather ankle boots with a block heel".', 'brevo-campaign-generator' ),
+				$section,
+				$alt
+			);
+		} elseif ( preg_match( '/^(an? )?(image|picture|photo|graphic) of\b/i', $alt ) ) {
+			$this->add(
+				'image_alt_weak',
+				'warning',
+				__( 'Screen readers already announce images, so "image of" is read twice.', 'brevo-campaign-generator' ),
+				__( 'Start the alt text with what the image shows.', 'brevo-campaign-generator' ),
+				$section,
+				$alt
+			);
+		} elseif ( mb_strlen( $alt ) > self::MAX_ALT_LENGTH ) {
+			$this->add(
+				'image_alt_weak',
+				'warning',
+				__( 'This alt text is very long. Screen readers read it all in one go, with no way to skip ahead.', 'brevo-campaign-generator' ),
+				__( 'Describe the image in one short sentence and put the details in the email text.', 'brevo-campaign-generator' ),
+				$section,
+				$alt
+			);
+		}
+	}
+
+	/**
+	 * Text needs enough contrast with its background and a readable size.
+	 *
+	 * @since  1.6.0
+	 * @param  string      $text    Visible text.
+	 * @param  array       $state   State the text inherits.
+	 * @param  string|null $section Section marker, or null.
+	 * @return void
+	 */
+	private function check_text( string $text, array $state, ?string $section ): void {
+		// Merge tags and lone symbols are not read as text.
+		if ( ! preg_match( '/[\p{L}\p{N}]/u', preg_replace( '/\{\{.*?\}\}/s', '', $text ) ) ) {
+			return;
+		}
+
+		$large = null !== $state['size'] && ( $state['size'] >= 24 || ( $state['size'] >= 18.66 && $state['bold'] ) );
+
+		// Text over a background image cannot be judged from the markup.
+		if ( null !== $state['color'] && null !== $state['bg'] && ! $state['bg_image'] ) {
+			$ratio   = $this->contrast_ratio( $state['color'], $state['bg'] );
+			$minimum = $large ? self::MIN_CONTRAST_LARGE : self::MIN_CONTRAST;
+
+			if ( $ratio < $minimum ) {
+				$this->add(
+					'contrast',
+					'error',
+					sprintf(
+						/* translators: 1: text colour, 2: background colour, 3: contrast ratio, 4: lowest allowed ratio */
+						__( 'Text in %1$s on %2$s has a contrast ratio of %3$s:1. It needs at least %4$s:1 to be readable.', 'brevo-campaign-generator' ),
+						$state['color'],
+						$state['bg'],
+						number_format_i18n( floor( $ratio * 10 ) / 10, 1 ),
+						number_format_i18n( $minimum, 1 )
+					),
+					__( 'Darken the text or lighten the background (or the other way round) in the section settings.', 'brevo-campaign-generator' ),
+					$section,
+					$text,
+					$state['color'] . '/' . $state['bg']
+				);
+			}
+		}
+
+		if ( null !== $state['size'] && $state['size'] < self::MIN_FONT_SIZE ) {
+			$this->add(
+				'small_text',
+				'warning',
+				sprintf(
+					/* translators: 1: font size in pixels, 2: smallest recommended size */
+					__( 'Text is %1$spx, below the %2$dpx many readers need, especially on phones.', 'brevo-campaign-generator' ),
+					number_format_i18n( $state['size'], 0 === fmod( $state['size'], 1.0 ) ? 0 : 1 ),
+					self::MIN_FONT_SIZE
+				),
+				__( 'Use a font size of at least 12px, and 14px or more for body text.', 'brevo-campaign-generator' ),
+				$section,
+				$text,
+				(string) $state['size']
+			);
+		}
+	}
+
+	/**
+	 * Links need text that says where they go.
+	 *
+	 * @since  1.6.0
+	 * @param  array $link { text, href, section }.
+	 * @return void
+	 */
+	private function check_link( array $link ): void {
+		$text = $this->to_text( $link['text'] );
+
+		if ( '' === $text ) {
+			$this->add(
+				'link_empty',
+				'error',
+				__( 'This link has no text, and any image in it has no alt text. Screen readers announce it as just "link" or read out its address.', 'brevo-campaign-generator' ),
+				__( 'Give the image inside the link alt text that says where the link goes.', 'brevo-campaign-generator' ),
+				$link['section'],
+				$link['href']
+			);
+			return;
+		}
+
+		$normalised = trim( preg_replace( '/[^\p{L}\p{N}\s]+/u', ' ', mb_strtolower( $text ) ) );
+		$normalised = preg_replace( '/\s+/', ' ', $normalised );
+
+		if ( in_array( $normalised, self::VAGUE_LINK_TEXT, true ) ) {
+			$this->add(
+				'link_text',
+				'warning',
+				sprintf(
+					/* translators: %s: link text */
+					__( '"%s" does not say where the link goes. Screen reader users often jump from link to link and hear only this.', 'brevo-campaign-generator' ),
+					$text
+				),
+				__( 'Name the destination or action, e.g. "Shop the winter sale" or "Read our sizing guide".', 'brevo-campaign-generator' ),
+				$link['section'],
+				$text
+			);
+		}
+	}
+
+	// ─── Private Helpers ──────────────────────────────────────────────
+
+	/**
+	 * Add a finding, unless the same problem was already found in the section.
+	 *
+	 * @since  1.6.0
+	 * @param  string      $rule       Rule ID.
+	 * @param  string      $severity   'error' or 'warning'.
+	 * @param  string      $message    What was found.
+	 * @param  string      $suggestion How to fix it.
+	 * @param  string|null $section    Section marker (sanitised section ID), or null.
+	 * @param  string      $text       The text or image concerned, or ''.
+	 * @param  string      $detail     Optional. What makes two findings of a rule
+	 *                                 different. Default the text.
+	 * @return void
+	 */
+	private function add( string $rule, string $severity, string $message, string $suggestion, ?string $section, string $text, string $detail = '' ): void {
+		$labels = array(
+			'image_alt_missing' => __( 'Missing alt text', 'brevo-campaign-generator' ),
+			'image_alt_empty'   => __( 'Empty alt text', 'brevo-campaign-generator' ),
+			'image_alt_weak'    => __( 'Unhelpful alt text', 'brevo-campaign-generator' ),
+			'contrast'          => __( 'Low colour contrast', 'brevo-campaign-generator' ),
+			'small_text'        => __( 'Small text', 'brevo-campaign-generator' ),
+			'link_empty'        => __( 'Link without text', 'brevo-campaign-generator' ),
+			'link_text'         => __( 'Vague link text', 'brevo-campaign-generator' ),
+		);
+
+		$key = $rule . '|' . $section . '|' . ( '' !== $detail ? $detail : $text );
+
+		if ( isset( $this->findings[ $key ] ) ) {
+			return;
+		}
+
+		$this->findings[ $key ] = array(
+			'rule'       => $rule,
+			'label'      => $labels[ $rule ] ?? $rule,
+			'severity'   => $severity,
+			'message'    => $message,
+			'suggestion' => $suggestion,
+			'section'    => $section,
+			'text'       => mb_substr( $text, 0, 200 ),
+		);
+	}
+
+	/**
+	 * Parse the attributes of a tag.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Everything after the tag name.
+	 * @return array<string, string> Decoded values keyed by lowercase name.
+	 */
+	private function parse_attributes( string $html ): array {
+		$attrs = array();
+
+		preg_match_all( '/([a-z_:][a-z0-9_:.-]*)(?:\s*=\s*("[^"]*"|\'[^\']*\'|[^\s"\'>]+))?/i', $html, $matches, PREG_SET_ORDER );
+
+		foreach ( $matches as $match ) {
+			$value = isset( $match[2] ) ? trim( $match[2], '"\'' ) : '';
+
+			$attrs[ strtolower( $match[1] ) ] = html_entity_decode( $value, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+		}
+
+		return $attrs;
+	}
+
+	/**
+	 * Get a property from an inline style.
+	 *
+	 * @since  1.6.0
+	 * @param  string $style    Lowercase style attribute.
+	 * @param  string $property Property name.
+	 * @return string|null The value without !important, or null when it is not set.
+	 */
+	private function get_style( string $style, string $property ): ?string {
+		if ( ! preg_match_all( '/(?:^|;)\s*' . preg_quote( $property, '/' ) . '\s*:\s*([^;]+)/', $style, $matches ) ) {
+			return null;
+		}
+
+		// The last declaration wins.
+		return trim( str_replace( '!important', '', end( $matches[1] ) ) );
+	}
+
+	/**
+	 * Parse a CSS colour.
+	 *
+	 * @since  1.6.0
+	 * @param  string $colour Hex, rgb() or a common colour name.
+	 * @return string|null Lowercase #rrggbb, or null when it cannot be read.
+	 */
+	private function parse_colour( string $colour ): ?string {
+		$colour = strtolower( trim( $colour ) );
+
+		if ( isset( self::COLOUR_NAMES[ $colour ] ) ) {
+			return self::COLOUR_NAMES[ $colour ];
+		}
+
+		if ( preg_match( '/#([0-9a-f]{6})\b/', $colour, $m ) ) {
+			return '#' . $m[1];
+		}
+
+		if ( preg_match( '/#([0-9a-f])([0-9a-f])([0-9a-f])\b/', $colour, $m ) ) {
+			return '#' . $m[1] . $m[1] . $m[2] . $m[2] . $m[3] . $m[3];
+		}
+
+		if ( preg_match( '/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/', $colour, $m ) ) {
+			// A see-through colour depends on what is behind it.
+			if ( isset( $m[4] ) && (float) $m[4] < 1 ) {
+				return null;
+			}
+
+			return sprintf( '#%02x%02x%02x', min( 255, (int) $m[1] ), min( 255, (int) $m[2] ), min( 255, (int) $m[3] ) );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Parse a CSS font size.
+	 *
+	 * @since  1.6.0
+	 * @param  string     $size   Font size value.
+	 * @param  float|null $parent Parent font size in pixels, or null when unknown.
+	 * @return float|null Size in pixels, or the parent's when it cannot be read.
+	 */
+	private function parse_font_size( string $size, ?float $parent ): ?float {
+		if ( ! preg_match( '/^([\d.]+)\s*(px|pt|em|rem|%)?$/', trim( $size ), $m ) ) {
+			return $parent;
+		}
+
+		$value = (float) $m[1];
+
+		switch ( $m[2] ?? '' ) {
+			case 'pt':
+				return $value * 4 / 3;
+
+			case 'em':
+				return $value * ( $parent ?? 16 );
+
+			case 'rem':
+				return $value * 16;
+
+			case '%':
+				return $value / 100 * ( $parent ?? 16 );
+
+			default:
+				return $value;
+		}
+	}
+
+	/**
+	 * Contrast ratio between two colours (WCAG 2.1).
+	 *
+	 * @since  1.6.0
+	 * @param  string $foreground #rrggbb.
+	 * @param  string $background #rrggbb.
+	 * @return float From 1 to 21.
+	 */
+	private function contrast_ratio( string $foreground, string $background ): float {
+		$l1 = $this->luminance( $foreground );
+		$l2 = $this->luminance( $background );
+
+		return ( max( $l1, $l2 ) + 0.05 ) / ( min( $l1, $l2 ) + 0.05 );
+	}
+
+	/**
+	 * Relative luminance of a colour.
+	 *
+	 * @since  1.6.0
+	 * @param  string $colour #rrggbb.
+	 * @return float From 0 (black) to 1 (white).
+	 */
+	private function luminance( string $colour ): float {
+		$channels = array_map(
+			function ( $hex ) {
+				$c = hexdec( $hex ) / 255;
+
+				return $c <= 0.03928 ? $c / 12.92 : ( ( $c + 0.055 ) / 1.055 ) ** 2.4;
+			},
+			str_split( substr( $colour, 1 ), 2 )
+		);
+
+		return 0.2126 * $channels[0] + 0.7152 * $channels[1] + 0.0722 * $channels[2];
+	}
+
+	/**
+	 * Whether an image is a 1×1 tracking pixel rather than content.
+	 *
+	 * @since  1.6.0
+	 * @param  array $attrs Image attributes.
+	 * @return bool
+	 */
+	private function is_tracking_pixel( array $attrs ): bool {
+		return in_array( (string) ( $attrs['width'] ?? '' ), array( '0', '1' ), true ) || in_array( (string) ( $attrs['height'] ?? '' ), array( '0', '1' ), true );
+	}
+
+	/**
+	 * Reduce an HTML fragment to single-spaced plain text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html
+	 * @return string
+	 */
+	private function to_text( string $html ): string {
+		$text = html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+
+		return trim( preg_replace( '/[\s\x{00A0}]+/u', ' ', $text ) );
+	}
+}
@@ -0,0 +1,638 @@
+<?php
+/**
+ * Campaign generation pipeline.
+ *
+ * Runs the full "create a campaign from settings" pipeline — draft
+ * creation, product selection, coupon, AI copy, AI images and
+ * finalisation — independently of the request that triggered it. Used
+ * by the wizard's bcg_generate_campaign AJAX handler and by the
+ * background generation queue.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Campaign_Generator
+ *
+ * Generates one campaign from a normalised configuration array, reporting
+ * progress to a BCG_Generation_Job.
+ *
+ * @since 1.6.0
+ */
+class BCG_Campaign_Generator {
+
+	/**
+	 * Normalise and sanitise a generation configuration.
+	 *
+	 * Accepts the wizard's field names (and the legacy aliases the AJAX
+	 * handler has always accepted) and returns a config with every key
+	 * present and defaults applied. Input must already be unslashed.
+	 *
+	 * @since  1.6.0
+	 * @param  array $input Raw configuration, e.g. wp_unslash( $_POST ).
+	 * @return array Normalised configuration.
+	 */
+	public static function normalise_config( array $input ): array {
+		// Accept both 'title' and 'campaign_title' (Step 1 sends campaign_title).
+		$title = sanitize_text_field( $input['campaign_title'] ?? '' );
+		if ( '' === $title ) {
+			$title = sanitize_text_field( $input['title'] ?? '' );
+		}
+
+		// Accept both 'subject' and 'subject_line'.
+		$subject = sanitize_text_field( $input['subject_line'] ?? '' );
+		if ( '' === $subject ) {
+			$subject = sanitize_text_field( $input['subject'] ?? '' );
+		}
+
+		// Accept both 'manual_ids' and 'manual_product_ids'.
+		$manual_ids = array();
+		if ( isset( $input['manual_product_ids'] ) && is_array( $input['manual_product_ids'] ) ) {
+			$manual_ids = array_map( 'absint', $input['manual_product_ids'] );
+		} elseif ( isset( $input['manual_ids'] ) && is_array( $input['manual_ids'] ) ) {
+			$manual_ids = array_map( 'absint', $input['manual_ids'] );
+		}
+
+		// Coupon config — accept both 'coupon_*' and 'discount_*' names.
+		$discount_type = sanitize_text_field( $input['coupon_type'] ?? '' );
+		if ( '' === $discount_type ) {
+			$discount_type = sanitize_text_field( $input['discount_type'] ?? '' );
+		}
+		if ( '' === $discount_type ) {
+			$discount_type = 'percent';
+		}
+
+		$discount_value = (float) ( $input['coupon_discount'] ?? $input['discount_value'] ?? 0 );
+		if ( $discount_value <= 0 ) {
+			$discount_value = (float) get_option( 'bcg_default_coupon_discount', 10 );
+		}
+
+		$expiry_days = absint( $input['coupon_expiry_days'] ?? $input['expiry_days'] ?? 0 );
+		if ( $expiry_days <= 0 ) {
+			$expiry_days = (int) get_option( 'bcg_default_coupon_expiry_days', 7 );
+		}
+
+		$category_ids = isset( $input['category_ids'] ) && is_array( $input['category_ids'] )
+			? array_map( 'absint', $input['category_ids'] )
+			: array();
+
+		// Selection rules arrive as a nested array from the wizard or as
+		// JSON when regenerating from a saved campaign.
+		$product_rules = $input['product_rules'] ?? array();
+		if ( is_string( $product_rules ) ) {
+			$product_rules = json_decode( $product_rules, true );
+		}
+
+		return array(
+			'title'               => $title,
+			'subject'             => $subject,
+			'preview_text'        => sanitize_text_field( $input['preview_text'] ?? '' ),
+			'mailing_list_id'     => sanitize_text_field( $input['mailing_list_id'] ?? '' ),
+			'product_source'      => sanitize_text_field( $input['product_source'] ?? 'bestsellers' ),
+			'product_count'       => isset( $input['product_count'] ) ? absint( $input['product_count'] ) : (int) get_option( 'bcg_default_products_per_campaign', 3 ),
+			'category_ids'        => $category_ids,
+			'manual_ids'          => $manual_ids,
+			'product_rules'       => BCG_Product_Selector::sanitise_rules( $product_rules ),
+			'generate_coupon'     => ! empty( $input['generate_coupon'] ),
+			'discount_type'       => $discount_type,
+			'discount_value'      => $discount_value,
+			'expiry_days'         => $expiry_days,
+			'coupon_prefix'       => sanitize_text_field( $input['coupon_prefix'] ?? '' ),
+			'tone'                => sanitize_text_field( $input['tone'] ?? 'Professional' ),
+			'theme'               => sanitize_text_field( $input['theme'] ?? '' ),
+			'language'            => sanitize_text_field( $input['language'] ?? 'English' ),
+			'languages'           => BCG_Campaign_Translations::normalise_codes(
+				$input['languages'] ?? array(),
+				BCG_Campaign_Translations::normalise_code( sanitize_text_field( $input['language'] ?? 'English' ) )
+			),
+			'generate_images'     => ! empty( $input['generate_images'] ),
+			'image_style'         => sanitize_text_field( $input['image_style'] ?? 'Photorealistic' ),
+			'template_slug'       => sanitize_text_field( $input['template_slug'] ?? 'classic' ),
+			'section_template_id' => absint( $input['section_template_id'] ?? 0 ),
+		);
+	}
+
+	/**
+	 * Generate a complete campaign.
+	 *
+	 * Pipeline:
+	 * 1. Validate the configuration
+	 * 2. Create a draft campaign via BCG_Campaign
+	 * 3. Select products via BCG_Product_Selector
+	 * 4. Generate a WooCommerce coupon if requested
+	 * 5. Generate campaign copy via BCG_AI_Manager (or section AI)
+	 * 6. Generate campaign images via BCG_AI_Manager (if enabled)
+	 * 7. Update the campaign record with all generated content
+	 * 8. Translate the campaign into any extra languages
+	 *
+	 * Credits are charged to the current user, so background callers must
+	 * switch to the requesting user first.
+	 *
+	 * The job is checked for a cancellation request between steps and
+	 * before every AI task. A cancelled run refunds the credits of the
+	 * step it was in, deletes the draft campaign (with its coupon and
+	 * images) and returns a 'bcg_generation_cancelled' error.
+	 *
+	 * @since  1.6.0
+	 * @param  array              $config Configuration from normalise_config().
+	 * @param  BCG_Generation_Job $job    Job that receives progress updates.
+	 * @return array|\WP_Error {
+	 *     @type int   $campaign_id  Generated campaign ID.
+	 *     @type float $credits_used Credits consumed by copy and image generation.
+	 *     @type array $warnings     Partial failures that did not stop generation.
+	 * }
+	 *     Or WP_Error on failure or cancellation.
+	 */
+	public function generate( array $config, BCG_Generation_Job $job ): array|\WP_Error {
+		$config = wp_parse_args( $config, self::normalise_config( array() ) );
+
+		$title               = $config['title'];
+		$subject             = $config['subject'];
+		$preview_text        = $config['preview_text'];
+		$discount_type       = $config['discount_type'];
+		$discount_value      = (float) $config['discount_value'];
+		$expiry_days         = (int) $config['expiry_days'];
+		$theme               = $config['theme'];
+		$tone                = $config['tone'];
+		$language            = $config['language'];
+		$generate_images     = (bool) $config['generate_images'];
+		$template_slug       = $config['template_slug'];
+		$section_template_id = (int) $config['section_template_id'];
+
+		if ( '' === $title ) {
+			// Auto-generate a title based on current date.
+			$title = sprintf(
+				/* translators: %s: formatted date */
+				__( 'Campaign — %s', 'brevo-campaign-generator' ),
+				date_i18n( 'j M Y' )
+			);
+		}
+
+		// ── 1. Validate ─────────────────────────────────────────────────
+
+		if ( 'manual' === $config['product_source'] && empty( $config['manual_ids'] ) ) {
+			return $this->fail( $job, __( 'Please select at least one product for manual selection.', 'brevo-campaign-generator' ) );
+		}
+
+		// ── 2. Create draft campaign ────────────────────────────────────
+
+		if ( $job->is_cancel_requested() ) {
+			return $this->cancel( $job, 0 );
+		}
+
+		$job->start_step( 'products', __( 'Selecting products…', 'brevo-campaign-generator' ) );
+
+		$campaign_handler  = new BCG_Campaign();
+		$template_engine   = new BCG_Template();
+		$template_registry = BCG_Template_Registry::get_instance();
+
+		// For section templates, use a placeholder until sections are rendered.
+		if ( $section_template_id > 0 ) {
+			$template_slug = 'sections';
+			$tpl_html      = '';
+			$tpl_settings  = $template_engine->get_default_settings();
+		} else {
+			// Use the selected flat template's HTML and settings, falling back to default.
+			$tpl_html     = $template_registry->get_template_html( $template_slug );
+			$tpl_settings = $template_registry->get_template_settings( $template_slug );
+
+			if ( empty( $tpl_html ) ) {
+				$tpl_html = $template_engine->get_default_template();
+			}
+			if ( empty( $tpl_settings ) ) {
+				$tpl_settings = $template_engine->get_default_settings();
+			}
+		}
+
+		$draft_data = array(
+			'title'               => $title,
+			'subject'             => $subject,
+			'preview_text'        => $preview_text,
+			'mailing_list_id'     => $config['mailing_list_id'],
+			'template_slug'       => $template_slug,
+			'template_html'       => $tpl_html,
+			'template_settings'   => wp_json_encode( $tpl_settings ),
+			'builder_type'        => $section_template_id > 0 ? 'sections' : 'flat',
+			'section_template_id' => $section_template_id > 0 ? $section_template_id : null,
+			'language'            => $language,
+			'product_rules'       => array(
+				'source'       => $config['product_source'],
+				'count'        => $config['product_count'],
+				'category_ids' => $config['category_ids'],
+				'rules'        => $config['product_rules'],
+			),
+		);
+
+		$campaign_id = $campaign_handler->create_draft( $draft_data );
+
+		if ( is_wp_error( $campaign_id ) ) {
+			return $this->fail( $job, $campaign_id->get_error_message() );
+		}
+
+		// ── 3. Select products ──────────────────────────────────────────
+
+		$product_selector = new BCG_Product_Selector();
+		$products         = $product_selector->get_products( array(
+			'count'        => $config['product_count'],
+			'source'       => $config['product_source'],
+			'category_ids' => $config['category_ids'],
+			'manual_ids'   => $config['manual_ids'],
+			'rules'        => $config['product_rules'],
+		) );
+
+		if ( empty( $products ) ) {
+			return $this->fail( $job, __( 'No products found matching your selection criteria.', 'brevo-campaign-generator' ) );
+		}
+
+		// Build lightweight product data for AI prompts.
+		$product_data_for_ai = array();
+		foreach ( $products as $wc_product ) {
+			if ( ! $wc_product instanceof \WC_Product ) {
+				continue;
+			}
+			$product_data_for_ai[] = $product_selector->format_product_preview( $wc_product );
+		}
+
+		$job->advance(
+			'products',
+			count( $product_data_for_ai ),
+			count( $product_data_for_ai ),
+			/* translators: %d: number of products */
+			sprintf( _n( '%d product selected.', '%d products selected.', count( $product_data_for_ai ), 'brevo-campaign-generator' ), count( $product_data_for_ai ) )
+		);
+
+		if ( $job->is_cancel_requested() ) {
+			return $this->cancel( $job, $campaign_id );
+		}
+
+		// ── 4. Generate coupon if requested ──────────────────────────────
+
+		$coupon_code = '';
+		if ( $config['generate_coupon'] && $discount_value > 0 ) {
+			$coupon_handler = new BCG_Coupon();
+			$coupon_result  = $coupon_handler->create_coupon(
+				$campaign_id,
+				$discount_value,
+				$discount_type,
+				$expiry_days,
+				$config['coupon_prefix']
+			);
+
+			if ( is_wp_error( $coupon_result ) ) {
+				// Non-fatal: continue without coupon.
+				$coupon_code = '';
+				$job->warn(
+					/* translators: %s: error message */
+					sprintf( __( 'Coupon could not be created: %s', 'brevo-campaign-generator' ), $coupon_result->get_error_message() )
+				);
+			} else {
+				$coupon_code = $coupon_result;
+			}
+		}
+
+		$job->complete_step( 'products' );
+
+		if ( $job->is_cancel_requested() ) {
+			return $this->cancel( $job, $campaign_id );
+		}
+
+		// ── 4b. Section template: inject coupon + products + run AI ──────────
+
+		if ( $section_template_id > 0 ) {
+			$job->start_step( 'copy', __( 'Generating section content…', 'brevo-campaign-generator' ) );
+
+			$section_tpl = BCG_Section_Templates_Table::get( $section_template_id );
+
+			if ( is_wp_error( $section_tpl ) ) {
+				$job->warn(
+					/* translators: %s: error message */
+					sprintf( __( 'Section template could not be loaded: %s', 'brevo-campaign-generator' ), $section_tpl->get_error_message() )
+				);
+			} else {
+				$sections = json_decode( $section_tpl->sections, true );
+
+				if ( is_array( $sections ) ) {
+					// Inject coupon data into any Coupon-type sections.
+					if ( ! empty( $coupon_code ) ) {
+						$currency_sym  = function_exists( 'get_woocommerce_currency_symbol' ) ? get_woocommerce_currency_symbol() : '£';
+						$discount_text = 'percent' === $discount_type
+							? sprintf( '%.0f%% off your order', $discount_value )
+							: sprintf( '%s%.2f off your order', $currency_sym, $discount_value );
+						$expiry_text   = sprintf( 'Valid for %d days', $expiry_days );
+
+						foreach ( $sections as &$section ) {
+							if ( isset( $section['type'] ) && 'coupon' === $section['type'] ) {
+								$section['settings']['coupon_code']   = $coupon_code;
+								$section['settings']['discount_text'] = $discount_text;
+								$section['settings']['expiry_text']   = $expiry_text;
+							}
+						}
+						unset( $section );
+					}
+
+					// Inject campaign products into any Products sections that have no IDs set.
+					if ( ! empty( $product_data_for_ai ) ) {
+						$product_ids_str = implode( ',', array_map( fn( $p ) => (int) $p['id'], $product_data_for_ai ) );
+						foreach ( $sections as &$section ) {
+							if ( isset( $section['type'] ) && 'products' === $section['type'] ) {
+								if ( empty( trim( $section['settings']['product_ids'] ?? '' ) ) ) {
+									$section['settings']['product_ids'] = $product_ids_str;
+								}
+							}
+						}
+						unset( $section );
+					}
+
+					// Run AI generation for all AI-capable sections.
+					$currency_symbol = function_exists( 'get_woocommerce_currency_symbol' ) ? get_woocommerce_currency_symbol() : '£';
+					$ai_context      = array(
+						'products'        => $product_data_for_ai,
+						'theme'           => $theme,
+						'tone'            => $tone,
+						'language'        => $language,
+						'currency_symbol' => $currency_symbol,
+					);
+
+					$sections = BCG_Section_AI::generate_all(
+						$sections,
+						$ai_context,
+						$this->progress_callback( $job, 'copy' ),
+						array( $job, 'is_cancel_requested' )
+					);
+
+					if ( $job->is_cancel_requested() ) {
+						return $this->cancel( $job, $campaign_id );
+					}
+
+					// Render sections to email-safe HTML using global template settings.
+					$global_settings = json_decode( get_option( 'bcg_default_template_settings', '{}' ), true );
+					if ( ! is_array( $global_settings ) ) {
+						$global_settings = array();
+					}
+
+					$rendered_html = BCG_Section_Renderer::render_sections( $sections, $global_settings );
+
+					// Persist rendered HTML and sections JSON to the campaign.
+					$campaign_handler->update( $campaign_id, array(
+						'template_html'       => $rendered_html,
+						'sections_json'       => wp_json_encode( $sections ),
+						'section_template_id' => $section_template_id,
+					) );
+				}
+			}
+		}
+
+		// ── 5 & 6. AI generation — section vs flat templates ─────────────
+
+		$ai_manager   = new BCG_AI_Manager();
+		$credits_used = 0;
+
+		if ( $section_template_id > 0 ) {
+			// Section template: sections already AI-populated in step 4b.
+			// Only finalise subject/preview_text from user input.
+			$job->complete_step( 'copy' );
+			$job->skip_step( 'images' );
+			$job->start_step( 'finalise', __( 'Saving campaign…', 'brevo-campaign-generator' ) );
+
+			$campaign_handler->update( $campaign_id, array(
+				'subject'      => ! empty( $subject ) ? $subject : $title,
+				'preview_text' => $preview_text,
+				'status'       => 'draft',
+			) );
+		} else {
+			// Flat template: full AI copy + image generation.
+			$job->start_step( 'copy', __( 'Generating copy…', 'brevo-campaign-generator' ) );
+
+			$copy_result = $ai_manager->generate_campaign_copy(
+				$campaign_id,
+				$product_data_for_ai,
+				array(
+					'theme'           => $theme,
+					'tone'            => $tone,
+					'language'        => $language,
+					'generate_coupon' => false,
+					'on_progress'     => $this->progress_callback( $job, 'copy' ),
+					'should_stop'     => array( $job, 'is_cancel_requested' ),
+				)
+			);
+
+			if ( is_wp_error( $copy_result ) && 'bcg_generation_cancelled' === $copy_result->get_error_code() ) {
+				return $this->cancel( $job, $campaign_id, (float) ( $copy_result->get_error_data()['credits_refunded'] ?? 0 ) );
+			}
+
+			if ( is_wp_error( $copy_result ) ) {
+				return $this->fail( $job, $copy_result->get_error_message() );
+			}
+
+			$job->complete_step( 'copy' );
+
+			// ── 6. Images ────────────────────────────────────────────────────
+			$main_image_url = '';
+			$product_images = array();
+			$image_result   = array( 'total_credits_used' => 0 );
+
+			if ( $generate_images ) {
+				$job->start_step( 'images', __( 'Generating images…', 'brevo-campaign-generator' ) );
+
+				$gen_images = $ai_manager->generate_campaign_images(
+					$campaign_id,
+					$product_data_for_ai,
+					array(
+						'theme'                   => $theme,
+						'style'                   => $config['image_style'],
+						'generate_product_images' => true,
+						'on_progress'             => $this->progress_callback( $job, 'images' ),
+						'should_stop'             => array( $job, 'is_cancel_requested' ),
+					)
+				);
+
+				if ( is_wp_error( $gen_images ) && 'bcg_generation_cancelled' === $gen_images->get_error_code() ) {
+					return $this->cancel( $job, $campaign_id, (float) ( $gen_images->get_error_data()['credits_refunded'] ?? 0 ) );
+				}
+
+				if ( ! is_wp_error( $gen_images ) ) {
+					$main_image_url = $gen_images['main_image_url'] ?? '';
+					$product_images = $gen_images['product_images'] ?? array();
+					$image_result   = $gen_images;
+					$job->complete_step( 'images' );
+				} else {
+					// Non-fatal: the campaign falls back to product photos.
+					$job->fail_step( 'images', $gen_images->get_error_message() );
+				}
+			} else {
+				$job->skip_step( 'images' );
+			}
+
+			// ── 7. Update campaign ─────────────────────────────────────────
+			if ( $job->is_cancel_requested() ) {
+				return $this->cancel( $job, $campaign_id );
+			}
+
+			$job->start_step( 'finalise', __( 'Saving campaign…', 'brevo-campaign-generator' ) );
+
+			$campaign_handler->update( $campaign_id, array(
+				'subject'          => ! empty( $copy_result['subject_line'] ) ? $copy_result['subject_line'] : $subject,
+				'preview_text'     => ! empty( $copy_result['preview_text'] ) ? $copy_result['preview_text'] : $preview_text,
+				'main_headline'    => $copy_result['main_headline'] ?? '',
+				'main_description' => $copy_result['main_description'] ?? '',
+				'main_image_url'   => $main_image_url,
+				'status'           => 'draft',
+			) );
+
+			// Add products to bcg_campaign_products.
+			foreach ( $copy_result['products'] ?? array() as $index => $product_entry ) {
+				$product_id = absint( $product_entry['id'] ?? 0 );
+				if ( $product_id <= 0 ) {
+					continue;
+				}
+
+				$ai_data = array(
+					'sort_order'        => $index,
+					'ai_headline'       => $product_entry['ai_headline'] ?? '',
+					'ai_short_desc'     => $product_entry['ai_short_desc'] ?? '',
+					'use_product_image' => $generate_images ? 0 : 1,
+					'show_buy_button'   => 1,
+				);
+
+				if ( ! empty( $product_images[ $index ] ) ) {
+					$ai_data['generated_image_url'] = $product_images[ $index ];
+				}
+
+				$campaign_handler->add_product( $campaign_id, $product_id, $ai_data );
+			}
+
+			$credits_used = ( $copy_result['total_credits_used'] ?? 0 ) + ( $image_result['total_credits_used'] ?? 0 );
+		}
+
+		$job->complete_step( 'finalise' );
+
+		// ── 8. Translations ─────────────────────────────────────────────
+		// Non-fatal: a language that fails can be translated from the editor.
+		if ( ! empty( $config['languages'] ) ) {
+			$total             = count( $config['languages'] );
+			$translate_credits = 0;
+			$job->start_step( 'translate', __( 'Translating…', 'brevo-campaign-generator' ), $total );
+
+			foreach ( $config['languages'] as $index => $code ) {
+				if ( $job->is_cancel_requested() ) {
+					// The campaign is deleted, so its translations are refunded.
+					if ( $translate_credits > 0 ) {
+						$ai_manager->refund_credits( $translate_credits, __( 'Refund for cancelled translation', 'brevo-campaign-generator' ) );
+					}
+
+					return $this->cancel( $job, $campaign_id, $translate_credits );
+				}
+
+				$job->advance(
+					'translate',
+					$index,
+					$total,
+					/* translators: %s: language name */
+					sprintf( __( 'Translating into %s…', 'brevo-campaign-generator' ), BCG_Campaign_Translations::get_label( $code ) )
+				);
+
+				$translation = BCG_Campaign_Translations::translate( $campaign_id, $code, $ai_manager );
+				$error       = '';
+
+				if ( is_wp_error( $translation ) ) {
+					$error = BCG_Campaign_Translations::get_label( $code ) . ': ' . $translation->get_error_message();
+				} else {
+					$translate_credits += $translation['credits_used'];
+
+					foreach ( $translation['warnings'] as $warning ) {
+						$job->warn( $warning );
+					}
+				}
+
+				$job->advance( 'translate', $index + 1, $total, '', $error );
+			}
+
+			$credits_used += $translate_credits;
+			$job->complete_step( 'translate' );
+		} else {
+			$job->skip_step( 'translate' );
+		}
+
+		$job->finish( $campaign_id );
+
+		$state = $job->to_array();
+
+		return array(
+			'campaign_id'  => $campaign_id,
+			'credits_used' => $credits_used,
+			'warnings'     => $state['warnings'],
+		);
+	}
+
+	/**
+	 * Build a progress callback that records AI task progress on a job step.
+	 *
+	 * @since  1.6.0
+	 * @param  BCG_Generation_Job $job  Job being tracked.
+	 * @param  string             $step Step the tasks belong to ('copy' or 'images').
+	 * @return callable Receives ( int $done, int $total, string $label, string $error ).
+	 */
+	private function progress_callback( BCG_Generation_Job $job, string $step ): callable {
+		return function ( int $done, int $total, string $label, string $error ) use ( $job, $step ) {
+			$message = '';
+			if ( $done < $total ) {
+				$message = 'images' === $step
+					/* translators: 1: current image number, 2: total images */
+					? sprintf( __( 'Generating image %1$d of %2$d…', 'brevo-campaign-generator' ), $done + 1, $total )
+					/* translators: 1: current task number, 2: total tasks */
+					: sprintf( __( 'Generating copy %1$d of %2$d…', 'brevo-campaign-generator' ), $done + 1, $total );
+			}
+
+			if ( '' !== $error && '' !== $label ) {
+				$error = $label . ': ' . $error;
+			}
+
+			$job->advance( $step, $done, $total, $message, $error );
+		};
+	}
+
+	/**
+	 * Stop a cancelled run: remove what it created and mark the job.
+	 *
+	 * @since  1.6.0
+	 * @param  BCG_Generation_Job $job         Job being tracked.
+	 * @param  int                $campaign_id Draft campaign created so far (0 if none).
+	 * @param  float              $refunded    Credits refunded for the unfinished step.
+	 * @return \WP_Error 'bcg_generation_cancelled'.
+	 */
+	private function cancel( BCG_Generation_Job $job, int $campaign_id, float $refunded = 0 ): \WP_Error {
+		if ( $campaign_id > 0 ) {
+			// Also deletes the campaign's products, coupon and generated images.
+			$campaign_handler = new BCG_Campaign();
+			$campaign_handler->delete( $campaign_id );
+		}
+
+		$job->cancel( $refunded );
+
+		return new \WP_Error(
+			'bcg_generation_cancelled',
+			__( 'Generation was cancelled.', 'brevo-campaign-generator' ),
+			array( 'credits_refunded' => $refunded )
+		);
+	}
+
+	/**
+	 * Mark the job as failed and return the matching error.
+	 *
+	 * @since  1.6.0
+	 * @param  BCG_Generation_Job $job     Job being tracked.
+	 * @param  string             $message Error message.
+	 * @return \WP_Error
+	 */
+	private function fail( BCG_Generation_Job $job, string $message ): \WP_Error {
+		$job->fail( $message );
+
+		return new \WP_Error( 'bcg_generation_failed', $message );
+	}
+}
@@ -0,0 +1,700 @@
+<?php
+/**
+ * Pre-send campaign checks.
+ *
+ * Runs a checklist over a campaign before it is sent or scheduled: links,
+ * image alt text and https, subject and preview text length, the Brevo
+ * unsubscribe link, spam trigger words, the HTML size against Gmail's
+ * clipping limit, the coupon's expiry date and the featured products.
+ * Errors block the send in the editor; warnings can be sent anyway.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Campaign_Preflight
+ *
+ * Checks a campaign's content and data before it goes to its recipients.
+ *
+ * @since 1.6.0
+ */
+class BCG_Campaign_Preflight {
+
+	/**
+	 * Check status: nothing to fix.
+	 *
+	 * @var string
+	 */
+	const STATUS_PASS = 'pass';
+
+	/**
+	 * Check status: worth a look, but the campaign can be sent.
+	 *
+	 * @var string
+	 */
+	const STATUS_WARNING = 'warning';
+
+	/**
+	 * Check status: the campaign must not be sent until this is fixed.
+	 *
+	 * @var string
+	 */
+	const STATUS_ERROR = 'error';
+
+	/**
+	 * Gmail clips messages whose HTML is larger than this, in bytes (102 KB).
+	 *
+	 * @var int
+	 */
+	const GMAIL_CLIP_BYTES = 102 * 1024;
+
+	/**
+	 * Longest subject line that is not cut off in most inboxes.
+	 *
+	 * @var int
+	 */
+	const SUBJECT_MAX_LENGTH = 60;
+
+	/**
+	 * Longest preview text most inboxes show.
+	 *
+	 * @var int
+	 */
+	const PREVIEW_TEXT_MAX_LENGTH = 140;
+
+	/**
+	 * Most links requested per run; the rest are only checked for a URL.
+	 *
+	 * @var int
+	 */
+	const LINK_CHECK_LIMIT = 25;
+
+	/**
+	 * Timeout for each link request, in seconds.
+	 *
+	 * @var int
+	 */
+	const LINK_CHECK_TIMEOUT = 5;
+
+	/**
+	 * How long a link's status is remembered (1 hour).
+	 *
+	 * @var int
+	 */
+	const LINK_CACHE_TTL = HOUR_IN_SECONDS;
+
+	/**
+	 * A coupon that expires within this many seconds of the send is flagged.
+	 *
+	 * @var int
+	 */
+	const COUPON_EXPIRY_WARNING = 2 * DAY_IN_SECONDS;
+
+	/**
+	 * Words and phrases that spam filters commonly score.
+	 *
+	 * @var string[]
+	 */
+	const SPAM_WORDS = array(
+		'100% free',
+		'act now',
+		'apply now',
+		'buy direct',
+		'cash bonus',
+		'click here',
+		'congratulations',
+		'double your',
+		'earn money',
+		'extra cash',
+		'free gift',
+		'guaranteed',
+		'limited time only',
+		'no credit check',
+		'no obligation',
+		'once in a lifetime',
+		'risk-free',
+		'urgent',
+		'winner',
+		'you have been selected',
+	);
+
+	/**
+	 * Brevo campaign tags that are valid link targets.
+	 *
+	 * @var string[]
+	 */
+	const BREVO_LINK_TAGS = array( 'unsubscribe', 'mirror', 'update_profile' );
+
+	/**
+	 * Run every check on a campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  int $campaign_id Local campaign ID.
+	 * @param  int $send_at     Optional. When the campaign will be sent (Unix timestamp). Default now.
+	 * @return array|\WP_Error {
+	 *     @type string  $status   'error' when any check failed, 'warning' when any
+	 *                             check warned, 'pass' otherwise.
+	 *     @type int     $errors   Number of failed checks.
+	 *     @type int     $warnings Number of checks with warnings.
+	 *     @type array[] $checks   Each { id, label, status, items }, where items
+	 *                             are the translated problems found.
+	 * }
+	 */
+	public function run( int $campaign_id, int $send_at = 0 ): array|\WP_Error {
+		$campaign = ( new BCG_Campaign() )->get( $campaign_id );
+
+		if ( is_wp_error( $campaign ) ) {
+			return $campaign;
+		}
+
+		$html = ( new BCG_Template() )->render( $campaign_id );
+
+		if ( is_wp_error( $html ) ) {
+			return $html;
+		}
+
+		// Check the HTML Brevo will receive.
+		$html    = BCG_Campaign_Publisher::unescape_merge_tags( $html );
+		$send_at = $send_at > 0 ? $send_at : time();
+
+		$checks = array(
+			$this->check_links( $html ),
+			$this->check_unsubscribe( $html ),
+			$this->check_alt_text( $html ),
+			$this->check_image_https( $html ),
+			$this->check_subject( $campaign ),
+			$this->check_preview_text( $campaign ),
+			$this->check_spam_words( $campaign, $html ),
+			$this->check_html_size( $html ),
+			$this->check_coupon( $campaign, $send_at ),
+			$this->check_products( $campaign ),
+		);
+
+		/**
+		 * Filter the results of the pre-send campaign checks.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param array[]   $checks   Each { id, label, status, items }.
+		 * @param \stdClass $campaign The campaign (from BCG_Campaign::get()).
+		 * @param string    $html     The rendered email HTML.
+		 */
+		$checks = apply_filters( 'bcg_preflight_checks', $checks, $campaign, $html );
+
+		$statuses = wp_list_pluck( $checks, 'status' );
+		$errors   = count( array_keys( $statuses, self::STATUS_ERROR, true ) );
+		$warnings = count( array_keys( $statuses, self::STATUS_WARNING, true ) );
+
+		return array(
+			'status'   => $errors ? self::STATUS_ERROR : ( $warnings ? self::STATUS_WARNING : self::STATUS_PASS ),
+			'errors'   => $errors,
+			'warnings' => $warnings,
+			'checks'   => $checks,
+		);
+	}
+
+	// ─── Checks ───────────────────────────────────────────────────────
+
+	/**
+	 * Check that every link has a working URL.
+	 *
+	 * Links without a URL, or pointing at "#" or javascript:, are errors, as
+	 * are pages that no longer exist (404 / 410). Other failed requests are
+	 * warnings, since some sites refuse automated requests.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @return array
+	 */
+	private function check_links( string $html ): array {
+		$errors   = array();
+		$warnings = array();
+		$checked  = array();
+
+		foreach ( $this->find_tags( $html, 'a' ) as $tag ) {
+			$href = $this->get_attribute( $tag, 'href' );
+			$text = $this->describe_link( $html, $tag );
+
+			if ( null === $href ) {
+				continue;
+			}
+
+			$href = trim( $href );
+
+			if ( '' === $href || '#' === $href || 0 === stripos( $href, 'javascript:' ) ) {
+				/* translators: %s: link text */
+				$errors[] = sprintf( __( '"%s" has no link address.', 'brevo-campaign-generator' ), $text );
+				continue;
+			}
+
+			if ( $this->is_brevo_tag( $href ) || preg_match( '/^(mailto|tel|sms):/i', $href ) ) {
+				continue;
+			}
+
+			// Contact and params tags are filled in by Brevo; anything else was left unreplaced.
+			$untagged = preg_replace( '/\{\{\s*(contact|params)\.[^}]*\}\}/', '', $href );
+
+			if ( false !== strpos( $untagged, '{{' ) ) {
+				/* translators: 1: link text, 2: URL */
+				$errors[] = sprintf( __( '"%1$s" links to %2$s, which still contains a template tag.', 'brevo-campaign-generator' ), $text, $href );
+				continue;
+			}
+
+			if ( ! preg_match( '#^https?://#i', $href ) ) {
+				/* translators: 1: link text, 2: URL */
+				$errors[] = sprintf( __( '"%1$s" links to %2$s, which is not a full web address.', 'brevo-campaign-generator' ), $text, $href );
+				continue;
+			}
+
+			// Personalised addresses differ per contact, so they cannot be requested.
+			if ( $untagged !== $href || isset( $checked[ $href ] ) || count( $checked ) >= self::LINK_CHECK_LIMIT ) {
+				continue;
+			}
+
+			$checked[ $href ] = true;
+			$status           = $this->get_link_status( $href );
+
+			if ( 404 === $status || 410 === $status ) {
+				/* translators: 1: link text, 2: URL */
+				$errors[] = sprintf( __( '"%1$s" links to a page that does not exist: %2$s', 'brevo-campaign-generator' ), $text, $href );
+			} elseif ( 0 === $status ) {
+				/* translators: 1: link text, 2: URL */
+				$warnings[] = sprintf( __( '"%1$s" could not be reached: %2$s', 'brevo-campaign-generator' ), $text, $href );
+			} elseif ( $status >= 400 ) {
+				/* translators: 1: link text, 2: HTTP status code, 3: URL */
+				$warnings[] = sprintf( __( '"%1$s" returned HTTP %2$d: %3$s', 'brevo-campaign-generator' ), $text, $status, $href );
+			}
+		}
+
+		return $this->result( 'links', __( 'Links', 'brevo-campaign-generator' ), $errors, $warnings );
+	}
+
+	/**
+	 * Check that the email links to Brevo's unsubscribe page.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @return array
+	 */
+	private function check_unsubscribe( string $html ): array {
+		$errors = array();
+
+		if ( ! preg_match( '/\{\{\s*unsubscribe\s*\}\}/', $html ) ) {
+			$errors[] = __( 'The email has no unsubscribe link. Add one to the footer using {{ unsubscribe }} as the link address.', 'brevo-campaign-generator' );
+		}
+
+		return $this->result( 'unsubscribe', __( 'Unsubscribe link', 'brevo-campaign-generator' ), $errors );
+	}
+
+	/**
+	 * Check that every image has alt text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @return array
+	 */
+	private function check_alt_text( string $html ): array {
+		$warnings = array();
+
+		foreach ( $this->find_tags( $html, 'img' ) as $tag ) {
+			$alt = $this->get_attribute( $tag, 'alt' );
+
+			if ( null === $alt || '' === trim( $alt ) ) {
+				/* translators: %s: image URL */
+				$warnings[] = sprintf( __( 'Image has no alt text: %s', 'brevo-campaign-generator' ), $this->get_attribute( $tag, 'src' ) ?? '' );
+			}
+		}
+
+		return $this->result( 'alt_text', __( 'Image alt text', 'brevo-campaign-generator' ), array(), $warnings );
+	}
+
+	/**
+	 * Check that every image is loaded over https.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @return array
+	 */
+	private function check_image_https( string $html ): array {
+		$errors   = array();
+		$warnings = array();
+
+		foreach ( $this->find_tags( $html, 'img' ) as $tag ) {
+			$src = trim( (string) $this->get_attribute( $tag, 'src' ) );
+
+			if ( '' === $src ) {
+				$errors[] = __( 'An image has no image address.', 'brevo-campaign-generator' );
+			} elseif ( 0 === stripos( $src, 'http://' ) ) {
+				/* translators: %s: image URL */
+				$warnings[] = sprintf( __( 'Image is not loaded over https and may be blocked: %s', 'brevo-campaign-generator' ), $src );
+			} elseif ( 0 !== stripos( $src, 'https://' ) ) {
+				/* translators: %s: image URL */
+				$errors[] = sprintf( __( 'Image address is not a full https address: %s', 'brevo-campaign-generator' ), $src );
+			}
+		}
+
+		return $this->result( 'image_https', __( 'Image addresses', 'brevo-campaign-generator' ), $errors, $warnings );
+	}
+
+	/**
+	 * Check the subject line, and the tested subjects of an A/B campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return array
+	 */
+	private function check_subject( \stdClass $campaign ): array {
+		$errors   = array();
+		$warnings = array();
+		$subjects = array( (string) $campaign->subject );
+		$ab_test  = BCG_AB_Test::sanitise( $campaign->ab_test ?? null );
+
+		if ( $ab_test['enabled'] && BCG_AB_Test::get_tested_variants( $ab_test ) ) {
+			$subjects = wp_list_pluck( BCG_AB_Test::get_tested_variants( $ab_test ), 'subject' );
+		}
+
+		foreach ( $subjects as $subject ) {
+			$length = mb_strlen( trim( $subject ) );
+
+			if ( 0 === $length ) {
+				$errors[] = __( 'The subject line is empty.', 'brevo-campaign-generator' );
+			} elseif ( $length > self::SUBJECT_MAX_LENGTH ) {
+				/* translators: 1: subject line, 2: number of characters, 3: recommended maximum */
+				$warnings[] = sprintf( __( '"%1$s" is %2$d characters long and may be cut off; keep it under %3$d.', 'brevo-campaign-generator' ), $subject, $length, self::SUBJECT_MAX_LENGTH );
+			}
+		}
+
+		return $this->result( 'subject', __( 'Subject line', 'brevo-campaign-generator' ), $errors, $warnings );
+	}
+
+	/**
+	 * Check the preview text length.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return array
+	 */
+	private function check_preview_text( \stdClass $campaign ): array {
+		$warnings = array();
+		$length   = mb_strlen( trim( (string) $campaign->preview_text ) );
+
+		if ( 0 === $length ) {
+			$warnings[] = __( 'There is no preview text, so inboxes will show the first text of the email instead.', 'brevo-campaign-generator' );
+		} elseif ( $length > self::PREVIEW_TEXT_MAX_LENGTH ) {
+			/* translators: 1: number of characters, 2: recommended maximum */
+			$warnings[] = sprintf( __( 'The preview text is %1$d characters long; most inboxes show up to %2$d.', 'brevo-campaign-generator' ), $length, self::PREVIEW_TEXT_MAX_LENGTH );
+		}
+
+		return $this->result( 'preview_text', __( 'Preview text', 'brevo-campaign-generator' ), array(), $warnings );
+	}
+
+	/**
+	 * Look for words that spam filters score in the subject, preview text
+	 * and email text.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @param  string    $html     Rendered email HTML.
+	 * @return array
+	 */
+	private function check_spam_words( \stdClass $campaign, string $html ): array {
+		$warnings = array();
+		$text     = $campaign->subject . ' ' . $campaign->preview_text . ' ' . wp_strip_all_tags( $html );
+		$text     = html_entity_decode( $text, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+
+		$found = self::find_spam_words( $text );
+
+		if ( $found ) {
+			/* translators: %s: comma-separated list of words */
+			$warnings[] = sprintf( __( 'Spam filters may flag: %s', 'brevo-campaign-generator' ), implode( ', ', $found ) );
+		}
+
+		return $this->result( 'spam_words', __( 'Spam trigger words', 'brevo-campaign-generator' ), array(), $warnings );
+	}
+
+	/**
+	 * Check the HTML size against Gmail's clipping limit. A clipped email
+	 * hides its footer, including the unsubscribe link.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @return array
+	 */
+	private function check_html_size( string $html ): array {
+		$warnings = array();
+		$bytes    = strlen( $html );
+
+		if ( $bytes > self::GMAIL_CLIP_BYTES ) {
+			/* translators: 1: email size, 2: Gmail's limit */
+			$warnings[] = sprintf( __( 'The email is %1$s, so Gmail will clip it (limit %2$s). Remove sections or products to make it smaller.', 'brevo-campaign-generator' ), size_format( $bytes, 1 ), size_format( self::GMAIL_CLIP_BYTES ) );
+		}
+
+		return $this->result( 'html_size', __( 'Email size', 'brevo-campaign-generator' ), array(), $warnings );
+	}
+
+	/**
+	 * Check that the campaign's coupon still exists and is valid when the
+	 * email is sent.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @param  int       $send_at  Send time (Unix timestamp).
+	 * @return array
+	 */
+	private function check_coupon( \stdClass $campaign, int $send_at ): array {
+		$errors   = array();
+		$warnings = array();
+		$label    = __( 'Coupon', 'brevo-campaign-generator' );
+
+		if ( empty( $campaign->coupon_code ) || ! class_exists( 'WC_Coupon' ) ) {
+			return $this->result( 'coupon', $label );
+		}
+
+		$coupon = ( new BCG_Coupon() )->get_campaign_coupon( (int) $campaign->id );
+
+		if ( null === $coupon ) {
+			/* translators: %s: coupon code */
+			$errors[] = sprintf( __( 'Coupon %s no longer exists in WooCommerce.', 'brevo-campaign-generator' ), $campaign->coupon_code );
+			return $this->result( 'coupon', $label, $errors );
+		}
+
+		$expires = $coupon->get_date_expires();
+
+		if ( $expires && $expires->getTimestamp() <= $send_at ) {
+			/* translators: 1: coupon code, 2: expiry date */
+			$errors[] = sprintf( __( 'Coupon %1$s expires on %2$s, before the campaign is sent.', 'brevo-campaign-generator' ), $campaign->coupon_code, wp_date( get_option( 'date_format' ), $expires->getTimestamp() ) );
+		} elseif ( $expires && $expires->getTimestamp() - $send_at < self::COUPON_EXPIRY_WARNING ) {
+			/* translators: 1: coupon code, 2: expiry date */
+			$warnings[] = sprintf( __( 'Coupon %1$s expires on %2$s, soon after the campaign is sent.', 'brevo-campaign-generator' ), $campaign->coupon_code, wp_date( get_option( 'date_format' ), $expires->getTimestamp() ) );
+		}
+
+		if ( $coupon->get_usage_limit() > 0 && $coupon->get_usage_count() >= $coupon->get_usage_limit() ) {
+			/* translators: %s: coupon code */
+			$errors[] = sprintf( __( 'Coupon %s has reached its usage limit.', 'brevo-campaign-generator' ), $campaign->coupon_code );
+		}
+
+		return $this->result( 'coupon', $label, $errors, $warnings );
+	}
+
+	/**
+	 * Check that the featured products are published and in stock.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return array
+	 */
+	private function check_products( \stdClass $campaign ): array {
+		$errors   = array();
+		$warnings = array();
+		$label    = __( 'Products', 'brevo-campaign-generator' );
+
+		if ( ! function_exists( 'wc_get_product' ) ) {
+			return $this->result( 'products', $label );
+		}
+
+		foreach ( $this->get_product_ids( $campaign ) as $product_id ) {
+			$product = wc_get_product( $product_id );
+
+			if ( ! $product instanceof WC_Product ) {
+				/* translators: %d: product ID */
+				$errors[] = sprintf( __( 'Product #%d no longer exists.', 'brevo-campaign-generator' ), $product_id );
+			} elseif ( 'publish' !== $product->get_status() ) {
+				/* translators: %s: product name */
+				$errors[] = sprintf( __( '%s is not published.', 'brevo-campaign-generator' ), $product->get_name() );
+			} elseif ( ! $product->is_in_stock() ) {
+				/* translators: %s: product name */
+				$warnings[] = sprintf( __( '%s is out of stock.', 'brevo-campaign-generator' ), $product->get_name() );
+			}
+		}
+
+		return $this->result( 'products', $label, $errors, $warnings );
+	}
+
+	/**
+	 * Get the words and phrases that are flagged as spam triggers.
+	 *
+	 * @since  1.6.0
+	 * @return string[] Lowercase words and phrases.
+	 */
+	public static function get_spam_words(): array {
+		/**
+		 * Filter the words and phrases the pre-send check and the
+		 * deliverability analyser flag as spam triggers.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param string[] $words Lowercase words and phrases.
+		 */
+		return (array) apply_filters( 'bcg_preflight_spam_words', self::SPAM_WORDS );
+	}
+
+	/**
+	 * Find the spam trigger words in a text, matched as whole words.
+	 *
+	 * @since  1.6.0
+	 * @param  string $text Plain text.
+	 * @return string[] The words and phrases found.
+	 */
+	public static function find_spam_words( string $text ): array {
+		$found = array();
+
+		foreach ( self::get_spam_words() as $word ) {
+			if ( preg_match( '/(?<![\p{L}\p{N}])' . preg_quote( $word, '/' ) . '(?![\p{L}\p{N}])/iu', $text ) ) {
+				$found[] = $word;
+			}
+		}
+
+		return $found;
+	}
+
+	// ─── Private Helpers ──────────────────────────────────────────────
+
+	/**
+	 * Build a check result.
+	 *
+	 * @since  1.6.0
+	 * @param  string   $id       Check ID.
+	 * @param  string   $label    Translated check name.
+	 * @param  string[] $errors   Problems that block the send.
+	 * @param  string[] $warnings Problems that do not.
+	 * @return array { id, label, status, items }.
+	 */
+	private function result( string $id, string $label, array $errors = array(), array $warnings = array() ): array {
+		return array(
+			'id'     => $id,
+			'label'  => $label,
+			'status' => $errors ? self::STATUS_ERROR : ( $warnings ? self::STATUS_WARNING : self::STATUS_PASS ),
+			'items'  => array_values( array_unique( array_merge( $errors, $warnings ) ) ),
+		);
+	}
+
+	/**
+	 * Find the opening tags of one element type.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html HTML to search.
+	 * @param  string $name Tag name.
+	 * @return string[]
+	 */
+	private function find_tags( string $html, string $name ): array {
+		preg_match_all( '/<' . $name . '\b[^>]*>/i', $html, $matches );
+
+		return $matches[0];
+	}
+
+	/**
+	 * Read an attribute from an opening tag.
+	 *
+	 * @since  1.6.0
+	 * @param  string $tag  Opening tag.
+	 * @param  string $name Attribute name.
+	 * @return string|null The decoded value, or null when the attribute is missing.
+	 */
+	private function get_attribute( string $tag, string $name ): ?string {
+		if ( ! preg_match( '/\s' . $name . '\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s>]+))/i', $tag, $matches ) ) {
+			return null;
+		}
+
+		$value = $matches[3] ?? ( '' !== ( $matches[2] ?? '' ) ? $matches[2] : $matches[1] );
+
+		return html_entity_decode( $value, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+	}
+
+	/**
+	 * Get the text of a link, for naming it in a problem.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @param  string $tag  The link's opening tag.
+	 * @return string
+	 */
+	private function describe_link( string $html, string $tag ): string {
+		$start = strpos( $html, $tag );
+		$end   = false === $start ? false : stripos( $html, '</a>', $start );
+		$text  = false === $end ? '' : wp_strip_all_tags( substr( $html, $start, $end - $start ) );
+		$text  = trim( preg_replace( '/\s+/', ' ', html_entity_decode( $text, ENT_QUOTES | ENT_HTML5, 'UTF-8' ) ) );
+
+		if ( '' === $text ) {
+			$alt  = preg_match( '/<img\b[^>]*>/i', false === $end ? '' : substr( $html, $start, $end - $start ), $img ) ? $this->get_attribute( $img[0], 'alt' ) : null;
+			$text = $alt ? $alt : __( 'Image link', 'brevo-campaign-generator' );
+		}
+
+		return mb_strlen( $text ) > 60 ? mb_substr( $text, 0, 57 ) . '…' : $text;
+	}
+
+	/**
+	 * Whether a link target is one of Brevo's campaign tags.
+	 *
+	 * @since  1.6.0
+	 * @param  string $href Link target.
+	 * @return bool
+	 */
+	private function is_brevo_tag( string $href ): bool {
+		return (bool) preg_match( '/^\{\{\s*(' . implode( '|', self::BREVO_LINK_TAGS ) . ')\s*\}\}$/', $href );
+	}
+
+	/**
+	 * Request a link and return its HTTP status, remembered for an hour.
+	 *
+	 * A HEAD request is tried first; servers that do not allow HEAD are
+	 * asked again with GET.
+	 *
+	 * @since  1.6.0
+	 * @param  string $url Absolute http(s) URL.
+	 * @return int HTTP status code, or 0 when the request failed.
+	 */
+	private function get_link_status( string $url ): int {
+		$cache_key = 'bcg_link_' . md5( $url );
+		$cached    = get_transient( $cache_key );
+
+		if ( false !== $cached ) {
+			return (int) $cached;
+		}
+
+		$args = array(
+			'timeout'     => self::LINK_CHECK_TIMEOUT,
+			'redirection' => 5,
+		);
+
+		$response = wp_safe_remote_head( $url, $args );
+		$status   = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+
+		if ( 405 === $status || 501 === $status ) {
+			$response = wp_safe_remote_get( $url, $args + array( 'limit_response_size' => 1024 ) );
+			$status   = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+		}
+
+		set_transient( $cache_key, $status, self::LINK_CACHE_TTL );
+
+		return $status;
+	}
+
+	/**
+	 * Get the IDs of the products a campaign features, from its product
+	 * cards and from the product sections of a Section Builder campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return int[]
+	 */
+	private function get_product_ids( \stdClass $campaign ): array {
+		$ids = array_map( 'absint', wp_list_pluck( $campaign->products, 'product_id' ) );
+
+		if ( 'sections' === ( $campaign->builder_type ?? '' ) && ! empty( $campaign->sections_json ) ) {
+			$sections = json_decode( $campaign->sections_json, true );
+
+			foreach ( is_array( $sections ) ? $sections : array() as $section ) {
+				$raw = $section['settings']['product_ids'] ?? '';
+				$ids = array_merge( $ids, array_map( 'absint', is_array( $raw ) ? $raw : explode( ',', (string) $raw ) ) );
+			}
+		}
+
+		return array_values( array_unique( array_filter( $ids ) ) );
+	}
+}
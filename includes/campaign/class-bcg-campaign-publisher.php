@@ -0,0 +1,650 @@
+<?php
+/**
+ * Campaign publisher.
+ *
+ * Pushes a local campaign to Brevo: renders it, resolves the verified
+ * sender and creates or updates the matching Brevo campaign, then
+ * optionally schedules it. Shared by the editor's AJAX handlers and by
+ * recurring campaigns, which publish from cron without a browser.
+ *
+ * A campaign with translations becomes one Brevo campaign per language.
+ * Each translation goes to its own audience, and the main campaign
+ * excludes those audiences so nobody receives two languages.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Campaign_Publisher
+ *
+ * Creates, updates and schedules Brevo campaigns for local campaigns.
+ *
+ * @since 1.6.0
+ */
+class BCG_Campaign_Publisher {
+
+	/**
+	 * Brevo API client.
+	 *
+	 * @var BCG_Brevo
+	 */
+	private BCG_Brevo $brevo;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.6.0
+	 * @param BCG_Brevo|null $brevo Brevo API client. A new one is created when omitted.
+	 */
+	public function __construct( ?BCG_Brevo $brevo = null ) {
+		$this->brevo = $brevo ?? new BCG_Brevo();
+	}
+
+	/**
+	 * Create or update the Brevo campaign and mark the local campaign ready.
+	 *
+	 * @since  1.6.0
+	 * @param  int $campaign_id Local campaign ID.
+	 * @return int|\WP_Error Brevo campaign ID on success.
+	 */
+	public function create_in_brevo( int $campaign_id ): int|\WP_Error {
+		$campaign_handler = new BCG_Campaign();
+		$brevo_campaigns  = $this->ensure_brevo_campaigns( $campaign_id );
+
+		if ( is_wp_error( $brevo_campaigns ) ) {
+			return $brevo_campaigns;
+		}
+
+		$brevo_campaign_id = $brevo_campaigns['main'];
+
+		$campaign_handler->update( $campaign_id, array(
+			'brevo_campaign_id' => $brevo_campaign_id,
+			'status'            => 'ready',
+		) );
+
+		return $brevo_campaign_id;
+	}
+
+	/**
+	 * Create or update the Brevo campaign and schedule it to send.
+	 *
+	 * @since  1.6.0
+	 * @param  int $campaign_id Local campaign ID.
+	 * @param  int $timestamp   Send time (Unix timestamp, must be in the future).
+	 * @return int|\WP_Error Brevo campaign ID on success.
+	 */
+	public function schedule( int $campaign_id, int $timestamp ): int|\WP_Error {
+		if ( $timestamp <= time() ) {
+			return new \WP_Error( 'bcg_schedule_past', __( 'The scheduled date must be in the future.', 'brevo-campaign-generator' ) );
+		}
+
+		$campaign_handler = new BCG_Campaign();
+		$brevo_campaigns  = $this->ensure_brevo_campaigns( $campaign_id );
+
+		if ( is_wp_error( $brevo_campaigns ) ) {
+			return $brevo_campaigns;
+		}
+
+		$brevo_campaign_id = $brevo_campaigns['main'];
+
+		// Brevo expects ISO 8601 in UTC.
+		foreach ( $this->list_brevo_campaigns( $brevo_campaigns ) as $language => $id ) {
+			$schedule_result = $this->brevo->schedule_campaign( $id, gmdate( 'Y-m-d\TH:i:s\Z', $timestamp ) );
+
+			if ( is_wp_error( $schedule_result ) ) {
+				return $this->language_error( $schedule_result, $language );
+			}
+		}
+
+		$campaign_handler->update( $campaign_id, array(
+			'brevo_campaign_id' => $brevo_campaign_id,
+			'status'            => 'scheduled',
+			'scheduled_at'      => gmdate( 'Y-m-d H:i:s', $timestamp ),
+		) );
+
+		return $brevo_campaign_id;
+	}
+
+	/**
+	 * Create or update the Brevo campaigns and send them immediately.
+	 *
+	 * @since  1.6.0
+	 * @param  int $campaign_id Local campaign ID.
+	 * @return int|\WP_Error Brevo campaign ID of the main language on success.
+	 */
+	public function send_now( int $campaign_id ): int|\WP_Error {
+		$campaign_handler = new BCG_Campaign();
+		$brevo_campaigns  = $this->ensure_brevo_campaigns( $campaign_id );
+
+		if ( is_wp_error( $brevo_campaigns ) ) {
+			return $brevo_campaigns;
+		}
+
+		$brevo_campaign_id = $brevo_campaigns['main'];
+
+		foreach ( $this->list_brevo_campaigns( $brevo_campaigns ) as $language => $id ) {
+			$send_result = $this->brevo->send_campaign_now( $id );
+
+			if ( is_wp_error( $send_result ) ) {
+				return $this->language_error( $send_result, $language );
+			}
+		}
+
+		$campaign_handler->update( $campaign_id, array(
+			'brevo_campaign_id' => $brevo_campaign_id,
+			'status'            => 'sent',
+			'sent_at'           => current_time( 'mysql' ),
+		) );
+
+		return $brevo_campaign_id;
+	}
+
+	/**
+	 * Ensure Brevo campaigns exist for a local campaign and each of its
+	 * translations.
+	 *
+	 * Translations are pushed first, syncing their audiences, so the main
+	 * campaign can exclude those audiences. Each translation's Brevo
+	 * campaign ID is stored as soon as it is known.
+	 *
+	 * @since  1.6.0
+	 * @param  int $campaign_id Local campaign ID.
+	 * @return array|\WP_Error {
+	 *     @type int   $main         Brevo campaign ID of the main language.
+	 *     @type int[] $translations Brevo campaign IDs keyed by language code.
+	 * }
+	 *     Or WP_Error on failure.
+	 */
+	public function ensure_brevo_campaigns( int $campaign_id ): array|\WP_Error {
+		$campaign_handler = new BCG_Campaign();
+		$campaign         = $campaign_handler->get( $campaign_id );
+
+		if ( is_wp_error( $campaign ) ) {
+			return $campaign;
+		}
+
+		$ids = array(
+			'main'         => 0,
+			'translations' => array(),
+		);
+
+		foreach ( array_keys( BCG_Campaign_Translations::sanitise( $campaign->translations ?? null ) ) as $language ) {
+			$list_id = $this->sync_audience( $campaign, $language );
+
+			if ( is_wp_error( $list_id ) ) {
+				return $this->language_error( $list_id, $language );
+			}
+
+			$campaign = $campaign_handler->get( $campaign_id );
+			if ( is_wp_error( $campaign ) ) {
+				return $campaign;
+			}
+
+			$brevo_campaign = $this->ensure_brevo_campaign( $campaign, $language );
+
+			if ( is_wp_error( $brevo_campaign ) ) {
+				return $this->language_error( $brevo_campaign, $language );
+			}
+
+			$ids['translations'][ $language ] = (int) $brevo_campaign['id'];
+			BCG_Campaign_Translations::update_entry( $campaign_id, $language, array( 'brevo_campaign_id' => (int) $brevo_campaign['id'] ) );
+		}
+
+		if ( $ids['translations'] ) {
+			$campaign = $campaign_handler->get( $campaign_id );
+			if ( is_wp_error( $campaign ) ) {
+				return $campaign;
+			}
+		}
+
+		$brevo_campaign = $this->ensure_brevo_campaign( $campaign );
+
+		if ( is_wp_error( $brevo_campaign ) ) {
+			return $brevo_campaign;
+		}
+
+		$ids['main'] = (int) $brevo_campaign['id'];
+
+		return $ids;
+	}
+
+	/**
+	 * Ensure a Brevo campaign exists for the given local campaign.
+	 *
+	 * If the campaign already has a brevo_campaign_id, updates the existing
+	 * Brevo campaign with the latest rendered HTML, subject, and settings.
+	 * Otherwise, creates a new Brevo campaign and returns its data.
+	 *
+	 * With a language, the campaign's translation into it is pushed to its
+	 * own Brevo campaign, sent to the translation's audience. Without one,
+	 * the main campaign excludes the audiences of translations already
+	 * pushed.
+	 *
+	 * @since  1.0.0
+	 * @since  1.6.0 Added the $language parameter.
+	 *
+	 * @param  \stdClass $campaign The local campaign object (from BCG_Campaign::get()).
+	 * @param  string    $language Optional. Language code of a translation. Default '' (main language).
+	 * @return array|\WP_Error The Brevo campaign data array (with 'id' key) on success,
+	 *                         WP_Error on failure.
+	 */
+	public function ensure_brevo_campaign( \stdClass $campaign, string $language = '' ): array|\WP_Error {
+		$campaign_id  = (int) $campaign->id;
+		$translations = BCG_Campaign_Translations::sanitise( $campaign->translations ?? null );
+		$translation  = null;
+
+		if ( '' !== $language ) {
+			if ( ! isset( $translations[ $language ] ) ) {
+				return new \WP_Error(
+					'bcg_translation_not_found',
+					sprintf(
+						/* translators: %s: language name */
+						__( 'This campaign has no %s translation.', 'brevo-campaign-generator' ),
+						BCG_Campaign_Translations::get_label( $language )
+					)
+				);
+			}
+
+			$translation = $translations[ $language ];
+		}
+
+		// Render the template to full HTML.
+		$template_engine = new BCG_Template();
+		$rendered_html   = $template_engine->render( $campaign_id, $language );
+
+		if ( is_wp_error( $rendered_html ) ) {
+			return $rendered_html;
+		}
+
+		$rendered_html = self::unescape_merge_tags( $rendered_html );
+		$subject       = null !== $translation ? $translation['subject'] : (string) $campaign->subject;
+		$preview_text  = null !== $translation ? $translation['preview_text'] : (string) $campaign->preview_text;
+
+		// Validate required fields.
+		if ( '' === $subject ) {
+			return new \WP_Error(
+				'bcg_missing_subject',
+				__( 'Campaign subject line is required before sending to Brevo.', 'brevo-campaign-generator' )
+			);
+		}
+
+		if ( empty( $campaign->mailing_list_id ) ) {
+			return new \WP_Error(
+				'bcg_missing_list',
+				__( 'A mailing list must be selected before sending to Brevo.', 'brevo-campaign-generator' )
+			);
+		}
+
+		// Build the list IDs array (supports comma-separated values).
+		$list_ids = array_map( 'absint', explode( ',', $campaign->mailing_list_id ) );
+		$list_ids = array_filter( $list_ids );
+
+		if ( empty( $list_ids ) ) {
+			return new \WP_Error(
+				'bcg_invalid_list',
+				__( 'Invalid mailing list ID.', 'brevo-campaign-generator' )
+			);
+		}
+
+		// Translations go to their own audience; the main campaign leaves those contacts out.
+		$exclusion_ids = array();
+		if ( null !== $translation ) {
+			$audience_id = $this->get_audience_list_id( $translation, $list_ids );
+
+			if ( is_wp_error( $audience_id ) ) {
+				return $audience_id;
+			}
+
+			if ( 0 === $audience_id ) {
+				$audience_id = $this->sync_audience( $campaign, $language );
+
+				if ( is_wp_error( $audience_id ) ) {
+					return $audience_id;
+				}
+			}
+
+			$list_ids = array( $audience_id );
+		} else {
+			foreach ( $translations as $entry ) {
+				$audience_id = $this->get_audience_list_id( $entry, $list_ids );
+
+				if ( is_wp_error( $audience_id ) ) {
+					return $audience_id;
+				}
+
+				if ( $audience_id > 0 ) {
+					$exclusion_ids[] = $audience_id;
+				}
+			}
+		}
+
+		// Resolve sender against Brevo's verified senders list.
+		// Always fetch to ensure we have the correct sender ID; this guarantees
+		// Brevo accepts the sender even if local config is stale or missing.
+		$sender_json  = get_option( 'bcg_brevo_sender', '' );
+		$sender_data  = is_string( $sender_json ) ? json_decode( $sender_json, true ) : null;
+		$sender_email = ( is_array( $sender_data ) && ! empty( $sender_data['email'] ) )
+			? (string) $sender_data['email']
+			: (string) get_option( 'bcg_brevo_sender_email', '' );
+		$sender_name  = ( is_array( $sender_data ) && ! empty( $sender_data['name'] ) )
+			? (string) $sender_data['name']
+			: (string) get_option( 'bcg_brevo_sender_name', '' );
+		$sender_id    = ( is_array( $sender_data ) && ! empty( $sender_data['id'] ) )
+			? (int) $sender_data['id']
+			: 0;
+
+		// Fetch verified senders from Brevo and resolve the best match.
+		$verified_senders = $this->brevo->get_senders();
+		if ( ! is_wp_error( $verified_senders ) && ! empty( $verified_senders ) ) {
+			$matched = null;
+
+			// 1. Match by email (case-insensitive).
+			if ( ! empty( $sender_email ) ) {
+				foreach ( $verified_senders as $vs ) {
+					if ( isset( $vs['email'] ) && strtolower( $vs['email'] ) === strtolower( $sender_email ) ) {
+						$matched = $vs;
+						break;
+					}
+				}
+			}
+
+			// 2. Match by stored ID if email lookup failed.
+			if ( null === $matched && $sender_id > 0 ) {
+				foreach ( $verified_senders as $vs ) {
+					if ( isset( $vs['id'] ) && (int) $vs['id'] === $sender_id ) {
+						$matched = $vs;
+						break;
+					}
+				}
+			}
+
+			// 3. Fall back to first verified sender.
+			if ( null === $matched ) {
+				$matched = $verified_senders[0];
+			}
+
+			// Use the resolved sender and persist with correct ID.
+			$sender_email = (string) ( $matched['email'] ?? $sender_email );
+			$sender_name  = (string) ( $matched['name'] ?? $sender_name );
+			$sender_id    = (int) ( $matched['id'] ?? 0 );
+
+			if ( $sender_id > 0 ) {
+				update_option( 'bcg_brevo_sender', wp_json_encode( array(
+					'id'    => $sender_id,
+					'name'  => $sender_name,
+					'email' => $sender_email,
+				) ) );
+			}
+		}
+
+		if ( empty( $sender_email ) || ! is_email( $sender_email ) ) {
+			return new \WP_Error(
+				'bcg_missing_sender',
+				__( 'No verified sender found in your Brevo account. Please check your Brevo API key in Settings > API Keys.', 'brevo-campaign-generator' )
+			);
+		}
+
+		if ( empty( $sender_name ) ) {
+			return new \WP_Error(
+				'bcg_missing_sender_name',
+				__( 'Sender name is not configured. Go to Brevo Campaigns > Settings > Brevo tab and select a verified sender.', 'brevo-campaign-generator' )
+			);
+		}
+
+		// Build extra payload fields.
+		$extra = array();
+		if ( '' !== $preview_text ) {
+			$extra['previewText'] = sanitize_text_field( $preview_text );
+		}
+
+		// Check if a Brevo campaign already exists.
+		$brevo_campaign_id = null !== $translation
+			? $translation['brevo_campaign_id']
+			: ( ! empty( $campaign->brevo_campaign_id ) ? (int) $campaign->brevo_campaign_id : 0 );
+
+		// A/B subject line test — Brevo takes subjectA/subjectB instead of subject.
+		// Translations are never split-tested, as the test's subjects are in the main language.
+		$ab_test = BCG_AB_Test::sanitise( null !== $translation ? null : ( $campaign->ab_test ?? null ) );
+		if ( $ab_test['enabled'] ) {
+			$ab_fields = BCG_AB_Test::build_payload( $ab_test );
+
+			if ( is_wp_error( $ab_fields ) ) {
+				return $ab_fields;
+			}
+
+			$extra = array_merge( $extra, $ab_fields );
+		} elseif ( $brevo_campaign_id > 0 && null === $translation ) {
+			// Turn off a test that was pushed earlier and has since been disabled.
+			$extra['abTesting'] = false;
+		}
+
+		// Build the full campaign payload.
+		$payload = $this->brevo->build_campaign_payload(
+			null !== $translation
+				/* translators: 1: campaign title, 2: language name */
+				? sprintf( __( '%1$s (%2$s)', 'brevo-campaign-generator' ), $campaign->title, BCG_Campaign_Translations::get_label( $language ) )
+				: $campaign->title,
+			$subject,
+			$rendered_html,
+			$list_ids,
+			$extra
+		);
+
+		if ( $exclusion_ids ) {
+			$payload['recipients']['exclusionListIds'] = array_values( array_unique( $exclusion_ids ) );
+		}
+
+		if ( $ab_test['enabled'] ) {
+			unset( $payload['subject'] );
+		}
+
+		if ( $brevo_campaign_id > 0 ) {
+			// Update the existing Brevo campaign.
+			$update_result = $this->brevo->update_campaign( $brevo_campaign_id, $payload );
+
+			if ( is_wp_error( $update_result ) ) {
+				// If the update fails (e.g. campaign was sent/deleted), try creating a new one.
+				$create_result = $this->brevo->create_campaign( $payload );
+
+				if ( is_wp_error( $create_result ) ) {
+					return $create_result;
+				}
+
+				return $create_result;
+			}
+
+			// Return the existing ID in the expected format.
+			return array( 'id' => $brevo_campaign_id );
+		}
+
+		// Create a new Brevo campaign.
+		$create_result = $this->brevo->create_campaign( $payload );
+
+		if ( is_wp_error( $create_result ) ) {
+			return $create_result;
+		}
+
+		return $create_result;
+	}
+
+	/**
+	 * Get the Brevo list a translation is sent to, if it is known yet.
+	 *
+	 * @since  1.6.0
+	 * @param  array $translation Sanitised translation.
+	 * @param  int[] $list_ids    The campaign's own list IDs.
+	 * @return int|\WP_Error The list ID, 0 for an attribute audience that has
+	 *                       not been synced yet, or WP_Error when the
+	 *                       audience is one of the campaign's own lists.
+	 */
+	private function get_audience_list_id( array $translation, array $list_ids ): int|\WP_Error {
+		$audience = $translation['audience'];
+
+		if ( 'attribute' === $audience['type'] ) {
+			return $translation['audience_list_id'];
+		}
+
+		if ( $audience['list_id'] <= 0 ) {
+			return new \WP_Error( 'bcg_missing_audience', __( 'Choose the Brevo list this translation is sent to.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( in_array( $audience['list_id'], $list_ids, true ) ) {
+			return new \WP_Error(
+				'bcg_audience_overlap',
+				__( 'A translation cannot be sent to one of the campaign\'s own mailing lists, as the main campaign would then skip that whole list. Choose a different list or match a contact attribute instead.', 'brevo-campaign-generator' )
+			);
+		}
+
+		return $audience['list_id'];
+	}
+
+	/**
+	 * Bring a translation's audience list up to date.
+	 *
+	 * A list audience is used as it is. An attribute audience is copied
+	 * into a Brevo list of its own — the contacts of the campaign's lists
+	 * whose attribute has the chosen value — created next to the campaign's
+	 * first list the first time and refilled on every push.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @param  string    $language Language code of the translation.
+	 * @return int|\WP_Error The audience list ID, or WP_Error on failure.
+	 */
+	private function sync_audience( \stdClass $campaign, string $language ): int|\WP_Error {
+		$translations = BCG_Campaign_Translations::sanitise( $campaign->translations ?? null );
+		$translation  = $translations[ $language ] ?? null;
+		$list_ids     = array_values( array_filter( array_map( 'absint', explode( ',', (string) $campaign->mailing_list_id ) ) ) );
+
+		if ( null === $translation ) {
+			return new \WP_Error( 'bcg_translation_not_found', __( 'Translation not found.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( empty( $list_ids ) ) {
+			return new \WP_Error(
+				'bcg_missing_list',
+				__( 'A mailing list must be selected before sending to Brevo.', 'brevo-campaign-generator' )
+			);
+		}
+
+		$audience = $translation['audience'];
+
+		if ( 'list' === $audience['type'] ) {
+			return $this->get_audience_list_id( $translation, $list_ids );
+		}
+
+		$emails = $this->brevo->get_contact_emails_by_attribute( $list_ids, $audience['attribute'], $audience['value'] );
+
+		if ( is_wp_error( $emails ) ) {
+			return $emails;
+		}
+
+		if ( empty( $emails ) ) {
+			return new \WP_Error(
+				'bcg_empty_audience',
+				sprintf(
+					/* translators: 1: contact attribute name, 2: attribute value */
+					__( 'No contacts in the campaign\'s mailing lists have %1$s set to "%2$s".', 'brevo-campaign-generator' ),
+					$audience['attribute'],
+					$audience['value']
+				)
+			);
+		}
+
+		$audience_id = $translation['audience_list_id'];
+
+		if ( $audience_id <= 0 || is_wp_error( $this->brevo->get_list( $audience_id ) ) ) {
+			$base_list = $this->brevo->get_list( $list_ids[0] );
+
+			if ( is_wp_error( $base_list ) ) {
+				return $base_list;
+			}
+
+			$audience_id = $this->brevo->create_list(
+				/* translators: 1: campaign title, 2: language name */
+				sprintf( __( '%1$s — %2$s audience', 'brevo-campaign-generator' ), $campaign->title, BCG_Campaign_Translations::get_label( $language ) ),
+				absint( $base_list['folderId'] ?? 0 )
+			);
+
+			if ( is_wp_error( $audience_id ) ) {
+				return $audience_id;
+			}
+
+			BCG_Campaign_Translations::update_entry( (int) $campaign->id, $language, array( 'audience_list_id' => $audience_id ) );
+		}
+
+		$result = $this->brevo->set_list_contacts( $audience_id, $emails );
+
+		return is_wp_error( $result ) ? $result : $audience_id;
+	}
+
+	/**
+	 * List the Brevo campaigns from ensure_brevo_campaigns(), translations
+	 * first.
+	 *
+	 * @since  1.6.0
+	 * @param  array $brevo_campaigns Result of ensure_brevo_campaigns().
+	 * @return int[] Brevo campaign IDs keyed by language code, '' for the main language.
+	 */
+	private function list_brevo_campaigns( array $brevo_campaigns ): array {
+		return $brevo_campaigns['translations'] + array( '' => $brevo_campaigns['main'] );
+	}
+
+	/**
+	 * Name the language an error happened in.
+	 *
+	 * @since  1.6.0
+	 * @param  \WP_Error $error    The error.
+	 * @param  string    $language Language code, or '' for the main language.
+	 * @return \WP_Error
+	 */
+	private function language_error( \WP_Error $error, string $language ): \WP_Error {
+		if ( '' === $language ) {
+			return $error;
+		}
+
+		return new \WP_Error(
+			$error->get_error_code(),
+			sprintf(
+				/* translators: 1: language name, 2: error message */
+				__( '%1$s translation: %2$s', 'brevo-campaign-generator' ),
+				BCG_Campaign_Translations::get_label( $language ),
+				$error->get_error_message()
+			),
+			$error->get_error_data()
+		);
+	}
+
+	/**
+	 * Undo HTML escaping of quotes inside Brevo merge tags.
+	 *
+	 * Section text is escaped when rendered, which turns the fallback in
+	 * {{ contact.FIRSTNAME | default : "there" }} into &quot;there&quot;.
+	 * Brevo does not decode entities inside tags, so the quotes are put back
+	 * before the HTML is sent. Tags inside HTML attributes are left alone, as
+	 * a bare quote there would end the attribute.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML.
+	 * @return string
+	 */
+	public static function unescape_merge_tags( string $html ): string {
+		return (string) preg_replace_callback(
+			'/<[^>]*>|\{\{[^{}]*\}\}/',
+			static function ( array $matches ): string {
+				if ( '<' === $matches[0][0] ) {
+					return $matches[0];
+				}
+
+				return str_replace( array( '&quot;', '&#034;', '&#34;', '&#039;', '&#39;' ), array( '"', '"', '"', "'", "'" ), $matches[0] );
+			},
+			$html
+		);
+	}
+}
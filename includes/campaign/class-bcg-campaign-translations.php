@@ -0,0 +1,877 @@
+<?php
+/**
+ * Campaign translations.
+ *
+ * A campaign is written in one main language and can be translated by AI
+ * into others. Each translation holds the translated copy — subject line,
+ * preview text, flat template copy, product copy and every text field of
+ * the email sections — plus the audience it is sent to: the contacts of
+ * the campaign's lists with a language attribute set to a given value, or
+ * a Brevo list of its own. Publishing creates one Brevo campaign per
+ * language and keeps those contacts out of the main campaign.
+ *
+ * Translations are stored in the campaign's translations column, keyed by
+ * language code. Merge tags, prices, percentages and coupon codes are
+ * swapped for [[n]] markers before the copy is sent to the AI and put back
+ * afterwards, so they come back exactly as they were.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Campaign_Translations
+ *
+ * Builds, sanitises and applies campaign translations.
+ *
+ * @since 1.6.0
+ */
+class BCG_Campaign_Translations {
+
+	/**
+	 * Supported languages: code => English name, as sent to the AI.
+	 *
+	 * @var array<string, string>
+	 */
+	const LANGUAGES = array(
+		'en' => 'English',
+		'pl' => 'Polish',
+		'de' => 'German',
+		'fr' => 'French',
+		'es' => 'Spanish',
+		'it' => 'Italian',
+		'pt' => 'Portuguese',
+		'nl' => 'Dutch',
+		'sv' => 'Swedish',
+		'da' => 'Danish',
+		'no' => 'Norwegian',
+		'cs' => 'Czech',
+		'ro' => 'Romanian',
+	);
+
+	/**
+	 * Most translations one campaign can have.
+	 *
+	 * @var int
+	 */
+	const MAX_LANGUAGES = 5;
+
+	/**
+	 * Brevo contact attribute a new translation's audience is matched on.
+	 *
+	 * @var string
+	 */
+	const DEFAULT_ATTRIBUTE = 'LANGUAGE';
+
+	/**
+	 * Most characters of copy sent to the AI in one request. Longer
+	 * campaigns are translated in several requests, each charged as one
+	 * text task.
+	 *
+	 * @var int
+	 */
+	const BATCH_LENGTH = 2500;
+
+	/**
+	 * Campaign fields that are translated.
+	 *
+	 * @var string[]
+	 */
+	const FIELDS = array( 'subject', 'preview_text', 'main_headline', 'main_description', 'main_image_alt', 'coupon_text' );
+
+	/**
+	 * Flat template settings that hold copy.
+	 *
+	 * @var string[]
+	 */
+	const SETTING_FIELDS = array( 'header_text', 'footer_text' );
+
+	/**
+	 * Section text fields that are never translated.
+	 *
+	 * @var string[]
+	 */
+	const SECTION_SKIP_KEYS = array( 'coupon_code', 'logo_link' );
+
+	/**
+	 * Get the translated language names, in menu order.
+	 *
+	 * @since  1.6.0
+	 * @return array<string, string> Names keyed by language code.
+	 */
+	public static function get_languages(): array {
+		return array(
+			'en' => __( 'English', 'brevo-campaign-generator' ),
+			'pl' => __( 'Polish', 'brevo-campaign-generator' ),
+			'de' => __( 'German', 'brevo-campaign-generator' ),
+			'fr' => __( 'French', 'brevo-campaign-generator' ),
+			'es' => __( 'Spanish', 'brevo-campaign-generator' ),
+			'it' => __( 'Italian', 'brevo-campaign-generator' ),
+			'pt' => __( 'Portuguese', 'brevo-campaign-generator' ),
+			'nl' => __( 'Dutch', 'brevo-campaign-generator' ),
+			'sv' => __( 'Swedish', 'brevo-campaign-generator' ),
+			'da' => __( 'Danish', 'brevo-campaign-generator' ),
+			'no' => __( 'Norwegian', 'brevo-campaign-generator' ),
+			'cs' => __( 'Czech', 'brevo-campaign-generator' ),
+			'ro' => __( 'Romanian', 'brevo-campaign-generator' ),
+		);
+	}
+
+	/**
+	 * Get a language's translated name.
+	 *
+	 * @since  1.6.0
+	 * @param  string $code Language code.
+	 * @return string The name, or the code itself when unknown.
+	 */
+	public static function get_label( string $code ): string {
+		$languages = self::get_languages();
+
+		return $languages[ $code ] ?? $code;
+	}
+
+	/**
+	 * Normalise a language to its code.
+	 *
+	 * The wizard sends codes ("de"), while the Section Builder and older
+	 * campaigns use English names ("German"); both are accepted.
+	 *
+	 * @since  1.6.0
+	 * @param  string $language Language code or English name.
+	 * @return string The language code, or '' when not supported.
+	 */
+	public static function normalise_code( string $language ): string {
+		$language = strtolower( trim( $language ) );
+
+		if ( isset( self::LANGUAGES[ $language ] ) ) {
+			return $language;
+		}
+
+		foreach ( self::LANGUAGES as $code => $name ) {
+			if ( strtolower( $name ) === $language ) {
+				return $code;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Normalise a list of languages to unique codes, leaving out the main
+	 * language and anything past MAX_LANGUAGES.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed  $languages Language codes or names.
+	 * @param  string $main      Main language code.
+	 * @return string[]
+	 */
+	public static function normalise_codes( mixed $languages, string $main = '' ): array {
+		$codes = array();
+
+		foreach ( is_array( $languages ) ? $languages : array() as $language ) {
+			$code = self::normalise_code( (string) $language );
+
+			if ( '' !== $code && $code !== $main && ! in_array( $code, $codes, true ) ) {
+				$codes[] = $code;
+			}
+		}
+
+		return array_slice( $codes, 0, self::MAX_LANGUAGES );
+	}
+
+	/**
+	 * Normalise stored translations.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed $translations JSON string or decoded array.
+	 * @return array Translations keyed by language code.
+	 */
+	public static function sanitise( mixed $translations ): array {
+		if ( is_string( $translations ) ) {
+			$translations = json_decode( $translations, true );
+		}
+
+		if ( ! is_array( $translations ) ) {
+			return array();
+		}
+
+		$clean = array();
+
+		foreach ( $translations as $code => $entry ) {
+			if ( ! is_string( $code ) || ! isset( self::LANGUAGES[ $code ] ) || ! is_array( $entry ) ) {
+				continue;
+			}
+
+			$products = array();
+			foreach ( is_array( $entry['products'] ?? null ) ? $entry['products'] : array() as $row_id => $product ) {
+				if ( absint( $row_id ) > 0 && is_array( $product ) ) {
+					$products[ absint( $row_id ) ] = array(
+						'headline'   => sanitize_text_field( (string) ( $product['headline'] ?? '' ) ),
+						'short_desc' => wp_kses_post( (string) ( $product['short_desc'] ?? '' ) ),
+						'image_alt'  => sanitize_text_field( (string) ( $product['image_alt'] ?? '' ) ),
+					);
+				}
+			}
+
+			$sections = null;
+			if ( is_array( $entry['sections'] ?? null ) ) {
+				$sections = array_values( array_filter(
+					$entry['sections'],
+					static fn( $section ) => is_array( $section ) && isset( $section['type'] ) && is_array( $section['settings'] ?? null )
+				) );
+			}
+
+			$clean[ $code ] = array(
+				'subject'           => sanitize_text_field( (string) ( $entry['subject'] ?? '' ) ),
+				'preview_text'      => sanitize_text_field( (string) ( $entry['preview_text'] ?? '' ) ),
+				'main_headline'     => sanitize_text_field( (string) ( $entry['main_headline'] ?? '' ) ),
+				'main_description'  => wp_kses_post( (string) ( $entry['main_description'] ?? '' ) ),
+				'main_image_alt'    => sanitize_text_field( (string) ( $entry['main_image_alt'] ?? '' ) ),
+				'coupon_text'       => sanitize_text_field( (string) ( $entry['coupon_text'] ?? '' ) ),
+				'header_text'       => sanitize_text_field( (string) ( $entry['header_text'] ?? '' ) ),
+				'footer_text'       => wp_kses_post( (string) ( $entry['footer_text'] ?? '' ) ),
+				'products'          => $products,
+				'sections'          => $sections,
+				'audience'          => self::sanitise_audience( $entry['audience'] ?? null, $code ),
+				'audience_list_id'  => absint( $entry['audience_list_id'] ?? 0 ),
+				'brevo_campaign_id' => absint( $entry['brevo_campaign_id'] ?? 0 ),
+				'source_hash'       => preg_match( '/^[a-f0-9]{32}$/', (string) ( $entry['source_hash'] ?? '' ) ) ? $entry['source_hash'] : '',
+				'translated_at'     => absint( $entry['translated_at'] ?? 0 ),
+			);
+
+			if ( count( $clean ) >= self::MAX_LANGUAGES ) {
+				break;
+			}
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Normalise a translation's audience.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed  $audience Raw audience.
+	 * @param  string $code     Language code, the default attribute value.
+	 * @return array {
+	 *     @type string $type      'attribute' or 'list'.
+	 *     @type string $attribute Contact attribute name, for 'attribute'.
+	 *     @type string $value     Attribute value, for 'attribute'.
+	 *     @type int    $list_id   Brevo list ID, for 'list'.
+	 * }
+	 */
+	public static function sanitise_audience( mixed $audience, string $code ): array {
+		$audience  = is_array( $audience ) ? $audience : array();
+		$attribute = strtoupper( preg_replace( '/[^A-Za-z0-9_]/', '', (string) ( $audience['attribute'] ?? '' ) ) );
+		$value     = str_replace( '"', '', sanitize_text_field( (string) ( $audience['value'] ?? '' ) ) );
+
+		return array(
+			'type'      => 'list' === ( $audience['type'] ?? '' ) ? 'list' : 'attribute',
+			'attribute' => '' !== $attribute ? $attribute : self::DEFAULT_ATTRIBUTE,
+			'value'     => '' !== $value ? $value : $code,
+			'list_id'   => absint( $audience['list_id'] ?? 0 ),
+		);
+	}
+
+	/**
+	 * Apply the editor's changes to stored translations.
+	 *
+	 * Only the subject line, preview text and audience can be edited.
+	 * Languages missing from the posted data are removed; new languages are
+	 * only added by translating.
+	 *
+	 * @since  1.6.0
+	 * @param  array $stored Sanitised stored translations.
+	 * @param  mixed $posted Posted translations keyed by language code.
+	 * @return array The updated translations.
+	 */
+	public static function merge_edits( array $stored, mixed $posted ): array {
+		$posted = is_array( $posted ) ? $posted : array();
+		$merged = array();
+
+		foreach ( $stored as $code => $entry ) {
+			if ( ! isset( $posted[ $code ] ) || ! is_array( $posted[ $code ] ) ) {
+				continue;
+			}
+
+			$edit = $posted[ $code ];
+
+			foreach ( array( 'subject', 'preview_text' ) as $field ) {
+				if ( isset( $edit[ $field ] ) ) {
+					$entry[ $field ] = sanitize_text_field( (string) $edit[ $field ] );
+				}
+			}
+
+			if ( isset( $edit['audience'] ) ) {
+				$audience = self::sanitise_audience( $edit['audience'], $code );
+
+				// A synced attribute list no longer matches a changed audience.
+				if ( $audience !== $entry['audience'] ) {
+					$entry['audience_list_id'] = 'attribute' === $audience['type'] && 'attribute' === $entry['audience']['type'] ? $entry['audience_list_id'] : 0;
+				}
+
+				$entry['audience'] = $audience;
+			}
+
+			$merged[ $code ] = $entry;
+		}
+
+		return $merged;
+	}
+
+	/**
+	 * Get the copy of a campaign that a translation covers.
+	 *
+	 * Keys are campaign fields, template settings ("setting:footer_text"),
+	 * product copy ("product:12:headline") and section text
+	 * ("section:3:heading", or "section:3:footer_links:0" for a link label).
+	 * Empty texts are left out.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return array<string, string>
+	 */
+	public static function get_source_texts( \stdClass $campaign ): array {
+		$texts = array(
+			'subject'      => (string) $campaign->subject,
+			'preview_text' => (string) $campaign->preview_text,
+		);
+
+		if ( 'sections' === ( $campaign->builder_type ?? 'flat' ) ) {
+			$sections = json_decode( (string) ( $campaign->sections_json ?? '' ), true );
+
+			foreach ( is_array( $sections ) ? $sections : array() as $index => $section ) {
+				foreach ( self::get_section_texts( is_array( $section ) ? $section : array() ) as $key => $text ) {
+					$texts[ 'section:' . $index . ':' . $key ] = $text;
+				}
+			}
+		} else {
+			$texts['main_headline']    = (string) $campaign->main_headline;
+			$texts['main_description'] = (string) $campaign->main_description;
+			$texts['main_image_alt']   = (string) ( $campaign->main_image_alt ?? '' );
+			$texts['coupon_text']      = html_entity_decode( wp_strip_all_tags( BCG_Template::get_coupon_text( (array) $campaign ) ), ENT_QUOTES, 'UTF-8' );
+
+			$settings = json_decode( (string) ( $campaign->template_settings ?? '' ), true );
+			foreach ( self::SETTING_FIELDS as $setting ) {
+				$texts[ 'setting:' . $setting ] = is_array( $settings ) ? (string) ( $settings[ $setting ] ?? '' ) : '';
+			}
+
+			foreach ( $campaign->products ?? array() as $product ) {
+				$texts[ 'product:' . $product->id . ':headline' ]   = (string) ( $product->custom_headline ?: $product->ai_headline );
+				$texts[ 'product:' . $product->id . ':short_desc' ] = (string) ( $product->custom_short_desc ?: $product->ai_short_desc );
+				$texts[ 'product:' . $product->id . ':image_alt' ]  = (string) ( $product->image_alt ?? '' );
+			}
+		}
+
+		return array_filter( array_map( 'trim', $texts ), 'strlen' );
+	}
+
+	/**
+	 * Get the translatable text of one section, keyed by setting.
+	 *
+	 * @since  1.6.0
+	 * @param  array $section Section with 'type' and 'settings'.
+	 * @return array<string, string>
+	 */
+	private static function get_section_texts( array $section ): array {
+		$type     = BCG_Section_Registry::get( (string) ( $section['type'] ?? '' ) );
+		$settings = is_array( $section['settings'] ?? null ) ? $section['settings'] : array();
+		$texts    = array();
+
+		if ( ! $type ) {
+			return $texts;
+		}
+
+		foreach ( $type['fields'] as $field ) {
+			$key = $field['key'];
+
+			if ( ! isset( $settings[ $key ] ) || in_array( $key, self::SECTION_SKIP_KEYS, true ) || str_ends_with( $key, '_url' ) ) {
+				continue;
+			}
+
+			if ( in_array( $field['type'], array( 'text', 'textarea', 'richtext' ), true ) && is_string( $settings[ $key ] ) ) {
+				$texts[ $key ] = $settings[ $key ];
+			} elseif ( 'links' === $field['type'] ) {
+				foreach ( self::decode_links( $settings[ $key ] ) as $n => $link ) {
+					$texts[ $key . ':' . $n ] = (string) ( $link['label'] ?? '' );
+				}
+			}
+		}
+
+		return $texts;
+	}
+
+	/**
+	 * Decode a links setting, stored as a JSON string or an array.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed $links Links setting.
+	 * @return array List of { label, url }.
+	 */
+	private static function decode_links( mixed $links ): array {
+		if ( is_string( $links ) ) {
+			$links = json_decode( $links, true );
+		}
+
+		return is_array( $links ) ? array_values( array_filter( $links, 'is_array' ) ) : array();
+	}
+
+	/**
+	 * Fingerprint a campaign's source copy, to tell when a translation is
+	 * out of date.
+	 *
+	 * @since  1.6.0
+	 * @param  array $texts Source texts from get_source_texts().
+	 * @return string
+	 */
+	public static function source_hash( array $texts ): string {
+		return md5( (string) wp_json_encode( $texts ) );
+	}
+
+	/**
+	 * Translate a campaign into one language and store the translation.
+	 *
+	 * The copy is sent in batches of up to BATCH_LENGTH characters, each
+	 * charged as one text task; all batches must be affordable before the
+	 * first is sent, and a failed batch refunds the ones before it. A text
+	 * whose translation lost one of its markers is kept in the main
+	 * language and reported as a warning. Re-translating keeps the
+	 * language's audience and Brevo campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  int                 $campaign_id Campaign ID.
+	 * @param  string              $code        Language code to translate into.
+	 * @param  BCG_AI_Manager|null $ai_manager  AI manager. A new one is created when omitted.
+	 * @return array|\WP_Error {
+	 *     @type array    $translation  The stored translation.
+	 *     @type string[] $warnings     Texts kept in the main language.
+	 *     @type float    $credits_used Credits charged.
+	 * }
+	 *     Or WP_Error on failure.
+	 */
+	public static function translate( int $campaign_id, string $code, ?BCG_AI_Manager $ai_manager = null ): array|\WP_Error {
+		$campaign_handler = new BCG_Campaign();
+		$campaign         = $campaign_handler->get( $campaign_id );
+
+		if ( is_wp_error( $campaign ) ) {
+			return $campaign;
+		}
+
+		$translations = self::sanitise( $campaign->translations ?? null );
+
+		if ( ! isset( self::LANGUAGES[ $code ] ) ) {
+			return new \WP_Error( 'bcg_invalid_language', __( 'Please choose a supported language.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( $code === ( $campaign->language ?? '' ) ) {
+			return new \WP_Error( 'bcg_main_language', __( 'The campaign is already written in this language.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( ! isset( $translations[ $code ] ) && count( $translations ) >= self::MAX_LANGUAGES ) {
+			return new \WP_Error(
+				'bcg_too_many_languages',
+				/* translators: %d: maximum number of translations */
+				sprintf( __( 'A campaign can have at most %d translations.', 'brevo-campaign-generator' ), self::MAX_LANGUAGES )
+			);
+		}
+
+		$texts = self::get_source_texts( $campaign );
+
+		// Swap merge tags, prices and coupon codes for markers.
+		$keep      = self::get_protected_terms( $campaign );
+		$protected = array();
+		$tokens    = array();
+		foreach ( $texts as $key => $text ) {
+			list( $protected[ $key ], $tokens[ $key ] ) = self::protect( $text, $keep );
+		}
+
+		// Batch the texts; a single text longer than a batch goes alone.
+		$batches = array();
+		$batch   = array();
+		$length  = 0;
+		foreach ( $protected as $key => $text ) {
+			if ( $batch && $length + mb_strlen( $text ) > self::BATCH_LENGTH ) {
+				$batches[] = $batch;
+				$batch     = array();
+				$length    = 0;
+			}
+
+			$batch[ $key ] = $text;
+			$length       += mb_strlen( $text );
+		}
+		if ( $batch ) {
+			$batches[] = $batch;
+		}
+
+		$ai_manager = $ai_manager ?? new BCG_AI_Manager();
+		$required   = $ai_manager->get_credit_cost( 'openai', 'text' ) * count( $batches );
+
+		if ( ! $ai_manager->check_credits( $required ) ) {
+			return new \WP_Error(
+				'bcg_insufficient_credits',
+				sprintf(
+					/* translators: %s: credits required */
+					__( 'Insufficient credits. This operation requires %s credits.', 'brevo-campaign-generator' ),
+					number_format( $required, 0 )
+				)
+			);
+		}
+
+		$translated   = array();
+		$credits_used = 0;
+		foreach ( $batches as $batch ) {
+			$result = $ai_manager->translate_copy( $batch, self::LANGUAGES[ $code ] );
+
+			if ( is_wp_error( $result ) ) {
+				// Nothing is stored, so refund the batches already translated.
+				if ( $credits_used > 0 ) {
+					$ai_manager->refund_credits( $credits_used, __( 'Refund for failed translation', 'brevo-campaign-generator' ) );
+				}
+
+				return $result;
+			}
+
+			$translated   += $result['content'];
+			$credits_used += $result['credits_used'];
+		}
+
+		// Put the markers back; keep the original of anything that lost one.
+		$kept = 0;
+		foreach ( $texts as $key => $text ) {
+			$restored = isset( $translated[ $key ] ) ? self::restore( $translated[ $key ], $tokens[ $key ] ) : null;
+
+			if ( null === $restored ) {
+				++$kept;
+				$restored = $text;
+			}
+
+			$translated[ $key ] = $restored;
+		}
+
+		$entry = array_merge(
+			$translations[ $code ] ?? array( 'audience' => self::sanitise_audience( null, $code ) ),
+			self::build( $campaign, $translated ),
+			array(
+				'source_hash'   => self::source_hash( $texts ),
+				'translated_at' => time(),
+			)
+		);
+
+		$translations[ $code ] = $entry;
+		$campaign_handler->update( $campaign_id, array( 'translations' => $translations ) );
+
+		$warnings = array();
+		if ( $kept > 0 ) {
+			$warnings[] = sprintf(
+				/* translators: 1: number of texts, 2: language name */
+				_n(
+					'%1$d text was left untranslated in %2$s because its translation dropped a merge tag, price or coupon code.',
+					'%1$d texts were left untranslated in %2$s because their translation dropped a merge tag, price or coupon code.',
+					$kept,
+					'brevo-campaign-generator'
+				),
+				$kept,
+				self::get_label( $code )
+			);
+		}
+
+		return array(
+			'translation'  => self::sanitise( array( $code => $entry ) )[ $code ],
+			'warnings'     => $warnings,
+			'credits_used' => $credits_used,
+		);
+	}
+
+	/**
+	 * Turn translated texts back into a translation entry.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign   Campaign from BCG_Campaign::get().
+	 * @param  array     $translated Translated texts keyed as in get_source_texts().
+	 * @return array Translation copy fields.
+	 */
+	private static function build( \stdClass $campaign, array $translated ): array {
+		$entry = array(
+			'products' => array(),
+			'sections' => null,
+		);
+
+		foreach ( self::FIELDS as $field ) {
+			$entry[ $field ] = $translated[ $field ] ?? '';
+		}
+
+		foreach ( self::SETTING_FIELDS as $setting ) {
+			$entry[ $setting ] = $translated[ 'setting:' . $setting ] ?? '';
+		}
+
+		foreach ( $campaign->products ?? array() as $product ) {
+			$prefix = 'product:' . $product->id . ':';
+
+			$entry['products'][ (int) $product->id ] = array(
+				'headline'   => $translated[ $prefix . 'headline' ] ?? '',
+				'short_desc' => $translated[ $prefix . 'short_desc' ] ?? '',
+				'image_alt'  => $translated[ $prefix . 'image_alt' ] ?? '',
+			);
+		}
+
+		if ( 'sections' === ( $campaign->builder_type ?? 'flat' ) ) {
+			$sections = json_decode( (string) ( $campaign->sections_json ?? '' ), true );
+			$sections = is_array( $sections ) ? $sections : array();
+
+			foreach ( $sections as $index => &$section ) {
+				if ( ! is_array( $section ) || ! is_array( $section['settings'] ?? null ) ) {
+					continue;
+				}
+
+				foreach ( $section['settings'] as $key => &$value ) {
+					$prefix = 'section:' . $index . ':' . $key;
+
+					if ( isset( $translated[ $prefix ] ) ) {
+						$value = $translated[ $prefix ];
+						continue;
+					}
+
+					$links = self::decode_links( $value );
+					if ( ! $links || ! preg_grep( '/^' . preg_quote( $prefix, '/' ) . ':\d+$/', array_keys( $translated ) ) ) {
+						continue;
+					}
+
+					foreach ( $links as $n => &$link ) {
+						$link['label'] = $translated[ $prefix . ':' . $n ] ?? ( $link['label'] ?? '' );
+					}
+					unset( $link );
+
+					$value = is_string( $value ) ? wp_json_encode( $links ) : $links;
+				}
+				unset( $value );
+			}
+			unset( $section );
+
+			$entry['sections'] = $sections;
+		}
+
+		return $entry;
+	}
+
+	/**
+	 * Get the coupon codes a translation must not change.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return string[]
+	 */
+	private static function get_protected_terms( \stdClass $campaign ): array {
+		$terms    = array( (string) $campaign->coupon_code );
+		$sections = json_decode( (string) ( $campaign->sections_json ?? '' ), true );
+
+		foreach ( is_array( $sections ) ? $sections : array() as $section ) {
+			$terms[] = (string) ( $section['settings']['coupon_code'] ?? '' );
+		}
+
+		return array_values( array_unique( array_filter( array_map( 'trim', $terms ), 'strlen' ) ) );
+	}
+
+	/**
+	 * Replace merge tags, coupon codes, prices and percentages with
+	 * numbered markers.
+	 *
+	 * @since  1.6.0
+	 * @param  string   $text Text to protect.
+	 * @param  string[] $keep Literal terms to protect, e.g. coupon codes.
+	 * @return array { 0: string protected text, 1: string[] originals keyed by marker }
+	 */
+	private static function protect( string $text, array $keep ): array {
+		$patterns = array( '\{\{.*?\}\}', '\{%.*?%\}' );
+
+		foreach ( $keep as $term ) {
+			$patterns[] = preg_quote( $term, '/' );
+		}
+
+		$symbols = array( '£', '\$', '€', '¥' );
+		if ( function_exists( 'get_woocommerce_currency_symbol' ) ) {
+			$symbols[] = preg_quote( html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' ), '/' );
+		}
+		$symbols    = implode( '|', array_unique( $symbols ) );
+		$patterns[] = '(?:' . $symbols . ')\s?\d[\d.,]*\d|(?:' . $symbols . ')\s?\d|\d[\d.,]*\s?(?:' . $symbols . ')';
+		$patterns[] = '\d+(?:[.,]\d+)?\s?%';
+
+		$tokens = array();
+		$text   = (string) preg_replace_callback(
+			'/' . implode( '|', $patterns ) . '/su',
+			static function ( array $matches ) use ( &$tokens ): string {
+				$tokens[] = $matches[0];
+				return '[[' . count( $tokens ) . ']]';
+			},
+			$text
+		);
+
+		return array( $text, $tokens );
+	}
+
+	/**
+	 * Put protected terms back in place of their markers.
+	 *
+	 * @since  1.6.0
+	 * @param  string   $text   Translated text.
+	 * @param  string[] $tokens Originals from protect().
+	 * @return string|null The restored text, or null when a marker is missing.
+	 */
+	private static function restore( string $text, array $tokens ): ?string {
+		foreach ( $tokens as $index => $token ) {
+			$marker = '[[' . ( $index + 1 ) . ']]';
+
+			if ( false === strpos( $text, $marker ) ) {
+				return null;
+			}
+
+			$text = str_replace( $marker, $token, $text );
+		}
+
+		return $text;
+	}
+
+	/**
+	 * Apply a translation to campaign and product rows before rendering.
+	 *
+	 * @since  1.6.0
+	 * @param  array $campaign    Campaign row (ARRAY_A).
+	 * @param  array $products    Campaign product rows (ARRAY_A).
+	 * @param  array $translation Sanitised translation.
+	 * @return array { 0: array campaign row, 1: array product rows }
+	 */
+	public static function apply( array $campaign, array $products, array $translation ): array {
+		foreach ( self::FIELDS as $field ) {
+			if ( '' !== $translation[ $field ] ) {
+				$campaign[ $field ] = $translation[ $field ];
+			}
+		}
+
+		$settings = json_decode( (string) ( $campaign['template_settings'] ?? '' ), true );
+		if ( is_array( $settings ) ) {
+			foreach ( self::SETTING_FIELDS as $setting ) {
+				if ( '' !== $translation[ $setting ] ) {
+					$settings[ $setting ] = $translation[ $setting ];
+				}
+			}
+			$campaign['template_settings'] = wp_json_encode( $settings );
+		}
+
+		foreach ( $products as &$product ) {
+			$copy = $translation['products'][ (int) $product['id'] ] ?? array();
+
+			if ( ! empty( $copy['headline'] ) ) {
+				$product['custom_headline'] = $copy['headline'];
+			}
+			if ( ! empty( $copy['short_desc'] ) ) {
+				$product['custom_short_desc'] = $copy['short_desc'];
+			}
+			if ( ! empty( $copy['image_alt'] ) ) {
+				$product['image_alt'] = $copy['image_alt'];
+			}
+		}
+		unset( $product );
+
+		if ( 'sections' === ( $campaign['builder_type'] ?? 'flat' ) && is_array( $translation['sections'] ) ) {
+			$global_settings = json_decode( get_option( 'bcg_default_template_settings', '{}' ), true );
+
+			$campaign['sections_json'] = wp_json_encode( $translation['sections'] );
+			$campaign['template_html'] = BCG_Section_Renderer::render_sections( $translation['sections'], is_array( $global_settings ) ? $global_settings : array() );
+		}
+
+		return array( $campaign, $products );
+	}
+
+	/**
+	 * Store changes to one translation, e.g. the Brevo campaign it was
+	 * pushed to.
+	 *
+	 * @since  1.6.0
+	 * @param  int    $campaign_id Campaign ID.
+	 * @param  string $code        Language code.
+	 * @param  array  $changes     Translation fields to change.
+	 * @return bool Whether the translation exists and was updated.
+	 */
+	public static function update_entry( int $campaign_id, string $code, array $changes ): bool {
+		$campaign_handler = new BCG_Campaign();
+		$campaign         = $campaign_handler->get( $campaign_id );
+
+		if ( is_wp_error( $campaign ) ) {
+			return false;
+		}
+
+		$translations = self::sanitise( $campaign->translations ?? null );
+
+		if ( ! isset( $translations[ $code ] ) ) {
+			return false;
+		}
+
+		$translations[ $code ] = array_merge( $translations[ $code ], $changes );
+
+		return true === $campaign_handler->update( $campaign_id, array( 'translations' => $translations ) );
+	}
+
+	/**
+	 * Copy translations to a duplicated campaign.
+	 *
+	 * Brevo campaigns and synced audience lists belong to the original, and
+	 * product copy moves to the duplicate's product rows.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed $translations Stored translations of the original.
+	 * @param  array $row_map      Original product row ID => duplicate row ID.
+	 * @return array
+	 */
+	public static function copy( mixed $translations, array $row_map ): array {
+		$translations = self::sanitise( $translations );
+
+		foreach ( $translations as &$entry ) {
+			$products = array();
+			foreach ( $entry['products'] as $row_id => $copy ) {
+				if ( isset( $row_map[ $row_id ] ) ) {
+					$products[ $row_map[ $row_id ] ] = $copy;
+				}
+			}
+
+			$entry['products']          = $products;
+			$entry['brevo_campaign_id'] = 0;
+			$entry['audience_list_id']  = 0;
+		}
+		unset( $entry );
+
+		return $translations;
+	}
+
+	/**
+	 * Summarise a campaign's translations for the editor.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $campaign Campaign from BCG_Campaign::get().
+	 * @return array List of translations with 'code', 'label', 'subject',
+	 *               'preview_text', 'audience', 'brevo_campaign_id',
+	 *               'translated_at' and 'stale', in stored order.
+	 */
+	public static function summarise( \stdClass $campaign ): array {
+		$hash    = self::source_hash( self::get_source_texts( $campaign ) );
+		$summary = array();
+
+		foreach ( self::sanitise( $campaign->translations ?? null ) as $code => $entry ) {
+			$summary[] = array(
+				'code'              => $code,
+				'label'             => self::get_label( $code ),
+				'subject'           => $entry['subject'],
+				'preview_text'      => $entry['preview_text'],
+				'audience'          => $entry['audience'],
+				'brevo_campaign_id' => $entry['brevo_campaign_id'],
+				'translated_at'     => $entry['translated_at'],
+				'stale'             => $entry['source_hash'] !== $hash,
+			);
+		}
+
+		return $summary;
+	}
+}
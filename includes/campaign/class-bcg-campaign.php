@@ -65,6 +65,7 @@ class BCG_Campaign {
 		'subject',
 		'preview_text',
 		'main_image_url',
+		'main_image_alt',
 		'main_headline',
 		'main_description',
 		'coupon_code',
@@ -78,6 +79,11 @@ class BCG_Campaign {
 		'builder_type',
 		'sections_json',
 		'section_template_id',
+		'product_rules',
+		'ab_test',
+		'copy_history',
+		'language',
+		'translations',
 	);
 
 	/**
@@ -92,6 +98,7 @@ class BCG_Campaign {
 		'custom_headline',
 		'custom_short_desc',
 		'generated_image_url',
+		'image_alt',
 		'use_product_image',
 		'show_buy_button',
 	);
@@ -115,6 +122,7 @@ class BCG_Campaign {
 	 *     @type string $main_headline   Campaign headline.
 	 *     @type string $main_description Campaign description.
 	 *     @type string $main_image_url  URL to the main campaign image.
+	 *     @type string $main_image_alt  Alt text of the main image.
 	 *     @type string $coupon_code     Coupon code.
 	 *     @type float  $coupon_discount Coupon discount value.
 	 *     @type string $coupon_type     'percent' or 'fixed_cart'.
@@ -152,6 +160,7 @@ class BCG_Campaign {
 			'subject',
 			'preview_text',
 			'main_image_url',
+			'main_image_alt',
 			'main_headline',
 			'coupon_code',
 			'mailing_list_id',
@@ -205,6 +214,25 @@ class BCG_Campaign {
 			$format[]                           = '%d';
 		}
 
+		// Product selection rules — JSON written by the generator.
+		if ( isset( $data['product_rules'] ) ) {
+			$insert_data['product_rules'] = is_array( $data['product_rules'] ) ? wp_json_encode( $data['product_rules'] ) : (string) $data['product_rules'];
+			$format[]                     = '%s';
+		}
+
+		// A/B subject line test settings.
+		if ( isset( $data['ab_test'] ) ) {
+			$insert_data['ab_test'] = wp_json_encode( BCG_AB_Test::sanitise( $data['ab_test'] ) );
+			$format[]               = '%s';
+		}
+
+		// Language code the copy is written in.
+		$language = BCG_Campaign_Translations::normalise_code( (string) ( $data['language'] ?? '' ) );
+		if ( '' !== $language ) {
+			$insert_data['language'] = $language;
+			$format[]                = '%s';
+		}
+
 		// Coupon discount (decimal).
 		if ( isset( $data['coupon_discount'] ) ) {
 			$insert_data['coupon_discount'] = (float) $data['coupon_discount'];
@@ -614,6 +642,7 @@ class BCG_Campaign {
 	 *     @type string $custom_headline     Custom user-edited headline.
 	 *     @type string $custom_short_desc   Custom user-edited description.
 	 *     @type string $generated_image_url URL to the AI-generated image.
+	 *     @type string $image_alt           Alt text of the product image.
 	 *     @type int    $use_product_image   1 to use WC product image, 0 for AI image.
 	 *     @type int    $show_buy_button     1 to show buy button, 0 to hide.
 	 *     @type int    $sort_order          Position in the product list.
@@ -670,11 +699,12 @@ class BCG_Campaign {
 			'custom_headline'   => isset( $ai_data['custom_headline'] ) ? sanitize_text_field( $ai_data['custom_headline'] ) : null,
 			'custom_short_desc' => isset( $ai_data['custom_short_desc'] ) ? wp_kses_post( $ai_data['custom_short_desc'] ) : null,
 			'generated_image_url' => isset( $ai_data['generated_image_url'] ) ? esc_url_raw( $ai_data['generated_image_url'] ) : null,
+			'image_alt'         => isset( $ai_data['image_alt'] ) ? sanitize_text_field( $ai_data['image_alt'] ) : null,
 			'use_product_image' => isset( $ai_data['use_product_image'] ) ? absint( $ai_data['use_product_image'] ) : 1,
 			'show_buy_button'   => isset( $ai_data['show_buy_button'] ) ? absint( $ai_data['show_buy_button'] ) : 1,
 		);
 
-		$format = array( '%d', '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%d', '%d' );
+		$format = array( '%d', '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d' );
 
 		$result = $wpdb->insert( $products_table, $insert_data, $format );
 
@@ -1133,6 +1163,40 @@ class BCG_Campaign {
 		return $counts;
 	}
 
+	/**
+	 * Get the IDs of products featured in the most recent campaigns.
+	 *
+	 * Only campaigns that have products count towards the limit, so a
+	 * draft still being generated does not push an older campaign out.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param int $limit Number of recent campaigns to look at.
+	 * @return int[] Distinct product IDs.
+	 */
+	public function get_recent_product_ids( int $limit ): array {
+		global $wpdb;
+
+		if ( $limit < 1 ) {
+			return array();
+		}
+
+		$table = $wpdb->prefix . self::PRODUCTS_TABLE;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT DISTINCT p.product_id FROM {$table} p
+				INNER JOIN (
+					SELECT DISTINCT campaign_id FROM {$table} ORDER BY campaign_id DESC LIMIT %d
+				) recent ON recent.campaign_id = p.campaign_id",
+				$limit
+			)
+		);
+
+		return array_map( 'absint', (array) $ids );
+	}
+
 	// ─── Private Helpers ──────────────────────────────────────────────
 
 	/**
@@ -1173,6 +1237,7 @@ class BCG_Campaign {
 			case 'subject':
 			case 'preview_text':
 			case 'main_headline':
+			case 'main_image_alt':
 			case 'coupon_code':
 			case 'mailing_list_id':
 			case 'status':
@@ -1249,6 +1314,41 @@ class BCG_Campaign {
 					'format' => '%d',
 				);
 
+			case 'product_rules':
+				return array(
+					'value'  => is_array( $value ) ? wp_json_encode( $value ) : ( null !== $value ? (string) $value : null ),
+					'format' => '%s',
+				);
+
+			case 'ab_test':
+				// A/B subject line test settings — normalised before storage.
+				return array(
+					'value'  => null !== $value ? wp_json_encode( BCG_AB_Test::sanitise( $value ) ) : null,
+					'format' => '%s',
+				);
+
+			case 'copy_history':
+				// AI copy alternatives per field — normalised before storage.
+				return array(
+					'value'  => null !== $value ? wp_json_encode( BCG_Copy_History::sanitise( $value ) ) : null,
+					'format' => '%s',
+				);
+
+			case 'language':
+				// Language code the copy is written in; NULL when unknown.
+				$value = null !== $value ? BCG_Campaign_Translations::normalise_code( (string) $value ) : '';
+				return array(
+					'value'  => '' !== $value ? $value : null,
+					'format' => '%s',
+				);
+
+			case 'translations':
+				// AI translations keyed by language code — normalised before storage.
+				return array(
+					'value'  => null !== $value ? wp_json_encode( BCG_Campaign_Translations::sanitise( $value ) ) : null,
+					'format' => '%s',
+				);
+
 			default:
 				return array(
 					'value'  => sanitize_text_field( (string) $value ),
@@ -1270,6 +1370,7 @@ class BCG_Campaign {
 		switch ( $key ) {
 			case 'ai_headline':
 			case 'custom_headline':
+			case 'image_alt':
 				return array(
 					'value'  => sanitize_text_field( (string) $value ),
 					'format' => '%s',
@@ -1323,10 +1424,16 @@ class BCG_Campaign {
 			'scheduled_at',
 			'sent_at',
 			'main_image_url',
+			'main_image_alt',
 			'coupon_code',
 			'coupon_discount',
 			'sections_json',
 			'section_template_id',
+			'product_rules',
+			'ab_test',
+			'copy_history',
+			'language',
+			'translations',
 		);
 
 		return in_array( $key, $nullable_fields, true );
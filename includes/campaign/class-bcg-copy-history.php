@@ -0,0 +1,185 @@
+<?php
+/**
+ * AI copy alternatives and their history.
+ *
+ * The campaign editor's Regenerate buttons for copy fields ask the AI for
+ * several alternatives at once and let the user pick one next to the
+ * current text. Every alternative generated, and the text it was generated
+ * to replace, is kept per field in the campaign's copy_history column, so
+ * an earlier version can be brought back later.
+ *
+ * History is keyed by field name; product fields add the campaign product
+ * row ID, e.g. "product_headline:12".
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Copy_History
+ *
+ * Sanitises and updates stored copy history.
+ *
+ * @since 1.6.0
+ */
+class BCG_Copy_History {
+
+	/**
+	 * Fields that can be regenerated as several alternatives.
+	 *
+	 * @var string[]
+	 */
+	const FIELDS = array(
+		'subject_line',
+		'preview_text',
+		'main_headline',
+		'main_description',
+		'product_headline',
+		'product_short_desc',
+	);
+
+	/**
+	 * Fields that belong to a campaign product row.
+	 *
+	 * @var string[]
+	 */
+	const PRODUCT_FIELDS = array( 'product_headline', 'product_short_desc' );
+
+	/**
+	 * Most alternatives one request can ask for.
+	 *
+	 * @var int
+	 */
+	const MAX_VARIANTS = 5;
+
+	/**
+	 * Alternatives asked for when the setting is missing.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_VARIANTS = 3;
+
+	/**
+	 * Entries kept per field, newest first.
+	 *
+	 * @var int
+	 */
+	const LIMIT = 10;
+
+	/**
+	 * Get the history key for a field.
+	 *
+	 * @since  1.6.0
+	 * @param  string $field          One of FIELDS.
+	 * @param  int    $product_row_id Campaign product row ID, for product fields.
+	 * @return string
+	 */
+	public static function key( string $field, int $product_row_id = 0 ): string {
+		return in_array( $field, self::PRODUCT_FIELDS, true ) ? $field . ':' . $product_row_id : $field;
+	}
+
+	/**
+	 * Number of alternatives a Regenerate button asks for by default.
+	 *
+	 * @since  1.6.0
+	 * @return int
+	 */
+	public static function default_count(): int {
+		$count = (int) get_option( 'bcg_default_copy_variants', self::DEFAULT_VARIANTS );
+
+		return max( 1, min( self::MAX_VARIANTS, $count ) );
+	}
+
+	/**
+	 * Normalise stored copy history.
+	 *
+	 * @since  1.6.0
+	 * @param  mixed $history JSON string or decoded array.
+	 * @return array Lists of { text, time } keyed by history key, newest first.
+	 */
+	public static function sanitise( mixed $history ): array {
+		if ( is_string( $history ) ) {
+			$history = json_decode( $history, true );
+		}
+
+		if ( ! is_array( $history ) ) {
+			return array();
+		}
+
+		$pattern = '/^(' . implode( '|', self::FIELDS ) . ')(:\d+)?$/';
+		$clean   = array();
+
+		foreach ( $history as $key => $entries ) {
+			if ( ! is_string( $key ) || ! preg_match( $pattern, $key ) || ! is_array( $entries ) ) {
+				continue;
+			}
+
+			$list = array();
+			foreach ( $entries as $entry ) {
+				$text = is_array( $entry ) ? trim( sanitize_textarea_field( (string) ( $entry['text'] ?? '' ) ) ) : '';
+
+				if ( '' === $text || in_array( $text, wp_list_pluck( $list, 'text' ), true ) ) {
+					continue;
+				}
+
+				$list[] = array(
+					'text' => $text,
+					'time' => absint( $entry['time'] ?? 0 ),
+				);
+
+				if ( count( $list ) >= self::LIMIT ) {
+					break;
+				}
+			}
+
+			if ( $list ) {
+				$clean[ $key ] = $list;
+			}
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Add texts to the top of a field's history. Texts already in it move
+	 * to the top; the oldest entries drop off past the limit.
+	 *
+	 * @since  1.6.0
+	 * @param  array    $history Sanitised history.
+	 * @param  string   $key     History key.
+	 * @param  string[] $texts   Texts to add, newest first.
+	 * @return array The updated history.
+	 */
+	public static function add( array $history, string $key, array $texts ): array {
+		$now     = time();
+		$entries = array();
+
+		foreach ( $texts as $text ) {
+			$entries[] = array(
+				'text' => (string) $text,
+				'time' => $now,
+			);
+		}
+
+		$history[ $key ] = array_merge( $entries, $history[ $key ] ?? array() );
+
+		return self::sanitise( $history );
+	}
+
+	/**
+	 * Get a field's history.
+	 *
+	 * @since  1.6.0
+	 * @param  array  $history Sanitised history.
+	 * @param  string $key     History key.
+	 * @return array List of { text, time }, newest first.
+	 */
+	public static function get( array $history, string $key ): array {
+		return $history[ $key ] ?? array();
+	}
+}
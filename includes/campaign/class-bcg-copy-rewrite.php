@@ -0,0 +1,107 @@
+<?php
+/**
+ * Directed AI rewrites of email copy.
+ *
+ * The rewrite menu beside the campaign editor's copy fields and the Section
+ * Builder's AI-capable text fields sends the field's current text with a
+ * preset (shorter, more formal, add urgency…) and/or an instruction typed
+ * by the user, instead of generating the copy again from scratch.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Copy_Rewrite
+ *
+ * Rewrite presets and the instructions sent to the AI for them.
+ *
+ * @since 1.6.0
+ */
+class BCG_Copy_Rewrite {
+
+	/**
+	 * Instructions for each preset, as sent to the AI.
+	 *
+	 * @var array<string, string>
+	 */
+	const PRESETS = array(
+		'shorten' => 'Make it noticeably shorter, keeping the key message.',
+		'expand'  => 'Make it longer, adding a little more detail and persuasion.',
+		'casual'  => 'Make the tone more casual, warm and conversational.',
+		'formal'  => 'Make the tone more formal and polished.',
+		'urgency' => 'Add a sense of urgency, without making claims the copy does not support and without words in capitals.',
+		'emoji'   => 'Add one or two emoji that suit the copy.',
+		'grammar' => 'Only correct spelling, grammar and punctuation. Change nothing else.',
+	);
+
+	/**
+	 * Longest copy that can be rewritten, in characters.
+	 *
+	 * @var int
+	 */
+	const MAX_LENGTH = 1500;
+
+	/**
+	 * Longest instruction the user can type, in characters.
+	 *
+	 * @var int
+	 */
+	const MAX_INSTRUCTIONS_LENGTH = 300;
+
+	/**
+	 * Get the translated preset labels, in menu order.
+	 *
+	 * @since  1.6.0
+	 * @return array<string, string> Labels keyed by preset.
+	 */
+	public static function get_labels(): array {
+		return array(
+			'shorten' => __( 'Shorten', 'brevo-campaign-generator' ),
+			'expand'  => __( 'Expand', 'brevo-campaign-generator' ),
+			'casual'  => __( 'More casual', 'brevo-campaign-generator' ),
+			'formal'  => __( 'More formal', 'brevo-campaign-generator' ),
+			'urgency' => __( 'Add urgency', 'brevo-campaign-generator' ),
+			'emoji'   => __( 'Add emoji', 'brevo-campaign-generator' ),
+			'grammar' => __( 'Fix grammar', 'brevo-campaign-generator' ),
+		);
+	}
+
+	/**
+	 * Build the instructions for a rewrite.
+	 *
+	 * @since  1.6.0
+	 * @param  string $preset One of PRESETS, or '' for the user's instruction only.
+	 * @param  string $custom Instruction typed by the user, or ''.
+	 * @param  bool   $html   Whether the copy is rich text HTML.
+	 * @return string The instructions, or '' when neither a known preset nor
+	 *                an instruction was given.
+	 */
+	public static function get_instructions( string $preset, string $custom, bool $html = false ): string {
+		$instructions = array();
+
+		if ( isset( self::PRESETS[ $preset ] ) ) {
+			$instructions[] = self::PRESETS[ $preset ];
+		}
+
+		$custom = trim( mb_substr( $custom, 0, self::MAX_INSTRUCTIONS_LENGTH ) );
+		if ( '' !== $custom ) {
+			$instructions[] = sprintf( 'Follow this instruction from the user: %s', $custom );
+		}
+
+		if ( empty( $instructions ) ) {
+			return '';
+		}
+
+		if ( $html ) {
+			$instructions[] = 'The copy is HTML. Keep its formatting tags and link addresses, and return HTML using only the tags it already uses.';
+		}
+
+		return implode( ' ', $instructions );
+	}
+}
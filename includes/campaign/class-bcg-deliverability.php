@@ -0,0 +1,699 @@
+<?php
+/**
+ * Deliverability analysis.
+ *
+ * Scores rendered email HTML against a small set of SpamAssassin-style
+ * rules — the text to image ratio, a shouty subject line, link density,
+ * links whose text shows a different address, URL shorteners, a missing
+ * plain-text part and spam trigger phrasing — without sending it anywhere.
+ * Each finding names the section it was found in, so the editors can
+ * point at it, and copy findings can be rewritten with AI.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Deliverability
+ *
+ * Local spam score for rendered campaigns and Section Builder templates.
+ *
+ * @since 1.6.0
+ */
+class BCG_Deliverability {
+
+	/**
+	 * Score at which SpamAssassin marks a message as spam by default.
+	 *
+	 * @var float
+	 */
+	const SPAM_THRESHOLD = 5.0;
+
+	/**
+	 * Scores below this are rated good; below SPAM_THRESHOLD, fair.
+	 *
+	 * @var float
+	 */
+	const GOOD_THRESHOLD = 2.0;
+
+	/**
+	 * An email with images and fewer words than this is treated as image-only.
+	 *
+	 * @var int
+	 */
+	const MIN_WORDS = 50;
+
+	/**
+	 * Fewest words per image before the text to image ratio is flagged.
+	 *
+	 * @var int
+	 */
+	const MIN_WORDS_PER_IMAGE = 40;
+
+	/**
+	 * Fewest words per link before the link density is flagged.
+	 *
+	 * @var int
+	 */
+	const MIN_WORDS_PER_LINK = 10;
+
+	/**
+	 * Longest copy sent to the AI for a rewrite, in characters.
+	 *
+	 * @var int
+	 */
+	const MAX_REWRITE_LENGTH = 1000;
+
+	/**
+	 * Link shortening services, whose addresses hide the destination.
+	 *
+	 * @var string[]
+	 */
+	const URL_SHORTENERS = array(
+		'bit.ly',
+		'buff.ly',
+		'cutt.ly',
+		'goo.gl',
+		'is.gd',
+		'ow.ly',
+		'rebrand.ly',
+		'shorturl.at',
+		't.co',
+		'tinyurl.com',
+	);
+
+	/**
+	 * Rules whose findings are copy the AI can rewrite.
+	 *
+	 * @var string[]
+	 */
+	const REWRITE_RULES = array( 'subject_caps', 'subject_punctuation', 'shouty_copy', 'exclamations', 'spam_phrases' );
+
+	/**
+	 * Analyse rendered email HTML.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Rendered email HTML, with the section markers
+	 *                      written by BCG_Section_Renderer::render_sections().
+	 * @param  array  $args {
+	 *     Optional. Parts of the message that are not in the HTML.
+	 *
+	 *     @type string|null $subject      Subject line, or null to skip the subject rules.
+	 *     @type string|null $preview_text Preview text, or null when there is none.
+	 *     @type string|null $plain_text   Plain-text part ('' when there is none),
+	 *                                     or null to skip the plain-text rule.
+	 * }
+	 * @return array {
+	 *     @type float   $score     Sum of the points of every finding.
+	 *     @type float   $threshold Score at which the email is likely to be filtered.
+	 *     @type string  $rating    'good', 'fair' or 'poor'.
+	 *     @type array[] $findings  Each { rule, label, points, message, suggestion,
+	 *                              section, field, text, rewrite }.
+	 *     @type array   $stats     { words, images, links }.
+	 * }
+	 */
+	public function analyse( string $html, array $args = array() ): array {
+		$args = wp_parse_args(
+			$args,
+			array(
+				'subject'      => null,
+				'preview_text' => null,
+				'plain_text'   => null,
+			)
+		);
+
+		$parts  = $this->split_sections( $html );
+		$words  = 0;
+		$images = 0;
+		$links  = 0;
+
+		foreach ( $parts as $part ) {
+			$words  += $this->count_words( implode( ' ', $part['units'] ) );
+			$images += count( $part['images'] );
+			$links  += count( $part['links'] );
+		}
+
+		$findings = array_merge(
+			$this->check_plain_text( $args['plain_text'] ),
+			$this->check_subject( $args['subject'] ),
+			$this->check_images( $words, $images ),
+			$this->check_links( $parts, $words, $links ),
+			$this->check_copy( $parts, $args['subject'], $args['preview_text'] )
+		);
+
+		/**
+		 * Filter the findings of the deliverability analysis.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param array[] $findings Each { rule, label, points, message, suggestion,
+		 *                          section, field, text, rewrite }.
+		 * @param string  $html     The analysed email HTML.
+		 * @param array   $args     Subject, preview text and plain-text part.
+		 */
+		$findings = apply_filters( 'bcg_deliverability_findings', $findings, $html, $args );
+
+		$score = round( array_sum( wp_list_pluck( $findings, 'points' ) ), 1 );
+
+		if ( $score < self::GOOD_THRESHOLD ) {
+			$rating = 'good';
+		} elseif ( $score < self::SPAM_THRESHOLD ) {
+			$rating = 'fair';
+		} else {
+			$rating = 'poor';
+		}
+
+		return array(
+			'score'     => $score,
+			'threshold' => self::SPAM_THRESHOLD,
+			'rating'    => $rating,
+			'findings'  => array_values( $findings ),
+			'stats'     => array(
+				'words'  => $words,
+				'images' => $images,
+				'links'  => $links,
+			),
+		);
+	}
+
+	/**
+	 * Build the AI instructions for rewriting flagged copy.
+	 *
+	 * @since  1.6.0
+	 * @param  string[] $rules Rules that flagged the copy.
+	 * @param  string   $text  The flagged copy.
+	 * @return string Instructions, or an empty string when none of the rules
+	 *                can be fixed by rewriting.
+	 */
+	public static function get_rewrite_instructions( array $rules, string $text ): string {
+		$instructions = array();
+
+		foreach ( array_intersect( $rules, self::REWRITE_RULES ) as $rule ) {
+			switch ( $rule ) {
+				case 'subject_caps':
+				case 'shouty_copy':
+					$instructions[] = 'Use sentence case instead of capital letters.';
+					break;
+
+				case 'subject_punctuation':
+				case 'exclamations':
+					$instructions[] = 'Use at most one exclamation mark and no repeated punctuation or currency symbols.';
+					break;
+
+				case 'spam_phrases':
+					$phrases        = BCG_Campaign_Preflight::find_spam_words( $text );
+					$instructions[] = $phrases
+						? sprintf( 'Replace these phrases, which spam filters flag, with specific and honest wording: %s.', implode( ', ', $phrases ) )
+						: 'Replace any pushy sales phrases with specific and honest wording.';
+					break;
+			}
+		}
+
+		return implode( ' ', array_unique( $instructions ) );
+	}
+
+	// ─── Rules ────────────────────────────────────────────────────────
+
+	/**
+	 * MIME_HTML_ONLY: the message has no plain-text part.
+	 *
+	 * @since  1.6.0
+	 * @param  string|null $plain_text Plain-text part, or null to skip the rule.
+	 * @return array[]
+	 */
+	private function check_plain_text( ?string $plain_text ): array {
+		if ( null === $plain_text || '' !== trim( $plain_text ) ) {
+			return array();
+		}
+
+		return array(
+			$this->finding(
+				'plain_text',
+				1.0,
+				__( 'The email is sent as HTML only. Spam filters score messages without a plain-text version higher.', 'brevo-campaign-generator' ),
+				__( 'Send a plain-text version of the email alongside the HTML.', 'brevo-campaign-generator' )
+			),
+		);
+	}
+
+	/**
+	 * Shouty subject lines: mostly capitals, capitalised words and repeated
+	 * punctuation or currency symbols.
+	 *
+	 * @since  1.6.0
+	 * @param  string|null $subject Subject line, or null to skip the rules.
+	 * @return array[]
+	 */
+	private function check_subject( ?string $subject ): array {
+		if ( null === $subject || '' === trim( $subject ) ) {
+			return array();
+		}
+
+		$findings = array();
+		$plain    = $this->strip_merge_tags( $subject );
+		$ratio    = $this->upper_ratio( $plain );
+
+		if ( null !== $ratio && $ratio >= 0.6 ) {
+			$findings[] = $this->finding(
+				'subject_caps',
+				1.5,
+				__( 'The subject line is mostly capital letters.', 'brevo-campaign-generator' ),
+				__( 'Write the subject line in sentence case.', 'brevo-campaign-generator' ),
+				null,
+				'subject',
+				$subject
+			);
+		} elseif ( preg_match( '/(?<!\p{L})\p{Lu}{4,}(?!\p{L})/u', $plain ) ) {
+			$findings[] = $this->finding(
+				'subject_caps',
+				0.5,
+				__( 'The subject line has words in capital letters.', 'brevo-campaign-generator' ),
+				__( 'Use capitals only where they belong, such as brand names.', 'brevo-campaign-generator' ),
+				null,
+				'subject',
+				$subject
+			);
+		}
+
+		if ( preg_match( '/[!?]{2,}|!.*!|[$€£]{2,}/u', $plain ) ) {
+			$findings[] = $this->finding(
+				'subject_punctuation',
+				1.0,
+				__( 'The subject line repeats exclamation marks, question marks or currency symbols.', 'brevo-campaign-generator' ),
+				__( 'Use at most one exclamation mark and let the offer speak for itself.', 'brevo-campaign-generator' ),
+				null,
+				'subject',
+				$subject
+			);
+		}
+
+		return $findings;
+	}
+
+	/**
+	 * HTML_IMAGE_ONLY / HTML_IMAGE_RATIO: too little text for the images.
+	 *
+	 * @since  1.6.0
+	 * @param  int $words  Words of visible text.
+	 * @param  int $images Number of images.
+	 * @return array[]
+	 */
+	private function check_images( int $words, int $images ): array {
+		if ( 0 === $images ) {
+			return array();
+		}
+
+		if ( $words < self::MIN_WORDS ) {
+			return array(
+				$this->finding(
+					'image_only',
+					2.5,
+					sprintf(
+						/* translators: 1: number of words, 2: number of images */
+						__( 'The email is mostly images: %1$d words of text for %2$d images.', 'brevo-campaign-generator' ),
+						$words,
+						$images
+					),
+					__( 'Add a few sentences of real text. Spam filters cannot read images and treat image-only emails as suspicious.', 'brevo-campaign-generator' )
+				),
+			);
+		}
+
+		if ( $words / $images < self::MIN_WORDS_PER_IMAGE ) {
+			return array(
+				$this->finding(
+					'image_ratio',
+					1.0,
+					sprintf(
+						/* translators: 1: words per image, 2: recommended minimum */
+						__( 'There are %1$d words of text per image; aim for at least %2$d.', 'brevo-campaign-generator' ),
+						(int) floor( $words / $images ),
+						self::MIN_WORDS_PER_IMAGE
+					),
+					__( 'Add more text or remove decorative images.', 'brevo-campaign-generator' )
+				),
+			);
+		}
+
+		return array();
+	}
+
+	/**
+	 * Link rules: link density, link text showing a different address than
+	 * the link goes to, and URL shorteners.
+	 *
+	 * @since  1.6.0
+	 * @param  array[] $parts Sections from split_sections().
+	 * @param  int     $words Words of visible text.
+	 * @param  int     $links Number of links.
+	 * @return array[]
+	 */
+	private function check_links( array $parts, int $words, int $links ): array {
+		$findings   = array();
+		$shorteners = array();
+
+		if ( $links > 5 && $words / $links < self::MIN_WORDS_PER_LINK ) {
+			$findings[] = $this->finding(
+				'link_density',
+				1.0,
+				sprintf(
+					/* translators: 1: number of links, 2: number of words */
+					__( 'The email has %1$d links for %2$d words of text.', 'brevo-campaign-generator' ),
+					$links,
+					$words
+				),
+				__( 'Remove repeated links to the same page, or link fewer products.', 'brevo-campaign-generator' )
+			);
+		}
+
+		foreach ( $parts as $part ) {
+			foreach ( $part['links'] as $link ) {
+				if ( ! preg_match( '#^https?://#i', $link['href'] ) ) {
+					continue;
+				}
+
+				$host = $this->get_host( $link['href'] );
+
+				$shown = $this->get_host( $link['text'] );
+
+				if ( '' !== $shown && preg_match( '/^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i', $link['text'] ) && $shown !== $host ) {
+					$findings[] = $this->finding(
+						'link_mismatch',
+						2.0,
+						sprintf(
+							/* translators: 1: address shown as link text, 2: address linked to */
+							__( 'A link shows %1$s but goes to %2$s, as phishing emails do.', 'brevo-campaign-generator' ),
+							$shown,
+							$host
+						),
+						__( 'Use descriptive link text, such as "Shop the collection", instead of a web address.', 'brevo-campaign-generator' ),
+						$part['section']
+					);
+				}
+
+				if ( in_array( $host, self::URL_SHORTENERS, true ) && ! isset( $shorteners[ $host ] ) ) {
+					$shorteners[ $host ] = true;
+					$findings[]          = $this->finding(
+						'url_shortener',
+						1.0,
+						sprintf(
+							/* translators: %s: URL shortening service */
+							__( 'Links go through the %s link shortener, which spammers use to hide where a link leads.', 'brevo-campaign-generator' ),
+							$host
+						),
+						__( 'Link straight to the page on your store.', 'brevo-campaign-generator' ),
+						$part['section']
+					);
+				}
+			}
+		}
+
+		return $findings;
+	}
+
+	/**
+	 * Copy rules: shouty text, repeated exclamation marks and spam trigger
+	 * phrases, per line of text.
+	 *
+	 * @since  1.6.0
+	 * @param  array[]     $parts        Sections from split_sections().
+	 * @param  string|null $subject      Subject line.
+	 * @param  string|null $preview_text Preview text.
+	 * @return array[]
+	 */
+	private function check_copy( array $parts, ?string $subject, ?string $preview_text ): array {
+		$findings = array();
+		$used     = array(
+			'shouty_copy'  => 0.0,
+			'exclamations' => 0.0,
+			'spam_phrases' => 0.0,
+		);
+		$caps     = array(
+			'shouty_copy'  => 2.0,
+			'exclamations' => 1.5,
+			'spam_phrases' => 3.0,
+		);
+
+		// Rules are capped, so each repeat counts for less than a new problem.
+		$add = function ( string $rule, float $points, string $message, string $suggestion, ?string $section, string $field, string $text ) use ( &$findings, &$used, $caps ) {
+			$points         = max( 0.0, min( $points, $caps[ $rule ] - $used[ $rule ] ) );
+			$used[ $rule ] += $points;
+			$findings[]     = $this->finding( $rule, $points, $message, $suggestion, $section, $field, $text );
+		};
+
+		$units = array();
+
+		if ( null !== $subject && '' !== trim( $subject ) ) {
+			$units[] = array( null, 'subject', $subject, 1.0 );
+		}
+		if ( null !== $preview_text && '' !== trim( $preview_text ) ) {
+			$units[] = array( null, 'preview_text', $preview_text, 0.5 );
+		}
+		foreach ( $parts as $part ) {
+			foreach ( $part['units'] as $unit ) {
+				$units[] = array( $part['section'], '', $unit, 0.5 );
+			}
+		}
+
+		$seen = array();
+
+		foreach ( $units as list( $section, $field, $text, $phrase_points ) ) {
+			// Repeated lines, such as the preview text in the hidden preheader, count once.
+			if ( isset( $seen[ $text ] ) ) {
+				continue;
+			}
+			$seen[ $text ] = true;
+
+			$plain = $this->strip_merge_tags( $text );
+			$ratio = $this->upper_ratio( $plain, 12 );
+
+			if ( 'subject' !== $field && null !== $ratio && $ratio >= 0.7 ) {
+				$add(
+					'shouty_copy',
+					0.5,
+					__( 'This text is in capital letters.', 'brevo-campaign-generator' ),
+					__( 'Write it in sentence case; use bold or a larger font for emphasis.', 'brevo-campaign-generator' ),
+					$section,
+					$field,
+					$text
+				);
+			}
+
+			if ( 'subject' !== $field && ( preg_match( '/[!?]{2,}/', $plain ) || substr_count( $plain, '!' ) >= 3 ) ) {
+				$add(
+					'exclamations',
+					0.3,
+					__( 'This text repeats exclamation marks.', 'brevo-campaign-generator' ),
+					__( 'Use at most one exclamation mark.', 'brevo-campaign-generator' ),
+					$section,
+					$field,
+					$text
+				);
+			}
+
+			$phrases = BCG_Campaign_Preflight::find_spam_words( $plain );
+
+			if ( $phrases ) {
+				$add(
+					'spam_phrases',
+					$phrase_points * count( $phrases ),
+					sprintf(
+						/* translators: %s: comma-separated list of phrases */
+						__( 'Spam filters flag these phrases: %s', 'brevo-campaign-generator' ),
+						implode( ', ', $phrases )
+					),
+					__( 'Say what the offer is instead, e.g. "20% off all jackets until Sunday".', 'brevo-campaign-generator' ),
+					$section,
+					$field,
+					$text
+				);
+			}
+		}
+
+		return $findings;
+	}
+
+	// ─── Private Helpers ──────────────────────────────────────────────
+
+	/**
+	 * Build a finding.
+	 *
+	 * @since  1.6.0
+	 * @param  string      $rule       Rule ID.
+	 * @param  float       $points     Points added to the score.
+	 * @param  string      $message    What was found.
+	 * @param  string      $suggestion How to fix it.
+	 * @param  string|null $section    Section marker (sanitised section ID), or null.
+	 * @param  string      $field      'subject' or 'preview_text' for those fields, or ''.
+	 * @param  string      $text       The flagged copy, or ''.
+	 * @return array
+	 */
+	private function finding( string $rule, float $points, string $message, string $suggestion, ?string $section = null, string $field = '', string $text = '' ): array {
+		$labels = array(
+			'plain_text'          => __( 'No plain-text version', 'brevo-campaign-generator' ),
+			'subject_caps'        => __( 'Shouty subject line', 'brevo-campaign-generator' ),
+			'subject_punctuation' => __( 'Subject line punctuation', 'brevo-campaign-generator' ),
+			'image_only'          => __( 'Image-only email', 'brevo-campaign-generator' ),
+			'image_ratio'         => __( 'Text to image ratio', 'brevo-campaign-generator' ),
+			'link_density'        => __( 'Too many links', 'brevo-campaign-generator' ),
+			'link_mismatch'       => __( 'Misleading link text', 'brevo-campaign-generator' ),
+			'url_shortener'       => __( 'Shortened link', 'brevo-campaign-generator' ),
+			'shouty_copy'         => __( 'Capital letters', 'brevo-campaign-generator' ),
+			'exclamations'        => __( 'Exclamation marks', 'brevo-campaign-generator' ),
+			'spam_phrases'        => __( 'Suspicious phrasing', 'brevo-campaign-generator' ),
+		);
+
+		$text = mb_substr( $text, 0, self::MAX_REWRITE_LENGTH );
+
+		return array(
+			'rule'       => $rule,
+			'label'      => $labels[ $rule ] ?? $rule,
+			'points'     => round( $points, 1 ),
+			'message'    => $message,
+			'suggestion' => $suggestion,
+			'section'    => $section,
+			'field'      => $field,
+			'text'       => $text,
+			'rewrite'    => '' !== $text && in_array( $rule, self::REWRITE_RULES, true ),
+		);
+	}
+
+	/**
+	 * Split email HTML at the section markers and collect each section's
+	 * lines of text, images and links. Text before the first marker (the
+	 * email shell) and emails without markers belong to no section.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Email HTML.
+	 * @return array[] Each { section, units, images, links }.
+	 */
+	private function split_sections( string $html ): array {
+		$html   = preg_replace( '#<(head|style|script|title)\b[^>]*>.*?</\1>#is', ' ', $html );
+		$chunks = preg_split( '/<!-- ' . preg_quote( BCG_Section_Renderer::SECTION_MARKER, '/' ) . '([a-z0-9_\-]+) -->/', $html, -1, PREG_SPLIT_DELIM_CAPTURE );
+		$parts  = array();
+
+		for ( $i = 0; $i < count( $chunks ); $i += 2 ) {
+			$chunk = preg_replace( '/<!--.*?-->/s', ' ', $chunks[ $i ] );
+
+			preg_match_all( '/<img\b[^>]*>/i', $chunk, $images );
+			preg_match_all( '/<a\b[^>]*\shref\s*=\s*("[^"]*"|\'[^\']*\'|[^\s>]+)[^>]*>(.*?)<\/a>/is', $chunk, $links, PREG_SET_ORDER );
+
+			$parts[] = array(
+				'section' => $i > 0 ? $chunks[ $i - 1 ] : null,
+				'units'   => $this->get_text_units( $chunk ),
+				// Tracking pixels are not content.
+				'images'  => array_filter( $images[0], function ( $img ) {
+					return ! preg_match( '/\s(width|height)\s*=\s*["\']?[01]["\'\s>\/]/i', $img );
+				} ),
+				'links'   => array_map( function ( $link ) {
+					return array(
+						'href' => html_entity_decode( trim( $link[1], '"\'' ), ENT_QUOTES | ENT_HTML5, 'UTF-8' ),
+						'text' => $this->to_text( $link[2] ),
+					);
+				}, $links ),
+			);
+		}
+
+		return $parts;
+	}
+
+	/**
+	 * Get the lines of visible text in an HTML fragment, one per block
+	 * element, line break or link.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html HTML fragment.
+	 * @return string[]
+	 */
+	private function get_text_units( string $html ): array {
+		$html  = preg_replace( '#<br\s*/?>|</(p|div|td|th|li|h[1-6]|a|tr|table)>#i', "\n", $html );
+		$units = array();
+
+		foreach ( explode( "\n", wp_strip_all_tags( $html ) ) as $line ) {
+			$line = $this->to_text( $line );
+
+			if ( '' !== $line ) {
+				$units[] = $line;
+			}
+		}
+
+		return $units;
+	}
+
+	/**
+	 * Reduce an HTML fragment to single-spaced plain text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html
+	 * @return string
+	 */
+	private function to_text( string $html ): string {
+		$text = html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+
+		return trim( preg_replace( '/[\s\x{00A0}]+/u', ' ', $text ) );
+	}
+
+	/**
+	 * Count the words in a text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $text
+	 * @return int
+	 */
+	private function count_words( string $text ): int {
+		return (int) preg_match_all( '/[\p{L}\p{N}][\p{L}\p{N}\'’-]*/u', $this->strip_merge_tags( $text ) );
+	}
+
+	/**
+	 * Remove Brevo merge tags, whose attribute names are written in capitals.
+	 *
+	 * @since  1.6.0
+	 * @param  string $text
+	 * @return string
+	 */
+	private function strip_merge_tags( string $text ): string {
+		return preg_replace( '/\{\{.*?\}\}/s', ' ', $text );
+	}
+
+	/**
+	 * Share of a text's letters that are capitals.
+	 *
+	 * @since  1.6.0
+	 * @param  string $text
+	 * @param  int    $min_letters Fewest letters worth judging. Default 8.
+	 * @return float|null Null when the text has too few letters.
+	 */
+	private function upper_ratio( string $text, int $min_letters = 8 ): ?float {
+		$letters = preg_match_all( '/\p{L}/u', $text );
+
+		if ( $letters < $min_letters ) {
+			return null;
+		}
+
+		return preg_match_all( '/\p{Lu}/u', $text ) / $letters;
+	}
+
+	/**
+	 * Get the lowercase host of a web address, without "www.".
+	 *
+	 * @since  1.6.0
+	 * @param  string $url Address, with or without the scheme.
+	 * @return string The host, or '' when the address has none.
+	 */
+	private function get_host( string $url ): string {
+		$url = trim( $url );
+
+		if ( ! preg_match( '#^https?://#i', $url ) ) {
+			$url = 'http://' . $url;
+		}
+
+		$host = wp_parse_url( $url, PHP_URL_HOST );
+
+		return is_string( $host ) && str_contains( $host, '.' ) ? preg_replace( '/^www\./', '', strtolower( $host ) ) : '';
+	}
+}
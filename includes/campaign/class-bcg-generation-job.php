@@ -0,0 +1,388 @@
+<?php
+/**
+ * Campaign generation job progress tracker.
+ *
+ * A generation job is the server-side record of one bcg_generate_campaign
+ * run. The generator writes real progress into it as each step, AI task
+ * and product image completes, and the wizard polls it through the
+ * bcg_generation_status AJAX endpoint while the request is still running.
+ *
+ * Jobs are stored as per-user transients so they expire on their own and
+ * one user can never read another user's job. Cancellation is requested
+ * through a separate flag transient because the generating request keeps
+ * overwriting the job record with its own in-memory state.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Generation_Job
+ *
+ * Step-by-step progress state for a single campaign generation.
+ *
+ * @since 1.6.0
+ */
+class BCG_Generation_Job {
+
+	/**
+	 * Transient key prefix.
+	 *
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'bcg_gen_job_';
+
+	/**
+	 * Cancellation flag transient key prefix.
+	 *
+	 * @var string
+	 */
+	const CANCEL_PREFIX = 'bcg_gen_cancel_';
+
+	/**
+	 * Seconds a job record is kept after its last update.
+	 *
+	 * @var int
+	 */
+	const TTL = HOUR_IN_SECONDS;
+
+	/**
+	 * Ordered generation steps, matching the wizard overlay.
+	 *
+	 * @var string[]
+	 */
+	const STEPS = array( 'products', 'copy', 'images', 'finalise', 'translate' );
+
+	/**
+	 * Job ID.
+	 *
+	 * @var string
+	 */
+	private string $id;
+
+	/**
+	 * Owning user ID.
+	 *
+	 * @var int
+	 */
+	private int $user_id;
+
+	/**
+	 * Job state.
+	 *
+	 * @var array
+	 */
+	private array $data;
+
+	/**
+	 * Create and persist a new job.
+	 *
+	 * @since 1.6.0
+	 * @param string $job_id  Client-supplied job ID. A UUID is generated when empty.
+	 * @param int    $user_id Owning user ID.
+	 */
+	public function __construct( string $job_id, int $user_id ) {
+		$this->id      = self::sanitise_id( $job_id );
+		$this->user_id = $user_id;
+
+		if ( '' === $this->id ) {
+			$this->id = wp_generate_uuid4();
+		}
+
+		$steps = array();
+		foreach ( self::STEPS as $step ) {
+			$steps[ $step ] = array(
+				'status' => 'pending',
+				'done'   => 0,
+				'total'  => 0,
+				'failed' => 0,
+			);
+		}
+
+		$this->data = array(
+			'id'          => $this->id,
+			'status'      => 'running',
+			'current'     => '',
+			'message'     => '',
+			'steps'       => $steps,
+			'warnings'    => array(),
+			'error'       => '',
+			'campaign_id' => 0,
+			'refunded'    => 0,
+			'updated_at'  => time(),
+		);
+
+		$this->save();
+	}
+
+	/**
+	 * Fetch a job's state for the given user.
+	 *
+	 * @since  1.6.0
+	 * @param  string $job_id  Job ID.
+	 * @param  int    $user_id User ID the job must belong to.
+	 * @return array|null Job state, or null if missing or expired.
+	 */
+	public static function get( string $job_id, int $user_id ): ?array {
+		$job_id = self::sanitise_id( $job_id );
+		if ( '' === $job_id ) {
+			return null;
+		}
+
+		$data = get_transient( self::TRANSIENT_PREFIX . $user_id . '_' . $job_id );
+
+		return is_array( $data ) ? $data : null;
+	}
+
+	/**
+	 * Ask a running job to stop.
+	 *
+	 * Sets the flag checked by is_cancel_requested(). The flag may be set
+	 * before the generating request has created the job, in which case
+	 * the job cancels at its first check.
+	 *
+	 * @since  1.6.0
+	 * @param  string $job_id  Job ID.
+	 * @param  int    $user_id User ID the job belongs to.
+	 * @return bool False if the job ID is invalid.
+	 */
+	public static function request_cancel( string $job_id, int $user_id ): bool {
+		$job_id = self::sanitise_id( $job_id );
+		if ( '' === $job_id ) {
+			return false;
+		}
+
+		set_transient( self::CANCEL_PREFIX . $user_id . '_' . $job_id, 1, self::TTL );
+
+		return true;
+	}
+
+	/**
+	 * Whether cancellation has been requested for this job.
+	 *
+	 * The flag is written by a different request, so the per-request
+	 * option cache is bypassed when transients live in the options table.
+	 *
+	 * @since  1.6.0
+	 * @return bool
+	 */
+	public function is_cancel_requested(): bool {
+		$key = self::CANCEL_PREFIX . $this->user_id . '_' . $this->id;
+
+		if ( ! wp_using_ext_object_cache() ) {
+			wp_cache_delete( '_transient_' . $key, 'options' );
+			wp_cache_delete( '_transient_timeout_' . $key, 'options' );
+
+			$notoptions = wp_cache_get( 'notoptions', 'options' );
+			if ( is_array( $notoptions ) ) {
+				unset( $notoptions[ '_transient_' . $key ], $notoptions[ '_transient_timeout_' . $key ] );
+				wp_cache_set( 'notoptions', $notoptions, 'options' );
+			}
+		}
+
+		return (bool) get_transient( $key );
+	}
+
+	/**
+	 * Get the job ID.
+	 *
+	 * @since  1.6.0
+	 * @return string
+	 */
+	public function get_id(): string {
+		return $this->id;
+	}
+
+	/**
+	 * Get the job state as returned by the status endpoint.
+	 *
+	 * @since  1.6.0
+	 * @return array
+	 */
+	public function to_array(): array {
+		return $this->data;
+	}
+
+	/**
+	 * Mark a step as in progress.
+	 *
+	 * @since 1.6.0
+	 * @param string $step    Step key.
+	 * @param string $message Status line shown under the steps.
+	 * @param int    $total   Number of items the step will process (0 = indeterminate).
+	 */
+	public function start_step( string $step, string $message = '', int $total = 0 ): void {
+		if ( ! isset( $this->data['steps'][ $step ] ) ) {
+			return;
+		}
+
+		$this->data['steps'][ $step ]['status'] = 'active';
+		$this->data['steps'][ $step ]['total']  = max( 0, $total );
+		$this->data['current']                  = $step;
+		$this->data['message']                  = $message;
+
+		$this->save();
+	}
+
+	/**
+	 * Record item-level progress within a step.
+	 *
+	 * @since 1.6.0
+	 * @param string $step    Step key.
+	 * @param int    $done    Items processed so far.
+	 * @param int    $total   Total items.
+	 * @param string $message Status line.
+	 * @param string $error   Failure message for the item just processed, if any.
+	 */
+	public function advance( string $step, int $done, int $total, string $message = '', string $error = '' ): void {
+		if ( ! isset( $this->data['steps'][ $step ] ) ) {
+			return;
+		}
+
+		$this->data['steps'][ $step ]['done']  = $done;
+		$this->data['steps'][ $step ]['total'] = $total;
+
+		if ( '' !== $error ) {
+			++$this->data['steps'][ $step ]['failed'];
+			$this->data['warnings'][] = $error;
+		}
+
+		if ( '' !== $message ) {
+			$this->data['message'] = $message;
+		}
+
+		$this->save();
+	}
+
+	/**
+	 * Mark a step as finished.
+	 *
+	 * @since 1.6.0
+	 * @param string $step Step key.
+	 */
+	public function complete_step( string $step ): void {
+		if ( ! isset( $this->data['steps'][ $step ] ) ) {
+			return;
+		}
+
+		$this->data['steps'][ $step ]['status'] = 'complete';
+		$this->save();
+	}
+
+	/**
+	 * Mark a step as not applicable to this run.
+	 *
+	 * @since 1.6.0
+	 * @param string $step Step key.
+	 */
+	public function skip_step( string $step ): void {
+		if ( ! isset( $this->data['steps'][ $step ] ) ) {
+			return;
+		}
+
+		$this->data['steps'][ $step ]['status'] = 'skipped';
+		$this->save();
+	}
+
+	/**
+	 * Mark a step as failed without failing the whole job.
+	 *
+	 * @since 1.6.0
+	 * @param string $step    Step key.
+	 * @param string $message Warning shown to the user.
+	 */
+	public function fail_step( string $step, string $message ): void {
+		if ( isset( $this->data['steps'][ $step ] ) ) {
+			$this->data['steps'][ $step ]['status'] = 'error';
+		}
+
+		$this->warn( $message );
+	}
+
+	/**
+	 * Record a non-fatal problem. Generation continues.
+	 *
+	 * @since 1.6.0
+	 * @param string $message Warning shown to the user.
+	 */
+	public function warn( string $message ): void {
+		$this->data['warnings'][] = $message;
+		$this->save();
+	}
+
+	/**
+	 * Mark the job as failed on its current step.
+	 *
+	 * @since 1.6.0
+	 * @param string $message Error message.
+	 */
+	public function fail( string $message ): void {
+		$current = $this->data['current'];
+		if ( isset( $this->data['steps'][ $current ] ) ) {
+			$this->data['steps'][ $current ]['status'] = 'error';
+		}
+
+		$this->data['status'] = 'failed';
+		$this->data['error']  = $message;
+		$this->save();
+	}
+
+	/**
+	 * Mark the job as cancelled.
+	 *
+	 * @since 1.6.0
+	 * @param float $refunded Credits refunded for the steps that did not finish.
+	 */
+	public function cancel( float $refunded ): void {
+		$current = $this->data['current'];
+		if ( isset( $this->data['steps'][ $current ] ) && 'active' === $this->data['steps'][ $current ]['status'] ) {
+			$this->data['steps'][ $current ]['status'] = 'pending';
+		}
+
+		$this->data['status']   = 'cancelled';
+		$this->data['refunded'] = $refunded;
+		$this->data['message']  = '';
+		$this->save();
+
+		delete_transient( self::CANCEL_PREFIX . $this->user_id . '_' . $this->id );
+	}
+
+	/**
+	 * Mark the job as complete.
+	 *
+	 * @since 1.6.0
+	 * @param int $campaign_id The generated campaign ID.
+	 */
+	public function finish( int $campaign_id ): void {
+		$this->data['status']      = 'complete';
+		$this->data['campaign_id'] = $campaign_id;
+		$this->data['message']     = '';
+		$this->save();
+	}
+
+	/**
+	 * Persist the job state.
+	 *
+	 * @since 1.6.0
+	 */
+	private function save(): void {
+		$this->data['updated_at'] = time();
+		set_transient( self::TRANSIENT_PREFIX . $this->user_id . '_' . $this->id, $this->data, self::TTL );
+	}
+
+	/**
+	 * Restrict job IDs to UUID-style characters.
+	 *
+	 * @since  1.6.0
+	 * @param  string $job_id Raw job ID.
+	 * @return string
+	 */
+	private static function sanitise_id( string $job_id ): string {
+		return substr( preg_replace( '/[^a-z0-9\-]/', '', strtolower( $job_id ) ), 0, 40 );
+	}
+}
@@ -0,0 +1,400 @@
+<?php
+/**
+ * Background campaign generation queue.
+ *
+ * Bulk generation used to run one bcg_generate_campaign request per
+ * campaign from the browser, so closing the tab or a single timeout lost
+ * the rest of the batch. The wizard now enqueues the batch into the
+ * bcg_generation_queue table and returns; this runner works through it
+ * one campaign per scheduled event using Action Scheduler (bundled with
+ * WooCommerce) or WP-Cron as a fallback.
+ *
+ * Each event claims one item, generates it with BCG_Campaign_Generator as
+ * the user who queued it, records the outcome and schedules the next
+ * event while queued items remain. Items left 'running' by a runner that
+ * died are failed after STALE_AFTER seconds so they can be retried.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Generation_Queue
+ *
+ * Enqueues, schedules and processes background campaign generation.
+ *
+ * @since 1.6.0
+ */
+class BCG_Generation_Queue {
+
+	/**
+	 * Scheduled action / cron hook name.
+	 *
+	 * @var string
+	 */
+	const HOOK = 'bcg_process_generation_queue';
+
+	/**
+	 * Action Scheduler group.
+	 *
+	 * @var string
+	 */
+	const GROUP = 'bcg';
+
+	/**
+	 * Maximum number of campaigns in one batch.
+	 *
+	 * @var int
+	 */
+	const MAX_BATCH = 50;
+
+	/**
+	 * Seconds after which a 'running' item is considered abandoned.
+	 *
+	 * @var int
+	 */
+	const STALE_AFTER = 15 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Transient used to stop overlapping runners.
+	 *
+	 * @var string
+	 */
+	const LOCK_KEY = 'bcg_generation_queue_lock';
+
+	/**
+	 * Constructor. Registers the queue runner hook.
+	 *
+	 * @since 1.6.0
+	 */
+	public function __construct() {
+		add_action( self::HOOK, array( $this, 'process' ) );
+	}
+
+	/**
+	 * Add a batch of campaigns to the queue and schedule processing.
+	 *
+	 * @since  1.6.0
+	 * @param  array[] $configs Normalised configs (see BCG_Campaign_Generator::normalise_config()).
+	 * @param  int     $user_id User who owns the batch and is charged the credits.
+	 * @return array|\WP_Error {
+	 *     @type string $batch_id Batch identifier.
+	 *     @type int[]  $item_ids Inserted queue item IDs.
+	 * }
+	 */
+	public function enqueue( array $configs, int $user_id ): array|\WP_Error {
+		if ( empty( $configs ) ) {
+			return new \WP_Error( 'bcg_queue_empty', __( 'Nothing to generate.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( count( $configs ) > self::MAX_BATCH ) {
+			return new \WP_Error(
+				'bcg_queue_too_large',
+				sprintf(
+					/* translators: %d: maximum number of campaigns per batch */
+					__( 'You can queue at most %d campaigns at once.', 'brevo-campaign-generator' ),
+					self::MAX_BATCH
+				)
+			);
+		}
+
+		$batch_id = substr( str_replace( '-', '', wp_generate_uuid4() ), 0, 12 );
+		$item_ids = array();
+
+		foreach ( $configs as $config ) {
+			$label = '' !== $config['title'] ? $config['title'] : $config['theme'];
+
+			$item_id = BCG_Generation_Queue_Table::insert( $user_id, $batch_id, $label, $config );
+			if ( is_wp_error( $item_id ) ) {
+				return $item_id;
+			}
+
+			$item_ids[] = $item_id;
+		}
+
+		$this->schedule();
+
+		return array(
+			'batch_id' => $batch_id,
+			'item_ids' => $item_ids,
+		);
+	}
+
+	/**
+	 * Put a failed or cancelled item back in the queue.
+	 *
+	 * @since  1.6.0
+	 * @param  int $item_id Queue item ID.
+	 * @param  int $user_id User the item must belong to.
+	 * @return bool|\WP_Error
+	 */
+	public function retry( int $item_id, int $user_id ): bool|\WP_Error {
+		$item = $this->get_owned_item( $item_id, $user_id );
+		if ( is_wp_error( $item ) ) {
+			return $item;
+		}
+
+		if ( ! in_array( $item->status, array( 'failed', 'cancelled' ), true ) ) {
+			return new \WP_Error( 'bcg_queue_state', __( 'Only failed or cancelled items can be retried.', 'brevo-campaign-generator' ) );
+		}
+
+		$result = BCG_Generation_Queue_Table::update( $item_id, array(
+			'status'      => 'queued',
+			'job_id'      => wp_generate_uuid4(),
+			'error'       => null,
+			'warnings'    => null,
+			'started_at'  => null,
+			'finished_at' => null,
+		) );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$this->schedule();
+
+		return true;
+	}
+
+	/**
+	 * Cancel a queued or running item.
+	 *
+	 * Queued items are cancelled immediately. Running items are asked to
+	 * stop through their generation job; the runner refunds the unfinished
+	 * step, removes the draft campaign and marks the item cancelled.
+	 *
+	 * @since  1.6.0
+	 * @param  int $item_id Queue item ID.
+	 * @param  int $user_id User the item must belong to.
+	 * @return bool|\WP_Error
+	 */
+	public function cancel( int $item_id, int $user_id ): bool|\WP_Error {
+		$item = $this->get_owned_item( $item_id, $user_id );
+		if ( is_wp_error( $item ) ) {
+			return $item;
+		}
+
+		if ( 'running' === $item->status ) {
+			return BCG_Generation_Job::request_cancel( $item->job_id, $user_id );
+		}
+
+		if ( 'queued' !== $item->status ) {
+			return new \WP_Error( 'bcg_queue_state', __( 'Only queued or running items can be cancelled.', 'brevo-campaign-generator' ) );
+		}
+
+		return BCG_Generation_Queue_Table::update( $item_id, array(
+			'status'      => 'cancelled',
+			'finished_at' => current_time( 'mysql' ),
+		) );
+	}
+
+	/**
+	 * Get a user's queue items prepared for display.
+	 *
+	 * Running items include the live progress message from their
+	 * generation job.
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @return array[] Items, newest first.
+	 */
+	public function get_items( int $user_id ): array {
+		$items = array();
+
+		foreach ( BCG_Generation_Queue_Table::get_for_user( $user_id ) as $row ) {
+			$message = '';
+			if ( 'running' === $row->status ) {
+				$job     = BCG_Generation_Job::get( $row->job_id, $user_id );
+				$message = $job['message'] ?? '';
+			}
+
+			$warnings = json_decode( (string) $row->warnings, true );
+
+			$items[] = array(
+				'id'          => (int) $row->id,
+				'batch_id'    => $row->batch_id,
+				'label'       => $row->label,
+				'status'      => $row->status,
+				'message'     => $message,
+				'error'       => (string) $row->error,
+				'warnings'    => is_array( $warnings ) ? $warnings : array(),
+				'attempts'    => (int) $row->attempts,
+				'campaign_id' => (int) $row->campaign_id,
+				'edit_url'    => $row->campaign_id ? admin_url( 'admin.php?page=bcg-edit-campaign&campaign_id=' . (int) $row->campaign_id ) : '',
+				'created_at'  => $row->created_at,
+			);
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Schedule the runner if work is waiting and nothing is scheduled.
+	 *
+	 * Called when the dashboard renders so a queue interrupted by plugin
+	 * deactivation or a lost cron event resumes on its own.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function ensure_scheduled(): void {
+		$counts = BCG_Generation_Queue_Table::count_by_status();
+
+		if ( $counts['queued'] > 0 || $counts['running'] > 0 ) {
+			$this->schedule();
+		}
+	}
+
+	/**
+	 * Process one queued item.
+	 *
+	 * Hooked to HOOK. Generates a single campaign per run so each event
+	 * stays well within PHP and host time limits, then schedules the next
+	 * run while queued items remain.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function process(): void {
+		if ( get_transient( self::LOCK_KEY ) ) {
+			return;
+		}
+
+		set_transient( self::LOCK_KEY, time(), self::STALE_AFTER );
+
+		BCG_Generation_Queue_Table::fail_stale(
+			wp_date( 'Y-m-d H:i:s', time() - self::STALE_AFTER ),
+			__( 'Generation was interrupted before it finished. Retry to run it again.', 'brevo-campaign-generator' )
+		);
+
+		$item = BCG_Generation_Queue_Table::claim_next();
+
+		if ( $item ) {
+			$this->process_item( $item );
+		}
+
+		delete_transient( self::LOCK_KEY );
+
+		$counts = BCG_Generation_Queue_Table::count_by_status();
+		if ( $counts['queued'] > 0 ) {
+			// This run's own action still counts as scheduled, so skip the check.
+			$this->schedule( true );
+		}
+	}
+
+	/**
+	 * Generate one claimed queue item and record the outcome.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $item Claimed queue row.
+	 * @return void
+	 */
+	private function process_item( \stdClass $item ): void {
+		$item_id = (int) $item->id;
+		$user_id = (int) $item->user_id;
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			set_time_limit( self::STALE_AFTER );
+		}
+
+		// Credits and capabilities are resolved against the current user.
+		$previous_user = get_current_user_id();
+		wp_set_current_user( $user_id );
+
+		$job    = new BCG_Generation_Job( $item->job_id, $user_id );
+		$config = json_decode( (string) $item->config, true );
+
+		if ( ! user_can( $user_id, BCG_Admin::CAPABILITY ) ) {
+			$result = new \WP_Error( 'bcg_forbidden', __( 'The user who queued this campaign can no longer generate campaigns.', 'brevo-campaign-generator' ) );
+		} elseif ( ! is_array( $config ) ) {
+			$result = new \WP_Error( 'bcg_queue_config', __( 'The queued generation settings could not be read.', 'brevo-campaign-generator' ) );
+		} else {
+			$generator = new BCG_Campaign_Generator();
+			$result    = $generator->generate( $config, $job );
+		}
+
+		if ( is_wp_error( $result ) ) {
+			$status      = 'bcg_generation_cancelled' === $result->get_error_code() ? 'cancelled' : 'failed';
+			$campaign_id = 0;
+			$error       = $result->get_error_message();
+
+			BCG_Generation_Queue_Table::update( $item_id, array(
+				'status'      => $status,
+				'error'       => $error,
+				'warnings'    => $job->to_array()['warnings'],
+				'finished_at' => current_time( 'mysql' ),
+			) );
+		} else {
+			$status      = 'complete';
+			$campaign_id = (int) $result['campaign_id'];
+			$error       = '';
+
+			BCG_Generation_Queue_Table::update( $item_id, array(
+				'status'      => 'complete',
+				'campaign_id' => $campaign_id,
+				'error'       => null,
+				'warnings'    => $result['warnings'],
+				'finished_at' => current_time( 'mysql' ),
+			) );
+		}
+
+		/**
+		 * Fires when a queue item has finished generating, still running as
+		 * the user who queued it.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param int    $item_id     Queue item ID.
+		 * @param string $status      'complete', 'failed' or 'cancelled'.
+		 * @param int    $campaign_id Generated campaign ID, 0 unless complete.
+		 * @param array  $config      The item's generation config.
+		 * @param string $error       Error message when not complete.
+		 */
+		do_action( 'bcg_generation_queue_item_finished', $item_id, $status, $campaign_id, is_array( $config ) ? $config : array(), $error );
+
+		wp_set_current_user( $previous_user );
+	}
+
+	/**
+	 * Schedule the next runner event unless one is already pending.
+	 *
+	 * @since  1.6.0
+	 * @param  bool $force Schedule even if an action is pending or in progress.
+	 * @return void
+	 */
+	private function schedule( bool $force = false ): void {
+		if ( function_exists( 'as_enqueue_async_action' ) && function_exists( 'as_has_scheduled_action' ) ) {
+			if ( $force || ! as_has_scheduled_action( self::HOOK, array(), self::GROUP ) ) {
+				as_enqueue_async_action( self::HOOK, array(), self::GROUP );
+			}
+			return;
+		}
+
+		if ( ! wp_next_scheduled( self::HOOK ) ) {
+			wp_schedule_single_event( time(), self::HOOK );
+		}
+	}
+
+	/**
+	 * Fetch a queue item and check it belongs to the given user.
+	 *
+	 * @since  1.6.0
+	 * @param  int $item_id Queue item ID.
+	 * @param  int $user_id User ID.
+	 * @return \stdClass|\WP_Error
+	 */
+	private function get_owned_item( int $item_id, int $user_id ): \stdClass|\WP_Error {
+		$item = BCG_Generation_Queue_Table::get( $item_id );
+
+		if ( is_wp_error( $item ) || (int) $item->user_id !== $user_id ) {
+			return new \WP_Error( 'bcg_not_found', __( 'Queue item not found.', 'brevo-campaign-generator' ) );
+		}
+
+		return $item;
+	}
+}
@@ -0,0 +1,147 @@
+<?php
+/**
+ * Plain-text version of campaign emails.
+ *
+ * Shows how a campaign reads in mail clients that do not show HTML, in the
+ * Text tab of the editor preview. Brevo's campaign API takes HTML only, so
+ * the text is a preview and is not sent. It is generated from the rendered
+ * email — headings underlined, lists as dashes, links numbered with the
+ * addresses listed at the end.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Plain_Text
+ *
+ * Converts rendered email HTML to plain text.
+ *
+ * @since 1.6.0
+ */
+class BCG_Plain_Text {
+
+	/**
+	 * Convert email HTML to plain text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Email HTML.
+	 * @return string
+	 */
+	public static function from_html( string $html ): string {
+		$links = array();
+
+		// Drop everything that is not shown: head, styles, Outlook conditionals
+		// and the hidden preheader.
+		$html = preg_replace( '#<(head|style|script|title)\b[^>]*>.*?</\1>#is', '', $html );
+		$html = preg_replace( '/<!--.*?-->/s', '', $html );
+		$html = preg_replace( '#<(div|span|p)\b[^>]*\sstyle\s*=\s*"[^"]*display\s*:\s*none[^"]*"[^>]*>.*?</\1>#is', '', $html );
+		$html = preg_replace( '/\s+/', ' ', $html );
+
+		// Links become "text [1]", with the addresses listed at the end.
+		$html = preg_replace_callback(
+			'/<a\b[^>]*\shref\s*=\s*("[^"]*"|\'[^\']*\'|[^\s>]+)[^>]*>(.*?)<\/a>/is',
+			static function ( array $match ) use ( &$links ): string {
+				$href = trim( html_entity_decode( trim( $match[1], '"\'' ), ENT_QUOTES | ENT_HTML5, 'UTF-8' ) );
+				$text = self::inline_text( $match[2] );
+
+				if ( '' === $text ) {
+					// Image-only links: the linked copy is nearly always nearby.
+					return ' ';
+				}
+
+				if ( '' === $href || '#' === $href[0] || 0 === stripos( $href, 'javascript:' ) ) {
+					return self::encode( $text );
+				}
+
+				$address = preg_replace( '#^mailto:#i', '', $href );
+				if ( $text === $address || $text === preg_replace( '#^https?://#i', '', rtrim( $href, '/' ) ) ) {
+					return self::encode( $address );
+				}
+
+				$index = array_search( $href, $links, true );
+				if ( false === $index ) {
+					$links[] = $href;
+					$index   = count( $links ) - 1;
+				}
+
+				return self::encode( $text ) . ' [' . ( $index + 1 ) . ']';
+			},
+			$html
+		);
+
+		// Headings are underlined.
+		$html = preg_replace_callback(
+			'#<h([1-6])\b[^>]*>(.*?)</h\1>#is',
+			static function ( array $match ): string {
+				$text = self::inline_text( $match[2] );
+
+				if ( '' === $text ) {
+					return '';
+				}
+
+				return "\n\n" . self::encode( $text ) . "\n" . str_repeat( '1' === $match[1] ? '=' : '-', min( 60, mb_strlen( $text ) ) ) . "\n\n";
+			},
+			$html
+		);
+
+		$html = preg_replace( '#<li\b[^>]*>#i', "\n- ", $html );
+		$html = preg_replace( '#<hr\b[^>]*>#i', "\n\n" . str_repeat( '-', 20 ) . "\n\n", $html );
+		$html = preg_replace( '#<br\s*/?>#i', "\n", $html );
+		$html = preg_replace( '#</(p|div|h[1-6]|ul|ol|table|blockquote)>#i', "\n\n", $html );
+		$html = preg_replace( '#</(td|th|tr)>#i', "\n", $html );
+
+		$text = html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+		$text = str_replace( "\u{00A0}", ' ', $text );
+
+		$lines = array_map(
+			static function ( string $line ): string {
+				return trim( preg_replace( '/[ \t]+/', ' ', $line ) );
+			},
+			explode( "\n", $text )
+		);
+
+		$text = trim( preg_replace( "/\n{3,}/", "\n\n", implode( "\n", $lines ) ) );
+
+		if ( $links ) {
+			$text .= "\n\n" . str_repeat( '-', 20 ) . "\n";
+			foreach ( $links as $i => $href ) {
+				$text .= "\n[" . ( $i + 1 ) . '] ' . $href;
+			}
+		}
+
+		return $text;
+	}
+
+	// ─── Private Helpers ──────────────────────────────────────────────
+
+	/**
+	 * Reduce an inline HTML fragment to single-spaced text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html
+	 * @return string
+	 */
+	private static function inline_text( string $html ): string {
+		$text = html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+
+		return trim( preg_replace( '/[\s\x{00A0}]+/u', ' ', $text ) );
+	}
+
+	/**
+	 * Encode text that is put back into the HTML being converted, so the
+	 * final entity decoding gives it back unchanged.
+	 *
+	 * @since  1.6.0
+	 * @param  string $text
+	 * @return string
+	 */
+	private static function encode( string $text ): string {
+		return htmlspecialchars( $text, ENT_QUOTES, 'UTF-8' );
+	}
+}
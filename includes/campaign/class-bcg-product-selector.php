@@ -3,9 +3,10 @@
  * Product selector for campaign creation.
  *
  * Provides methods to query WooCommerce products based on various sorting
- * strategies (bestsellers, least sold, latest, manual) with optional
- * category filtering. Used by the campaign wizard to select products for
- * inclusion in email campaigns.
+ * strategies (bestsellers, least sold, latest, highest margin, manual) with
+ * optional category filtering and selection rules (price range, on sale,
+ * minimum stock, tags, attributes, recently featured). Used by the campaign
+ * wizard to select products for inclusion in email campaigns.
  *
  * @package Brevo_Campaign_Generator
  * @since   1.0.0
@@ -30,7 +31,7 @@ class BCG_Product_Selector {
 	 *
 	 * @var array
 	 */
-	const VALID_SOURCES = array( 'bestsellers', 'leastsold', 'latest', 'manual' );
+	const VALID_SOURCES = array( 'bestsellers', 'leastsold', 'latest', 'margin', 'manual' );
 
 	/**
 	 * Default number of products to return.
@@ -46,6 +47,34 @@ class BCG_Product_Selector {
 	 */
 	const MAX_COUNT = 10;
 
+	/**
+	 * Number of candidate products ranked by margin.
+	 *
+	 * Margin is calculated in PHP, so the 'margin' source ranks the best
+	 * sellers among this many matching products rather than the whole
+	 * catalogue.
+	 *
+	 * @var int
+	 */
+	const MARGIN_CANDIDATES = 200;
+
+	/**
+	 * Maximum value of the "exclude products from the last N campaigns" rule.
+	 *
+	 * @var int
+	 */
+	const MAX_EXCLUDE_RECENT = 50;
+
+	/**
+	 * Product meta keys checked, in order, for a product's cost price.
+	 *
+	 * Covers WooCommerce's built-in Cost of Goods Sold and the common
+	 * cost-of-goods plugins. Filterable via 'bcg_product_cost_meta_keys'.
+	 *
+	 * @var string[]
+	 */
+	const COST_META_KEYS = array( '_cogs_total_value', '_wc_cog_cost', '_alg_wc_cog_cost', '_purchase_price' );
+
 	/**
 	 * Get WooCommerce products based on the provided configuration.
 	 *
@@ -58,9 +87,10 @@ class BCG_Product_Selector {
 	 *     Product selection configuration.
 	 *
 	 *     @type int    $count        Number of products to return (1-10). Default from settings.
-	 *     @type string $source       Selection source: 'bestsellers', 'leastsold', 'latest', or 'manual'.
+	 *     @type string $source       Selection source: 'bestsellers', 'leastsold', 'latest', 'margin' or 'manual'.
 	 *     @type array  $category_ids Optional. Array of WooCommerce category term IDs to filter by.
 	 *     @type array  $manual_ids   Optional. Array of product IDs for manual selection.
+	 *     @type array  $rules        Optional. Selection rules, see sanitise_rules(). Ignored for 'manual'.
 	 * }
 	 * @return WC_Product[] Array of WC_Product objects.
 	 */
@@ -79,6 +109,9 @@ class BCG_Product_Selector {
 			case 'latest':
 				return $this->get_latest( $config );
 
+			case 'margin':
+				return $this->get_highest_margin( $config );
+
 			case 'manual':
 				return $this->get_manual( $config );
 
@@ -237,6 +270,158 @@ class BCG_Product_Selector {
 		return $categories;
 	}
 
+	/**
+	 * Get the product tags that have products, for the tag rule.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @return array Array of tag data: 'term_id', 'name', 'count'.
+	 */
+	public function get_tags(): array {
+		$terms = get_terms(
+			array(
+				'taxonomy'   => 'product_tag',
+				'hide_empty' => true,
+				'orderby'    => 'name',
+				'order'      => 'ASC',
+			)
+		);
+
+		if ( is_wp_error( $terms ) || empty( $terms ) ) {
+			return array();
+		}
+
+		$tags = array();
+
+		foreach ( $terms as $term ) {
+			$tags[] = array(
+				'term_id' => $term->term_id,
+				'name'    => $term->name,
+				'count'   => $term->count,
+			);
+		}
+
+		return $tags;
+	}
+
+	/**
+	 * Get the global product attributes and their terms, for the attribute rule.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @return array Array of attributes: 'taxonomy', 'label', 'terms'
+	 *               (each term: 'term_id', 'name', 'count').
+	 */
+	public function get_attribute_filters(): array {
+		if ( ! function_exists( 'wc_get_attribute_taxonomies' ) ) {
+			return array();
+		}
+
+		$attributes = array();
+
+		foreach ( wc_get_attribute_taxonomies() as $attribute ) {
+			$taxonomy = wc_attribute_taxonomy_name( $attribute->attribute_name );
+			$terms    = get_terms(
+				array(
+					'taxonomy'   => $taxonomy,
+					'hide_empty' => true,
+					'orderby'    => 'name',
+					'order'      => 'ASC',
+				)
+			);
+
+			if ( is_wp_error( $terms ) || empty( $terms ) ) {
+				continue;
+			}
+
+			$attributes[] = array(
+				'taxonomy' => $taxonomy,
+				'label'    => $attribute->attribute_label,
+				'terms'    => array_map(
+					function ( $term ) {
+						return array(
+							'term_id' => $term->term_id,
+							'name'    => $term->name,
+							'count'   => $term->count,
+						);
+					},
+					$terms
+				),
+			);
+		}
+
+		return $attributes;
+	}
+
+	/**
+	 * Get the default (inactive) selection rules.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @return array
+	 */
+	public static function default_rules(): array {
+		return array(
+			'price_min'          => 0.0,
+			'price_max'          => 0.0,
+			'on_sale'            => false,
+			'min_stock'          => 0,
+			'tag_ids'            => array(),
+			'attribute_term_ids' => array(),
+			'exclude_recent'     => 0,
+		);
+	}
+
+	/**
+	 * Sanitise product selection rules.
+	 *
+	 * Every rule is optional; a zero or empty value switches it off.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param mixed $rules {
+	 *     Raw rules.
+	 *
+	 *     @type float $price_min          Minimum current price (0 = no minimum).
+	 *     @type float $price_max          Maximum current price (0 = no maximum).
+	 *     @type bool  $on_sale            Only products currently on sale.
+	 *     @type int   $min_stock          In-stock products only, with at least this many
+	 *                                     units when stock is managed (0 = no stock rule).
+	 *     @type int[] $tag_ids            Product tag term IDs (any of).
+	 *     @type int[] $attribute_term_ids Attribute term IDs (any term of each attribute,
+	 *                                     all attributes).
+	 *     @type int   $exclude_recent     Skip products featured in the last N campaigns.
+	 * }
+	 * @return array Sanitised rules with every key present.
+	 */
+	public static function sanitise_rules( $rules ): array {
+		$clean = self::default_rules();
+
+		if ( ! is_array( $rules ) ) {
+			return $clean;
+		}
+
+		$clean['price_min'] = max( 0, (float) ( $rules['price_min'] ?? 0 ) );
+		$clean['price_max'] = max( 0, (float) ( $rules['price_max'] ?? 0 ) );
+
+		// A maximum below the minimum is almost certainly swapped.
+		if ( $clean['price_max'] > 0 && $clean['price_max'] < $clean['price_min'] ) {
+			list( $clean['price_min'], $clean['price_max'] ) = array( $clean['price_max'], $clean['price_min'] );
+		}
+
+		$clean['on_sale']        = ! empty( $rules['on_sale'] ) && 'false' !== $rules['on_sale'];
+		$clean['min_stock']      = absint( $rules['min_stock'] ?? 0 );
+		$clean['exclude_recent'] = min( self::MAX_EXCLUDE_RECENT, absint( $rules['exclude_recent'] ?? 0 ) );
+
+		foreach ( array( 'tag_ids', 'attribute_term_ids' ) as $key ) {
+			if ( isset( $rules[ $key ] ) && is_array( $rules[ $key ] ) ) {
+				$clean[ $key ] = array_values( array_filter( array_map( 'absint', $rules[ $key ] ) ) );
+			}
+		}
+
+		return $clean;
+	}
+
 	// ─── Private Query Methods ────────────────────────────────────────
 
 	/**
@@ -254,7 +439,7 @@ class BCG_Product_Selector {
 		$args['order']    = 'DESC';
 		$args['meta_key'] = 'total_sales'; // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
 
-		return $this->execute_query( $args );
+		return $this->execute_query( $args, $config['rules'] );
 	}
 
 	/**
@@ -275,7 +460,7 @@ class BCG_Product_Selector {
 		$args['order']    = 'ASC';
 		$args['meta_key'] = 'total_sales'; // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
 
-		return $this->execute_query( $args );
+		return $this->execute_query( $args, $config['rules'] );
 	}
 
 	/**
@@ -292,7 +477,65 @@ class BCG_Product_Selector {
 		$args['orderby'] = 'date';
 		$args['order']   = 'DESC';
 
-		return $this->execute_query( $args );
+		return $this->execute_query( $args, $config['rules'] );
+	}
+
+	/**
+	 * Get the products with the highest margin (price minus cost).
+	 *
+	 * Ranks up to MARGIN_CANDIDATES matching products, best sellers
+	 * first, by their margin per unit. Products without a recorded cost
+	 * price are skipped because their margin is unknown.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array $config Sanitised configuration array.
+	 * @return WC_Product[] Array of WC_Product objects.
+	 */
+	private function get_highest_margin( array $config ): array {
+		$args = $this->build_base_query_args( $config );
+
+		$args['limit']    = self::MARGIN_CANDIDATES;
+		$args['orderby']  = 'meta_value_num';
+		$args['order']    = 'DESC';
+		$args['meta_key'] = 'total_sales'; // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+
+		/**
+		 * Filter the product meta keys read, in order, for a product's cost price.
+		 *
+		 * @since 1.6.0
+		 *
+		 * @param string[] $meta_keys Meta keys.
+		 */
+		$meta_keys = (array) apply_filters( 'bcg_product_cost_meta_keys', self::COST_META_KEYS );
+		$margins   = array();
+
+		foreach ( $this->execute_query( $args, $config['rules'] ) as $product ) {
+			$cost = null;
+
+			foreach ( $meta_keys as $meta_key ) {
+				$value = $product->get_meta( $meta_key, true );
+				if ( '' !== $value && is_numeric( $value ) ) {
+					$cost = (float) $value;
+					break;
+				}
+			}
+
+			if ( null === $cost || '' === $product->get_price() ) {
+				continue;
+			}
+
+			$margins[] = array(
+				'product' => $product,
+				'margin'  => (float) $product->get_price() - $cost,
+			);
+		}
+
+		usort( $margins, function ( $a, $b ) {
+			return $b['margin'] <=> $a['margin'];
+		} );
+
+		return wp_list_pluck( array_slice( $margins, 0, $config['count'] ), 'product' );
 	}
 
 	/**
@@ -330,8 +573,10 @@ class BCG_Product_Selector {
 	 * Build the base WC_Product_Query arguments.
 	 *
 	 * Sets common query parameters shared across all selection strategies,
-	 * including product status, count limit, type filter, and optional
-	 * category filtering.
+	 * including product status, count limit, type filter, optional
+	 * category filtering and the rules WC_Product_Query supports natively
+	 * (tags, on sale, recently featured). Price, stock and attribute rules
+	 * are applied in execute_query().
 	 *
 	 * @since 1.0.0
 	 *
@@ -350,9 +595,32 @@ class BCG_Product_Selector {
 			$args['category'] = $this->get_category_slugs( $config['category_ids'] );
 		}
 
+		$rules   = $config['rules'];
+		$exclude = array_map( 'absint', $config['exclude_ids'] );
+
+		// Skip products featured in the most recent campaigns.
+		if ( $rules['exclude_recent'] > 0 ) {
+			$exclude = array_merge( $exclude, ( new BCG_Campaign() )->get_recent_product_ids( $rules['exclude_recent'] ) );
+		}
+
 		// Exclude specific product IDs (used for replace-product feature).
-		if ( ! empty( $config['exclude_ids'] ) ) {
-			$args['exclude'] = array_map( 'absint', $config['exclude_ids'] );
+		if ( ! empty( $exclude ) ) {
+			$args['exclude'] = array_values( array_unique( $exclude ) );
+		}
+
+		if ( ! empty( $rules['tag_ids'] ) ) {
+			$args['tag'] = $this->get_term_slugs( $rules['tag_ids'], 'product_tag' );
+		}
+
+		if ( $rules['on_sale'] ) {
+			$on_sale = array_diff( wc_get_product_ids_on_sale(), $exclude );
+
+			// include => array( 0 ) matches nothing when no product is on sale.
+			$args['include'] = ! empty( $on_sale ) ? array_values( $on_sale ) : array( 0 );
+		}
+
+		if ( $rules['min_stock'] > 0 ) {
+			$args['stock_status'] = 'instock';
 		}
 
 		return $args;
@@ -361,18 +629,107 @@ class BCG_Product_Selector {
 	/**
 	 * Execute a WC_Product_Query and return the results.
 	 *
+	 * WC_Product_Query drops meta_query arguments, so the price, stock
+	 * and attribute rules are added to the underlying WP_Query through
+	 * the data store's documented query filter for this query only.
+	 *
 	 * @since 1.0.0
 	 *
-	 * @param array $args WC_Product_Query arguments.
+	 * @param array $args  WC_Product_Query arguments.
+	 * @param array $rules Optional. Sanitised selection rules.
 	 * @return WC_Product[] Array of WC_Product objects.
 	 */
-	private function execute_query( array $args ): array {
+	private function execute_query( array $args, array $rules = array() ): array {
+		$rules  = wp_parse_args( $rules, self::default_rules() );
+		$filter = function ( $query_args ) use ( $rules ) {
+			return $this->apply_rules_to_wp_query( $query_args, $rules );
+		};
+
+		add_filter( 'woocommerce_product_data_store_cpt_get_products_query', $filter );
+
 		$query    = new WC_Product_Query( $args );
 		$products = $query->get_products();
 
+		remove_filter( 'woocommerce_product_data_store_cpt_get_products_query', $filter );
+
 		return is_array( $products ) ? $products : array();
 	}
 
+	/**
+	 * Add the price, stock and attribute rules to WP_Query arguments.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array $query_args WP_Query arguments built by WooCommerce.
+	 * @param array $rules      Sanitised selection rules.
+	 * @return array
+	 */
+	private function apply_rules_to_wp_query( array $query_args, array $rules ): array {
+		$meta_query = array();
+
+		if ( $rules['price_min'] > 0 ) {
+			$meta_query[] = array(
+				'key'     => '_price',
+				'value'   => $rules['price_min'],
+				'compare' => '>=',
+				'type'    => 'DECIMAL(10,2)',
+			);
+		}
+
+		if ( $rules['price_max'] > 0 ) {
+			$meta_query[] = array(
+				'key'     => '_price',
+				'value'   => $rules['price_max'],
+				'compare' => '<=',
+				'type'    => 'DECIMAL(10,2)',
+			);
+		}
+
+		// Products that do not track stock only need to be in stock.
+		if ( $rules['min_stock'] > 0 ) {
+			$meta_query[] = array(
+				'relation' => 'OR',
+				array(
+					'key'   => '_manage_stock',
+					'value' => 'no',
+				),
+				array(
+					'key'     => '_stock',
+					'value'   => $rules['min_stock'],
+					'compare' => '>=',
+					'type'    => 'NUMERIC',
+				),
+			);
+		}
+
+		if ( ! empty( $meta_query ) ) {
+			$query_args['meta_query']   = $query_args['meta_query'] ?? array(); // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+			$query_args['meta_query'][] = array_merge( array( 'relation' => 'AND' ), $meta_query );
+		}
+
+		// Any term within an attribute, every attribute that has terms chosen.
+		$by_taxonomy = array();
+		foreach ( $rules['attribute_term_ids'] as $term_id ) {
+			$term = get_term( $term_id );
+			if ( $term instanceof WP_Term && taxonomy_is_product_attribute( $term->taxonomy ) ) {
+				$by_taxonomy[ $term->taxonomy ][] = $term->term_id;
+			}
+		}
+
+		if ( ! empty( $by_taxonomy ) ) {
+			$query_args['tax_query'] = $query_args['tax_query'] ?? array(); // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+			foreach ( $by_taxonomy as $taxonomy => $term_ids ) {
+				$query_args['tax_query'][] = array(
+					'taxonomy' => $taxonomy,
+					'field'    => 'term_id',
+					'terms'    => $term_ids,
+				);
+			}
+		}
+
+		return $query_args;
+	}
+
 	/**
 	 * Convert category term IDs to their corresponding slugs.
 	 *
@@ -385,10 +742,23 @@ class BCG_Product_Selector {
 	 * @return array Array of category slugs.
 	 */
 	private function get_category_slugs( array $category_ids ): array {
+		return $this->get_term_slugs( $category_ids, 'product_cat' );
+	}
+
+	/**
+	 * Convert term IDs of a taxonomy to their slugs.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array  $term_ids Array of term IDs.
+	 * @param string $taxonomy Taxonomy name.
+	 * @return array Array of term slugs.
+	 */
+	private function get_term_slugs( array $term_ids, string $taxonomy ): array {
 		$slugs = array();
 
-		foreach ( $category_ids as $term_id ) {
-			$term = get_term( absint( $term_id ), 'product_cat' );
+		foreach ( $term_ids as $term_id ) {
+			$term = get_term( absint( $term_id ), $taxonomy );
 
 			if ( $term instanceof WP_Term ) {
 				$slugs[] = $term->slug;
@@ -418,6 +788,7 @@ class BCG_Product_Selector {
 			'category_ids' => array(),
 			'manual_ids'   => array(),
 			'exclude_ids'  => array(),
+			'rules'        => array(),
 		);
 
 		$config = wp_parse_args( $config, $defaults );
@@ -451,6 +822,8 @@ class BCG_Product_Selector {
 		$config['exclude_ids'] = array_map( 'absint', $config['exclude_ids'] );
 		$config['exclude_ids'] = array_filter( $config['exclude_ids'] );
 
+		$config['rules'] = self::sanitise_rules( $config['rules'] );
+
 		return $config;
 	}
 }
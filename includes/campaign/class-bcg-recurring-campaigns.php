@@ -0,0 +1,655 @@
+<?php
+/**
+ * Recurring automated campaigns.
+ *
+ * A recurring campaign is a saved New Campaign wizard configuration with a
+ * schedule such as "every Monday at 09:00". A scheduled check runs every
+ * CHECK_INTERVAL seconds (Action Scheduler, or WP-Cron as a fallback) and
+ * adds each due configuration to the background generation queue as the
+ * user who created it, so every cycle produces a fresh campaign with its
+ * own products, copy and coupon.
+ *
+ * When the queue finishes a cycle's campaign, it is left as a local draft,
+ * created in Brevo as a draft for approval, or scheduled in Brevo to send
+ * send_delay hours after the cycle time, depending on brevo_action.
+ *
+ * Missed cycles (site offline, plugin deactivated) are not caught up: a
+ * late check runs the cycle once and schedules the next one from now.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Recurring_Campaigns
+ *
+ * Saves, schedules and runs recurring campaigns.
+ *
+ * @since 1.6.0
+ */
+class BCG_Recurring_Campaigns {
+
+	/**
+	 * Scheduled action / cron hook name.
+	 *
+	 * @var string
+	 */
+	const HOOK = 'bcg_run_recurring_campaigns';
+
+	/**
+	 * Action Scheduler group.
+	 *
+	 * @var string
+	 */
+	const GROUP = 'bcg';
+
+	/**
+	 * Seconds between checks for due recurring campaigns.
+	 *
+	 * @var int
+	 */
+	const CHECK_INTERVAL = 15 * MINUTE_IN_SECONDS;
+
+	/**
+	 * WP-Cron schedule name used when Action Scheduler is unavailable.
+	 *
+	 * @var string
+	 */
+	const CRON_SCHEDULE = 'bcg_fifteen_minutes';
+
+	/**
+	 * Transient used to stop overlapping checks.
+	 *
+	 * @var string
+	 */
+	const LOCK_KEY = 'bcg_recurring_lock';
+
+	/**
+	 * Valid schedule frequencies.
+	 *
+	 * @var string[]
+	 */
+	const FREQUENCIES = array( 'daily', 'weekly', 'monthly' );
+
+	/**
+	 * What to do in Brevo once a cycle's campaign is generated.
+	 *
+	 * 'none' keeps it as a local draft, 'draft' creates it in Brevo for
+	 * approval, 'schedule' creates and schedules it.
+	 *
+	 * @var string[]
+	 */
+	const BREVO_ACTIONS = array( 'none', 'draft', 'schedule' );
+
+	/**
+	 * Maximum delay, in hours, between a cycle and its scheduled send.
+	 *
+	 * @var int
+	 */
+	const MAX_SEND_DELAY = 168;
+
+	/**
+	 * Constructor. Registers the check and queue completion hooks.
+	 *
+	 * @since 1.6.0
+	 */
+	public function __construct() {
+		add_action( self::HOOK, array( $this, 'run_due' ) );
+		add_action( 'bcg_generation_queue_item_finished', array( $this, 'handle_item_finished' ), 10, 5 );
+		add_filter( 'cron_schedules', array( $this, 'add_cron_schedule' ) ); // phpcs:ignore WordPress.WP.CronInterval.ChangeDetected
+	}
+
+	/**
+	 * Register the CHECK_INTERVAL WP-Cron schedule.
+	 *
+	 * @since  1.6.0
+	 * @param  array $schedules Registered cron schedules.
+	 * @return array
+	 */
+	public function add_cron_schedule( array $schedules ): array {
+		$schedules[ self::CRON_SCHEDULE ] = array(
+			'interval' => self::CHECK_INTERVAL,
+			'display'  => __( 'Every 15 minutes (Brevo Campaign Generator)', 'brevo-campaign-generator' ),
+		);
+
+		return $schedules;
+	}
+
+	/**
+	 * Sanitise schedule settings.
+	 *
+	 * @since  1.6.0
+	 * @param  array $input {
+	 *     Raw schedule settings.
+	 *
+	 *     @type string $frequency    'daily', 'weekly' or 'monthly'.
+	 *     @type int    $weekday      Day of the week for weekly runs, 0 (Sunday) to 6.
+	 *     @type int    $month_day    Day of the month for monthly runs, 1 to 28.
+	 *     @type string $run_time     Time of day in site time, 'HH:MM'.
+	 *     @type string $brevo_action 'none', 'draft' or 'schedule'.
+	 *     @type int    $send_delay   Hours between the cycle time and the scheduled send.
+	 * }
+	 * @return array Sanitised schedule with every key present.
+	 */
+	public static function sanitise_schedule( array $input ): array {
+		$frequency    = sanitize_key( (string) ( $input['frequency'] ?? '' ) );
+		$brevo_action = sanitize_key( (string) ( $input['brevo_action'] ?? '' ) );
+		$run_time     = (string) ( $input['run_time'] ?? '' );
+
+		return array(
+			'frequency'    => in_array( $frequency, self::FREQUENCIES, true ) ? $frequency : 'weekly',
+			'weekday'      => min( 6, absint( $input['weekday'] ?? 1 ) ),
+			'month_day'    => max( 1, min( 28, absint( $input['month_day'] ?? 1 ) ) ),
+			'run_time'     => preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $run_time ) ? $run_time : '09:00',
+			'brevo_action' => in_array( $brevo_action, self::BREVO_ACTIONS, true ) ? $brevo_action : 'draft',
+			'send_delay'   => max( 1, min( self::MAX_SEND_DELAY, absint( $input['send_delay'] ?? 1 ) ) ),
+		);
+	}
+
+	/**
+	 * Work out the first run time strictly after a moment.
+	 *
+	 * Times are interpreted in the site's timezone, so "09:00" stays 09:00
+	 * across daylight saving changes.
+	 *
+	 * @since  1.6.0
+	 * @param  array $schedule Sanitised schedule.
+	 * @param  int   $after    Unix timestamp.
+	 * @return int Unix timestamp of the next run.
+	 */
+	public static function next_run( array $schedule, int $after ): int {
+		list( $hour, $minute ) = array_map( 'intval', explode( ':', $schedule['run_time'] ) );
+
+		$now  = ( new \DateTimeImmutable( '@' . $after ) )->setTimezone( wp_timezone() );
+		$next = $now->setTime( $hour, $minute );
+
+		switch ( $schedule['frequency'] ) {
+			case 'daily':
+				if ( $next <= $now ) {
+					$next = $next->modify( '+1 day' );
+				}
+				break;
+
+			case 'monthly':
+				$next = $next->setDate( (int) $now->format( 'Y' ), (int) $now->format( 'n' ), $schedule['month_day'] );
+				// month_day is capped at 28, so +1 month never skips a month.
+				if ( $next <= $now ) {
+					$next = $next->modify( '+1 month' );
+				}
+				break;
+
+			default: // Weekly.
+				$days = ( $schedule['weekday'] - (int) $now->format( 'w' ) + 7 ) % 7;
+				$next = $next->modify( '+' . $days . ' days' );
+				if ( $next <= $now ) {
+					$next = $next->modify( '+7 days' );
+				}
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Create or update a recurring campaign.
+	 *
+	 * Each cycle generates one campaign, so the wizard's campaign count,
+	 * variations and current step are not stored.
+	 *
+	 * @since  1.6.0
+	 * @param  int    $user_id  Owner; generation credits are charged to them.
+	 * @param  string $name     Display name.
+	 * @param  array  $state    Raw wizard state (see BCG_Wizard_Drafts::sanitise_state()).
+	 * @param  array  $schedule Raw schedule (see sanitise_schedule()).
+	 * @param  int    $id       Existing recurring campaign to update, or 0 to create one.
+	 * @return int|\WP_Error Recurring campaign ID on success.
+	 */
+	public function save( int $user_id, string $name, array $state, array $schedule, int $id = 0 ): int|\WP_Error {
+		$state    = BCG_Wizard_Drafts::sanitise_state( $state );
+		$schedule = self::sanitise_schedule( $schedule );
+		$name     = sanitize_text_field( $name );
+
+		unset( $state['step'], $state['campaign_count'], $state['variations'] );
+
+		if ( '' === $name ) {
+			$name = $state['campaign_title'] ?? '';
+		}
+
+		if ( '' === $name ) {
+			return new \WP_Error( 'bcg_recurring_name', __( 'Please give the recurring campaign a name.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( 'manual' === ( $state['product_source'] ?? '' ) && empty( $state['manual_product_ids'] ) ) {
+			return new \WP_Error( 'bcg_recurring_products', __( 'Please select at least one product for manual selection.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( 'none' !== $schedule['brevo_action'] && empty( $state['mailing_list_id'] ) ) {
+			return new \WP_Error( 'bcg_recurring_list', __( 'Choose a mailing list so each campaign can be created in Brevo.', 'brevo-campaign-generator' ) );
+		}
+
+		$data = array_merge(
+			$schedule,
+			array(
+				'name'  => $name,
+				'state' => $state,
+			)
+		);
+
+		if ( $id ) {
+			$existing = $this->get_owned( $id, $user_id );
+			if ( is_wp_error( $existing ) ) {
+				return $existing;
+			}
+
+			if ( 'active' === $existing->status ) {
+				$data['next_run_at'] = self::to_mysql( self::next_run( $schedule, time() ) );
+			}
+
+			$result = BCG_Recurring_Campaigns_Table::update( $id, $data );
+		} else {
+			$data['status']      = 'active';
+			$data['next_run_at'] = self::to_mysql( self::next_run( $schedule, time() ) );
+
+			$result = BCG_Recurring_Campaigns_Table::insert( $user_id, $data );
+			$id     = is_wp_error( $result ) ? 0 : $result;
+		}
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$this->ensure_scheduled();
+
+		return $id;
+	}
+
+	/**
+	 * Get a recurring campaign's stored wizard state for editing.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id      Recurring campaign ID.
+	 * @param  int $user_id User it must belong to.
+	 * @return array|\WP_Error Item as returned by get_items(), plus 'state' and 'schedule'.
+	 */
+	public function get_for_editing( int $id, int $user_id ): array|\WP_Error {
+		$row = $this->get_owned( $id, $user_id );
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		$state = json_decode( (string) $row->state, true );
+
+		return array_merge(
+			$this->format_item( $row ),
+			array(
+				'state'    => is_array( $state ) ? $state : array(),
+				'schedule' => self::sanitise_schedule( (array) $row ),
+			)
+		);
+	}
+
+	/**
+	 * Pause or resume a recurring campaign.
+	 *
+	 * Resuming schedules the next run from now; cycles missed while
+	 * paused are skipped.
+	 *
+	 * @since  1.6.0
+	 * @param  int    $id      Recurring campaign ID.
+	 * @param  int    $user_id User it must belong to.
+	 * @param  string $status  'active' or 'paused'.
+	 * @return bool|\WP_Error
+	 */
+	public function set_status( int $id, int $user_id, string $status ): bool|\WP_Error {
+		$row = $this->get_owned( $id, $user_id );
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		if ( 'active' === $status ) {
+			$result = BCG_Recurring_Campaigns_Table::update( $id, array(
+				'status'      => 'active',
+				'next_run_at' => self::to_mysql( self::next_run( self::sanitise_schedule( (array) $row ), time() ) ),
+			) );
+
+			$this->ensure_scheduled();
+
+			return $result;
+		}
+
+		return BCG_Recurring_Campaigns_Table::update( $id, array(
+			'status'      => 'paused',
+			'next_run_at' => null,
+		) );
+	}
+
+	/**
+	 * Run a cycle now without changing the schedule.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id      Recurring campaign ID.
+	 * @param  int $user_id User it must belong to.
+	 * @return bool|\WP_Error
+	 */
+	public function run_now( int $id, int $user_id ): bool|\WP_Error {
+		$row = $this->get_owned( $id, $user_id );
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		return $this->start_cycle( $row, time() );
+	}
+
+	/**
+	 * Delete a recurring campaign. Campaigns it generated are kept.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id      Recurring campaign ID.
+	 * @param  int $user_id User it must belong to.
+	 * @return bool|\WP_Error
+	 */
+	public function delete( int $id, int $user_id ): bool|\WP_Error {
+		$row = $this->get_owned( $id, $user_id );
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		return BCG_Recurring_Campaigns_Table::delete( $id );
+	}
+
+	/**
+	 * Get a user's recurring campaigns prepared for display.
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @return array[]
+	 */
+	public function get_items( int $user_id ): array {
+		return array_map( array( $this, 'format_item' ), BCG_Recurring_Campaigns_Table::get_for_user( $user_id ) );
+	}
+
+	/**
+	 * Schedule the periodic check unless it is already scheduled.
+	 *
+	 * Called when a recurring campaign is saved or resumed and when the
+	 * dashboard renders, so the check resumes on its own after the plugin
+	 * is re-activated.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function ensure_scheduled(): void {
+		if ( function_exists( 'as_schedule_recurring_action' ) && function_exists( 'as_has_scheduled_action' ) ) {
+			if ( ! as_has_scheduled_action( self::HOOK, array(), self::GROUP ) ) {
+				as_schedule_recurring_action( time(), self::CHECK_INTERVAL, self::HOOK, array(), self::GROUP );
+			}
+			return;
+		}
+
+		if ( ! wp_next_scheduled( self::HOOK ) ) {
+			wp_schedule_event( time(), self::CRON_SCHEDULE, self::HOOK );
+		}
+	}
+
+	/**
+	 * Start every due cycle.
+	 *
+	 * Hooked to HOOK. Only queues the generation, so the check itself is
+	 * quick however many recurring campaigns are due.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	public function run_due(): void {
+		if ( get_transient( self::LOCK_KEY ) ) {
+			return;
+		}
+
+		set_transient( self::LOCK_KEY, time(), 5 * MINUTE_IN_SECONDS );
+
+		foreach ( BCG_Recurring_Campaigns_Table::get_due( current_time( 'mysql' ) ) as $row ) {
+			$run_at = self::from_mysql( $row->next_run_at );
+
+			// Advance first so a failing cycle is not retried every check.
+			BCG_Recurring_Campaigns_Table::update( (int) $row->id, array(
+				'next_run_at' => self::to_mysql( self::next_run( self::sanitise_schedule( (array) $row ), time() ) ),
+			) );
+
+			$this->start_cycle( $row, $run_at );
+		}
+
+		delete_transient( self::LOCK_KEY );
+	}
+
+	/**
+	 * Apply the Brevo action once a cycle's campaign has been generated.
+	 *
+	 * Hooked to 'bcg_generation_queue_item_finished', which fires as the
+	 * user who owns the recurring campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  int    $item_id     Queue item ID.
+	 * @param  string $status      'complete', 'failed' or 'cancelled'.
+	 * @param  int    $campaign_id Generated campaign ID.
+	 * @param  array  $config      The item's generation config.
+	 * @param  string $error       Error message when not complete.
+	 * @return void
+	 */
+	public function handle_item_finished( int $item_id, string $status, int $campaign_id, array $config, string $error ): void {
+		$recurring_id = absint( $config['recurring_id'] ?? 0 );
+		if ( ! $recurring_id ) {
+			return;
+		}
+
+		// Deleted while the cycle was generating; the campaign stays a local draft.
+		$row = BCG_Recurring_Campaigns_Table::get( $recurring_id );
+		if ( is_wp_error( $row ) ) {
+			return;
+		}
+
+		$data = array(
+			'last_status'      => $status,
+			'last_campaign_id' => $campaign_id ? $campaign_id : null,
+			'last_error'       => '' !== $error ? $error : null,
+		);
+
+		if ( 'complete' === $status ) {
+			$published = $this->publish( $row, $campaign_id, absint( $config['recurring_run_at'] ?? 0 ) );
+
+			if ( is_wp_error( $published ) ) {
+				$data['last_error'] = sprintf(
+					/* translators: %s: error message from Brevo */
+					__( 'The campaign was generated but could not be sent to Brevo: %s', 'brevo-campaign-generator' ),
+					$published->get_error_message()
+				);
+			}
+		}
+
+		BCG_Recurring_Campaigns_Table::update( $recurring_id, $data );
+	}
+
+	/**
+	 * Queue one cycle's campaign for generation.
+	 *
+	 * The campaign title gets the cycle date so each cycle's campaign is
+	 * easy to tell apart in the dashboard and in Brevo.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $row    Recurring campaign row.
+	 * @param  int       $run_at Cycle time (Unix timestamp).
+	 * @return bool|\WP_Error
+	 */
+	private function start_cycle( \stdClass $row, int $run_at ): bool|\WP_Error {
+		$user_id = (int) $row->user_id;
+		$state   = json_decode( (string) $row->state, true );
+		$queue   = BCG_Plugin::get_instance()->get_generation_queue();
+
+		if ( ! user_can( $user_id, BCG_Admin::CAPABILITY ) ) {
+			$result = new \WP_Error( 'bcg_forbidden', __( 'The user who created this recurring campaign can no longer generate campaigns.', 'brevo-campaign-generator' ) );
+		} elseif ( ! is_array( $state ) ) {
+			$result = new \WP_Error( 'bcg_recurring_state', __( 'The saved campaign settings could not be read.', 'brevo-campaign-generator' ) );
+		} else {
+			$config = BCG_Campaign_Generator::normalise_config( $state );
+
+			$config['title'] = sprintf(
+				/* translators: 1: campaign title or recurring campaign name, 2: cycle date */
+				__( '%1$s — %2$s', 'brevo-campaign-generator' ),
+				'' !== $config['title'] ? $config['title'] : $row->name,
+				wp_date( get_option( 'date_format' ), $run_at )
+			);
+			$config['recurring_id']     = (int) $row->id;
+			$config['recurring_run_at'] = $run_at;
+
+			$result = $queue->enqueue( array( $config ), $user_id );
+		}
+
+		BCG_Recurring_Campaigns_Table::update( (int) $row->id, array(
+			'last_run_at'      => current_time( 'mysql' ),
+			'last_status'      => is_wp_error( $result ) ? 'failed' : 'queued',
+			'last_campaign_id' => null,
+			'last_error'       => is_wp_error( $result ) ? $result->get_error_message() : null,
+			'run_count'        => (int) $row->run_count + 1,
+		) );
+
+		return is_wp_error( $result ) ? $result : true;
+	}
+
+	/**
+	 * Create or schedule a generated campaign in Brevo.
+	 *
+	 * A scheduled send is never set less than ten minutes ahead, in case
+	 * generation finished after the intended send time.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $row         Recurring campaign row.
+	 * @param  int       $campaign_id Generated campaign ID.
+	 * @param  int       $run_at      Cycle time (Unix timestamp).
+	 * @return bool|\WP_Error
+	 */
+	private function publish( \stdClass $row, int $campaign_id, int $run_at ): bool|\WP_Error {
+		$publisher = new BCG_Campaign_Publisher();
+
+		switch ( $row->brevo_action ) {
+			case 'draft':
+				$result = $publisher->create_in_brevo( $campaign_id );
+				break;
+
+			case 'schedule':
+				$send_at = max(
+					( $run_at ? $run_at : time() ) + (int) $row->send_delay * HOUR_IN_SECONDS,
+					time() + 10 * MINUTE_IN_SECONDS
+				);
+				$result  = $publisher->schedule( $campaign_id, $send_at );
+				break;
+
+			default:
+				return true;
+		}
+
+		return is_wp_error( $result ) ? $result : true;
+	}
+
+	/**
+	 * Prepare a row for the dashboard.
+	 *
+	 * @since  1.6.0
+	 * @param  \stdClass $row Recurring campaign row.
+	 * @return array
+	 */
+	private function format_item( \stdClass $row ): array {
+		$datetime_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$brevo_labels    = array(
+			'none'     => __( 'Keep as draft here', 'brevo-campaign-generator' ),
+			'draft'    => __( 'Create in Brevo for approval', 'brevo-campaign-generator' ),
+			'schedule' => sprintf(
+				/* translators: %d: hours after the cycle */
+				_n( 'Schedule in Brevo %d hour later', 'Schedule in Brevo %d hours later', (int) $row->send_delay, 'brevo-campaign-generator' ),
+				(int) $row->send_delay
+			),
+		);
+
+		return array(
+			'id'           => (int) $row->id,
+			'name'         => $row->name,
+			'status'       => $row->status,
+			'schedule'     => self::describe_schedule( self::sanitise_schedule( (array) $row ) ),
+			'brevo_action' => $brevo_labels[ $row->brevo_action ] ?? '',
+			'next_run'     => $row->next_run_at ? wp_date( $datetime_format, self::from_mysql( $row->next_run_at ) ) : '',
+			'last_run'     => $row->last_run_at ? wp_date( $datetime_format, self::from_mysql( $row->last_run_at ) ) : '',
+			'last_status'  => $row->last_status,
+			'last_error'   => (string) $row->last_error,
+			'last_url'     => $row->last_campaign_id ? admin_url( 'admin.php?page=bcg-edit-campaign&campaign_id=' . (int) $row->last_campaign_id ) : '',
+			'run_count'    => (int) $row->run_count,
+			'edit_url'     => admin_url( 'admin.php?page=bcg-new-campaign&recurring_id=' . (int) $row->id ),
+		);
+	}
+
+	/**
+	 * Describe a schedule in words, e.g. "Every Monday at 09:00".
+	 *
+	 * @since  1.6.0
+	 * @param  array $schedule Sanitised schedule.
+	 * @return string
+	 */
+	public static function describe_schedule( array $schedule ): string {
+		global $wp_locale;
+
+		switch ( $schedule['frequency'] ) {
+			case 'daily':
+				/* translators: %s: time of day */
+				return sprintf( __( 'Every day at %s', 'brevo-campaign-generator' ), $schedule['run_time'] );
+
+			case 'monthly':
+				/* translators: 1: day of the month, 2: time of day */
+				return sprintf( __( 'Monthly on day %1$d at %2$s', 'brevo-campaign-generator' ), $schedule['month_day'], $schedule['run_time'] );
+
+			default:
+				/* translators: 1: weekday name, 2: time of day */
+				return sprintf( __( 'Every %1$s at %2$s', 'brevo-campaign-generator' ), $wp_locale->get_weekday( $schedule['weekday'] ), $schedule['run_time'] );
+		}
+	}
+
+	/**
+	 * Fetch a recurring campaign and check it belongs to the given user.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id      Recurring campaign ID.
+	 * @param  int $user_id User ID.
+	 * @return \stdClass|\WP_Error
+	 */
+	private function get_owned( int $id, int $user_id ): \stdClass|\WP_Error {
+		$row = BCG_Recurring_Campaigns_Table::get( $id );
+
+		if ( is_wp_error( $row ) || (int) $row->user_id !== $user_id ) {
+			return new \WP_Error( 'bcg_not_found', __( 'Recurring campaign not found.', 'brevo-campaign-generator' ) );
+		}
+
+		return $row;
+	}
+
+	/**
+	 * Format a timestamp as a MySQL datetime in site time.
+	 *
+	 * @since  1.6.0
+	 * @param  int $timestamp Unix timestamp.
+	 * @return string
+	 */
+	private static function to_mysql( int $timestamp ): string {
+		return wp_date( 'Y-m-d H:i:s', $timestamp );
+	}
+
+	/**
+	 * Parse a MySQL datetime in site time.
+	 *
+	 * @since  1.6.0
+	 * @param  string $datetime MySQL datetime.
+	 * @return int Unix timestamp.
+	 */
+	private static function from_mysql( string $datetime ): int {
+		return ( new \DateTimeImmutable( $datetime, wp_timezone() ) )->getTimestamp();
+	}
+}
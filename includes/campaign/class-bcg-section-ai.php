@@ -24,11 +24,27 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BCG_Section_AI {
 
+	/**
+	 * Tones a section can use instead of the toolbar tone.
+	 *
+	 * @var string[]
+	 */
+	const TONES = array( 'Professional', 'Friendly', 'Urgent', 'Playful', 'Luxury' );
+
+	/**
+	 * Longest per-section instruction sent to the AI, in characters.
+	 *
+	 * @var int
+	 */
+	const MAX_INSTRUCTIONS_LENGTH = 500;
+
 	/**
 	 * Generate AI content for a single section.
 	 *
 	 * Dispatches to the appropriate generation method based on section type
 	 * and merges the generated values into the section's settings array.
+	 * A section's own _ai_tone and _ai_instructions settings take precedence
+	 * over the campaign tone and are added to the campaign prompt.
 	 *
 	 * @since  1.5.0
 	 *
@@ -45,7 +61,14 @@ class BCG_Section_AI {
 			$openai->set_campaign_prompt( $context['prompt'] );
 		}
 
-		$tone     = sanitize_text_field( $context['tone'] ?? 'Professional' );
+		$instructions = trim( mb_substr( (string) ( $settings['_ai_instructions'] ?? '' ), 0, self::MAX_INSTRUCTIONS_LENGTH ) );
+		if ( '' !== $instructions ) {
+			$openai->set_section_instructions( $instructions );
+		}
+
+		$tone     = in_array( $settings['_ai_tone'] ?? '', self::TONES, true )
+			? $settings['_ai_tone']
+			: sanitize_text_field( $context['tone'] ?? 'Professional' );
 		$language = sanitize_text_field( $context['language'] ?? 'English' );
 
 		switch ( $type ) {
@@ -93,11 +116,29 @@ class BCG_Section_AI {
 	 *
 	 * @since  1.5.0
 	 *
-	 * @param  array $sections Array of section objects (each with 'id', 'type', 'settings').
-	 * @param  array $context  Campaign context array.
+	 * @param  array         $sections    Array of section objects (each with 'id', 'type', 'settings').
+	 * @param  array         $context     Campaign context array.
+	 * @param  callable|null $on_progress Optional. Called after each AI section with
+	 *                                    ( int $done, int $total, string $label, string $error ).
+	 * @param  callable|null $should_stop Optional. Checked before each AI section; returning
+	 *                                    true leaves the remaining sections untouched.
 	 * @return array Updated sections array. Individual WP_Errors are stored in settings['_ai_error'].
 	 */
-	public static function generate_all( array $sections, array $context ): array {
+	public static function generate_all( array $sections, array $context, ?callable $on_progress = null, ?callable $should_stop = null ): array {
+		$total = 0;
+		foreach ( $sections as $section ) {
+			$type_def = BCG_Section_Registry::get( $section['type'] ?? '' );
+			if ( $type_def && ! empty( $type_def['has_ai'] ) ) {
+				++$total;
+			}
+		}
+
+		if ( $on_progress ) {
+			call_user_func( $on_progress, 0, $total, '', '' );
+		}
+
+		$done = 0;
+
 		foreach ( $sections as &$section ) {
 			$type     = $section['type'] ?? '';
 			$type_def = BCG_Section_Registry::get( $type );
@@ -106,14 +147,24 @@ class BCG_Section_AI {
 				continue;
 			}
 
+			if ( $should_stop && call_user_func( $should_stop ) ) {
+				break;
+			}
+
 			$result = self::generate( $type, $section['settings'] ?? array(), $context );
+			$error  = '';
 
 			if ( is_wp_error( $result ) ) {
 				// Store the error message in settings so JS can surface it.
-				$section['settings']['_ai_error'] = $result->get_error_message();
+				$error = $result->get_error_message();
+				$section['settings']['_ai_error'] = $error;
 			} else {
 				$section['settings'] = $result;
 			}
+
+			if ( $on_progress ) {
+				call_user_func( $on_progress, ++$done, $total, (string) ( $type_def['label'] ?? $type ), $error );
+			}
 		}
 		unset( $section );
 
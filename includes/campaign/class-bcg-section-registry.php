@@ -111,6 +111,7 @@ class BCG_Section_Registry {
 				'has_ai' => false,
 				'fields' => array(
 					array( 'key' => 'logo_url',    'label' => __( 'Logo URL', 'brevo-campaign-generator' ),        'type' => 'image',  'default' => '' ),
+					array( 'key' => 'logo_alt_text', 'label' => __( 'Logo Alt Text', 'brevo-campaign-generator' ), 'type' => 'text',   'default' => '' ),
 					array( 'key' => 'logo_width',  'label' => __( 'Logo Width (px)', 'brevo-campaign-generator' ), 'type' => 'range', 'default' => 180, 'min' => 50, 'max' => 400, 'step' => 5 ),
 					array( 'key' => 'bg_color',    'label' => __( 'Background Colour', 'brevo-campaign-generator' ), 'type' => 'color',  'default' => '#ffffff' ),
 					array( 'key' => 'show_nav',    'label' => __( 'Show Navigation', 'brevo-campaign-generator' ),  'type' => 'toggle', 'default' => false ),
@@ -153,6 +154,7 @@ class BCG_Section_Registry {
 				'has_ai' => true,
 				'fields' => array(
 					array( 'key' => 'image_url',       'label' => __( 'Image URL', 'brevo-campaign-generator' ),             'type' => 'image',  'default' => '' ),
+					array( 'key' => 'image_alt_text',  'label' => __( 'Image Alt Text', 'brevo-campaign-generator' ),        'type' => 'text',   'default' => '' ),
 					array( 'key' => 'image_side',      'label' => __( 'Image Side', 'brevo-campaign-generator' ),            'type' => 'select', 'default' => 'right',
 						'options' => array(
 							array( 'value' => 'right', 'label' => __( 'Right', 'brevo-campaign-generator' ) ),
@@ -183,7 +185,7 @@ class BCG_Section_Registry {
 				'fields' => array(
 					array( 'key' => 'heading',        'label' => __( 'Heading', 'brevo-campaign-generator' ),               'type' => 'text',     'default' => '' ),
 					array( 'key' => 'heading_size',   'label' => __( 'Heading Size (px)', 'brevo-campaign-generator' ),     'type' => 'range',    'default' => 22, 'min' => 14, 'max' => 48, 'step' => 1 ),
-					array( 'key' => 'body',           'label' => __( 'Body Text', 'brevo-campaign-generator' ),             'type' => 'textarea', 'default' => 'Add your text content here.' ),
+					array( 'key' => 'body',           'label' => __( 'Body Text', 'brevo-campaign-generator' ),             'type' => 'richtext', 'default' => 'Add your text content here.' ),
 					array( 'key' => 'text_color',     'label' => __( 'Text Colour', 'brevo-campaign-generator' ),           'type' => 'color',    'default' => '#333333' ),
 					array( 'key' => 'bg_color',       'label' => __( 'Background Colour', 'brevo-campaign-generator' ),     'type' => 'color',    'default' => '#ffffff' ),
 					array( 'key' => 'font_size',      'label' => __( 'Font Size (px)', 'brevo-campaign-generator' ),        'type' => 'range',    'default' => 15, 'min' => 10, 'max' => 28, 'step' => 1 ),
@@ -266,7 +268,7 @@ class BCG_Section_Registry {
 					array( 'key' => 'text_color',        'label' => __( 'Text Colour', 'brevo-campaign-generator' ),          'type' => 'color',    'default' => '#ffffff' ),
 					array( 'key' => 'heading',           'label' => __( 'Heading', 'brevo-campaign-generator' ),              'type' => 'text',     'default' => 'Special Offer!' ),
 					array( 'key' => 'heading_font_size', 'label' => __( 'Heading Font Size (px)', 'brevo-campaign-generator' ), 'type' => 'range', 'default' => 26, 'min' => 14, 'max' => 48, 'step' => 1 ),
-					array( 'key' => 'subtext',           'label' => __( 'Subtext', 'brevo-campaign-generator' ),              'type' => 'textarea', 'default' => 'Don\'t miss out on this limited time deal.' ),
+					array( 'key' => 'subtext',           'label' => __( 'Subtext', 'brevo-campaign-generator' ),              'type' => 'richtext', 'default' => 'Don\'t miss out on this limited time deal.' ),
 					array( 'key' => 'subtext_font_size', 'label' => __( 'Subtext Font Size (px)', 'brevo-campaign-generator' ), 'type' => 'range', 'default' => 15, 'min' => 10, 'max' => 24, 'step' => 1 ),
 					array( 'key' => 'text_align',        'label' => __( 'Text Alignment', 'brevo-campaign-generator' ),       'type' => 'select',   'default' => 'center',
 						'options' => array(
@@ -288,7 +290,7 @@ class BCG_Section_Registry {
 				'fields' => array(
 					array( 'key' => 'heading',            'label' => __( 'Heading', 'brevo-campaign-generator' ),              'type' => 'text',     'default' => 'Ready to shop?' ),
 					array( 'key' => 'heading_font_size',  'label' => __( 'Heading Font Size (px)', 'brevo-campaign-generator' ), 'type' => 'range',  'default' => 26, 'min' => 14, 'max' => 48, 'step' => 1 ),
-					array( 'key' => 'subtext',            'label' => __( 'Subtext', 'brevo-campaign-generator' ),              'type' => 'textarea', 'default' => 'Click below to explore our collection.' ),
+					array( 'key' => 'subtext',            'label' => __( 'Subtext', 'brevo-campaign-generator' ),              'type' => 'richtext', 'default' => 'Click below to explore our collection.' ),
 					array( 'key' => 'subtext_font_size',  'label' => __( 'Subtext Font Size (px)', 'brevo-campaign-generator' ), 'type' => 'range',  'default' => 15, 'min' => 10, 'max' => 24, 'step' => 1 ),
 					array( 'key' => 'button_text',        'label' => __( 'Button Text', 'brevo-campaign-generator' ),          'type' => 'text',     'default' => 'Shop Now' ),
 					array( 'key' => 'button_url',         'label' => __( 'Button URL', 'brevo-campaign-generator' ),           'type' => 'text',     'default' => '' ),
@@ -532,6 +534,7 @@ class BCG_Section_Registry {
 					array( 'key' => 'heading',      'label' => __( 'Heading', 'brevo-campaign-generator' ),                 'type' => 'text',   'default' => 'Follow Us' ),
 					array( 'key' => 'social_links', 'label' => __( 'Social Links', 'brevo-campaign-generator' ),            'type' => 'links',  'default' => '[{"label":"Facebook","url":""},{"label":"Instagram","url":""},{"label":"Twitter","url":""},{"label":"TikTok","url":""}]' ),
 					array( 'key' => 'logo_url',     'label' => __( 'Logo (optional)', 'brevo-campaign-generator' ),         'type' => 'image',  'default' => '' ),
+					array( 'key' => 'logo_alt_text', 'label' => __( 'Logo Alt Text', 'brevo-campaign-generator' ),          'type' => 'text',   'default' => '' ),
 					array( 'key' => 'logo_link',    'label' => __( 'Logo Link URL', 'brevo-campaign-generator' ),           'type' => 'text',   'default' => '' ),
 					array(
 						'key'     => 'logo_side',
@@ -6,6 +6,9 @@
  * complete, email-client-safe HTML using table-based layout with fully
  * inlined CSS. No class names or external stylesheets in the output.
  *
+ * admin/js/bcg-section-renderer.js renders the same HTML in the browser for
+ * Section Builder previews. Keep the two in step when changing any output.
+ *
  * @package Brevo_Campaign_Generator
  * @since   1.5.0
  */
@@ -38,6 +41,45 @@ class BCG_Section_Renderer {
 	 */
 	const FONT_FAMILY = "Arial, 'Helvetica Neue', Helvetica, sans-serif";
 
+	/**
+	 * Prefix of the HTML comment written before each section.
+	 *
+	 * Marks section boundaries so previews can address a single section;
+	 * see add_section_attributes().
+	 *
+	 * @var string
+	 */
+	const SECTION_MARKER = 'bcg-section:';
+
+	/**
+	 * Tags kept in rich text settings.
+	 *
+	 * @var string[]
+	 */
+	const RICHTEXT_TAGS = array( 'strong', 'em', 'a', 'p', 'ul', 'ol', 'li', 'br' );
+
+	/**
+	 * Tags read as one of RICHTEXT_TAGS: editors write <b> and <i>, and
+	 * browsers wrap new lines in <div>.
+	 *
+	 * @var array<string, string>
+	 */
+	const RICHTEXT_ALIASES = array( 'b' => 'strong', 'i' => 'em', 'div' => 'p' );
+
+	/**
+	 * Inline styles written on rich text tags, as email clients differ in
+	 * their default link, paragraph and list spacing.
+	 *
+	 * @var array<string, string>
+	 */
+	const RICHTEXT_STYLES = array(
+		'a'  => 'color:inherit;text-decoration:underline;',
+		'p'  => 'margin:0 0 12px;padding:0;',
+		'ul' => 'margin:0 0 12px;padding:0 0 0 24px;',
+		'ol' => 'margin:0 0 12px;padding:0 0 0 24px;',
+		'li' => 'margin:0 0 4px;padding:0;',
+	);
+
 	/**
 	 * Render an array of sections to a full email HTML string.
 	 *
@@ -58,12 +100,196 @@ class BCG_Section_Renderer {
 			}
 			$type     = sanitize_key( $section['type'] );
 			$settings = is_array( $section['settings'] ) ? $section['settings'] : array();
+			$id       = sanitize_key( (string) ( $section['id'] ?? '' ) );
+			if ( '' !== $id ) {
+				$sections_html .= '<!-- ' . self::SECTION_MARKER . $id . " -->\n";
+			}
 			$sections_html .= self::render_section( $type, $settings, $max_width, $font_family );
 		}
 
 		return self::wrap_in_email_shell( $sections_html, $max_width, $font_family, $store_url );
 	}
 
+	/**
+	 * Add data-bcg-section attributes to the root table of each section.
+	 *
+	 * Preview only: gives every rendered section an addressable element so
+	 * preview iframes can patch one section instead of rewriting the whole
+	 * document. Sections that render nothing get no attribute.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html HTML from render_sections().
+	 * @return string HTML with data attributes added.
+	 */
+	public static function add_section_attributes( string $html ): string {
+		return preg_replace(
+			'/(<!-- ' . preg_quote( self::SECTION_MARKER, '/' ) . '([a-z0-9_\-]+) -->\s*)<table\b/',
+			'$1<table data-bcg-section="$2"',
+			$html
+		);
+	}
+
+	/**
+	 * Escape a link address, keeping Brevo's link tags.
+	 *
+	 * esc_url() strips braces and spaces, which turns {{ unsubscribe }} into
+	 * http://unsubscribe. Brevo's unsubscribe, mirror and update profile tags
+	 * are written as Brevo expects them instead, and the {{unsubscribe_url}}
+	 * placeholder used by footer links becomes {{ unsubscribe }}.
+	 *
+	 * @since  1.6.0
+	 * @param  string $url Link address.
+	 * @return string Escaped address or Brevo tag.
+	 */
+	public static function esc_link_url( string $url ): string {
+		if ( preg_match( '/^\s*\{\{\s*(unsubscribe|unsubscribe_url|mirror|update_profile)\s*\}\}\s*$/', $url, $matches ) ) {
+			return 'unsubscribe_url' === $matches[1] ? '{{ unsubscribe }}' : '{{ ' . $matches[1] . ' }}';
+		}
+
+		return esc_url( $url );
+	}
+
+	/**
+	 * Reduce a rich text setting to the email-safe markup it may contain.
+	 *
+	 * Bold, italic, links, paragraphs, lists and line breaks are kept and
+	 * written with fixed inline styles. Other tags are dropped but their text
+	 * is kept, except inside script and style. Text is escaped, new lines
+	 * become <br />, unclosed tags are closed and stray closing tags dropped,
+	 * so plain text renders as it did before the field took rich text.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html Stored setting value.
+	 * @return string Safe HTML, or an empty string when there is no text.
+	 */
+	public static function sanitize_richtext( string $html ): string {
+		$tokens = preg_split( '/(<!--.*?-->|<\/?[a-zA-Z][^>]*>)/s', $html, -1, PREG_SPLIT_DELIM_CAPTURE | PREG_SPLIT_NO_EMPTY );
+		$stack  = array();
+		$skip   = false;
+		$out    = '';
+
+		foreach ( $tokens as $token ) {
+			if ( ! preg_match( '/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>$/s', $token, $tag ) ) {
+				// Whitespace between list items is markup, not text.
+				$in_list = in_array( end( $stack ), array( 'ul', 'ol' ), true );
+				if ( $skip || str_starts_with( $token, '<!--' ) || ( $in_list && '' === trim( $token ) ) ) {
+					continue;
+				}
+				$out .= str_replace( "\n", '<br />', esc_html( str_replace( array( "\r\n", "\r" ), "\n", $token ) ) );
+				continue;
+			}
+
+			$name    = strtolower( $tag[2] );
+			$name    = self::RICHTEXT_ALIASES[ $name ] ?? $name;
+			$closing = '/' === $tag[1];
+
+			if ( 'script' === $name || 'style' === $name ) {
+				$skip = ! $closing;
+				continue;
+			}
+			if ( $skip || ! in_array( $name, self::RICHTEXT_TAGS, true ) ) {
+				continue;
+			}
+
+			if ( $closing ) {
+				$at = self::find_richtext_tag( $stack, array( $name ) );
+				if ( $at >= 0 ) {
+					$out .= self::close_richtext_tags( $stack, $at );
+				}
+				continue;
+			}
+
+			switch ( $name ) {
+				case 'br':
+					$out .= '<br />';
+					break;
+
+				case 'li':
+					$at = self::find_richtext_tag( $stack, array( 'ul', 'ol' ) );
+					if ( $at >= 0 ) {
+						$out    .= self::close_richtext_tags( $stack, $at + 1 ) . '<li style="' . self::RICHTEXT_STYLES['li'] . '">';
+						$stack[] = 'li';
+					}
+					break;
+
+				case 'p':
+				case 'ul':
+				case 'ol':
+					// Blocks close open paragraphs and inline tags, up to a list item.
+					$at      = self::find_richtext_tag( $stack, array( 'li' ) );
+					$out    .= self::close_richtext_tags( $stack, $at + 1 ) . '<' . $name . ' style="' . self::RICHTEXT_STYLES[ $name ] . '">';
+					$stack[] = $name;
+					break;
+
+				case 'a':
+					$href = '';
+					if ( preg_match( '/\shref\s*=\s*("[^"]*"|\'[^\']*\'|[^\s"\'>]+)/i', $tag[3], $attr ) ) {
+						$href = self::esc_link_url( trim( $attr[1], '"\'' ) );
+					}
+					if ( '' !== $href && ! in_array( 'a', $stack, true ) ) {
+						$out    .= '<a href="' . $href . '" style="' . self::RICHTEXT_STYLES['a'] . '">';
+						$stack[] = 'a';
+					}
+					break;
+
+				default:
+					$out    .= '<' . $name . '>';
+					$stack[] = $name;
+			}
+		}
+
+		$out .= self::close_richtext_tags( $stack, 0 );
+
+		return '' === trim( preg_replace( '/<[^>]*>/', '', $out ) ) ? '' : $out;
+	}
+
+	/**
+	 * Position of the innermost open rich text tag with one of the given names.
+	 *
+	 * @since  1.6.0
+	 * @param  string[] $stack Open tags, outermost first.
+	 * @param  string[] $names Tag names.
+	 * @return int Index in $stack, or -1.
+	 */
+	private static function find_richtext_tag( array $stack, array $names ): int {
+		for ( $i = count( $stack ) - 1; $i >= 0; $i-- ) {
+			if ( in_array( $stack[ $i ], $names, true ) ) {
+				return $i;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Close open rich text tags until $length of them remain.
+	 *
+	 * @since  1.6.0
+	 * @param  string[] $stack  Open tags, outermost first.
+	 * @param  int      $length Number of tags to leave open.
+	 * @return string Closing tags.
+	 */
+	private static function close_richtext_tags( array &$stack, int $length ): string {
+		$out = '';
+		while ( count( $stack ) > $length ) {
+			$out .= '</' . array_pop( $stack ) . '>';
+		}
+		return $out;
+	}
+
+	/**
+	 * Wrap sanitised rich text in a styled paragraph, or in a div when it
+	 * holds paragraphs or lists, which cannot sit inside a <p>.
+	 *
+	 * @since  1.6.0
+	 * @param  string $html  Output of sanitize_richtext().
+	 * @param  string $style Inline style for the wrapper.
+	 * @return string
+	 */
+	private static function richtext_block( string $html, string $style ): string {
+		$tag = preg_match( '/<(?:p|ul|ol)\b/', $html ) ? 'div' : 'p';
+		return '<' . $tag . ' style="' . $style . '">' . $html . '</' . $tag . '>';
+	}
+
 	/**
 	 * Render a single section by type.
 	 *
@@ -141,6 +367,7 @@ class BCG_Section_Renderer {
 		$text_color = esc_attr( $s['text_color'] ?? '#333333' );
 		$logo_url   = esc_url( $s['logo_url'] );
 		$logo_w     = (int) $s['logo_width'];
+		$logo_alt   = '' !== trim( (string) ( $s['logo_alt_text'] ?? '' ) ) ? $s['logo_alt_text'] : get_bloginfo( 'name' );
 
 		$logo_html = '';
 		if ( $logo_url ) {
@@ -148,7 +375,7 @@ class BCG_Section_Renderer {
 				'<img src="%s" width="%d" alt="%s" style="display:block;border:0;outline:none;text-decoration:none;max-width:%dpx;height:auto;" />',
 				$logo_url,
 				$logo_w,
-				esc_attr( get_bloginfo( 'name' ) ),
+				esc_attr( $logo_alt ),
 				$logo_w
 			);
 		} else {
@@ -286,6 +513,7 @@ class BCG_Section_Renderer {
 	 */
 	private static function render_hero_split( array $s, int $mw, string $font ): string {
 		$img_url   = esc_url( $s['image_url'] ?? '' );
+		$img_alt   = trim( (string) ( $s['image_alt_text'] ?? '' ) );
 		$img_side  = in_array( $s['image_side'] ?? 'right', array( 'left', 'right' ), true ) ? $s['image_side'] : 'right';
 		$text_bg   = esc_attr( $s['text_bg_color'] ?? '#1a1a2e' );
 		$headline  = esc_html( $s['headline'] ?? '' );
@@ -326,14 +554,16 @@ class BCG_Section_Renderer {
 
 		// Image column: use background-image so it scales to the row height.
 		// For Outlook compatibility, a VML fallback fills with the bg colour.
+		// A background image has no alt attribute, so its alt text becomes the cell's label.
 		if ( $img_url ) {
 			$img_td = sprintf(
 				'<!--[if mso]><td width="%1$d" valign="middle" bgcolor="%2$s" style="background-color:%2$s;width:%1$dpx;">&nbsp;</td><![endif]-->
 				<!--[if !mso]><!-->'
-				. '<td width="%1$d" valign="middle" bgcolor="%2$s" style="background-color:%2$s;background-image:url(\'%3$s\');background-size:cover;background-position:center center;width:%1$dpx;">'
+				. '<td width="%1$d" valign="middle" bgcolor="%2$s"%4$s style="background-color:%2$s;background-image:url(\'%3$s\');background-size:cover;background-position:center center;width:%1$dpx;">'
 				. '<div style="font-size:0;line-height:0;">&nbsp;</div></td>'
 				. '<!--<![endif]-->',
-				$half_w, $text_bg, $img_url
+				$half_w, $text_bg, $img_url,
+				'' !== $img_alt ? ' role="img" aria-label="' . esc_attr( $img_alt ) . '"' : ''
 			);
 		} else {
 			$img_td = sprintf(
@@ -386,7 +616,7 @@ class BCG_Section_Renderer {
 							%s
 							<tr>
 								<td>
-									<p style="font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:%s;text-align:%s;">%s</p>
+									%s
 								</td>
 							</tr>
 						</table>
@@ -396,8 +626,10 @@ class BCG_Section_Renderer {
 			$mw, $mw, $mw, $bg,
 			$pt, $pb,
 			$heading_html,
-			esc_attr( $font ), $fsize, $tc, $lh, $align,
-			nl2br( esc_html( $s['body'] ) )
+			self::richtext_block(
+				self::sanitize_richtext( (string) ( $s['body'] ?? '' ) ),
+				sprintf( 'font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:%s;text-align:%s;', esc_attr( $font ), $fsize, $tc, $lh, $align )
+			)
 		);
 	}
 
@@ -494,29 +726,21 @@ class BCG_Section_Renderer {
 		// Build product cells.
 		$cells = array();
 		foreach ( $product_ids as $pid ) {
-			$product = wc_get_product( $pid );
-			if ( ! $product ) {
+			$card = self::get_product_card( $pid );
+			if ( ! $card ) {
 				continue;
 			}
 
-			$thumb_id  = $product->get_image_id();
-			$thumb_url = $thumb_id ? wp_get_attachment_image_url( $thumb_id, 'medium' ) : wc_placeholder_img_src();
-			$name      = esc_html( $product->get_name() );
-			// For variable products, show "from £X" (min price only).
-			if ( $product->is_type( 'variable' ) ) {
-				/** @var WC_Product_Variable $product */
-				$min_price  = wc_price( $product->get_variation_price( 'min', true ) );
-				$price_disp = sprintf( /* translators: %s: minimum price */ __( 'from %s', 'brevo-campaign-generator' ), wp_strip_all_tags( $min_price ) );
-			} else {
-				$price_disp = wp_strip_all_tags( $product->get_price_html() );
-			}
+			$thumb_url  = $card['image_url'];
+			$name       = esc_html( $card['name'] );
+			$price_disp = $card['price'];
 			$price_font = (int) ( $s['price_font_size'] ?? 16 );
 			$price_html = $show_price ? sprintf( '<p style="font-family:%s;font-size:%dpx;font-weight:700;color:#333333;margin:8px 0;padding:0;">%s</p>', esc_attr( $font ), $price_font, $price_disp ) : '';
 			$btn_html   = '';
 			if ( $show_btn ) {
 				$btn_html = sprintf(
 					'<a href="%s" style="display:inline-block;margin-top:12px;padding:%dpx %dpx;background-color:%s;color:%s;font-family:%s;font-size:%dpx;font-weight:700;text-decoration:none;border-radius:%dpx;">%s</a>',
-					esc_url( $product->get_permalink() ),
+					esc_url( $card['permalink'] ),
 					$btn_pad_v,
 					$btn_pad_h,
 					$btn_color,
@@ -607,6 +831,50 @@ class BCG_Section_Renderer {
 		);
 	}
 
+	/**
+	 * Get the data a products section shows for one product.
+	 *
+	 * Shared by render_products() and the Section Builder's client-side
+	 * renderer, which fetches cards through bcg_sb_product_cards.
+	 *
+	 * @since  1.6.0
+	 * @param  int $product_id WooCommerce product ID.
+	 * @return array|null {
+	 *     @type string $image_url Medium thumbnail, or the WooCommerce placeholder.
+	 *     @type string $name      Product name (unescaped).
+	 *     @type string $price     Plain-text price; variable products show "from £X".
+	 *     @type string $permalink Product page URL.
+	 * } Null when WooCommerce is inactive or the product does not exist.
+	 */
+	public static function get_product_card( int $product_id ): ?array {
+		if ( ! function_exists( 'wc_get_product' ) ) {
+			return null;
+		}
+
+		$product = wc_get_product( $product_id );
+		if ( ! $product ) {
+			return null;
+		}
+
+		$thumb_id = $product->get_image_id();
+
+		// For variable products, show "from £X" (min price only).
+		if ( $product->is_type( 'variable' ) ) {
+			/** @var WC_Product_Variable $product */
+			$min_price = wc_price( $product->get_variation_price( 'min', true ) );
+			$price     = sprintf( /* translators: %s: minimum price */ __( 'from %s', 'brevo-campaign-generator' ), wp_strip_all_tags( $min_price ) );
+		} else {
+			$price = wp_strip_all_tags( $product->get_price_html() );
+		}
+
+		return array(
+			'image_url' => $thumb_id ? (string) wp_get_attachment_image_url( $thumb_id, 'medium' ) : wc_placeholder_img_src(),
+			'name'      => $product->get_name(),
+			'price'     => $price,
+			'permalink' => $product->get_permalink(),
+		);
+	}
+
 	/**
 	 * Render banner section.
 	 *
@@ -622,7 +890,7 @@ class BCG_Section_Renderer {
 		$pt         = (int) ( $s['padding_top']    ?? $s['padding'] ?? 30 );
 		$pb         = (int) ( $s['padding_bottom'] ?? $s['padding'] ?? 30 );
 		$heading    = esc_html( $s['heading'] );
-		$subtext    = esc_html( $s['subtext'] );
+		$subtext    = self::sanitize_richtext( (string) ( $s['subtext'] ?? '' ) );
 		$h_fsize    = (int) ( $s['heading_font_size'] ?? 26 );
 		$s_fsize    = (int) ( $s['subtext_font_size'] ?? 15 );
 		$align      = in_array( $s['text_align'] ?? 'center', array( 'left', 'center', 'right' ), true ) ? ( $s['text_align'] ?? 'center' ) : 'center';
@@ -630,8 +898,9 @@ class BCG_Section_Renderer {
 		$subtext_html = '';
 		if ( $subtext ) {
 			$subtext_html = sprintf(
-				'<tr><td style="padding-top:10px;text-align:%s;"><p style="font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;">%s</p></td></tr>',
-				$align, esc_attr( $font ), $s_fsize, $tc, $subtext
+				'<tr><td style="padding-top:10px;text-align:%s;">%s</td></tr>',
+				$align,
+				self::richtext_block( $subtext, sprintf( 'font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;', esc_attr( $font ), $s_fsize, $tc ) )
 			);
 		}
 
@@ -675,7 +944,7 @@ class BCG_Section_Renderer {
 		$btn_bg     = esc_attr( $s['button_bg'] );
 		$btn_tc     = esc_attr( $s['button_text_color'] );
 		$heading    = esc_html( $s['heading'] );
-		$subtext    = esc_html( $s['subtext'] );
+		$subtext    = self::sanitize_richtext( (string) ( $s['subtext'] ?? '' ) );
 		$btn_lbl    = esc_html( $s['button_text'] );
 		$btn_url    = esc_url( $s['button_url'] ?: '#' );
 		$h_fsize    = (int) ( $s['heading_font_size'] ?? 26 );
@@ -688,8 +957,8 @@ class BCG_Section_Renderer {
 		$subtext_html = '';
 		if ( $subtext ) {
 			$subtext_html = sprintf(
-				'<tr><td style="padding-bottom:20px;text-align:center;"><p style="font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;">%s</p></td></tr>',
-				esc_attr( $font ), $s_fsize, $tc, $subtext
+				'<tr><td style="padding-bottom:20px;text-align:center;">%s</td></tr>',
+				self::richtext_block( $subtext, sprintf( 'font-family:%s;font-size:%dpx;color:%s;margin:0;padding:0;line-height:1.6;', esc_attr( $font ), $s_fsize, $tc ) )
 			);
 		}
 
@@ -1386,8 +1655,9 @@ class BCG_Section_Renderer {
 		$logo_html = '';
 		if ( 'none' !== $logo_side && $logo_url ) {
 			$img_tag = sprintf(
-				'<img src="%s" alt="Logo" style="display:block;max-height:50px;width:auto;border:0;" />',
-				$logo_url
+				'<img src="%s" alt="%s" style="display:block;max-height:50px;width:auto;border:0;" />',
+				$logo_url,
+				esc_attr( '' !== trim( (string) ( $s['logo_alt_text'] ?? '' ) ) ? $s['logo_alt_text'] : get_bloginfo( 'name' ) )
 			);
 			$logo_inner = $logo_link
 				? '<a href="' . $logo_link . '" style="display:block;text-decoration:none;">' . $img_tag . '</a>'
@@ -1444,7 +1714,7 @@ class BCG_Section_Renderer {
 				$link_items = array();
 				foreach ( $links_data as $link ) {
 					if ( ! empty( $link['label'] ) ) {
-						$href         = ! empty( $link['url'] ) ? esc_url( $link['url'] ) : '#';
+						$href         = ! empty( $link['url'] ) ? self::esc_link_url( $link['url'] ) : '#';
 						$link_items[] = sprintf(
 							'<a href="%s" style="font-family:%s;font-size:12px;color:%s;text-decoration:underline;">%s</a>',
 							$href, esc_attr( $font ), $tc, esc_html( $link['label'] )
@@ -63,12 +63,17 @@ class BCG_Template {
 	 * HTML and settings, replaces all tokens, processes conditionals, renders
 	 * the products block, and inlines CSS from the template settings.
 	 *
+	 * When a language is given, the campaign's translation into it replaces
+	 * the copy before rendering.
+	 *
 	 * @since 1.0.0
+	 * @since 1.6.0 Added the $language parameter.
 	 *
-	 * @param int $campaign_id The campaign ID.
+	 * @param int    $campaign_id The campaign ID.
+	 * @param string $language    Optional. Language code of a translation to render. Default '' (main language).
 	 * @return string|\WP_Error The final rendered HTML string, or WP_Error on failure.
 	 */
-	public function render( int $campaign_id ): string|\WP_Error {
+	public function render( int $campaign_id, string $language = '' ): string|\WP_Error {
 		global $wpdb;
 
 		// Load the campaign.
@@ -100,6 +105,24 @@ class BCG_Template {
 			ARRAY_A
 		);
 
+		// Swap in the translated copy.
+		if ( '' !== $language ) {
+			$translations = BCG_Campaign_Translations::sanitise( $campaign['translations'] ?? null );
+
+			if ( ! isset( $translations[ $language ] ) ) {
+				return new \WP_Error(
+					'bcg_translation_not_found',
+					sprintf(
+						/* translators: %s: language name */
+						__( 'This campaign has no %s translation.', 'brevo-campaign-generator' ),
+						BCG_Campaign_Translations::get_label( $language )
+					)
+				);
+			}
+
+			list( $campaign, $products ) = BCG_Campaign_Translations::apply( $campaign, $products, $translations[ $language ] );
+		}
+
 		// Determine the template HTML to use.
 		$template_html = ! empty( $campaign['template_html'] )
 			? $campaign['template_html']
@@ -160,6 +183,7 @@ class BCG_Template {
 	 *     @type string $campaign_headline     Headline text.
 	 *     @type string $campaign_description  Description text.
 	 *     @type string $campaign_image        Image URL.
+	 *     @type string $campaign_image_alt    Image alt text.
 	 *     @type string $coupon_code           Coupon code.
 	 *     @type string $coupon_text           Coupon promotional text.
 	 *     @type array  $products              Array of product data arrays for the repeater.
@@ -215,18 +239,22 @@ class BCG_Template {
 	 * @return string The HTML with tokens replaced.
 	 */
 	public function replace_tokens( string $html, array $data ): string {
+		// Templates saved before the image had its own alt text used the headline.
+		$html = str_replace( 'alt="{{campaign_headline}}"', 'alt="{{campaign_image_alt}}"', $html );
+
 		// Standard campaign data tokens.
 		$token_map = array(
 			'{{campaign_headline}}'     => wp_kses_post( $data['campaign_headline'] ?? '' ),
 			'{{campaign_description}}'  => wp_kses_post( $data['campaign_description'] ?? '' ),
 			'{{campaign_image}}'        => esc_url( $data['campaign_image'] ?? '' ),
+			'{{campaign_image_alt}}'    => esc_attr( $data['campaign_image_alt'] ?? wp_strip_all_tags( $data['campaign_headline'] ?? '' ) ),
 			'{{coupon_code}}'           => esc_html( $data['coupon_code'] ?? '' ),
 			'{{coupon_text}}'           => esc_html( $data['coupon_text'] ?? '' ),
 			'{{products_block}}'        => $data['products_block'] ?? '', // Already escaped during rendering.
 			'{{store_name}}'            => esc_html( $data['store_name'] ?? get_bloginfo( 'name' ) ),
 			'{{store_url}}'             => esc_url( $data['store_url'] ?? home_url( '/' ) ),
 			'{{logo_url}}'              => esc_url( $data['logo_url'] ?? '' ),
-			'{{unsubscribe_url}}'       => esc_url( $data['unsubscribe_url'] ?? '{{ unsubscribe }}' ),
+			'{{unsubscribe_url}}'       => BCG_Section_Renderer::esc_link_url( $data['unsubscribe_url'] ?? '{{ unsubscribe }}' ),
 			'{{current_year}}'          => esc_html( $data['current_year'] ?? gmdate( 'Y' ) ),
 			'{{subject}}'               => esc_html( $data['subject'] ?? '' ),
 			'{{preview_text}}'          => esc_html( $data['preview_text'] ?? '' ),
@@ -390,7 +418,7 @@ class BCG_Template {
 			$desc      = esc_html( $product_data['short_desc'] );
 			$image_url = esc_url( $product_data['image_url'] );
 			$buy_url   = esc_url( $product_data['buy_url'] );
-			$name      = esc_html( $product_data['name'] );
+			$alt       = esc_attr( $product_data['image_alt'] );
 			$show_btn  = $product_data['show_buy_button'];
 
 			$buy_button = '';
@@ -415,7 +443,7 @@ class BCG_Template {
 				);
 			}
 
-			$render_args = array( $image_url, $name, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
+			$render_args = array( $image_url, $alt, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
 
 			switch ( $layout ) {
 				case 'side-by-side':
@@ -443,7 +471,7 @@ class BCG_Template {
 					break;
 
 				case 'text-only':
-					$html .= $this->render_product_text_only( $name, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
+					$html .= $this->render_product_text_only( $alt, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
 					break;
 
 				case 'centered':
@@ -465,7 +493,7 @@ class BCG_Template {
 	 * @since 1.0.0
 	 *
 	 * @param string $image_url   Product image URL.
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -475,7 +503,7 @@ class BCG_Template {
 	 */
 	private function render_product_stacked(
 		string $image_url,
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -490,7 +518,7 @@ class BCG_Template {
 				'<img src="%s" alt="%s" width="560" style="display:block;max-width:100%%;height:auto;border-radius:4px;" />' .
 				'</td></tr>',
 				$image_url,
-				$name
+				$alt
 			);
 		}
 
@@ -522,7 +550,7 @@ class BCG_Template {
 	 * @since 1.0.0
 	 *
 	 * @param string $image_url   Product image URL.
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -532,7 +560,7 @@ class BCG_Template {
 	 */
 	private function render_product_side_by_side(
 		string $image_url,
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -547,7 +575,7 @@ class BCG_Template {
 				'<img src="%s" alt="%s" width="200" style="display:block;max-width:100%%;height:auto;border-radius:4px;" />' .
 				'</td>',
 				$image_url,
-				$name
+				$alt
 			);
 		}
 
@@ -581,7 +609,7 @@ class BCG_Template {
 	 * @since 1.1.0
 	 *
 	 * @param string $image_url   Product image URL.
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -591,7 +619,7 @@ class BCG_Template {
 	 */
 	private function render_product_reversed(
 		string $image_url,
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -606,7 +634,7 @@ class BCG_Template {
 				'<img src="%s" alt="%s" width="200" style="display:block;max-width:100%%;height:auto;border-radius:4px;" />' .
 				'</td>',
 				$image_url,
-				$name
+				$alt
 			);
 		}
 
@@ -640,7 +668,7 @@ class BCG_Template {
 	 * @since 1.1.0
 	 *
 	 * @param string $image_url   Product image URL.
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -650,7 +678,7 @@ class BCG_Template {
 	 */
 	private function render_product_compact(
 		string $image_url,
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -665,7 +693,7 @@ class BCG_Template {
 				'<img src="%s" alt="%s" width="80" height="80" style="display:block;width:80px;height:80px;object-fit:cover;border-radius:4px;" />' .
 				'</td>',
 				$image_url,
-				$name
+				$alt
 			);
 		}
 
@@ -699,7 +727,7 @@ class BCG_Template {
 	 * @since 1.1.0
 	 *
 	 * @param string $image_url   Product image URL.
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -709,7 +737,7 @@ class BCG_Template {
 	 */
 	private function render_product_full_card(
 		string $image_url,
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -724,7 +752,7 @@ class BCG_Template {
 				'<img src="%s" alt="%s" width="560" style="display:block;max-width:100%%;height:auto;border-radius:8px 8px 0 0;" />' .
 				'</td></tr>',
 				$image_url,
-				$name
+				$alt
 			);
 		}
 
@@ -755,7 +783,7 @@ class BCG_Template {
 	 *
 	 * @since 1.1.0
 	 *
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -764,7 +792,7 @@ class BCG_Template {
 	 * @return string Product table HTML.
 	 */
 	private function render_product_text_only(
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -800,7 +828,7 @@ class BCG_Template {
 	 * @since 1.1.0
 	 *
 	 * @param string $image_url   Product image URL.
-	 * @param string $name        Product name (escaped).
+	 * @param string $alt         Image alt text (escaped).
 	 * @param string $headline    AI headline (escaped).
 	 * @param string $desc        Short description (escaped).
 	 * @param string $buy_button  Rendered buy button HTML.
@@ -810,7 +838,7 @@ class BCG_Template {
 	 */
 	private function render_product_centered(
 		string $image_url,
-		string $name,
+		string $alt,
 		string $headline,
 		string $desc,
 		string $buy_button,
@@ -825,7 +853,7 @@ class BCG_Template {
 				'<img src="%s" alt="%s" width="560" style="display:block;max-width:100%%;height:auto;border-radius:4px;" />' .
 				'</td></tr>',
 				$image_url,
-				$name
+				$alt
 			);
 		}
 
@@ -911,7 +939,7 @@ class BCG_Template {
 				$desc      = esc_html( $product_data['short_desc'] );
 				$image_url = esc_url( $product_data['image_url'] );
 				$buy_url   = esc_url( $product_data['buy_url'] );
-				$name      = esc_html( $product_data['name'] );
+				$alt       = esc_attr( $product_data['image_alt'] );
 				$show_btn  = $product_data['show_buy_button'];
 
 				$buy_button = '';
@@ -941,7 +969,7 @@ class BCG_Template {
 					$image_html = sprintf(
 						'<img src="%s" alt="%s" style="display:block;width:100%%;max-width:100%%;height:auto;border-radius:4px;margin-bottom:8px;" />',
 						$image_url,
-						$name
+						$alt
 					);
 				}
 
@@ -1013,7 +1041,7 @@ class BCG_Template {
 			$desc      = esc_html( $product_data['short_desc'] );
 			$image_url = esc_url( $product_data['image_url'] );
 			$buy_url   = esc_url( $product_data['buy_url'] );
-			$name      = esc_html( $product_data['name'] );
+			$alt       = esc_attr( $product_data['image_alt'] );
 			$show_btn  = $product_data['show_buy_button'];
 
 			$buy_button = '';
@@ -1048,10 +1076,10 @@ class BCG_Template {
 
 			if ( 0 === $index ) {
 				// First product: full-width stacked, larger.
-				$html .= $this->render_product_stacked( $image_url, $name, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
+				$html .= $this->render_product_stacked( $image_url, $alt, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
 			} else {
 				// Remaining products: compact.
-				$html .= $this->render_product_compact( $image_url, $name, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
+				$html .= $this->render_product_compact( $image_url, $alt, $headline, $desc, $buy_button, $text_color, $font_family, $product_gap );
 			}
 		}
 
@@ -1235,7 +1263,9 @@ class BCG_Template {
 	 * Inject data-bcg-section attributes into section root elements for the overlay system.
 	 *
 	 * This is used in preview mode only to allow the JS overlay system to find
-	 * and position overlays over each section in the iframe.
+	 * and position overlays over each section in the iframe, and to let
+	 * preview iframes update one section at a time. Campaigns built with the
+	 * Section Builder are marked by BCG_Section_Renderer instead.
 	 *
 	 * @since 1.2.0
 	 *
@@ -1243,6 +1273,8 @@ class BCG_Template {
 	 * @return string HTML with data attributes injected.
 	 */
 	public function inject_section_attributes( string $html ): string {
+		$html = BCG_Section_Renderer::add_section_attributes( $html );
+
 		// Match section comment followed by the first <tr or <table element.
 		// Allows optional whitespace and {{#if ...}} conditionals between them.
 		// This adds data-bcg-section directly to the element, keeping the HTML
@@ -1285,7 +1317,7 @@ class BCG_Template {
 	 *
 	 * @param array $product Raw product data.
 	 * @return array Normalised product data with keys: name, headline, short_desc,
-	 *               image_url, buy_url, show_buy_button.
+	 *               image_url, image_alt, buy_url, show_buy_button.
 	 */
 	private function normalise_product_data( array $product ): array {
 		// Determine the headline: custom overrides AI.
@@ -1337,6 +1369,9 @@ class BCG_Template {
 			$name       = $wc_product ? $wc_product->get_name() : '';
 		}
 
+		// Image alt text: custom overrides the product name.
+		$image_alt = ! empty( $product['image_alt'] ) ? $product['image_alt'] : $name;
+
 		// Show buy button.
 		$show_buy_button = isset( $product['show_buy_button'] ) ? (bool) $product['show_buy_button'] : true;
 
@@ -1345,6 +1380,7 @@ class BCG_Template {
 			'headline'        => $headline,
 			'short_desc'      => $short_desc,
 			'image_url'       => $image_url,
+			'image_alt'       => $image_alt,
 			'buy_url'         => $buy_url,
 			'show_buy_button' => $show_buy_button,
 		);
@@ -1481,14 +1517,10 @@ class BCG_Template {
 		foreach ( $footer_links as $link ) {
 			if ( ! empty( $link['label'] ) ) {
 				$url = $link['url'] ?? '#';
-				// Allow Brevo unsubscribe placeholder.
-				if ( false !== strpos( $url, '{{unsubscribe_url}}' ) ) {
-					$url = '{{ unsubscribe }}';
-				}
 
 				$links_html[] = sprintf(
 					'<a href="%s" style="color:%s;text-decoration:underline;font-family:%s;font-size:12px;" target="_blank">%s</a>',
-					esc_url( $url ),
+					BCG_Section_Renderer::esc_link_url( $url ),
 					$link_color,
 					$font_family,
 					esc_html( $link['label'] )
@@ -1727,7 +1759,40 @@ class BCG_Template {
 	 * @return array Token => value pairs for replacement.
 	 */
 	private function build_campaign_data( array $campaign, array $products ): array {
-		// Resolve coupon text.
+		$coupon_code = $campaign['coupon_code'] ?? '';
+
+		// Parse settings for logo and other values.
+		$settings = $this->parse_template_settings( $campaign['template_settings'] ?? '' );
+
+		return array(
+			'campaign_headline'    => $campaign['main_headline'] ?? '',
+			'campaign_description' => $campaign['main_description'] ?? '',
+			'campaign_image'       => $campaign['main_image_url'] ?? '',
+			'campaign_image_alt'   => ! empty( $campaign['main_image_alt'] ) ? $campaign['main_image_alt'] : wp_strip_all_tags( $campaign['main_headline'] ?? '' ),
+			'coupon_code'          => $coupon_code,
+			'coupon_text'          => '' !== ( $campaign['coupon_text'] ?? '' ) ? $campaign['coupon_text'] : self::get_coupon_text( $campaign ),
+			'subject'              => $campaign['subject'] ?? '',
+			'preview_text'         => $campaign['preview_text'] ?? '',
+			'store_name'           => get_bloginfo( 'name' ),
+			'store_url'            => home_url( '/' ),
+			'logo_url'             => $settings['logo_url'] ?? '',
+			'unsubscribe_url'      => '{{ unsubscribe }}',
+			'current_year'         => gmdate( 'Y' ),
+			'show_coupon_block'    => ! empty( $coupon_code ) && ! empty( $settings['show_coupon_block'] ),
+			'show_nav'             => ! empty( $settings['show_nav'] ),
+		);
+	}
+
+	/**
+	 * Build a campaign's coupon promotional text, e.g. "Use code SAVE10 for
+	 * 10% off!".
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array $campaign The campaign database row.
+	 * @return string The text, or '' when the campaign has no coupon.
+	 */
+	public static function get_coupon_text( array $campaign ): string {
 		$coupon_code = $campaign['coupon_code'] ?? '';
 		$coupon_text = '';
 
@@ -1752,25 +1817,7 @@ class BCG_Template {
 			}
 		}
 
-		// Parse settings for logo and other values.
-		$settings = $this->parse_template_settings( $campaign['template_settings'] ?? '' );
-
-		return array(
-			'campaign_headline'    => $campaign['main_headline'] ?? '',
-			'campaign_description' => $campaign['main_description'] ?? '',
-			'campaign_image'       => $campaign['main_image_url'] ?? '',
-			'coupon_code'          => $coupon_code,
-			'coupon_text'          => $coupon_text,
-			'subject'              => $campaign['subject'] ?? '',
-			'preview_text'         => $campaign['preview_text'] ?? '',
-			'store_name'           => get_bloginfo( 'name' ),
-			'store_url'            => home_url( '/' ),
-			'logo_url'             => $settings['logo_url'] ?? '',
-			'unsubscribe_url'      => '{{ unsubscribe }}',
-			'current_year'         => gmdate( 'Y' ),
-			'show_coupon_block'    => ! empty( $coupon_code ) && ! empty( $settings['show_coupon_block'] ),
-			'show_nav'             => ! empty( $settings['show_nav'] ),
-		);
+		return $coupon_text;
 	}
 
 	/**
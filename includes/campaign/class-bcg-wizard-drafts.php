@@ -0,0 +1,323 @@
+<?php
+/**
+ * New Campaign wizard drafts and presets.
+ *
+ * The wizard autosaves its settings (the buildPayload() object plus the UI
+ * state needed to restore it, such as manual product labels and variation
+ * rows) so a reload or expired session does not lose them. Drafts are kept
+ * per user in user meta; the browser keeps a localStorage copy as a
+ * fallback for when the server cannot be reached.
+ *
+ * Presets are named snapshots of the same state, shared by everyone who can
+ * create campaigns, for promotions that are run again and again.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Wizard_Drafts
+ *
+ * Stores, sanitises and retrieves wizard drafts and named presets.
+ *
+ * @since 1.6.0
+ */
+class BCG_Wizard_Drafts {
+
+	/**
+	 * User meta key holding the user's unfinished wizard draft.
+	 *
+	 * @var string
+	 */
+	const DRAFT_META_KEY = 'bcg_wizard_draft';
+
+	/**
+	 * Option holding the shared named presets.
+	 *
+	 * @var string
+	 */
+	const PRESETS_OPTION = 'bcg_wizard_presets';
+
+	/**
+	 * Maximum number of saved presets.
+	 *
+	 * @var int
+	 */
+	const MAX_PRESETS = 50;
+
+	/**
+	 * Plain text fields of the wizard state.
+	 *
+	 * @var string[]
+	 */
+	const TEXT_FIELDS = array(
+		'campaign_title',
+		'subject_line',
+		'preview_text',
+		'mailing_list_id',
+		'product_source',
+		'coupon_type',
+		'coupon_prefix',
+		'tone',
+		'theme',
+		'language',
+		'image_style',
+		'template_slug',
+	);
+
+	/**
+	 * Integer fields of the wizard state.
+	 *
+	 * @var string[]
+	 */
+	const INT_FIELDS = array(
+		'product_count',
+		'coupon_expiry_days',
+		'section_template_id',
+		'campaign_count',
+		'step',
+	);
+
+	/**
+	 * Reduce raw wizard state to the known, sanitised fields.
+	 *
+	 * Unknown keys are dropped so a tampered request cannot store
+	 * arbitrary data against the user.
+	 *
+	 * @since  1.6.0
+	 * @param  array $state Raw state posted by the wizard.
+	 * @return array
+	 */
+	public static function sanitise_state( array $state ): array {
+		$clean = array();
+
+		foreach ( self::TEXT_FIELDS as $field ) {
+			if ( isset( $state[ $field ] ) && is_scalar( $state[ $field ] ) ) {
+				$clean[ $field ] = sanitize_text_field( (string) $state[ $field ] );
+			}
+		}
+
+		foreach ( self::INT_FIELDS as $field ) {
+			if ( isset( $state[ $field ] ) && is_scalar( $state[ $field ] ) ) {
+				$clean[ $field ] = absint( $state[ $field ] );
+			}
+		}
+
+		if ( isset( $state['coupon_discount'] ) && is_scalar( $state['coupon_discount'] ) ) {
+			$clean['coupon_discount'] = (string) max( 0, (float) $state['coupon_discount'] );
+		}
+
+		foreach ( array( 'generate_coupon', 'generate_images' ) as $field ) {
+			if ( isset( $state[ $field ] ) ) {
+				$clean[ $field ] = '1' === (string) $state[ $field ] ? '1' : '0';
+			}
+		}
+
+		foreach ( array( 'category_ids', 'manual_product_ids' ) as $field ) {
+			if ( isset( $state[ $field ] ) && is_array( $state[ $field ] ) ) {
+				$clean[ $field ] = array_values( array_filter( array_map( 'absint', $state[ $field ] ) ) );
+			}
+		}
+
+		// Labels for the manual picker tags, so they can be redrawn without a lookup.
+		if ( isset( $state['manual_products'] ) && is_array( $state['manual_products'] ) ) {
+			$clean['manual_products'] = array();
+			foreach ( $state['manual_products'] as $product ) {
+				if ( ! is_array( $product ) || empty( $product['id'] ) ) {
+					continue;
+				}
+				$clean['manual_products'][] = array(
+					'id'    => absint( $product['id'] ),
+					'name'  => sanitize_text_field( (string) ( $product['name'] ?? '' ) ),
+					'image' => esc_url_raw( (string) ( $product['image'] ?? '' ) ),
+				);
+			}
+		}
+
+		if ( isset( $state['languages'] ) && is_array( $state['languages'] ) ) {
+			$clean['languages'] = BCG_Campaign_Translations::normalise_codes( $state['languages'] );
+		}
+
+		if ( isset( $state['product_rules'] ) && is_array( $state['product_rules'] ) ) {
+			$clean['product_rules'] = BCG_Product_Selector::sanitise_rules( $state['product_rules'] );
+		}
+
+		if ( isset( $state['variations'] ) && is_array( $state['variations'] ) ) {
+			$clean['variations'] = array();
+			foreach ( array_slice( $state['variations'], 0, BCG_Generation_Queue::MAX_BATCH ) as $variation ) {
+				if ( ! is_array( $variation ) ) {
+					continue;
+				}
+				$clean['variations'][] = array(
+					'theme'          => sanitize_text_field( (string) ( $variation['theme'] ?? '' ) ),
+					'product_source' => sanitize_key( (string) ( $variation['product_source'] ?? '' ) ),
+				);
+			}
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Save a user's wizard draft.
+	 *
+	 * @since  1.6.0
+	 * @param  int   $user_id User ID.
+	 * @param  array $state   Raw wizard state.
+	 * @return array The stored draft: { state, saved_at }.
+	 */
+	public static function save_draft( int $user_id, array $state ): array {
+		$draft = array(
+			'state'    => self::sanitise_state( $state ),
+			'saved_at' => time(),
+		);
+
+		update_user_meta( $user_id, self::DRAFT_META_KEY, $draft );
+
+		return $draft;
+	}
+
+	/**
+	 * Get a user's wizard draft.
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @return array|null Draft { state, saved_at }, or null if there is none.
+	 */
+	public static function get_draft( int $user_id ): ?array {
+		$draft = get_user_meta( $user_id, self::DRAFT_META_KEY, true );
+
+		if ( ! is_array( $draft ) || empty( $draft['state'] ) || ! is_array( $draft['state'] ) ) {
+			return null;
+		}
+
+		return array(
+			'state'    => $draft['state'],
+			'saved_at' => (int) ( $draft['saved_at'] ?? 0 ),
+		);
+	}
+
+	/**
+	 * Delete a user's wizard draft.
+	 *
+	 * Called when the user discards the draft and once a campaign has been
+	 * generated or queued from it.
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @return void
+	 */
+	public static function clear_draft( int $user_id ): void {
+		delete_user_meta( $user_id, self::DRAFT_META_KEY );
+	}
+
+	/**
+	 * Get all presets, sorted by name.
+	 *
+	 * @since  1.6.0
+	 * @return array[] Presets: { id, name, state, updated_at }.
+	 */
+	public static function get_presets(): array {
+		$presets = get_option( self::PRESETS_OPTION, array() );
+
+		if ( ! is_array( $presets ) ) {
+			return array();
+		}
+
+		$presets = array_values( $presets );
+
+		usort( $presets, function ( $a, $b ) {
+			return strcasecmp( $a['name'], $b['name'] );
+		} );
+
+		return $presets;
+	}
+
+	/**
+	 * Save a named preset.
+	 *
+	 * Saving under an existing name (case-insensitive) replaces that
+	 * preset, so a recurring promotion can be updated in place.
+	 *
+	 * @since  1.6.0
+	 * @param  string $name  Preset name.
+	 * @param  array  $state Raw wizard state.
+	 * @return array|\WP_Error The saved preset, or WP_Error on failure.
+	 */
+	public static function save_preset( string $name, array $state ): array|\WP_Error {
+		$name = sanitize_text_field( $name );
+
+		if ( '' === $name ) {
+			return new \WP_Error( 'bcg_preset_name', __( 'Please enter a preset name.', 'brevo-campaign-generator' ) );
+		}
+
+		$presets = get_option( self::PRESETS_OPTION, array() );
+		if ( ! is_array( $presets ) ) {
+			$presets = array();
+		}
+
+		$id = '';
+		foreach ( $presets as $key => $preset ) {
+			if ( 0 === strcasecmp( $preset['name'], $name ) ) {
+				$id = $key;
+				break;
+			}
+		}
+
+		if ( '' === $id ) {
+			if ( count( $presets ) >= self::MAX_PRESETS ) {
+				return new \WP_Error(
+					'bcg_preset_limit',
+					sprintf(
+						/* translators: %d: maximum number of presets */
+						__( 'You can save at most %d presets. Delete one first.', 'brevo-campaign-generator' ),
+						self::MAX_PRESETS
+					)
+				);
+			}
+
+			$id = substr( str_replace( '-', '', wp_generate_uuid4() ), 0, 12 );
+		}
+
+		// Presets always open on the first wizard step.
+		$state = self::sanitise_state( $state );
+		unset( $state['step'] );
+
+		$presets[ $id ] = array(
+			'id'         => $id,
+			'name'       => $name,
+			'state'      => $state,
+			'updated_at' => time(),
+		);
+
+		update_option( self::PRESETS_OPTION, $presets, false );
+
+		return $presets[ $id ];
+	}
+
+	/**
+	 * Delete a preset.
+	 *
+	 * @since  1.6.0
+	 * @param  string $id Preset ID.
+	 * @return bool|\WP_Error True on success, WP_Error if not found.
+	 */
+	public static function delete_preset( string $id ): bool|\WP_Error {
+		$presets = get_option( self::PRESETS_OPTION, array() );
+		$id      = sanitize_key( $id );
+
+		if ( ! is_array( $presets ) || ! isset( $presets[ $id ] ) ) {
+			return new \WP_Error( 'bcg_not_found', __( 'Preset not found.', 'brevo-campaign-generator' ) );
+		}
+
+		unset( $presets[ $id ] );
+		update_option( self::PRESETS_OPTION, $presets, false );
+
+		return true;
+	}
+}
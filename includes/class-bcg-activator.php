@@ -158,6 +158,58 @@ class BCG_Activator {
 		) $charset_collate;";
 
 		dbDelta( $sql_section_templates );
+
+		// ── bcg_generation_queue ─────────────────────────────────────
+		$sql_generation_queue = "CREATE TABLE {$prefix}bcg_generation_queue (
+			id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+			user_id BIGINT UNSIGNED NOT NULL,
+			batch_id VARCHAR(40) NOT NULL DEFAULT '',
+			label VARCHAR(255) NOT NULL DEFAULT '',
+			status ENUM('queued','running','complete','failed','cancelled') NOT NULL DEFAULT 'queued',
+			config LONGTEXT NOT NULL,
+			job_id VARCHAR(40) NOT NULL DEFAULT '',
+			campaign_id BIGINT UNSIGNED NULL,
+			attempts INT UNSIGNED NOT NULL DEFAULT 0,
+			error TEXT NULL,
+			warnings TEXT NULL,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			started_at DATETIME NULL,
+			finished_at DATETIME NULL,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY  (id),
+			KEY idx_status (status),
+			KEY idx_user (user_id)
+		) $charset_collate;";
+
+		dbDelta( $sql_generation_queue );
+
+		// ── bcg_recurring_campaigns ──────────────────────────────────
+		$sql_recurring_campaigns = "CREATE TABLE {$prefix}bcg_recurring_campaigns (
+			id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+			user_id BIGINT UNSIGNED NOT NULL,
+			name VARCHAR(255) NOT NULL DEFAULT '',
+			state LONGTEXT NOT NULL,
+			frequency ENUM('daily','weekly','monthly') NOT NULL DEFAULT 'weekly',
+			weekday TINYINT UNSIGNED NOT NULL DEFAULT 1,
+			month_day TINYINT UNSIGNED NOT NULL DEFAULT 1,
+			run_time CHAR(5) NOT NULL DEFAULT '09:00',
+			brevo_action ENUM('none','draft','schedule') NOT NULL DEFAULT 'draft',
+			send_delay SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+			status ENUM('active','paused') NOT NULL DEFAULT 'active',
+			next_run_at DATETIME NULL,
+			last_run_at DATETIME NULL,
+			last_status VARCHAR(20) NOT NULL DEFAULT '',
+			last_campaign_id BIGINT UNSIGNED NULL,
+			last_error TEXT NULL,
+			run_count INT UNSIGNED NOT NULL DEFAULT 0,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY  (id),
+			KEY idx_due (status, next_run_at),
+			KEY idx_user (user_id)
+		) $charset_collate;";
+
+		dbDelta( $sql_recurring_campaigns );
 	}
 
 	/**
@@ -227,6 +279,7 @@ class BCG_Activator {
 		add_option( 'bcg_default_coupon_discount', 10 );
 		add_option( 'bcg_default_coupon_expiry_days', 7 );
 		add_option( 'bcg_default_auto_generate_coupon', 'yes' );
+		add_option( 'bcg_default_copy_variants', 3 );
 
 		// ── Default template settings (JSON) ────────────────────────
 		$default_template_settings = array(
@@ -364,6 +417,126 @@ class BCG_Activator {
 
 			dbDelta( $sql_section_templates );
 		}
+
+		// Add bcg_generation_queue and bcg_recurring_campaigns tables (introduced in 1.6.0).
+		if ( version_compare( $installed_version, '1.6.0', '<' ) ) {
+			global $wpdb;
+
+			$charset_collate = $wpdb->get_charset_collate();
+			$queue_table     = $wpdb->prefix . 'bcg_generation_queue';
+
+			require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+			$sql_generation_queue = "CREATE TABLE {$queue_table} (
+				id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+				user_id BIGINT UNSIGNED NOT NULL,
+				batch_id VARCHAR(40) NOT NULL DEFAULT '',
+				label VARCHAR(255) NOT NULL DEFAULT '',
+				status ENUM('queued','running','complete','failed','cancelled') NOT NULL DEFAULT 'queued',
+				config LONGTEXT NOT NULL,
+				job_id VARCHAR(40) NOT NULL DEFAULT '',
+				campaign_id BIGINT UNSIGNED NULL,
+				attempts INT UNSIGNED NOT NULL DEFAULT 0,
+				error TEXT NULL,
+				warnings TEXT NULL,
+				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				started_at DATETIME NULL,
+				finished_at DATETIME NULL,
+				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				PRIMARY KEY  (id),
+				KEY idx_status (status),
+				KEY idx_user (user_id)
+			) {$charset_collate};";
+
+			dbDelta( $sql_generation_queue );
+
+			$recurring_table = $wpdb->prefix . 'bcg_recurring_campaigns';
+
+			$sql_recurring_campaigns = "CREATE TABLE {$recurring_table} (
+				id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+				user_id BIGINT UNSIGNED NOT NULL,
+				name VARCHAR(255) NOT NULL DEFAULT '',
+				state LONGTEXT NOT NULL,
+				frequency ENUM('daily','weekly','monthly') NOT NULL DEFAULT 'weekly',
+				weekday TINYINT UNSIGNED NOT NULL DEFAULT 1,
+				month_day TINYINT UNSIGNED NOT NULL DEFAULT 1,
+				run_time CHAR(5) NOT NULL DEFAULT '09:00',
+				brevo_action ENUM('none','draft','schedule') NOT NULL DEFAULT 'draft',
+				send_delay SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+				status ENUM('active','paused') NOT NULL DEFAULT 'active',
+				next_run_at DATETIME NULL,
+				last_run_at DATETIME NULL,
+				last_status VARCHAR(20) NOT NULL DEFAULT '',
+				last_campaign_id BIGINT UNSIGNED NULL,
+				last_error TEXT NULL,
+				run_count INT UNSIGNED NOT NULL DEFAULT 0,
+				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				PRIMARY KEY  (id),
+				KEY idx_due (status, next_run_at),
+				KEY idx_user (user_id)
+			) {$charset_collate};";
+
+			dbDelta( $sql_recurring_campaigns );
+
+			// product_rules column — selection rules saved for regeneration.
+			$table = $wpdb->prefix . 'bcg_campaigns';
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$table} LIKE %s", 'product_rules' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$table} ADD COLUMN product_rules LONGTEXT NULL AFTER section_template_id" );
+			}
+
+			// ab_test column — A/B subject line test settings.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$table} LIKE %s", 'ab_test' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$table} ADD COLUMN ab_test LONGTEXT NULL AFTER product_rules" );
+			}
+
+			// copy_history column — AI copy alternatives kept per field.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$table} LIKE %s", 'copy_history' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$table} ADD COLUMN copy_history LONGTEXT NULL AFTER ab_test" );
+			}
+
+			// language column — language code the campaign copy is written in.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$table} LIKE %s", 'language' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$table} ADD COLUMN language VARCHAR(10) NULL AFTER copy_history" );
+			}
+
+			// translations column — AI translations and their audiences, keyed by language code.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$table} LIKE %s", 'translations' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$table} ADD COLUMN translations LONGTEXT NULL AFTER language" );
+			}
+
+			// main_image_alt column — alt text of the main image (NULL = the headline).
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$table} LIKE %s", 'main_image_alt' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$table} ADD COLUMN main_image_alt TEXT NULL AFTER main_image_url" );
+			}
+
+			// image_alt column — alt text of a product's image (NULL = the product name).
+			$products_table = $wpdb->prefix . 'bcg_campaign_products';
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$col = $wpdb->get_results( $wpdb->prepare( "SHOW COLUMNS FROM {$products_table} LIKE %s", 'image_alt' ) );
+			if ( empty( $col ) ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange
+				$wpdb->query( "ALTER TABLE {$products_table} ADD COLUMN image_alt TEXT NULL AFTER generated_image_url" );
+			}
+		}
 	}
 
 	/**
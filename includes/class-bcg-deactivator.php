@@ -36,6 +36,29 @@ class BCG_Deactivator {
 	public static function deactivate(): void {
 		self::flush_rewrite_rules();
 		self::clear_transients();
+		self::unschedule_events();
+	}
+
+	/**
+	 * Remove scheduled background events.
+	 *
+	 * Queued generation items stay in the database and are picked up
+	 * again once the plugin is re-activated and a new item is enqueued
+	 * or retried. Recurring campaigns also stay; their check is
+	 * rescheduled the next time the dashboard is opened, and cycles
+	 * missed in between are skipped.
+	 *
+	 * @since  1.6.0
+	 * @return void
+	 */
+	private static function unschedule_events(): void {
+		foreach ( array( 'bcg_process_generation_queue', 'bcg_run_recurring_campaigns' ) as $hook ) {
+			wp_clear_scheduled_hook( $hook );
+
+			if ( function_exists( 'as_unschedule_all_actions' ) ) {
+				as_unschedule_all_actions( $hook, array(), 'bcg' );
+			}
+		}
 	}
 
 	/**
@@ -60,6 +60,20 @@ class BCG_Plugin {
 	 */
 	private ?object $stats = null;
 
+	/**
+	 * Background generation queue instance.
+	 *
+	 * @var BCG_Generation_Queue|null
+	 */
+	private ?object $generation_queue = null;
+
+	/**
+	 * Recurring campaigns scheduler instance.
+	 *
+	 * @var BCG_Recurring_Campaigns|null
+	 */
+	private ?object $recurring_campaigns = null;
+
 	/**
 	 * Whether the plugin has already been initialised.
 	 *
@@ -112,6 +126,8 @@ class BCG_Plugin {
 		require_once $includes . 'db/class-bcg-credits-table.php';
 		require_once $includes . 'db/class-bcg-transactions-table.php';
 		require_once $includes . 'db/class-bcg-section-templates-table.php';
+		require_once $includes . 'db/class-bcg-generation-queue-table.php';
+		require_once $includes . 'db/class-bcg-recurring-campaigns-table.php';
 
 		// Admin classes.
 		require_once $includes . 'admin/class-bcg-admin.php';
@@ -129,6 +145,20 @@ class BCG_Plugin {
 		require_once $includes . 'campaign/class-bcg-section-renderer.php';
 		require_once $includes . 'campaign/class-bcg-section-ai.php';
 		require_once $includes . 'campaign/class-bcg-section-presets.php';
+		require_once $includes . 'campaign/class-bcg-generation-job.php';
+		require_once $includes . 'campaign/class-bcg-campaign-generator.php';
+		require_once $includes . 'campaign/class-bcg-generation-queue.php';
+		require_once $includes . 'campaign/class-bcg-wizard-drafts.php';
+		require_once $includes . 'campaign/class-bcg-ab-test.php';
+		require_once $includes . 'campaign/class-bcg-campaign-publisher.php';
+		require_once $includes . 'campaign/class-bcg-campaign-preflight.php';
+		require_once $includes . 'campaign/class-bcg-deliverability.php';
+		require_once $includes . 'campaign/class-bcg-accessibility.php';
+		require_once $includes . 'campaign/class-bcg-plain-text.php';
+		require_once $includes . 'campaign/class-bcg-copy-history.php';
+		require_once $includes . 'campaign/class-bcg-copy-rewrite.php';
+		require_once $includes . 'campaign/class-bcg-campaign-translations.php';
+		require_once $includes . 'campaign/class-bcg-recurring-campaigns.php';
 
 		// AI classes.
 		require_once $includes . 'ai/class-bcg-openai.php';
@@ -182,6 +212,12 @@ class BCG_Plugin {
 			update_option( 'bcg_version', BCG_VERSION );
 		}
 
+		// The queue runner and the recurring campaigns check fire from cron /
+		// Action Scheduler requests, which are not admin requests, so they
+		// are registered everywhere.
+		$this->generation_queue    = new BCG_Generation_Queue();
+		$this->recurring_campaigns = new BCG_Recurring_Campaigns();
+
 		// Admin-only hooks.
 		if ( is_admin() ) {
 			$this->admin    = new BCG_Admin();
@@ -253,6 +289,26 @@ class BCG_Plugin {
 		return $this->stats;
 	}
 
+	/**
+	 * Get the background generation queue instance.
+	 *
+	 * @since  1.6.0
+	 * @return BCG_Generation_Queue|null
+	 */
+	public function get_generation_queue(): ?object {
+		return $this->generation_queue;
+	}
+
+	/**
+	 * Get the recurring campaigns scheduler instance.
+	 *
+	 * @since  1.6.0
+	 * @return BCG_Recurring_Campaigns|null
+	 */
+	public function get_recurring_campaigns(): ?object {
+		return $this->recurring_campaigns;
+	}
+
 	/**
 	 * Prevent cloning of the singleton.
 	 *
@@ -0,0 +1,266 @@
+<?php
+/**
+ * Generation Queue DB table handler.
+ *
+ * Provides CRUD operations for the bcg_generation_queue table which holds
+ * campaigns waiting to be generated in the background, along with their
+ * outcome (generated campaign, error, attempts).
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Generation_Queue_Table
+ *
+ * CRUD for the {prefix}bcg_generation_queue database table.
+ *
+ * @since 1.6.0
+ */
+class BCG_Generation_Queue_Table {
+
+	/**
+	 * Valid queue item statuses.
+	 *
+	 * @var string[]
+	 */
+	const STATUSES = array( 'queued', 'running', 'complete', 'failed', 'cancelled' );
+
+	/**
+	 * Get the fully-qualified table name.
+	 *
+	 * @since  1.6.0
+	 * @return string
+	 */
+	private static function table(): string {
+		global $wpdb;
+		return $wpdb->prefix . 'bcg_generation_queue';
+	}
+
+	/**
+	 * Insert a queued item.
+	 *
+	 * @since  1.6.0
+	 * @param  int    $user_id  User the campaign is generated for (credits are charged to them).
+	 * @param  string $batch_id Batch the item belongs to.
+	 * @param  string $label    Short human-readable label (e.g. theme).
+	 * @param  array  $config   Normalised generation config.
+	 * @return int|\WP_Error Item ID on success, WP_Error on failure.
+	 */
+	public static function insert( int $user_id, string $batch_id, string $label, array $config ): int|\WP_Error {
+		global $wpdb;
+
+		$config_json = wp_json_encode( $config );
+		if ( false === $config_json ) {
+			return new \WP_Error( 'bcg_json_encode', __( 'Failed to encode generation settings to JSON.', 'brevo-campaign-generator' ) );
+		}
+
+		$now = current_time( 'mysql' );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$result = $wpdb->insert(
+			self::table(),
+			array(
+				'user_id'    => $user_id,
+				'batch_id'   => sanitize_key( $batch_id ),
+				'label'      => sanitize_text_field( $label ),
+				'status'     => 'queued',
+				'config'     => $config_json,
+				'job_id'     => wp_generate_uuid4(),
+				'created_at' => $now,
+				'updated_at' => $now,
+			),
+			array( '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s' )
+		);
+
+		if ( false === $result ) {
+			return new \WP_Error( 'bcg_db_insert', $wpdb->last_error );
+		}
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Get a single queue item by ID.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id Item ID.
+	 * @return \stdClass|\WP_Error Row object on success, WP_Error if not found.
+	 */
+	public static function get( int $id ): \stdClass|\WP_Error {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$row = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $id ) );
+		if ( ! $row ) {
+			return new \WP_Error( 'bcg_not_found', __( 'Queue item not found.', 'brevo-campaign-generator' ) );
+		}
+		return $row;
+	}
+
+	/**
+	 * Get a user's queue items, newest first (config omitted).
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @param  int $limit   Maximum rows to return.
+	 * @return array[] Row objects.
+	 */
+	public static function get_for_user( int $user_id, int $limit = 50 ): array {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, batch_id, label, status, campaign_id, job_id, attempts, error, warnings, created_at, started_at, finished_at FROM {$table} WHERE user_id = %d ORDER BY id DESC LIMIT %d",
+				$user_id,
+				$limit
+			)
+		);
+		return $rows ?: array();
+	}
+
+	/**
+	 * Atomically claim the oldest queued item for processing.
+	 *
+	 * The status check in the UPDATE guarantees that two overlapping
+	 * runners can never claim the same item.
+	 *
+	 * @since  1.6.0
+	 * @return \stdClass|null The claimed row (now 'running'), or null if the queue is empty.
+	 */
+	public static function claim_next(): ?\stdClass {
+		global $wpdb;
+		$table = self::table();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$ids = $wpdb->get_col( "SELECT id FROM {$table} WHERE status = 'queued' ORDER BY id ASC LIMIT 5" );
+
+		foreach ( $ids as $id ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			$claimed = $wpdb->query(
+				$wpdb->prepare(
+					"UPDATE {$table} SET status = 'running', attempts = attempts + 1, started_at = %s, updated_at = %s WHERE id = %d AND status = 'queued'",
+					current_time( 'mysql' ),
+					current_time( 'mysql' ),
+					$id
+				)
+			);
+
+			if ( $claimed ) {
+				$row = self::get( (int) $id );
+				return is_wp_error( $row ) ? null : $row;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Update a queue item.
+	 *
+	 * @since  1.6.0
+	 * @param  int   $id   Item ID.
+	 * @param  array $data Column => value pairs (status, campaign_id, error, warnings, finished_at, ...).
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public static function update( int $id, array $data ): bool|\WP_Error {
+		global $wpdb;
+
+		if ( isset( $data['status'] ) && ! in_array( $data['status'], self::STATUSES, true ) ) {
+			return new \WP_Error( 'bcg_invalid_status', __( 'Invalid queue status.', 'brevo-campaign-generator' ) );
+		}
+
+		if ( isset( $data['warnings'] ) && is_array( $data['warnings'] ) ) {
+			$data['warnings'] = wp_json_encode( $data['warnings'] );
+		}
+
+		$data['updated_at'] = current_time( 'mysql' );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$result = $wpdb->update( self::table(), $data, array( 'id' => $id ), null, array( '%d' ) );
+		if ( false === $result ) {
+			return new \WP_Error( 'bcg_db_update', $wpdb->last_error );
+		}
+		return true;
+	}
+
+	/**
+	 * Count items per status, optionally for one user.
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID, or 0 for all users.
+	 * @return array<string,int> Status => count, every status present.
+	 */
+	public static function count_by_status( int $user_id = 0 ): array {
+		global $wpdb;
+		$table = self::table();
+
+		if ( $user_id ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			$rows = $wpdb->get_results( $wpdb->prepare( "SELECT status, COUNT(*) AS total FROM {$table} WHERE user_id = %d GROUP BY status", $user_id ) );
+		} else {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			$rows = $wpdb->get_results( "SELECT status, COUNT(*) AS total FROM {$table} GROUP BY status" );
+		}
+
+		$counts = array_fill_keys( self::STATUSES, 0 );
+		foreach ( $rows ?: array() as $row ) {
+			$counts[ $row->status ] = (int) $row->total;
+		}
+		return $counts;
+	}
+
+	/**
+	 * Fail items stuck in 'running' since before the given time.
+	 *
+	 * A runner that dies mid-item (PHP fatal, timeout, server restart)
+	 * leaves its item 'running' forever; this releases them so they can
+	 * be retried.
+	 *
+	 * @since  1.6.0
+	 * @param  string $before  MySQL datetime; items started before it are failed.
+	 * @param  string $message Error message recorded on the item.
+	 * @return int Number of items released.
+	 */
+	public static function fail_stale( string $before, string $message ): int {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$result = $wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$table} SET status = 'failed', error = %s, finished_at = %s, updated_at = %s WHERE status = 'running' AND started_at < %s",
+				$message,
+				current_time( 'mysql' ),
+				current_time( 'mysql' ),
+				$before
+			)
+		);
+		return (int) $result;
+	}
+
+	/**
+	 * Delete a user's finished items (complete, failed and cancelled).
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @return int Number of rows deleted.
+	 */
+	public static function delete_finished( int $user_id ): int {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$result = $wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$table} WHERE user_id = %d AND status IN ( 'complete', 'failed', 'cancelled' )",
+				$user_id
+			)
+		);
+		return (int) $result;
+	}
+}
@@ -0,0 +1,204 @@
+<?php
+/**
+ * Recurring Campaigns DB table handler.
+ *
+ * Provides CRUD operations for the bcg_recurring_campaigns table which
+ * holds saved wizard configurations with a schedule ("every Monday at
+ * 09:00"), what to do in Brevo once a cycle's campaign is generated, and
+ * the outcome of the most recent cycle.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BCG_Recurring_Campaigns_Table
+ *
+ * CRUD for the {prefix}bcg_recurring_campaigns database table.
+ *
+ * @since 1.6.0
+ */
+class BCG_Recurring_Campaigns_Table {
+
+	/**
+	 * Columns that may be written through insert() and update().
+	 *
+	 * @var string[]
+	 */
+	const COLUMNS = array(
+		'name',
+		'state',
+		'frequency',
+		'weekday',
+		'month_day',
+		'run_time',
+		'brevo_action',
+		'send_delay',
+		'status',
+		'next_run_at',
+		'last_run_at',
+		'last_status',
+		'last_campaign_id',
+		'last_error',
+		'run_count',
+	);
+
+	/**
+	 * Get the fully-qualified table name.
+	 *
+	 * @since  1.6.0
+	 * @return string
+	 */
+	private static function table(): string {
+		global $wpdb;
+		return $wpdb->prefix . 'bcg_recurring_campaigns';
+	}
+
+	/**
+	 * Insert a recurring campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  int   $user_id User who owns it (credits are charged to them).
+	 * @param  array $data    Sanitised column => value pairs; 'state' may be an array.
+	 * @return int|\WP_Error Row ID on success, WP_Error on failure.
+	 */
+	public static function insert( int $user_id, array $data ): int|\WP_Error {
+		global $wpdb;
+
+		$data = self::prepare( $data );
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$now = current_time( 'mysql' );
+
+		$data['user_id']    = $user_id;
+		$data['created_at'] = $now;
+		$data['updated_at'] = $now;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$result = $wpdb->insert( self::table(), $data );
+
+		if ( false === $result ) {
+			return new \WP_Error( 'bcg_db_insert', $wpdb->last_error );
+		}
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Get a single recurring campaign by ID.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id Row ID.
+	 * @return \stdClass|\WP_Error Row object on success, WP_Error if not found.
+	 */
+	public static function get( int $id ): \stdClass|\WP_Error {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$row = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $id ) );
+		if ( ! $row ) {
+			return new \WP_Error( 'bcg_not_found', __( 'Recurring campaign not found.', 'brevo-campaign-generator' ) );
+		}
+		return $row;
+	}
+
+	/**
+	 * Get a user's recurring campaigns, ordered by name.
+	 *
+	 * @since  1.6.0
+	 * @param  int $user_id User ID.
+	 * @return array[] Row objects.
+	 */
+	public static function get_for_user( int $user_id ): array {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results( $wpdb->prepare( "SELECT * FROM {$table} WHERE user_id = %d ORDER BY name ASC, id ASC", $user_id ) );
+		return $rows ?: array();
+	}
+
+	/**
+	 * Get active recurring campaigns whose next run is due.
+	 *
+	 * @since  1.6.0
+	 * @param  string $now MySQL datetime in site time.
+	 * @return array[] Row objects, most overdue first.
+	 */
+	public static function get_due( string $now ): array {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results( $wpdb->prepare( "SELECT * FROM {$table} WHERE status = 'active' AND next_run_at IS NOT NULL AND next_run_at <= %s ORDER BY next_run_at ASC", $now ) );
+		return $rows ?: array();
+	}
+
+	/**
+	 * Update a recurring campaign.
+	 *
+	 * @since  1.6.0
+	 * @param  int   $id   Row ID.
+	 * @param  array $data Column => value pairs; 'state' may be an array.
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public static function update( int $id, array $data ): bool|\WP_Error {
+		global $wpdb;
+
+		$data = self::prepare( $data );
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$data['updated_at'] = current_time( 'mysql' );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$result = $wpdb->update( self::table(), $data, array( 'id' => $id ), null, array( '%d' ) );
+		if ( false === $result ) {
+			return new \WP_Error( 'bcg_db_update', $wpdb->last_error );
+		}
+		return true;
+	}
+
+	/**
+	 * Delete a recurring campaign. Campaigns it already generated are kept.
+	 *
+	 * @since  1.6.0
+	 * @param  int $id Row ID.
+	 * @return bool|\WP_Error True on success, WP_Error on failure.
+	 */
+	public static function delete( int $id ): bool|\WP_Error {
+		global $wpdb;
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$result = $wpdb->delete( self::table(), array( 'id' => $id ), array( '%d' ) );
+		if ( false === $result ) {
+			return new \WP_Error( 'bcg_db_delete', $wpdb->last_error );
+		}
+		return true;
+	}
+
+	/**
+	 * Drop unknown columns and encode the wizard state.
+	 *
+	 * @since  1.6.0
+	 * @param  array $data Column => value pairs.
+	 * @return array|\WP_Error
+	 */
+	private static function prepare( array $data ): array|\WP_Error {
+		$data = array_intersect_key( $data, array_flip( self::COLUMNS ) );
+
+		if ( isset( $data['state'] ) && is_array( $data['state'] ) ) {
+			$data['state'] = wp_json_encode( $data['state'] );
+			if ( false === $data['state'] ) {
+				return new \WP_Error( 'bcg_json_encode', __( 'Failed to encode campaign settings to JSON.', 'brevo-campaign-generator' ) );
+			}
+		}
+
+		return $data;
+	}
+}
@@ -69,6 +69,13 @@ class BCG_Brevo {
 	 */
 	const STATS_CACHE_TTL = 15 * MINUTE_IN_SECONDS;
 
+	/**
+	 * Transient TTL for contact attributes cache (1 hour).
+	 *
+	 * @var int
+	 */
+	const ATTRIBUTES_CACHE_TTL = HOUR_IN_SECONDS;
+
 	/**
 	 * Brevo API key.
 	 *
@@ -187,6 +194,268 @@ class BCG_Brevo {
 		return $this->request( 'GET', 'contacts/lists/' . absint( $list_id ) );
 	}
 
+	// -------------------------------------------------------------------------
+	// Public API Methods — Contact Attributes
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Retrieve the contact attributes defined in the Brevo account.
+	 *
+	 * Only attributes stored on the contact (the 'normal' and 'category'
+	 * categories) are returned, as those are the ones a campaign can insert
+	 * with {{ contact.NAME }}. EMAIL is always included. Results are cached
+	 * in a transient for 1 hour.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param bool $force_refresh Optional. Whether to bypass the transient cache. Default false.
+	 * @return array|WP_Error Array of [ 'name', 'type', 'category' ] arrays on success,
+	 *                        WP_Error on failure.
+	 */
+	public function get_contact_attributes( bool $force_refresh = false ) {
+		if ( ! $force_refresh ) {
+			$cached = get_transient( 'bcg_brevo_attributes' );
+			if ( false !== $cached ) {
+				return $cached;
+			}
+		}
+
+		$response = $this->request( 'GET', 'contacts/attributes' );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$attributes = array();
+		$seen       = array();
+
+		foreach ( $response['attributes'] ?? array() as $attribute ) {
+			$name     = isset( $attribute['name'] ) ? strtoupper( (string) $attribute['name'] ) : '';
+			$category = isset( $attribute['category'] ) ? (string) $attribute['category'] : 'normal';
+
+			if ( '' === $name || isset( $seen[ $name ] ) || ! in_array( $category, array( 'normal', 'category' ), true ) ) {
+				continue;
+			}
+
+			$seen[ $name ] = true;
+			$attributes[]  = array(
+				'name'     => $name,
+				'type'     => isset( $attribute['type'] ) ? (string) $attribute['type'] : 'text',
+				'category' => $category,
+			);
+		}
+
+		if ( ! isset( $seen['EMAIL'] ) ) {
+			array_unshift( $attributes, array(
+				'name'     => 'EMAIL',
+				'type'     => 'text',
+				'category' => 'normal',
+			) );
+		}
+
+		set_transient( 'bcg_brevo_attributes', $attributes, self::ATTRIBUTES_CACHE_TTL );
+
+		return $attributes;
+	}
+
+	// -------------------------------------------------------------------------
+	// Public API Methods — Contacts
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Find Brevo contacts to preview a campaign as.
+	 *
+	 * A full email address is looked up directly. Any other query is matched
+	 * against the email, FIRSTNAME and LASTNAME of the most recently added
+	 * contacts, as the Brevo API has no free-text contact search. Results are
+	 * not cached, since they hold personal data.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param string $query Email address or part of an email address or name.
+	 * @param int    $limit Optional. Maximum number of contacts to return. Default 10.
+	 * @return array|WP_Error Array of [ 'id', 'email', 'name', 'attributes' ] arrays
+	 *                        on success, WP_Error on failure.
+	 */
+	public function search_contacts( string $query, int $limit = 10 ) {
+		$query = trim( $query );
+
+		if ( '' === $query ) {
+			return array();
+		}
+
+		if ( is_email( $query ) ) {
+			$response = $this->request( 'GET', 'contacts/' . rawurlencode( $query ) );
+
+			if ( is_wp_error( $response ) ) {
+				$data = $response->get_error_data();
+				return ( is_array( $data ) && 404 === ( $data['status_code'] ?? 0 ) ) ? array() : $response;
+			}
+
+			return array( $this->format_contact( $response ) );
+		}
+
+		$response = $this->request(
+			'GET',
+			'contacts',
+			array(
+				'limit'  => 50,
+				'offset' => 0,
+				'sort'   => 'desc',
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$needle   = strtolower( $query );
+		$contacts = array();
+
+		foreach ( $response['contacts'] ?? array() as $contact ) {
+			$contact  = $this->format_contact( $contact );
+			$haystack = strtolower( $contact['email'] . ' ' . $contact['name'] );
+
+			if ( false === strpos( $haystack, $needle ) ) {
+				continue;
+			}
+
+			$contacts[] = $contact;
+
+			if ( count( $contacts ) >= $limit ) {
+				break;
+			}
+		}
+
+		return $contacts;
+	}
+
+	/**
+	 * Get the email addresses of the contacts in some lists whose attribute
+	 * has a given value, e.g. every contact with LANGUAGE "de".
+	 *
+	 * Results are not cached, since they hold personal data.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param int[]  $list_ids  Lists to look in.
+	 * @param string $attribute Contact attribute name.
+	 * @param string $value     Value the attribute must equal.
+	 * @return string[]|WP_Error Unique email addresses on success, WP_Error on failure.
+	 */
+	public function get_contact_emails_by_attribute( array $list_ids, string $attribute, string $value ) {
+		$attribute = strtoupper( preg_replace( '/[^A-Za-z0-9_]/', '', $attribute ) );
+		$value     = str_replace( '"', '', $value );
+		$emails    = array();
+		$limit     = 1000;
+
+		if ( '' === $attribute ) {
+			return new WP_Error(
+				'bcg_brevo_invalid_attribute',
+				__( 'Invalid contact attribute provided.', 'brevo-campaign-generator' )
+			);
+		}
+
+		foreach ( array_filter( array_map( 'absint', $list_ids ) ) as $list_id ) {
+			$offset = 0;
+
+			do {
+				$response = $this->request(
+					'GET',
+					'contacts',
+					array(
+						'listIds' => $list_id,
+						'filter'  => rawurlencode( sprintf( 'equals(%s,"%s")', $attribute, $value ) ),
+						'limit'   => $limit,
+						'offset'  => $offset,
+					)
+				);
+
+				if ( is_wp_error( $response ) ) {
+					return $response;
+				}
+
+				$contacts = $response['contacts'] ?? array();
+				foreach ( $contacts as $contact ) {
+					if ( ! empty( $contact['email'] ) ) {
+						$emails[ strtolower( (string) $contact['email'] ) ] = true;
+					}
+				}
+
+				$offset += $limit;
+			} while ( count( $contacts ) === $limit );
+		}
+
+		return array_keys( $emails );
+	}
+
+	/**
+	 * Create a contact list.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param string $name      List name.
+	 * @param int    $folder_id Brevo folder to create the list in.
+	 * @return int|WP_Error The new list ID on success, WP_Error on failure.
+	 */
+	public function create_list( string $name, int $folder_id ) {
+		$response = $this->request(
+			'POST',
+			'contacts/lists',
+			null,
+			array(
+				'name'     => $name,
+				'folderId' => $folder_id,
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$this->clear_lists_cache();
+
+		return absint( $response['id'] ?? 0 );
+	}
+
+	/**
+	 * Replace the contacts of a list with the given email addresses.
+	 *
+	 * The list is emptied first, then the addresses are added in batches of
+	 * 150, the most the Brevo API accepts per request.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param int      $list_id The Brevo list ID.
+	 * @param string[] $emails  Email addresses of existing contacts.
+	 * @return true|WP_Error True on success, WP_Error on failure.
+	 */
+	public function set_list_contacts( int $list_id, array $emails ) {
+		$list = $this->get_list( $list_id );
+
+		if ( is_wp_error( $list ) ) {
+			return $list;
+		}
+
+		if ( ! empty( $list['totalSubscribers'] ) || ! empty( $list['totalBlacklisted'] ) ) {
+			$response = $this->request( 'POST', 'contacts/lists/' . absint( $list_id ) . '/contacts/remove', null, array( 'all' => true ) );
+
+			if ( is_wp_error( $response ) ) {
+				return $response;
+			}
+		}
+
+		foreach ( array_chunk( array_values( $emails ), 150 ) as $batch ) {
+			$response = $this->request( 'POST', 'contacts/lists/' . absint( $list_id ) . '/contacts/add', null, array( 'emails' => $batch ) );
+
+			if ( is_wp_error( $response ) ) {
+				return $response;
+			}
+		}
+
+		return true;
+	}
+
 	// -------------------------------------------------------------------------
 	// Public API Methods — Campaigns
 	// -------------------------------------------------------------------------
@@ -213,6 +482,11 @@ class BCG_Brevo {
 	public function create_campaign( array $data ) {
 		$required_fields = array( 'name', 'subject', 'sender', 'htmlContent', 'recipients' );
 
+		// A/B campaigns carry two subjects instead of one.
+		if ( ! empty( $data['abTesting'] ) ) {
+			$required_fields = array( 'name', 'subjectA', 'subjectB', 'sender', 'htmlContent', 'recipients' );
+		}
+
 		foreach ( $required_fields as $field ) {
 			if ( empty( $data[ $field ] ) ) {
 				return new WP_Error(
@@ -509,11 +783,62 @@ class BCG_Brevo {
 			}
 		}
 
+		// A/B subject line test settings.
+		$stats['abTesting'] = ! empty( $campaign['abTesting'] );
+		if ( $stats['abTesting'] ) {
+			$stats['subjectA']       = isset( $campaign['subjectA'] ) ? (string) $campaign['subjectA'] : '';
+			$stats['subjectB']       = isset( $campaign['subjectB'] ) ? (string) $campaign['subjectB'] : '';
+			$stats['splitRule']      = isset( $campaign['splitRule'] ) ? (int) $campaign['splitRule'] : 0;
+			$stats['winnerCriteria'] = isset( $campaign['winnerCriteria'] ) ? (string) $campaign['winnerCriteria'] : '';
+			$stats['winnerDelay']    = isset( $campaign['winnerDelay'] ) ? (int) $campaign['winnerDelay'] : 0;
+		}
+
 		set_transient( $cache_key, $stats, self::STATS_CACHE_TTL );
 
 		return $stats;
 	}
 
+	/**
+	 * Retrieve the A/B test result of a sent A/B campaign.
+	 *
+	 * Returns the winning version and per-version openers, clicks,
+	 * unsubscriptions, bounces and complaints. Results are cached in a
+	 * transient for 15 minutes.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param int  $campaign_id   The Brevo campaign ID.
+	 * @param bool $force_refresh Optional. Bypass transient cache. Default false.
+	 * @return array|WP_Error A/B test result array on success, WP_Error on failure.
+	 */
+	public function get_ab_test_results( int $campaign_id, bool $force_refresh = false ) {
+		if ( $campaign_id <= 0 ) {
+			return new WP_Error(
+				'bcg_brevo_invalid_campaign_id',
+				__( 'Invalid campaign ID provided.', 'brevo-campaign-generator' )
+			);
+		}
+
+		$cache_key = 'bcg_ab_results_' . absint( $campaign_id );
+
+		if ( ! $force_refresh ) {
+			$cached = get_transient( $cache_key );
+			if ( false !== $cached ) {
+				return $cached;
+			}
+		}
+
+		$result = $this->request( 'GET', 'emailCampaigns/' . absint( $campaign_id ) . '/abTestCampaignResult' );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		set_transient( $cache_key, $result, self::STATS_CACHE_TTL );
+
+		return $result;
+	}
+
 	// -------------------------------------------------------------------------
 	// Public API Methods — Templates
 	// -------------------------------------------------------------------------
@@ -637,6 +962,7 @@ class BCG_Brevo {
 		delete_transient( 'bcg_brevo_lists' );
 		delete_transient( 'bcg_brevo_campaigns' );
 		delete_transient( 'bcg_brevo_aggregate_stats' );
+		delete_transient( 'bcg_brevo_attributes' );
 
 		// Clear individual stats caches — we fetch known campaign IDs from our DB.
 		global $wpdb;
@@ -657,6 +983,7 @@ class BCG_Brevo {
 			if ( $brevo_ids ) {
 				foreach ( $brevo_ids as $brevo_id ) {
 					delete_transient( 'bcg_stats_' . absint( $brevo_id ) );
+					delete_transient( 'bcg_ab_results_' . absint( $brevo_id ) );
 				}
 			}
 		}
@@ -694,6 +1021,7 @@ class BCG_Brevo {
 	 */
 	public function clear_stats_cache( int $campaign_id ): void {
 		delete_transient( 'bcg_stats_' . absint( $campaign_id ) );
+		delete_transient( 'bcg_ab_results_' . absint( $campaign_id ) );
 	}
 
 	// -------------------------------------------------------------------------
@@ -1060,6 +1388,44 @@ class BCG_Brevo {
 		);
 	}
 
+	/**
+	 * Reduce a Brevo contact to the fields a preview needs.
+	 *
+	 * Attribute names are uppercased to match {{ contact.NAME }} tags, EMAIL
+	 * is added from the contact's address, and multiple-choice values are
+	 * joined with commas.
+	 *
+	 * @since 1.6.0
+	 *
+	 * @param array $contact Contact object from the Brevo API.
+	 * @return array [ 'id', 'email', 'name', 'attributes' ].
+	 */
+	private function format_contact( array $contact ): array {
+		$email      = isset( $contact['email'] ) ? (string) $contact['email'] : '';
+		$attributes = array( 'EMAIL' => $email );
+
+		foreach ( (array) ( $contact['attributes'] ?? array() ) as $name => $value ) {
+			if ( is_array( $value ) ) {
+				$value = implode( ', ', array_filter( $value, 'is_scalar' ) );
+			} elseif ( is_bool( $value ) ) {
+				$value = $value ? 'true' : 'false';
+			} elseif ( ! is_scalar( $value ) ) {
+				continue;
+			}
+
+			$attributes[ strtoupper( (string) $name ) ] = (string) $value;
+		}
+
+		$name = trim( ( $attributes['FIRSTNAME'] ?? '' ) . ' ' . ( $attributes['LASTNAME'] ?? '' ) );
+
+		return array(
+			'id'         => isset( $contact['id'] ) ? (int) $contact['id'] : 0,
+			'email'      => $email,
+			'name'       => $name,
+			'attributes' => $attributes,
+		);
+	}
+
 	// -------------------------------------------------------------------------
 	// Error Logging
 	// -------------------------------------------------------------------------
@@ -0,0 +1,81 @@
+/**
+ * Section renderer parity test.
+ *
+ * Renders the cases in tests/fixtures/section-renderer.json with
+ * admin/js/bcg-section-renderer.js and compares each with the HTML that
+ * BCG_Section_Renderer produced for it. Regenerate the fixtures with
+ * tests/php/render-section-fixtures.php after changing the PHP renderer.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+'use strict';
+
+const test   = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs     = require( 'node:fs' );
+const path   = require( 'node:path' );
+const vm     = require( 'node:vm' );
+
+const ROOT    = path.resolve( __dirname, '../..' );
+const fixture = JSON.parse( fs.readFileSync( path.join( ROOT, 'tests/fixtures/section-renderer.json' ), 'utf8' ) );
+
+/**
+ * Load the client renderer as the Section Builder page would, with the
+ * bcg_section_renderer data the fixtures were rendered with.
+ *
+ * @return {Object} window.BCGSectionRenderer
+ */
+function loadRenderer() {
+	const window = { bcg_section_renderer: fixture.config };
+	vm.runInNewContext(
+		fs.readFileSync( path.join( ROOT, 'admin/js/bcg-section-renderer.js' ), 'utf8' ),
+		{ window },
+		{ filename: 'bcg-section-renderer.js' }
+	);
+	return window.BCGSectionRenderer;
+}
+
+/**
+ * Section type slugs registered in BCG_Section_Registry::build_types().
+ *
+ * @return {string[]}
+ */
+function registeredTypes() {
+	const source = fs.readFileSync( path.join( ROOT, 'includes/campaign/class-bcg-section-registry.php' ), 'utf8' );
+	return Array.from( source.matchAll( /^\t{3}'([a-z0-9_]+)' => array\(/gm ), ( match ) => match[1] );
+}
+
+const renderer = loadRenderer();
+
+test( 'fixtures cover every registered section type', () => {
+	const types = registeredTypes();
+	assert.ok( types.length > 0, 'no section types found in the registry' );
+	assert.deepStrictEqual( Object.keys( fixture.config.defaults ).sort(), types.slice().sort(), 'fixtures are out of date: regenerate them' );
+
+	types.forEach( ( slug ) => {
+		assert.ok(
+			fixture.cases.some( ( item ) => item.sections.length === 1 && item.sections[0].type === slug ),
+			'no fixture renders ' + slug + ' on its own'
+		);
+	} );
+} );
+
+fixture.cases.forEach( ( item ) => {
+	test( 'client render matches server: ' + item.name, () => {
+		const server = renderer.normalise( item.html );
+		const client = renderer.normalise( renderer.render( item.sections, item.global_settings, fixture.cards ) );
+
+		if ( client !== server ) {
+			let at = 0;
+			while ( client.charAt( at ) === server.charAt( at ) ) {
+				at++;
+			}
+			assert.strictEqual(
+				client.substr( Math.max( 0, at - 80 ), 240 ),
+				server.substr( Math.max( 0, at - 80 ), 240 ),
+				'renders differ at character ' + at
+			);
+		}
+	} );
+} );
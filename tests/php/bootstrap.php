@@ -0,0 +1,86 @@
+<?php
+/**
+ * Bootstrap for the PHP test scripts.
+ *
+ * Loads the WordPress core files the plugin's rendering and error handling
+ * rely on (escaping, kses, hooks, WP_Error) from a WordPress checkout, and
+ * defines minimal stand-ins for the few functions that would otherwise need
+ * a database: site info and translations.
+ *
+ * Set WP_CORE_DIR to the WordPress directory (the one that contains
+ * wp-includes). It defaults to /tmp/wordpress/, where install-wp-tests.sh
+ * puts it.
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+define( 'ABSPATH', rtrim( getenv( 'WP_CORE_DIR' ) ?: '/tmp/wordpress', '/' ) . '/' );
+define( 'WPINC', 'wp-includes' );
+define( 'BCG_PLUGIN_DIR', dirname( __DIR__, 2 ) . '/' );
+
+if ( ! is_file( ABSPATH . WPINC . '/formatting.php' ) ) {
+	fwrite( STDERR, 'WordPress not found in ' . ABSPATH . ". Set WP_CORE_DIR.\n" );
+	exit( 1 );
+}
+
+/**
+ * Test site details, as returned by get_bloginfo().
+ */
+const BCG_TEST_SITE_NAME = 'Test Store';
+const BCG_TEST_SITE_URL  = 'https://shop.example.com';
+
+require ABSPATH . WPINC . '/class-wp-error.php';
+require ABSPATH . WPINC . '/plugin.php';
+require ABSPATH . WPINC . '/functions.php';
+require ABSPATH . WPINC . '/formatting.php';
+require ABSPATH . WPINC . '/kses.php';
+
+// ── Stand-ins ─────────────────────────────────────────────────────────
+
+// Answer option lookups (escaping reads blog_charset) before they reach
+// the database.
+add_filter(
+	'pre_wp_load_alloptions',
+	static function () {
+		return array( 'blog_charset' => 'UTF-8' );
+	}
+);
+add_filter(
+	'pre_option_blog_charset',
+	static function () {
+		return 'UTF-8';
+	}
+);
+
+function get_bloginfo( $show = '' ) {
+	return 'url' === $show ? BCG_TEST_SITE_URL : BCG_TEST_SITE_NAME;
+}
+
+function __( $text, $domain = 'default' ) {
+	return $text;
+}
+
+function esc_html__( $text, $domain = 'default' ) {
+	return esc_html( $text );
+}
+
+function is_wp_error( $thing ) {
+	return $thing instanceof WP_Error;
+}
+
+// ── Assertions ────────────────────────────────────────────────────────
+
+/**
+ * Fail the script with a message unless a condition holds.
+ *
+ * @param bool   $condition
+ * @param string $message
+ */
+function bcg_assert( bool $condition, string $message ): void {
+	if ( ! $condition ) {
+		fwrite( STDERR, "FAIL: {$message}\n" );
+		exit( 1 );
+	}
+	echo "ok - {$message}\n";
+}
@@ -0,0 +1,369 @@
+<?php
+/**
+ * Write the server-rendered fixtures for the section renderer parity test.
+ *
+ * Renders every registered section type with its default settings, plus a
+ * set of cases that exercise escaping, rich text, links, products and
+ * coupon dates, through BCG_Section_Renderer::render_sections(), and writes
+ * them with the bcg_section_renderer configuration the admin localises to
+ * tests/fixtures/section-renderer.json. tests/js/section-renderer-parity.test.js
+ * renders the same cases with admin/js/bcg-section-renderer.js and compares.
+ *
+ * Run after changing either renderer or the registry defaults, and commit
+ * the result:
+ *
+ *     WP_CORE_DIR=/path/to/wordpress php tests/php/render-section-fixtures.php
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+require __DIR__ . '/bootstrap.php';
+require BCG_PLUGIN_DIR . 'includes/campaign/class-bcg-section-registry.php';
+require BCG_PLUGIN_DIR . 'includes/campaign/class-bcg-section-renderer.php';
+
+// Coupon expiry dates go through date( 'd M Y', strtotime() ).
+date_default_timezone_set( 'UTC' );
+
+// ── WooCommerce test double ───────────────────────────────────────────
+
+/**
+ * The parts of WC_Product that BCG_Section_Renderer::get_product_card() reads.
+ */
+class BCG_Test_Product {
+
+	/**
+	 * @var array
+	 */
+	private array $data;
+
+	public function __construct( array $data ) {
+		$this->data = $data;
+	}
+
+	public function get_image_id() {
+		return $this->data['image_id'];
+	}
+
+	public function is_type( $type ) {
+		return $type === $this->data['type'];
+	}
+
+	public function get_variation_price( $min_or_max = 'min', $for_display = false ) {
+		return $this->data['price'];
+	}
+
+	public function get_price_html() {
+		return wc_price( $this->data['price'] );
+	}
+
+	public function get_name() {
+		return $this->data['name'];
+	}
+
+	public function get_permalink() {
+		return BCG_TEST_SITE_URL . '/product/' . $this->data['slug'] . '/';
+	}
+}
+
+function wc_get_product( $product_id ) {
+	$products = array(
+		11 => array( 'name' => 'Linen Shirt', 'slug' => 'linen-shirt', 'type' => 'simple', 'price' => 45, 'image_id' => 101 ),
+		12 => array( 'name' => 'Tea & "Biscuits" <Gift> Box', 'slug' => 'tea-gift-box', 'type' => 'variable', 'price' => 12.5, 'image_id' => 0 ),
+		13 => array( 'name' => 'Café Mug', 'slug' => 'cafe-mug', 'type' => 'simple', 'price' => 8, 'image_id' => 103 ),
+	);
+	return isset( $products[ $product_id ] ) ? new BCG_Test_Product( $products[ $product_id ] ) : false;
+}
+
+function wc_price( $price ) {
+	return '<span class="woocommerce-Price-amount amount"><bdi><span class="woocommerce-Price-currencySymbol">&pound;</span>' . number_format( (float) $price, 2 ) . '</bdi></span>';
+}
+
+function wc_placeholder_img_src() {
+	return BCG_TEST_SITE_URL . '/wp-content/uploads/woocommerce-placeholder.png';
+}
+
+function wp_get_attachment_image_url( $attachment_id, $size = 'thumbnail' ) {
+	return BCG_TEST_SITE_URL . '/wp-content/uploads/product-' . (int) $attachment_id . '-300x300.jpg';
+}
+
+// ── Cases ─────────────────────────────────────────────────────────────
+
+$types = array_keys( BCG_Section_Registry::get_all() );
+$cases = array();
+
+foreach ( $types as $slug ) {
+	$cases[] = array(
+		'name'     => $slug . ' (defaults)',
+		'sections' => array( array( 'id' => 'case-' . $slug, 'type' => $slug, 'settings' => array() ) ),
+	);
+}
+
+$cases[] = array(
+	'name'     => 'header with logo, alt text and navigation',
+	'sections' => array(
+		array(
+			'id'       => 'header-1',
+			'type'     => 'header',
+			'settings' => array(
+				'logo_url'      => 'https://cdn.example.com/logo.png?v=2&size=large',
+				'logo_alt_text' => 'Shop "Best" & Co',
+				'logo_width'    => '140',
+				'show_nav'      => true,
+				'nav_links'     => '[{"label":"New & Now","url":"https://shop.example.com/new?a=1&b=2"},{"label":"Sale","url":"javascript:alert(1)"}]',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'hero and hero_split with images',
+	'sections' => array(
+		array(
+			'id'       => 'hero-1',
+			'type'     => 'hero',
+			'settings' => array(
+				'image_url' => 'https://cdn.example.com/hero.jpg',
+				'headline'  => 'Up to 50% off <everything>',
+				'subtext'   => "Two lines\nof subtext",
+				'cta_url'   => 'https://shop.example.com/sale',
+			),
+		),
+		array(
+			'id'       => 'hero-split-1',
+			'type'     => 'hero_split',
+			'settings' => array(
+				'image_url'      => 'https://cdn.example.com/split.jpg',
+				'image_alt_text' => 'A model wearing the "Harbour" jacket',
+				'image_side'     => 'right',
+				'cta_url'        => '{{ unsubscribe }}',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'text with rich text to sanitise',
+	'sections' => array(
+		array(
+			'id'       => 'text-1',
+			'type'     => 'text',
+			'settings' => array(
+				'heading'   => 'Fish & Chips',
+				'body'      => '<p>Hello <b>there</b>, <i>friend</i>.</p><script>alert(1)</script><div>New line<br>break</div>'
+					. '<a href="https://shop.example.com/?a=1&b=2" onclick="x()">link</a> <a href="javascript:alert(1)">bad</a>'
+					. '<ul><li>One<li>Two</ul><span style="color:red">span</span> <strong>unclosed',
+				'alignment' => 'center',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'image with link and caption',
+	'sections' => array(
+		array(
+			'id'       => 'image-1',
+			'type'     => 'image',
+			'settings' => array(
+				'image_url' => 'https://cdn.example.com/banner.png',
+				'alt_text'  => 'Banner "alt"',
+				'link_url'  => 'https://shop.example.com/collection?utm_source=email&utm_medium=bcg',
+				'width'     => '80',
+				'alignment' => 'right',
+				'caption'   => 'Caption <em>with</em> tags & things',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'products with cards',
+	'sections' => array(
+		array(
+			'id'       => 'products-1',
+			'type'     => 'products',
+			'settings' => array(
+				'section_headline' => 'Picked for you',
+				'product_ids'      => '11, 12,99,13',
+				'columns'          => '2',
+			),
+		),
+		array(
+			'id'       => 'products-2',
+			'type'     => 'products',
+			'settings' => array(
+				'product_ids'   => array( 13, 11 ),
+				'columns'       => 3,
+				'text_align'    => 'center',
+				'square_images' => true,
+				'image_size'    => '160',
+				'show_price'    => false,
+				'show_button'   => '',
+			),
+		),
+		array(
+			'id'       => 'products-3',
+			'type'     => 'products',
+			'settings' => array( 'product_ids' => '99' ),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'coupons with expiry dates',
+	'sections' => array_map(
+		static function ( $slug ) {
+			return array(
+				'id'       => $slug . '-expiry',
+				'type'     => $slug,
+				'settings' => array(
+					'coupon_code' => 'SAVE<20>',
+					'expiry_date' => '2026-03-07',
+				),
+			);
+		},
+		array( 'coupon', 'coupon_banner', 'coupon_card', 'coupon_split', 'coupon_minimal', 'coupon_ribbon' )
+	),
+);
+
+$cases[] = array(
+	'name'     => 'social links and logo',
+	'sections' => array(
+		array(
+			'id'       => 'social-1',
+			'type'     => 'social',
+			'settings' => array(
+				'heading'       => 'Follow us',
+				'social_links'  => '[{"label":"Facebook","url":"https://facebook.com/shop"},{"label":"Instagram","url":"https://instagram.com/shop"},{"label":"Mastodon","url":"https://mastodon.social/@shop"},{"label":"TikTok","url":""}]',
+				'logo_url'      => 'https://cdn.example.com/logo.png',
+				'logo_alt_text' => 'Shop logo',
+				'logo_link'     => 'https://shop.example.com',
+				'logo_side'     => 'left',
+				'icon_side'     => 'right',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'footer with links, social icons and unsubscribe',
+	'sections' => array(
+		array(
+			'id'       => 'footer-1',
+			'type'     => 'footer',
+			'settings' => array(
+				'footer_text'      => "© 2026 Test Store\nAll rights reserved.",
+				'footer_links'     => '[{"label":"Privacy","url":"https://shop.example.com/privacy"},{"label":"Unsubscribe","url":"{{unsubscribe_url}}"}]',
+				'show_unsubscribe' => true,
+				'show_social'      => true,
+				'social_links'     => '[{"label":"Instagram","url":"https://instagram.com/shop"},{"label":"YouTube","url":"https://youtube.com/@shop"}]',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'     => 'cta, banner, heading and list with content',
+	'sections' => array(
+		array(
+			'id'       => 'cta-1',
+			'type'     => 'cta',
+			'settings' => array(
+				'heading'    => 'Don\'t miss out',
+				'subtext'    => 'Ends <strong>Sunday</strong> &amp; won\'t be back',
+				'button_url' => 'mailto:hello@example.com',
+			),
+		),
+		array(
+			'id'       => 'banner-1',
+			'type'     => 'banner',
+			'settings' => array(
+				'heading'    => 'Free delivery',
+				'subtext'    => 'On orders over <a href="https://shop.example.com/delivery">£50</a>',
+				'text_align' => 'right',
+			),
+		),
+		array(
+			'id'       => 'heading-1',
+			'type'     => 'heading',
+			'settings' => array(
+				'text'        => 'New <in>',
+				'subtext'     => 'Fresh for spring',
+				'alignment'   => 'left',
+				'show_accent' => '0',
+			),
+		),
+		array(
+			'id'       => 'list-1',
+			'type'     => 'list',
+			'settings' => array(
+				'heading'    => 'Why shop with us',
+				'items'      => "Free returns\n\n  Next-day delivery  \r\n<b>Gift</b> wrapping",
+				'list_style' => 'numbers',
+			),
+		),
+	),
+);
+
+$cases[] = array(
+	'name'            => 'global settings and section IDs',
+	'global_settings' => array(
+		'max_width'   => '640',
+		'font_family' => 'Georgia, "Times New Roman", serif',
+	),
+	'sections'        => array(
+		array( 'id' => 'Top-Header', 'type' => 'Header', 'settings' => array() ),
+		array( 'type' => 'spacer', 'settings' => array( 'height' => '12' ) ),
+		array( 'id' => 'unknown-1', 'type' => 'carousel', 'settings' => array() ),
+		array( 'id' => 'divider-1', 'type' => 'divider', 'settings' => array( 'line_style' => 'dashed', 'thickness' => '3' ) ),
+	),
+);
+
+// ── Render ────────────────────────────────────────────────────────────
+
+$cards    = array();
+$defaults = array();
+foreach ( $types as $slug ) {
+	$defaults[ $slug ] = BCG_Section_Registry::get_defaults( $slug );
+}
+
+foreach ( $cases as &$case ) {
+	$case['global_settings'] = $case['global_settings'] ?? array();
+	$case['html']            = BCG_Section_Renderer::render_sections( $case['sections'], $case['global_settings'] );
+
+	// Cards as bcg_sb_product_cards returns them to the Section Builder.
+	foreach ( $case['sections'] as $section ) {
+		if ( 'products' !== $section['type'] ) {
+			continue;
+		}
+		$ids = $section['settings']['product_ids'] ?? '';
+		$ids = is_array( $ids ) ? $ids : explode( ',', $ids );
+		foreach ( array_filter( array_map( 'absint', $ids ) ) as $pid ) {
+			$card = BCG_Section_Renderer::get_product_card( $pid );
+			if ( $card ) {
+				$cards[ $pid ] = $card;
+			}
+		}
+	}
+}
+unset( $case );
+
+$fixture = array(
+	'config' => array(
+		'site_name'   => get_bloginfo( 'name' ),
+		'store_url'   => get_bloginfo( 'url' ),
+		'woocommerce' => true,
+		'defaults'    => $defaults,
+		'i18n'        => array(
+			'products_placeholder' => __( 'Products will appear here. Add product IDs to this section.', 'brevo-campaign-generator' ),
+		),
+	),
+	'cards'  => $cards,
+	'cases'  => $cases,
+);
+
+$path = dirname( __DIR__ ) . '/fixtures/section-renderer.json';
+file_put_contents( $path, json_encode( $fixture, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . "\n" );
+
+printf( "Wrote %d cases to %s\n", count( $cases ), $path );
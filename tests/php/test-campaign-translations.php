@@ -0,0 +1,141 @@
+<?php
+/**
+ * Tests for BCG_Campaign_Translations::translate() credit handling.
+ *
+ * A campaign long enough for two translation batches is translated with
+ * an AI manager whose second request fails: the credits charged for the
+ * first batch must be refunded and nothing stored.
+ *
+ *     WP_CORE_DIR=/path/to/wordpress php tests/php/test-campaign-translations.php
+ *
+ * @package Brevo_Campaign_Generator
+ * @since   1.6.0
+ */
+
+require __DIR__ . '/bootstrap.php';
+
+// ── Test doubles ──────────────────────────────────────────────────────
+
+/**
+ * Campaign storage holding one campaign in memory.
+ */
+class BCG_Campaign {
+
+	/**
+	 * @var \stdClass
+	 */
+	public static \stdClass $campaign;
+
+	/**
+	 * @var array[] Arguments of each update() call.
+	 */
+	public static array $updates = array();
+
+	public function get( int $campaign_id ) {
+		return self::$campaign;
+	}
+
+	public function update( int $campaign_id, array $data ) {
+		self::$updates[] = $data;
+		return true;
+	}
+}
+
+/**
+ * AI manager that charges one credit per request and fails the requests
+ * listed in $fail (1-based).
+ */
+class BCG_AI_Manager {
+
+	/**
+	 * @var int[]
+	 */
+	public array $fail;
+
+	/**
+	 * @var int Requests made.
+	 */
+	public int $requests = 0;
+
+	/**
+	 * @var float Credits charged and not refunded.
+	 */
+	public float $balance = 0;
+
+	/**
+	 * @var float[] Amounts passed to refund_credits().
+	 */
+	public array $refunds = array();
+
+	public function __construct( array $fail ) {
+		$this->fail = $fail;
+	}
+
+	public function get_credit_cost( string $service, string $task = 'text' ): int {
+		return 1;
+	}
+
+	public function check_credits( float $required ): bool {
+		return true;
+	}
+
+	public function translate_copy( array $texts, string $language ): array|\WP_Error {
+		++$this->requests;
+
+		// Like execute_openai_task(), a failed request refunds its own charge.
+		if ( in_array( $this->requests, $this->fail, true ) ) {
+			return new \WP_Error( 'bcg_openai_error', 'The AI service is unavailable.' );
+		}
+
+		++$this->balance;
+
+		return array(
+			'content'      => array_map( static fn( $text ) => '[' . $language . '] ' . $text, $texts ),
+			'credits_used' => 1,
+		);
+	}
+
+	public function refund_credits( float $amount, string $description = '' ): float|\WP_Error {
+		$this->refunds[] = $amount;
+		$this->balance  -= $amount;
+		return $amount;
+	}
+}
+
+require BCG_PLUGIN_DIR . 'includes/campaign/class-bcg-section-registry.php';
+require BCG_PLUGIN_DIR . 'includes/campaign/class-bcg-campaign-translations.php';
+
+// Two text sections of 2,000 characters: the second cannot share a batch.
+BCG_Campaign::$campaign = (object) array(
+	'subject'       => 'Spring sale',
+	'preview_text'  => 'New arrivals inside',
+	'language'      => 'en',
+	'coupon_code'   => '',
+	'translations'  => null,
+	'builder_type'  => 'sections',
+	'sections_json' => wp_json_encode(
+		array(
+			array( 'type' => 'text', 'settings' => array( 'body' => str_repeat( 'First section. ', 133 ) ) ),
+			array( 'type' => 'text', 'settings' => array( 'body' => str_repeat( 'Second section ', 133 ) ) ),
+		)
+	),
+);
+
+// ── Second batch fails ────────────────────────────────────────────────
+
+$ai     = new BCG_AI_Manager( array( 2 ) );
+$result = BCG_Campaign_Translations::translate( 1, 'de', $ai );
+
+bcg_assert( is_wp_error( $result ) && 'bcg_openai_error' === $result->get_error_code(), 'a failed second batch returns its error' );
+bcg_assert( 2 === $ai->requests, 'the copy is sent in two batches' );
+bcg_assert( array( 1.0 ) === $ai->refunds, 'the first batch is refunded' );
+bcg_assert( 0.0 === $ai->balance, 'no credits are kept' );
+bcg_assert( array() === BCG_Campaign::$updates, 'no translation is stored' );
+
+// ── First batch fails ─────────────────────────────────────────────────
+
+$ai     = new BCG_AI_Manager( array( 1 ) );
+$result = BCG_Campaign_Translations::translate( 1, 'de', $ai );
+
+bcg_assert( is_wp_error( $result ) && 1 === $ai->requests, 'a failed first batch stops the translation' );
+bcg_assert( array() === $ai->refunds, 'nothing is refunded when nothing was charged' );
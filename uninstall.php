@@ -22,12 +22,14 @@ global $wpdb;
 | Drop custom database tables
 |--------------------------------------------------------------------------
 |
-| Remove the four custom tables in reverse-dependency order. Campaign
-| products reference campaigns, so they are dropped first.
+| Remove the custom tables in reverse-dependency order. Queue items and
+| campaign products reference campaigns, so they are dropped first.
 |
 */
 
 // phpcs:disable WordPress.DB.DirectDatabaseQuery.SchemaChange
+$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}bcg_generation_queue" );
+$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}bcg_recurring_campaigns" );
 $wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}bcg_campaign_products" );
 $wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}bcg_transactions" );
 $wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}bcg_credits" );
@@ -51,6 +53,17 @@ $wpdb->query(
 	)
 );
 
+/*
+|--------------------------------------------------------------------------
+| Delete plugin user meta
+|--------------------------------------------------------------------------
+|
+| Unfinished New Campaign wizard drafts are stored per user.
+|
+*/
+
+delete_metadata( 'user', 0, 'bcg_wizard_draft', '', true );
+
 /*
 |--------------------------------------------------------------------------
 | Delete all plugin transients